@@ -27,6 +27,15 @@ const DIST_DIR = path.join(ROOT_DIR, "dist");
 const RELEASES_DIR = path.join(ROOT_DIR, "releases");
 const HANDLERS_DIR = path.join(SRC_DIR, "utils", "website-handlers");
 const CONSTANTS_FILE = path.join(SRC_DIR, "utils", "constants.js");
+// Restores are validated against it at runtime (BACKUP_SCHEMA_PATH in
+// src/utils/backup-migrations.js). It stays in docs/ because its $id points
+// there.
+const BACKUP_SCHEMA_FILE = path.join(
+	ROOT_DIR,
+	"docs",
+	"backup",
+	"ranobe-backup.schema.json",
+);
 
 // Load local environment variables for build-time secret injection.
 // `quiet` suppresses the banner dotenv 17 prints on every load — it would
@@ -370,6 +379,13 @@ function build(platform) {
 		}
 	});
 
+	fs.mkdirSync(path.join(platformDist, "schemas"), { recursive: true });
+	fs.copyFileSync(
+		BACKUP_SCHEMA_FILE,
+		path.join(platformDist, "schemas", "ranobe-backup.schema.json"),
+	);
+	console.log("✅ Copied backup schema");
+
 	injectBuildSecrets(platformDist);
 
 	console.log(`✨ ${platform} build complete.`);
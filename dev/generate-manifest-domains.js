@@ -12,7 +12,9 @@
  *   - content_scripts[landing].matches       (derived from OAUTH_REDIRECT_URIS.web)
  *   - web_accessible_resources[0].matches    (same patterns)
  *   - web_accessible_resources[0].resources  (shared list, must not drift)
- *   - optional_host_permissions              (same patterns — kept in lockstep)
+ *   - web_accessible_resources[1]            (CONTENT_SCRIPT_RESOURCES on
+ *                                              USER_SITE_ORIGINS, dynamic URLs only)
+ *   - optional_host_permissions              (same patterns + USER_SITE_ORIGINS)
  *   - permissions                            (shared list)
  *   - host_permissions                       (shared list)
  *   - content_security_policy.extension_pages
@@ -42,24 +44,32 @@ const MANIFEST_CHROMIUM = path.join(ROOT_DIR, "src", "manifest-chromium.json");
  * Permissions required on both platforms. Anything platform-specific is added
  * in `PLATFORM_PERMISSIONS` so the difference is explicit and reviewable.
  *
- * Every entry must have a caller. `activeTab` used to be listed and was
- * removed: it only grants anything in combination with `scripting.executeScript`
- * or a `tabs` field read after a user gesture, and this extension does neither —
- * the content script is declared in `content_scripts` and its host access comes
- * from `optional_host_permissions`. An unused permission is a store-review flag
- * and an install-prompt line the user is asked to accept for nothing.
+ * Every entry must have a caller. `activeTab` was once listed with none and
+ * removed for it: it only grants anything in combination with
+ * `scripting.executeScript` or a `tabs` field read after a user gesture. It is
+ * back because reader mode (`background/reader-mode.js`) is exactly that — the
+ * user picks "Read this page" in the popup or the context menu, and the
+ * background injects the content script into that one tab. An unused
+ * permission is a store-review flag and an install-prompt line the user is
+ * asked to accept for nothing.
  *
  * `downloads` is used: `createBackupFile` (background.js) calls `downloadText`,
  * which calls `downloads.download`. The in-page export buttons use an
  * `<a download>` anchor instead, but the rolling background backup has no DOM
  * to hang an anchor off, so the API call is the only way it can work.
+ *
+ * `scripting` is used: `background/custom-site-scripts.js` registers the
+ * content script for user-defined sites with `scripting.registerContentScripts`,
+ * because their domains cannot be listed in `content_scripts` ahead of time.
  */
 const SHARED_PERMISSIONS = [
+	"activeTab",
 	"alarms",
 	"contextMenus",
 	"downloads",
 	"identity",
 	"notifications",
+	"scripting",
 	"storage",
 	"tabs",
 ];
@@ -83,9 +93,10 @@ const SHARED_PERMISSIONS = [
  * Everything else the extension can talk to is deliberately absent, and stays
  * absent:
  *
- *   api.openai.com, an OpenAI-compatible base URL, a local Ollama server, a
- *   WebDAV server, api/content.dropboxapi.com, graph.microsoft.com,
- *   login.microsoftonline.com, counter.vkrishna04.me (opt-in telemetry).
+ *   api.openai.com, api.anthropic.com, an OpenAI-compatible base URL, a local
+ *   Ollama server, a WebDAV server, api/content.dropboxapi.com,
+ *   graph.microsoft.com, login.microsoftonline.com, counter.vkrishna04.me
+ *   (opt-in telemetry).
  *
  * All of those are opt-in, several are user-typed and therefore not
  * enumerable in a manifest at all, and all of them are reached from an
@@ -101,6 +112,22 @@ const HOST_PERMISSIONS = [
 	"https://www.googleapis.com/*",
 ];
 
+/**
+ * Optional origins for user-defined sites (`utils/custom-sites.js`). Their
+ * domains are typed by the user, so the manifest can only offer the broad
+ * pattern; the settings page requests exactly the definition's own origins
+ * from it, from the save or preview click, and nothing is granted until then.
+ *
+ * The content script also runs on those pages — registered for a custom site,
+ * or injected by reader mode — and loads its modules with dynamic `import()`,
+ * which the browser checks against `web_accessible_resources`. Those modules
+ * (CONTENT_SCRIPT_RESOURCES) are exposed there in a second entry with
+ * `use_dynamic_url`, so they are only reachable through the per-session URL
+ * and an arbitrary page cannot probe the fixed extension id for them. The
+ * first entry stays on the supported sites.
+ */
+const USER_SITE_ORIGINS = ["*://*/*"];
+
 const PLATFORM_PERMISSIONS = {
 	// Chromium service workers have no DOM, so HTML/XML parsing is delegated to
 	// an offscreen document. Firefox's event page can parse inline.
@@ -142,6 +169,31 @@ const WEB_ACCESSIBLE_RESOURCES = [
 	"fonts/*.woff2",
 ];
 
+/**
+ * What the content script itself loads: its modules, the polyfill and the
+ * reading fonts. Only these go into the dynamic-URL entry for
+ * USER_SITE_ORIGINS — never the popup, library or settings pages, which would
+ * then be loadable and frameable from any website.
+ *
+ * This relies on Chromium's `runtime.getURL()` returning the dynamic URL
+ * (`chrome-extension://<per-session id>/…`) for a path that a
+ * `use_dynamic_url` entry covers, which it does in content scripts as well
+ * as extension pages; the content script builds every import URL with it.
+ * Firefox ignores the key: its `moz-extension://` host is already a random
+ * per-install UUID.
+ */
+const CONTENT_SCRIPT_RESOURCES = [
+	"lib/browser-polyfill.min.js",
+	"utils/*.js",
+	"utils/website-handlers/*.js",
+	"utils/chunking/*.js",
+	"content/content.*",
+	"content/modules/*.js",
+	"config/*.js",
+	"fonts/*.css",
+	"fonts/*.woff2",
+];
+
 /**
  * Content Security Policy for extension pages (popup, library, settings).
  *
@@ -286,13 +338,19 @@ function updateManifest(manifestPath, platform) {
 		manifest.web_accessible_resources[0].resources = [
 			...WEB_ACCESSIBLE_RESOURCES,
 		];
+		manifest.web_accessible_resources[1] = {
+			resources: [...CONTENT_SCRIPT_RESOURCES],
+			matches: [...USER_SITE_ORIGINS],
+			use_dynamic_url: true,
+		};
 	}
 
 	manifest.host_permissions = [...HOST_PERMISSIONS];
 
 	// Site access is optional and requested at runtime, so these must track the
-	// content-script matches exactly or the runtime request will fail.
-	manifest.optional_host_permissions = matches;
+	// content-script matches exactly or the runtime request will fail. User
+	// sites are requested against the broad pattern.
+	manifest.optional_host_permissions = [...matches, ...USER_SITE_ORIGINS];
 
 	manifest.content_security_policy = {
 		...(manifest.content_security_policy || {}),
@@ -8,6 +8,12 @@ const RUNTIME_BACKUP_PATH = path.join(
 	"utils",
 	"comprehensive-backup.js",
 );
+const RUNTIME_MIGRATIONS_PATH = path.join(
+	ROOT_DIR,
+	"src",
+	"utils",
+	"backup-migrations.js",
+);
 const CANONICAL_SCHEMA_PATH = path.join(
 	ROOT_DIR,
 	"docs",
@@ -56,6 +62,41 @@ function getRuntimeBackupVersion() {
 	return versionMatch[1];
 }
 
+function getRuntimeSchemaVersions() {
+	const source = fs.readFileSync(RUNTIME_MIGRATIONS_PATH, "utf8");
+	const read = (name) => {
+		const match = source.match(
+			new RegExp(`export const ${name}\\s*=\\s*(\\d+)`),
+		);
+		if (!match) {
+			fail(`Could not locate ${name} in src/utils/backup-migrations.js`);
+		}
+		return Number(match[1]);
+	};
+	return {
+		backup: read("BACKUP_SCHEMA_VERSION"),
+		library: read("LIBRARY_SCHEMA_VERSION"),
+	};
+}
+
+// The schema caps schemaVersion at what the runtime migrates to; a runtime
+// bump without a schema update would make every new backup fail validation.
+function assertSchemaVersions(schemaJson, runtimeSchemaVersions) {
+	const backupMax = schemaJson.properties?.schemaVersion?.maximum;
+	if (backupMax !== runtimeSchemaVersions.backup) {
+		fail(
+			`Canonical schema allows backup schemaVersion up to ${backupMax}, runtime writes ${runtimeSchemaVersions.backup}.`,
+		);
+	}
+	const libraryMax =
+		schemaJson.$defs?.library?.properties?.schemaVersion?.maximum;
+	if (libraryMax !== runtimeSchemaVersions.library) {
+		fail(
+			`Canonical schema allows library schemaVersion up to ${libraryMax}, runtime writes ${runtimeSchemaVersions.library}.`,
+		);
+	}
+}
+
 function assertCanonicalSchemaEnvelope(schemaJson) {
 	if (!Array.isArray(schemaJson.required)) {
 		fail("Canonical schema is missing required[]");
@@ -77,7 +118,11 @@ function assertLandingProxyRef(landingSchemaJson) {
 	}
 }
 
-function assertSampleBackup(sampleBackupJson, runtimeVersion) {
+function assertSampleBackup(
+	sampleBackupJson,
+	runtimeVersion,
+	runtimeSchemaVersions,
+) {
 	for (const key of REQUIRED_ENVELOPE_KEYS) {
 		if (!(key in sampleBackupJson)) {
 			fail(`Sample backup missing required key: ${key}`);
@@ -94,19 +139,34 @@ function assertSampleBackup(sampleBackupJson, runtimeVersion) {
 			);
 		}
 	}
+
+	if (
+		Number.isInteger(sampleBackupJson.schemaVersion) &&
+		sampleBackupJson.schemaVersion > runtimeSchemaVersions.backup
+	) {
+		fail(
+			`Sample backup schemaVersion ${sampleBackupJson.schemaVersion} is newer than runtime ${runtimeSchemaVersions.backup}.`,
+		);
+	}
 }
 
 function main() {
 	console.log("Checking backup compatibility contract...");
 
 	const runtimeVersion = getRuntimeBackupVersion();
+	const runtimeSchemaVersions = getRuntimeSchemaVersions();
 	const canonicalSchema = readJson(CANONICAL_SCHEMA_PATH);
 	const landingSchemaProxy = readJson(LANDING_SCHEMA_PROXY_PATH);
 
 	assertCanonicalSchemaEnvelope(canonicalSchema);
+	assertSchemaVersions(canonicalSchema, runtimeSchemaVersions);
 	assertLandingProxyRef(landingSchemaProxy);
 
 	console.log("Runtime backup version:", runtimeVersion);
+	console.log(
+		"Runtime schema versions (backup/library):",
+		`${runtimeSchemaVersions.backup}/${runtimeSchemaVersions.library}`,
+	);
 	console.log(
 		"Canonical schema envelope keys verified:",
 		REQUIRED_ENVELOPE_KEYS.length,
@@ -118,7 +178,11 @@ function main() {
 	// there is useful; failing without it made this script impossible to pass on
 	// a clean checkout, including in CI.
 	if (fs.existsSync(SAMPLE_BACKUP_PATH)) {
-		assertSampleBackup(readJson(SAMPLE_BACKUP_PATH), runtimeVersion);
+		assertSampleBackup(
+			readJson(SAMPLE_BACKUP_PATH),
+			runtimeVersion,
+			runtimeSchemaVersions,
+		);
 		console.log("Sample backup envelope/version checks passed.");
 	} else {
 		console.log(
@@ -0,0 +1,130 @@
+/**
+ * Whole-chapter enhancement for chapters with no tab open on them.
+ *
+ * Archive jobs and the library reader enhance chapters the background fetched
+ * itself. A page request arrives with the prompt context the content script
+ * put together (`buildCombinedPrompt` in content/content.js): the site
+ * handler's prompt, the novel's custom prompt, its glossary and the custom box
+ * appendix. Here the same context is resolved from the chapter URL and the
+ * library, so a chapter enhanced in the reader or an archive job comes out the
+ * way it would have on the site — names rendered as the glossary says.
+ *
+ * The chapter is split with the same token budget a page request uses and the
+ * pieces enhanced in order, each continuing the last one's conversation.
+ */
+
+import { buildCustomBoxPromptAppendix } from "../../utils/custom-box-types.js";
+import { buildGlossaryPromptBlock } from "../../utils/novel-glossary.js";
+
+/**
+ * The prompt context a page request for this chapter would carry, in the
+ * same order.
+ * @param {Object} parts
+ * @param {string} [parts.sitePrompt] - The site handler's prompt
+ * @param {Object|null} [parts.novel] - Library entry (customPrompt, glossary)
+ * @param {Array} [parts.customBoxTypes]
+ * @param {string} [parts.content] - Chapter being enhanced; narrows the glossary
+ * @returns {string}
+ */
+export function buildChapterPromptContext({
+	sitePrompt = "",
+	novel = null,
+	customBoxTypes = [],
+	content = "",
+}) {
+	return [
+		sitePrompt,
+		novel?.customPrompt,
+		novel?.glossary?.length
+			? buildGlossaryPromptBlock(novel.glossary, { content })
+			: "",
+		buildCustomBoxPromptAppendix(customBoxTypes),
+	]
+		.filter(Boolean)
+		.join("\n\n");
+}
+
+/**
+ * @param {Object} deps
+ * @param {(payload: Object) => Promise<Object>} deps.enhance
+ *   Resolves `{ enhancedContent, conversationHistory }` (processContentWithProvider)
+ * @param {(content: string) => Promise<Array<{content: string}>>} deps.split
+ *   The pieces a page request would send for `content`
+ * @param {(url: string) => Promise<string>} [deps.getSitePrompt]
+ * @param {(ref: {novelId: string|null, url: string}) => Promise<Object|null>} [deps.findNovel]
+ * @param {() => Promise<Array>} [deps.getCustomBoxTypes]
+ * @param {Function} [deps.debugLog]
+ */
+export function createChapterEnhancer({
+	enhance,
+	split,
+	getSitePrompt = async () => "",
+	findNovel = async () => null,
+	getCustomBoxTypes = async () => [],
+	debugLog = () => {},
+}) {
+	if (typeof enhance !== "function" || typeof split !== "function") {
+		throw new Error("createChapterEnhancer requires enhance and split.");
+	}
+
+	// Each part is optional, as on the page: a missing one leaves the rest.
+	async function optional(what, load, fallback) {
+		try {
+			return (await load()) ?? fallback;
+		} catch (error) {
+			debugLog(`[ChapterEnhancer] No ${what}:`, error?.message);
+			return fallback;
+		}
+	}
+
+	/**
+	 * @param {{content: string, url?: string, novelId?: string|null}} chapter
+	 * @returns {Promise<string>}
+	 */
+	async function resolvePrompt({ content, url = "", novelId = null }) {
+		const [sitePrompt, novel, customBoxTypes] = await Promise.all([
+			url ? optional("site prompt", () => getSitePrompt(url), "") : "",
+			novelId || url
+				? optional("novel", () => findNovel({ novelId, url }), null)
+				: null,
+			optional("custom box types", getCustomBoxTypes, []),
+		]);
+		return buildChapterPromptContext({
+			sitePrompt,
+			novel,
+			customBoxTypes,
+			content,
+		});
+	}
+
+	/**
+	 * @param {{title: string, content: string, url?: string, novelId?: string|null}} chapter
+	 * @returns {Promise<string>} The enhanced chapter
+	 */
+	async function enhanceChapter(chapter) {
+		const { title, content } = chapter;
+		const siteSpecificPrompt = await resolvePrompt(chapter);
+		const pieces = await split(content);
+		const enhanced = [];
+		let conversationHistory = null;
+		for (const [index, piece] of pieces.entries()) {
+			const result = await enhance({
+				title,
+				content: piece.content,
+				isPart: pieces.length > 1,
+				partInfo:
+					pieces.length > 1
+						? { current: index + 1, total: pieces.length }
+						: null,
+				useEmoji: false,
+				conversationHistory,
+				siteSpecificPrompt,
+			});
+			enhanced.push(result.enhancedContent);
+			conversationHistory = result.conversationHistory;
+		}
+		return enhanced.join("\n\n");
+	}
+
+	return { enhanceChapter, resolvePrompt };
+}
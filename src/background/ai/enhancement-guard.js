@@ -0,0 +1,262 @@
+/**
+ * Hallucination guard for enhanced chunks.
+ *
+ * DEFAULT_PROMPT tells the model to edit the text it is given and NEVER to
+ * generate new content, and most of the time it obeys. Some models, given a
+ * chunk that ends mid-scene, carry on writing the story instead; others answer
+ * a long chunk with a summary, or with the "ERROR: No content provided"
+ * sentinel the prompt reserves for empty input. All of these come back as a
+ * successful response, so nothing downstream would notice.
+ *
+ * Every enhancement is compared with its original before it leaves the
+ * background: word-count ratio, paragraph count, proper nouns neither the
+ * original nor the prompt mentions, number of dialogue lines, and the
+ * sentinel. A failing
+ * answer is retried once with a stricter reminder appended to the prompt; if
+ * that fails too the chunk is rejected with a non-retryable error, so the
+ * page keeps the original text and shows why.
+ */
+
+import {
+	extractNamedEntities,
+	toDiffText,
+} from "../../utils/chunking/chunk-diff.js";
+
+export const GUARD_LIMITS = {
+	// Enhanced words ÷ original words. Below: summarised or cut off. Above:
+	// the story was continued.
+	minWordRatio: 0.7,
+	maxWordRatio: 1.6,
+	minWordsForRatio: 50,
+	// Paragraph counts move more than words do (walls of machine-translated
+	// text get split), so these are looser.
+	minParagraphRatio: 0.4,
+	maxParagraphRatio: 2.5,
+	minParagraphsForRatio: 3,
+	// Names neither the original nor the prompt mentions (glossary renderings
+	// are in the prompt); a title spelled out can account for one or two.
+	maxNewProperNouns: 3,
+	// Lines of dialogue: ratio and an absolute slack, so a chunk with two
+	// quotes may gain a third.
+	maxDialogueRatio: 1.5,
+	dialogueSlack: 4,
+};
+
+/** The reply DEFAULT_PROMPT asks for when there is nothing to enhance. */
+export const NO_CONTENT_SENTINEL = /ERROR:\s*No content provided/i;
+
+function countWords(text) {
+	return text.split(/\s+/).filter(Boolean).length;
+}
+
+function countParagraphs(text) {
+	return text.split(/\n/).filter((line) => line.trim()).length;
+}
+
+// Opening quote marks, plus one per pair of straight quotes. An enhancement
+// that swaps straight quotes for curly ones keeps the same count.
+function countDialogue(text) {
+	const opening = (text.match(/[“「『]/g) || []).length;
+	const straight = (text.match(/"/g) || []).length;
+	return opening + Math.floor(straight / 2);
+}
+
+// Every word of the prompt, lowercased, for the name check.
+function promptWords(prompt) {
+	return new Set(
+		String(prompt || "")
+			.toLowerCase()
+			.match(/[\p{L}'’-]+/gu),
+	);
+}
+
+/**
+ * @typedef {Object} GuardVerdict
+ * @property {boolean}  ok
+ * @property {string[]} reasons - One readable line per failed check
+ * @property {Object}   metrics - The measured values, for logging
+ */
+
+/**
+ * Check an enhanced chunk against its original.
+ * @param {string} original - Chunk sent to the model (text or HTML)
+ * @param {string} enhanced - The model's answer
+ * @param {Partial<typeof GUARD_LIMITS>} [limits]
+ * @param {Object} [context]
+ * @param {string} [context.prompt] - Instructions sent with the chunk (site
+ *   and novel prompts, glossary block). A name they mention is expected in
+ *   the output, not invented.
+ * @returns {GuardVerdict}
+ */
+export function validateEnhancement(
+	original,
+	enhanced,
+	limits = {},
+	{ prompt = "" } = {},
+) {
+	const max = { ...GUARD_LIMITS, ...limits };
+	const before = toDiffText(original);
+	const after = toDiffText(enhanced);
+	const reasons = [];
+
+	if (NO_CONTENT_SENTINEL.test(after) && !NO_CONTENT_SENTINEL.test(before)) {
+		reasons.push(
+			'The model answered "No content provided" for a non-empty chunk',
+		);
+	}
+
+	const words = { original: countWords(before), enhanced: countWords(after) };
+	const wordRatio = words.original ? words.enhanced / words.original : 1;
+	if (words.original >= max.minWordsForRatio) {
+		if (wordRatio < max.minWordRatio) {
+			reasons.push(
+				`Only ${Math.round(wordRatio * 100)}% of the original length (${words.enhanced}/${words.original} words) — summarised or cut off`,
+			);
+		} else if (wordRatio > max.maxWordRatio) {
+			reasons.push(
+				`${Math.round(wordRatio * 100)}% of the original length (${words.enhanced}/${words.original} words) — new content added`,
+			);
+		}
+	}
+
+	const paragraphs = {
+		original: countParagraphs(before),
+		enhanced: countParagraphs(after),
+	};
+	if (paragraphs.original >= max.minParagraphsForRatio) {
+		const ratio = paragraphs.enhanced / paragraphs.original;
+		if (ratio < max.minParagraphRatio || ratio > max.maxParagraphRatio) {
+			reasons.push(
+				`Paragraph count changed from ${paragraphs.original} to ${paragraphs.enhanced}`,
+			);
+		}
+	}
+
+	const lowerBefore = before.toLowerCase();
+	const prompted = promptWords(prompt);
+	const newProperNouns = [...extractNamedEntities(after)].filter(
+		(name) =>
+			!lowerBefore.includes(name.toLowerCase()) &&
+			!prompted.has(name.toLowerCase()),
+	);
+	if (newProperNouns.length > max.maxNewProperNouns) {
+		reasons.push(
+			`Names not in the original: ${newProperNouns.slice(0, 8).join(", ")}`,
+		);
+	}
+
+	const dialogue = {
+		original: countDialogue(before),
+		enhanced: countDialogue(after),
+	};
+	if (
+		dialogue.enhanced - dialogue.original > max.dialogueSlack &&
+		dialogue.enhanced > dialogue.original * max.maxDialogueRatio
+	) {
+		reasons.push(
+			`Dialogue lines went from ${dialogue.original} to ${dialogue.enhanced}`,
+		);
+	}
+
+	return {
+		ok: reasons.length === 0,
+		reasons,
+		metrics: { words, wordRatio, paragraphs, newProperNouns, dialogue },
+	};
+}
+
+/**
+ * Reminder appended to the prompt for the one retry. It names what went
+ * wrong, which does more than repeating the original instruction louder.
+ * @param {string[]} reasons
+ * @returns {string}
+ */
+export function buildStrictReminder(reasons) {
+	return [
+		"**STRICT MODE — PREVIOUS ANSWER REJECTED.** Your previous answer did not match the source text:",
+		...reasons.map((reason) => `- ${reason}`),
+		"Enhance ONLY the text provided. Keep every event, character, paragraph and line of dialogue, in the same order. Do NOT continue the story, add scenes, names or dialogue, or summarise. The text is not empty: do not answer with an error message.",
+	].join("\n");
+}
+
+/**
+ * Wrap an enhancement call with validation, one strict retry and rejection.
+ *
+ * @param {Object} deps
+ * @param {(payload: Object, stream?: Object|null) => Promise<Object>} deps.enhance
+ *   Resolves `{ enhancedContent, modelInfo, ... }` (processContentWithProvider)
+ * @param {() => Promise<boolean>|boolean} [deps.isEnabled] - Settings switch
+ * @param {Partial<typeof GUARD_LIMITS>} [deps.limits]
+ * @param {Function} [deps.debugLog]
+ */
+export function createEnhancementGuard({
+	enhance,
+	isEnabled = () => true,
+	limits = {},
+	debugLog = () => {},
+}) {
+	if (typeof enhance !== "function") {
+		throw new Error("createEnhancementGuard requires an enhance function.");
+	}
+
+	async function guardedEnhance(payload, stream = null) {
+		const first = await enhance(payload, stream);
+		if (!(await isEnabled())) return first;
+
+		// The retry's prompt names the rejected names; check both answers
+		// against the prompt the caller sent.
+		const context = { prompt: payload.siteSpecificPrompt };
+		const verdict = validateEnhancement(
+			payload.content,
+			first?.enhancedContent,
+			limits,
+			context,
+		);
+		if (verdict.ok) return first;
+
+		debugLog(
+			`[EnhancementGuard] Rejected enhancement, retrying with strict prompt: ${verdict.reasons.join("; ")}`,
+		);
+		const retry = await enhance(
+			{
+				...payload,
+				siteSpecificPrompt: [
+					payload.siteSpecificPrompt,
+					buildStrictReminder(verdict.reasons),
+				]
+					.filter(Boolean)
+					.join("\n\n"),
+			},
+			stream,
+		);
+		const second = validateEnhancement(
+			payload.content,
+			retry?.enhancedContent,
+			limits,
+			context,
+		);
+		if (second.ok) {
+			return {
+				...retry,
+				modelInfo: {
+					...(retry?.modelInfo || {}),
+					guardRetried: true,
+					guardReasons: verdict.reasons,
+				},
+			};
+		}
+
+		debugLog(
+			`[EnhancementGuard] Strict retry also rejected; keeping the original: ${second.reasons.join("; ")}`,
+		);
+		const error = new Error(
+			`Enhancement rejected, original kept: ${second.reasons.join("; ")}`,
+		);
+		error._nonRetryable = true;
+		error.guardRejected = true;
+		error.guardReasons = second.reasons;
+		throw error;
+	}
+
+	return { enhance: guardedEnhance };
+}
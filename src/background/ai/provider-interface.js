@@ -8,6 +8,14 @@
  *
  * Optional methods:
  * - listModels()
+ * - streamEnhancement(payload, stream)
+ * - streamSummary(payload, stream)
+ *
+ * Streaming methods take the same payload as their non-streaming pair plus a
+ * `stream` handle: `{ onDelta(text), signal }`. `onDelta` receives the
+ * cumulative text generated so far (not just the newest piece), and the
+ * promise resolves to exactly what the non-streaming method would return.
+ * Providers without them are called the old way; callers never need to check.
  */
 
 export const REQUIRED_PROVIDER_METHODS = [
@@ -16,7 +24,16 @@ export const REQUIRED_PROVIDER_METHODS = [
 	"getHealthStatus",
 ];
 
-export const OPTIONAL_PROVIDER_METHODS = ["listModels"];
+export const OPTIONAL_PROVIDER_METHODS = [
+	"listModels",
+	"streamEnhancement",
+	"streamSummary",
+];
+
+export const STREAMING_PROVIDER_METHODS = {
+	generateEnhancement: "streamEnhancement",
+	generateSummary: "streamSummary",
+};
 
 function isFunction(value) {
 	return typeof value === "function";
@@ -49,3 +66,27 @@ export function validateProviderAdapterRuntime(
 		warnings,
 	};
 }
+
+export function supportsStreaming(provider, methodName) {
+	const streamMethod = STREAMING_PROVIDER_METHODS[methodName];
+	return Boolean(streamMethod && isFunction(provider?.[streamMethod]));
+}
+
+/**
+ * Call a provider method, using its streaming variant when the caller wants
+ * partial output and the provider offers it.
+ */
+export function callProviderMethod(
+	provider,
+	methodName,
+	payload,
+	stream = null,
+) {
+	if (stream && supportsStreaming(provider, methodName)) {
+		return provider[STREAMING_PROVIDER_METHODS[methodName]](
+			payload,
+			stream,
+		);
+	}
+	return provider[methodName](payload);
+}
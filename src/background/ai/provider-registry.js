@@ -1,3 +1,8 @@
+import {
+	DEFAULT_ANTHROPIC_ENDPOINT,
+	DEFAULT_ANTHROPIC_MODEL,
+	DEFAULT_MODEL_ENDPOINT,
+} from "../../utils/constants.js";
 import { validateProviderAdapterRuntime } from "./provider-interface.js";
 
 export function createProviderRegistry({
@@ -63,3 +68,311 @@ export function createProviderRegistry({
 		listProviderIds,
 	};
 }
+
+/**
+ * Fallback chain.
+ *
+ * A chain is the primary slot followed by any number of provider+model
+ * entries, each shaped like a slot config (`{ provider, modelId, baseUrl,
+ * apiKey }`). When an entry fails, the error is put in one failure class and
+ * that class's rule decides what happens next:
+ *
+ * - `retry`   — same entry again after a short pause, then move on
+ * - `next`    — straight to the next entry
+ * - `rechunk` — stop here; the caller splits the input smaller and starts over
+ * - `fail`    — give up and surface the error
+ *
+ * Every attempt is written to the route (`{ provider, model, outcome,
+ * failureClass }`) so the page can show which provider actually answered.
+ */
+
+export const PROVIDER_FAILURE_CLASSES = Object.freeze({
+	RATE_LIMIT: "rateLimit",
+	SAFETY: "safety",
+	TIMEOUT: "timeout",
+	CONTEXT_LENGTH: "contextLength",
+	AUTH: "auth",
+	OTHER: "other",
+});
+
+export const FALLBACK_ACTIONS = Object.freeze({
+	RETRY: "retry",
+	NEXT: "next",
+	RECHUNK: "rechunk",
+	FAIL: "fail",
+});
+
+// Tuned for "free-tier Gemini first, local model as overflow": quota and
+// capacity errors move on at once instead of sleeping, a local model is
+// the one most likely to accept what a hosted filter refused, and a chapter
+// that does not fit is cheaper to split than to send elsewhere whole.
+export const DEFAULT_FALLBACK_RULES = Object.freeze({
+	rateLimit: FALLBACK_ACTIONS.NEXT,
+	safety: FALLBACK_ACTIONS.NEXT,
+	timeout: FALLBACK_ACTIONS.RETRY,
+	contextLength: FALLBACK_ACTIONS.RECHUNK,
+	auth: FALLBACK_ACTIONS.NEXT,
+	other: FALLBACK_ACTIONS.NEXT,
+});
+
+const PROVIDER_LABELS = {
+	gemini: "Gemini",
+	openai: "OpenAI-compatible",
+	"openai-compatible": "OpenAI-compatible",
+	ollama: "Ollama",
+	anthropic: "Anthropic",
+};
+
+// Checked in order: "Rate limit reached on all 3 API keys" must be a rate
+// limit, not an auth error, and "token limit" must not read as a quota.
+const FAILURE_PATTERNS = [
+	[
+		PROVIDER_FAILURE_CLASSES.RATE_LIMIT,
+		/\b429\b|rate.?limit|quota|resource.?exhausted|too many requests|overloaded|high demand|\b529\b|\b503\b/i,
+	],
+	[
+		PROVIDER_FAILURE_CLASSES.CONTEXT_LENGTH,
+		/context.?(length|limit|window)|too long|exceeds the maximum|token limit|max(imum)? output token|cut off/i,
+	],
+	[
+		PROVIDER_FAILURE_CLASSES.SAFETY,
+		/safety|blocked|recitation|copyright|content.?(policy|filter)/i,
+	],
+	[
+		PROVIDER_FAILURE_CLASSES.AUTH,
+		/\b401\b|\b403\b|api key|unauthori[sz]ed|authentication|permission|forbidden/i,
+	],
+	[
+		PROVIDER_FAILURE_CLASSES.TIMEOUT,
+		/time.?d? ?out|timeout|failed to fetch|fetch failed|network.?error|econn|\b50[24]\b/i,
+	],
+];
+
+const STATUS_CLASSES = {
+	401: PROVIDER_FAILURE_CLASSES.AUTH,
+	403: PROVIDER_FAILURE_CLASSES.AUTH,
+	408: PROVIDER_FAILURE_CLASSES.TIMEOUT,
+	413: PROVIDER_FAILURE_CLASSES.CONTEXT_LENGTH,
+	429: PROVIDER_FAILURE_CLASSES.RATE_LIMIT,
+	504: PROVIDER_FAILURE_CLASSES.TIMEOUT,
+};
+
+/**
+ * Put a provider error in one failure class. Providers throw plain `Error`s
+ * with the API's own wording, so this reads the message (and `status` when
+ * an adapter set one).
+ */
+export function classifyProviderError(error) {
+	if (error?.failureClass) return error.failureClass;
+	const byStatus = STATUS_CLASSES[error?.status];
+	if (byStatus) return byStatus;
+	if (error?.name === "TimeoutError") return PROVIDER_FAILURE_CLASSES.TIMEOUT;
+
+	const message = String(error?.message || error || "");
+	for (const [failureClass, pattern] of FAILURE_PATTERNS) {
+		if (pattern.test(message)) return failureClass;
+	}
+	// fetch() rejects with a bare TypeError when the host is unreachable,
+	// e.g. a local Ollama that is not running.
+	if (error instanceof TypeError) return PROVIDER_FAILURE_CLASSES.TIMEOUT;
+	return PROVIDER_FAILURE_CLASSES.OTHER;
+}
+
+/** Stored rules merged over the defaults; unknown classes/actions dropped. */
+export function resolveFallbackRules(stored) {
+	const actions = new Set(Object.values(FALLBACK_ACTIONS));
+	const rules = { ...DEFAULT_FALLBACK_RULES };
+	for (const [failureClass, action] of Object.entries(stored || {})) {
+		if (failureClass in rules && actions.has(action)) {
+			rules[failureClass] = action;
+		}
+	}
+	return rules;
+}
+
+/**
+ * Slot configs store an Anthropic base URL ("https://api.anthropic.com" or
+ * ".../v1"); the adapter wants the full Messages endpoint.
+ * @param {string} [baseUrl]
+ * @returns {string}
+ */
+export function anthropicMessagesUrl(baseUrl) {
+	const base = String(baseUrl || DEFAULT_ANTHROPIC_ENDPOINT)
+		.trim()
+		.replace(/\/+$/, "");
+	if (/\/messages$/.test(base)) return base;
+	return /\/v1$/.test(base) ? `${base}/messages` : `${base}/v1/messages`;
+}
+
+/**
+ * Which provider the stored settings call, and how: the primary slot
+ * (`primaryModelConfig`) applied over the older per-provider keys. The
+ * background config and story chat both resolve it here, so they call the
+ * provider the settings page shows as primary.
+ *
+ * @param {Object} data - storage.local contents
+ * @param {Object} [options]
+ * @param {boolean} [options.applyPrimarySlot=true] - Off while a fallback
+ *   entry's override is routed, which sets these fields itself
+ * @returns {{aiProvider: string, openAiEndpoint: string, openAiModel: string, openAiApiKey: string, ollamaEndpoint: string, ollamaModel: string, anthropicEndpoint: string, anthropicModel: string, anthropicApiKey: string, modelEndpoint: string}}
+ */
+export function resolveProviderSettings(
+	data = {},
+	{ applyPrimarySlot = true } = {},
+) {
+	const settings = {
+		aiProvider: data.aiProvider || "gemini",
+		openAiEndpoint:
+			data.openAiEndpoint || "https://api.openai.com/v1/chat/completions",
+		openAiModel: data.openAiModel || "gpt-4o-mini",
+		openAiApiKey: data.openAiApiKey || "",
+		ollamaEndpoint:
+			data.ollamaEndpoint || "http://localhost:11434/api/generate",
+		ollamaModel: data.ollamaModel || "llama3.1:8b",
+		anthropicEndpoint: data.anthropicEndpoint || DEFAULT_ANTHROPIC_ENDPOINT,
+		anthropicModel: data.anthropicModel || DEFAULT_ANTHROPIC_MODEL,
+		anthropicApiKey: data.anthropicApiKey || "",
+		modelEndpoint: data.modelEndpoint || DEFAULT_MODEL_ENDPOINT,
+	};
+
+	const pc = data.primaryModelConfig;
+	if (!pc || !applyPrimarySlot) return settings;
+	if (pc.provider === "openai") {
+		settings.aiProvider = "openai-compatible";
+		if (pc.baseUrl) settings.openAiEndpoint = pc.baseUrl;
+		if (pc.modelId) settings.openAiModel = pc.modelId;
+		if (pc.apiKey) settings.openAiApiKey = pc.apiKey;
+	} else if (pc.provider === "ollama") {
+		settings.aiProvider = "ollama";
+		if (pc.baseUrl) settings.ollamaEndpoint = pc.baseUrl + "/api/generate";
+		if (pc.modelId) settings.ollamaModel = pc.modelId;
+	} else if (pc.provider === "anthropic") {
+		settings.aiProvider = "anthropic";
+		if (pc.baseUrl)
+			settings.anthropicEndpoint = anthropicMessagesUrl(pc.baseUrl);
+		if (pc.modelId) settings.anthropicModel = pc.modelId;
+		if (pc.apiKey) settings.anthropicApiKey = pc.apiKey;
+	} else {
+		settings.aiProvider = "gemini";
+		if (pc.endpoint) settings.modelEndpoint = pc.endpoint;
+	}
+	return settings;
+}
+
+/**
+ * The ordered chain for a config: the primary slot, then `fallbackChain`
+ * entries — or the single legacy `fallbackModelConfig` when no chain has been
+ * saved yet. Nothing past the primary when fallback is switched off.
+ */
+export function buildFallbackChain({
+	primaryModelConfig = null,
+	aiProvider = "gemini",
+	fallbackModelEnabled = false,
+	fallbackModelConfig = null,
+	fallbackChain = null,
+} = {}) {
+	const primary = primaryModelConfig?.provider
+		? primaryModelConfig
+		: {
+				provider:
+					aiProvider === "openai-compatible" ? "openai" : aiProvider,
+			};
+	const chain = [{ ...primary, isPrimary: true }];
+	if (!fallbackModelEnabled) return chain;
+
+	const extra =
+		Array.isArray(fallbackChain) && fallbackChain.length > 0
+			? fallbackChain
+			: [fallbackModelConfig];
+	for (const entry of extra) {
+		if (entry?.provider) chain.push({ ...entry, isPrimary: false });
+	}
+	return chain;
+}
+
+/** `{ provider, model }` label for an entry, as shown in routes and settings. */
+export function describeChainEntry(entry) {
+	return {
+		provider: PROVIDER_LABELS[entry?.provider] || entry?.provider || "AI",
+		model: entry?.modelId || "",
+	};
+}
+
+/**
+ * Walk `entries` with `invoke(entry, index)` until one succeeds.
+ *
+ * Resolves `{ result, route }`. Rejects with the last error, annotated with
+ * `failureClass`, `fallbackAction` and `route`; `fallbackAction === "rechunk"`
+ * means the caller should split the input and try again. Aborts (the reader
+ * left) are rethrown untouched.
+ */
+export async function runFallbackChain({
+	entries,
+	invoke,
+	rules = DEFAULT_FALLBACK_RULES,
+	allowRechunk = true,
+	maxRetries = 1,
+	retryDelayMs = 2000,
+	sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+	debugLog = () => {},
+}) {
+	if (!Array.isArray(entries) || entries.length === 0) {
+		throw new Error("Fallback chain has no entries.");
+	}
+
+	const route = [];
+	let lastError = null;
+	let lastAction = FALLBACK_ACTIONS.NEXT;
+
+	for (let index = 0; index < entries.length; index++) {
+		const entry = entries[index];
+		const label = describeChainEntry(entry);
+
+		for (let attempt = 0; ; attempt++) {
+			try {
+				const result = await invoke(entry, index);
+				route.push({ ...label, outcome: "ok" });
+				return { result, route };
+			} catch (error) {
+				if (error?.name === "AbortError") throw error;
+
+				const failureClass = classifyProviderError(error);
+				let action = rules[failureClass] || FALLBACK_ACTIONS.NEXT;
+				if (action === FALLBACK_ACTIONS.RECHUNK && !allowRechunk) {
+					action = FALLBACK_ACTIONS.NEXT;
+				}
+				if (
+					action === FALLBACK_ACTIONS.RETRY &&
+					attempt >= maxRetries
+				) {
+					action = FALLBACK_ACTIONS.NEXT;
+				}
+
+				route.push({ ...label, outcome: action, failureClass });
+				lastError = error;
+				lastAction = action;
+				debugLog(
+					`Fallback chain: ${label.provider}${label.model ? ` (${label.model})` : ""} failed with ${failureClass} → ${action}: ${error?.message}`,
+				);
+
+				if (action === FALLBACK_ACTIONS.RETRY) {
+					await sleep(retryDelayMs * (attempt + 1));
+					continue;
+				}
+				if (action === FALLBACK_ACTIONS.NEXT) break;
+				// rechunk / fail end the walk here
+				index = entries.length;
+				break;
+			}
+		}
+	}
+
+	const error =
+		lastError instanceof Error
+			? lastError
+			: new Error(String(lastError || "All providers failed."));
+	error.failureClass = classifyProviderError(lastError);
+	error.fallbackAction = lastAction;
+	error.route = route;
+	throw error;
+}
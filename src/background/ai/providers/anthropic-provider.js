@@ -0,0 +1,268 @@
+import {
+	DEFAULT_ANTHROPIC_ENDPOINT,
+	DEFAULT_ANTHROPIC_MODEL,
+} from "../../../utils/constants.js";
+import { readSseEvents } from "../stream-readers.js";
+
+const ANTHROPIC_API_VERSION = "2023-06-01";
+
+/**
+ * Native Anthropic Messages API adapter.
+ *
+ * Prompts keep the same system/user split the Gemini adapter uses: the
+ * combined enhancement or summary prompt goes into the top-level `system`
+ * field and only the chapter text is sent as the user turn. Responses are
+ * content-block arrays; every `text` block is joined in order.
+ */
+export function createAnthropicProviderAdapter({ initConfig, combinePrompts }) {
+	if (
+		typeof initConfig !== "function" ||
+		typeof combinePrompts !== "function"
+	) {
+		throw new Error(
+			"createAnthropicProviderAdapter requires initConfig and combinePrompts functions.",
+		);
+	}
+
+	function buildHeaders(apiKey) {
+		return {
+			"Content-Type": "application/json",
+			"x-api-key": apiKey,
+			"anthropic-version": ANTHROPIC_API_VERSION,
+			// Extension pages send an Origin header; the API refuses such
+			// requests unless the caller opts in explicitly.
+			"anthropic-dangerous-direct-browser-access": "true",
+		};
+	}
+
+	function getApiKey(config) {
+		const apiKey = config.anthropicApiKey || "";
+		if (!apiKey.trim()) {
+			throw new Error(
+				"Anthropic API key is missing. Add it in Library Settings → AI.",
+			);
+		}
+		return apiKey;
+	}
+
+	function extractText(data) {
+		return (Array.isArray(data?.content) ? data.content : [])
+			.filter((block) => block?.type === "text")
+			.map((block) => block.text || "")
+			.join("")
+			.trim();
+	}
+
+	async function readAnthropicStream(response, stream) {
+		let text = "";
+		await readSseEvents(response, (data) => {
+			let event;
+			try {
+				event = JSON.parse(data);
+			} catch (_err) {
+				return;
+			}
+			if (event?.type === "error") {
+				throw new Error(
+					event.error?.message || "Anthropic stream error.",
+				);
+			}
+			if (
+				event?.type === "content_block_delta" &&
+				event.delta?.type === "text_delta" &&
+				event.delta.text
+			) {
+				text += event.delta.text;
+				stream.onDelta?.(text);
+			}
+		});
+		return text;
+	}
+
+	async function callAnthropic({
+		system,
+		userMessage,
+		config,
+		conversationHistory = null,
+		stream = null,
+	}) {
+		const endpoint = config.anthropicEndpoint || DEFAULT_ANTHROPIC_ENDPOINT;
+		const apiKey = getApiKey(config);
+
+		const messages = [];
+		if (
+			Array.isArray(conversationHistory) &&
+			conversationHistory.length > 0
+		) {
+			messages.push(...conversationHistory);
+		}
+		messages.push({ role: "user", content: userMessage });
+
+		const response = await fetch(endpoint, {
+			method: "POST",
+			headers: buildHeaders(apiKey),
+			body: JSON.stringify({
+				model: config.anthropicModel || DEFAULT_ANTHROPIC_MODEL,
+				system,
+				messages,
+				max_tokens: config.maxOutputTokens || 8192,
+				// Only temperature: newer models reject temperature + top_p
+				// together, and the other providers' defaults do not map 1:1.
+				temperature: Math.min(config.temperature || 0.7, 1),
+				stream: Boolean(stream),
+			}),
+			signal: stream?.signal,
+		});
+
+		if (!response.ok) {
+			const data = await response.json().catch(() => null);
+			throw new Error(
+				data?.error?.message ||
+					`Anthropic API error: ${response.status} ${response.statusText}`,
+			);
+		}
+
+		const text = stream
+			? (await readAnthropicStream(response, stream)).trim()
+			: extractText(await response.json());
+		if (!text) {
+			throw new Error("No content returned from Anthropic provider.");
+		}
+		return { text };
+	}
+
+	// Anthropic requires strictly alternating user/assistant turns that start
+	// with a user turn, so Gemini-shaped or partial history is normalised here.
+	function normalizeHistory(history) {
+		if (!Array.isArray(history)) return null;
+		const turns = history
+			.map((entry) => {
+				const role =
+					entry?.role === "assistant" || entry?.role === "model"
+						? "assistant"
+						: entry?.role;
+				const content = entry?.content || entry?.parts?.[0]?.text;
+				if (!content || (role !== "user" && role !== "assistant")) {
+					return null;
+				}
+				return { role, content };
+			})
+			.filter(Boolean);
+		while (turns.length && turns[0].role !== "user") turns.shift();
+		const alternating = turns.filter(
+			(turn, i) => i === 0 || turn.role !== turns[i - 1].role,
+		);
+		// The new user turn is appended by the caller.
+		if (alternating.at(-1)?.role === "user") alternating.pop();
+		return alternating.length ? alternating : null;
+	}
+
+	async function enhance(payload, stream) {
+		const config = await initConfig();
+		const basePrompt =
+			payload.isPart && payload.partInfo
+				? `${config.defaultPrompt}\n\nNote: This is part ${payload.partInfo.current} of ${payload.partInfo.total} parts. Please maintain consistency with other parts.`
+				: config.defaultPrompt;
+		const fullPrompt = combinePrompts(
+			basePrompt,
+			config.permanentPrompt,
+			payload.siteSpecificPrompt || "",
+		);
+		const system = `${fullPrompt}\n\n### Title:\n${payload.title}`;
+		const userMessage = `### Content to Enhance:\n${payload.content}`;
+		const history = normalizeHistory(payload.conversationHistory);
+
+		const { text } = await callAnthropic({
+			system,
+			userMessage,
+			config,
+			conversationHistory: history,
+			stream,
+		});
+
+		return {
+			originalContent: payload.content,
+			enhancedContent: text,
+			modelInfo: {
+				name: config.anthropicModel || DEFAULT_ANTHROPIC_MODEL,
+				provider: "Anthropic",
+			},
+			conversationHistory: [
+				...(history || []),
+				{ role: "user", content: userMessage },
+				{ role: "assistant", content: text },
+			].slice(-4),
+		};
+	}
+
+	async function summarize(payload, stream) {
+		const config = await initConfig();
+		const summarizationPrompt = payload.isShort
+			? config.shortSummaryPrompt
+			: config.summaryPrompt;
+		const fullPrompt = combinePrompts(
+			summarizationPrompt,
+			config.permanentPrompt,
+			"",
+		);
+		const { text } = await callAnthropic({
+			system: `${fullPrompt}\n\n### Title:\n${payload.title}`,
+			userMessage: `### Content to Summarize:\n${payload.content}`,
+			config,
+			stream,
+		});
+		return text;
+	}
+
+	return {
+		async generateEnhancement(payload) {
+			return enhance(payload, null);
+		},
+		async streamEnhancement(payload, stream) {
+			return enhance(payload, stream);
+		},
+		async generateSummary(payload) {
+			return summarize(payload, null);
+		},
+		async streamSummary(payload, stream) {
+			return summarize(payload, stream);
+		},
+		async getHealthStatus() {
+			const config = await initConfig();
+			const apiKey = config.anthropicApiKey || "";
+			return {
+				providerId: "anthropic",
+				ok: Boolean(apiKey.trim()),
+				reason: apiKey.trim() ? "ready" : "Missing anthropicApiKey.",
+			};
+		},
+		async listModels() {
+			const config = await initConfig();
+			const endpoint =
+				config.anthropicEndpoint || DEFAULT_ANTHROPIC_ENDPOINT;
+			const selected = config.anthropicModel || DEFAULT_ANTHROPIC_MODEL;
+			const fallback = [
+				{ id: selected, name: selected, endpoint, isSelected: true },
+			];
+			if (!config.anthropicApiKey) return fallback;
+
+			try {
+				const response = await fetch(
+					endpoint.replace(/\/messages\/?$/, "/models?limit=100"),
+					{ headers: buildHeaders(config.anthropicApiKey) },
+				);
+				if (!response.ok) return fallback;
+				const data = await response.json();
+				const models = (data?.data || []).map((model) => ({
+					id: model.id,
+					name: model.display_name || model.id,
+					endpoint,
+					isSelected: model.id === selected,
+				}));
+				return models.length ? models : fallback;
+			} catch (_err) {
+				return fallback;
+			}
+		},
+	};
+}
@@ -18,26 +18,42 @@ export function createGeminiProviderAdapter({
 		);
 	}
 
+	function enhance(payload, stream) {
+		return processContentWithGemini(
+			payload.title,
+			payload.content,
+			payload.isPart,
+			payload.partInfo,
+			payload.useEmoji,
+			payload.conversationHistory,
+			payload.siteSpecificPrompt,
+			stream,
+		);
+	}
+
+	function summarize(payload, stream) {
+		return summarizeContentWithGemini(
+			payload.title,
+			payload.content,
+			payload.isPart,
+			payload.partInfo,
+			payload.isShort,
+			stream,
+		);
+	}
+
 	return {
 		async generateEnhancement(payload) {
-			return processContentWithGemini(
-				payload.title,
-				payload.content,
-				payload.isPart,
-				payload.partInfo,
-				payload.useEmoji,
-				payload.conversationHistory,
-				payload.siteSpecificPrompt,
-			);
+			return enhance(payload, null);
 		},
 		async generateSummary(payload) {
-			return summarizeContentWithGemini(
-				payload.title,
-				payload.content,
-				payload.isPart,
-				payload.partInfo,
-				payload.isShort,
-			);
+			return summarize(payload, null);
+		},
+		async streamEnhancement(payload, stream) {
+			return enhance(payload, stream);
+		},
+		async streamSummary(payload, stream) {
+			return summarize(payload, stream);
 		},
 		async getHealthStatus() {
 			const config = await initConfig();
@@ -1,3 +1,6 @@
+import { DEFAULT_OLLAMA_CONTEXT_TOKENS } from "../../../utils/constants.js";
+import { readNdjson } from "../stream-readers.js";
+
 const DEFAULT_OLLAMA_ENDPOINT = "http://localhost:11434/api/generate";
 const DEFAULT_OLLAMA_MODEL = "llama3.1:8b";
 
@@ -11,7 +14,19 @@ export function createOllamaProviderAdapter({ initConfig, combinePrompts }) {
 		);
 	}
 
-	async function callOllama({ prompt, config }) {
+	async function readOllamaStream(response, stream) {
+		let text = "";
+		await readNdjson(response, (chunk) => {
+			if (chunk?.error) throw new Error(chunk.error);
+			if (typeof chunk?.response === "string" && chunk.response) {
+				text += chunk.response;
+				stream.onDelta?.(text);
+			}
+		});
+		return text;
+	}
+
+	async function callOllama({ prompt, config, stream = null }) {
 		const endpoint = config.ollamaEndpoint || DEFAULT_OLLAMA_ENDPOINT;
 		const model = config.ollamaModel || DEFAULT_OLLAMA_MODEL;
 		const response = await fetch(endpoint, {
@@ -20,66 +35,89 @@ export function createOllamaProviderAdapter({ initConfig, combinePrompts }) {
 			body: JSON.stringify({
 				model,
 				prompt,
-				stream: false,
+				stream: Boolean(stream),
 				options: {
 					temperature: config.temperature || 0.7,
 					top_p: config.topP !== undefined ? config.topP : 0.95,
 					top_k: config.topK !== undefined ? config.topK : 40,
 					num_predict: config.maxOutputTokens || 8192,
+					// Ollama otherwise loads models with a small default window
+					// and silently drops the start of long prompts; chunk sizing
+					// assumes this value.
+					num_ctx:
+						config.ollamaContextTokens ||
+						DEFAULT_OLLAMA_CONTEXT_TOKENS,
 				},
 			}),
+			signal: stream?.signal,
 		});
-		const data = await response.json();
 		if (!response.ok) {
+			const data = await response.json().catch(() => null);
 			throw new Error(
 				data?.error ||
 					`Ollama API error: ${response.status} ${response.statusText}`,
 			);
 		}
-		const text = String(data?.response || "").trim();
+		const text = stream
+			? (await readOllamaStream(response, stream)).trim()
+			: String((await response.json())?.response || "").trim();
 		if (!text) {
 			throw new Error("No content returned from Ollama provider.");
 		}
 		return { text, model };
 	}
 
+	async function enhance(payload, stream) {
+		const config = await initConfig();
+		let enhancementPrompt = config.defaultPrompt;
+		if (payload.isPart && payload.partInfo) {
+			enhancementPrompt += `\n\nNote: This is part ${payload.partInfo.current} of ${payload.partInfo.total} parts. Keep style consistent.`;
+		}
+		const fullPrompt = combinePrompts(
+			enhancementPrompt,
+			config.permanentPrompt,
+			payload.siteSpecificPrompt || "",
+		);
+		const prompt = `${fullPrompt}\n\n### Title:\n${payload.title}\n\n### Content to Enhance:\n${payload.content}`;
+		const { text, model } = await callOllama({ prompt, config, stream });
+		return {
+			originalContent: payload.content,
+			enhancedContent: text,
+			modelInfo: {
+				name: model,
+				provider: "Ollama",
+			},
+			conversationHistory: null,
+		};
+	}
+
+	async function summarize(payload, stream) {
+		const config = await initConfig();
+		const summarizationPrompt = payload.isShort
+			? config.shortSummaryPrompt
+			: config.summaryPrompt;
+		const fullPrompt = combinePrompts(
+			summarizationPrompt,
+			config.permanentPrompt,
+			"",
+		);
+		const prompt = `${fullPrompt}\n\n### Title:\n${payload.title}\n\n### Content to Summarize:\n${payload.content}`;
+		const { text } = await callOllama({ prompt, config, stream });
+		return text;
+	}
+
 	return {
 		async generateEnhancement(payload) {
-			const config = await initConfig();
-			let enhancementPrompt = config.defaultPrompt;
-			if (payload.isPart && payload.partInfo) {
-				enhancementPrompt += `\n\nNote: This is part ${payload.partInfo.current} of ${payload.partInfo.total} parts. Keep style consistent.`;
-			}
-			const fullPrompt = combinePrompts(
-				enhancementPrompt,
-				config.permanentPrompt,
-				payload.siteSpecificPrompt || "",
-			);
-			const prompt = `${fullPrompt}\n\n### Title:\n${payload.title}\n\n### Content to Enhance:\n${payload.content}`;
-			const { text, model } = await callOllama({ prompt, config });
-			return {
-				originalContent: payload.content,
-				enhancedContent: text,
-				modelInfo: {
-					name: model,
-					provider: "Ollama",
-				},
-				conversationHistory: null,
-			};
+			return enhance(payload, null);
+		},
+		async streamEnhancement(payload, stream) {
+			return enhance(payload, stream);
 		},
 		async generateSummary(payload) {
-			const config = await initConfig();
-			const summarizationPrompt = payload.isShort
-				? config.shortSummaryPrompt
-				: config.summaryPrompt;
-			const fullPrompt = combinePrompts(
-				summarizationPrompt,
-				config.permanentPrompt,
-				"",
-			);
-			const prompt = `${fullPrompt}\n\n### Title:\n${payload.title}\n\n### Content to Summarize:\n${payload.content}`;
-			const { text } = await callOllama({ prompt, config });
-			return text;
+			return summarize(payload, null);
+		},
+		async streamSummary(payload, stream) {
+			return summarize(payload, stream);
 		},
 		async getHealthStatus() {
 			const config = await initConfig();
@@ -1,3 +1,5 @@
+import { readSseEvents } from "../stream-readers.js";
+
 const DEFAULT_OPENAI_ENDPOINT = "https://api.openai.com/v1/chat/completions";
 const DEFAULT_OPENAI_MODEL = "gpt-4o-mini";
 
@@ -14,11 +16,36 @@ export function createOpenAICompatibleProviderAdapter({
 		);
 	}
 
+	async function readOpenAIStream(response, stream) {
+		let text = "";
+		await readSseEvents(response, (data) => {
+			if (data === "[DONE]") return;
+			let event;
+			try {
+				event = JSON.parse(data);
+			} catch (_err) {
+				return;
+			}
+			if (event?.error) {
+				throw new Error(
+					event.error.message || "OpenAI-compatible stream error.",
+				);
+			}
+			const delta = event?.choices?.[0]?.delta?.content;
+			if (typeof delta === "string" && delta) {
+				text += delta;
+				stream.onDelta?.(text);
+			}
+		});
+		return text;
+	}
+
 	async function callOpenAI({
 		systemInstruction,
 		userMessage,
 		config,
 		conversationHistory = null,
+		stream = null,
 	}) {
 		const endpoint = config.openAiEndpoint || DEFAULT_OPENAI_ENDPOINT;
 		const apiKey = config.openAiApiKey || config.apiKey || "";
@@ -49,18 +76,22 @@ export function createOpenAICompatibleProviderAdapter({
 				temperature: config.temperature || 0.7,
 				top_p: config.topP !== undefined ? config.topP : 0.95,
 				max_tokens: config.maxOutputTokens || 8192,
+				stream: Boolean(stream),
 			}),
+			signal: stream?.signal,
 		});
 
-		const data = await response.json();
 		if (!response.ok) {
+			const data = await response.json().catch(() => null);
 			throw new Error(
 				data?.error?.message ||
 					`OpenAI-compatible API error: ${response.status} ${response.statusText}`,
 			);
 		}
 
-		const text = data?.choices?.[0]?.message?.content?.trim();
+		const text = stream
+			? (await readOpenAIStream(response, stream)).trim()
+			: (await response.json())?.choices?.[0]?.message?.content?.trim();
 		if (!text) {
 			throw new Error(
 				"No content returned from OpenAI-compatible provider.",
@@ -70,81 +101,97 @@ export function createOpenAICompatibleProviderAdapter({
 		return { text };
 	}
 
+	async function enhance(payload, stream) {
+		const config = await initConfig();
+		const basePrompt =
+			payload.isPart && payload.partInfo
+				? `${config.defaultPrompt}\n\nNote: This is part ${payload.partInfo.current} of ${payload.partInfo.total} parts. Please maintain consistency with other parts.`
+				: config.defaultPrompt;
+		const fullPrompt = combinePrompts(
+			basePrompt,
+			config.permanentPrompt,
+			payload.siteSpecificPrompt || "",
+		);
+		const systemInstruction = `${fullPrompt}\n\n### Title:\n${payload.title}`;
+		const userMessage = `### Content to Enhance:\n${payload.content}`;
+
+		const normalizedHistory = Array.isArray(payload.conversationHistory)
+			? payload.conversationHistory
+					.map((entry) => {
+						const role =
+							entry?.role === "assistant" ||
+							entry?.role === "model"
+								? "assistant"
+								: entry?.role;
+						const content =
+							entry?.content || entry?.parts?.[0]?.text;
+						if (!role || !content) return null;
+						if (role !== "user" && role !== "assistant")
+							return null;
+						return { role, content };
+					})
+					.filter(Boolean)
+			: null;
+
+		const { text } = await callOpenAI({
+			systemInstruction,
+			userMessage,
+			config,
+			conversationHistory: normalizedHistory,
+			stream,
+		});
+
+		const updatedConversationHistory = [
+			...(normalizedHistory || []),
+			{ role: "user", content: userMessage },
+			{ role: "assistant", content: text },
+		].slice(-4);
+
+		return {
+			originalContent: payload.content,
+			enhancedContent: text,
+			modelInfo: {
+				name: config.openAiModel || DEFAULT_OPENAI_MODEL,
+				provider: "OpenAI Compatible",
+			},
+			conversationHistory: updatedConversationHistory,
+		};
+	}
+
+	async function summarize(payload, stream) {
+		const config = await initConfig();
+		const summarizationPrompt = payload.isShort
+			? config.shortSummaryPrompt
+			: config.summaryPrompt;
+		const fullPrompt = combinePrompts(
+			summarizationPrompt,
+			config.permanentPrompt,
+			"",
+		);
+		const systemInstruction = `${fullPrompt}\n\n### Title:\n${payload.title}`;
+		const userMessage = `### Content to Summarize:\n${payload.content}`;
+
+		const { text } = await callOpenAI({
+			systemInstruction,
+			userMessage,
+			config,
+			stream,
+		});
+		return text;
+	}
+
 	return {
 		async generateEnhancement(payload) {
-			const config = await initConfig();
-			const basePrompt =
-				payload.isPart && payload.partInfo
-					? `${config.defaultPrompt}\n\nNote: This is part ${payload.partInfo.current} of ${payload.partInfo.total} parts. Please maintain consistency with other parts.`
-					: config.defaultPrompt;
-			const fullPrompt = combinePrompts(
-				basePrompt,
-				config.permanentPrompt,
-				payload.siteSpecificPrompt || "",
-			);
-			const systemInstruction = `${fullPrompt}\n\n### Title:\n${payload.title}`;
-			const userMessage = `### Content to Enhance:\n${payload.content}`;
-
-			const normalizedHistory = Array.isArray(payload.conversationHistory)
-				? payload.conversationHistory
-						.map((entry) => {
-							const role =
-								entry?.role === "assistant" ||
-								entry?.role === "model"
-									? "assistant"
-									: entry?.role;
-							const content =
-								entry?.content || entry?.parts?.[0]?.text;
-							if (!role || !content) return null;
-							if (role !== "user" && role !== "assistant")
-								return null;
-							return { role, content };
-						})
-						.filter(Boolean)
-				: null;
-
-			const { text } = await callOpenAI({
-				systemInstruction,
-				userMessage,
-				config,
-				conversationHistory: normalizedHistory,
-			});
-
-			const updatedConversationHistory = [
-				...(normalizedHistory || []),
-				{ role: "user", content: userMessage },
-				{ role: "assistant", content: text },
-			].slice(-4);
-
-			return {
-				originalContent: payload.content,
-				enhancedContent: text,
-				modelInfo: {
-					name: config.openAiModel || DEFAULT_OPENAI_MODEL,
-					provider: "OpenAI Compatible",
-				},
-				conversationHistory: updatedConversationHistory,
-			};
+			return enhance(payload, null);
+		},
+		async streamEnhancement(payload, stream) {
+			return enhance(payload, stream);
 		},
 		async generateSummary(payload) {
-			const config = await initConfig();
-			const summarizationPrompt = payload.isShort
-				? config.shortSummaryPrompt
-				: config.summaryPrompt;
-			const fullPrompt = combinePrompts(
-				summarizationPrompt,
-				config.permanentPrompt,
-				"",
-			);
-			const systemInstruction = `${fullPrompt}\n\n### Title:\n${payload.title}`;
-			const userMessage = `### Content to Summarize:\n${payload.content}`;
-
-			const { text } = await callOpenAI({
-				systemInstruction,
-				userMessage,
-				config,
-			});
-			return text;
+			return summarize(payload, null);
+		},
+		async streamSummary(payload, stream) {
+			return summarize(payload, stream);
 		},
 		async getHealthStatus() {
 			const config = await initConfig();
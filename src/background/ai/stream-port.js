@@ -0,0 +1,164 @@
+/**
+ * Background side of streamed AI output.
+ *
+ * Content scripts open one long-lived `AI_STREAM_PORT_NAME` port per tab. Two
+ * things travel over it:
+ *
+ * - Enhancement previews: `processContentInChunks` asks `createStream(tabId,
+ *   { kind: "enhance", chunkIndex })` for a provider stream handle and the hub
+ *   posts `{ type: "delta", kind, chunkIndex, text }` as the model writes. The
+ *   final chunk still arrives through the existing `chunkProcessed` message;
+ *   deltas are a preview only, so a tab without a port simply gets none.
+ * - Summaries: the page posts `{ type: "start", requestId, kind: "summary",
+ *   payload }` and receives `delta` messages followed by exactly one `done`
+ *   (`{ summary }`) or `error`. Closing the port aborts the request.
+ *
+ * `text` is always the cumulative output so far, which keeps a dropped or
+ * coalesced delta harmless.
+ */
+
+import {
+	AI_STREAM_DELTA_THROTTLE_MS,
+	AI_STREAM_PORT_NAME,
+} from "../../utils/constants.js";
+
+export function createAiStreamHub({
+	runtime,
+	summarize,
+	debugLog = () => {},
+	debugError = () => {},
+	throttleMs = AI_STREAM_DELTA_THROTTLE_MS,
+}) {
+	if (!runtime?.onConnect || typeof summarize !== "function") {
+		throw new Error(
+			"createAiStreamHub requires runtime.onConnect and a summarize function.",
+		);
+	}
+
+	const portsByTab = new Map();
+
+	function safePost(port, message) {
+		try {
+			port.postMessage(message);
+			return true;
+		} catch (_err) {
+			return false; // port went away between check and post
+		}
+	}
+
+	function createThrottledSender(send) {
+		let pending = null;
+		let timer = null;
+		let lastSentAt = 0;
+
+		function flush() {
+			timer = null;
+			if (pending === null) return;
+			const text = pending;
+			pending = null;
+			lastSentAt = Date.now();
+			send(text);
+		}
+
+		return {
+			push(text) {
+				pending = text;
+				if (timer) return;
+				const wait = throttleMs - (Date.now() - lastSentAt);
+				if (wait <= 0) flush();
+				else timer = setTimeout(flush, wait);
+			},
+			cancel() {
+				if (timer) clearTimeout(timer);
+				timer = null;
+				pending = null;
+			},
+		};
+	}
+
+	/**
+	 * Stream handle for a provider call whose output belongs to a tab, or
+	 * null when that tab has no stream port (callers then skip streaming).
+	 */
+	function createStream(tabId, { kind = "enhance", chunkIndex = null } = {}) {
+		const entry = portsByTab.get(tabId);
+		if (!entry) return null;
+
+		const sender = createThrottledSender((text) =>
+			safePost(entry.port, { type: "delta", kind, chunkIndex, text }),
+		);
+		return {
+			onDelta: (text) => sender.push(text),
+			close: () => sender.cancel(),
+		};
+	}
+
+	async function handleStart(entry, message) {
+		const { requestId, kind, payload } = message || {};
+		if (kind !== "summary" || !payload) {
+			safePost(entry.port, {
+				type: "error",
+				requestId,
+				error: `Unsupported stream request: ${kind}`,
+			});
+			return;
+		}
+
+		const controller = new AbortController();
+		entry.controllers.add(controller);
+		const sender = createThrottledSender((text) =>
+			safePost(entry.port, { type: "delta", kind, requestId, text }),
+		);
+
+		try {
+			const summary = await summarize(payload, {
+				onDelta: (text) => sender.push(text),
+				signal: controller.signal,
+			});
+			sender.cancel();
+			safePost(entry.port, { type: "done", requestId, summary });
+		} catch (error) {
+			sender.cancel();
+			if (controller.signal.aborted) return;
+			debugError("Streamed summary failed:", error);
+			safePost(entry.port, {
+				type: "error",
+				requestId,
+				error: error?.message || "Unknown error generating summary",
+			});
+		} finally {
+			entry.controllers.delete(controller);
+		}
+	}
+
+	runtime.onConnect.addListener((port) => {
+		if (port.name !== AI_STREAM_PORT_NAME) return;
+		const tabId = port.sender?.tab?.id;
+		if (tabId == null) {
+			port.disconnect();
+			return;
+		}
+
+		const entry = { port, controllers: new Set() };
+		portsByTab.set(tabId, entry);
+		debugLog(`[AI stream] Port opened for tab ${tabId}`);
+
+		port.onMessage.addListener((message) => {
+			if (message?.type === "start") {
+				handleStart(entry, message);
+			}
+		});
+		port.onDisconnect.addListener(() => {
+			for (const controller of entry.controllers) controller.abort();
+			entry.controllers.clear();
+			// A reconnect may already have replaced this entry.
+			if (portsByTab.get(tabId) === entry) portsByTab.delete(tabId);
+			debugLog(`[AI stream] Port closed for tab ${tabId}`);
+		});
+	});
+
+	return {
+		createStream,
+		hasPort: (tabId) => portsByTab.has(tabId),
+	};
+}
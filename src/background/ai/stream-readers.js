@@ -0,0 +1,129 @@
+/**
+ * Incremental readers for streamed provider responses.
+ *
+ * - readSseEvents(response, onData): Server-Sent Events (Gemini `alt=sse`,
+ *   OpenAI-compatible `stream: true`). `onData` receives each event's joined
+ *   `data:` payload as a string.
+ * - readNdjson(response, onObject): newline-delimited JSON (Ollama).
+ * - collectGeminiSse(response, onText): folds Gemini stream events back into
+ *   the same shape a non-streamed `generateContent` call returns, so the
+ *   finishReason / safety / promptFeedback checks downstream stay unchanged.
+ */
+
+async function readLines(response, onLine) {
+	if (!response?.body?.getReader) {
+		// No readable body (older runtimes, mocked responses): read it whole.
+		const text = await response.text();
+		for (const line of text.split(/\r?\n/)) {
+			await onLine(line);
+		}
+		return;
+	}
+
+	const reader = response.body.getReader();
+	const decoder = new TextDecoder();
+	let buffer = "";
+	try {
+		while (true) {
+			const { value, done } = await reader.read();
+			if (done) break;
+			buffer += decoder.decode(value, { stream: true });
+			let newline = buffer.indexOf("\n");
+			while (newline !== -1) {
+				const line = buffer.slice(0, newline).replace(/\r$/, "");
+				buffer = buffer.slice(newline + 1);
+				await onLine(line);
+				newline = buffer.indexOf("\n");
+			}
+		}
+		buffer += decoder.decode();
+		if (buffer) await onLine(buffer.replace(/\r$/, ""));
+	} finally {
+		reader.releaseLock?.();
+	}
+}
+
+export async function readSseEvents(response, onData) {
+	let dataLines = [];
+	const dispatch = async () => {
+		if (dataLines.length === 0) return;
+		const data = dataLines.join("\n");
+		dataLines = [];
+		await onData(data);
+	};
+
+	await readLines(response, async (line) => {
+		if (line === "") {
+			await dispatch();
+			return;
+		}
+		if (line.startsWith(":")) return; // comment / heartbeat
+		if (line.startsWith("data:")) {
+			dataLines.push(line.slice(5).replace(/^ /, ""));
+		}
+	});
+	await dispatch();
+}
+
+export async function readNdjson(response, onObject) {
+	await readLines(response, async (line) => {
+		const trimmed = line.trim();
+		if (!trimmed) return;
+		let parsed;
+		try {
+			parsed = JSON.parse(trimmed);
+		} catch (_err) {
+			return;
+		}
+		await onObject(parsed);
+	});
+}
+
+export async function collectGeminiSse(response, onText = null) {
+	const parts = [];
+	let finishReason;
+	let safetyRatings;
+	let promptFeedback;
+	let usageMetadata;
+	let error;
+
+	await readSseEvents(response, async (data) => {
+		let event;
+		try {
+			event = JSON.parse(data);
+		} catch (_err) {
+			return;
+		}
+		if (event.error) error = event.error;
+		if (event.promptFeedback) promptFeedback = event.promptFeedback;
+		if (event.usageMetadata) usageMetadata = event.usageMetadata;
+
+		const candidate = event.candidates?.[0];
+		if (!candidate) return;
+		if (candidate.finishReason) finishReason = candidate.finishReason;
+		if (candidate.safetyRatings) safetyRatings = candidate.safetyRatings;
+
+		let grew = false;
+		for (const part of candidate.content?.parts || []) {
+			if (typeof part?.text === "string" && part.text) {
+				parts.push(part.text);
+				grew = true;
+			}
+		}
+		if (grew && onText) onText(parts.join(""));
+	});
+
+	const candidate = {
+		content: { role: "model", parts: [{ text: parts.join("") }] },
+	};
+	if (finishReason) candidate.finishReason = finishReason;
+	if (safetyRatings) candidate.safetyRatings = safetyRatings;
+
+	const result = {};
+	// A prompt-level block arrives with no candidates at all; keep it that way.
+	if (parts.length > 0 || finishReason) result.candidates = [candidate];
+	if (promptFeedback) result.promptFeedback = promptFeedback;
+	if (usageMetadata) result.usageMetadata = usageMetadata;
+	if (error) result.error = error;
+	return result;
+}
@@ -1,6 +1,8 @@
 // Background script for Ranobe Gemini
 import { debugLog, debugError } from "../utils/logger.js";
 import {
+	DEFAULT_ANTHROPIC_ENDPOINT,
+	DEFAULT_ANTHROPIC_MODEL,
 	DEFAULT_PROMPT,
 	DEFAULT_MODEL_ENDPOINT,
 	DEFAULT_MODEL_ID,
@@ -9,9 +11,13 @@ import {
 	DEFAULT_SUMMARY_PROMPT,
 	DEFAULT_SHORT_SUMMARY_PROMPT,
 	DEFAULT_CHUNK_SIZE_WORDS,
+	DEFAULT_OLLAMA_CONTEXT_TOKENS,
+	FALLBACK_RECHUNK_MAX_DEPTH,
+	FALLBACK_RETRY_DELAY_MS,
 	KEEP_ALIVE_ALARM_INTERVAL_MINUTES,
 	NOVEL_CHAPTER_CHECK_ALARM_NAME,
 	OAUTH_REDIRECT_URIS,
+	RATE_LIMIT_WAIT_TIME,
 	READING_FONT_DEFAULT,
 } from "../utils/constants.js";
 import chunkingSystem from "../utils/chunking/index.js";
@@ -28,6 +34,7 @@ import {
 	maybeEncryptForTransport,
 } from "../utils/backup-crypto.js";
 import { novelLibrary } from "../utils/novel-library.js";
+import { recordDeviceSettingChanges } from "../utils/device-profiles.js";
 import { notificationManager } from "../utils/notification-manager.js";
 import {
 	initializeTelemetry,
@@ -39,18 +46,44 @@ import {
 	setupNovelUpdateAlarm,
 	handleNovelUpdateAlarm,
 } from "./novel-updater.js";
-import { createProviderRegistry } from "./ai/provider-registry.js";
+import {
+	anthropicMessagesUrl,
+	buildFallbackChain,
+	createProviderRegistry,
+	resolveFallbackRules,
+	resolveProviderSettings,
+	runFallbackChain,
+} from "./ai/provider-registry.js";
+import { callProviderMethod } from "./ai/provider-interface.js";
+import { collectGeminiSse } from "./ai/stream-readers.js";
+import { createAiStreamHub } from "./ai/stream-port.js";
+import { createEnhancementGuard } from "./ai/enhancement-guard.js";
+import { createChapterEnhancer } from "./ai/chapter-enhancer.js";
 import { createGeminiProviderAdapter } from "./ai/providers/gemini-provider.js";
 import { createOpenAICompatibleProviderAdapter } from "./ai/providers/openai-compatible-provider.js";
 import { createOllamaProviderAdapter } from "./ai/providers/ollama-provider.js";
+import { createAnthropicProviderAdapter } from "./ai/providers/anthropic-provider.js";
 import { createStorageSyncOrchestrator } from "./storage/storage-orchestrator.js";
+import { createLibrarySyncEngine } from "./storage/library-sync.js";
+import { createRemoteDeltaBackups } from "./storage/delta-backups.js";
 import { createGoogleDriveStorageAdapter } from "./storage/adapters/google-drive-storage.js";
 import { createWebdavStorageAdapter } from "./storage/adapters/webdav-storage.js";
 import { createOnedriveStorageAdapter } from "./storage/adapters/onedrive-storage.js";
 import { createDropboxStorageAdapter } from "./storage/adapters/dropbox-storage.js";
+import { createS3StorageAdapter } from "./storage/adapters/s3-storage.js";
+import {
+	LOCAL_FOLDER_PROVIDER_ID,
+	createLocalFolderStorageAdapter,
+} from "./storage/adapters/local-folder-storage.js";
 import { createNativeSyncStorageAdapter } from "./storage/adapters/native-sync-storage.js";
 import { pendingAuthFlows } from "../utils/oauth-pkce.js";
+import { getCustomBoxTypes } from "../utils/custom-box-types.js";
+import { runDomJob } from "./dom-host.js";
 import { downloadText } from "../utils/download-data.js";
+import { setChapterEnhancer } from "./loreweave/queue-manager.js";
+import { syncCustomSiteScripts } from "./custom-site-scripts.js";
+import { activateReaderMode } from "./reader-mode.js";
+import { CUSTOM_SITES_KEY } from "../utils/custom-sites.js";
 
 // Gemini safety settings — set all categories to BLOCK_NONE so mature/violent
 // novel content is not refused by the safety filter.
@@ -121,6 +154,7 @@ async function openLibraryTab(hash = "") {
 
 	debugLog("Ranobe Gemini: Background script loaded");
 	const nativeSyncAdapter = createNativeSyncStorageAdapter();
+	const s3Adapter = createS3StorageAdapter();
 	const storageSync = createStorageSyncOrchestrator({
 		browserRef: browser,
 		defaultProvider: "native-sync",
@@ -130,8 +164,30 @@ async function openLibraryTab(hash = "") {
 			webdav: createWebdavStorageAdapter(),
 			onedrive: createOnedriveStorageAdapter(),
 			dropbox: createDropboxStorageAdapter(),
+			s3: s3Adapter,
+			[LOCAL_FOLDER_PROVIDER_ID]: createLocalFolderStorageAdapter(),
 		},
 	});
+	const remoteDeltas = createRemoteDeltaBackups({
+		browserRef: browser,
+		storageSync,
+		decode: maybeDecryptFromTransport,
+	});
+	const librarySync = createLibrarySyncEngine({
+		browserRef: browser,
+		storageSync,
+		novelLibrary,
+		decode: remoteDeltas.resolve,
+		upload: async ({ reason }) => {
+			const prefs = await browser.storage.local.get("driveFolderId");
+			return uploadLibraryBackupToDriveWithHistory({
+				folderId: prefs.driveFolderId,
+				reason,
+				variant: "continuous",
+			});
+		},
+		debugLog,
+	});
 
 	// Landing-page communication runs through content/landing-bridge.js, which is
 	// injected only on the project site. `externally_connectable` is deliberately
@@ -285,6 +341,15 @@ async function openLibraryTab(hash = "") {
 		});
 	});
 
+	// Streamed AI output: per-tab port for enhancement previews and summaries.
+	const aiStreamHub = createAiStreamHub({
+		runtime: browser.runtime,
+		summarize: (payload, stream) =>
+			summarizeForRequest(payload, Boolean(payload.isShort), stream),
+		debugLog,
+		debugError,
+	});
+
 	// Service worker events (Chrome only - Firefox uses event pages)
 	if (isChrome && typeof self !== "undefined" && self.addEventListener) {
 		self.addEventListener("install", () => {
@@ -336,6 +401,10 @@ async function openLibraryTab(hash = "") {
 					scheduleRollingBackupAlarm();
 					ensureInitialRollingBackup();
 				});
+			// Bring the stored library up to this version's schema
+			if (details?.reason === "update") {
+				novelLibrary.migrateStoredLibrary();
+			}
 			// Track install/update
 			initializeTelemetry().then(() => {
 				if (details?.reason === "install") {
@@ -373,6 +442,10 @@ async function openLibraryTab(hash = "") {
 					scheduleRollingBackupAlarm();
 					ensureInitialRollingBackup();
 				});
+			// Bring the stored library up to this version's schema
+			if (details?.reason === "update") {
+				novelLibrary.migrateStoredLibrary();
+			}
 			// Track install/update
 			initializeTelemetry().then(() => {
 				if (details?.reason === "install") {
@@ -437,10 +510,20 @@ async function openLibraryTab(hash = "") {
 		variant = "versioned",
 	}) {
 		const data = await novelLibrary.exportLibrary();
+		let upload = await remoteDeltas.prepare(data, variant);
+		if (upload.needsBase) {
+			// Compaction: a fresh versioned backup becomes the base, and this
+			// continuous upload is a patch against it.
+			await uploadLibraryBackupToDriveWithHistory({
+				folderId,
+				reason: "compaction",
+			});
+			upload = await remoteDeltas.prepare(data, variant);
+			if (upload.needsBase) upload = { payload: data };
+		}
 		// Encrypted only if the user turned it on; otherwise this returns
-		// `data` unchanged and the uploaded file is the same plain JSON it
-		// has always been.
-		const payload = await maybeEncryptForTransport(data);
+		// the payload unchanged and the uploaded file is plain JSON.
+		const payload = await maybeEncryptForTransport(upload.payload);
 		const blob = new Blob([JSON.stringify(payload, null, 2)], {
 			type: "application/json",
 		});
@@ -450,6 +533,11 @@ async function openLibraryTab(hash = "") {
 			variant: variant === "continuous" ? "continuous" : "versioned",
 		});
 		const uploadResult = uploadResultResponse;
+		await remoteDeltas.recordBase({
+			providerId: uploadResult.providerId,
+			file: uploadResult,
+			base: upload.base,
+		});
 
 		const filename = uploadResult.name;
 
@@ -672,17 +760,26 @@ async function openLibraryTab(hash = "") {
 			return { success: false, skipped: true, reason: "up-to-date" };
 		}
 
-		const backupResult = await storageSync.downloadBackup(latestFile.id);
-		const backupData = await maybeDecryptFromTransport(backupResult.data);
-		if (!backupData?.library || !backupData?.version) {
-			return { success: false, skipped: true, reason: "invalid-backup" };
+		let importResult;
+		if (shouldMerge) {
+			// Field-level three-way merge; pushes back whatever this device
+			// has that the remote copy lacks.
+			importResult = await librarySync.sync({ file: latestFile, reason });
+		} else {
+			const backupResult = await storageSync.downloadBackup(
+				latestFile.id,
+			);
+			const backupData = await remoteDeltas.resolve(backupResult.data);
+			if (!backupData?.library || !backupData?.version) {
+				return {
+					success: false,
+					skipped: true,
+					reason: "invalid-backup",
+				};
+			}
+			importResult = await novelLibrary.importLibrary(backupData, false);
 		}
 
-		const importResult = await novelLibrary.importLibrary(
-			backupData,
-			shouldMerge,
-		);
-
 		await browser.storage.local.set({
 			driveLastSync: {
 				fileId: latestFile.id,
@@ -881,13 +978,26 @@ async function openLibraryTab(hash = "") {
 			debugError("Drive sync on startup failed:", err),
 		);
 	}, 15000);
+	syncCustomSiteScripts();
+
+	// A custom site's pages get the content script once its host access is
+	// granted, and lose it when that is revoked.
+	browser.permissions?.onAdded?.addListener(() => syncCustomSiteScripts());
+	browser.permissions?.onRemoved?.addListener(() => syncCustomSiteScripts());
 
 	browser.storage.onChanged.addListener((changes, area) => {
 		if (area !== "local") return;
+		if (changes[CUSTOM_SITES_KEY]) {
+			syncCustomSiteScripts();
+		}
 		// Watch both old and new library keys for changes
 		if (changes.novelHistory || changes.rg_novel_library) {
 			triggerContinuousBackupDebounce();
 		}
+		// The active device profile follows this browser's device settings
+		recordDeviceSettingChanges(changes).catch((err) =>
+			debugError("Device profile update failed:", err),
+		);
 		if (
 			changes.backupMode ||
 			changes.autoBackupEnabled ||
@@ -928,36 +1038,21 @@ async function openLibraryTab(hash = "") {
 			// Get settings directly from storage
 			const data = await browser.storage.local.get();
 
-			// Normalise provider fields from new primaryModelConfig if present
-			const pc = data.primaryModelConfig;
-			let aiProvider = data.aiProvider || "gemini";
-			let openAiEndpoint =
-				data.openAiEndpoint ||
-				"https://api.openai.com/v1/chat/completions";
-			let openAiModel = data.openAiModel || "gpt-4o-mini";
-			let openAiApiKey = data.openAiApiKey || "";
-			let ollamaEndpoint =
-				data.ollamaEndpoint || "http://localhost:11434/api/generate";
-			let ollamaModel = data.ollamaModel || "llama3.1:8b";
-			let modelEndpoint = data.modelEndpoint || DEFAULT_MODEL_ENDPOINT;
-
 			// _configOverride means we're routing to the fallback provider — skip primary normalisation
-			if (pc && !_configOverride) {
-				if (pc.provider === "openai") {
-					aiProvider = "openai-compatible";
-					if (pc.baseUrl) openAiEndpoint = pc.baseUrl;
-					if (pc.modelId) openAiModel = pc.modelId;
-					if (pc.apiKey) openAiApiKey = pc.apiKey;
-				} else if (pc.provider === "ollama") {
-					aiProvider = "ollama";
-					if (pc.baseUrl)
-						ollamaEndpoint = pc.baseUrl + "/api/generate";
-					if (pc.modelId) ollamaModel = pc.modelId;
-				} else {
-					aiProvider = "gemini";
-					if (pc.endpoint) modelEndpoint = pc.endpoint;
-				}
-			}
+			const {
+				aiProvider,
+				openAiEndpoint,
+				openAiModel,
+				openAiApiKey,
+				ollamaEndpoint,
+				ollamaModel,
+				anthropicEndpoint,
+				anthropicModel,
+				anthropicApiKey,
+				modelEndpoint,
+			} = resolveProviderSettings(data, {
+				applyPrimarySlot: !_configOverride,
+			});
 
 			const base = {
 				aiProvider,
@@ -966,6 +1061,11 @@ async function openLibraryTab(hash = "") {
 				openAiApiKey,
 				ollamaEndpoint,
 				ollamaModel,
+				ollamaContextTokens:
+					data.ollamaContextTokens || DEFAULT_OLLAMA_CONTEXT_TOKENS,
+				anthropicEndpoint,
+				anthropicModel,
+				anthropicApiKey,
 				apiKey: data.apiKey || "",
 				backupApiKeys: data.backupApiKeys || [],
 				apiKeyRotation: data.apiKeyRotation || "failover",
@@ -988,6 +1088,9 @@ async function openLibraryTab(hash = "") {
 					: "",
 				fallbackModelEnabled: data.fallbackModelEnabled || false,
 				fallbackModelConfig: data.fallbackModelConfig || null,
+				primaryModelConfig: pc || null,
+				fallbackChain: data.fallbackChain || null,
+				fallbackRules: data.fallbackRules || null,
 				chunkingEnabled: data.chunkingEnabled !== false,
 				chunkSize: data.chunkSize || 20000,
 				chunkThreshold: data.chunkSize || 20000,
@@ -1011,6 +1114,10 @@ async function openLibraryTab(hash = "") {
 				openAiApiKey: "",
 				ollamaEndpoint: "http://localhost:11434/api/generate",
 				ollamaModel: "llama3.1:8b",
+				ollamaContextTokens: DEFAULT_OLLAMA_CONTEXT_TOKENS,
+				anthropicEndpoint: DEFAULT_ANTHROPIC_ENDPOINT,
+				anthropicModel: DEFAULT_ANTHROPIC_MODEL,
+				anthropicApiKey: "",
 				apiKey: "",
 				backupApiKeys: [],
 				apiKeyRotation: "failover",
@@ -1071,6 +1178,14 @@ async function openLibraryTab(hash = "") {
 			}),
 		);
 
+		aiProviderRegistry.registerProvider(
+			"anthropic",
+			createAnthropicProviderAdapter({
+				initConfig,
+				combinePrompts,
+			}),
+		);
+
 		return aiProviderRegistry;
 	}
 
@@ -1102,6 +1217,14 @@ async function openLibraryTab(hash = "") {
 				ollamaModel: fc.modelId || "llama3.1:8b",
 			};
 		}
+		if (fc.provider === "anthropic") {
+			return {
+				aiProvider: "anthropic",
+				anthropicEndpoint: anthropicMessagesUrl(fc.baseUrl),
+				anthropicModel: fc.modelId || DEFAULT_ANTHROPIC_MODEL,
+				anthropicApiKey: fc.apiKey || "",
+			};
+		}
 		// gemini fallback — route to different model
 		return {
 			aiProvider: "gemini",
@@ -1113,37 +1236,207 @@ async function openLibraryTab(hash = "") {
 		};
 	}
 
-	async function tryWithFallback(method, payload) {
-		const provider = await getActiveProviderAdapter();
+	// Run `method` on one chain entry. The primary entry uses the stored
+	// config as-is; later entries swap in their provider via _configOverride.
+	async function callChainEntry(entry, method, payload, stream) {
+		if (entry.isPrimary) {
+			const provider = await getActiveProviderAdapter();
+			return callProviderMethod(provider, method, payload, stream);
+		}
+		const override = buildFallbackOverride(entry);
+		_configOverride = override;
+		aiProviderRegistry = null; // force re-resolve with new aiProvider
+		try {
+			const provider = await getActiveProviderAdapter();
+			return await callProviderMethod(provider, method, payload, stream);
+		} finally {
+			_configOverride = null;
+			aiProviderRegistry = null;
+		}
+	}
+
+	// Walk the fallback chain (primary first). Resolves `{ result, route }`;
+	// see runFallbackChain for how each failure class is routed.
+	async function tryWithFallback(method, payload, stream = null) {
+		const config = await initConfig();
+		return runFallbackChain({
+			entries: buildFallbackChain(config),
+			rules: resolveFallbackRules(config.fallbackRules),
+			allowRechunk: method === "generateEnhancement",
+			retryDelayMs: FALLBACK_RETRY_DELAY_MS,
+			invoke: (entry) => callChainEntry(entry, method, payload, stream),
+			debugLog,
+		});
+	}
+
+	// Every enhancement is checked against its original before it is returned
+	// (see ai/enhancement-guard.js): a model that continued the story or
+	// summarised it gets one strict retry, then the chunk is rejected.
+	const enhancementGuard = createEnhancementGuard({
+		enhance: (payload, stream) => enhanceWithFallback(payload, stream),
+		isEnabled: async () => {
+			const { enhancementGuardEnabled } = await browser.storage.local.get(
+				"enhancementGuardEnabled",
+			);
+			return enhancementGuardEnabled !== false;
+		},
+		debugLog,
+	});
+
+	async function processContentWithProvider(payload, stream = null) {
+		return enhancementGuard.enhance(payload, stream);
+	}
+
+	// `stream` ({ onDelta, signal }) is optional; providers without a streaming
+	// method ignore it and resolve with the full result as before. The route
+	// the chain took is kept on `modelInfo.route` for the attribution.
+	async function enhanceWithFallback(
+		payload,
+		stream = null,
+		rechunkDepth = 0,
+	) {
 		try {
-			return await provider[method](payload);
-		} catch (primaryErr) {
-			const config = await initConfig();
-			if (!config.fallbackModelEnabled || !config.fallbackModelConfig)
-				throw primaryErr;
-			const override = buildFallbackOverride(config.fallbackModelConfig);
-			if (!override) throw primaryErr;
-			debugLog(
-				`Primary provider failed (${primaryErr.message}). Trying fallback provider: ${config.fallbackModelConfig.provider}`,
+			const { result, route } = await tryWithFallback(
+				"generateEnhancement",
+				payload,
+				stream,
 			);
-			_configOverride = override;
-			aiProviderRegistry = null; // force re-resolve with new aiProvider
-			try {
-				const fallbackProvider = await getActiveProviderAdapter();
-				return await fallbackProvider[method](payload);
-			} finally {
-				_configOverride = null;
-				aiProviderRegistry = null;
+			return {
+				...result,
+				modelInfo: { ...(result?.modelInfo || {}), route },
+			};
+		} catch (error) {
+			if (
+				error?.fallbackAction !== "rechunk" ||
+				rechunkDepth >= FALLBACK_RECHUNK_MAX_DEPTH
+			) {
+				throw error;
 			}
+			return enhanceInSmallerPieces(payload, stream, rechunkDepth, error);
+		}
+	}
+
+	// Context-length failures: halve the piece by words, enhance the halves
+	// in order (each continuing the previous one's conversation) and join
+	// them, so the caller still gets one result for the chunk it asked for.
+	async function enhanceInSmallerPieces(payload, stream, depth, cause) {
+		const words = chunkingSystem.core.countWords(payload.content);
+		const pieces = chunkingSystem.core.splitContentByWords(
+			payload.content,
+			Math.max(Math.ceil(words / 2), 50),
+		);
+		if (pieces.length < 2) throw cause;
+
+		debugLog(
+			`Re-chunking ${words} words into ${pieces.length} smaller pieces after ${cause.failureClass}.`,
+		);
+		let enhancedSoFar = "";
+		let last = null;
+		let conversationHistory = payload.conversationHistory;
+		for (const piece of pieces) {
+			const prefix = enhancedSoFar ? `${enhancedSoFar}\n\n` : "";
+			const pieceStream = stream
+				? {
+						signal: stream.signal,
+						onDelta: (text) => stream.onDelta(prefix + text),
+					}
+				: null;
+			last = await enhanceWithFallback(
+				{ ...payload, content: piece.content, conversationHistory },
+				pieceStream,
+				depth + 1,
+			);
+			enhancedSoFar = prefix + last.enhancedContent;
+			conversationHistory = last.conversationHistory;
 		}
+
+		return {
+			...last,
+			originalContent: payload.content,
+			enhancedContent: enhancedSoFar,
+			modelInfo: {
+				...last.modelInfo,
+				route: [...cause.route, ...(last.modelInfo?.route || [])],
+				rechunkedInto: pieces.length,
+			},
+		};
 	}
 
-	async function processContentWithProvider(payload) {
-		return tryWithFallback("generateEnhancement", payload);
+	async function summarizeContentWithProvider(payload, stream = null) {
+		const { result } = await tryWithFallback(
+			"generateSummary",
+			payload,
+			stream,
+		);
+		return result;
 	}
 
-	async function summarizeContentWithProvider(payload) {
-		return tryWithFallback("generateSummary", payload);
+	// Archive jobs and the library reader enhance whole chapters with no tab
+	// to stream into, with the prompt context a page request would carry
+	// (see ai/chapter-enhancer.js).
+	const chapterEnhancer = createChapterEnhancer({
+		enhance: (payload) => processContentWithProvider(payload),
+		split: async (content) => {
+			const { chunkSizeWords } =
+				await chunkingSystem.budget.getChunkSizeForContent(content);
+			return chunkingSystem.core.splitContentByWords(
+				content,
+				chunkSizeWords,
+			);
+		},
+		getSitePrompt: (url) => runDomJob("siteSpecificPrompt", { url }),
+		findNovel: ({ novelId, url }) =>
+			novelId
+				? novelLibrary.getNovel(novelId)
+				: novelLibrary.getNovelByUrl(url),
+		getCustomBoxTypes,
+		debugLog,
+	});
+	const enhanceWholeChapter = chapterEnhancer.enhanceChapter;
+	setChapterEnhancer(enhanceWholeChapter);
+
+	// Summary for a page request (runtime message or stream port), saved into
+	// the LoreWeave chronicle when that is enabled for the chapter.
+	async function summarizeForRequest(request, isShort, stream = null) {
+		const summary = await summarizeContentWithProvider(
+			{
+				title: request.title,
+				content: request.content,
+				isPart: request.isPart,
+				partInfo: request.partInfo,
+				isShort,
+			},
+			stream,
+		);
+
+		try {
+			const chronicleConfig = await browser.storage.local.get([
+				"loreWeaveChronicleEnabled",
+				"loreWeaveNovelId",
+			]);
+			if (
+				chronicleConfig.loreWeaveChronicleEnabled &&
+				chronicleConfig.loreWeaveNovelId &&
+				request.chapterNum
+			) {
+				const chronicleStoreKey = `rg_chronicle_${chronicleConfig.loreWeaveNovelId}`;
+				const storedChronicle =
+					await browser.storage.local.get(chronicleStoreKey);
+				const chronicle = storedChronicle[chronicleStoreKey];
+				if (chronicle?.chapters?.[request.chapterNum]) {
+					chronicle.chapters[request.chapterNum][
+						isShort ? "shortSummary" : "summary"
+					] = summary;
+					chronicle.lastUpdated = Date.now();
+					await browser.storage.local.set({
+						[chronicleStoreKey]: chronicle,
+					});
+				}
+			}
+		} catch (_chronicleErr) {
+			// Non-blocking — never disrupt summary flow
+		}
+		return summary;
 	}
 
 	// Get the current API key based on rotation strategy
@@ -1183,8 +1476,15 @@ async function openLibraryTab(hash = "") {
 		};
 	}
 
-	// Make API call with automatic key rotation on rate limit errors
-	async function makeApiCallWithRotation(modelEndpoint, requestBody, config) {
+	// Make API call with automatic key rotation on rate limit errors.
+	// With `options.stream`, the call goes to `:streamGenerateContent` (SSE) and
+	// the events are folded back into the usual responseData shape.
+	async function makeApiCallWithRotation(
+		modelEndpoint,
+		requestBody,
+		config,
+		{ stream = null } = {},
+	) {
 		const allKeys = [config.apiKey, ...config.backupApiKeys].filter(
 			(k) => k && k.trim(),
 		);
@@ -1208,16 +1508,27 @@ async function openLibraryTab(hash = "") {
 			);
 
 			try {
-				const response = await fetch(`${modelEndpoint}?key=${apiKey}`, {
+				const url =
+					stream && modelEndpoint.includes(":generateContent")
+						? `${modelEndpoint.replace(
+								":generateContent",
+								":streamGenerateContent",
+							)}?alt=sse&key=${apiKey}`
+						: `${modelEndpoint}?key=${apiKey}`;
+				const response = await fetch(url, {
 					method: "POST",
 					headers: {
 						"Content-Type": "application/json",
 					},
 					body: JSON.stringify(requestBody),
+					signal: stream?.signal,
 				});
 
-				// Parse the response
-				const responseData = await response.json();
+				// Parse the response (errors are plain JSON even when streaming)
+				const responseData =
+					stream && response.ok
+						? await collectGeminiSse(response, stream.onDelta)
+						: await response.json();
 
 				// Check for rate limiting
 				if (response.status === 429) {
@@ -1265,6 +1576,9 @@ async function openLibraryTab(hash = "") {
 					keyUsed: currentKeyInfo.index,
 				};
 			} catch (fetchError) {
+				// The reader went away; another key would not help.
+				if (fetchError?.name === "AbortError") throw fetchError;
+
 				// Network error or other fetch failure
 				debugError(
 					`API call failed with key ${currentKeyInfo.index + 1}:`,
@@ -1298,11 +1612,17 @@ async function openLibraryTab(hash = "") {
 	 * Like makeApiCallWithRotation but retries once with the configured backup
 	 * model when the primary model returns a high-load / 503 / overloaded error.
 	 */
-	async function makeApiCallWithFallback(modelEndpoint, requestBody, config) {
+	async function makeApiCallWithFallback(
+		modelEndpoint,
+		requestBody,
+		config,
+		options = {},
+	) {
 		const result = await makeApiCallWithRotation(
 			modelEndpoint,
 			requestBody,
 			config,
+			options,
 		);
 
 		// If the primary call succeeded, return immediately
@@ -1335,6 +1655,7 @@ async function openLibraryTab(hash = "") {
 					backupEndpoint,
 					requestBody,
 					config,
+					options,
 				);
 				if (fallback.response.ok) {
 					debugLog("Backup model succeeded.");
@@ -1604,7 +1925,7 @@ async function openLibraryTab(hash = "") {
 		if (message.action === "downloadDriveBackup") {
 			storageSync
 				.downloadBackup(message.fileId)
-				.then(({ data }) => maybeDecryptFromTransport(data))
+				.then(({ data }) => remoteDeltas.resolve(data))
 				.then((data) => sendResponse({ success: true, data }))
 				.catch((error) =>
 					sendResponse({
@@ -1621,7 +1942,7 @@ async function openLibraryTab(hash = "") {
 					const backupResult = await storageSync.downloadBackup(
 						message.fileId,
 					);
-					const backupData = await maybeDecryptFromTransport(
+					const backupData = await remoteDeltas.resolve(
 						backupResult.data,
 					);
 					if (!backupData?.library || !backupData?.version) {
@@ -1676,6 +1997,49 @@ async function openLibraryTab(hash = "") {
 			return true;
 		}
 
+		if (message.action === "syncLibraryNow") {
+			librarySync
+				.sync({
+					reason: message.reason || "manual",
+					choices: message.choices || null,
+				})
+				.then((result) => sendResponse(result))
+				.catch((error) =>
+					sendResponse({ success: false, error: error.message }),
+				);
+			return true;
+		}
+
+		if (message.action === "previewLibrarySync") {
+			librarySync
+				.preview()
+				.then((result) => sendResponse(result))
+				.catch((error) =>
+					sendResponse({ success: false, error: error.message }),
+				);
+			return true;
+		}
+
+		if (message.action === "getLibrarySyncState") {
+			librarySync
+				.getState()
+				.then((state) => sendResponse({ success: true, state }))
+				.catch((error) =>
+					sendResponse({ success: false, error: error.message }),
+				);
+			return true;
+		}
+
+		if (message.action === "testS3Connection") {
+			s3Adapter
+				.ensureAuth()
+				.then((result) => sendResponse(result))
+				.catch((error) =>
+					sendResponse({ success: false, error: error.message }),
+				);
+			return true;
+		}
+
 		if (message.action === "ensureDriveAuth") {
 			storageSync
 				.ensureAuth({ interactive: true })
@@ -2146,6 +2510,7 @@ async function openLibraryTab(hash = "") {
 									error:
 										error.message ||
 										"Unknown error processing with Gemini",
+									rejected: error.guardRejected === true,
 								});
 							});
 					} else {
@@ -2181,6 +2546,7 @@ async function openLibraryTab(hash = "") {
 									error:
 										error.message ||
 										"Unknown error processing with Gemini",
+									rejected: error.guardRejected === true,
 								});
 							});
 					}
@@ -2350,6 +2716,8 @@ async function openLibraryTab(hash = "") {
 											error: error.message,
 											isRateLimit: false,
 											isResumed: true,
+											isRejected:
+												error.guardRejected === true,
 										})
 										.catch((error) =>
 											debugError(
@@ -2456,6 +2824,7 @@ async function openLibraryTab(hash = "") {
 						success: false,
 						error:
 							error.message || "Unknown error re-enhancing chunk",
+						rejected: error.guardRejected === true,
 					});
 				}
 			})();
@@ -2464,43 +2833,8 @@ async function openLibraryTab(hash = "") {
 		}
 
 		if (message.action === "summarizeWithGemini") {
-			summarizeContentWithProvider({
-				title: message.title,
-				content: message.content,
-				isPart: message.isPart,
-				partInfo: message.partInfo,
-				isShort: false,
-			})
-				.then(async (summary) => {
-					// Save summary to chronicle if enabled
-					try {
-						const chronicleConfig = await browser.storage.local.get(
-							["loreWeaveChronicleEnabled", "loreWeaveNovelId"],
-						);
-						if (
-							chronicleConfig.loreWeaveChronicleEnabled &&
-							chronicleConfig.loreWeaveNovelId &&
-							message.chapterNum
-						) {
-							const chronicleStoreKey = `rg_chronicle_${chronicleConfig.loreWeaveNovelId}`;
-							const storedChronicle =
-								await browser.storage.local.get(
-									chronicleStoreKey,
-								);
-							const chronicle =
-								storedChronicle[chronicleStoreKey];
-							if (chronicle?.chapters?.[message.chapterNum]) {
-								chronicle.chapters[message.chapterNum].summary =
-									summary;
-								chronicle.lastUpdated = Date.now();
-								await browser.storage.local.set({
-									[chronicleStoreKey]: chronicle,
-								});
-							}
-						}
-					} catch (_chronicleErr) {
-						// Non-blocking — never disrupt summary flow
-					}
+			summarizeForRequest(message, false)
+				.then((summary) => {
 					sendResponse({ success: true, summary: summary });
 				})
 				.catch((error) => {
@@ -2515,46 +2849,33 @@ async function openLibraryTab(hash = "") {
 			return true; // Indicates we'll send a response asynchronously
 		}
 
-		// Handle short summary requests
-		if (message.action === "shortSummarizeWithGemini") {
-			summarizeContentWithProvider({
-				title: message.title,
+		// Whole-chapter enhancement for pages without a content script (the
+		// library reader); the enhanced HTML comes back in one response.
+		if (message.action === "enhanceWholeChapter") {
+			enhanceWholeChapter({
+				title: message.title || "Content",
 				content: message.content,
-				isPart: message.isPart,
-				partInfo: message.partInfo,
-				isShort: true,
+				url: message.url,
+				novelId: message.novelId,
 			})
-				.then(async (summary) => {
-					// Save summary to chronicle if enabled
-					try {
-						const chronicleConfig = await browser.storage.local.get(
-							["loreWeaveChronicleEnabled", "loreWeaveNovelId"],
-						);
-						if (
-							chronicleConfig.loreWeaveChronicleEnabled &&
-							chronicleConfig.loreWeaveNovelId &&
-							message.chapterNum
-						) {
-							const chronicleStoreKey = `rg_chronicle_${chronicleConfig.loreWeaveNovelId}`;
-							const storedChronicle =
-								await browser.storage.local.get(
-									chronicleStoreKey,
-								);
-							const chronicle =
-								storedChronicle[chronicleStoreKey];
-							if (chronicle?.chapters?.[message.chapterNum]) {
-								chronicle.chapters[
-									message.chapterNum
-								].shortSummary = summary;
-								chronicle.lastUpdated = Date.now();
-								await browser.storage.local.set({
-									[chronicleStoreKey]: chronicle,
-								});
-							}
-						}
-					} catch (_chronicleErr) {
-						// Non-blocking — never disrupt summary flow
-					}
+				.then((enhancedContent) => {
+					sendResponse({ success: true, enhancedContent });
+				})
+				.catch((error) => {
+					debugError("Error enhancing chapter:", error);
+					sendResponse({
+						success: false,
+						error:
+							error.message || "Unknown error enhancing chapter",
+					});
+				});
+			return true; // Indicates we'll send a response asynchronously
+		}
+
+		// Handle short summary requests
+		if (message.action === "shortSummarizeWithGemini") {
+			summarizeForRequest(message, true)
+				.then((summary) => {
 					sendResponse({ success: true, summary: summary });
 				})
 				.catch((error) => {
@@ -2710,7 +3031,9 @@ async function openLibraryTab(hash = "") {
 			return true;
 		}
 
-		return false;
+		// Everything else goes to the handler registry (queue, story chat,
+		// LoreWeave). It answers false for actions it does not know.
+		return processMessage(message, sender, sendResponse);
 	});
 
 	// Get model information based on current configuration
@@ -2791,61 +3114,28 @@ async function openLibraryTab(hash = "") {
 				});
 			}
 
-			// Get model info to determine appropriate chunk size
-			const modelInfo = await getModelInfo();
-			const modelContextSize = modelInfo.maxContextSize || 16000;
-
-			// Calculate safe chunk size based on model context
-			// Reserve space for: system prompt (~1500 tokens), conversation history (~2000 tokens), output (~maxOutputTokens)
-			// Average word = ~1.3 tokens, average character = ~0.25 tokens
-			const promptOverheadTokens = 1500;
-			const historyOverheadTokens = 2000;
-			const outputTokens = currentConfig.maxOutputTokens || 8192;
-			const availableInputTokens =
-				modelContextSize -
-				promptOverheadTokens -
-				historyOverheadTokens -
-				outputTokens;
-
-			// Convert tokens to characters (roughly 4 chars per token for English text)
-			const maxCharsForInput = Math.max(availableInputTokens * 4, 4000);
-
-			// Use the smaller of: configured chunk size (words), calculated safe size, or 3200 default
-			// NOTE: Default 3200 words MUST match content.js and other references for consistency
-			const configuredChunkSizeWords =
-				currentConfig.chunkSizeWords || 3200;
-			// Convert words to approximate character count for comparison (1 word ≈ 7 chars)
-			const configuredChunkSizeChars = configuredChunkSizeWords * 7;
-			const effectiveChunkSizeChars = Math.min(
-				configuredChunkSizeChars,
-				maxCharsForInput,
-			);
-			const effectiveChunkSizeWords = Math.floor(
-				effectiveChunkSizeChars / 7,
-			);
+			// Chunk size comes from the primary model's token budget (or the
+			// fixed word count, if the user chose that). The content script sizes
+			// its chunk placeholders with the same call on the same text, so
+			// with forceChunking both sides arrive at the same chunk count.
+			const sizing =
+				await chunkingSystem.budget.getChunkSizeForContent(content);
+			const chunkSizeWords = sizing.chunkSizeWords;
+			const contentWords = chunkingSystem.core.countWords(content);
 
-			debugLog(
-				`[processContentInChunks] Model: ${modelInfo.modelId}, Context: ${modelContextSize} tokens`,
-			);
-			debugLog(
-				`[processContentInChunks] Available for input: ~${availableInputTokens} tokens (~${maxCharsForInput} chars)`,
-			);
-			debugLog(
-				`[processContentInChunks] Using effective chunk size: ${effectiveChunkSizeWords} words (~${effectiveChunkSizeChars} characters)`,
-			);
-			if (effectiveChunkSizeWords < configuredChunkSizeWords) {
+			if (sizing.limits) {
 				debugLog(
-					`[processContentInChunks] WARNING: Model context (${modelContextSize} tokens) limits effective chunk size to ${effectiveChunkSizeWords} words, below configured ${configuredChunkSizeWords} words. Consider increasing model context or reducing chunk size.`,
+					`[processContentInChunks] ${sizing.limits.provider} ${sizing.limits.modelId || ""}: context ${sizing.limits.contextTokens}, max output ${sizing.limits.maxOutputTokens} → ~${sizing.budgetTokens} input tokens per chunk`,
 				);
 			}
 			debugLog(
-				`[processContentInChunks] Content length: ${content.length}, effectiveChunkSize: ${effectiveChunkSizeChars}`,
+				`[processContentInChunks] Chunk size: ${chunkSizeWords} words (${sizing.mode}); content: ${contentWords} words`,
 			);
 
 			// Only split if content exceeds the chunk size (unless forced)
-			if (!forceChunking && content.length <= effectiveChunkSizeChars) {
+			if (!forceChunking && contentWords <= chunkSizeWords) {
 				debugLog(
-					`[processContentInChunks] Content (${content.length}) <= effectiveChunkSize (${effectiveChunkSizeChars}), processing as single piece.`,
+					`[processContentInChunks] Content fits in one chunk, processing as single piece.`,
 				);
 				return await processContentWithProvider({
 					title,
@@ -2858,23 +3148,10 @@ async function openLibraryTab(hash = "") {
 				});
 			}
 
-			// When forceChunking is true, the content script already created DOM wrappers
-			// using the configured chunk size. We MUST split with the same size here
-			// so the chunk count matches, otherwise chunks won't find their DOM targets.
-			const splitSizeWords = forceChunking
-				? configuredChunkSizeWords
-				: effectiveChunkSizeWords;
-
-			debugLog(
-				"[processContentInChunks] Content exceeds chunk size, using word-based paragraph-aware splitting...",
-			);
-			debugLog(
-				`[processContentInChunks] Split size: ${splitSizeWords} words (${forceChunking ? "configured — matching content script" : "model-aware effective"})`,
-			);
 			// Use new modular chunking system with paragraph awareness
 			const chunks = chunkingSystem.core.splitContentByWords(
 				content,
-				splitSizeWords,
+				chunkSizeWords,
 			);
 			const contentChunks = chunks.map((chunk) => chunk.content);
 			const totalChunks = contentChunks.length;
@@ -3042,41 +3319,30 @@ async function openLibraryTab(hash = "") {
 
 						// Process with Gemini, passing conversation history for context
 						// NOTE: For first chunk, don't pass conversation history to avoid pollution
-						const result = await processContentWithProvider({
-							title,
-							content: chunk,
-							isPart: true,
-							partInfo,
-							useEmoji,
-							conversationHistory:
-								i === 0 ? null : conversationHistory,
-							siteSpecificPrompt,
-						});
-
-						// Guard against excessive shortening (avoid accidental summaries)
-						const originalWordCount = chunkingSystem?.core
-							?.countWords
-							? chunkingSystem.core.countWords(chunk)
-							: 0;
-						const enhancedWordCount = chunkingSystem?.core
-							?.countWords
-							? chunkingSystem.core.countWords(
-									result.enhancedContent,
-								)
-							: 0;
-						const minRetentionRatio = 0.7;
-						if (originalWordCount >= 200 && enhancedWordCount > 0) {
-							const minWords = Math.round(
-								originalWordCount * minRetentionRatio,
+						// Live preview of this chunk while the model writes it
+						const chunkStream = tabId
+							? aiStreamHub.createStream(tabId, {
+									kind: "enhance",
+									chunkIndex: i,
+								})
+							: null;
+						let result;
+						try {
+							result = await processContentWithProvider(
+								{
+									title,
+									content: chunk,
+									isPart: true,
+									partInfo,
+									useEmoji,
+									conversationHistory:
+										i === 0 ? null : conversationHistory,
+									siteSpecificPrompt,
+								},
+								chunkStream,
 							);
-							if (enhancedWordCount < minWords) {
-								debugError(
-									`[processContentInChunks] Enhanced content too short (${enhancedWordCount}/${originalWordCount} words). Retrying chunk ${i}.`,
-								);
-								throw new Error(
-									`Enhanced content too short (${enhancedWordCount}/${originalWordCount} words).`,
-								);
-							}
+						} finally {
+							chunkStream?.close();
 						}
 
 						// Store the result for this chunk
@@ -3104,6 +3370,7 @@ async function openLibraryTab(hash = "") {
 										enhancedContent: result.enhancedContent,
 										isResumed: retryCount > 0,
 										modelInfo: result.modelInfo,
+										chunkSizeWords,
 									},
 									isComplete:
 										i === totalChunks - 1 &&
@@ -3137,8 +3404,9 @@ async function openLibraryTab(hash = "") {
 								error.message.includes("429"));
 
 						if (isRateLimitError) {
-							// Parse retry time from error message if available
-							let waitTime = 60000; // Default 1 minute
+							// The whole fallback chain is rate-limited; wait for the
+							// time the provider asked for, if it said one.
+							let waitTime = RATE_LIMIT_WAIT_TIME;
 							const timeMatch =
 								error.message.match(/(\d+) seconds/);
 							if (timeMatch && timeMatch[1]) {
@@ -3247,6 +3515,8 @@ async function openLibraryTab(hash = "") {
 										isRateLimit: false,
 										isResumed: false,
 										finalFailure: true,
+										isRejected:
+											error.guardRejected === true,
 									})
 									.catch((error) =>
 										debugError(
@@ -3312,6 +3582,7 @@ async function openLibraryTab(hash = "") {
 		useEmoji = false,
 		conversationHistory = null,
 		siteSpecificPrompt = "",
+		stream = null,
 	) {
 		try {
 			// CRITICAL: Validate content exists and has substance
@@ -3575,6 +3846,7 @@ async function openLibraryTab(hash = "") {
 					modelEndpoint,
 					requestBody,
 					currentConfig,
+					{ stream },
 				);
 
 			// Log the response if debug mode is enabled
@@ -3758,6 +4030,7 @@ async function openLibraryTab(hash = "") {
 		isPart = false,
 		partInfo = null,
 		isShort = false,
+		stream = null,
 	) {
 		try {
 			// Load latest config
@@ -3859,12 +4132,15 @@ async function openLibraryTab(hash = "") {
 				});
 			}
 
-			// Make the API call with automatic key rotation + backup-model fallback
+			// Make the API call with automatic key rotation + backup-model fallback.
+			// Only this first attempt streams; the quality retries below replace
+			// the text wholesale and reach the page with the final response.
 			const { response, responseData, keyUsed } =
 				await makeApiCallWithFallback(
 					modelEndpoint,
 					requestBody,
 					currentConfig,
+					{ stream },
 				);
 
 			if (currentConfig.debugMode) {
@@ -4388,6 +4664,13 @@ async function openLibraryTab(hash = "") {
 					contexts: ["action"],
 				});
 
+				// Reader mode for pages no site handler covers
+				browser.contextMenus.create({
+					id: "activateReaderMode",
+					title: "📖 Read This Page with Ranobe Gemini",
+					contexts: ["page", "action"],
+				});
+
 				debugLog("Context menus created successfully");
 			})
 			.catch((err) => debugError("Error creating context menus:", err));
@@ -4396,7 +4679,7 @@ async function openLibraryTab(hash = "") {
 	}
 
 	// Handle context menu clicks
-	browser.contextMenus.onClicked.addListener((info, _tab) => {
+	browser.contextMenus.onClicked.addListener((info, tab) => {
 		switch (info.menuItemId) {
 			case "openNovelLibrary":
 				openLibraryTab();
@@ -4406,6 +4689,11 @@ async function openLibraryTab(hash = "") {
 					url: browser.runtime.getURL("popup/popup.html"),
 				});
 				break;
+			case "activateReaderMode":
+				activateReaderMode(tab?.id).catch((err) =>
+					debugError("Reader mode activation failed:", err),
+				);
+				break;
 		}
 	});
 
@@ -0,0 +1,152 @@
+/**
+ * Content-script registration for user-defined sites.
+ *
+ * The manifest's `content_scripts` only match domains a built-in handler
+ * declares, so a custom site's pages would never get the content script. Each
+ * enabled definition whose host permission the user has granted is registered
+ * here with `scripting.registerContentScripts`, reusing the files and styles of
+ * the manifest's own site entry so the two cannot drift apart. The modules it
+ * imports on those pages come from the manifest's dynamic-URL
+ * `web_accessible_resources` entry (see `dev/generate-manifest-domains.js`).
+ *
+ * Registrations are not persisted across sessions (Firefox does not support
+ * it for every version we ship to); the background re-syncs on start-up, when
+ * the definitions change, and when site permissions are granted or removed.
+ */
+
+import { debugLog, debugError } from "../utils/logger.js";
+import { customSiteOrigins, getCustomSites } from "../utils/custom-sites.js";
+
+export const CUSTOM_SITE_SCRIPT_ID = "rg-custom-sites";
+
+/**
+ * The manifest's site content-script entry, found the same way the manifest
+ * generator finds it. Also what reader mode injects on demand.
+ * @returns {{js: string[], css: string[]}|null}
+ */
+export function siteContentScript() {
+	const entry = (browser.runtime.getManifest().content_scripts || []).find(
+		(cs) => (cs.js || []).some((f) => f.endsWith("content/content.js")),
+	);
+	return entry ? { js: entry.js || [], css: entry.css || [] } : null;
+}
+
+/**
+ * Match patterns for every enabled site the user has granted access to.
+ * @returns {Promise<string[]>}
+ */
+async function grantedCustomSiteMatches() {
+	const matches = new Set();
+	for (const site of await getCustomSites()) {
+		if (!site.enabled) continue;
+		const origins = customSiteOrigins(site);
+		if (!origins.length) continue;
+		const granted = await browser.permissions
+			.contains({ origins })
+			.catch(() => false);
+		if (granted) origins.forEach((origin) => matches.add(origin));
+	}
+	return [...matches];
+}
+
+async function syncOnce() {
+	if (!browser.scripting?.registerContentScripts) return;
+
+	const registered = await browser.scripting
+		.getRegisteredContentScripts({ ids: [CUSTOM_SITE_SCRIPT_ID] })
+		.catch(() => []);
+	if (registered.length) {
+		await browser.scripting.unregisterContentScripts({
+			ids: [CUSTOM_SITE_SCRIPT_ID],
+		});
+	}
+
+	const matches = await grantedCustomSiteMatches();
+	const entry = siteContentScript();
+	if (!matches.length || !entry) return;
+
+	await browser.scripting.registerContentScripts([
+		{
+			id: CUSTOM_SITE_SCRIPT_ID,
+			matches,
+			js: entry.js,
+			css: entry.css,
+			runAt: "document_idle",
+			persistAcrossSessions: false,
+		},
+	]);
+	debugLog(
+		`[CustomSites] Content script registered for ${matches.length} origin(s)`,
+	);
+}
+
+// Storage and permission events arrive in bursts; overlapping syncs would
+// race to register the same script id.
+let pendingSync = Promise.resolve();
+
+/**
+ * Bring the registered content script in line with the saved definitions and
+ * granted permissions.
+ * @returns {Promise<void>}
+ */
+export function syncCustomSiteScripts() {
+	pendingSync = pendingSync
+		.then(syncOnce)
+		.catch((error) =>
+			debugError("[CustomSites] Content script sync failed:", error),
+		);
+	return pendingSync;
+}
+
+// What the in-tab preview imports. Like the content script's own imports it is
+// served from the dynamic-URL web_accessible_resources entry.
+const CUSTOM_SITE_MODULE = "utils/website-handlers/custom-site.js";
+
+const withoutHash = (url) => String(url).split("#")[0];
+
+/**
+ * Run a draft definition in an open tab showing `url`, so the preview sees the
+ * page as the reader does: after its scripts ran, and signed in. The module is
+ * resolved with `runtime.getURL()` inside the tab, which on Chromium yields the
+ * dynamic URL the resource is exposed under.
+ *
+ * @param {import("../utils/custom-sites.js").CustomSite} site
+ * @param {string} url
+ * @returns {Promise<Object|null>} See `previewCustomSite()`; null when no tab
+ *   shows the page or it cannot be scripted, and the caller fetches it instead
+ */
+export async function previewCustomSiteInTab(site, url) {
+	if (!browser.scripting?.executeScript) return null;
+	const tabs = await browser.tabs.query({}).catch(() => []);
+	const tab = tabs.find(
+		(t) => t.url && withoutHash(t.url) === withoutHash(url),
+	);
+	if (!tab) return null;
+
+	try {
+		// A page the content script never ran on has no `browser` on Chromium.
+		const polyfill = (siteContentScript()?.js || []).filter((file) =>
+			file.includes("browser-polyfill"),
+		);
+		if (polyfill.length) {
+			await browser.scripting.executeScript({
+				target: { tabId: tab.id },
+				files: polyfill,
+			});
+		}
+		const [injection] = await browser.scripting.executeScript({
+			target: { tabId: tab.id },
+			func: async (modulePath, draft) => {
+				const { previewCustomSite } = await import(
+					globalThis.browser.runtime.getURL(modulePath)
+				);
+				return previewCustomSite(draft);
+			},
+			args: [CUSTOM_SITE_MODULE, site],
+		});
+		return injection?.result ?? null;
+	} catch (error) {
+		debugError(`[CustomSites] In-tab preview failed on ${url}:`, error);
+		return null;
+	}
+}
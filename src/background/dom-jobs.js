@@ -16,7 +16,14 @@ import { withMountedDocument } from "./dom-sandbox.js";
 import { setPageUrlOverride } from "../utils/dom-env.js";
 import { debugLog, debugError } from "../utils/logger.js";
 import handlerManager from "../utils/website-handlers/handler-manager.js";
+import { previewCustomSite } from "../utils/website-handlers/custom-site.js";
 import { LOREWEAVE_DOM_JOBS } from "./loreweave/chapter-scrape-job.js";
+import {
+	MAX_TRACKER_PAGES,
+	TRACKER_PAGE_PARSERS,
+	TRACKER_SOURCES,
+	isTrackerPageUrl,
+} from "../utils/tracker-import.js";
 
 /**
  * Discriminator on offscreen job messages, so the background's own onMessage
@@ -37,15 +44,18 @@ const DESKTOP_UA =
  * Fetch a page as text, with a timeout.
  *
  * @param {string} url
+ * @param {Object} [options]
+ * @param {RequestCredentials} [options.credentials] - "include" only for
+ *   pages that belong to the signed-in reader, such as their AO3 history
  * @returns {Promise<string>}
  */
-async function fetchHtml(url) {
+async function fetchHtml(url, { credentials = "omit" } = {}) {
 	const controller = new AbortController();
 	const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
 	try {
 		const response = await fetch(url, {
 			method: "GET",
-			credentials: "omit",
+			credentials,
 			headers: { "User-Agent": DESKTOP_UA },
 			signal: controller.signal,
 		});
@@ -182,6 +192,207 @@ export const DOM_JOBS = {
 		return plain;
 	},
 
+	/**
+	 * Fetch one chapter page and extract it with the site handler: cleaned
+	 * content markup, title and the handler's prev/next links.
+	 *
+	 * The generic LoreWeave parser only knows a handful of selectors and returns
+	 * plain text; readers and the offline archive want the chapter as the
+	 * handler sees it, paragraphs intact. Sites without a handler (or pages the
+	 * handler finds no content on) still get the generic parse, as text.
+	 *
+	 * @param {{url: string}} payload
+	 * @returns {Promise<{url: string, title: string, cacheUrl: string, html: string, content: string, words: number, nextUrl: string|null, previousUrl: string|null, chapterNumber: number|null}>}
+	 */
+	async fetchChapterPage({ url }) {
+		if (!url) throw new Error("fetchChapterPage needs a url");
+		const html = await fetchHtml(url);
+
+		const extracted = await withMountedDocument(html, url, async () => {
+			// The mounted page keeps the host's base URL, so relative links
+			// read through `.href` would resolve against the extension.
+			const base = document.createElement("base");
+			base.href = url;
+			document.head?.prepend(base);
+
+			const handler = await handlerManager.getHandlerForCurrentSite();
+			const contentArea = handler?.findContentArea?.();
+			if (!contentArea) return null;
+
+			let title;
+			try {
+				title = handler.extractTitle();
+			} catch {
+				title = document.title;
+			}
+			const clone = handler.cloneAndCleanContent(contentArea);
+			const content = handler.cleanExtractedText(
+				clone.innerText || clone.textContent || "",
+			);
+			let navigation = {};
+			try {
+				navigation = handler.getChapterNavigation() || {};
+			} catch (error) {
+				debugError("[DomJobs] getChapterNavigation failed:", error);
+			}
+			return {
+				title: String(title || "").trim(),
+				// Key the content script caches this chapter's chunks under.
+				cacheUrl: handler.getCanonicalCacheUrl?.() ?? url,
+				html: clone.innerHTML,
+				content,
+				nextUrl: navigation.nextUrl || null,
+				previousUrl: navigation.previousUrl || null,
+				chapterNumber: Number(navigation.currentChapter) || null,
+			};
+		});
+
+		if (extracted?.content) {
+			return {
+				url,
+				...extracted,
+				words: extracted.content.split(/\s+/).filter(Boolean).length,
+			};
+		}
+
+		const parsed = LOREWEAVE_DOM_JOBS.parseLoreWeaveChapter({ html, url });
+		return {
+			url,
+			title: "",
+			cacheUrl: url,
+			html: "",
+			content: parsed.content,
+			words: parsed.words,
+			nextUrl: parsed.nextUrl,
+			previousUrl: null,
+			chapterNumber: null,
+		};
+	},
+
+	/**
+	 * The prompt a page's site handler adds to enhancement requests, for
+	 * enhancing one of its chapters with no tab open on it. Handlers choose
+	 * their prompt by site, so the URL is enough and nothing is fetched.
+	 *
+	 * @param {{url: string}} payload
+	 * @returns {Promise<string>}
+	 */
+	async siteSpecificPrompt({ url }) {
+		if (!url) return "";
+		setPageUrlOverride(url);
+		try {
+			const handler = await handlerManager.getHandlerForCurrentSite();
+			return String(handler?.getSiteSpecificPrompt?.() || "");
+		} finally {
+			setPageUrlOverride(null);
+		}
+	},
+
+	/**
+	 * Fetch the pages of a chapter that its site splits over several lazily
+	 * loaded pages (Wattpad parts), and collect each page's markup with the
+	 * site handler's `collectPartPages()`. Pages are fetched one at a time; a
+	 * page that fails is left out and the caller reports it as missing.
+	 *
+	 * @param {{urls: string[]}} payload - One URL per missing page.
+	 * @returns {Promise<{pages: Array<{page: number, html: string}>}>}
+	 */
+	async fetchPartPages({ urls }) {
+		if (!Array.isArray(urls) || !urls.length) {
+			throw new Error("fetchPartPages needs a list of urls");
+		}
+
+		const pages = [];
+		for (const url of urls) {
+			try {
+				const html = await fetchHtml(url);
+				const found = await withMountedDocument(html, url, async () => {
+					const handler =
+						await handlerManager.getHandlerForCurrentSite();
+					return handler?.collectPartPages?.() || [];
+				});
+				pages.push(...found);
+			} catch (error) {
+				debugError(`[DomJobs] Part page failed: ${url}`, error);
+			}
+		}
+		return { pages: toPlainData(pages) || [] };
+	},
+
+	/**
+	 * Run a custom site definition — saved or still being edited — against a
+	 * fetched page, for the live preview in the site editor when no open tab
+	 * shows the page. The definition is passed in rather than looked up, so
+	 * unsaved selectors can be tried.
+	 *
+	 * @param {{site: object, url: string}} payload
+	 * @returns {Promise<object>} See `previewCustomSite()`.
+	 */
+	async previewCustomSite({ site, url }) {
+		if (!site || !url)
+			throw new Error("previewCustomSite needs a site and a url");
+		const html = await fetchHtml(url);
+		const preview = await withMountedDocument(html, url, () => {
+			const base = document.createElement("base");
+			base.href = url;
+			document.head?.prepend(base);
+			return previewCustomSite(site);
+		});
+		return toPlainData({ url, ...preview });
+	},
+
+	/**
+	 * Fetch a reading list on a tracker site (AO3 History or Marked for
+	 * Later, FanFiction.net favourites or follows) and parse every page of
+	 * it. Sent with the browser's cookies: these lists are only visible to
+	 * the signed-in reader. That is why only the source's own site is
+	 * fetched: another start address is refused, and a next-page link
+	 * elsewhere ends the list.
+	 *
+	 * @param {{source: string, url: string, maxPages?: number, defaultStatus?: string}} payload
+	 * @returns {Promise<{entries: object[], pages: number, truncated: boolean}>}
+	 */
+	async fetchTrackerList({ source, url, maxPages, defaultStatus }) {
+		const parse = TRACKER_PAGE_PARSERS[source];
+		if (!parse) throw new Error(`Unknown import source: ${source}`);
+		if (!url) throw new Error("fetchTrackerList needs a url");
+		if (!isTrackerPageUrl(source, url)) {
+			throw new Error(
+				`${url} is not on ${TRACKER_SOURCES[source]?.host || source}`,
+			);
+		}
+
+		const limit = Math.min(
+			maxPages || MAX_TRACKER_PAGES,
+			MAX_TRACKER_PAGES,
+		);
+		const entries = [];
+		const visited = new Set();
+		let pageUrl = url;
+		while (pageUrl && !visited.has(pageUrl) && visited.size < limit) {
+			visited.add(pageUrl);
+			const html = await fetchHtml(pageUrl, { credentials: "include" });
+			const doc = new DOMParser().parseFromString(html, "text/html");
+			const page = parse(
+				doc,
+				pageUrl,
+				defaultStatus ? { defaultStatus } : {},
+			);
+			entries.push(...page.entries);
+			pageUrl = isTrackerPageUrl(source, page.nextUrl)
+				? page.nextUrl
+				: null;
+		}
+		debugLog(
+			`[DomJobs] ${source} list: ${entries.length} entries from ${visited.size} page(s)`,
+		);
+		return {
+			entries,
+			pages: visited.size,
+			truncated: !!pageUrl && !visited.has(pageUrl),
+		};
+	},
+
 	...LOREWEAVE_DOM_JOBS,
 };
 
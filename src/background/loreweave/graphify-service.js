@@ -1,11 +1,13 @@
 /**
  * Graphify service — extracts story entities from chapter text and ingests into LoreWeave.
- * Also saves results to the local story chronicle when chronicle is enabled.
+ * Also saves results to the local story chronicle when chronicle is enabled, and
+ * offers the entities as glossary suggestions on the library novel.
  */
 
 import { buildGraphifyPrompt } from "./graphify-prompt.js";
 import { postIngestDelta } from "./loreweave-client.js";
 import { DEFAULT_MODEL_ENDPOINT } from "../../utils/constants.js";
+import { novelLibrary } from "../../utils/novel-library.js";
 import {
 	loadChronicle,
 	saveChapterRecord,
@@ -26,7 +28,7 @@ const MAX_CHAPTER_CHARS = 150_000;
  * @param {Object} config        - from browser.storage.local
  * @param {number} epochOrder    - chapter number as integer
  * @param {string} epochLabel    - e.g. "Chapter 042"
- * @returns {Promise<{entities_added, edges_added, domain_id}>}
+ * @returns {Promise<{entities_added, edges_added, domain_id, glossary_suggested}>}
  */
 export async function graphifyChapter(
 	chapterText,
@@ -168,9 +170,19 @@ export async function graphifyChapter(
 		await markGraphified(loreWeaveNovelId, epochOrder);
 	}
 
+	// Suggestions only; nothing reaches enhancement prompts until the user
+	// accepts it in the edit modal.
+	const glossarySuggested = loreWeaveNovelId
+		? await novelLibrary.addGlossarySuggestions(
+				loreWeaveNovelId,
+				delta.extracted_entities,
+			)
+		: 0;
+
 	return {
 		entities_added: delta.extracted_entities.length,
 		edges_added: delta.temporal_edges?.length ?? 0,
 		domain_id: delta.domain_id,
+		glossary_suggested: glossarySuggested,
 	};
 }
@@ -6,9 +6,15 @@
  * {
  *   id, novelId, novelTitle, firstChapterUrl,
  *   startChapter, endChapter, status, progress,
- *   options: { sendToLoreWeave, writingStyle, loreWeaveUrl, domainId },
+ *   options: { sendToLoreWeave, writingStyle, loreWeaveUrl, domainId,
+ *              summarize, archive, archiveEnhanced },
  *   createdAt, completedAt, error
  * }
+ *
+ * `summarize` (the original behaviour: summary, chronicle record and optional
+ * LoreWeave graphify) and `archive` (store the chapter in the offline archive,
+ * optionally enhanced) are independent; a download-only job turns summarize
+ * off.
  */
 
 import { graphifyChapter } from "./graphify-service.js";
@@ -16,6 +22,8 @@ import { saveChapterRecord } from "./chronicle-storage.js";
 import { runDomJob } from "../dom-host.js";
 import { isLoreWeaveEnabled } from "../../utils/loreweave-gate.js";
 import { DEFAULT_MODEL_ENDPOINT } from "../../utils/constants.js";
+import { saveArchivedChapter } from "../../utils/chapter-archive.js";
+import { novelLibrary } from "../../utils/novel-library.js";
 
 const QUEUE_KEY = "rg_queue";
 const SHORT_CHAPTER_THRESHOLD_WORDS = 1600;
@@ -24,6 +32,18 @@ const CHAPTER_FETCH_BACKOFF_MS = 2000;
 const MIN_CHAPTER_WORDS = 100;
 
 let _processing = false;
+// Enhances one archived chapter: ({ title, content, url, novelId }) =>
+// Promise<string>. Registered by background.js, which owns the provider chain
+// and resolves the novel's prompt, glossary and site prompt from url/novelId.
+let _chapterEnhancer = null;
+
+/**
+ * Register the function archive jobs use to enhance chapters.
+ * @param {(chapter: {title: string, content: string, url: string, novelId: string}) => Promise<string>} fn
+ */
+export function setChapterEnhancer(fn) {
+	_chapterEnhancer = typeof fn === "function" ? fn : null;
+}
 
 // ─── Storage helpers ──────────────────────────────────────────────────────────
 
@@ -48,10 +68,22 @@ async function updateJobProgress(jobId, progressPatch) {
 
 export async function enqueueJob(jobConfig) {
 	const id = `rg_job_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+	// Jobs added from the settings page only carry a URL; archived chapters
+	// are keyed by novel ID, so look the novel up in the library when we can.
+	let libraryNovel = null;
+	if (!jobConfig.novelId && jobConfig.firstChapterUrl) {
+		libraryNovel = await novelLibrary
+			.getNovelByUrl(jobConfig.firstChapterUrl)
+			.catch(() => null);
+	}
+	const archive = jobConfig.archive === true;
 	const job = {
 		id,
-		novelId: jobConfig.novelId || `queue_novel_${Date.now()}`,
-		novelTitle: jobConfig.novelTitle || "Novel",
+		novelId:
+			jobConfig.novelId ||
+			libraryNovel?.id ||
+			`queue_novel_${Date.now()}`,
+		novelTitle: jobConfig.novelTitle || libraryNovel?.title || "Novel",
 		firstChapterUrl: jobConfig.firstChapterUrl,
 		startChapter: jobConfig.startChapter || 1,
 		endChapter: jobConfig.endChapter || 1,
@@ -65,12 +97,16 @@ export async function enqueueJob(jobConfig) {
 			processedChapters: [],
 			failedChapters: [],
 			skippedChapters: [],
+			archivedChapters: [],
 		},
 		options: {
 			sendToLoreWeave: jobConfig.sendToLoreWeave !== false,
 			writingStyle: jobConfig.writingStyle || "other",
 			loreWeaveUrl: jobConfig.loreWeaveUrl || "",
 			domainId: jobConfig.domainId || "",
+			summarize: !archive || jobConfig.summarize !== false,
+			archive,
+			archiveEnhanced: archive && jobConfig.archiveEnhanced === true,
 		},
 		createdAt: Date.now(),
 		novelLastRead: jobConfig.novelLastRead || 0,
@@ -191,7 +227,11 @@ async function _processChapters(job, config) {
 
 		let fetchResult;
 		try {
-			fetchResult = await _fetchChapter(currentUrl, chapterNum);
+			fetchResult = await _fetchChapter(
+				currentUrl,
+				chapterNum,
+				job.options.archive,
+			);
 		} catch (fetchErr) {
 			console.warn(
 				`[Queue] Fetch threw for ch ${chapterNum}:`,
@@ -201,7 +241,39 @@ async function _processChapters(job, config) {
 		}
 		const { content, nextUrl, words } = fetchResult;
 
-		if (!content || words < MIN_CHAPTER_WORDS) {
+		// Jobs queued before summarize existed always summarised.
+		const summarize = job.options.summarize !== false;
+		if (job.options.archive && content) {
+			const archived = await _archiveChapter(
+				job,
+				chapterNum,
+				fetchResult,
+			);
+			const progressPatch = archived
+				? {
+						archivedChapters: [
+							...(current.progress.archivedChapters || []),
+							chapterNum,
+						],
+					}
+				: {};
+			if (!summarize) {
+				const key = archived ? "processedChapters" : "failedChapters";
+				progressPatch[key] = [
+					...(current.progress[key] || []),
+					chapterNum,
+				];
+				progressPatch.current = chapterNum;
+			}
+			await updateJobProgress(job.id, progressPatch);
+			if (!summarize) {
+				currentUrl = nextUrl;
+				chapterNum++;
+				continue;
+			}
+		}
+
+		if (!content || (summarize && words < MIN_CHAPTER_WORDS)) {
 			// Chapter was empty or too short — count as skipped, not failed
 			const skipped = [
 				...(current.progress.skippedChapters || []),
@@ -376,9 +448,55 @@ async function _flushBuffer(batch, job, config) {
 	}
 }
 
+// ─── Offline archive ─────────────────────────────────────────────────────────
+
+/**
+ * Save one fetched chapter to the offline archive, enhancing it first when
+ * the job asks for that. A failed enhancement still archives the raw chapter.
+ * @returns {Promise<boolean>} Whether the chapter was stored
+ */
+async function _archiveChapter(job, chapterNum, page) {
+	const title = page.title || `Chapter ${chapterNum}`;
+	let enhancedHtml = "";
+	if (job.options.archiveEnhanced && _chapterEnhancer) {
+		try {
+			enhancedHtml = await _chapterEnhancer({
+				title,
+				content: page.html || page.content,
+				url: page.url,
+				novelId: job.novelId,
+			});
+		} catch (err) {
+			console.warn(
+				`[Queue] Enhancement failed for ch ${chapterNum}, archiving raw text:`,
+				err?.message,
+			);
+		}
+	}
+	try {
+		await saveArchivedChapter({
+			novelId: job.novelId,
+			novelTitle: job.novelTitle,
+			chapterNumber: chapterNum,
+			title,
+			url: page.url || "",
+			html: page.html || page.content,
+			enhancedHtml,
+			words: page.words,
+		});
+		return true;
+	} catch (err) {
+		console.warn(
+			`[Queue] Could not archive ch ${chapterNum}:`,
+			err?.message,
+		);
+		return false;
+	}
+}
+
 // ─── Chapter fetching ─────────────────────────────────────────────────────────
 
-async function _fetchChapter(url, chapterNum) {
+async function _fetchChapter(url, chapterNum, withMarkup = false) {
 	let lastErr;
 	for (let attempt = 0; attempt <= CHAPTER_FETCH_RETRY; attempt++) {
 		try {
@@ -387,6 +505,11 @@ async function _fetchChapter(url, chapterNum) {
 					setTimeout(r, CHAPTER_FETCH_BACKOFF_MS),
 				);
 			}
+			// Archiving needs the chapter markup, which only the site
+			// handler can cut out cleanly.
+			if (withMarkup) {
+				return await runDomJob("fetchChapterPage", { url });
+			}
 			const res = await fetch(url, { credentials: "omit" });
 			if (!res.ok) throw new Error(`HTTP ${res.status}`);
 			const html = await res.text();
@@ -0,0 +1,28 @@
+/**
+ * Background message handler for fetching a chapter page.
+ * Handles action: "fetchChapterPage" with { url }
+ *
+ * Extension pages (the library reader) cannot mount a fetched page in their
+ * own document, so the handler extraction runs as a DOM job here.
+ */
+
+import { runDomJob } from "../dom-host.js";
+
+export default {
+	action: "fetchChapterPage",
+
+	handler(message, sendResponse) {
+		if (!message.url) {
+			sendResponse({ success: false, error: "Missing url" });
+			return false;
+		}
+
+		runDomJob("fetchChapterPage", { url: message.url })
+			.then((page) => sendResponse({ success: true, page }))
+			.catch((err) =>
+				sendResponse({ success: false, error: err.message }),
+			);
+
+		return true;
+	},
+};
@@ -16,7 +16,7 @@ import {
 } from "../loreweave/chronicle-storage.js";
 import { getChatSettings } from "../../utils/chat-settings.js";
 import { isLoreWeaveEnabled } from "../../utils/loreweave-gate.js";
-import { DEFAULT_MODEL_ENDPOINT } from "../../utils/constants.js";
+import { resolveProviderSettings } from "../ai/provider-registry.js";
 import {
 	CHAT_MAX_CONTEXT_CHARS,
 	CHAT_MAX_CHAPTER_CHARS,
@@ -87,8 +87,11 @@ ${contextBlock}`;
 	return { answer, updatedHistory };
 }
 
-async function _callProvider(config, systemPrompt, question, history) {
-	const provider = String(config.aiProvider || "gemini").toLowerCase();
+async function _callProvider(stored, systemPrompt, question, history) {
+	// Same primary-slot resolution as the background config, so chat talks to
+	// the provider the settings page shows as primary.
+	const config = { ...stored, ...resolveProviderSettings(stored) };
+	const provider = config.aiProvider.toLowerCase();
 
 	if (provider === "openai-compatible") {
 		return _callOpenAI(config, systemPrompt, question, history);
@@ -96,6 +99,9 @@ async function _callProvider(config, systemPrompt, question, history) {
 	if (provider === "ollama") {
 		return _callOllama(config, systemPrompt, question, history);
 	}
+	if (provider === "anthropic") {
+		return _callAnthropic(config, systemPrompt, question, history);
+	}
 	return _callGemini(config, systemPrompt, question, history);
 }
 
@@ -103,7 +109,7 @@ async function _callGemini(config, systemPrompt, question, history) {
 	const apiKey = config.apiKey;
 	if (!apiKey) throw new Error("No Gemini API key configured.");
 
-	const modelEndpoint = config.modelEndpoint || DEFAULT_MODEL_ENDPOINT;
+	const modelEndpoint = config.modelEndpoint;
 
 	const contents = [
 		...history,
@@ -136,8 +142,7 @@ async function _callOpenAI(config, systemPrompt, question, history) {
 	const apiKey = config.openAiApiKey || config.apiKey;
 	if (!apiKey) throw new Error("No OpenAI-compatible API key configured.");
 
-	const endpoint =
-		config.openAiEndpoint || "https://api.openai.com/v1/chat/completions";
+	const endpoint = config.openAiEndpoint;
 
 	// Convert Gemini history format to OpenAI format
 	const messages = [
@@ -156,7 +161,7 @@ async function _callOpenAI(config, systemPrompt, question, history) {
 			Authorization: `Bearer ${apiKey}`,
 		},
 		body: JSON.stringify({
-			model: config.openAiModel || "gpt-4o-mini",
+			model: config.openAiModel,
 			messages,
 			temperature: 0.3,
 			max_tokens: 1024,
@@ -174,10 +179,59 @@ async function _callOpenAI(config, systemPrompt, question, history) {
 	);
 }
 
+async function _callAnthropic(config, systemPrompt, question, history) {
+	const apiKey = config.anthropicApiKey;
+	if (!apiKey) throw new Error("No Anthropic API key configured.");
+
+	const endpoint = config.anthropicEndpoint;
+
+	// Messages API: system prompt is top-level, turns must alternate and
+	// start with the user, so drop anything that would break that.
+	const messages = [];
+	for (const h of history) {
+		const role = h.role === "model" ? "assistant" : h.role;
+		const content = h.parts?.[0]?.text || "";
+		if (!content || messages.at(-1)?.role === role) continue;
+		if (messages.length === 0 && role !== "user") continue;
+		messages.push({ role, content });
+	}
+	if (messages.at(-1)?.role === "user") messages.pop();
+	messages.push({ role: "user", content: question });
+
+	const res = await fetch(endpoint, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			"x-api-key": apiKey,
+			"anthropic-version": "2023-06-01",
+			"anthropic-dangerous-direct-browser-access": "true",
+		},
+		body: JSON.stringify({
+			model: config.anthropicModel,
+			system: systemPrompt,
+			messages,
+			temperature: 0.3,
+			max_tokens: 1024,
+		}),
+	});
+
+	if (!res.ok) {
+		const body = await res.text().catch(() => "");
+		throw new Error(`Anthropic error ${res.status}: ${body.slice(0, 100)}`);
+	}
+
+	const data = await res.json();
+	const text = (data?.content || [])
+		.filter((block) => block?.type === "text")
+		.map((block) => block.text)
+		.join("")
+		.trim();
+	return text || "No answer generated.";
+}
+
 async function _callOllama(config, systemPrompt, question, history) {
-	const endpoint =
-		config.ollamaEndpoint || "http://localhost:11434/api/generate";
-	const model = config.ollamaModel || "llama3.1:8b";
+	const endpoint = config.ollamaEndpoint;
+	const model = config.ollamaModel;
 
 	// Ollama generate API: embed history as conversation in prompt
 	let prompt = `${systemPrompt}\n\n`;
@@ -0,0 +1,38 @@
+/**
+ * Background message handler for the custom site editor's live preview.
+ * Handles action: "previewCustomSite" with { site, url }
+ *
+ * The settings page cannot read another tab's document, so the draft
+ * definition is run in an open tab showing the page when there is one (see
+ * `previewCustomSiteInTab`). Otherwise, or when that tab cannot be scripted,
+ * the background fetches the page and runs the definition against it as a DOM
+ * job.
+ */
+
+import { previewCustomSiteInTab } from "../custom-site-scripts.js";
+import { runDomJob } from "../dom-host.js";
+
+export default {
+	action: "previewCustomSite",
+
+	handler(message, sendResponse) {
+		if (!message.site || !message.url) {
+			sendResponse({ success: false, error: "Missing site or url" });
+			return false;
+		}
+
+		const { site, url } = message;
+		previewCustomSiteInTab(site, url)
+			.then(
+				(preview) =>
+					(preview && { url, ...preview }) ||
+					runDomJob("previewCustomSite", { site, url }),
+			)
+			.then((preview) => sendResponse({ success: true, preview }))
+			.catch((err) =>
+				sendResponse({ success: false, error: err.message }),
+			);
+
+		return true;
+	},
+};
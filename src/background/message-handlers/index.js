@@ -15,6 +15,11 @@ import loreWeaveHandler from "./loreweave-handler.js";
 import loreWeavePingHandler from "./loreweave-ping-handler.js";
 import queueHandler from "./queue-handler.js";
 import chatHandler from "./chat-handler.js";
+import chapterPageHandler from "./chapter-page-handler.js";
+import trackerImportHandler from "./tracker-import-handler.js";
+import partPagesHandler from "./part-pages-handler.js";
+import customSitePreviewHandler from "./custom-site-preview-handler.js";
+import readerModeHandler from "./reader-mode-handler.js";
 
 // Registry of all message handlers
 const handlers = [
@@ -25,6 +30,11 @@ const handlers = [
 	loreWeavePingHandler,
 	queueHandler,
 	chatHandler,
+	chapterPageHandler,
+	trackerImportHandler,
+	partPagesHandler,
+	customSitePreviewHandler,
+	readerModeHandler,
 ];
 
 /**
@@ -0,0 +1,28 @@
+/**
+ * Background message handler for fetching the unloaded pages of a chapter.
+ * Handles action: "fetchPartPages" with { urls }
+ *
+ * Wattpad renders a part's later pages only as the reader scrolls; the
+ * content script asks for the rest here so extraction sees the whole part.
+ */
+
+import { runDomJob } from "../dom-host.js";
+
+export default {
+	action: "fetchPartPages",
+
+	handler(message, sendResponse) {
+		if (!Array.isArray(message.urls) || !message.urls.length) {
+			sendResponse({ success: false, error: "Missing urls" });
+			return false;
+		}
+
+		runDomJob("fetchPartPages", { urls: message.urls })
+			.then(({ pages }) => sendResponse({ success: true, pages }))
+			.catch((err) =>
+				sendResponse({ success: false, error: err.message }),
+			);
+
+		return true;
+	},
+};
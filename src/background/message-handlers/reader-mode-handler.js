@@ -0,0 +1,23 @@
+/**
+ * Background message handler for the popup's "Read this page" button.
+ * Handles action: "activateReaderMode" with { tabId }
+ *
+ * The popup cannot script the tab itself; the background does it while the
+ * `activeTab` grant from opening the popup is still live.
+ */
+
+import { activateReaderMode } from "../reader-mode.js";
+
+export default {
+	action: "activateReaderMode",
+
+	handler(message, sendResponse) {
+		activateReaderMode(message.tabId)
+			.then((result) => sendResponse({ success: true, ...result }))
+			.catch((err) =>
+				sendResponse({ success: false, error: err.message }),
+			);
+
+		return true;
+	},
+};
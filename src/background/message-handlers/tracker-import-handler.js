@@ -0,0 +1,33 @@
+/**
+ * Background message handler for fetching a reading list from a tracker site.
+ * Handles action: "fetchTrackerList" with { source, url, maxPages?, defaultStatus? }
+ *
+ * The pages are parsed as a DOM job; the settings page plans and applies the
+ * import itself, so nothing is written here.
+ */
+
+import { runDomJob } from "../dom-host.js";
+
+export default {
+	action: "fetchTrackerList",
+
+	handler(message, sendResponse) {
+		if (!message.source || !message.url) {
+			sendResponse({ success: false, error: "Missing source or url" });
+			return false;
+		}
+
+		runDomJob("fetchTrackerList", {
+			source: message.source,
+			url: message.url,
+			maxPages: message.maxPages,
+			defaultStatus: message.defaultStatus,
+		})
+			.then((result) => sendResponse({ success: true, ...result }))
+			.catch((err) =>
+				sendResponse({ success: false, error: err.message }),
+			);
+
+		return true;
+	},
+};
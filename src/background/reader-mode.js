@@ -0,0 +1,65 @@
+/**
+ * Reader mode activation.
+ *
+ * Pages on domains no handler declares never get the content script. When the
+ * user asks for reader mode on one — "Read this page" in the popup or the
+ * context menu — that click grants `activeTab` for the tab, which is enough to
+ * flag the page and inject the manifest's site content script into it once.
+ * The HandlerManager sees the flag and hands the page to the reader-mode
+ * handler (`utils/website-handlers/reader-mode.js`). Its module imports are
+ * served from the same dynamic-URL resources as a custom site's.
+ *
+ * Nothing is registered or persisted: a reload drops reader mode, and the user
+ * activates it again on the next page.
+ */
+
+import { debugLog } from "../utils/logger.js";
+import { READER_MODE_FLAG } from "../utils/website-handlers/reader-mode.js";
+import { siteContentScript } from "./custom-site-scripts.js";
+
+/**
+ * Flag a tab for reader mode and give it the content script.
+ *
+ * The flag is set in the content script's world before the script runs, so the
+ * handler lookup during start-up already sees it. A tab that already has the
+ * content script (a supported or custom site, or reader mode activated once
+ * already) is left alone: its handler was chosen at load.
+ *
+ * @param {number} tabId
+ * @returns {Promise<{alreadyRunning: boolean}>}
+ * @throws When the tab cannot be scripted (browser pages, the web store) or
+ *   the activation did not come from a user gesture
+ */
+export async function activateReaderMode(tabId) {
+	if (!Number.isInteger(tabId)) {
+		throw new Error("No tab to activate reader mode on");
+	}
+
+	const [flagged] = await browser.scripting.executeScript({
+		target: { tabId },
+		func: (flag) => {
+			const running = window.__RGInitDone === true;
+			if (!running) globalThis[flag] = true;
+			return running;
+		},
+		args: [READER_MODE_FLAG],
+	});
+	if (flagged?.result) {
+		return { alreadyRunning: true };
+	}
+
+	const entry = siteContentScript();
+	if (!entry) throw new Error("Content script entry missing from manifest");
+	if (entry.css.length) {
+		await browser.scripting.insertCSS({
+			target: { tabId },
+			files: entry.css,
+		});
+	}
+	await browser.scripting.executeScript({
+		target: { tabId },
+		files: entry.js,
+	});
+	debugLog(`[ReaderMode] Activated on tab ${tabId}`);
+	return { alreadyRunning: false };
+}
@@ -0,0 +1,425 @@
+/**
+ * Local folder storage adapter for Ranobe Gemini.
+ * Writes backups into a folder the user picked with the File System Access
+ * API, typically one that Syncthing or a NAS client already keeps in sync,
+ * so no cloud account is involved. The directory handle lives in IndexedDB
+ * (handles cannot go through browser.storage); the settings live in
+ * browser.storage.local.
+ *
+ * Firefox has no directory picker, so there the same files are saved through
+ * the downloads API into a subfolder of the downloads directory. That route is
+ * write-only: the extension can list and prune what it saved but cannot read a
+ * file back, so restoring goes through "Restore from File".
+ */
+
+import {
+	RETENTION_TIERS_KEY,
+	selectExpiredBackupFiles,
+} from "../../../utils/backup-delta.js";
+import { downloadText } from "../../../utils/download-data.js";
+import { debugError, debugLog } from "../../../utils/logger.js";
+
+export const LOCAL_FOLDER_PROVIDER_ID = "local-folder";
+export const LOCAL_FOLDER_SETTINGS_KEY = "localFolderBackup";
+export const LOCAL_FOLDER_MODES = {
+	DIRECTORY: "directory",
+	DOWNLOADS: "downloads",
+};
+export const DEFAULT_DOWNLOADS_SUBFOLDER = "RanobeGemini";
+
+// Library backups (what the orchestrator uploads) and full backups (rolling
+// backups from comprehensive-backup.js) share the folder but not a name, so
+// each keeps its own retention and listBackups only offers library files.
+const BACKUP_NAMES = {
+	library: {
+		prefix: "ranobegemini_backup_",
+		continuous: "ranobegemini_continuous.json",
+	},
+	full: {
+		prefix: "ranobegemini_full_",
+		continuous: "ranobegemini_full_continuous.json",
+	},
+};
+
+// ─── Directory handle store ────────────────────────────────────────────────────
+
+const DB_NAME = "RanobeGeminiBackupFolder";
+const DB_VERSION = 1;
+const STORE_NAME = "handles";
+const HANDLE_KEY = "backupFolder";
+
+let dbInstance = null;
+
+async function openDatabase() {
+	if (dbInstance) return dbInstance;
+
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onerror = () => reject(request.error);
+		request.onsuccess = () => {
+			dbInstance = request.result;
+			resolve(dbInstance);
+		};
+		request.onupgradeneeded = (event) => {
+			const db = event.target.result;
+			if (!db.objectStoreNames.contains(STORE_NAME)) {
+				db.createObjectStore(STORE_NAME);
+			}
+		};
+	});
+}
+
+async function withStore(mode, makeRequest) {
+	const db = await openDatabase();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(STORE_NAME, mode);
+		const request = makeRequest(transaction.objectStore(STORE_NAME));
+		transaction.oncomplete = () => resolve(request.result);
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error);
+	});
+}
+
+export async function saveBackupFolderHandle(handle) {
+	await withStore("readwrite", (store) => store.put(handle, HANDLE_KEY));
+}
+
+export async function getBackupFolderHandle() {
+	return (
+		(await withStore("readonly", (store) => store.get(HANDLE_KEY))) || null
+	);
+}
+
+export async function clearBackupFolderHandle() {
+	await withStore("readwrite", (store) => store.delete(HANDLE_KEY));
+}
+
+/**
+ * Current access to a folder, asking for it when `request` is set. Asking
+ * needs a page and a click, so the background only ever checks.
+ * @returns {Promise<"granted"|"prompt"|"denied">}
+ */
+export async function getFolderPermission(handle, { request = false } = {}) {
+	if (!handle) return "denied";
+	const descriptor = { mode: "readwrite" };
+	if (typeof handle.queryPermission !== "function") return "granted";
+	const state = await handle.queryPermission(descriptor);
+	if (state === "granted" || !request) return state;
+	return handle.requestPermission(descriptor);
+}
+
+// ─── Settings helpers ──────────────────────────────────────────────────────────
+
+/** Whether this page can pick a folder; false on Firefox and in workers. */
+export function supportsDirectoryPicker(scope = globalThis) {
+	return typeof scope.showDirectoryPicker === "function";
+}
+
+export async function getLocalFolderSettings() {
+	const result = await browser.storage.local.get(LOCAL_FOLDER_SETTINGS_KEY);
+	return {
+		enabled: false,
+		mode: LOCAL_FOLDER_MODES.DIRECTORY,
+		folderName: "",
+		subfolder: DEFAULT_DOWNLOADS_SUBFOLDER,
+		...(result?.[LOCAL_FOLDER_SETTINGS_KEY] || {}),
+	};
+}
+
+export async function saveLocalFolderSettings(changes) {
+	const current = await getLocalFolderSettings();
+	const next = { ...current, ...changes };
+	next.subfolder =
+		String(next.subfolder || "")
+			.replace(/[\\/]+/g, "/")
+			.replace(/^\/+|\/+$/g, "")
+			.replace(/\.\.+/g, ".") || DEFAULT_DOWNLOADS_SUBFOLDER;
+	await browser.storage.local.set({ [LOCAL_FOLDER_SETTINGS_KEY]: next });
+	return next;
+}
+
+// ─── Backup name helpers ───────────────────────────────────────────────────────
+
+function timestampedName(prefix, date) {
+	const ts = date
+		.toISOString()
+		.replace(/[:.]/g, "-")
+		.replace("T", "_")
+		.slice(0, 19);
+	return `${prefix}${ts}.json`;
+}
+
+function isVersionedName(names, name) {
+	return name.startsWith(names.prefix) && name.endsWith(".json");
+}
+
+function baseName(path) {
+	return String(path || "")
+		.split(/[\\/]/)
+		.pop();
+}
+
+function escapeRegex(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toText(backupBlob) {
+	if (backupBlob instanceof Blob) return backupBlob.text();
+	if (typeof backupBlob === "string") return backupBlob;
+	return JSON.stringify(backupBlob, null, 2);
+}
+
+// ─── Folder backends ───────────────────────────────────────────────────────────
+
+/** A picked directory: full read, write and delete. */
+function directoryBackend(handle) {
+	return {
+		async write(name, text) {
+			const file = await handle.getFileHandle(name, { create: true });
+			const writable = await file.createWritable();
+			await writable.write(text);
+			await writable.close();
+			return name;
+		},
+
+		async list() {
+			const files = [];
+			for await (const [name, entry] of handle.entries()) {
+				if (entry.kind !== "file") continue;
+				const file = await entry.getFile();
+				files.push({
+					id: name,
+					name,
+					modifiedTime: new Date(file.lastModified).toISOString(),
+					size: file.size,
+				});
+			}
+			return files;
+		},
+
+		async read(id) {
+			const entry = await handle.getFileHandle(id);
+			return (await entry.getFile()).text();
+		},
+
+		async remove(id) {
+			await handle.removeEntry(id);
+		},
+	};
+}
+
+/** Downloads-directory subfolder: write, list and delete, but no reading. */
+function downloadsBackend(downloadsApi, subfolder, saveDownload) {
+	const pattern = (name) =>
+		`(^|[\\\\/])${escapeRegex(subfolder).replace(/\//g, "[\\\\/]")}[\\\\/]${name}`;
+
+	return {
+		async write(name, text, { overwrite = false } = {}) {
+			const id = await saveDownload({
+				text,
+				filename: `${subfolder}/${name}`,
+				conflictAction: overwrite ? "overwrite" : "uniquify",
+			});
+			return String(id);
+		},
+
+		async list() {
+			const items = await downloadsApi.search({
+				filenameRegex: pattern(".+\\.json$"),
+				exists: true,
+				state: "complete",
+			});
+			return items.map((item) => ({
+				id: String(item.id),
+				name: baseName(item.filename),
+				modifiedTime: item.endTime || item.startTime,
+				size: item.fileSize || item.totalBytes || 0,
+			}));
+		},
+
+		async read() {
+			throw new Error(
+				"Backups saved to the downloads folder cannot be read back by the extension. Use Restore from File and pick the file instead.",
+			);
+		},
+
+		async remove(id) {
+			const downloadId = Number(id);
+			await downloadsApi.removeFile(downloadId).catch(() => {});
+			await downloadsApi.erase({ id: downloadId });
+		},
+	};
+}
+
+// ─── Adapter factory ───────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} [deps]
+ * @param {Object} [deps.browserRef] - Defaults to the global `browser`
+ * @param {() => Promise<Object|null>} [deps.getHandle] - Picked directory handle
+ * @param {(options: Object) => Promise<number>} [deps.saveDownload] - downloadText
+ * @param {() => Date} [deps.now]
+ */
+export function createLocalFolderStorageAdapter({
+	browserRef,
+	getHandle = getBackupFolderHandle,
+	saveDownload = downloadText,
+	now = () => new Date(),
+} = {}) {
+	const api = () => browserRef || globalThis.browser;
+
+	async function openBackend() {
+		const stored = await api().storage.local.get(LOCAL_FOLDER_SETTINGS_KEY);
+		const settings = stored?.[LOCAL_FOLDER_SETTINGS_KEY] || {};
+		if (settings.mode === LOCAL_FOLDER_MODES.DOWNLOADS) {
+			if (!api().downloads?.search) {
+				throw new Error("Downloads API not available");
+			}
+			return downloadsBackend(
+				api().downloads,
+				settings.subfolder || DEFAULT_DOWNLOADS_SUBFOLDER,
+				saveDownload,
+			);
+		}
+
+		const handle = await getHandle();
+		if (!handle) {
+			throw new Error(
+				"No backup folder chosen. Pick one in Library Settings → Backups → Local Folder.",
+			);
+		}
+		const permission = await getFolderPermission(handle);
+		if (permission !== "granted") {
+			// Chromium drops folder access when the browser restarts unless
+			// the user allowed it permanently; only a click can restore it.
+			throw new Error(
+				`Access to the backup folder "${handle.name}" has lapsed. Grant it again in Library Settings → Backups → Local Folder.`,
+			);
+		}
+		return directoryBackend(handle);
+	}
+
+	async function listKind(backend, names) {
+		const files = await backend.list();
+		return files
+			.filter((file) => isVersionedName(names, file.name))
+			.sort((a, b) =>
+				String(b.modifiedTime).localeCompare(String(a.modifiedTime)),
+			);
+	}
+
+	// Versioned files are thinned out by the same hourly/daily/weekly/monthly
+	// tiers as the rolling backups; the continuous file is not counted.
+	async function enforceRetention(backend, names, time) {
+		const stored = await api().storage.local.get(RETENTION_TIERS_KEY);
+		const expired = selectExpiredBackupFiles(
+			await listKind(backend, names),
+			{ tiers: stored?.[RETENTION_TIERS_KEY], now: time.getTime() },
+		);
+		for (const file of expired) {
+			try {
+				await backend.remove(file.id);
+				debugLog(`🗑️ Removed old folder backup: ${file.name}`);
+			} catch (err) {
+				debugError(`Failed to remove old backup ${file.name}`, err);
+			}
+		}
+	}
+
+	return {
+		// The downloads fallback cannot read a base back, and a local disk
+		// gains nothing from smaller uploads.
+		deltaBackups: false,
+
+		/**
+		 * @param {Blob|string|Object} backupBlob
+		 * @param {Object} [options]
+		 * @param {"versioned"|"continuous"} [options.variant]
+		 * @param {"library"|"full"} [options.kind] - Which backup this is
+		 */
+		async uploadBackup(backupBlob, options = {}) {
+			const backend = await openBackend();
+			const names = BACKUP_NAMES[options.kind] || BACKUP_NAMES.library;
+			const text = await toText(backupBlob);
+
+			if (options.variant === "continuous") {
+				const id = await backend.write(names.continuous, text, {
+					overwrite: true,
+				});
+				return { id, name: names.continuous };
+			}
+
+			const time = now();
+			const name = timestampedName(names.prefix, time);
+			const id = await backend.write(name, text);
+			await enforceRetention(backend, names, time);
+			return { id, name };
+		},
+
+		async listBackups() {
+			return listKind(await openBackend(), BACKUP_NAMES.library);
+		},
+
+		async downloadBackup(fileId) {
+			const backend = await openBackend();
+			return JSON.parse(await backend.read(fileId));
+		},
+
+		async getLatestBackup(options = {}) {
+			const backups = await this.listBackups(options);
+			return backups.length ? backups[0] : null;
+		},
+
+		async getContinuousBackup() {
+			try {
+				const files = await (await openBackend()).list();
+				return (
+					files
+						.filter(
+							(file) =>
+								file.name === BACKUP_NAMES.library.continuous,
+						)
+						.sort((a, b) =>
+							String(b.modifiedTime).localeCompare(
+								String(a.modifiedTime),
+							),
+						)[0] || null
+				);
+			} catch (_err) {
+				return null;
+			}
+		},
+
+		async ensureAuth() {
+			// Nothing to sign in to; opening the folder checks it is chosen
+			// and still writable.
+			await openBackend();
+			return { success: true };
+		},
+
+		async resetAuth() {
+			await clearBackupFolderHandle().catch(() => {});
+			await api().storage.local.remove(LOCAL_FOLDER_SETTINGS_KEY);
+			return { success: true };
+		},
+	};
+}
+
+/**
+ * Copy a rolling backup into the folder when the user turned that on. A
+ * failure is logged, not thrown: the rolling backup itself is already saved.
+ * @param {Object} backup - From createComprehensiveBackup()
+ * @returns {Promise<Object|null>} Upload result, or null when skipped or failed
+ */
+export async function mirrorRollingBackupToFolder(backup) {
+	try {
+		const settings = await getLocalFolderSettings();
+		if (!settings.enabled) return null;
+		return await createLocalFolderStorageAdapter().uploadBackup(backup, {
+			kind: "full",
+		});
+	} catch (err) {
+		debugError("Failed to copy rolling backup to the backup folder:", err);
+		return null;
+	}
+}
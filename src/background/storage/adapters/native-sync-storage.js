@@ -162,6 +162,9 @@ export function createNativeSyncStorageAdapter() {
 	}
 
 	return {
+		// One slot: a continuous upload replaces the versioned backup too.
+		deltaBackups: false,
+
 		async uploadBackup(backupBlob) {
 			let jsonStr;
 			if (typeof backupBlob === "string") {
@@ -0,0 +1,359 @@
+/**
+ * S3-compatible storage adapter for Ranobe Gemini.
+ * Stores backups in a bucket on AWS S3 or anything that speaks its API
+ * (MinIO, Backblaze B2, Cloudflare R2, Wasabi, ...). Requests are signed with
+ * SigV4 in plain JS (utils/aws-sigv4.js); credentials are stored in
+ * browser.storage.local. Versioned backups are thinned out after each upload
+ * by the same hourly/daily/weekly/monthly tiers as the rolling backups.
+ */
+
+import {
+	RETENTION_TIERS_KEY,
+	selectExpiredBackupFiles,
+} from "../../../utils/backup-delta.js";
+import {
+	sha256Hex,
+	signS3Request,
+	uriEncode,
+} from "../../../utils/aws-sigv4.js";
+import { debugError, debugLog } from "../../../utils/logger.js";
+import {
+	find,
+	findAll,
+	parseMarkup,
+	textContent,
+} from "../../../utils/mini-dom.js";
+
+const CREDS_KEY = "s3Credentials";
+const DEFAULT_REGION = "us-east-1";
+
+// ─── Credential helpers ────────────────────────────────────────────────────────
+
+async function loadCredentials() {
+	const result = await browser.storage.local.get(CREDS_KEY);
+	return result?.[CREDS_KEY] || null;
+}
+
+/**
+ * Normalise what the settings form produced: no trailing slash on the
+ * endpoint, the prefix without leading or trailing slashes, and path-style
+ * addressing unless turned off (MinIO and most self-hosted servers need it).
+ */
+export function normalizeS3Credentials({
+	endpoint = "",
+	bucket = "",
+	region = "",
+	prefix = "",
+	accessKeyId = "",
+	secretAccessKey = "",
+	forcePathStyle = true,
+} = {}) {
+	return {
+		endpoint: endpoint.trim().replace(/\/+$/, ""),
+		bucket: bucket.trim(),
+		region: region.trim() || DEFAULT_REGION,
+		prefix: prefix.trim().replace(/^\/+|\/+$/g, ""),
+		accessKeyId: accessKeyId.trim(),
+		secretAccessKey,
+		forcePathStyle: forcePathStyle !== false,
+	};
+}
+
+export async function saveS3Credentials(creds) {
+	await browser.storage.local.set({
+		[CREDS_KEY]: normalizeS3Credentials(creds),
+	});
+}
+
+export async function clearS3Credentials() {
+	await browser.storage.local.remove(CREDS_KEY);
+}
+
+export async function getS3Credentials() {
+	return loadCredentials();
+}
+
+// ─── Backup name helpers ───────────────────────────────────────────────────────
+
+const BACKUP_PREFIX = "ranobegemini_backup_";
+const CONTINUOUS_NAME = "ranobegemini_continuous.json";
+
+function timestampedName(date) {
+	const ts = date
+		.toISOString()
+		.replace(/[:.]/g, "-")
+		.replace("T", "_")
+		.slice(0, 19);
+	return `${BACKUP_PREFIX}${ts}.json`;
+}
+
+function isBackupFile(name) {
+	return name.startsWith(BACKUP_PREFIX) && name.endsWith(".json");
+}
+
+function objectKey(creds, customPath, fileName) {
+	const prefix = (customPath ?? creds.prefix ?? "").replace(/^\/+|\/+$/g, "");
+	return prefix ? `${prefix}/${fileName}` : fileName;
+}
+
+// ─── Internal HTTP helpers ─────────────────────────────────────────────────────
+
+/**
+ * URL for a key (or the bucket itself when `key` is empty). Path style puts
+ * the bucket in the path, virtual-hosted style in the host name. A path on
+ * the endpoint itself (a gateway serving S3 under "/s3") is kept in front.
+ */
+function objectUrl(creds, key = "", query = {}) {
+	const base = new URL(creds.endpoint);
+	const root = base.pathname.replace(/\/+$/, "");
+	const path = key ? `/${uriEncode(key, true)}` : "/";
+	const url = creds.forcePathStyle
+		? new URL(`${root}/${uriEncode(creds.bucket)}${key ? path : ""}`, base)
+		: new URL(
+				`${root}${path}`,
+				`${base.protocol}//${creds.bucket}.${base.host}`,
+			);
+	for (const [name, value] of Object.entries(query)) {
+		if (value !== undefined && value !== null) {
+			url.searchParams.set(name, String(value));
+		}
+	}
+	return url.toString();
+}
+
+function parseListXml(xmlText) {
+	// mini-dom rather than DOMParser: on Chromium the background is a service
+	// worker with no DOMParser.
+	const doc = parseMarkup(xmlText);
+	return {
+		objects: findAll(doc, "contents").map((entry) => ({
+			key: textContent(find(entry, "key")).trim(),
+			lastModified: textContent(find(entry, "lastmodified")).trim(),
+			size: parseInt(textContent(find(entry, "size")), 10) || 0,
+		})),
+		truncated:
+			textContent(find(doc, "istruncated")).trim().toLowerCase() ===
+			"true",
+		nextToken: textContent(find(doc, "nextcontinuationtoken")).trim(),
+	};
+}
+
+// ─── Adapter factory ───────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} [deps]
+ * @param {typeof fetch} [deps.fetchImpl] - For tests
+ * @param {() => Date} [deps.now] - Signing time and backup names, for tests
+ * @param {() => Promise<Object|undefined>} [deps.getRetentionTiers]
+ *   Per-tier counts overriding DEFAULT_RETENTION_TIERS
+ */
+export function createS3StorageAdapter({
+	fetchImpl = (...args) => fetch(...args),
+	now = () => new Date(),
+	getRetentionTiers = async () =>
+		(await browser.storage.local.get(RETENTION_TIERS_KEY))?.[
+			RETENTION_TIERS_KEY
+		],
+} = {}) {
+	async function requireCreds(options = {}) {
+		// Allow per-call credential override (for testing or multi-destination)
+		const creds = options.credentials
+			? normalizeS3Credentials(options.credentials)
+			: await loadCredentials();
+		if (
+			!creds?.endpoint ||
+			!creds?.bucket ||
+			!creds?.accessKeyId ||
+			!creds?.secretAccessKey
+		) {
+			throw new Error(
+				"S3 storage not configured. Set endpoint, bucket and access keys in Library Settings → Backups.",
+			);
+		}
+		return creds;
+	}
+
+	async function s3Request(
+		creds,
+		method,
+		url,
+		{ body, headers = {}, allowNotFound = false } = {},
+	) {
+		const payloadHash = await sha256Hex(body ?? "");
+		const signedHeaders = await signS3Request(
+			{ method, url, headers, payloadHash },
+			creds,
+			now(),
+		);
+		const resp = await fetchImpl(url, {
+			method,
+			headers: signedHeaders,
+			body: body ?? undefined,
+		});
+		if (allowNotFound && resp.status === 404) return null;
+		if (!resp.ok) {
+			const detail = await resp.text().catch(() => "");
+			const code = detail.match(/<Code>([^<]+)<\/Code>/)?.[1];
+			throw new Error(
+				`S3 ${method} ${url} → ${resp.status} ${resp.statusText}${code ? ` (${code})` : ""}`,
+			);
+		}
+		return resp;
+	}
+
+	async function putObject(creds, key, body) {
+		await s3Request(creds, "PUT", objectUrl(creds, key), {
+			body,
+			headers: { "Content-Type": "application/json" },
+		});
+	}
+
+	async function deleteObject(creds, key) {
+		await s3Request(creds, "DELETE", objectUrl(creds, key));
+	}
+
+	async function listObjects(creds, prefix, { maxKeys } = {}) {
+		const objects = [];
+		let token;
+		do {
+			const resp = await s3Request(
+				creds,
+				"GET",
+				objectUrl(creds, "", {
+					"list-type": 2,
+					prefix: prefix || undefined,
+					"max-keys": maxKeys,
+					"continuation-token": token,
+				}),
+			);
+			const page = parseListXml(await resp.text());
+			objects.push(...page.objects);
+			token = page.truncated && !maxKeys ? page.nextToken : "";
+		} while (token);
+		return objects;
+	}
+
+	async function listBackupFiles(creds, customPath) {
+		const keyPrefix = objectKey(creds, customPath, "");
+		const objects = await listObjects(creds, keyPrefix);
+		return objects
+			.map((object) => ({
+				id: object.key,
+				name: object.key.slice(keyPrefix.length),
+				modifiedTime: object.lastModified,
+				size: object.size,
+			}))
+			.filter((file) => isBackupFile(file.name))
+			.sort((a, b) => b.modifiedTime.localeCompare(a.modifiedTime));
+	}
+
+	// Versioned backups the retention tiers no longer keep; the continuous
+	// object is not counted. A failure is logged, not thrown: the new backup
+	// is already saved.
+	async function pruneBackups(creds, customPath, time) {
+		try {
+			const expired = selectExpiredBackupFiles(
+				await listBackupFiles(creds, customPath),
+				{ tiers: await getRetentionTiers(), now: time.getTime() },
+			);
+			for (const file of expired) {
+				await deleteObject(creds, file.id);
+				debugLog(`🗑️ Removed old S3 backup: ${file.name}`);
+			}
+		} catch (err) {
+			debugError("Failed to remove old S3 backups", err);
+		}
+	}
+
+	return {
+		async uploadBackup(backupBlob, options = {}) {
+			const creds = await requireCreds(options);
+			const customPath = options.customPath;
+
+			const bodyData =
+				backupBlob instanceof Blob
+					? await backupBlob.text()
+					: typeof backupBlob === "string"
+						? backupBlob
+						: JSON.stringify(backupBlob);
+
+			const continuousKey = objectKey(creds, customPath, CONTINUOUS_NAME);
+			// Continuous uploads only replace the rolling object, the same
+			// way Drive overwrites its single continuous file.
+			if (options.variant === "continuous") {
+				await putObject(creds, continuousKey, bodyData);
+				return { id: continuousKey, name: CONTINUOUS_NAME };
+			}
+
+			const time = now();
+			const fileName = timestampedName(time);
+			const key = objectKey(creds, customPath, fileName);
+			await putObject(creds, key, bodyData);
+			await putObject(creds, continuousKey, bodyData).catch(() => {}); // best-effort
+			await pruneBackups(creds, customPath, time);
+
+			return { id: key, name: fileName };
+		},
+
+		async listBackups(options = {}) {
+			const creds = await requireCreds(options);
+			return listBackupFiles(creds, options.customPath);
+		},
+
+		async downloadBackup(fileId, options = {}) {
+			const creds = await requireCreds(options);
+			// fileId is the object key; a bare file name is resolved
+			// against the configured prefix.
+			const key = fileId.includes("/")
+				? fileId
+				: objectKey(creds, options.customPath, fileId);
+			const resp = await s3Request(creds, "GET", objectUrl(creds, key));
+			return resp.json();
+		},
+
+		async getLatestBackup(options = {}) {
+			const backups = await this.listBackups(options);
+			return backups.length ? backups[0] : null;
+		},
+
+		async getContinuousBackup(options = {}) {
+			const creds = await requireCreds(options);
+			const key = objectKey(creds, options.customPath, CONTINUOUS_NAME);
+			try {
+				const resp = await s3Request(
+					creds,
+					"HEAD",
+					objectUrl(creds, key),
+					{ allowNotFound: true },
+				);
+				if (!resp) return null;
+				const lastModified = resp.headers.get("last-modified");
+				return {
+					id: key,
+					name: CONTINUOUS_NAME,
+					modifiedTime: lastModified
+						? new Date(lastModified).toISOString()
+						: null,
+					size: parseInt(resp.headers.get("content-length"), 10) || 0,
+				};
+			} catch (_err) {
+				return null;
+			}
+		},
+
+		async ensureAuth(options = {}) {
+			// No sign-in flow: a one-key listing proves the endpoint, bucket
+			// and keys are all right.
+			const creds = await requireCreds(options);
+			await listObjects(creds, objectKey(creds, options.customPath, ""), {
+				maxKeys: 1,
+			});
+			return { success: true };
+		},
+
+		async resetAuth() {
+			await clearS3Credentials();
+			return { success: true };
+		},
+	};
+}
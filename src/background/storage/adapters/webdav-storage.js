@@ -4,6 +4,11 @@
  * using HTTP basic auth. Credentials are stored in browser.storage.local.
  */
 
+import {
+	RETENTION_TIERS_KEY,
+	selectExpiredBackupFiles,
+} from "../../../utils/backup-delta.js";
+import { debugError, debugLog } from "../../../utils/logger.js";
 import {
 	find,
 	findAll,
@@ -170,6 +175,26 @@ export function createWebdavStorageAdapter() {
 		}
 	}
 
+	// Versioned backups the retention tiers no longer keep; the continuous
+	// file is not counted. A failure is logged, not thrown: the new backup
+	// is already saved.
+	async function pruneBackups(adapter, creds, options) {
+		try {
+			const stored = await browser.storage.local.get(RETENTION_TIERS_KEY);
+			const expired = selectExpiredBackupFiles(
+				await adapter.listBackups(options),
+				{ tiers: stored?.[RETENTION_TIERS_KEY] },
+			);
+			const auth = authHeader(creds.username, creds.password);
+			for (const file of expired) {
+				await davRequest("DELETE", file.id, { auth });
+				debugLog(`🗑️ Removed old WebDAV backup: ${file.name}`);
+			}
+		} catch (err) {
+			debugError("Failed to remove old WebDAV backups", err);
+		}
+	}
+
 	return {
 		async uploadBackup(backupBlob, options = {}) {
 			const creds = await requireCreds(options);
@@ -201,6 +226,7 @@ export function createWebdavStorageAdapter() {
 				body: bodyData,
 				headers: { "Content-Type": "application/json" },
 			}).catch(() => {}); // best-effort
+			await pruneBackups(this, creds, options);
 
 			return { fileId: fileUrl, fileName };
 		},
@@ -0,0 +1,150 @@
+/**
+ * Incremental continuous uploads over the active storage adapter.
+ *
+ * Every versioned upload is a full library backup stamped with a snapshotId,
+ * and becomes the base. Continuous uploads after it are delta envelopes
+ * holding only the records changed since that base (utils/backup-delta.js),
+ * so a reading-progress change on a 2,000-novel library uploads a few
+ * kilobytes instead of several megabytes. The base is remembered as a digest
+ * of record hashes, never as a second copy of the library.
+ *
+ * Compaction is a fresh versioned upload: once the patch has grown past the
+ * share of the base that DEFAULT_COMPACTION allows, or the base is older than
+ * BASE_MAX_AGE_MS, the next continuous upload writes a new base first.
+ *
+ * Reading goes through resolve(), which turns an envelope back into a full
+ * backup, so every restore and sync path accepts both.
+ */
+
+import {
+	createDeltaEnvelope,
+	diffAgainstDigest,
+	digestSnapshot,
+	isDeltaEnvelope,
+	payloadSize,
+	resolveDeltaBackup,
+	shouldCompact,
+	snapshotIdFromDigest,
+} from "../../utils/backup-delta.js";
+
+export const REMOTE_DELTA_BASE_KEY = "rg_remote_delta_base";
+
+// A base older than this is replaced even if little changed, so a restore
+// never depends on a file that retention may be about to delete.
+export const BASE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.browserRef
+ * @param {Object} deps.storageSync - createStorageSyncOrchestrator() instance
+ * @param {(data: Object) => Promise<Object>} [deps.decode] - Undo transport encryption
+ * @param {() => number} [deps.now]
+ */
+export function createRemoteDeltaBackups({
+	browserRef,
+	storageSync,
+	decode = async (data) => data,
+	now = () => Date.now(),
+}) {
+	async function readBase(providerId) {
+		const stored = await browserRef.storage.local.get(
+			REMOTE_DELTA_BASE_KEY,
+		);
+		const base = stored?.[REMOTE_DELTA_BASE_KEY];
+		return base?.providerId === providerId ? base : null;
+	}
+
+	/**
+	 * Decide what to upload for a library export.
+	 *
+	 * @param {Object} data - novelLibrary.exportLibrary() result
+	 * @param {"versioned"|"continuous"} variant
+	 * @returns {Promise<{ payload: Object, base?: Object, needsBase?: boolean }>}
+	 *   `base` is set for a full upload that should become the base once
+	 *   uploaded; `needsBase` asks the caller to upload a versioned backup first
+	 */
+	async function prepare(data, variant) {
+		if (variant !== "continuous") {
+			const digest = digestSnapshot(data);
+			const snapshotId = snapshotIdFromDigest(digest);
+			return {
+				payload: { ...data, snapshotId },
+				base: { digest, snapshotId, bytes: payloadSize(data) },
+			};
+		}
+		if (!(await storageSync.supportsDeltaBackups())) {
+			return { payload: data };
+		}
+
+		const base = await readBase(
+			await storageSync.getActiveSyncProviderId(),
+		);
+		if (!base || now() - base.uploadedAt > BASE_MAX_AGE_MS) {
+			return { payload: data, needsBase: true };
+		}
+		const patch = diffAgainstDigest(base.digest, data);
+		if (
+			shouldCompact({
+				chainLength: 1,
+				patchBytes: payloadSize(patch),
+				baseBytes: base.bytes,
+			})
+		) {
+			return { payload: data, needsBase: true };
+		}
+		return {
+			payload: createDeltaEnvelope({
+				baseSnapshotId: base.snapshotId,
+				baseFileId: base.fileId,
+				baseName: base.name,
+				createdAt: now(),
+				patch,
+			}),
+		};
+	}
+
+	/**
+	 * Remember a finished full upload as the base for later patches.
+	 * @param {Object} options
+	 * @param {string} options.providerId
+	 * @param {{ id: string, name?: string }} options.file - Upload result
+	 * @param {Object} options.base - From prepare()
+	 */
+	async function recordBase({ providerId, file, base }) {
+		if (!file?.id || !base) return;
+		await browserRef.storage.local.set({
+			[REMOTE_DELTA_BASE_KEY]: {
+				providerId,
+				fileId: file.id,
+				name: file.name || null,
+				uploadedAt: now(),
+				...base,
+			},
+		});
+	}
+
+	async function fetchBackup(fileId) {
+		const { data } = await storageSync.downloadBackup(fileId);
+		return decode(typeof data === "string" ? JSON.parse(data) : data);
+	}
+
+	/**
+	 * Full backup from a downloaded (and decrypted) file.
+	 * @param {Object|string} data
+	 * @returns {Promise<Object>}
+	 */
+	async function resolve(data) {
+		const parsed = await decode(
+			typeof data === "string" ? JSON.parse(data) : data,
+		);
+		if (!isDeltaEnvelope(parsed)) return parsed;
+		const full = await resolveDeltaBackup(parsed, {
+			fetchBackup,
+			listBackups: async () => (await storageSync.listBackups()).backups,
+		});
+		delete full.snapshotId;
+		return full;
+	}
+
+	return { prepare, recordBase, resolve };
+}
@@ -0,0 +1,227 @@
+/**
+ * Three-way library sync over the active storage adapter.
+ *
+ * One sync: download the newest remote backup (rolling file first, then the
+ * latest versioned one), merge it with this device's library against the
+ * base saved by the previous sync (utils/library-merge.js), write the result
+ * locally if anything came in, upload it if the remote is missing anything,
+ * and keep the result as the next base. The local library is read only once
+ * the download is done, and if it is saved again before the merge is
+ * written, the merge is redone against the newer copy rather than written
+ * over it. Everything remote goes through the
+ * orchestrator, so it works the same for every registered adapter.
+ *
+ * The base is a digest of the merged library (digestLibrarySnapshot), not a
+ * second copy of it. It is kept per provider: a base recorded against Drive
+ * says nothing about what is on WebDAV, so switching providers starts with a
+ * two-way merge decided by the field clocks.
+ */
+
+import {
+	digestLibrarySnapshot,
+	mergeLibrarySnapshots,
+} from "../../utils/library-merge.js";
+import {
+	buildLibraryReview,
+	resolveLibraryReview,
+} from "../../utils/library-review.js";
+
+export const LIBRARY_SYNC_BASE_KEY = "rg_library_sync_base";
+export const LIBRARY_SYNC_STATE_KEY = "librarySyncState";
+
+// Conflicts kept in the sync state for review; a first sync between two
+// long-diverged devices can produce many more.
+const MAX_STORED_CONFLICTS = 200;
+
+// Merges redone because the library was saved while one was being written.
+const MAX_MERGE_ATTEMPTS = 3;
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.browserRef
+ * @param {Object} deps.storageSync - createStorageSyncOrchestrator() instance
+ * @param {Object} deps.novelLibrary - exportLibrary() / applySyncedLibrary(),
+ *   which returns false when the library was saved after `mergedFrom`
+ * @param {(data: Object) => Promise<Object>} [deps.decode] - Undo transport encryption
+ * @param {(options: { reason: string }) => Promise<*>} deps.upload
+ *   Export and upload the (now merged) local library
+ * @param {() => number} [deps.now]
+ * @param {Function} [deps.debugLog]
+ */
+export function createLibrarySyncEngine({
+	browserRef,
+	storageSync,
+	novelLibrary,
+	decode = async (data) => data,
+	upload,
+	now = () => Date.now(),
+	debugLog = () => {},
+}) {
+	// Syncs run one after another: each merges against the base the one
+	// before it recorded.
+	let queue = Promise.resolve();
+
+	async function findRemoteFile() {
+		const continuous = await storageSync.getContinuousBackup();
+		if (continuous.file?.id) return continuous.file;
+		const latest = await storageSync.getLatestBackup();
+		return latest.file?.id ? latest.file : null;
+	}
+
+	async function readRemote(file) {
+		const { data } = await storageSync.downloadBackup(file.id);
+		const parsed = typeof data === "string" ? JSON.parse(data) : data;
+		const backup = await decode(parsed);
+		if (!backup?.library || !backup?.version) {
+			throw new Error("Remote backup is not a library backup.");
+		}
+		return { library: backup.library, chapters: backup.chapters || {} };
+	}
+
+	async function readBase(providerId) {
+		const stored = await browserRef.storage.local.get(
+			LIBRARY_SYNC_BASE_KEY,
+		);
+		const base = stored?.[LIBRARY_SYNC_BASE_KEY];
+		if (base?.providerId !== providerId) return null;
+		// Bases recorded before digests held the library itself.
+		return base.digest || digestLibrarySnapshot(base);
+	}
+
+	async function fetchRemote(file) {
+		const providerId = await storageSync.getActiveSyncProviderId();
+		const remoteFile = file?.id ? file : await findRemoteFile();
+		return {
+			providerId,
+			remoteFile,
+			remote: remoteFile ? await readRemote(remoteFile) : null,
+			base: remoteFile ? await readBase(providerId) : null,
+		};
+	}
+
+	async function mergeLocal({ remote, base }, choices = null) {
+		const exported = await novelLibrary.exportLibrary();
+		const local = {
+			library: exported.library,
+			chapters: exported.chapters || {},
+		};
+
+		let merged;
+		if (remote) {
+			merged = mergeLibrarySnapshots({
+				base,
+				local,
+				remote,
+				now: now(),
+				resolve: choices
+					? (localNovels, novels) =>
+							resolveLibraryReview(localNovels, novels, choices)
+					: null,
+			});
+		} else {
+			// Nothing uploaded yet: this device's library is the first version.
+			merged = {
+				...local,
+				conflicts: [],
+				changedLocally: false,
+				changedRemotely: true,
+				stats: { added: 0, updated: 0, removed: 0, conflicts: 0 },
+			};
+		}
+		return { local, merged };
+	}
+
+	async function runSync({ file = null, reason = "manual", choices = null }) {
+		const fetched = await fetchRemote(file);
+		const { providerId, remoteFile } = fetched;
+		let { local, merged } = await mergeLocal(fetched, choices);
+
+		for (let attempt = 1; merged.changedLocally; attempt++) {
+			const applied = await novelLibrary.applySyncedLibrary({
+				library: merged.library,
+				chapters: merged.chapters,
+				mergedFrom: local.library?.lastUpdated ?? null,
+			});
+			if (applied !== false) break;
+			if (attempt >= MAX_MERGE_ATTEMPTS) {
+				throw new Error(
+					"The library kept changing while it was being synced. Try again in a moment.",
+				);
+			}
+			({ local, merged } = await mergeLocal(fetched, choices));
+		}
+		if (merged.changedRemotely) {
+			await upload({ reason: "merge-sync" });
+		}
+
+		const syncedAt = now();
+		const state = {
+			providerId,
+			fileId: remoteFile?.id || null,
+			fileName: remoteFile?.name || null,
+			modifiedTime: remoteFile?.modifiedTime || null,
+			reason,
+			syncedAt,
+			pulled: merged.changedLocally,
+			pushed: merged.changedRemotely,
+			stats: merged.stats,
+			conflicts: merged.conflicts.slice(0, MAX_STORED_CONFLICTS),
+		};
+		await browserRef.storage.local.set({
+			[LIBRARY_SYNC_BASE_KEY]: {
+				providerId,
+				syncedAt,
+				digest: digestLibrarySnapshot(merged),
+			},
+			[LIBRARY_SYNC_STATE_KEY]: state,
+		});
+		debugLog(
+			`[LibrarySync] ${providerId}: ${merged.stats.added} added, ${merged.stats.updated} updated, ${merged.stats.removed} removed, ${merged.stats.conflicts} conflicts`,
+		);
+		return { success: true, ...state };
+	}
+
+	/**
+	 * Run one sync. A call made while another is running waits for it and
+	 * then runs with its own options, so conflict review choices submitted
+	 * mid-sync are still applied, against the base that sync recorded.
+	 * @param {Object} [options]
+	 * @param {Object} [options.file] - Remote file already looked up by the caller
+	 * @param {string} [options.reason]
+	 * @param {Object} [options.choices] - Conflict review choices, from preview()
+	 */
+	function sync(options = {}) {
+		const run = queue.then(() => runSync(options));
+		queue = run.catch(() => {});
+		return run;
+	}
+
+	/**
+	 * Merge without writing anything, and list what the pull would change in
+	 * this browser's novels for the conflict review screen.
+	 */
+	async function preview() {
+		const fetched = await fetchRemote();
+		const { providerId, remoteFile } = fetched;
+		const { local, merged } = await mergeLocal(fetched);
+		return {
+			success: true,
+			providerId,
+			fileName: remoteFile?.name || null,
+			review: buildLibraryReview(
+				local.library?.novels,
+				merged.library?.novels,
+			),
+			stats: merged.stats,
+		};
+	}
+
+	async function getState() {
+		const stored = await browserRef.storage.local.get(
+			LIBRARY_SYNC_STATE_KEY,
+		);
+		return stored?.[LIBRARY_SYNC_STATE_KEY] || null;
+	}
+
+	return { sync, preview, getState };
+}
@@ -12,6 +12,13 @@ export const REQUIRED_STORAGE_SYNC_METHODS = [
 
 export const OPTIONAL_STORAGE_SYNC_METHODS = ["ensureAuth", "resetAuth"];
 
+/**
+ * Optional capability flags an adapter may set:
+ * - `deltaBackups: false` — a continuous upload can overwrite or hide the
+ *   full backup it builds on, so continuous uploads must stay full files.
+ */
+export const OPTIONAL_STORAGE_SYNC_CAPABILITIES = ["deltaBackups"];
+
 export function validateStorageSyncAdapterRuntime(
 	adapter,
 	providerId = "unknown",
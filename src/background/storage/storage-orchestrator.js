@@ -153,6 +153,25 @@ export function createStorageSyncOrchestrator({
 		return { providerId, file: file || null };
 	}
 
+	/**
+	 * Whether continuous uploads may be incremental: every destination keeps
+	 * older files readable after a continuous upload (adapters that hold a
+	 * single slot declare `deltaBackups: false`).
+	 */
+	async function supportsDeltaBackups() {
+		const destinations = await readSyncDestinations(
+			browserRef,
+			defaultProvider,
+		);
+		const adapters = destinations
+			.map((dest) => registry.get(dest.providerId))
+			.filter(Boolean);
+		return (
+			adapters.length > 0 &&
+			adapters.every((adapter) => adapter.deltaBackups !== false)
+		);
+	}
+
 	async function ensureAuth(options = {}) {
 		const { providerId, adapter } = await getActiveSyncAdapter();
 		if (typeof adapter.ensureAuth !== "function") {
@@ -184,6 +203,7 @@ export function createStorageSyncOrchestrator({
 		downloadBackup,
 		getLatestBackup,
 		getContinuousBackup,
+		supportsDeltaBackups,
 		ensureAuth,
 		resetAuth,
 	};
@@ -98,6 +98,7 @@ async function loadAiRuntimeModule() {
 let chunkErrorModule = null; // Chunk error handling runtime
 let chunkProcessedModule = null; // Chunk processed handling runtime
 let chunkEventsModule = null; // Chunk action handlers runtime
+let aiStreamClient = null; // Streamed AI output port client
 let popupLibraryRuntimeModule = null; // Popup/library actions runtime
 let novelContextModule = null; // Novel Context orchestration module
 let chunkControlRuntime = null; // Chunk control state/helpers
@@ -546,6 +547,33 @@ if (window.__RGInitDone) {
 		}
 	}
 
+	// Opens (or reuses) the streamed-output port. Returns null when streaming
+	// is unavailable; every caller then falls back to plain runtime messages.
+	async function ensureAiStreamClient() {
+		try {
+			if (!aiStreamClient) {
+				const moduleRef = await import(
+					browser.runtime.getURL(
+						"content/modules/ai-stream-runtime.js",
+					)
+				);
+				aiStreamClient = moduleRef.createAiStreamClientRuntime({
+					browserRef: browser,
+					debugLog,
+					onEnhanceDelta: ({ chunkIndex, text }) => {
+						enhancementDisplayModule?.renderStreamingChunkPreviewRuntime?.(
+							{ documentRef: document, chunkIndex, text },
+						);
+					},
+				});
+			}
+			return aiStreamClient.ensureConnected() ? aiStreamClient : null;
+		} catch (error) {
+			debugError("Error loading AI stream module:", error);
+			return null;
+		}
+	}
+
 	function applyDebugFlag(enabled) {
 		debugModeEnabled = !!enabled;
 	}
@@ -1409,6 +1437,7 @@ if (window.__RGInitDone) {
 			{
 				onRegenerate: handleReenhanceChunk,
 				onToggle: handleChunkToggle,
+				onDiff: handleChunkDiff,
 				onDelete: handleChunkDelete,
 				onEnhance,
 				isBatchMode,
@@ -1452,12 +1481,13 @@ if (window.__RGInitDone) {
 
 		try {
 			const chunkConfig = await chunking.config.getChunkConfig();
-			chunkSizeWords = chunkConfig.chunkSizeWords;
 			chunkSummaryCount = chunkConfig.chunkSummaryCount;
 
 			const sourceHtml =
 				contentArea.getAttribute("data-original-html") ||
 				getCleanContentHTML(contentArea);
+			({ chunkSizeWords } =
+				await chunking.budget.getChunkSizeForContent(sourceHtml));
 			chunks = chunking.core.splitContentByWords(
 				sourceHtml,
 				chunkSizeWords,
@@ -1567,6 +1597,17 @@ if (window.__RGInitDone) {
 		});
 	}
 
+	async function handleChunkDiff(chunkIndex) {
+		if (!chunkEventsModule?.toggleChunkDiffRuntime) return;
+		await chunkEventsModule.toggleChunkDiffRuntime({
+			chunkIndex,
+			documentRef: document,
+			loadChunkingSystem,
+			applyCollapsibleSections,
+			showStatusMessage,
+		});
+	}
+
 	async function handleChunkDelete(chunkIndex) {
 		if (!chunkEventsModule?.deleteChunkEnhancementRuntime) return;
 		await chunkEventsModule.deleteChunkEnhancementRuntime({
@@ -1715,6 +1756,11 @@ if (window.__RGInitDone) {
 			return;
 		}
 
+		enhancementDisplayModule?.clearStreamingChunkPreviewRuntime?.({
+			documentRef: document,
+			chunkIndex: message.chunkIndex,
+		});
+
 		await chunkProcessedModule.handleChunkProcessedRuntime({
 			message,
 			loadChunkingSystem,
@@ -1771,6 +1817,12 @@ if (window.__RGInitDone) {
 			return;
 		}
 
+		// A retry streams again from scratch; drop the partial preview.
+		enhancementDisplayModule?.clearStreamingChunkPreviewRuntime?.({
+			documentRef: document,
+			chunkIndex: message.chunkIndex,
+		});
+
 		await chunkErrorModule.handleChunkErrorRuntime({
 			message,
 			loadChunkingSystem,
@@ -2604,13 +2656,53 @@ if (window.__RGInitDone) {
 		// non-critical
 	}
 
+	let novelGlossaryModule = null;
+
+	async function loadNovelGlossaryModule() {
+		if (novelGlossaryModule) return novelGlossaryModule;
+		try {
+			const url = browser.runtime.getURL("utils/novel-glossary.js");
+			novelGlossaryModule = await import(url);
+			return novelGlossaryModule;
+		} catch (_err) {
+			return null;
+		}
+	}
+
+	/**
+	 * Glossary block for the library novel this page belongs to, limited to
+	 * terms that occur in `content`.
+	 * @param {string} [content]
+	 * @returns {Promise<string>}
+	 */
+	async function buildNovelGlossaryBlock(content) {
+		try {
+			const library = novelLibrary || (await loadNovelLibrary());
+			const novel = await library?.getNovelByUrl(window.location.href);
+			if (!novel?.glossary?.length) return "";
+			const mod = await loadNovelGlossaryModule();
+			const block =
+				mod?.buildGlossaryPromptBlock(novel.glossary, { content }) ||
+				"";
+			if (block) {
+				debugLog(`Using glossary for: ${novel.title}`);
+			}
+			return block;
+		} catch (err) {
+			debugLog("Could not load novel glossary:", err);
+			return "";
+		}
+	}
+
 	/**
 	 * Build the combined prompt for a Gemini request:
-	 * site-specific + optional novel-custom + custom box types appendix.
+	 * site-specific + optional novel-custom + novel glossary + custom box
+	 * types appendix.
 	 * @param {string} [novelCustomPrompt]
+	 * @param {string} [content] - Text being enhanced; narrows the glossary
 	 * @returns {Promise<string>}
 	 */
-	async function buildCombinedPrompt(novelCustomPrompt) {
+	async function buildCombinedPrompt(novelCustomPrompt, content) {
 		let prompt = currentHandler
 			? currentHandler.getSiteSpecificPrompt()
 			: "";
@@ -2619,6 +2711,10 @@ if (window.__RGInitDone) {
 				? `${prompt}\n\n${novelCustomPrompt}`
 				: novelCustomPrompt;
 		}
+		const glossaryBlock = await buildNovelGlossaryBlock(content);
+		if (glossaryBlock) {
+			prompt = prompt ? `${prompt}\n\n${glossaryBlock}` : glossaryBlock;
+		}
 		try {
 			const mod = await loadCustomBoxTypesModule();
 			if (mod) {
@@ -2872,6 +2968,12 @@ if (window.__RGInitDone) {
 				debugLog,
 				debugError,
 				getCurrentFontSize: () => currentFontSize,
+				requestStreamingSummary: async (message, onText) => {
+					const client = await ensureAiStreamClient();
+					return client
+						? client.requestSummary(message, onText)
+						: null;
+				},
 			},
 		});
 
@@ -2969,6 +3071,9 @@ if (window.__RGInitDone) {
 				chapterNumber: context.chapterNumber || 1,
 				title: context.chapterTitle || document.title,
 				url: window.location.href,
+				// Chunks are cached under the canonical URL, which can differ
+				// from the page URL (novelbin/novelarrow); EPUB export reads it.
+				cacheUrl: getCacheUrl(),
 				isEnhanced: true,
 				enhancedChunkCount: enhancedChunkEls.length || 1,
 				totalChunksForChapter: totalChunkEls.length || 1,
@@ -3165,14 +3270,21 @@ if (window.__RGInitDone) {
 		// can have more entries than the corrected splitter would produce — trim them.
 		if (
 			chunking.core?.splitContentByWords &&
-			chunking.config?.getChunkConfig
+			chunking.budget?.getChunkSizeForContent
 		) {
 			try {
-				const chunkConfig = await chunking.config.getChunkConfig();
 				const sourceHtml = getCleanContentHTML(contentArea);
+				// Re-split with the size the cache was written with; the auto
+				// budget moves with the selected model and would otherwise
+				// make a valid cache look stale.
+				const chunkSizeWords =
+					chunks.find((chunk) => chunk.chunkSizeWords)
+						?.chunkSizeWords ||
+					(await chunking.budget.getChunkSizeForContent(sourceHtml))
+						.chunkSizeWords;
 				const freshChunks = chunking.core.splitContentByWords(
 					sourceHtml,
-					chunkConfig.chunkSizeWords,
+					chunkSizeWords,
 				);
 				if (freshChunks.length < chunks.length) {
 					debugLog(
@@ -4186,6 +4298,7 @@ if (window.__RGInitDone) {
 
 		if (contentArea) {
 			debugLog("Auto-extracting content...");
+			await loadRemainingChapterContent();
 			const result = extractContent();
 
 			if (result.found) {
@@ -4306,11 +4419,24 @@ if (window.__RGInitDone) {
 		return extractContentGeneric();
 	}
 
+	// Sites that split a chapter over lazily loaded pages (Wattpad) fetch the
+	// pages the reader has not scrolled to yet, so the synchronous
+	// extractContent() above sees the whole chapter.
+	async function loadRemainingChapterContent() {
+		if (typeof currentHandler?.loadRemainingContent !== "function") return;
+		try {
+			await currentHandler.loadRemainingContent();
+		} catch (error) {
+			debugError("Ranobe Gemini: Could not load remaining pages:", error);
+		}
+	}
+
 	// Handle click event for Summarize button (used by message handler for non-chunked content)
 	// Delegates to the unified summary service which handles both chunked and non-chunked pages.
 	async function handleSummarizeClick(isShort = false) {
 		await loadAiRuntimeModule();
 		if (!aiRuntimeModule?.handleSummarizeClickRuntime) return;
+		await loadRemainingChapterContent();
 
 		return aiRuntimeModule.handleSummarizeClickRuntime({
 			isShort,
@@ -4353,6 +4479,10 @@ if (window.__RGInitDone) {
 	async function handleEnhanceClick() {
 		await loadAiRuntimeModule();
 		if (!aiRuntimeModule?.handleEnhanceClickRuntime) return;
+		await loadRemainingChapterContent();
+
+		// Port must be open before the request so chunk previews can reach us.
+		await ensureAiStreamClient();
 
 		return aiRuntimeModule.handleEnhanceClickRuntime({
 			documentRef: document,
@@ -4405,6 +4535,7 @@ if (window.__RGInitDone) {
 			buildCombinedPrompt,
 			sendMessageWithRetry,
 			handleChunkProcessed,
+			showEnhancementRejected,
 		});
 	}
 
@@ -4634,6 +4765,17 @@ if (window.__RGInitDone) {
 		});
 	}
 
+	// The background's enhancement guard rejected the model's output; the
+	// page still shows the original, so say so above it.
+	function showEnhancementRejected(errorMessage) {
+		enhancementDisplayModule?.showEnhancementRejectedRuntime?.({
+			errorMessage,
+			documentRef: document,
+			findContentArea,
+			insertNodeAtContentTop,
+		});
+	}
+
 	// Function to display an error message when processing fails
 	// eslint-disable-next-line no-unused-vars
 	function showProcessingError(errorMessage) {
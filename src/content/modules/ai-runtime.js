@@ -39,6 +39,7 @@ export async function handleEnhanceClickRuntime({
 	buildCombinedPrompt,
 	sendMessageWithRetry,
 	handleChunkProcessed,
+	showEnhancementRejected,
 }) {
 	// Prevent concurrent invocations
 	const firstBtn = documentRef.querySelector(".gemini-enhance-btn");
@@ -141,6 +142,7 @@ export async function handleEnhanceClickRuntime({
 			chunks,
 			handleChunkProcessed,
 			extractedContentText: extractedContent.text,
+			showEnhancementRejected,
 			browserRef,
 			consoleWarn: console.warn,
 		});
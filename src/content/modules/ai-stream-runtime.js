@@ -0,0 +1,121 @@
+/**
+ * Page side of the streamed-AI port (see background/ai/stream-port.js).
+ *
+ * One port per page, opened lazily before an enhancement or summary starts.
+ * Enhancement deltas are handed to `onEnhanceDelta`; summaries requested with
+ * `requestSummary()` resolve to the same `{ success, summary | error }` shape
+ * the `summarizeWithGemini` runtime message answers with, or `null` when the
+ * port is unavailable so the caller can fall back to that message.
+ */
+
+import { AI_STREAM_PORT_NAME } from "../../utils/constants.js";
+
+export function createAiStreamClientRuntime({
+	browserRef = browser,
+	onEnhanceDelta = () => {},
+	debugLog = () => {},
+}) {
+	let port = null;
+	let nextRequestId = 1;
+	const pending = new Map();
+
+	function settleAll(value) {
+		for (const request of pending.values()) request.resolve(value);
+		pending.clear();
+	}
+
+	function handleMessage(message) {
+		if (!message) return;
+		if (message.type === "delta" && message.kind === "enhance") {
+			onEnhanceDelta({
+				chunkIndex: message.chunkIndex,
+				text: message.text,
+			});
+			return;
+		}
+
+		const request = pending.get(message.requestId);
+		if (!request) return;
+		if (message.type === "delta") {
+			request.onText?.(message.text);
+		} else if (message.type === "done") {
+			pending.delete(message.requestId);
+			request.resolve({ success: true, summary: message.summary });
+		} else if (message.type === "error") {
+			pending.delete(message.requestId);
+			request.resolve({ success: false, error: message.error });
+		}
+	}
+
+	function ensureConnected() {
+		if (port) return port;
+		try {
+			port = browserRef.runtime.connect({ name: AI_STREAM_PORT_NAME });
+		} catch (error) {
+			debugLog("[AI stream] Could not open port:", error);
+			port = null;
+			return null;
+		}
+		port.onMessage.addListener(handleMessage);
+		port.onDisconnect.addListener(() => {
+			port = null;
+			// Worker restarted mid-request: let callers retry the plain way.
+			settleAll(null);
+		});
+		return port;
+	}
+
+	/**
+	 * @param {{action: string, title: string, content: string}} message
+	 * @param {(text: string) => void} onText - cumulative partial summary
+	 * @returns {Promise<{success: boolean, summary?: string, error?: string}|null>}
+	 */
+	function requestSummary(message, onText) {
+		const activePort = ensureConnected();
+		if (!activePort) return Promise.resolve(null);
+
+		const requestId = nextRequestId++;
+		return new Promise((resolve) => {
+			pending.set(requestId, { resolve, onText });
+			try {
+				activePort.postMessage({
+					type: "start",
+					requestId,
+					kind: "summary",
+					payload: {
+						title: message.title,
+						content: message.content,
+						isPart: message.isPart,
+						partInfo: message.partInfo,
+						isShort: message.action === "shortSummarizeWithGemini",
+					},
+				});
+			} catch (_err) {
+				pending.delete(requestId);
+				port = null;
+				resolve(null);
+			}
+		});
+	}
+
+	function disconnect() {
+		const activePort = port;
+		port = null;
+		settleAll(null);
+		try {
+			activePort?.disconnect();
+		} catch (_err) {
+			// already closed
+		}
+	}
+
+	return {
+		ensureConnected: () => Boolean(ensureConnected()),
+		requestSummary,
+		disconnect,
+	};
+}
+
+export default {
+	createAiStreamClientRuntime,
+};
@@ -341,19 +341,22 @@ export async function resolveChunkingInputRuntime({
 
 	try {
 		const chunkConfig = await chunking.config.getChunkConfig();
-		const chunkSizeWords = chunkConfig.chunkSizeWords;
 		chunkSummaryCount = chunkConfig.chunkSummaryCount;
 
 		const originalHTML =
 			contentArea.getAttribute("data-original-html") ||
 			getCleanContentHTML(contentArea);
 		contentToSend = originalHTML;
+		// Sized from the model's token budget; the background repeats this
+		// on the same HTML, so both sides agree on the chunk count.
+		const { chunkSizeWords } =
+			await chunking.budget.getChunkSizeForContent(originalHTML);
 		chunks = chunking.core.splitContentByWords(
 			originalHTML,
 			chunkSizeWords,
 		);
 		debugLog(
-			`[Chunking] Split content into ${chunks.length} chunks (word-based, ${chunkSizeWords} words per chunk)`,
+			`[Chunking] Split content into ${chunks.length} chunks (${chunkSizeWords} words per chunk)`,
 		);
 	} catch (splitError) {
 		debugError("Failed to split content for chunking:", splitError);
@@ -568,6 +571,7 @@ export async function handleEnhancementResponseRuntime({
 	handleChunkProcessed,
 	extractedContentText,
 	showStatusMessage,
+	showEnhancementRejected,
 	browserRef = browser,
 	consoleWarn = console.warn,
 }) {
@@ -601,6 +605,14 @@ export async function handleEnhancementResponseRuntime({
 	}
 
 	const errorMessage = response?.error || "Unknown error";
+	if (response?.rejected) {
+		showEnhancementRejected?.(errorMessage);
+		showStatusMessage?.(
+			"The enhancement did not match the original and was discarded.",
+			"warning",
+		);
+		return;
+	}
 	if (response?.needsApiKey || errorMessage.includes("API key is missing")) {
 		showStatusMessage?.(
 			"⚠️ API key is missing. Please configure it in the extension popup.",
@@ -733,6 +745,7 @@ export async function requestEnhancementProcessingRuntime({
 
 	const combinedPrompt = await buildCombinedPrompt?.(
 		novelCustomPrompt || undefined,
+		contentToSend,
 	);
 
 	// Keep single-progress behavior for non-chunked processing.
@@ -960,6 +973,7 @@ export async function runEnhancementLifecycleRuntime({
 	chunks,
 	handleChunkProcessed,
 	extractedContentText,
+	showEnhancementRejected,
 	browserRef = browser,
 	consoleWarn = console.warn,
 }) {
@@ -995,6 +1009,7 @@ export async function runEnhancementLifecycleRuntime({
 		handleChunkProcessed,
 		extractedContentText,
 		showStatusMessage,
+		showEnhancementRejected,
 		browserRef,
 		consoleWarn,
 	});
@@ -1180,6 +1195,12 @@ export async function restoreChunkedContentFromCacheRuntime({
 		const wordCounts = {
 			original: originalWords,
 			enhanced: enhancedWords,
+			change: enhancedContent
+				? chunking.diff?.assessEnhancementChange(
+						originalContent,
+						enhancedContent,
+					)
+				: null,
 		};
 
 		const banner = buildChunkBanner(
@@ -41,16 +41,26 @@ export async function handleChunkErrorRuntime({
 		const actualTotalChunks =
 			chunkedContainer.querySelectorAll(".gemini-chunk-wrapper").length ||
 			totalChunks;
+		// A rejected enhancement (see the background's enhancement guard)
+		// leaves the original text in place; the banner says why.
 		const errorBanner = buildChunkBanner(
 			chunking,
 			chunkIndex,
 			actualTotalChunks,
-			"error",
+			message.isRejected ? "rejected" : "error",
 			message.error,
 		);
 		existingBanner.replaceWith(errorBanner);
 	}
 
+	if (message.isRejected) {
+		showStatusMessage?.(
+			`Chunk ${chunkIndex + 1} kept its original text: the enhancement did not match it.`,
+			"warning",
+		);
+		return;
+	}
+
 	showStatusMessage?.(
 		`Error processing chunk ${chunkIndex + 1}: ${message.error}`,
 		"error",
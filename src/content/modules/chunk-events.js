@@ -48,6 +48,7 @@ export async function toggleChunkViewRuntime({
 	applyCollapsibleSections(chunkContent);
 	toggleBtn.textContent = "👁 Show Original";
 	toggleBtn.setAttribute("data-showing", "enhanced");
+	resetChunkDiffButton(chunkWrapper);
 
 	const contentArea = findContentArea();
 	if (contentArea) {
@@ -55,6 +56,86 @@ export async function toggleChunkViewRuntime({
 	}
 }
 
+function resetChunkDiffButton(chunkWrapper) {
+	const diffBtn = chunkWrapper.querySelector(".gemini-chunk-diff-btn");
+	if (!diffBtn) return;
+	diffBtn.textContent = "± Diff";
+	diffBtn.setAttribute("data-diff-active", "false");
+}
+
+/**
+ * Third view of an enhanced chunk, next to enhanced and original: the word
+ * diff between them. Leaving it returns to the enhanced view; while it is
+ * shown the toggle button reads "Show Enhanced", so either button gets back.
+ */
+export async function toggleChunkDiffRuntime({
+	chunkIndex,
+	documentRef = document,
+	loadChunkingSystem,
+	applyCollapsibleSections,
+	showStatusMessage,
+}) {
+	const chunking = await loadChunkingSystem?.();
+	if (!chunking?.diff) return;
+
+	const chunkWrapper = documentRef.querySelector(
+		`.gemini-chunk-wrapper[data-chunk-index="${chunkIndex}"]`,
+	);
+	if (!chunkWrapper) return;
+
+	const chunkContent = chunkWrapper.querySelector(".gemini-chunk-content");
+	const diffBtn = chunkWrapper.querySelector(".gemini-chunk-diff-btn");
+	const toggleBtn = chunkWrapper.querySelector(".gemini-chunk-toggle-btn");
+	if (!chunkContent || !diffBtn) return;
+
+	if (diffBtn.getAttribute("data-diff-active") === "true") {
+		chunkContent.innerHTML =
+			chunkContent.getAttribute("data-enhanced-chunk-content") || "";
+		applyCollapsibleSections?.(chunkContent);
+		resetChunkDiffButton(chunkWrapper);
+		if (toggleBtn) {
+			toggleBtn.textContent = "👁 Show Original";
+			toggleBtn.setAttribute("data-showing", "enhanced");
+		}
+		return;
+	}
+
+	if (toggleBtn?.getAttribute("data-showing") !== "original") {
+		chunkContent.setAttribute(
+			"data-enhanced-chunk-content",
+			chunkContent.innerHTML,
+		);
+	}
+	const originalContent =
+		chunkContent.getAttribute("data-original-chunk-html") ||
+		chunkContent.getAttribute("data-original-chunk-content") ||
+		"";
+	const enhancedContent =
+		chunkContent.getAttribute("data-enhanced-chunk-content") || "";
+	if (!originalContent || !enhancedContent) {
+		showStatusMessage?.(
+			`Chunk ${chunkIndex + 1} has nothing to compare yet.`,
+			"error",
+		);
+		return;
+	}
+
+	const segments = chunking.diff.diffWords(originalContent, enhancedContent);
+	const stats = chunking.diff.summarizeDiff(segments);
+	chunkContent.innerHTML = `
+		<div class="rg-chunk-diff-legend" style="font-size: 12px; opacity: 0.8; margin-bottom: 8px;">
+			+${stats.inserted} inserted · −${stats.deleted} deleted · ~${stats.rewritten} rewritten · ${stats.unchanged} unchanged
+		</div>
+		<div class="rg-chunk-diff" style="white-space: pre-wrap;">${chunking.diff.renderDiffHtml(segments)}</div>
+	`;
+	diffBtn.textContent = "✕ Hide Diff";
+	diffBtn.setAttribute("data-diff-active", "true");
+	if (toggleBtn) {
+		toggleBtn.textContent = "✨ Show Enhanced";
+		toggleBtn.setAttribute("data-showing", "original");
+	}
+}
+
 export async function deleteChunkEnhancementRuntime({
 	chunkIndex,
 	windowRef = window,
@@ -176,6 +257,7 @@ export async function handleChunkToggleRuntime({
 	applyCollapsibleSections(chunkContent);
 	toggleBtn.textContent = "👁 Show Original";
 	toggleBtn.setAttribute("data-showing", "enhanced");
+	resetChunkDiffButton(chunkWrapper);
 
 	const contentArea = findContentArea();
 	if (contentArea) {
@@ -267,7 +349,14 @@ export async function handleShowEnhancedChunkRuntime({
 		"completed",
 		null,
 		null,
-		{ original: origWords, enhanced: enhWords },
+		{
+			original: origWords,
+			enhanced: enhWords,
+			change: chunking.diff?.assessEnhancementChange(
+				originalText,
+				enhancedContent,
+			),
+		},
 		wct,
 	);
 	const freshBanner = documentRef.querySelector(
@@ -472,7 +561,10 @@ export async function handleReenhanceChunkRuntime({
 		};
 		setFormattingOptions?.(nextFormattingOptions);
 
-		const combinedPrompt = await buildCombinedPrompt?.();
+		const combinedPrompt = await buildCombinedPrompt?.(
+			undefined,
+			contentForEnhancement,
+		);
 
 		const response = await sendMessageWithRetry?.({
 			action: "reenhanceChunk",
@@ -653,7 +745,14 @@ export async function handleReenhanceChunkRuntime({
 					"completed",
 					null,
 					null,
-					{ original: origWords, enhanced: enhWords },
+					{
+						original: origWords,
+						enhanced: enhWords,
+						change: chunking.diff?.assessEnhancementChange(
+							originalText || "",
+							sanitizedContent,
+						),
+					},
 					wct,
 				);
 				const freshBanner = documentRef.querySelector(
@@ -792,7 +891,7 @@ export async function handleReenhanceChunkRuntime({
 					chunking,
 					chunkIndex,
 					totalChunks,
-					"error",
+					response?.rejected ? "rejected" : "error",
 					errorMsg,
 				);
 				existingBanner.replaceWith(errorBanner);
@@ -815,7 +914,7 @@ export async function handleReenhanceChunkRuntime({
 			}
 			showStatusMessage?.(
 				`Failed to re-enhance chunk ${chunkIndex + 1}: ${errorMsg}`,
-				"error",
+				response?.rejected ? "warning" : "error",
 			);
 		}
 	} catch (error) {
@@ -861,6 +960,7 @@ export async function handleReenhanceChunkRuntime({
 
 export default {
 	toggleChunkViewRuntime,
+	toggleChunkDiffRuntime,
 	deleteChunkEnhancementRuntime,
 	handleChunkToggleRuntime,
 	handleSkipChunkRuntime,
@@ -2,6 +2,8 @@
  * Runtime for handling per-chunk enhancement progress updates.
  */
 
+import { formatEnhancementRoute } from "./enhancement-attribution.js";
+
 export async function handleChunkProcessedRuntime({
 	message,
 	loadChunkingSystem,
@@ -118,6 +120,7 @@ export async function handleChunkProcessedRuntime({
 				timestamp: Date.now(),
 				totalChunks,
 				modelInfo: chunkModelInfo,
+				chunkSizeWords: chunkResult.chunkSizeWords || null,
 			},
 		);
 		const existingBanner = chunkWrapper.querySelector(
@@ -135,6 +138,10 @@ export async function handleChunkProcessedRuntime({
 			const wordCounts = {
 				original: originalWords,
 				enhanced: enhancedWords,
+				change: chunking.diff?.assessEnhancementChange(
+					originalContent,
+					enhancedContent,
+				),
 			};
 
 			const newBanner = buildChunkBanner(
@@ -147,6 +154,9 @@ export async function handleChunkProcessedRuntime({
 				wordCounts,
 				wordCountThreshold,
 			);
+			// Chunks can be answered by different providers in the chain.
+			const routeText = formatEnhancementRoute(chunkModelInfo);
+			if (routeText) newBanner.title = `Route: ${routeText}`;
 			existingBanner.replaceWith(newBanner);
 		}
 	}
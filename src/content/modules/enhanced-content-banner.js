@@ -2,6 +2,9 @@
  * Enhanced-content banner factory extracted from content.js.
  */
 
+import { escapeHtml } from "../../utils/html-escape.js";
+import { formatEnhancementRoute } from "./enhancement-attribution.js";
+
 export function createEnhancedBannerRuntime({
 	originalContent,
 	enhancedContent,
@@ -46,6 +49,11 @@ export function createEnhancedBannerRuntime({
 		modelName !== "AI" ? ` (${modelName})` : ""
 	}${cacheLabel}`;
 
+	const routeText = formatEnhancementRoute(modelInfo);
+	const routeLine = routeText
+		? `<div class="gemini-enhanced-route" style="margin-top:6px;font-size:12px;opacity:0.75;">🔀 Route: ${escapeHtml(routeText)}</div>`
+		: "";
+
 	const largeExpansionWarning =
 		percentChange > 200
 			? `<div class="rg-large-expansion-warning" style="margin-top:6px;padding:6px 10px;background:rgba(239,68,68,0.1);border-left:3px solid #ef4444;border-radius:4px;font-size:12px;color:#fca5a5;">⚠️ Very large expansion (+${Math.abs(percentChange)}%). Content may be unusually long. <button class="rg-force-show-enhanced-btn" style="margin-left:8px;padding:2px 8px;background:#374151;color:#e5e7eb;border:1px solid #6b7280;border-radius:4px;cursor:pointer;font-size:11px;">Show Enhanced</button></div>`
@@ -116,6 +124,7 @@ export function createEnhancedBannerRuntime({
 						)}%)
                     </span>
                 </span>
+                ${routeLine}
                 ${largeExpansionWarning}
             </div>
         </div>
@@ -2,6 +2,44 @@
  * Enhancement attribution helpers extracted from content.js.
  */
 
+const FAILURE_LABELS = {
+	rateLimit: "rate-limited",
+	safety: "blocked",
+	timeout: "timed out",
+	contextLength: "too long",
+	auth: "auth failed",
+	other: "failed",
+};
+
+/**
+ * One-line account of the fallback route behind an enhancement, from the
+ * `modelInfo.route` the background records (see provider-registry.js), e.g.
+ * "Gemini (gemini-2.5-flash) rate-limited → Ollama (llama3.1:8b)".
+ * Empty when the first provider answered, so the common case adds nothing.
+ *
+ * @param {Object|null} modelInfo
+ * @returns {string}
+ */
+export function formatEnhancementRoute(modelInfo) {
+	const route = Array.isArray(modelInfo?.route) ? modelInfo.route : [];
+	if (route.length < 2) return "";
+
+	const hops = route.map((hop) => {
+		const name = hop.model
+			? `${hop.provider} (${hop.model})`
+			: hop.provider;
+		if (hop.outcome === "ok") return name;
+		const reason = FAILURE_LABELS[hop.failureClass] || "failed";
+		if (hop.outcome === "rechunk") {
+			return modelInfo.rechunkedInto
+				? `${name} ${reason}, split into ${modelInfo.rechunkedInto}`
+				: `${name} ${reason}, split`;
+		}
+		return `${name} ${reason}`;
+	});
+	return hops.join(" → ");
+}
+
 export function addModelAttributionRuntime({
 	modelInfo,
 	documentRef = document,
@@ -45,9 +83,19 @@ export function addModelAttributionRuntime({
 			<span style="opacity: 0.7;">via Ranobe Gemini</span>
 		`;
 
+	const routeText = formatEnhancementRoute(modelInfo);
+	if (routeText) {
+		const routeLine = documentRef.createElement("div");
+		routeLine.className = "gemini-model-attribution-route";
+		routeLine.style.cssText = "margin-top: 4px; opacity: 0.7;";
+		routeLine.textContent = `Route: ${routeText}`;
+		attribution.appendChild(routeLine);
+	}
+
 	contentArea.appendChild(attribution);
 }
 
 export default {
 	addModelAttributionRuntime,
+	formatEnhancementRoute,
 };
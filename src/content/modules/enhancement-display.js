@@ -37,6 +37,45 @@ export function showProcessingErrorRuntime({
 	}
 }
 
+export function showEnhancementRejectedRuntime({
+	errorMessage,
+	documentRef = document,
+	findContentArea,
+	insertNodeAtContentTop,
+}) {
+	const contentArea =
+		typeof findContentArea === "function" ? findContentArea() : null;
+	if (!contentArea) return;
+
+	contentArea.querySelector(".gemini-guard-warning")?.remove();
+	const warningBox = documentRef.createElement("div");
+	warningBox.className = "gemini-guard-warning";
+	warningBox.style.cssText = `
+        background-color: rgba(255, 152, 0, 0.12);
+        border: 1px solid #ff9800;
+        border-left: 4px solid #ff9800;
+        padding: 12px 15px;
+        margin: 15px 0;
+        border-radius: 5px;
+    `;
+
+	const heading = documentRef.createElement("strong");
+	heading.textContent = "🛡️ Enhancement discarded — showing the original";
+	const detail = documentRef.createElement("p");
+	detail.style.margin = "6px 0 0";
+	// Reasons quote names from the chapter: text, never markup.
+	detail.textContent = errorMessage;
+	const hint = documentRef.createElement("p");
+	hint.style.margin = "6px 0 0";
+	hint.textContent =
+		"The model's output did not match this chapter, even after a stricter retry. Try again, or use another model.";
+	warningBox.append(heading, detail, hint);
+
+	if (typeof insertNodeAtContentTop === "function") {
+		insertNodeAtContentTop(contentArea, warningBox);
+	}
+}
+
 export function removeOriginalWordCountRuntime({ documentRef = document }) {
 	const existingWordCount = documentRef.querySelector(".gemini-word-count");
 	if (existingWordCount) {
@@ -812,7 +851,63 @@ export async function runEnhancedReplacementFlowRuntime({
 	return { newContent };
 }
 
+/**
+ * Partial model output for a chunk that is still generating. Shown in place of
+ * the chunk's original text (which is hidden, not removed) until the final
+ * `chunkProcessed` / `chunkError` message clears it. Rendered as plain text:
+ * half-streamed HTML is not safe to hand to innerHTML.
+ */
+export function renderStreamingChunkPreviewRuntime({
+	documentRef = document,
+	chunkIndex,
+	text,
+}) {
+	const chunkWrapper = documentRef.querySelector(
+		`.gemini-chunk-wrapper[data-chunk-index="${chunkIndex}"]`,
+	);
+	if (!chunkWrapper) return false;
+	const chunkContent = chunkWrapper.querySelector(".gemini-chunk-content");
+	if (!chunkContent) return false;
+	// A late delta must not cover a chunk that already has its final text.
+	if (chunkContent.getAttribute("data-chunk-enhanced") === "true") {
+		return false;
+	}
+
+	let preview = chunkWrapper.querySelector(".gemini-stream-preview");
+	if (!preview) {
+		preview = documentRef.createElement("div");
+		preview.className = "gemini-stream-preview";
+		preview.setAttribute("aria-busy", "true");
+		preview.style.whiteSpace = "pre-wrap";
+		preview.style.opacity = "0.85";
+		chunkWrapper.insertBefore(preview, chunkContent);
+		chunkContent.style.display = "none";
+	}
+
+	preview.textContent = String(text || "")
+		.replace(/<\/p>\s*/gi, "\n\n")
+		.replace(/<br\s*\/?>/gi, "\n")
+		.replace(/<[^>]*>?/g, "")
+		.replace(/\n{3,}/g, "\n\n");
+	return true;
+}
+
+export function clearStreamingChunkPreviewRuntime({
+	documentRef = document,
+	chunkIndex,
+}) {
+	const chunkWrapper = documentRef.querySelector(
+		`.gemini-chunk-wrapper[data-chunk-index="${chunkIndex}"]`,
+	);
+	const preview = chunkWrapper?.querySelector(".gemini-stream-preview");
+	if (!preview) return;
+	preview.remove();
+	const chunkContent = chunkWrapper.querySelector(".gemini-chunk-content");
+	if (chunkContent) chunkContent.style.display = "";
+}
+
 export default {
+	showEnhancementRejectedRuntime,
 	showProcessingErrorRuntime,
 	removeOriginalWordCountRuntime,
 	addWordCountDisplayRuntime,
@@ -830,4 +925,6 @@ export default {
 	setupCachedEnhancementToggleBannerRuntime,
 	finalizeCachedEnhancementRuntime,
 	runEnhancedReplacementFlowRuntime,
+	renderStreamingChunkPreviewRuntime,
+	clearStreamingChunkPreviewRuntime,
 };
@@ -0,0 +1,203 @@
+/**
+ * Offline Archive Page
+ * Reads chapters saved by archive queue jobs (see utils/chapter-archive.js).
+ * Everything comes out of IndexedDB; nothing on this page touches the network,
+ * so it works on a train with no signal.
+ *
+ * URL: archive.html?novel=<novelId>[&chapter=<n>]
+ */
+
+import {
+	deleteArchivedNovel,
+	getArchivedChapter,
+	listArchivedChapters,
+	listArchivedNovels,
+} from "../utils/chapter-archive.js";
+import {
+	applyThemeFromStorage,
+	setupThemeListener,
+} from "../utils/theme-config.js";
+import { createReadingTypography } from "./reading-typography.js";
+
+const $ = (id) => document.getElementById(id);
+
+const state = {
+	novels: [],
+	novelId: null,
+	chapters: [],
+	index: -1,
+	// Enhanced when the chapter has it; the toggle flips to the raw text.
+	version: "enhanced",
+};
+
+function updateUrl() {
+	const params = new URLSearchParams();
+	if (state.novelId) params.set("novel", state.novelId);
+	const chapter = state.chapters[state.index];
+	if (chapter) params.set("chapter", String(chapter.chapterNumber));
+	const query = params.toString();
+	history.replaceState(null, "", query ? `?${query}` : location.pathname);
+}
+
+// ─── Lists ───────────────────────────────────────────────────────────────────
+
+function renderNovelList() {
+	const list = $("archive-novel-list");
+	list.replaceChildren();
+	$("archive-empty").hidden = state.novels.length > 0;
+	for (const novel of state.novels) {
+		const item = document.createElement("li");
+		const button = document.createElement("button");
+		button.className = "archive-list-item";
+		const title = document.createElement("span");
+		title.textContent = novel.novelTitle;
+		const meta = document.createElement("small");
+		meta.textContent = `Ch ${novel.firstChapter}–${novel.lastChapter} · ${novel.chapterCount} saved${novel.enhancedCount ? `, ${novel.enhancedCount} enhanced` : ""}`;
+		button.append(title, meta);
+		button.addEventListener("click", () => openNovel(novel.novelId));
+		item.appendChild(button);
+		list.appendChild(item);
+	}
+}
+
+function renderChapterList() {
+	const list = $("archive-chapter-list");
+	list.replaceChildren();
+	state.chapters.forEach((chapter, index) => {
+		const item = document.createElement("li");
+		const button = document.createElement("button");
+		button.className = "archive-list-item";
+		if (index === state.index) button.classList.add("active");
+		button.textContent = `${chapter.enhanced ? "✨ " : ""}${chapter.title}`;
+		button.title = `Chapter ${chapter.chapterNumber} · ${chapter.words} words`;
+		button.addEventListener("click", () => openChapter(index));
+		item.appendChild(button);
+		list.appendChild(item);
+	});
+}
+
+function showNovels() {
+	state.novelId = null;
+	state.chapters = [];
+	state.index = -1;
+	$("archive-novels").hidden = false;
+	$("archive-chapters").hidden = true;
+	$("archive-reader").hidden = true;
+	$("archive-placeholder").hidden = false;
+	renderNovelList();
+	updateUrl();
+}
+
+async function openNovel(novelId, chapterNumber = null) {
+	state.novelId = novelId;
+	state.chapters = await listArchivedChapters(novelId);
+	if (state.chapters.length === 0) {
+		showNovels();
+		return;
+	}
+	const novel = state.novels.find((n) => n.novelId === novelId);
+	$("archive-novel-title").textContent = novel?.novelTitle || novelId;
+	$("archive-novels").hidden = true;
+	$("archive-chapters").hidden = false;
+
+	const requested = state.chapters.findIndex(
+		(c) => c.chapterNumber === chapterNumber,
+	);
+	await openChapter(requested >= 0 ? requested : 0);
+}
+
+// ─── Reader ──────────────────────────────────────────────────────────────────
+
+async function openChapter(index) {
+	const summary = state.chapters[index];
+	if (!summary) return;
+	const record = await getArchivedChapter(
+		state.novelId,
+		summary.chapterNumber,
+	);
+	if (!record) return;
+
+	state.index = index;
+	const hasEnhanced = Boolean(record.enhancedHtml);
+	const version = hasEnhanced ? state.version : "original";
+
+	$("archive-chapter-title").textContent = record.title;
+	// Records are sanitised when they are saved (chapter-archive.js).
+	$("archive-chapter-body").innerHTML =
+		version === "enhanced" ? record.enhancedHtml : record.rawHtml;
+	for (const button of $("archive-version").querySelectorAll("button")) {
+		button.classList.toggle("active", button.dataset.version === version);
+		button.disabled = !hasEnhanced;
+	}
+
+	$("archive-prev").disabled = index <= 0;
+	$("archive-next").disabled = index >= state.chapters.length - 1;
+	$("archive-position").textContent =
+		`${index + 1} / ${state.chapters.length}`;
+	$("archive-reader").hidden = false;
+	$("archive-placeholder").hidden = true;
+
+	renderChapterList();
+	updateUrl();
+	window.scrollTo({ top: 0 });
+}
+
+async function deleteCurrentNovel() {
+	const novel = state.novels.find((n) => n.novelId === state.novelId);
+	const label = novel?.novelTitle || state.novelId;
+	if (!confirm(`Remove all saved chapters of "${label}" from this device?`)) {
+		return;
+	}
+	await deleteArchivedNovel(state.novelId);
+	state.novels = await listArchivedNovels();
+	showNovels();
+}
+
+// ─── Init ────────────────────────────────────────────────────────────────────
+
+function bindEvents() {
+	$("archive-all-novels").addEventListener("click", showNovels);
+	$("archive-delete-novel").addEventListener("click", deleteCurrentNovel);
+	$("archive-prev").addEventListener("click", () =>
+		openChapter(state.index - 1),
+	);
+	$("archive-next").addEventListener("click", () =>
+		openChapter(state.index + 1),
+	);
+	$("archive-version").addEventListener("click", (event) => {
+		const version = event.target.closest("button")?.dataset.version;
+		if (!version || version === state.version) return;
+		state.version = version;
+		openChapter(state.index);
+	});
+	document.addEventListener("keydown", (event) => {
+		if (state.index < 0 || event.target.closest("input, select")) return;
+		if (event.key === "ArrowLeft") openChapter(state.index - 1);
+		if (event.key === "ArrowRight") openChapter(state.index + 1);
+	});
+}
+
+async function init() {
+	await applyThemeFromStorage();
+	setupThemeListener();
+	await createReadingTypography({
+		target: $("archive-chapter-body"),
+		select: $("archive-font"),
+		sizeLabel: $("archive-font-size"),
+		smaller: $("archive-font-down"),
+		larger: $("archive-font-up"),
+	}).init();
+	bindEvents();
+
+	state.novels = await listArchivedNovels();
+	const params = new URLSearchParams(location.search);
+	const novelId = params.get("novel");
+	if (novelId && state.novels.some((n) => n.novelId === novelId)) {
+		const chapter = Number(params.get("chapter"));
+		await openNovel(novelId, Number.isFinite(chapter) ? chapter : null);
+	} else {
+		showNovels();
+	}
+}
+
+init();
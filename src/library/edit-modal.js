@@ -17,6 +17,11 @@ import {
 	READING_STATUS_INFO,
 } from "../utils/novel-library.js";
 import { isLoreWeaveEnabled } from "../utils/loreweave-gate.js";
+import {
+	GLOSSARY_CATEGORIES,
+	createGlossaryEntry,
+	normalizeGlossary,
+} from "../utils/novel-glossary.js";
 
 const novelLibrary = new NovelLibrary();
 
@@ -63,6 +68,10 @@ export function openInlineEditModal(novel, HandlerClass, opts = {}) {
 	// Populate dynamic fields (tags, toggles) after DOM insertion
 	populateHandlerFields(novel, handlerFields);
 
+	// Glossary edits stay in memory until Save, like every other field.
+	const glossaryState = createGlossaryState(novel);
+	wireGlossaryEditor(container, glossaryState);
+
 	// Wire close / backdrop
 	const overlay = container.querySelector(".edit-modal-overlay");
 	const closeBtn = container.querySelector(".edit-modal-close");
@@ -91,6 +100,14 @@ export function openInlineEditModal(novel, HandlerClass, opts = {}) {
 			// Absent means the gate removed it, which means off.
 			const sendToLWEl = container.querySelector("#em-qSendToLW");
 			const sendToLW = sendToLWEl ? sendToLWEl.checked : false;
+			const archive = Boolean(
+				container.querySelector("#em-qArchive")?.checked,
+			);
+			const archiveEnhanced =
+				archive &&
+				Boolean(
+					container.querySelector("#em-qArchiveEnhanced")?.checked,
+				);
 			const domainId =
 				container.querySelector("#loreWeaveDomainId")?.value?.trim() ||
 				novel.loreWeaveDomainId ||
@@ -123,6 +140,10 @@ export function openInlineEditModal(novel, HandlerClass, opts = {}) {
 						startChapter: start,
 						endChapter: end,
 						sendToLoreWeave: sendToLW,
+						// A download-only job has nothing to summarise for.
+						summarize: sendToLW || !archive,
+						archive,
+						archiveEnhanced,
 						writingStyle: config.loreWeaveWritingStyle || "other",
 						loreWeaveUrl: config.loreWeaveUrl || "",
 						domainId,
@@ -148,6 +169,7 @@ export function openInlineEditModal(novel, HandlerClass, opts = {}) {
 			onSaved,
 			showToast,
 			close,
+			glossaryState,
 		});
 	});
 
@@ -216,6 +238,8 @@ function buildModalHTML(novel, handlerFields) {
 						${buildTagsSection("genres", "Genres", novel.genres || [])}
 						${buildTagsSection("tags", "Tags", novel.tags || [])}
 
+						${buildGlossarySectionHTML()}
+
 						${handlerFields.length > 0 ? buildHandlerFieldsHTML(handlerFields) : ""}
 
 						<div class="edit-modal-section-label" data-loreweave-section>🕸️ LoreWeave</div>
@@ -239,6 +263,20 @@ function buildModalHTML(novel, handlerFields) {
 								<span class="em-toggle-track"></span>
 							</label>
 						</div>
+						<div class="edit-modal-toggle-row" style="display:flex;align-items:center;gap:10px;margin-bottom:10px;">
+							<label style="font-size:12px;color:var(--text-secondary,#9ca3af);flex:1">Save chapters for offline reading</label>
+							<label class="em-toggle">
+								<input type="checkbox" id="em-qArchive" />
+								<span class="em-toggle-track"></span>
+							</label>
+						</div>
+						<div class="edit-modal-toggle-row" style="display:flex;align-items:center;gap:10px;margin-bottom:10px;">
+							<label style="font-size:12px;color:var(--text-secondary,#9ca3af);flex:1">Enhance chapters while saving</label>
+							<label class="em-toggle">
+								<input type="checkbox" id="em-qArchiveEnhanced" />
+								<span class="em-toggle-track"></span>
+							</label>
+						</div>
 						<button type="button" class="btn btn-secondary" id="em-qAddBtn" style="width:100%;margin-bottom:12px;">＋ Add Chapter Range to Queue</button>
 						<div id="em-qStatus" style="font-size:11px;color:var(--text-muted,#888);margin-bottom:4px;"></div>
 
@@ -425,6 +463,43 @@ function buildTagsSection(id, label, initialTags = [], placeholder = "") {
 		</div>`;
 }
 
+/**
+ * Static shell of the glossary editor; rows are rendered by
+ * renderGlossaryRows once the modal is in the DOM.
+ * @returns {string}
+ */
+function buildGlossarySectionHTML() {
+	return `
+		<div class="edit-modal-section-label">📖 Glossary</div>
+		<p class="edit-field-hint glossary-hint">
+			Source term → preferred rendering. Added to every enhancement
+			request for this novel, so names stay the same across chapters.
+		</p>
+		<div class="glossary-list" id="em-glossary-list"></div>
+		<button type="button" class="btn btn-secondary" id="em-glossary-add">＋ Add Term</button>
+		<div class="glossary-suggestions" id="em-glossary-suggestions" data-loreweave-section></div>`;
+}
+
+function buildGlossaryRowHTML(entry, index) {
+	const categoryOptions = GLOSSARY_CATEGORIES.map(
+		(category) =>
+			`<option value="${category}"${category === entry.category ? " selected" : ""}>${category}</option>`,
+	).join("");
+	return `
+		<div class="glossary-row" data-index="${index}">
+			<input type="text" class="edit-input" data-field="source" aria-label="Source term"
+				placeholder="Source term" value="${escapeAttr(entry.source)}" />
+			<input type="text" class="edit-input" data-field="preferred" aria-label="Preferred rendering"
+				placeholder="Preferred rendering" value="${escapeAttr(entry.preferred)}" />
+			<select class="edit-input" data-field="category" aria-label="Category">${categoryOptions}</select>
+			<button type="button" class="tag-chip-remove glossary-remove" data-index="${index}" aria-label="Remove term">×</button>
+			<input type="text" class="edit-input glossary-row-wide" data-field="variants" aria-label="Other renderings"
+				placeholder="Also seen as (comma-separated)" value="${escapeAttr(entry.variants.join(", "))}" />
+			<input type="text" class="edit-input glossary-row-wide" data-field="notes" aria-label="Notes"
+				placeholder="Notes (gender, title, context…)" value="${escapeAttr(entry.notes)}" />
+		</div>`;
+}
+
 // ---------------------------------------------------------------------------
 // Post-render population
 // ---------------------------------------------------------------------------
@@ -552,12 +627,129 @@ function getTagsFromField(fieldId) {
 	}
 }
 
+// ---------------------------------------------------------------------------
+// Glossary Editor
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Object} novel
+ * @returns {{entries: Array, suggestions: Array, dismissed: string[]}}
+ */
+function createGlossaryState(novel) {
+	return {
+		entries: normalizeGlossary(novel.glossary),
+		suggestions: normalizeGlossary(novel.glossarySuggestions),
+		dismissed: Array.isArray(novel.glossaryDismissed)
+			? [...novel.glossaryDismissed]
+			: [],
+	};
+}
+
+/**
+ * Wire add/remove/edit for glossary rows and accept/dismiss for suggestions.
+ * @param {HTMLElement} container
+ * @param {ReturnType<typeof createGlossaryState>} state
+ */
+function wireGlossaryEditor(container, state) {
+	const list = container.querySelector("#em-glossary-list");
+	const suggestionsEl = container.querySelector("#em-glossary-suggestions");
+	if (!list) return;
+
+	const renderRows = () => {
+		list.innerHTML = state.entries.map(buildGlossaryRowHTML).join("");
+	};
+
+	const renderSuggestions = () => {
+		if (!suggestionsEl) return;
+		if (state.suggestions.length === 0) {
+			suggestionsEl.innerHTML = "";
+			return;
+		}
+		const chips = state.suggestions
+			.map(
+				(entry, i) =>
+					`<span class="tag-chip glossary-suggestion" title="${escapeAttr(entry.variants.join(", "))}">
+						${escapeHtml(entry.source)} <small>(${escapeHtml(entry.category)})</small>
+						<button type="button" class="tag-chip-remove" data-accept="${i}" aria-label="Add ${escapeAttr(entry.source)}">+</button>
+						<button type="button" class="tag-chip-remove" data-dismiss="${i}" aria-label="Dismiss ${escapeAttr(entry.source)}">×</button>
+					</span>`,
+			)
+			.join("");
+		suggestionsEl.innerHTML = `
+			<div class="glossary-suggestions-header">
+				<span class="edit-field-label">Suggested from LoreWeave (${state.suggestions.length})</span>
+				<button type="button" class="btn btn-secondary" data-accept-all>Add all</button>
+			</div>
+			<div class="tags-container">${chips}</div>`;
+	};
+
+	const accept = (indices) => {
+		const picked = indices.map((i) => state.suggestions[i]).filter(Boolean);
+		state.entries = normalizeGlossary([...state.entries, ...picked]);
+		state.suggestions = state.suggestions.filter(
+			(_, i) => !indices.includes(i),
+		);
+		renderRows();
+		renderSuggestions();
+	};
+
+	// Edits update state in place; re-rendering here would steal focus.
+	list.addEventListener("input", (e) => {
+		const row = e.target.closest(".glossary-row");
+		const field = e.target.dataset.field;
+		const entry = state.entries[parseInt(row?.dataset.index, 10)];
+		if (!entry || !field) return;
+		entry[field] =
+			field === "variants"
+				? e.target.value
+						.split(",")
+						.map((v) => v.trim())
+						.filter(Boolean)
+				: e.target.value;
+	});
+
+	list.addEventListener("click", (e) => {
+		const btn = e.target.closest(".glossary-remove");
+		if (!btn) return;
+		state.entries.splice(parseInt(btn.dataset.index, 10), 1);
+		renderRows();
+	});
+
+	container
+		.querySelector("#em-glossary-add")
+		?.addEventListener("click", () => {
+			state.entries.push(createGlossaryEntry());
+			renderRows();
+			list.querySelector(
+				".glossary-row:last-child [data-field=source]",
+			)?.focus();
+		});
+
+	suggestionsEl?.addEventListener("click", (e) => {
+		const btn = e.target.closest("button");
+		if (!btn) return;
+		if (btn.hasAttribute("data-accept-all")) {
+			accept(state.suggestions.map((_, i) => i));
+		} else if (btn.dataset.accept !== undefined) {
+			accept([parseInt(btn.dataset.accept, 10)]);
+		} else if (btn.dataset.dismiss !== undefined) {
+			const index = parseInt(btn.dataset.dismiss, 10);
+			const [dismissed] = state.suggestions.splice(index, 1);
+			if (dismissed) state.dismissed.push(dismissed.source);
+			renderSuggestions();
+		}
+	});
+
+	renderRows();
+	renderSuggestions();
+}
+
 // ---------------------------------------------------------------------------
 // Save Logic
 // ---------------------------------------------------------------------------
 
 async function handleSave(novel, handlerFields, form, container, opts) {
-	const { onSaved, showToast, close } = opts;
+	const { onSaved, showToast, close, glossaryState } = opts;
 	const saveBtn = form.querySelector("[type=submit]");
 	if (saveBtn) {
 		saveBtn.disabled = true;
@@ -567,9 +759,22 @@ async function handleSave(novel, handlerFields, form, container, opts) {
 	try {
 		const updates = collectFormValues(novel, handlerFields, form);
 		const updated = await novelLibrary.addOrUpdateNovel(updates, true);
+		// The glossary is saved on its own; addOrUpdateNovel leaves it alone.
+		const glossary = normalizeGlossary(glossaryState?.entries);
+		if (glossaryState) {
+			await novelLibrary.updateNovelGlossary(novel.id, {
+				glossary,
+				glossarySuggestions: glossaryState.suggestions,
+				glossaryDismissed: glossaryState.dismissed,
+			});
+		}
 		showToast("Novel updated!", "success");
 		close();
-		onSaved(updated || updates);
+		onSaved({
+			...(updated || updates),
+			glossary,
+			glossarySuggestions: glossaryState?.suggestions || [],
+		});
 	} catch (err) {
 		console.error("[EditModal] Save failed:", err);
 		showToast("Failed to save changes", "error");
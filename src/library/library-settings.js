@@ -21,6 +21,7 @@ import {
 	DEFAULT_DEBUG_TRUNCATE_LENGTH,
 	DEFAULT_CHUNK_SIZE_WORDS,
 	DEFAULT_CHUNK_SUMMARY_COUNT,
+	DEFAULT_OLLAMA_CONTEXT_TOKENS,
 	CAROUSEL_ACTIVE_SITE_BONUS,
 	CAROUSEL_MIN_COUNT,
 	CAROUSEL_DEFAULT_MANUAL_COUNT,
@@ -34,10 +35,12 @@ import {
 	getReadingFontStack,
 } from "../utils/constants.js";
 import {
+	ALL_SUPPORTED_DOMAINS,
 	isSupportedDomain,
 	SHELF_REGISTRY,
 } from "../utils/domain-constants.js";
 import { debugLog, debugError } from "../utils/logger.js";
+import { escapeHtml } from "../utils/html-escape.js";
 import {
 	filterEnabledShelves,
 	getSiteSettings,
@@ -48,7 +51,21 @@ import {
 import {
 	WEBSITE_SETTINGS_DEFINITIONS,
 	renderWebsiteSettingsPanel,
+	renderCustomSiteEditor,
+	readCustomSiteEditor,
+	renderCustomSitePreview,
 } from "./site-settings-ui.js";
+import {
+	createCustomSite,
+	customSiteOrigins,
+	exportCustomSites,
+	getCustomSites,
+	mergeCustomSites,
+	normalizeCustomSite,
+	parseCustomSitesImport,
+	saveCustomSites,
+	validateCustomSite,
+} from "../utils/custom-sites.js";
 import {
 	initStatusSettingsTab,
 	applyStatusConfig,
@@ -63,14 +80,47 @@ import {
 	listRollingBackups,
 	getRollingBackup,
 	deleteRollingBackup,
+	previewLibraryRestore,
 	BACKUP_OPTIONS,
 } from "../utils/comprehensive-backup.js";
+import {
+	REVIEW_FIELD_LABELS,
+	formatReviewValue,
+} from "../utils/library-review.js";
+import {
+	SETTING_GROUPS,
+	createBackupHistoryIndex,
+	restoreNovelFromBackup,
+	restoreSettingGroupFromBackup,
+} from "../utils/backup-history.js";
+import {
+	DEFAULT_CSV_COLUMNS_TEXT,
+	buildLibraryCsv,
+	exportLibraryAsCsv,
+	exportLibraryAsOpds,
+	exportLibraryForCalibre,
+	parseCsvColumns,
+} from "../utils/library-export-formats.js";
+import {
+	TRACKER_SOURCES,
+	isTrackerPageUrl,
+	parseTrackerFile,
+	planTrackerImport,
+} from "../utils/tracker-import.js";
 import {
 	getRecoveryCode,
 	isBackupEncryptionEnabled,
 	setBackupEncryptionEnabled,
 	setBackupKeyFromRecoveryCode,
 } from "../utils/backup-crypto.js";
+import {
+	SUGGESTED_PROFILE_NAMES,
+	activateDeviceProfile,
+	deleteDeviceProfile,
+	getActiveDeviceProfileId,
+	getDeviceProfiles,
+	saveDeviceProfile,
+} from "../utils/device-profiles.js";
 import { libraryBackupManager } from "../utils/library-backup-manager.js";
 import { getTelemetryConfig, saveTelemetryConfig } from "../utils/telemetry.js";
 import {
@@ -95,6 +145,27 @@ import {
 	isLoreWeaveEnabled,
 	setLoreWeaveEnabled,
 } from "../utils/loreweave-gate.js";
+import {
+	DEFAULT_FALLBACK_RULES,
+	describeChainEntry,
+	resolveFallbackRules,
+} from "../background/ai/provider-registry.js";
+import {
+	clearS3Credentials,
+	getS3Credentials,
+	saveS3Credentials,
+} from "../background/storage/adapters/s3-storage.js";
+import {
+	LOCAL_FOLDER_MODES,
+	LOCAL_FOLDER_PROVIDER_ID,
+	clearBackupFolderHandle,
+	getBackupFolderHandle,
+	getFolderPermission,
+	getLocalFolderSettings,
+	saveBackupFolderHandle,
+	saveLocalFolderSettings,
+	supportsDirectoryPicker,
+} from "../background/storage/adapters/local-folder-storage.js";
 
 // ── Navigation tabs definition ────────────────────────────────────────────────
 const SETTINGS_TABS = [
@@ -174,6 +245,7 @@ import {
 let librarySettings = { autoHoldEnabled: true, autoHoldDays: 7 };
 let siteSettings = {};
 let libraryApiKeys = [];
+let fallbackChainEntries = []; // entries tried after the primary, in order
 
 // ── Utilities ─────────────────────────────────────────────────────────────────
 const $ = (id) => document.getElementById(id);
@@ -314,7 +386,7 @@ function initAiProviderTabs() {
 
 /** Show the correct provider config block for a given slot and hide the others. */
 function switchProviderConfig(slot, provider) {
-	["gemini", "openai", "ollama"].forEach((p) => {
+	["gemini", "openai", "ollama", "anthropic"].forEach((p) => {
 		const el = $(`${slot}-${p}-config`);
 		if (el) el.classList.toggle("ls-hidden", p !== provider);
 	});
@@ -331,6 +403,7 @@ function switchProviderConfig(slot, provider) {
 				gemini: "Gemini",
 				openai: "OpenAI",
 				ollama: "Ollama",
+				anthropic: "Anthropic",
 			};
 			badge.textContent = labels[provider] ?? provider;
 		}
@@ -626,6 +699,63 @@ async function fetchOllamaModels(baseUrl) {
 	}
 }
 
+async function fetchAnthropicModels(baseUrl, apiKey) {
+	if (!apiKey) return [];
+	try {
+		const base = (baseUrl || "https://api.anthropic.com")
+			.replace(/\/messages\/?$/, "")
+			.replace(/\/v1\/?$/, "")
+			.replace(/\/$/, "");
+		const res = await fetch(`${base}/v1/models?limit=100`, {
+			headers: {
+				"x-api-key": apiKey,
+				"anthropic-version": "2023-06-01",
+				"anthropic-dangerous-direct-browser-access": "true",
+			},
+		});
+		if (!res.ok) return [];
+		const data = await res.json();
+		return (data.data || []).map((m) => ({
+			id: m.id,
+			displayName: m.display_name || m.id,
+		}));
+	} catch {
+		return [];
+	}
+}
+
+/** Fill a slot's Anthropic fields from its stored config. */
+function loadAnthropicSlot(slot, config) {
+	if ($(`${slot}-anthropic-base-url`))
+		$(`${slot}-anthropic-base-url`).value = config.baseUrl || "";
+	const custom = $(`${slot}-anthropic-model-custom`);
+	if (custom) custom.value = config.modelId || "";
+	const sel = $(`${slot}-anthropic-model`);
+	if (sel && config.modelId) {
+		sel.value = config.modelId;
+		if (!sel.value) {
+			const opt = document.createElement("option");
+			opt.value = config.modelId;
+			opt.textContent = config.modelId;
+			sel.appendChild(opt);
+			sel.value = config.modelId;
+		}
+	}
+	if ($(`${slot}-anthropic-key`))
+		$(`${slot}-anthropic-key`).value = config.apiKey || "";
+}
+
+/** Read a slot's Anthropic fields into a provider config. */
+function readAnthropicSlot(slot, config) {
+	config.baseUrl = $(`${slot}-anthropic-base-url`)?.value ?? "";
+	config.modelId =
+		$(`${slot}-anthropic-model`)?.value ||
+		$(`${slot}-anthropic-model-custom`)?.value ||
+		"";
+	config.apiKey = $(`${slot}-anthropic-key`)?.value ?? "";
+	return config;
+}
+
 function populateModelSelect(selectEl, models, savedValue) {
 	const prev = savedValue || selectEl.value;
 	selectEl.replaceChildren(); // safe clear — no innerHTML
@@ -717,6 +847,8 @@ async function loadLibraryModelSettings() {
 			"primaryModelConfig",
 			"fallbackModelConfig",
 			"fallbackModelEnabled",
+			"fallbackChain",
+			"fallbackRules",
 			"selectedModelId", // legacy
 			"modelEndpoint", // legacy
 		]);
@@ -783,6 +915,8 @@ async function loadLibraryModelSettings() {
 					poOllamaModel.value = primaryConfig.modelId;
 				}
 			}
+		} else if (primaryConfig.provider === "anthropic") {
+			loadAnthropicSlot("primary", primaryConfig);
 		}
 
 		// ── Fallback Slot ──
@@ -830,6 +964,18 @@ async function loadLibraryModelSettings() {
 				$("fallback-ollama-url").value = fallbackConfig.baseUrl || "";
 			if ($("fallback-ollama-model"))
 				$("fallback-ollama-model").value = fallbackConfig.modelId || "";
+		} else if (fallbackConfig.provider === "anthropic") {
+			loadAnthropicSlot("fallback", fallbackConfig);
+		}
+
+		fallbackChainEntries = Array.isArray(data.fallbackChain)
+			? data.fallbackChain
+			: [];
+		renderFallbackChain();
+		const rules = resolveFallbackRules(data.fallbackRules);
+		for (const failureClass of Object.keys(DEFAULT_FALLBACK_RULES)) {
+			const sel = $(`fallback-rule-${failureClass}`);
+			if (sel) sel.value = rules[failureClass];
 		}
 
 		// Update legacy endpoint if needed
@@ -857,6 +1003,91 @@ async function loadLibraryModelSettings() {
 	}
 }
 
+// ── Fallback chain ───────────────────────────────────────────────────────────
+// Read the fallback slot editor into a slot config. It is both the single
+// legacy fallback and the form new chain entries are added from.
+function readFallbackSlot() {
+	const provider = $("fallback-provider-select")?.value ?? "gemini";
+	const config = { provider };
+	if (provider === "gemini") {
+		config.modelId =
+			$("fallback-gemini-model")?.value ?? DEFAULT_BACKUP_MODEL_ID;
+	} else if (provider === "openai") {
+		config.baseUrl = $("fallback-openai-base-url")?.value ?? "";
+		config.modelId =
+			$("fallback-openai-model")?.value ||
+			$("fallback-openai-model-custom")?.value ||
+			"";
+		config.apiKey = $("fallback-openai-key")?.value ?? "";
+	} else if (provider === "ollama") {
+		config.baseUrl =
+			$("fallback-ollama-url")?.value ?? "http://localhost:11434";
+		config.modelId = $("fallback-ollama-model")?.value ?? "";
+	} else if (provider === "anthropic") {
+		readAnthropicSlot("fallback", config);
+	}
+	return config;
+}
+
+function renderFallbackChain() {
+	const list = $("fallback-chain-list");
+	if (!list) return;
+	list.replaceChildren();
+
+	if (fallbackChainEntries.length === 0) {
+		const empty = document.createElement("div");
+		empty.className = "ls-hint";
+		empty.style.cssText = "padding:8px;text-align:center;";
+		empty.textContent =
+			"No chain yet — only the fallback model above is tried.";
+		list.appendChild(empty);
+		return;
+	}
+
+	fallbackChainEntries.forEach((entry, index) => {
+		const { provider, model } = describeChainEntry(entry);
+		const item = document.createElement("div");
+		item.style.cssText =
+			"display:flex;align-items:center;gap:8px;padding:8px;" +
+			"background:var(--bg-secondary,#0f172a);border-radius:4px;margin-bottom:6px;" +
+			"border:1px solid var(--border-color);font-size:12px;";
+
+		const label = document.createElement("span");
+		label.style.cssText = "flex:1;min-width:0;overflow-wrap:anywhere;";
+		label.textContent = `${index + 1}. ${provider}${model ? ` · ${model}` : ""}`;
+		item.appendChild(label);
+
+		for (const [action, text, title] of [
+			["up", "↑", "Try earlier"],
+			["remove", "✕", "Remove from chain"],
+		]) {
+			if (action === "up" && index === 0) continue;
+			const btn = document.createElement("button");
+			btn.className = `ls-btn ls-btn-sm ${action === "remove" ? "ls-btn-danger" : "ls-btn-secondary"}`;
+			btn.style.cssText = "padding:2px 8px;font-size:13px;";
+			btn.textContent = text;
+			btn.title = title;
+			btn.setAttribute("aria-label", `${title}: ${provider} ${model}`);
+			btn.addEventListener("click", () =>
+				updateFallbackChain(action, index),
+			);
+			item.appendChild(btn);
+		}
+		list.appendChild(item);
+	});
+}
+
+async function updateFallbackChain(action, index) {
+	if (action === "up") {
+		const [entry] = fallbackChainEntries.splice(index, 1);
+		fallbackChainEntries.splice(index - 1, 0, entry);
+	} else if (action === "remove") {
+		fallbackChainEntries.splice(index, 1);
+	}
+	await browser.storage.local.set({ fallbackChain: fallbackChainEntries });
+	renderFallbackChain();
+}
+
 // ── Load: API Keys (Unified) ─────────────────────────────────────────────────
 function renderLibraryApiKeys() {
 	const list = $("library-api-keys-list");
@@ -912,12 +1143,15 @@ async function loadLibraryAdvancedSettings() {
 			"topK",
 			"topP",
 			"wordCountThreshold",
+			"enhancementGuardEnabled",
 			"modelEndpoint",
 			"customPrompt",
 			"customSummaryPrompt",
 			"customShortSummaryPrompt",
 			"permanentPrompt",
 			"chunkSizeWords",
+			"chunkSizingMode",
+			"ollamaContextTokens",
 			"chunkingEnabled",
 			"chunkSummaryCount",
 			"maxOutputTokens",
@@ -962,6 +1196,11 @@ async function loadLibraryAdvancedSettings() {
 			updateSliderFill(wcSl);
 		}
 
+		const guardToggle = $("library-enhancement-guard");
+		if (guardToggle) {
+			guardToggle.checked = data.enhancementGuardEnabled !== false;
+		}
+
 		// Prompts
 		const promptMain = $("library-prompt-main");
 		if (promptMain) promptMain.value = data.customPrompt || DEFAULT_PROMPT;
@@ -991,6 +1230,14 @@ async function loadLibraryAdvancedSettings() {
 				data.chunkSize ||
 				DEFAULT_CHUNK_SIZE_WORDS;
 
+		const sizingMode = $("library-chunk-sizing-mode");
+		if (sizingMode) sizingMode.value = data.chunkSizingMode || "auto";
+
+		const ollamaCtx = $("library-ollama-context-tokens");
+		if (ollamaCtx)
+			ollamaCtx.value =
+				data.ollamaContextTokens || DEFAULT_OLLAMA_CONTEXT_TOKENS;
+
 		const chunkSumCount = $("library-chunk-summary-count");
 		if (chunkSumCount)
 			chunkSumCount.value =
@@ -1468,6 +1715,202 @@ function renderSiteSettingsCards() {
 	});
 }
 
+// ── Custom Sites (Sites panel) ────────────────────────────────────────────────
+
+/**
+ * The page the user was reading before opening settings: the most recently
+ * used web tab in this window.
+ * @returns {Promise<string|null>}
+ */
+async function lastReadingTabUrl() {
+	const tabs = await browser.tabs.query({ currentWindow: true });
+	const webTabs = tabs
+		.filter((tab) => /^https?:/.test(tab.url || ""))
+		.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+	return webTabs[0]?.url || null;
+}
+
+async function initCustomSitesSection() {
+	const container = $("custom-sites-list");
+	if (!container) return;
+
+	// A definition for a built-in site would race its real handler.
+	const validationOptions = { reservedDomains: ALL_SUPPORTED_DOMAINS };
+	let sites = await getCustomSites();
+
+	function render() {
+		container.innerHTML = sites.length
+			? sites.map((site) => renderCustomSiteEditor(site)).join("")
+			: `<p class="ls-hint" style="padding:16px 0;">No custom sites yet. Click "+ Add Site" to define one.</p>`;
+	}
+
+	/**
+	 * Read and validate a card. An invalid definition is re-rendered in place
+	 * with its errors, keeping what the user typed.
+	 * @returns {Object|null}
+	 */
+	function readCard(card) {
+		const site = normalizeCustomSite(readCustomSiteEditor(card));
+		const { isValid, errors } = validateCustomSite(site, validationOptions);
+		if (!isValid) {
+			const holder = document.createElement("div");
+			holder.innerHTML = renderCustomSiteEditor(site, { errors });
+			card.replaceWith(holder.firstElementChild);
+			return null;
+		}
+		return site;
+	}
+
+	async function persist(updated) {
+		const stored = await getCustomSites();
+		await saveCustomSites(mergeCustomSites(stored, updated));
+		sites = mergeCustomSites(sites, updated);
+	}
+
+	async function handleSave(card) {
+		const site = readCard(card);
+		if (!site) return;
+		// First await in the click handler: the request needs the user gesture.
+		let granted = false;
+		try {
+			granted = await browser.permissions.request({
+				origins: customSiteOrigins(site),
+			});
+		} catch (err) {
+			debugError("Permission request failed:", err);
+		}
+		await persist([site]);
+		render();
+		showToast(
+			granted
+				? `${site.name} saved — reload its pages to use it`
+				: `${site.name} saved, but it will not run until site access is granted`,
+			granted ? "success" : "info",
+		);
+	}
+
+	async function handlePreview(card) {
+		const site = readCard(card);
+		if (!site) return;
+		try {
+			await browser.permissions.request({
+				origins: customSiteOrigins(site),
+			});
+		} catch (err) {
+			debugError("Permission request failed:", err);
+		}
+		const url =
+			card.querySelector(".cs-preview-url")?.value.trim() ||
+			(await lastReadingTabUrl());
+		const previewEl = card.querySelector(".cs-preview");
+		if (!url) {
+			showToast("Open a chapter in a tab, or paste its URL", "info");
+			return;
+		}
+		previewEl.innerHTML = `<p class="ls-hint">Loading ${escapeHtml(url)}…</p>`;
+		try {
+			const response = await browser.runtime.sendMessage({
+				action: "previewCustomSite",
+				site,
+				url,
+			});
+			if (!response?.success) {
+				throw new Error(response?.error || "No response");
+			}
+			previewEl.innerHTML = renderCustomSitePreview(response.preview);
+		} catch (err) {
+			debugError("Custom site preview failed:", err);
+			previewEl.innerHTML = `<p class="ls-hint" style="color:#f87171;">Preview failed: ${escapeHtml(err.message)}</p>`;
+		}
+	}
+
+	async function handleDelete(card) {
+		const id = card.dataset.siteId;
+		const site = sites.find((s) => s.id === id);
+		if (!confirm(`Delete "${site?.name || "this site"}"?`)) return;
+		sites = sites.filter((s) => s.id !== id);
+		const stored = await getCustomSites();
+		await saveCustomSites(stored.filter((s) => s.id !== id));
+		render();
+	}
+
+	container.addEventListener("click", (e) => {
+		const card = e.target.closest(".ls-custom-site");
+		if (!card) return;
+		if (e.target.closest(".cs-save-btn")) handleSave(card);
+		else if (e.target.closest(".cs-preview-btn")) handlePreview(card);
+		else if (e.target.closest(".cs-delete-btn")) handleDelete(card);
+	});
+
+	// The enable toggle applies straight away for saved sites.
+	container.addEventListener("change", async (e) => {
+		if (e.target.dataset.customField !== "enabled") return;
+		const id = e.target.closest(".ls-custom-site")?.dataset.siteId;
+		const stored = await getCustomSites();
+		const saved = stored.find((s) => s.id === id);
+		if (!saved) return;
+		saved.enabled = e.target.checked;
+		await saveCustomSites(stored);
+		sites = mergeCustomSites(sites, [saved]);
+		showToast(
+			`${saved.name} ${saved.enabled ? "enabled" : "disabled"}`,
+			"info",
+		);
+	});
+
+	$("custom-site-add")?.addEventListener("click", () => {
+		sites.push(createCustomSite());
+		render();
+	});
+
+	$("custom-site-export")?.addEventListener("click", async () => {
+		const saved = await getCustomSites();
+		if (!saved.length) {
+			showToast("No saved custom sites to export", "info");
+			return;
+		}
+		const blob = new Blob([exportCustomSites(saved)], {
+			type: "application/json",
+		});
+		const url = URL.createObjectURL(blob);
+		const a = document.createElement("a");
+		a.href = url;
+		a.download = `ranobe-custom-sites-${new Date().toISOString().slice(0, 10)}.json`;
+		a.click();
+		URL.revokeObjectURL(url);
+	});
+
+	$("custom-site-import")?.addEventListener("change", async (e) => {
+		const file = e.target.files?.[0];
+		if (!file) return;
+		try {
+			const { sites: imported, errors } = parseCustomSitesImport(
+				await file.text(),
+				validationOptions,
+			);
+			if (imported.length) await persist(imported);
+			render();
+			if (errors.length) debugError("Skipped custom sites:", errors);
+			showToast(
+				`Imported ${imported.length} site(s)` +
+					(errors.length
+						? `, skipped ${errors.length} invalid`
+						: "") +
+					(imported.length
+						? " — press Save on each to grant access"
+						: ""),
+				errors.length ? "info" : "success",
+			);
+		} catch (err) {
+			debugError("Custom site import failed:", err);
+			showToast("❌ Import failed: " + err.message, "error");
+		}
+		e.target.value = "";
+	});
+
+	render();
+}
+
 async function loadBackupCheckboxSettings() {
 	try {
 		const data = await browser.storage.local.get([
@@ -1519,7 +1962,9 @@ async function loadRollingBackups() {
 			padding:8px;background:rgba(0,0,0,0.1);border-radius:4px;margin-bottom:6px;font-size:12px;">
 			<div>
 				<div style="font-weight:500;">${b.dateStr}</div>
-				<div style="font-size:11px;color:#aaa;">${b.novelCount} novels • ${b.reason}</div>
+				<div style="font-size:11px;color:#aaa;">${b.novelCount} novels • ${b.reason}${
+					b.kind === "delta" ? " • incremental" : ""
+				}${b.tiers?.length ? ` • ${b.tiers.join(", ")}` : ""}</div>
 			</div>
 			<div style="display:flex;gap:4px;">
 				<button class="rolling-restore ls-btn ls-btn-secondary ls-btn-sm" data-key="${b.key}">Restore</button>
@@ -1535,7 +1980,7 @@ async function loadRollingBackups() {
 		btn.addEventListener("click", async () => {
 			const backup = await getRollingBackup(btn.dataset.key);
 			if (backup && confirm("Restore this backup? (Merge mode)")) {
-				await restoreComprehensiveBackup(backup, { mode: "merge" });
+				if (!(await restoreBackupWithReview(backup, "merge"))) return;
 				showToast("✅ Backup restored!", "success");
 				setTimeout(() => location.reload(), 1000);
 			}
@@ -1850,6 +2295,445 @@ function inferChapterHintFromUrl(url) {
 	return 0;
 }
 
+// ── Conflict Review Modal ───────────────────────────────────────────────────────
+/**
+ * Show what a restore or sync would change in existing novels and let the
+ * user pick, per field or for everything, which value to keep. Nothing is
+ * written here; the caller passes the choices on.
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} options.remoteLabel - Name of the incoming side ("Backup", "Synced")
+ * @param {Array} options.review - buildLibraryReview() items
+ * @param {string} options.confirmLabel
+ * @returns {Promise<Object|null>} `choices[novelId][field]`, or null when cancelled
+ */
+function showConflictReviewModal({ title, remoteLabel, review, confirmLabel }) {
+	document.getElementById("conflict-review-modal")?.remove();
+
+	return new Promise((resolve) => {
+		const selects = [];
+		const overlay = document.createElement("div");
+		overlay.id = "conflict-review-modal";
+		overlay.style.cssText =
+			"position:fixed;inset:0;background:rgba(0,0,0,0.65);z-index:9999;display:flex;align-items:center;justify-content:center;padding:16px;";
+
+		const close = (choices) => {
+			overlay.remove();
+			resolve(choices);
+		};
+
+		const modal = document.createElement("div");
+		modal.style.cssText =
+			"background:var(--bg-secondary,#111827);border:1px solid var(--border-color,#333);border-radius:10px;width:100%;max-width:760px;max-height:85vh;display:flex;flex-direction:column;box-shadow:0 20px 60px rgba(0,0,0,0.6);overflow:hidden;";
+
+		// ── Header ──────────────────────────────────────────────────────────
+		const fieldCount = review.reduce(
+			(n, item) => n + item.fields.length,
+			0,
+		);
+		const hdr = document.createElement("div");
+		hdr.style.cssText =
+			"padding:16px 20px;border-bottom:1px solid var(--border-color,#333);display:flex;align-items:center;justify-content:space-between;";
+		const htitle = document.createElement("div");
+		const titleLine = document.createElement("div");
+		titleLine.style.cssText =
+			"font-size:15px;font-weight:700;color:var(--text-primary)";
+		titleLine.textContent = title;
+		const subLine = document.createElement("div");
+		subLine.style.cssText =
+			"font-size:11px;color:var(--text-secondary);margin-top:2px;";
+		subLine.textContent = `${fieldCount} change(s) in ${review.length} novel(s). Nothing is written until you apply.`;
+		htitle.append(titleLine, subLine);
+		const closeX = document.createElement("button");
+		closeX.style.cssText =
+			"background:none;border:none;color:var(--text-secondary);font-size:20px;cursor:pointer;padding:2px 6px;border-radius:4px;";
+		closeX.textContent = "✕";
+		closeX.addEventListener("click", () => close(null));
+		hdr.append(htitle, closeX);
+		modal.appendChild(hdr);
+
+		// ── Bulk choice ─────────────────────────────────────────────────────
+		const bulk = document.createElement("div");
+		bulk.style.cssText =
+			"padding:10px 20px;display:flex;gap:8px;align-items:center;flex-wrap:wrap;border-bottom:1px solid var(--border-color,#333);background:var(--bg-tertiary,#1f2937);font-size:12px;color:var(--text-secondary);";
+		bulk.append("Set all to:");
+		for (const [choice, label] of [
+			["local", "Keep local"],
+			[`remote`, `Keep ${remoteLabel.toLowerCase()}`],
+			["newest", "Keep newest"],
+		]) {
+			const btn = document.createElement("button");
+			btn.className = "ls-btn ls-btn-secondary ls-btn-sm";
+			btn.textContent = label;
+			btn.addEventListener("click", () => {
+				for (const select of selects) select.value = choice;
+			});
+			bulk.appendChild(btn);
+		}
+		modal.appendChild(bulk);
+
+		// ── Per-novel differences ───────────────────────────────────────────
+		const body = document.createElement("div");
+		body.style.cssText = "flex:1;overflow-y:auto;padding:12px 20px;";
+		for (const item of review) {
+			const block = document.createElement("div");
+			block.style.cssText =
+				"margin-bottom:14px;padding:10px 12px;border:1px solid var(--border-color,#333);border-radius:8px;";
+			const name = document.createElement("div");
+			name.style.cssText =
+				"font-size:13px;font-weight:600;color:var(--text-primary);margin-bottom:6px;";
+			name.textContent = item.title;
+			block.appendChild(name);
+
+			const table = document.createElement("table");
+			table.style.cssText =
+				"width:100%;border-collapse:collapse;font-size:12px;";
+			const head = table.insertRow();
+			for (const label of ["Field", "Local", remoteLabel, "Keep"]) {
+				const th = document.createElement("th");
+				th.style.cssText =
+					"text-align:left;padding:4px 6px;color:var(--text-secondary);font-weight:500;";
+				th.textContent = label;
+				head.appendChild(th);
+			}
+			for (const entry of item.fields) {
+				const row = table.insertRow();
+				const cells = [
+					REVIEW_FIELD_LABELS[entry.field] || entry.field,
+					formatReviewValue(entry.local),
+					formatReviewValue(entry.remote),
+				];
+				for (const text of cells) {
+					const td = row.insertCell();
+					td.style.cssText =
+						"padding:4px 6px;vertical-align:top;word-break:break-word;color:var(--text-primary);";
+					td.textContent = text;
+				}
+				const select = document.createElement("select");
+				select.className = "ls-select";
+				select.dataset.novelId = item.novelId;
+				select.dataset.field = entry.field;
+				for (const [value, label] of [
+					["local", "Local"],
+					["remote", remoteLabel],
+					[
+						"newest",
+						`Newest (${entry.newer === "local" ? "local" : remoteLabel.toLowerCase()})`,
+					],
+				]) {
+					select.add(new Option(label, value));
+				}
+				select.value = "newest";
+				selects.push(select);
+				row.insertCell().appendChild(select);
+			}
+			block.appendChild(table);
+			body.appendChild(block);
+		}
+		modal.appendChild(body);
+
+		// ── Footer ──────────────────────────────────────────────────────────
+		const footer = document.createElement("div");
+		footer.style.cssText =
+			"padding:12px 20px;border-top:1px solid var(--border-color,#333);display:flex;justify-content:flex-end;gap:10px;";
+		const cancelBtn = document.createElement("button");
+		cancelBtn.className = "ls-btn ls-btn-secondary";
+		cancelBtn.textContent = "Cancel";
+		cancelBtn.addEventListener("click", () => close(null));
+		const applyBtn = document.createElement("button");
+		applyBtn.className = "ls-btn ls-btn-primary";
+		applyBtn.textContent = confirmLabel;
+		applyBtn.addEventListener("click", () => {
+			const choices = {};
+			for (const select of selects) {
+				const { novelId, field } = select.dataset;
+				choices[novelId] = choices[novelId] || {};
+				choices[novelId][field] = select.value;
+			}
+			close(choices);
+		});
+		footer.append(cancelBtn, applyBtn);
+		modal.appendChild(footer);
+
+		overlay.appendChild(modal);
+		overlay.addEventListener("click", (e) => {
+			if (e.target === overlay) close(null);
+		});
+		document.body.appendChild(overlay);
+	});
+}
+
+/**
+ * Review what restoring a comprehensive backup would change, then restore.
+ * @param {Object} backup
+ * @param {"merge"|"replace"} mode
+ * @returns {Promise<boolean>} false when the user cancelled the review
+ */
+async function restoreBackupWithReview(backup, mode) {
+	const review = await previewLibraryRestore(backup);
+	let reviewChoices = {};
+	if (review.length) {
+		reviewChoices = await showConflictReviewModal({
+			title: "Review Changes Before Restoring",
+			remoteLabel: "Backup",
+			review,
+			confirmLabel: "Restore →",
+		});
+		if (!reviewChoices) return false;
+	}
+	await restoreComprehensiveBackup(backup, { mode, reviewChoices });
+	return true;
+}
+
+// ── Backup History ────────────────────────────────────────────────────────────
+// Indexing reads every point once and keeps only per-field values; a restore
+// loads its point again in full.
+let backupHistory = null;
+
+async function collectHistorySources() {
+	const sources = (await listRollingBackups()).map((meta) => ({
+		point: {
+			id: `rolling:${meta.key}`,
+			source: "rolling",
+			label: `Rolling backup (${meta.reason})`,
+			createdAt: meta.timestamp,
+		},
+		load: () => getRollingBackup(meta.key),
+	}));
+
+	const remote = await browser.runtime
+		.sendMessage({ action: "listDriveBackups" })
+		.catch(() => null);
+	for (const file of remote?.success ? remote.backups : []) {
+		sources.push({
+			point: {
+				id: `remote:${file.id}`,
+				source: "remote",
+				label: file.name,
+				createdAt: Date.parse(file.modifiedTime) || 0,
+			},
+			load: async () => {
+				const res = await browser.runtime.sendMessage({
+					action: "downloadDriveBackup",
+					fileId: file.id,
+				});
+				if (!res?.success) {
+					throw new Error(res?.error || "Download failed");
+				}
+				return res.data;
+			},
+		});
+	}
+	return sources;
+}
+
+async function indexBackupHistory() {
+	const status = $("history-status");
+	const button = $("history-index-btn");
+	button.disabled = true;
+	try {
+		const sources = await collectHistorySources();
+		const index = createBackupHistoryIndex();
+		const loaders = new Map();
+		let failed = 0;
+		for (const [n, { point, load }] of sources.entries()) {
+			status.textContent = `Reading backup ${n + 1} of ${sources.length}…`;
+			try {
+				const backup = await load();
+				if (!backup) throw new Error("Backup is empty");
+				point.createdAt =
+					backup.exportedAt || backup.createdAt || point.createdAt;
+				index.addPoint(point, backup);
+				loaders.set(point.id, load);
+			} catch (err) {
+				failed++;
+				debugError(
+					`Backup history: could not read ${point.label}:`,
+					err,
+				);
+			}
+		}
+		backupHistory = { index, loaders };
+		status.textContent = `${loaders.size} backup(s) indexed${
+			failed ? `, ${failed} could not be read` : ""
+		}.`;
+		$("history-explorer").style.display = loaders.size ? "" : "none";
+		renderHistoryNovelOptions();
+		renderSettingsHistory();
+	} catch (err) {
+		status.textContent = `Indexing failed: ${err.message}`;
+	} finally {
+		button.disabled = false;
+	}
+}
+
+async function loadHistoryPoint(pointId) {
+	const backup = await backupHistory.loaders.get(pointId)();
+	if (!backup) throw new Error("That backup is no longer available.");
+	return backup;
+}
+
+function historyRow(point, lines, buttonLabel, onRestore) {
+	const row = document.createElement("div");
+	row.className = "backup-item";
+	row.style.cssText =
+		"display:flex;justify-content:space-between;align-items:flex-start;gap:8px;padding:8px;background:rgba(0,0,0,0.1);border-radius:4px;margin-top:6px;font-size:12px;";
+	const text = document.createElement("div");
+	text.style.cssText = "min-width:0;word-break:break-word;";
+	const when = document.createElement("div");
+	when.style.fontWeight = "500";
+	when.textContent = new Date(point.createdAt).toLocaleString();
+	const source = document.createElement("div");
+	source.style.cssText = "font-size:11px;color:#aaa;";
+	source.textContent = point.label;
+	text.append(when, source);
+	for (const line of lines) {
+		const detail = document.createElement("div");
+		detail.style.cssText = "font-size:11px;margin-top:2px;";
+		detail.textContent = line;
+		text.appendChild(detail);
+	}
+	row.appendChild(text);
+	if (onRestore) {
+		const button = document.createElement("button");
+		button.className = "ls-btn ls-btn-secondary ls-btn-sm";
+		button.textContent = buttonLabel;
+		button.addEventListener("click", async () => {
+			button.disabled = true;
+			try {
+				await onRestore();
+			} catch (err) {
+				showToast(`❌ Restore failed: ${err.message}`, "error");
+			} finally {
+				button.disabled = false;
+			}
+		});
+		row.appendChild(button);
+	}
+	return row;
+}
+
+function shortValue(value) {
+	const text = formatReviewValue(value);
+	return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+function renderHistoryNovelOptions() {
+	const select = $("history-novel-select");
+	const filter = $("history-novel-filter").value.trim().toLowerCase();
+	const previous = select.value;
+	select.replaceChildren(
+		...backupHistory.index
+			.listNovels()
+			.filter((novel) => novel.title.toLowerCase().includes(filter))
+			.map((novel) => new Option(novel.title, novel.id)),
+	);
+	if ([...select.options].some((option) => option.value === previous)) {
+		select.value = previous;
+	}
+	renderNovelHistory();
+}
+
+function renderNovelHistory() {
+	const container = $("history-novel-timeline");
+	const novelId = $("history-novel-select").value;
+	container.replaceChildren();
+	if (!novelId) return;
+
+	for (const entry of backupHistory.index.novelTimeline(novelId)) {
+		let lines;
+		if (entry.kind === "removed") {
+			lines = ["Not in the library at this point."];
+		} else if (entry.kind === "added") {
+			lines = ["First seen in this backup."];
+		} else {
+			lines = entry.changes.map((change) =>
+				change.group === "metadata"
+					? `Details: ${change.field} changed`
+					: `${REVIEW_FIELD_LABELS[change.field] || change.field}: ${shortValue(change.from)} → ${shortValue(change.to)}`,
+			);
+		}
+		const restore =
+			entry.kind === "removed"
+				? null
+				: async () => {
+						if (
+							!confirm(
+								"Put this novel back as it was in this backup? Only this novel changes.",
+							)
+						) {
+							return;
+						}
+						const backup = await loadHistoryPoint(entry.point.id);
+						const novel = await restoreNovelFromBackup(
+							backup,
+							novelId,
+						);
+						showToast(
+							`✅ Restored "${novel.title || novelId}"`,
+							"success",
+						);
+					};
+		container.appendChild(
+			historyRow(entry.point, lines, "Restore novel", restore),
+		);
+	}
+}
+
+function renderSettingsHistory() {
+	const container = $("history-settings-timeline");
+	const group = $("history-setting-group").value;
+	container.replaceChildren();
+	if (!group) return;
+
+	for (const entry of backupHistory.index.settingsTimeline(group)) {
+		const lines = [
+			entry.keys.length
+				? `Changed: ${entry.keys.join(", ")}`
+				: "No settings in this group were set.",
+		];
+		container.appendChild(
+			historyRow(entry.point, lines, "Restore group", async () => {
+				if (
+					!confirm(
+						`Put "${SETTING_GROUPS[group].label}" back as it was in this backup? Other settings are not changed.`,
+					)
+				) {
+					return;
+				}
+				const backup = await loadHistoryPoint(entry.point.id);
+				const { restored, removed, skipped } =
+					await restoreSettingGroupFromBackup(backup, group);
+				showToast(
+					`✅ ${restored.length + removed.length} setting(s) restored` +
+						(skipped.length
+							? `; ${skipped.join(", ")} kept (device settings change through device profiles)`
+							: ""),
+					"success",
+				);
+			}),
+		);
+	}
+}
+
+function initBackupHistory() {
+	const groupSelect = $("history-setting-group");
+	if (!groupSelect) return;
+	groupSelect.replaceChildren(
+		...Object.entries(SETTING_GROUPS).map(
+			([id, { label }]) => new Option(label, id),
+		),
+	);
+	$("history-index-btn").addEventListener("click", indexBackupHistory);
+	$("history-novel-filter").addEventListener("input", () => {
+		if (backupHistory) renderHistoryNovelOptions();
+	});
+	$("history-novel-select").addEventListener("change", renderNovelHistory);
+	groupSelect.addEventListener("change", () => {
+		if (backupHistory) renderSettingsHistory();
+	});
+}
+
 // ── Import Preview Modal ────────────────────────────────────────────────────────
 function showImportPreviewModal({
 	prepared,
@@ -2414,33 +3298,555 @@ async function _runImport({
 				const p = progress;
 				urlImportStatus.textContent = `Processing ${p.processed}/${p.queued} · Added ${p.added} · Failed ${p.failed}`;
 			}
-		},
-		[...toImport, ...forcedUpdateItems],
-	);
+		},
+		[...toImport, ...forcedUpdateItems],
+	);
+
+	if (modalEl) modalEl.remove();
+
+	if (urlImportStatus) {
+		const parts = [`Added ${results.added}`];
+		if (results.failed) parts.push(`⚠️ ${results.failed} failed`);
+		if (results.skipped) parts.push(`${results.skipped} skipped`);
+		urlImportStatus.textContent = "Done. " + parts.join(" · ") + ".";
+	}
+
+	const hasIssues =
+		results.failed > 0 ||
+		results.existingItems.length > 0 ||
+		results.duplicateItems.length > 0 ||
+		results.unsupportedItems.length > 0;
+
+	if (hasIssues) {
+		showImportResultsModal(results, []);
+	} else {
+		showToast(
+			`✅ Import complete. Added ${results.added} novel(s).`,
+			"success",
+		);
+	}
+}
+
+// ── Reading Tracker Import ──────────────────────────────────────────────────
+
+const TRACKER_CHANGE_LABELS = {
+	readingStatus: "Status",
+	lastReadChapter: "Chapter",
+	totalChapters: "Chapters",
+	readingLists: "Lists",
+};
+
+function trackerStatusLabel(status) {
+	return READING_STATUS_INFO[status]?.label || status;
+}
+
+function describeTrackerChanges(novel, changes) {
+	return Object.entries(changes)
+		.map(([field, value]) => {
+			const before = novel?.[field];
+			const show = (v) =>
+				field === "readingStatus"
+					? trackerStatusLabel(v)
+					: formatReviewValue(v);
+			return `${TRACKER_CHANGE_LABELS[field] || field}: ${show(before)} → ${show(value)}`;
+		})
+		.join(" · ");
+}
+
+/**
+ * Dry-run preview of a tracker import. Every new novel and update can be
+ * unticked; duplicates and unmatched entries are listed but never written.
+ * @param {Object} options
+ * @param {Object} options.plan - planTrackerImport() result
+ * @param {Object} options.novels - Current library novels, by id
+ * @param {string} options.sourceLabel
+ * @returns {Promise<{add: Array, update: Array}|null>} null when cancelled
+ */
+function showTrackerImportModal({ plan, novels, sourceLabel }) {
+	document.getElementById("tracker-import-modal")?.remove();
+
+	return new Promise((resolve) => {
+		const overlay = document.createElement("div");
+		overlay.id = "tracker-import-modal";
+		overlay.style.cssText =
+			"position:fixed;inset:0;background:rgba(0,0,0,0.65);z-index:9999;display:flex;align-items:center;justify-content:center;padding:16px;";
+
+		const close = (selection) => {
+			overlay.remove();
+			resolve(selection);
+		};
+
+		const modal = document.createElement("div");
+		modal.style.cssText =
+			"background:var(--bg-secondary,#111827);border:1px solid var(--border-color,#333);border-radius:10px;width:100%;max-width:760px;max-height:85vh;display:flex;flex-direction:column;box-shadow:0 20px 60px rgba(0,0,0,0.6);overflow:hidden;";
+
+		// ── Header ──────────────────────────────────────────────────────────
+		const hdr = document.createElement("div");
+		hdr.style.cssText =
+			"padding:16px 20px;border-bottom:1px solid var(--border-color,#333);display:flex;align-items:center;justify-content:space-between;";
+		const htitle = document.createElement("div");
+		const titleLine = document.createElement("div");
+		titleLine.style.cssText =
+			"font-size:15px;font-weight:700;color:var(--text-primary)";
+		titleLine.textContent = `Review Import: ${sourceLabel}`;
+		const subLine = document.createElement("div");
+		subLine.style.cssText =
+			"font-size:11px;color:var(--text-secondary);margin-top:2px;";
+		subLine.textContent = "Dry run. Nothing is written until you apply.";
+		htitle.append(titleLine, subLine);
+		const closeX = document.createElement("button");
+		closeX.style.cssText =
+			"background:none;border:none;color:var(--text-secondary);font-size:20px;cursor:pointer;padding:2px 6px;border-radius:4px;";
+		closeX.textContent = "✕";
+		closeX.addEventListener("click", () => close(null));
+		hdr.append(htitle, closeX);
+		modal.appendChild(hdr);
+
+		// ── Breakdown chips ─────────────────────────────────────────────────
+		const chips = document.createElement("div");
+		chips.style.cssText =
+			"padding:10px 20px;display:flex;gap:8px;flex-wrap:wrap;border-bottom:1px solid var(--border-color,#333);background:var(--bg-tertiary,#1f2937);";
+		for (const { n, label, color } of [
+			{ n: plan.add.length, label: "new", color: "#22c55e" },
+			{ n: plan.update.length, label: "to update", color: "#f59e0b" },
+			{ n: plan.unchanged.length, label: "unchanged", color: "#9ca3af" },
+			{
+				n: plan.duplicates.length,
+				label: "duplicates",
+				color: "#8b5cf6",
+			},
+			{
+				n: plan.unmatched.length,
+				label: "not matched",
+				color: "#ef4444",
+			},
+		]) {
+			const c = document.createElement("span");
+			c.style.cssText = `padding:4px 12px;border-radius:12px;font-size:12px;font-weight:700;background:${color}22;color:${color};border:1px solid ${color}55;`;
+			c.textContent = `${n} ${label}`;
+			chips.appendChild(c);
+		}
+		modal.appendChild(chips);
+
+		const body = document.createElement("div");
+		body.style.cssText = "flex:1;overflow-y:auto;padding:12px 20px;";
+
+		const section = (heading, note) => {
+			const title = document.createElement("div");
+			title.style.cssText =
+				"font-size:13px;font-weight:600;color:var(--text-primary);margin:6px 0 4px;";
+			title.textContent = heading;
+			const p = document.createElement("p");
+			p.style.cssText =
+				"font-size:12px;color:var(--text-secondary);margin:0 0 8px;line-height:1.5;";
+			p.textContent = note;
+			const list = document.createElement("div");
+			list.style.cssText =
+				"display:flex;flex-direction:column;gap:4px;margin-bottom:14px;";
+			body.append(title, p, list);
+			return list;
+		};
+
+		const row = (color, titleText, detailText, checkbox) => {
+			const el = document.createElement(checkbox ? "label" : "div");
+			el.style.cssText = `display:flex;align-items:center;gap:8px;padding:6px 8px;border-radius:4px;border:1px solid var(--border-color,#333);border-left:3px solid ${color};${checkbox ? "cursor:pointer;" : ""}`;
+			if (checkbox) el.appendChild(checkbox);
+			const info = document.createElement("div");
+			info.style.cssText = "flex:1;min-width:0;";
+			const t = document.createElement("div");
+			t.style.cssText =
+				"font-size:12px;font-weight:600;color:var(--text-primary);white-space:nowrap;overflow:hidden;text-overflow:ellipsis;";
+			t.textContent = titleText;
+			t.title = titleText;
+			const d = document.createElement("div");
+			d.style.cssText =
+				"font-size:10px;color:var(--text-secondary);margin-top:1px;";
+			d.textContent = detailText;
+			info.append(t, d);
+			el.appendChild(info);
+			return el;
+		};
+
+		const tick = (index, kind) => {
+			const cb = document.createElement("input");
+			cb.type = "checkbox";
+			cb.checked = true;
+			cb.dataset.index = String(index);
+			cb.dataset.kind = kind;
+			return cb;
+		};
+		const checkboxes = [];
+
+		if (plan.add.length) {
+			const list = section(
+				"New novels",
+				"Added with the status and progress below. Covers and descriptions are filled in by the next update check.",
+			);
+			plan.add.forEach(({ entry, identity }, i) => {
+				const cb = tick(i, "add");
+				checkboxes.push(cb);
+				const progress = entry.lastReadChapter
+					? ` · Ch. ${entry.lastReadChapter}`
+					: "";
+				list.appendChild(
+					row(
+						"#22c55e",
+						entry.title,
+						`${identity.shelf.name || identity.shelf.id} · ${trackerStatusLabel(entry.readingStatus)}${progress}`,
+						cb,
+					),
+				);
+			});
+		}
+
+		if (plan.update.length) {
+			const list = section(
+				"Updates to novels in your library",
+				"Chapter progress is only ever moved forward.",
+			);
+			plan.update.forEach(({ novelId, title, changes }, i) => {
+				const cb = tick(i, "update");
+				checkboxes.push(cb);
+				list.appendChild(
+					row(
+						"#f59e0b",
+						title,
+						describeTrackerChanges(novels[novelId], changes),
+						cb,
+					),
+				);
+			});
+		}
+
+		if (plan.duplicates.length) {
+			const list = section(
+				"Duplicates (skipped)",
+				"Entries listed twice, or whose title matches more than one novel in your library.",
+			);
+			for (const { entry, reason, novelIds } of plan.duplicates) {
+				list.appendChild(
+					row(
+						"#8b5cf6",
+						entry.title,
+						reason === "repeated"
+							? "Already listed earlier in this import"
+							: `Matches ${novelIds
+									.map((id) => novels[id]?.title || id)
+									.join(", ")}`,
+					),
+				);
+			}
+		}
+
+		if (plan.unmatched.length) {
+			const list = section(
+				"Not matched (skipped)",
+				"No novel with this title is in your library and the entry has no link to a supported site. Add one chapter from it with URL import, then run this import again to carry over its status.",
+			);
+			for (const entry of plan.unmatched) {
+				list.appendChild(
+					row(
+						"#ef4444",
+						entry.title,
+						[entry.author, trackerStatusLabel(entry.readingStatus)]
+							.filter(Boolean)
+							.join(" · "),
+					),
+				);
+			}
+		}
+		modal.appendChild(body);
+
+		// ── Footer ──────────────────────────────────────────────────────────
+		const footer = document.createElement("div");
+		footer.style.cssText =
+			"padding:12px 20px;border-top:1px solid var(--border-color,#333);display:flex;justify-content:flex-end;gap:10px;";
+		const cancelBtn = document.createElement("button");
+		cancelBtn.className = "ls-btn ls-btn-secondary";
+		cancelBtn.textContent = "Cancel";
+		cancelBtn.addEventListener("click", () => close(null));
+		const applyBtn = document.createElement("button");
+		applyBtn.className = "ls-btn ls-btn-primary";
+		applyBtn.textContent = "Apply Import →";
+		applyBtn.disabled = !checkboxes.length;
+		applyBtn.addEventListener("click", () => {
+			const selection = { add: [], update: [] };
+			for (const cb of checkboxes) {
+				if (!cb.checked) continue;
+				const { kind, index } = cb.dataset;
+				selection[kind].push(plan[kind][Number(index)]);
+			}
+			close(selection);
+		});
+		footer.append(cancelBtn, applyBtn);
+		modal.appendChild(footer);
+
+		overlay.appendChild(modal);
+		overlay.addEventListener("click", (e) => {
+			if (e.target === overlay) close(null);
+		});
+		document.body.appendChild(overlay);
+	});
+}
+
+/**
+ * Preview parsed tracker entries against the library, apply what the user
+ * keeps, then offer to merge any duplicates the new novels created.
+ * @param {Array} entries - TrackerEntry list
+ * @param {string} source - TRACKER_SOURCES key
+ * @param {HTMLElement|null} statusEl
+ */
+async function reviewTrackerImport(entries, source, statusEl) {
+	const setStatus = (text) => {
+		if (statusEl) statusEl.textContent = text;
+	};
+	if (!entries.length) {
+		setStatus("No novels found in that list.");
+		showToast("No novels found in that list.", "error");
+		return;
+	}
+
+	const library = await novelLibrary.getLibrary();
+	const plan = planTrackerImport(entries, library.novels, {
+		identify: (url) => novelLibrary.getNovelIdentityFromUrl(url),
+	});
+	setStatus(
+		`${entries.length} entries: ${plan.add.length} new, ${plan.update.length} to update, ${plan.unmatched.length} not matched.`,
+	);
+
+	const selection = await showTrackerImportModal({
+		plan,
+		novels: library.novels,
+		sourceLabel: TRACKER_SOURCES[source].label,
+	});
+	if (!selection) {
+		setStatus("Import cancelled. Nothing was changed.");
+		return;
+	}
+
+	const { added, updated } = await novelLibrary.applyTrackerImport(selection);
+	let summary = `Imported: ${added} added, ${updated} updated.`;
+
+	const addedIds = new Set(
+		selection.add.map(({ identity }) => identity.novelId),
+	);
+	const groups = (await novelLibrary.findDuplicates()).filter((group) =>
+		group.novels.some((n) => addedIds.has(n.id)),
+	);
+	if (
+		groups.length &&
+		confirm(
+			`${groups.length} imported novel(s) look like duplicates of novels already in your library. Merge them now?`,
+		)
+	) {
+		let merged = 0;
+		for (const group of groups) {
+			const result = await novelLibrary.mergeDuplicates(
+				group.novels.map((n) => n.id),
+			);
+			if (result.success) merged += 1;
+		}
+		summary += ` Merged ${merged} duplicate group(s).`;
+	} else if (groups.length) {
+		summary += ` ${groups.length} possible duplicate group(s) left as they are.`;
+	}
+	setStatus(summary);
+	showToast(`✅ ${summary}`, "success");
+}
+
+function setupTrackerImport() {
+	const sourceSelect = $("tracker-import-source");
+	const statusSelect = $("tracker-import-default-status");
+	const urlInput = $("tracker-import-url");
+	const fetchRow = $("tracker-import-fetch-row");
+	const fetchBtn = $("tracker-import-fetch-btn");
+	const fileBtn = $("tracker-import-file-btn");
+	const fileInput = $("tracker-import-file");
+	const statusEl = $("tracker-import-status");
+	if (!sourceSelect || !statusSelect || !fileInput) return;
+
+	for (const [id, { label }] of Object.entries(TRACKER_SOURCES)) {
+		sourceSelect.add(new Option(label, id));
+	}
+	statusSelect.add(new Option("Status from the list", ""));
+	for (const [status, info] of Object.entries(READING_STATUS_INFO)) {
+		statusSelect.add(new Option(`Otherwise: ${info.label}`, status));
+	}
+
+	const syncSource = () => {
+		const source = TRACKER_SOURCES[sourceSelect.value];
+		fileInput.accept = source.fileTypes;
+		fetchRow?.classList.toggle("ls-hidden", !source.pageUrl);
+		if (urlInput) {
+			urlInput.value = "";
+			urlInput.placeholder = source.pageUrl || "";
+		}
+	};
+	sourceSelect.addEventListener("change", syncSource);
+	syncSource();
+
+	fetchBtn?.addEventListener("click", async () => {
+		const source = sourceSelect.value;
+		const url = urlInput?.value.trim();
+		if (!url || url.includes("{user}")) {
+			showToast("Enter the address of your list first.", "error");
+			return;
+		}
+		let origin;
+		try {
+			origin = new URL(url).origin;
+		} catch {
+			showToast("That is not a valid address.", "error");
+			return;
+		}
+		if (!isTrackerPageUrl(source, url)) {
+			showToast(
+				`Enter an address on ${TRACKER_SOURCES[source].host}.`,
+				"error",
+			);
+			return;
+		}
+		// The request has to come straight from the click.
+		const granted = await browser.permissions
+			.request({ origins: [`${origin}/*`] })
+			.catch(() => false);
+		if (!granted) {
+			showToast(`Permission denied for ${origin}`, "error");
+			return;
+		}
+
+		fetchBtn.disabled = true;
+		if (statusEl) statusEl.textContent = "Fetching list…";
+		try {
+			const response = await browser.runtime.sendMessage({
+				action: "fetchTrackerList",
+				source,
+				url,
+				defaultStatus: statusSelect.value || undefined,
+			});
+			if (!response?.success) {
+				throw new Error(response?.error || "No response");
+			}
+			if (response.truncated) {
+				showToast(
+					`Only the first ${response.pages} pages were read.`,
+					"info",
+				);
+			}
+			await reviewTrackerImport(response.entries, source, statusEl);
+		} catch (err) {
+			debugError("Tracker list fetch failed:", err);
+			if (statusEl)
+				statusEl.textContent =
+					"Fetch failed: " +
+					err.message +
+					". Save the page from your browser and import the file instead.";
+			showToast("❌ Fetch failed: " + err.message, "error");
+		} finally {
+			fetchBtn.disabled = false;
+		}
+	});
 
-	if (modalEl) modalEl.remove();
+	fileBtn?.addEventListener("click", () => fileInput.click());
+	fileInput.addEventListener("change", async () => {
+		const file = fileInput.files?.[0];
+		fileInput.value = "";
+		if (!file) return;
+		const source = sourceSelect.value;
+		try {
+			const entries = parseTrackerFile(source, await file.text(), {
+				defaultStatus: statusSelect.value || undefined,
+			});
+			await reviewTrackerImport(entries, source, statusEl);
+		} catch (err) {
+			debugError("Tracker file import failed:", err);
+			if (statusEl)
+				statusEl.textContent = "Could not read file: " + err.message;
+			showToast("❌ Could not read file: " + err.message, "error");
+		}
+	});
+}
 
-	if (urlImportStatus) {
-		const parts = [`Added ${results.added}`];
-		if (results.failed) parts.push(`⚠️ ${results.failed} failed`);
-		if (results.skipped) parts.push(`${results.skipped} skipped`);
-		urlImportStatus.textContent = "Done. " + parts.join(" · ") + ".";
+// ── Device Profiles ───────────────────────────────────────────────────────────
+// Restores and sync leave device settings alone; the profile picked here is
+// how a browser takes on another device's theme and reading text.
+async function renderDeviceProfiles() {
+	const select = $("device-profile-select");
+	if (!select) return;
+	const [profiles, activeId] = await Promise.all([
+		getDeviceProfiles(),
+		getActiveDeviceProfileId(),
+	]);
+	select.replaceChildren(new Option("No profile (this browser only)", ""));
+	const sorted = Object.values(profiles).sort((a, b) =>
+		a.name.localeCompare(b.name),
+	);
+	for (const profile of sorted) {
+		select.add(new Option(profile.name, profile.id));
 	}
+	select.value = profiles[activeId] ? activeId : "";
+	const deleteBtn = $("device-profile-delete");
+	if (deleteBtn) deleteBtn.disabled = !select.value;
 
-	const hasIssues =
-		results.failed > 0 ||
-		results.existingItems.length > 0 ||
-		results.duplicateItems.length > 0 ||
-		results.unsupportedItems.length > 0;
+	const status = $("device-profile-status");
+	if (status) {
+		status.textContent = profiles[activeId]
+			? `This browser uses "${profiles[activeId].name}"; changes to its theme, reading text or chunking update that profile.`
+			: "This browser keeps its own device settings.";
+	}
+}
 
-	if (hasIssues) {
-		showImportResultsModal(results, []);
-	} else {
-		showToast(
-			`✅ Import complete. Added ${results.added} novel(s).`,
-			"success",
-		);
+function setupDeviceProfiles() {
+	const select = $("device-profile-select");
+	const nameInput = $("device-profile-name");
+	if (!select || !nameInput) return;
+
+	const suggestions = $("device-profile-suggestions");
+	for (const name of SUGGESTED_PROFILE_NAMES) {
+		suggestions?.append(new Option(name));
 	}
+
+	select.addEventListener("change", async () => {
+		try {
+			const profile = await activateDeviceProfile(select.value || null);
+			await loadLibraryThemeControls();
+			showToast(
+				profile
+					? `Using the "${profile.name}" profile on this browser.`
+					: "This browser no longer uses a device profile.",
+				"success",
+			);
+		} catch (err) {
+			debugError("Failed to switch device profile:", err);
+			showToast(`Could not switch profile: ${err.message}`, "error");
+		}
+		await renderDeviceProfiles();
+	});
+
+	$("device-profile-save")?.addEventListener("click", async () => {
+		try {
+			const profile = await saveDeviceProfile(nameInput.value);
+			nameInput.value = "";
+			showToast(`Saved the "${profile.name}" profile.`, "success");
+		} catch (err) {
+			showToast(err.message, "error");
+		}
+		await renderDeviceProfiles();
+	});
+
+	$("device-profile-delete")?.addEventListener("click", async () => {
+		const option = select.selectedOptions[0];
+		if (!select.value || !confirm(`Delete the "${option.text}" profile?`)) {
+			return;
+		}
+		await deleteDeviceProfile(select.value);
+		showToast(`Deleted the "${option.text}" profile.`, "success");
+		await renderDeviceProfiles();
+	});
+
+	renderDeviceProfiles().catch((err) =>
+		debugError("Failed to load device profiles:", err),
+	);
 }
 
 // ── Import Results Modal ────────────────────────────────────────────────────────
@@ -3306,11 +4712,12 @@ async function initCopyFormatTab() {
 
 	// ── Load real library novels for live preview ──────────────────────────────
 	let previewNovel = PREVIEW_NOVEL; // fallback if library is empty
+	let libraryNovels = [];
 
 	try {
-		const allNovels = await novelLibrary.getNovels();
-		if (allNovels.length > 0) {
-			const sorted = [...allNovels].sort((a, b) => {
+		libraryNovels = await novelLibrary.getRecentNovels();
+		if (libraryNovels.length > 0) {
+			const sorted = [...libraryNovels].sort((a, b) => {
 				const da = a.lastAccessedAt || a.addedAt || 0;
 				const db = b.lastAccessedAt || b.addedAt || 0;
 				return db - da;
@@ -3371,6 +4778,85 @@ async function initCopyFormatTab() {
 		updateExportPreview();
 	}
 
+	// ── Share Library (CSV / OPDS / Calibre) ──────────────────────────────────
+	const csvColumnsInput = $("share-csv-columns");
+	if (csvColumnsInput) {
+		csvColumnsInput.value = fmt.csvColumns || DEFAULT_CSV_COLUMNS_TEXT;
+		const updateCsvPreview = () => {
+			const previewEl = $("share-csv-preview");
+			if (!previewEl) return;
+			const sample = libraryNovels.length
+				? libraryNovels.slice(0, 3)
+				: [PREVIEW_NOVEL];
+			previewEl.textContent = buildLibraryCsv(
+				sample,
+				parseCsvColumns(csvColumnsInput.value),
+			);
+		};
+		csvColumnsInput.addEventListener("input", updateCsvPreview);
+		updateCsvPreview();
+	}
+
+	const shareStatus = $("share-export-status");
+	const shareButtons = [
+		"share-export-csv",
+		"share-export-opds",
+		"share-export-calibre",
+	]
+		.map((id) => $(id))
+		.filter(Boolean);
+	const runShareExport = async (label, run) => {
+		shareButtons.forEach((btn) => (btn.disabled = true));
+		try {
+			const novels = await novelLibrary.getRecentNovels();
+			if (!novels.length) {
+				showToast("Your library is empty.", "error");
+				return;
+			}
+			const onProgress = (done, total) => {
+				if (shareStatus)
+					shareStatus.textContent = `${label}: ${done}/${total} novels…`;
+			};
+			const summary = await run(novels, {
+				includeEpubs: !!$("share-include-epubs")?.checked,
+				onProgress,
+			});
+			if (shareStatus) shareStatus.textContent = summary;
+			showToast(`✅ ${summary}`, "success");
+		} catch (err) {
+			debugError(`${label} failed:`, err);
+			if (shareStatus)
+				shareStatus.textContent = `${label} failed: ${err.message}`;
+			showToast(`❌ ${label} failed: ${err.message}`, "error");
+		} finally {
+			shareButtons.forEach((btn) => (btn.disabled = false));
+		}
+	};
+
+	$("share-export-csv")?.addEventListener("click", () =>
+		runShareExport("CSV export", async (novels) => {
+			const { filename, rows } = await exportLibraryAsCsv(
+				novels,
+				csvColumnsInput?.value,
+			);
+			return `Exported ${rows} novels to ${filename}`;
+		}),
+	);
+	$("share-export-opds")?.addEventListener("click", () =>
+		runShareExport("OPDS export", async (novels, options) => {
+			const { filename, folder, entries, epubs } =
+				await exportLibraryAsOpds(novels, options);
+			return `Exported ${entries} novels (${epubs} EPUBs) to ${filename}. Unzip it and open ${folder}/catalog.xml in your reader app.`;
+		}),
+	);
+	$("share-export-calibre")?.addEventListener("click", () =>
+		runShareExport("Calibre export", async (novels, options) => {
+			const { filename, folder, books, epubs } =
+				await exportLibraryForCalibre(novels, options);
+			return `Exported ${books} books (${epubs} EPUBs) to ${filename}. Unzip it, open ${folder} as a library in Calibre and run Library maintenance → Restore database.`;
+		}),
+	);
+
 	// Save button
 	const saveBtn = $("copy-format-save-btn");
 	if (saveBtn) {
@@ -3396,6 +4882,9 @@ async function initCopyFormatTab() {
 						...(current.novelCopyFormats || {}),
 						exportTemplate: newExportTemplate,
 						exportSiteOverrides: newSiteOverrides,
+						csvColumns:
+							csvColumnsInput?.value?.trim() ||
+							DEFAULT_CSV_COLUMNS_TEXT,
 					},
 				});
 				showToast("✅ Copy format saved!", "success");
@@ -4094,6 +5583,64 @@ function setupEventListeners() {
 		});
 	}
 
+	// Refresh models — Anthropic (both slots)
+	["primary", "fallback"].forEach((slot) => {
+		const refreshBtn = $(`${slot}-anthropic-refresh-models`);
+		if (!refreshBtn) return;
+		refreshBtn.addEventListener("click", async () => {
+			const baseUrl = $(`${slot}-anthropic-base-url`)?.value?.trim();
+			const apiKey = $(`${slot}-anthropic-key`)?.value?.trim();
+			if (!apiKey) {
+				showToast("Add an Anthropic API key first", "error");
+				return;
+			}
+			refreshBtn.disabled = true;
+			refreshBtn.textContent = "↻ Loading…";
+			const models = await fetchAnthropicModels(baseUrl, apiKey);
+			const sel = $(`${slot}-anthropic-model`);
+			const custom = $(`${slot}-anthropic-model-custom`);
+			if (sel) {
+				const saved = custom?.value?.trim() || sel.value;
+				populateModelSelect(sel, models, saved);
+			}
+			refreshBtn.disabled = false;
+			refreshBtn.textContent = "↻ Models";
+			showToast(
+				models.length
+					? `${models.length} models loaded`
+					: "No models found — check URL and key",
+				models.length ? "success" : "error",
+			);
+		});
+	});
+
+	const chainAddBtn = $("fallback-chain-add");
+	if (chainAddBtn) {
+		chainAddBtn.addEventListener("click", async () => {
+			const entry = readFallbackSlot();
+			if (!entry.modelId) {
+				showToast("⚠️ Pick a model first", "error");
+				return;
+			}
+			const duplicate = fallbackChainEntries.some(
+				(e) =>
+					e.provider === entry.provider &&
+					e.modelId === entry.modelId &&
+					(e.baseUrl || "") === (entry.baseUrl || ""),
+			);
+			if (duplicate) {
+				showToast("⚠️ That model is already in the chain", "warning");
+				return;
+			}
+			fallbackChainEntries.push(entry);
+			await browser.storage.local.set({
+				fallbackChain: fallbackChainEntries,
+			});
+			renderFallbackChain();
+			showToast("✅ Added to fallback chain", "success");
+		});
+	}
+
 	// Model select change
 	const modelSel = $("library-model-select");
 	if (modelSel) {
@@ -4217,6 +5764,8 @@ function setupEventListeners() {
 						"http://localhost:11434";
 					primaryConfig.modelId =
 						$("primary-ollama-model")?.value ?? "";
+				} else if (primaryProvider === "anthropic") {
+					readAnthropicSlot("primary", primaryConfig);
 				}
 				updates.primaryModelConfig = primaryConfig;
 
@@ -4225,30 +5774,10 @@ function setupEventListeners() {
 					$("fallback-model-enabled")?.checked ?? false;
 				updates.fallbackModelEnabled = fallbackEnabled;
 				if (fallbackEnabled) {
-					const fallbackProvider =
-						$("fallback-provider-select")?.value ?? "gemini";
-					let fallbackConfig = { provider: fallbackProvider };
-					if (fallbackProvider === "gemini") {
-						fallbackConfig.modelId =
-							$("fallback-gemini-model")?.value ??
-							DEFAULT_BACKUP_MODEL_ID;
+					const fallbackConfig = readFallbackSlot();
+					if (fallbackConfig.provider === "gemini") {
 						// Keep legacy backupModelId in sync
 						updates.backupModelId = fallbackConfig.modelId;
-					} else if (fallbackProvider === "openai") {
-						fallbackConfig.baseUrl =
-							$("fallback-openai-base-url")?.value ?? "";
-						fallbackConfig.modelId =
-							$("fallback-openai-model")?.value ||
-							$("fallback-openai-model-custom")?.value ||
-							"";
-						fallbackConfig.apiKey =
-							$("fallback-openai-key")?.value ?? "";
-					} else if (fallbackProvider === "ollama") {
-						fallbackConfig.baseUrl =
-							$("fallback-ollama-url")?.value ??
-							"http://localhost:11434";
-						fallbackConfig.modelId =
-							$("fallback-ollama-model")?.value ?? "";
 					}
 
 					// Validate: fallback model must differ from primary model
@@ -4272,6 +5801,15 @@ function setupEventListeners() {
 					updates.fallbackModelConfig = null;
 				}
 
+				updates.fallbackRules = {};
+				for (const failureClass of Object.keys(
+					DEFAULT_FALLBACK_RULES,
+				)) {
+					updates.fallbackRules[failureClass] =
+						$(`fallback-rule-${failureClass}`)?.value ||
+						DEFAULT_FALLBACK_RULES[failureClass];
+				}
+
 				await browser.storage.local.set(updates);
 				showToast("✅ AI settings saved!", "success");
 			} catch (err) {
@@ -4381,6 +5919,9 @@ function setupEventListeners() {
 		});
 	}
 
+	setupTrackerImport();
+	setupDeviceProfiles();
+
 	// ── Legacy Data Management ─────────────────────────────────────────────────
 
 	const exportBtn = $("export-btn");
@@ -4453,6 +5994,8 @@ function setupEventListeners() {
 				confirmMsg += `📚 ${novelCount} novels\n`;
 				confirmMsg += `🔑 API Key: ${hasApiKey ? "Yes" : "No"}\n`;
 				confirmMsg += `🔐 OAuth Credentials: ${hasCredentials ? "Yes" : "No"}\n\n`;
+				confirmMsg +=
+					"🎨 Theme, reading text and chunking stay as they are here.\n\n";
 				confirmMsg += "Mode: MERGE (preserves existing data)";
 
 				if (!confirm(confirmMsg)) {
@@ -4463,8 +6006,9 @@ function setupEventListeners() {
 				const mode =
 					document.querySelector('input[name="mergeMode"]:checked')
 						?.value || "merge";
-				await restoreComprehensiveBackup(backup, { mode });
-				showToast(`✅ Backup restored (${mode} mode)!`, "success");
+				if (await restoreBackupWithReview(backup, mode)) {
+					showToast(`✅ Backup restored (${mode} mode)!`, "success");
+				}
 			} catch (err) {
 				debugError("Restore failed:", err);
 				showToast(`❌ Restore failed: ${err.message}`, "error");
@@ -4618,6 +6162,387 @@ function setupEventListeners() {
 
 	// ── Google Drive ───────────────────────────────────────────────────────────
 
+	// ── Merge Sync ─────────────────────────────────────────────────────────────
+
+	function renderMergeSyncState(state) {
+		const el = $("library-merge-sync-status");
+		if (!el) return;
+		if (!state?.syncedAt) {
+			el.textContent = "Not synced yet.";
+			return;
+		}
+		const { added, updated, removed, conflicts } = state.stats || {};
+		el.textContent =
+			`Last sync ${new Date(state.syncedAt).toLocaleString()} via ${state.providerId}: ` +
+			`${added || 0} added, ${updated || 0} updated, ${removed || 0} removed` +
+			(conflicts ? `, ${conflicts} conflicts resolved (newer kept)` : "");
+	}
+
+	browser.runtime
+		.sendMessage({ action: "getLibrarySyncState" })
+		.then((resp) => renderMergeSyncState(resp?.state))
+		.catch(() => {});
+
+	const mergeSyncBtn = $("library-merge-sync-btn");
+	if (mergeSyncBtn) {
+		mergeSyncBtn.addEventListener("click", async () => {
+			mergeSyncBtn.disabled = true;
+			mergeSyncBtn.textContent = "🔀 Syncing…";
+			try {
+				const preview = await browser.runtime.sendMessage({
+					action: "previewLibrarySync",
+				});
+				if (!preview?.success)
+					throw new Error(preview?.error || "Sync failed");
+				let choices = null;
+				if (preview.review?.length) {
+					choices = await showConflictReviewModal({
+						title: "Review Changes Before Syncing",
+						remoteLabel: "Synced",
+						review: preview.review,
+						confirmLabel: "Sync →",
+					});
+					if (!choices) return;
+				}
+				const resp = await browser.runtime.sendMessage({
+					action: "syncLibraryNow",
+					reason: "manual",
+					choices,
+				});
+				if (!resp?.success)
+					throw new Error(resp?.error || "Sync failed");
+				renderMergeSyncState(resp);
+				showToast("✅ Library synced", "success");
+			} catch (err) {
+				showToast(`❌ Sync failed: ${err.message}`, "error");
+			} finally {
+				mergeSyncBtn.disabled = false;
+				mergeSyncBtn.textContent = "🔀 Sync Library Now";
+			}
+		});
+	}
+
+	// ── Sync destinations ──────────────────────────────────────────────────────
+
+	// The first destination is where restores and syncs read from; the rest
+	// only receive uploads. Installs that never saved a list still run on the
+	// single legacy `activeSync`.
+	async function readSyncDestinations() {
+		const prefs = await browser.storage.local.get([
+			"syncDestinations",
+			"activeSync",
+		]);
+		return Array.isArray(prefs.syncDestinations) &&
+			prefs.syncDestinations.length
+			? prefs.syncDestinations
+			: [{ providerId: prefs.activeSync || "native-sync" }];
+	}
+
+	async function isSyncProvider(providerId) {
+		return (await readSyncDestinations())[0]?.providerId === providerId;
+	}
+
+	async function setSyncDestination(
+		providerId,
+		{ enabled = true, primary = false } = {},
+	) {
+		const others = (await readSyncDestinations()).filter(
+			(dest) => dest?.providerId !== providerId,
+		);
+		const destinations = !enabled
+			? others
+			: primary
+				? [{ providerId }, ...others]
+				: [...others, { providerId }];
+		if (!destinations.length)
+			destinations.push({ providerId: "native-sync" });
+		await browser.storage.local.set({
+			activeSync: destinations[0].providerId,
+			syncDestinations: destinations,
+		});
+	}
+
+	// ── S3-Compatible Storage ──────────────────────────────────────────────────
+
+	const S3_PROVIDER_ID = "s3";
+	const s3Fields = {
+		endpoint: "s3-endpoint",
+		bucket: "s3-bucket",
+		region: "s3-region",
+		prefix: "s3-prefix",
+		accessKeyId: "s3-access-key",
+		secretAccessKey: "s3-secret-key",
+	};
+
+	function setS3Status(text) {
+		const el = $("s3-status");
+		if (el) el.textContent = text;
+	}
+
+	async function loadS3Settings() {
+		const creds = await getS3Credentials();
+		for (const [key, id] of Object.entries(s3Fields)) {
+			const input = $(id);
+			if (input) input.value = creds?.[key] || "";
+		}
+		const pathStyle = $("s3-path-style");
+		if (pathStyle) pathStyle.checked = creds?.forcePathStyle !== false;
+		const useForSync = $("s3-use-for-sync");
+		if (useForSync)
+			useForSync.checked = await isSyncProvider(S3_PROVIDER_ID);
+		setS3Status(
+			creds?.bucket
+				? `Configured: ${creds.bucket} at ${creds.endpoint}`
+				: "Not configured.",
+		);
+	}
+
+	loadS3Settings().catch(() => {});
+
+	const s3SaveBtn = $("s3-save-btn");
+	if (s3SaveBtn) {
+		s3SaveBtn.addEventListener("click", async () => {
+			const creds = Object.fromEntries(
+				Object.entries(s3Fields).map(([key, id]) => [
+					key,
+					$(id)?.value || "",
+				]),
+			);
+			creds.forcePathStyle = $("s3-path-style")?.checked !== false;
+			if (
+				!creds.endpoint ||
+				!creds.bucket ||
+				!creds.accessKeyId ||
+				!creds.secretAccessKey
+			) {
+				showToast(
+					"Endpoint, bucket and both keys are required",
+					"error",
+				);
+				return;
+			}
+			s3SaveBtn.disabled = true;
+			try {
+				await saveS3Credentials(creds);
+				setS3Status("Saved. Testing connection…");
+				const resp = await browser.runtime.sendMessage({
+					action: "testS3Connection",
+				});
+				if (!resp?.success)
+					throw new Error(resp?.error || "Connection failed");
+				setS3Status(`Connected to ${creds.bucket}.`);
+				showToast("✅ S3 storage connected", "success");
+			} catch (err) {
+				setS3Status(`Saved, but the test failed: ${err.message}`);
+				showToast(`❌ S3 test failed: ${err.message}`, "error");
+			} finally {
+				s3SaveBtn.disabled = false;
+			}
+		});
+	}
+
+	const s3ClearBtn = $("s3-clear-btn");
+	if (s3ClearBtn) {
+		s3ClearBtn.addEventListener("click", async () => {
+			if (!confirm("Remove the saved S3 endpoint and keys?")) return;
+			await clearS3Credentials();
+			await setSyncDestination(S3_PROVIDER_ID, { enabled: false });
+			await loadS3Settings();
+			showToast("S3 storage settings cleared", "success");
+		});
+	}
+
+	const s3UseForSync = $("s3-use-for-sync");
+	if (s3UseForSync) {
+		s3UseForSync.addEventListener("change", async (e) => {
+			if (e.target.checked && !(await getS3Credentials())?.bucket) {
+				e.target.checked = false;
+				showToast("Save the S3 settings first", "error");
+				return;
+			}
+			await setSyncDestination(S3_PROVIDER_ID, {
+				enabled: e.target.checked,
+				primary: true,
+			});
+			showToast(
+				e.target.checked
+					? "Backups now sync to S3"
+					: "S3 is no longer the sync provider",
+				"success",
+			);
+		});
+	}
+
+	// ── Local Folder ───────────────────────────────────────────────────────────
+
+	const canPickFolder = supportsDirectoryPicker(window);
+	let backupFolderHandle = null;
+
+	function setLocalFolderStatus(text) {
+		const el = $("local-folder-status");
+		if (el) el.textContent = text;
+	}
+
+	async function loadLocalFolderSettings() {
+		$("local-folder-picker-row")?.classList.toggle(
+			"ls-hidden",
+			!canPickFolder,
+		);
+		$("local-folder-downloads-row")?.classList.toggle(
+			"ls-hidden",
+			canPickFolder,
+		);
+		const settings = await getLocalFolderSettings();
+		const enabledEl = $("local-folder-enabled");
+		if (enabledEl) enabledEl.checked = settings.enabled;
+		const useForSync = $("local-folder-use-for-sync");
+		if (useForSync)
+			useForSync.checked = await isSyncProvider(LOCAL_FOLDER_PROVIDER_ID);
+		const subfolderEl = $("local-folder-subfolder");
+		if (subfolderEl) subfolderEl.value = settings.subfolder;
+
+		const chooseBtn = $("local-folder-choose-btn");
+		if (!canPickFolder) {
+			setLocalFolderStatus(
+				`Backups are saved to Downloads/${settings.subfolder}.`,
+			);
+			return;
+		}
+		backupFolderHandle = await getBackupFolderHandle().catch(() => null);
+		if (!backupFolderHandle) {
+			if (chooseBtn) chooseBtn.textContent = "📂 Choose Folder…";
+			setLocalFolderStatus("No folder chosen.");
+			return;
+		}
+		const permission = await getFolderPermission(backupFolderHandle);
+		if (chooseBtn)
+			chooseBtn.textContent =
+				permission === "granted"
+					? "📂 Change Folder…"
+					: "🔓 Grant Access Again";
+		setLocalFolderStatus(
+			permission === "granted"
+				? `Folder: ${backupFolderHandle.name}`
+				: `Folder: ${backupFolderHandle.name}. Access lapsed when the browser restarted; grant it again to keep backing up.`,
+		);
+	}
+
+	loadLocalFolderSettings().catch(() => {});
+
+	const localFolderChooseBtn = $("local-folder-choose-btn");
+	if (localFolderChooseBtn) {
+		localFolderChooseBtn.addEventListener("click", async () => {
+			try {
+				if (
+					backupFolderHandle &&
+					(await getFolderPermission(backupFolderHandle)) !==
+						"granted"
+				) {
+					const state = await getFolderPermission(
+						backupFolderHandle,
+						{ request: true },
+					);
+					if (state !== "granted")
+						throw new Error("Folder access was not granted");
+				} else {
+					const handle = await window.showDirectoryPicker({
+						id: "ranobe-gemini-backups",
+						mode: "readwrite",
+					});
+					await saveBackupFolderHandle(handle);
+					await saveLocalFolderSettings({
+						mode: LOCAL_FOLDER_MODES.DIRECTORY,
+						folderName: handle.name,
+					});
+				}
+				await loadLocalFolderSettings();
+				showToast("✅ Backup folder ready", "success");
+			} catch (err) {
+				// Closing the picker is not an error worth a toast.
+				if (err?.name === "AbortError") return;
+				showToast(`❌ ${err.message}`, "error");
+			}
+		});
+	}
+
+	const localFolderClearBtn = $("local-folder-clear-btn");
+	if (localFolderClearBtn) {
+		localFolderClearBtn.addEventListener("click", async () => {
+			if (!confirm("Stop writing backups to this folder?")) return;
+			await clearBackupFolderHandle();
+			await saveLocalFolderSettings({ enabled: false, folderName: "" });
+			await setSyncDestination(LOCAL_FOLDER_PROVIDER_ID, {
+				enabled: false,
+			});
+			await loadLocalFolderSettings();
+			showToast("Backup folder forgotten", "success");
+		});
+	}
+
+	async function setLocalFolderEnabled(enabled, { primary = false } = {}) {
+		if (enabled && canPickFolder && !backupFolderHandle) {
+			showToast("Choose a folder first", "error");
+			return false;
+		}
+		await saveLocalFolderSettings({
+			enabled,
+			mode: canPickFolder
+				? LOCAL_FOLDER_MODES.DIRECTORY
+				: LOCAL_FOLDER_MODES.DOWNLOADS,
+		});
+		await setSyncDestination(LOCAL_FOLDER_PROVIDER_ID, {
+			enabled,
+			primary,
+		});
+		return true;
+	}
+
+	const localFolderEnabled = $("local-folder-enabled");
+	if (localFolderEnabled) {
+		localFolderEnabled.addEventListener("change", async (e) => {
+			const primary = await isSyncProvider(LOCAL_FOLDER_PROVIDER_ID);
+			if (!(await setLocalFolderEnabled(e.target.checked, { primary }))) {
+				e.target.checked = false;
+				return;
+			}
+			await loadLocalFolderSettings();
+		});
+	}
+
+	const localFolderUseForSync = $("local-folder-use-for-sync");
+	if (localFolderUseForSync) {
+		localFolderUseForSync.addEventListener("change", async (e) => {
+			const settings = await getLocalFolderSettings();
+			const enabled = e.target.checked || settings.enabled;
+			if (
+				!(await setLocalFolderEnabled(enabled, {
+					primary: e.target.checked,
+				}))
+			) {
+				e.target.checked = false;
+				return;
+			}
+			await loadLocalFolderSettings();
+			showToast(
+				e.target.checked
+					? "Backups now sync to the local folder"
+					: "The local folder is no longer the sync provider",
+				"success",
+			);
+		});
+	}
+
+	const localFolderSubfolder = $("local-folder-subfolder");
+	if (localFolderSubfolder) {
+		localFolderSubfolder.addEventListener("change", async (e) => {
+			const saved = await saveLocalFolderSettings({
+				subfolder: e.target.value,
+			});
+			e.target.value = saved.subfolder;
+			await loadLocalFolderSettings();
+		});
+	}
+
 	// ── Native Browser Sync ────────────────────────────────────────────────────
 
 	function showNativeSyncMsg(text, type) {
@@ -5164,6 +7089,26 @@ function setupEventListeners() {
 		});
 	}
 
+	const chunkSizingModeEl = $("library-chunk-sizing-mode");
+	if (chunkSizingModeEl) {
+		chunkSizingModeEl.addEventListener("change", async () => {
+			await browser.storage.local.set({
+				chunkSizingMode: chunkSizingModeEl.value,
+			});
+		});
+	}
+
+	const ollamaContextEl = $("library-ollama-context-tokens");
+	if (ollamaContextEl) {
+		ollamaContextEl.addEventListener("change", async () => {
+			await browser.storage.local.set({
+				ollamaContextTokens:
+					parseInt(ollamaContextEl.value, 10) ||
+					DEFAULT_OLLAMA_CONTEXT_TOKENS,
+			});
+		});
+	}
+
 	const wordCountThresholdInput =
 		document.getElementById("wordCountThreshold");
 	if (wordCountThresholdInput) {
@@ -5235,6 +7180,15 @@ function setupEventListeners() {
 		});
 	}
 
+	const guardToggle = $("library-enhancement-guard");
+	if (guardToggle) {
+		guardToggle.addEventListener("change", async (e) => {
+			await browser.storage.local.set({
+				enhancementGuardEnabled: e.target.checked,
+			});
+		});
+	}
+
 	// Copy advanced endpoint
 	const copyAdvEpBtn = $("library-advanced-copy-endpoint");
 	if (copyAdvEpBtn) {
@@ -5969,6 +7923,7 @@ async function initQueuePanel() {
 			const done = (prog.processedChapters || []).length;
 			const skipped = (prog.skippedChapters || []).length;
 			const failed = (prog.failedChapters || []).length;
+			const archived = (prog.archivedChapters || []).length;
 			const pct = Math.round((done / total) * 100);
 			const color = STATUS_COLOR[job.status] || "#6b7280";
 			const icon = STATUS_ICON[job.status] || "⏳";
@@ -6034,6 +7989,7 @@ async function initQueuePanel() {
 				addStat("done", done, "#22c55e");
 				if (skipped) addStat("skipped", skipped, "#f59e0b");
 				if (failed) addStat("failed", failed, "#ef4444");
+				if (archived) addStat("saved offline", archived, "#8b5cf6");
 				addStat(`/ ${total} total`, "", "var(--text-secondary)");
 				if (job.status === "running")
 					addStat(`(${pct}%)`, "", "#3b82f6");
@@ -6096,7 +8052,19 @@ async function initQueuePanel() {
 				);
 			}
 
-			if (job.status === "done") {
+			if (archived) {
+				actRow.appendChild(
+					makeBtn("📴 Read Offline", false, async () => {
+						await browser.tabs.create({
+							url: browser.runtime.getURL(
+								`library/archive.html?novel=${encodeURIComponent(job.novelId)}`,
+							),
+						});
+					}),
+				);
+			}
+
+			if (job.status === "done" && job.options?.summarize !== false) {
 				actRow.appendChild(
 					makeBtn("View Summary", false, async () => {
 						if (resultView) resultView.style.display = "";
@@ -6135,6 +8103,12 @@ async function initQueuePanel() {
 		const sendToLW =
 			loreWeaveTabVisible &&
 			(document.getElementById("ls-qSendToLW")?.checked ?? true);
+		const archive = Boolean(
+			document.getElementById("ls-qArchive")?.checked,
+		);
+		const archiveEnhanced =
+			archive &&
+			Boolean(document.getElementById("ls-qArchiveEnhanced")?.checked);
 		if (!firstUrl) {
 			showToast("Enter the first chapter URL", "warning");
 			return;
@@ -6157,6 +8131,10 @@ async function initQueuePanel() {
 					startChapter: start,
 					endChapter: end,
 					sendToLoreWeave: sendToLW,
+					// A download-only job has nothing to summarise for.
+					summarize: sendToLW || !archive,
+					archive,
+					archiveEnhanced,
 					writingStyle: config.loreWeaveWritingStyle || "other",
 					loreWeaveUrl: config.loreWeaveUrl || "",
 					domainId: "",
@@ -6400,6 +8378,7 @@ async function init() {
 	// Load and render Site Settings
 	await loadSiteSettings_();
 	renderSiteSettingsCards();
+	await initCustomSitesSection();
 
 	// Telemetry
 	await loadTelemetrySettings();
@@ -6408,6 +8387,7 @@ async function init() {
 	await loadBackupCheckboxSettings();
 	await loadRollingBackups();
 	await initializeRollingBackupStatus();
+	initBackupHistory();
 
 	// Theme, model, advanced
 	await loadLibraryThemeControls();
@@ -67,6 +67,11 @@ import { FanfictionHandler } from "../utils/website-handlers/fanfiction-handler.
 import { RanobesHandler } from "../utils/website-handlers/ranobes-handler.js";
 import { ScribbleHubHandler } from "../utils/website-handlers/scribblehub-handler.js";
 import { NovelbinHandler } from "../utils/website-handlers/novelbin-handler.js";
+import { RoyalRoadHandler } from "../utils/website-handlers/royalroad-handler.js";
+import { XenForoHandler } from "../utils/website-handlers/xenforo-handler.js";
+import { WattpadHandler } from "../utils/website-handlers/wattpad-handler.js";
+import { CustomSiteHandler } from "../utils/website-handlers/custom-site.js";
+import { ReaderModeHandler } from "../utils/website-handlers/reader-mode.js";
 
 /** Map shelfId → handler class for inline edit modal. */
 const SHELF_HANDLER_MAP = {
@@ -75,6 +80,11 @@ const SHELF_HANDLER_MAP = {
 	ranobes: RanobesHandler,
 	scribblehub: ScribbleHubHandler,
 	novelbin: NovelbinHandler,
+	royalroad: RoyalRoadHandler,
+	xenforo: XenForoHandler,
+	wattpad: WattpadHandler,
+	custom: CustomSiteHandler,
+	reader: ReaderModeHandler,
 };
 import {
 	createComprehensiveBackup,
@@ -104,6 +114,8 @@ import {
 	resolveExportTemplate,
 	formatExportFilename,
 } from "../utils/novel-copy-format.js";
+import { exportNovelAsEpub } from "../utils/novel-epub-export.js";
+import { listArchivedChapters } from "../utils/chapter-archive.js";
 import {
 	bindTelemetryConsentHandlers,
 	checkFirstRunConsentRuntime,
@@ -260,6 +272,9 @@ const elements = {
 	modalContinueBtn: document.getElementById("modal-continue-btn"),
 	modalSourceBtn: document.getElementById("modal-source-btn"),
 	modalCopyInfoBtn: document.getElementById("modal-copy-info-btn"),
+	modalEpubBtn: document.getElementById("modal-epub-btn"),
+	modalOfflineBtn: document.getElementById("modal-offline-btn"),
+	modalReaderBtn: document.getElementById("modal-reader-btn"),
 	modalProgressFill: document.getElementById("modal-progress-fill"),
 	modalProgressText: document.getElementById("modal-progress-text"),
 	modalRefreshBtn: document.getElementById("modal-refresh-btn"),
@@ -4668,12 +4683,18 @@ function renderShelvesView(novels) {
 		const grid = shelfSection.querySelector(".novel-grid");
 
 		if (shelfNovels.length === 0) {
+			// Shelves without a domain of their own are filled another way.
+			const emptyHint = shelfDefinition.primaryDomain
+				? `Visit a chapter on <a href="https://${shelfDefinition.primaryDomain}" class="shelf-domain-link" target="_blank">${shelfDefinition.primaryDomain}</a> to add novels`
+				: shelfDefinition.id === "reader"
+					? "Choose “Read this page with Ranobe Gemini” on any article to add it"
+					: "Define a site under Settings → Sites to add novels";
 			// Show empty shelf message
 			grid.innerHTML = `
 				<div class="empty-shelf-message">
 					<span class="empty-icon">📚</span>
 					<p>No novels from ${shelfDefinition.name} yet!</p>
-					<small>Visit a chapter on <a href="https://${shelfDefinition.primaryDomain}" class="shelf-domain-link" target="_blank">${shelfDefinition.primaryDomain}</a> to add novels</small>
+					<small>${emptyHint}</small>
 				</div>
 			`;
 		} else {
@@ -5466,9 +5487,63 @@ async function openDefaultNovelDetail(novel) {
 		};
 	}
 
-	// epub copy button is deprecated — hide it
-	if (elements.modalEpubCopyBtn) {
-		elements.modalEpubCopyBtn.classList.add("hidden");
+	// Wire EPUB download — packages whatever chapters are cached locally
+	if (elements.modalEpubBtn) {
+		elements.modalEpubBtn.onclick = async () => {
+			const btn = elements.modalEpubBtn;
+			btn.disabled = true;
+			try {
+				const { chapterCount, enhancedCount } =
+					await exportNovelAsEpub(novel);
+				showNotification(
+					`📕 EPUB ready: ${chapterCount} chapter(s), ${enhancedCount} enhanced`,
+				);
+			} catch (err) {
+				debugError("EPUB export failed:", err);
+				showNotification("EPUB export failed: " + err.message, "error");
+			} finally {
+				btn.disabled = false;
+			}
+		};
+	}
+
+	// Wire built-in reader — opens where the reader left off on the site
+	if (elements.modalReaderBtn) {
+		const readerBtn = elements.modalReaderBtn;
+		readerBtn.style.display = novel.lastReadUrl ? "inline-flex" : "none";
+		readerBtn.onclick = () => {
+			const params = new URLSearchParams({
+				url: novel.lastReadUrl,
+				novel: novel.id,
+			});
+			window.open(
+				browser.runtime.getURL(`library/reader.html?${params}`),
+				"_blank",
+			);
+		};
+	}
+
+	// Wire offline reader — shown once an archive job has saved chapters
+	if (elements.modalOfflineBtn) {
+		const offlineBtn = elements.modalOfflineBtn;
+		offlineBtn.style.display = "none";
+		offlineBtn.dataset.novelId = novel.id;
+		offlineBtn.onclick = () => {
+			window.open(
+				browser.runtime.getURL(
+					`library/archive.html?novel=${encodeURIComponent(novel.id)}`,
+				),
+				"_blank",
+			);
+		};
+		listArchivedChapters(novel.id).then((chapters) => {
+			// The modal may already show another novel by now.
+			if (offlineBtn.dataset.novelId !== novel.id) return;
+			if (chapters.length > 0) {
+				offlineBtn.style.display = "inline-flex";
+				offlineBtn.title = `Read ${chapters.length} saved chapter(s) without a connection`;
+			}
+		});
 	}
 
 	// Wire Site Shelf button — show only if this site has a shelf page
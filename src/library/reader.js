@@ -0,0 +1,341 @@
+/**
+ * Library Reader Page
+ * One reading view for every supported site: the chapter is extracted by the
+ * site handler in the background (`fetchChapterPage` DOM job) and rendered here
+ * with the reader's own typeface, size and theme, with no site chrome or ads.
+ * With no network the chunk cache and the offline archive stand in.
+ *
+ * URL: reader.html?url=<chapterUrl>[&novel=<novelId>][&chapter=<n>]
+ */
+
+import { getAllChunksFromCache } from "../utils/chunking/chunk-cache.js";
+import {
+	getArchivedChapter,
+	listArchivedChapters,
+	saveArchivedChapter,
+	sanitizeChapterMarkup,
+} from "../utils/chapter-archive.js";
+import { novelLibrary } from "../utils/novel-library.js";
+import {
+	archiveNeighbours,
+	composeReaderChapter,
+} from "../utils/reader-chapter.js";
+import {
+	applyThemeFromStorage,
+	setupThemeListener,
+} from "../utils/theme-config.js";
+import { debugError } from "../utils/logger.js";
+import { createReadingTypography } from "./reading-typography.js";
+
+const $ = (id) => document.getElementById(id);
+
+const SOURCE_LABELS = {
+	site: "",
+	cache: "From cache (site unreachable)",
+	archive: "Saved offline (site unreachable)",
+};
+
+const state = {
+	novel: null,
+	/** @type {import("../utils/reader-chapter.js").ReaderChapter|null} */
+	chapter: null,
+	// Enhanced when the chapter has it; the toggle flips to the raw text.
+	version: "enhanced",
+	// Bumped per navigation so a slow load cannot overwrite a newer one.
+	loadToken: 0,
+};
+
+function setStatus(message) {
+	$("reader-status").textContent = message;
+	$("reader-status").hidden = !message;
+}
+
+// ─── Loading ─────────────────────────────────────────────────────────────────
+
+async function fetchPage(url) {
+	if (navigator.onLine === false) return { error: "You are offline" };
+	try {
+		const response = await browser.runtime.sendMessage({
+			action: "fetchChapterPage",
+			url,
+		});
+		return response?.success
+			? { page: response.page }
+			: { error: response?.error || "No response from background" };
+	} catch (error) {
+		return { error: error.message };
+	}
+}
+
+async function loadCachedChunks(...urls) {
+	for (const url of new Set(urls.filter(Boolean))) {
+		const chunks = await getAllChunksFromCache(url);
+		if (chunks.length) return chunks;
+	}
+	return [];
+}
+
+async function loadChapter(url, chapterNumber = null) {
+	const token = ++state.loadToken;
+	setStatus("Loading…");
+	$("reader-summary").hidden = true;
+
+	const { page, error } = await fetchPage(url);
+	const number = page?.chapterNumber || chapterNumber;
+	const [cachedChunks, archived] = await Promise.all([
+		loadCachedChunks(page?.cacheUrl, url),
+		state.novel && number
+			? getArchivedChapter(state.novel.id, number)
+			: null,
+	]);
+	if (token !== state.loadToken) return;
+
+	const chapter = composeReaderChapter({
+		url,
+		page,
+		cachedChunks,
+		archived,
+		chapterNumber: number,
+	});
+	if (!chapter) {
+		$("reader-article").hidden = true;
+		setStatus(
+			`Could not load this chapter${error ? ` (${error})` : ""}, and it is not cached or saved for offline reading.`,
+		);
+		return;
+	}
+
+	// Offline, the stored neighbours are the only way forward or back.
+	if (chapter.source !== "site" && state.novel && chapter.chapterNumber) {
+		const stored = await listArchivedChapters(state.novel.id);
+		const { previous, next } = archiveNeighbours(
+			stored,
+			chapter.chapterNumber,
+		);
+		chapter.previous = previous;
+		chapter.next = next;
+	}
+
+	state.chapter = chapter;
+	render();
+	await trackProgress();
+}
+
+async function trackProgress() {
+	const { chapter, novel } = state;
+	if (!novel || !chapter.chapterNumber) return;
+	try {
+		await novelLibrary.updateReadingProgress(
+			novel.id,
+			chapter.chapterNumber,
+			chapter.url,
+		);
+	} catch (error) {
+		debugError("[Reader] Could not update reading progress:", error);
+	}
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+function render() {
+	const { chapter } = state;
+	const hasEnhanced = Boolean(chapter.enhancedHtml);
+	const version = hasEnhanced ? state.version : "original";
+
+	document.title = `${chapter.title || "Chapter"} - Ranobe Gemini`;
+	$("reader-chapter-title").textContent =
+		chapter.title ||
+		(chapter.chapterNumber ? `Chapter ${chapter.chapterNumber}` : "");
+	$("reader-source").textContent = SOURCE_LABELS[chapter.source] || "";
+	$("reader-open-site").href = chapter.url;
+	$("reader-body").innerHTML =
+		version === "enhanced" ? chapter.enhancedHtml : chapter.originalHtml;
+
+	for (const button of $("reader-version").querySelectorAll("button")) {
+		button.classList.toggle("active", button.dataset.version === version);
+		button.disabled = !hasEnhanced;
+	}
+	$("reader-enhance").textContent = hasEnhanced
+		? "✨ Re-enhance"
+		: "✨ Enhance";
+	$("reader-prev").disabled = !previousTarget();
+	$("reader-next").disabled = !nextTarget();
+
+	$("reader-article").hidden = false;
+	setStatus("");
+	window.scrollTo({ top: 0 });
+}
+
+function previousTarget() {
+	const { chapter } = state;
+	if (chapter?.previousUrl) return { url: chapter.previousUrl };
+	if (chapter?.previous) {
+		return {
+			url: chapter.previous.url,
+			chapterNumber: chapter.previous.chapterNumber,
+		};
+	}
+	return null;
+}
+
+function nextTarget() {
+	const { chapter } = state;
+	if (chapter?.nextUrl) return { url: chapter.nextUrl };
+	if (chapter?.next) {
+		return {
+			url: chapter.next.url,
+			chapterNumber: chapter.next.chapterNumber,
+		};
+	}
+	return null;
+}
+
+function navigate(target) {
+	if (!target?.url) return;
+	const params = new URLSearchParams({ url: target.url });
+	if (state.novel) params.set("novel", state.novel.id);
+	if (target.chapterNumber) {
+		params.set("chapter", String(target.chapterNumber));
+	}
+	history.pushState(null, "", `?${params}`);
+	loadChapter(target.url, target.chapterNumber || null);
+}
+
+// ─── Enhance / summarize ─────────────────────────────────────────────────────
+
+async function enhanceChapter() {
+	const { chapter, novel } = state;
+	const button = $("reader-enhance");
+	let failure = "";
+	button.disabled = true;
+	button.textContent = "✨ Enhancing…";
+	try {
+		const response = await browser.runtime.sendMessage({
+			action: "enhanceWholeChapter",
+			title: chapter.title,
+			content: chapter.originalHtml,
+			// For the site prompt, the novel's own prompt and its glossary.
+			url: chapter.url,
+			novelId: novel?.id || null,
+		});
+		if (!response?.success) {
+			throw new Error(response?.error || "No response from background");
+		}
+		chapter.enhancedHtml = sanitizeChapterMarkup(response.enhancedContent);
+		state.version = "enhanced";
+		// Keep the result: it is then readable offline from the archive.
+		if (novel && chapter.chapterNumber && chapter === state.chapter) {
+			await saveArchivedChapter({
+				novelId: novel.id,
+				novelTitle: novel.title,
+				chapterNumber: chapter.chapterNumber,
+				title: chapter.title,
+				url: chapter.url,
+				html: chapter.originalHtml,
+				enhancedHtml: chapter.enhancedHtml,
+				words: chapter.words,
+			}).catch((error) =>
+				debugError("[Reader] Could not archive enhancement:", error),
+			);
+		}
+	} catch (error) {
+		failure = `Enhancement failed: ${error.message}`;
+	} finally {
+		button.disabled = false;
+		if (chapter === state.chapter) {
+			render();
+			setStatus(failure);
+		}
+	}
+}
+
+async function summarizeChapter() {
+	const { chapter } = state;
+	const button = $("reader-summarize");
+	const box = $("reader-summary");
+	const text = $("reader-summary-text");
+	button.disabled = true;
+	box.hidden = false;
+	text.textContent = "Summarizing…";
+	try {
+		const response = await browser.runtime.sendMessage({
+			action: "summarizeWithGemini",
+			title: chapter.title,
+			content: chapter.text,
+		});
+		if (!response?.success) {
+			throw new Error(response?.error || "No response from background");
+		}
+		if (chapter === state.chapter) text.textContent = response.summary;
+	} catch (error) {
+		text.textContent = `Summary failed: ${error.message}`;
+	} finally {
+		button.disabled = false;
+	}
+}
+
+// ─── Init ────────────────────────────────────────────────────────────────────
+
+function bindEvents() {
+	$("reader-prev").addEventListener("click", () =>
+		navigate(previousTarget()),
+	);
+	$("reader-next").addEventListener("click", () => navigate(nextTarget()));
+	$("reader-enhance").addEventListener("click", enhanceChapter);
+	$("reader-summarize").addEventListener("click", summarizeChapter);
+	$("reader-version").addEventListener("click", (event) => {
+		const version = event.target.closest("button")?.dataset.version;
+		if (!version || version === state.version || !state.chapter) return;
+		state.version = version;
+		render();
+	});
+	document.addEventListener("keydown", (event) => {
+		if (!state.chapter || event.target.closest("input, select")) return;
+		if (event.key === "ArrowLeft") navigate(previousTarget());
+		if (event.key === "ArrowRight") navigate(nextTarget());
+	});
+	window.addEventListener("popstate", () => loadFromLocation());
+}
+
+function loadFromLocation() {
+	const params = new URLSearchParams(location.search);
+	const url = params.get("url");
+	if (!url) {
+		setStatus(
+			"No chapter to open. Use “Reader” on a novel in the library.",
+		);
+		return;
+	}
+	loadChapter(url, Number(params.get("chapter")) || null);
+}
+
+async function init() {
+	await applyThemeFromStorage();
+	setupThemeListener();
+	await createReadingTypography({
+		target: $("reader-body"),
+		select: $("reader-font"),
+		sizeLabel: $("reader-font-size"),
+		smaller: $("reader-font-down"),
+		larger: $("reader-font-up"),
+	}).init();
+	bindEvents();
+
+	const params = new URLSearchParams(location.search);
+	const novelId = params.get("novel");
+	const url = params.get("url");
+	try {
+		state.novel = novelId
+			? await novelLibrary.getNovel(novelId)
+			: url
+				? await novelLibrary.getNovelByUrl(url)
+				: null;
+	} catch (error) {
+		debugError("[Reader] Could not look up the novel:", error);
+	}
+	$("reader-novel-title").textContent = state.novel?.title || "";
+
+	loadFromLocation();
+}
+
+init();
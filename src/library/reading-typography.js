@@ -0,0 +1,75 @@
+/**
+ * Reading typography controls for library pages that show chapter text (the
+ * reader and the offline archive). Uses the same `fontSize` / `readingFont`
+ * storage keys as the in-page reader, so a chapter looks the same wherever it
+ * is read, and a change made here carries over to the site.
+ */
+
+import {
+	FONT_SIZE_DEFAULT,
+	FONT_SIZE_MAX,
+	FONT_SIZE_MIN,
+	FONT_SIZE_STEP,
+	READING_FONT_DEFAULT,
+	fillReadingFontSelect,
+	getReadingFontStack,
+} from "../utils/constants.js";
+
+/**
+ * @param {Object} elements
+ * @param {HTMLElement} elements.target           - Element holding the chapter text
+ * @param {HTMLSelectElement} elements.select     - Typeface picker
+ * @param {HTMLElement} elements.sizeLabel        - Shows the current size
+ * @param {HTMLButtonElement} elements.smaller
+ * @param {HTMLButtonElement} elements.larger
+ */
+export function createReadingTypography({
+	target,
+	select,
+	sizeLabel,
+	smaller,
+	larger,
+}) {
+	const state = {
+		fontSize: FONT_SIZE_DEFAULT,
+		readingFont: READING_FONT_DEFAULT,
+	};
+
+	function apply() {
+		target.style.fontSize = `${state.fontSize}%`;
+		target.style.fontFamily = getReadingFontStack(state.readingFont);
+		sizeLabel.textContent = `${state.fontSize}%`;
+		smaller.disabled = state.fontSize <= FONT_SIZE_MIN;
+		larger.disabled = state.fontSize >= FONT_SIZE_MAX;
+	}
+
+	function changeSize(delta) {
+		state.fontSize = Math.min(
+			FONT_SIZE_MAX,
+			Math.max(FONT_SIZE_MIN, state.fontSize + delta),
+		);
+		apply();
+		browser.storage.local.set({ fontSize: state.fontSize });
+	}
+
+	async function init() {
+		const stored = await browser.storage.local.get([
+			"fontSize",
+			"readingFont",
+		]);
+		state.fontSize = Number(stored.fontSize) || FONT_SIZE_DEFAULT;
+		state.readingFont = stored.readingFont || READING_FONT_DEFAULT;
+		fillReadingFontSelect(select, state.readingFont);
+		apply();
+
+		smaller.addEventListener("click", () => changeSize(-FONT_SIZE_STEP));
+		larger.addEventListener("click", () => changeSize(FONT_SIZE_STEP));
+		select.addEventListener("change", () => {
+			state.readingFont = select.value;
+			apply();
+			browser.storage.local.set({ readingFont: state.readingFont });
+		});
+	}
+
+	return { init, apply };
+}
@@ -4,6 +4,9 @@
  * Settings are auto-discovered from each handler's static SETTINGS_DEFINITION
  * property. To add settings for a new site, simply add SETTINGS_DEFINITION to
  * its handler class — no changes needed here.
+ *
+ * Also renders the editor for user-defined sites, whose definitions are
+ * interpreted at runtime by `utils/website-handlers/custom-site.js`.
  */
 
 import { FanfictionHandler } from "../utils/website-handlers/fanfiction-handler.js";
@@ -12,6 +15,10 @@ import { RanobesHandler } from "../utils/website-handlers/ranobes-handler.js";
 import { ScribbleHubHandler } from "../utils/website-handlers/scribblehub-handler.js";
 import { WebNovelHandler } from "../utils/website-handlers/webnovel-handler.js";
 import { NovelbinHandler } from "../utils/website-handlers/novelbin-handler.js";
+import { RoyalRoadHandler } from "../utils/website-handlers/royalroad-handler.js";
+import { XenForoHandler } from "../utils/website-handlers/xenforo-handler.js";
+import { WattpadHandler } from "../utils/website-handlers/wattpad-handler.js";
+import { escapeHtml } from "../utils/html-escape.js";
 
 /**
  * All registered handler classes.
@@ -25,6 +32,9 @@ const ALL_HANDLERS = [
 	ScribbleHubHandler,
 	WebNovelHandler,
 	NovelbinHandler,
+	RoyalRoadHandler,
+	XenForoHandler,
+	WattpadHandler,
 ];
 
 /**
@@ -179,3 +189,211 @@ export function renderWebsiteSettingsPanel(definition, settings = {}) {
 	// making settings invisible.
 	return `<div class="ls-handler-fields">${fieldsHtml}</div>`;
 }
+
+// ── User-defined sites ────────────────────────────────────────────────────────
+
+/**
+ * Editor fields for a custom site definition (see `utils/custom-sites.js`).
+ * `key` is a top-level definition field or `selectors.<name>`.
+ */
+export const CUSTOM_SITE_EDITOR_FIELDS = [
+	{ type: "section", label: "Site" },
+	{ key: "name", label: "Name", placeholder: "Moonlit Translations" },
+	{
+		key: "domains",
+		label: "Domains",
+		description:
+			"One per line or comma separated; *.example.com covers subdomains",
+		placeholder: "moonlit-tl.example.com",
+		multiline: true,
+	},
+	{
+		key: "chapterPath",
+		label: "Chapter path",
+		description:
+			"Optional regular expression; only matching paths count as chapters",
+		placeholder: "^/novel/[^/]+/chapter-",
+	},
+	{ type: "section", label: "Chapter page" },
+	{ key: "selectors.title", label: "Title", placeholder: "h1.entry-title" },
+	{
+		key: "selectors.content",
+		label: "Content",
+		description: "Required — the element holding the chapter text",
+		placeholder: "div.entry-content",
+	},
+	{ key: "selectors.next", label: "Next link", placeholder: "a[rel=next]" },
+	{
+		key: "selectors.prev",
+		label: "Previous link",
+		placeholder: "a[rel=prev]",
+	},
+	{
+		key: "selectors.remove",
+		label: "Noise to remove",
+		description: "Selectors inside the content to strip, one per line",
+		placeholder: ".sharedaddy\n.wp-block-buttons",
+		multiline: true,
+	},
+	{
+		key: "selectors.novelLink",
+		label: "Novel page link",
+		description:
+			"Link from a chapter to its index page; groups chapters into one novel",
+		placeholder: "a.toc-link",
+	},
+	{ type: "section", label: "Novel page" },
+	{
+		key: "selectors.novelTitle",
+		label: "Novel title",
+		placeholder: "h1.novel-title",
+	},
+	{ key: "selectors.author", label: "Author", placeholder: ".novel-author" },
+	{
+		key: "selectors.description",
+		label: "Description",
+		placeholder: ".novel-synopsis",
+	},
+	{
+		key: "selectors.cover",
+		label: "Cover image",
+		placeholder: ".novel-cover img",
+	},
+	{
+		key: "selectors.tags",
+		label: "Tags",
+		description: "Each match is one tag",
+		placeholder: ".novel-tags a",
+	},
+	{ key: "selectors.status", label: "Status", placeholder: ".novel-status" },
+];
+
+function readField(site, key) {
+	const [head, tail] = key.split(".");
+	const value = tail ? site.selectors?.[tail] : site[head];
+	return Array.isArray(value) ? value.join("\n") : (value ?? "");
+}
+
+/**
+ * Editor card for one custom site definition.
+ *
+ * @param {import("../utils/custom-sites.js").CustomSite} site
+ * @param {Object} [options]
+ * @param {string[]} [options.errors] - Validation errors to show above the fields
+ * @returns {string}
+ */
+export function renderCustomSiteEditor(site, { errors = [] } = {}) {
+	const fieldsHtml = CUSTOM_SITE_EDITOR_FIELDS.map((field) => {
+		if (field.type === "section") {
+			return `<div class="ls-handler-field-section">
+				<span class="ls-handler-field-section-label">${field.label}</span>
+			</div>`;
+		}
+		const value = escapeHtml(readField(site, field.key));
+		const ph = escapeHtml(field.placeholder || "");
+		const input = field.multiline
+			? `<textarea class="ls-textarea" data-custom-field="${field.key}"
+					rows="2" placeholder="${ph}"
+					style="margin-top:6px;font-size:12px;font-family:monospace;">${value}</textarea>`
+			: `<input type="text" class="ls-input ls-handler-field-text-input"
+					data-custom-field="${field.key}" value="${value}" placeholder="${ph}" />`;
+		return `
+		<div class="ls-handler-field ls-handler-field--${field.multiline ? "wide" : "text"}">
+			<div class="ls-handler-field-info">
+				<div class="ls-handler-field-label">${field.label}</div>
+				<div class="ls-handler-field-desc">${field.description || ""}</div>
+			</div>
+			${input}
+		</div>`;
+	}).join("");
+
+	const errorsHtml = errors.length
+		? `<ul class="ls-custom-site-errors" style="color:#f87171;font-size:12px;margin:0 0 10px;">
+				${errors.map((e) => `<li>${escapeHtml(e)}</li>`).join("")}
+			</ul>`
+		: "";
+
+	return `
+	<div class="ls-section ls-custom-site" data-site-id="${escapeHtml(site.id)}" style="margin-bottom:16px;">
+		<div style="display:flex;align-items:center;gap:10px;margin-bottom:12px;">
+			<span style="font-size:20px;">\u{1F9E9}</span>
+			<strong style="flex:1;">${escapeHtml(site.name || "Unnamed site")}</strong>
+			<label class="ls-toggle" title="Enable this site">
+				<input type="checkbox" data-custom-field="enabled" ${site.enabled !== false ? "checked" : ""} />
+				<span class="ls-toggle-track"></span>
+			</label>
+			<button type="button" class="ls-btn ls-btn-danger ls-btn-sm cs-delete-btn" title="Delete">\u{1F5D1}️</button>
+		</div>
+		${errorsHtml}
+		<div class="ls-handler-fields">${fieldsHtml}</div>
+		<div style="display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin-top:12px;">
+			<button type="button" class="ls-btn ls-btn-primary ls-btn-sm cs-save-btn">Save &amp; grant access</button>
+			<input type="url" class="ls-input cs-preview-url" style="flex:1;min-width:220px;"
+				placeholder="Chapter URL (defaults to the tab you were last reading)" />
+			<button type="button" class="ls-btn ls-btn-secondary ls-btn-sm cs-preview-btn">Test on current tab</button>
+		</div>
+		<div class="cs-preview" style="margin-top:12px;"></div>
+	</div>`;
+}
+
+/**
+ * Read an editor card back into a raw definition. The caller normalises it.
+ * @param {Element} card - Element rendered by `renderCustomSiteEditor()`
+ * @returns {Object}
+ */
+export function readCustomSiteEditor(card) {
+	const site = { id: card.dataset.siteId, selectors: {} };
+	card.querySelectorAll("[data-custom-field]").forEach((input) => {
+		const [head, tail] = input.dataset.customField.split(".");
+		const value = input.type === "checkbox" ? input.checked : input.value;
+		if (tail) site.selectors[tail] = value;
+		else site[head] = value;
+	});
+	return site;
+}
+
+/**
+ * Live extraction preview: what the definition found on the tested page.
+ * @param {Object} preview - Result of `previewCustomSite()`
+ * @returns {string}
+ */
+export function renderCustomSitePreview(preview) {
+	const row = (label, value) => `
+		<div class="ls-handler-field">
+			<div class="ls-handler-field-info">
+				<div class="ls-handler-field-label">${label}</div>
+			</div>
+			<div style="font-size:12px;max-width:60%;word-break:break-word;">${value}</div>
+		</div>`;
+	const text = (value) =>
+		value ? escapeHtml(value) : '<span class="ls-hint">not found</span>';
+
+	const { contract = {}, navigation = {}, metadata = {} } = preview;
+	const excerpt = (preview.text || "").slice(0, 600);
+	const status = !contract.isValid
+		? `Handler contract not met: ${escapeHtml((contract.missingRequired || []).join(", "))}`
+		: !preview.matchesPage
+			? "The page's domain is not in this definition"
+			: preview.isChapterPage
+				? `Chapter page — ${preview.words.toLocaleString()} words`
+				: preview.isNovelPage
+					? "Novel page"
+					: "Neither a chapter nor a novel page";
+
+	return `
+	<div class="ls-hint" style="margin-bottom:6px;">Preview of ${escapeHtml(preview.url || "")}</div>
+	<div class="ls-handler-fields">
+		${row("Result", status)}
+		${row("Chapter title", text(preview.title))}
+		${row("Previous", text(navigation.previousUrl))}
+		${row("Next", text(navigation.nextUrl))}
+		${row("Novel id", text(preview.novelId))}
+		${row("Novel title", text(metadata.title))}
+		${row("Author", text(metadata.author))}
+		${row("Status", text(metadata.status))}
+		${row("Cover", text(metadata.coverUrl))}
+		${row("Tags", text((metadata.tags || []).join(", ")))}
+		${row("Description", text(metadata.description))}
+	</div>
+	<pre style="white-space:pre-wrap;font-size:12px;max-height:220px;overflow:auto;margin-top:8px;padding:8px;background:rgba(0,0,0,0.15);border-radius:4px;">${text(excerpt)}${preview.text?.length > excerpt.length ? "\n…" : ""}</pre>`;
+}
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Custom Sites card renderer.
+ *
+ * Every user-defined site shares this shelf, so the card leads with the site's
+ * name. The modal adds whatever novel page fields the definition extracts.
+ */
+
+import { NovelCardRenderer } from "../novel-card-base.js";
+import { getBaseModalStyles } from "../modal-styles.js";
+
+export class CustomSiteNovelCard extends NovelCardRenderer {
+	static get shelfConfig() {
+		return {
+			id: "custom",
+			name: "Custom Sites",
+			icon: "\u{1F9E9}",
+			emoji: "\u{1F9E9}",
+			color: "#7c8a9e",
+		};
+	}
+
+	static renderCardMeta(novel) {
+		const metadata = novel.metadata || {};
+		const chapters = novel.lastReadChapter || 0;
+		return `
+			<div class="novel-card-meta">
+				${
+					metadata.site
+						? `<span class="meta-item chip chip-ghost" title="Site">${this.escapeHtml(metadata.site)}</span>`
+						: ""
+				}
+				<span class="meta-item" title="Last read chapter">
+					&#128209; ${chapters > 0 ? chapters.toLocaleString() : "—"}
+				</span>
+			</div>
+		`;
+	}
+
+	static renderModalMetadata(novel) {
+		const container = document.getElementById("modal-metadata-container");
+		if (!container) return;
+
+		const metadata = novel.metadata || {};
+		const status = metadata.status || "";
+		const tags = Array.isArray(metadata.tags) ? metadata.tags : [];
+
+		const chip = (label, value) => `
+			<div class="meta-group">
+				<span class="meta-label">${label}</span>
+				<span class="chip chip-ghost">${this.escapeHtml(value)}</span>
+			</div>`;
+
+		container.innerHTML = `
+			${getBaseModalStyles()}
+			<div class="site-modal-grid">
+				<div class="site-modal-row primary-meta">
+					${metadata.site ? chip("Site", metadata.site) : ""}
+					${status ? chip("Status", status) : ""}
+				</div>
+				<div class="site-modal-row">
+					<div class="meta-group">
+						<span class="meta-label">Enhanced</span>
+						<span class="modal-stat-value">${(novel.enhancedChaptersCount || 0).toLocaleString()}</span>
+					</div>
+				</div>
+				${
+					tags.length
+						? `<div class="site-modal-section">
+								<h4 class="modal-section-title">Tags</h4>
+								<div class="tags-list">
+									${tags.map((t) => `<span class="tag">${this.escapeHtml(t)}</span>`).join("")}
+								</div>
+							</div>`
+						: ""
+				}
+			</div>
+		`;
+	}
+}
+
+export default CustomSiteNovelCard;
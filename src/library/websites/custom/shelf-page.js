@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Custom Sites shelf.
+ *
+ * One shelf for every user-defined site (see `utils/custom-sites.js`). The
+ * definitions are the user's own, so the only filters that make sense
+ * everywhere are the site itself — derived from the novels on the shelf — and
+ * the tags and status a definition may extract. Everything generic lives in
+ * `../shelf-core.js`.
+ */
+
+import CustomSiteNovelCard from "./novel-card.js";
+import { CustomSiteHandler } from "../../../utils/website-handlers/custom-site.js";
+import { READING_STATUS } from "../../../utils/novel-library.js";
+import { initShelfPage } from "../shelf-core.js";
+import {
+	FILTER_KINDS,
+	maxBy,
+	normalizeReadingStatus,
+	sumField,
+} from "../shelf-filter-engine.js";
+
+const siteOf = (novel) => novel.metadata?.site || "";
+
+export const descriptor = {
+	shelfId: "custom",
+	filterStorageKey: "rg_filters_custom",
+	cardRenderer: CustomSiteNovelCard,
+	handler: CustomSiteHandler,
+	randomPick: true,
+
+	filters: [
+		{ kind: FILTER_KINDS.SEARCH, key: "search", label: "Search" },
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "site",
+			label: "Site",
+			allLabel: "All Sites",
+			value: siteOf,
+		},
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "readingStatus",
+			label: "Reading Status",
+			allLabel: "All",
+			options: [
+				{ value: READING_STATUS.PLAN_TO_READ, label: "Plan to Read" },
+				{ value: READING_STATUS.READING, label: "Currently Reading" },
+				{ value: READING_STATUS.COMPLETED, label: "Completed" },
+				{ value: READING_STATUS.ON_HOLD, label: "On Hold" },
+				{ value: READING_STATUS.DROPPED, label: "Dropped" },
+				{ value: READING_STATUS.RE_READING, label: "Re-reading" },
+			],
+			match: (novel, wanted) =>
+				normalizeReadingStatus(novel.readingStatus) === wanted,
+		},
+		{
+			kind: FILTER_KINDS.MULTI,
+			key: "tags",
+			label: "Tags",
+			toggleLabel: "Choose Tags",
+			modeSelectable: true,
+			searchable: true,
+			values: (novel) =>
+				Array.isArray(novel.metadata?.tags) ? novel.metadata.tags : [],
+		},
+	],
+
+	sorts: [
+		{
+			value: "recent",
+			label: "Recently Read",
+			compare: (a, b) =>
+				(b.lastAccessedAt || 0) - (a.lastAccessedAt || 0),
+		},
+		{
+			value: "added",
+			label: "Date Added",
+			compare: (a, b) => (b.addedAt || 0) - (a.addedAt || 0),
+		},
+		{
+			value: "title",
+			label: "Title",
+			compare: (a, b) => (a.title || "").localeCompare(b.title || ""),
+		},
+		{
+			value: "site",
+			label: "Site",
+			compare: (a, b) => siteOf(a).localeCompare(siteOf(b)),
+		},
+		{
+			value: "enhanced",
+			label: "Enhanced Chapters",
+			compare: (a, b) =>
+				(b.enhancedChaptersCount || 0) - (a.enhancedChaptersCount || 0),
+		},
+	],
+
+	stats: [
+		{
+			id: "stats-novels",
+			label: "Novels",
+			compute: (novels) => novels.length.toLocaleString(),
+		},
+		{
+			id: "stats-enhanced",
+			label: "Enhanced Chapters",
+			compute: (novels) =>
+				sumField(novels, "enhancedChaptersCount").toLocaleString(),
+		},
+		{
+			id: "stats-sites",
+			label: "Sites",
+			compute: (novels) =>
+				new Set(
+					novels.map(siteOf).filter(Boolean),
+				).size.toLocaleString(),
+		},
+	],
+
+	insights: [
+		{
+			id: "most-enhanced",
+			label: "Most Enhanced",
+			icon: "✨",
+			pick: (novels) => {
+				const novel = maxBy(
+					novels,
+					(n) => n.enhancedChaptersCount || 0,
+				);
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "newest-addition",
+			label: "Newest Addition",
+			icon: "\u{1F195}",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => n.addedAt || 0);
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+	],
+};
+
+// Guarded so the descriptor above can be imported and tested outside a browser.
+if (typeof document !== "undefined") {
+	initShelfPage(descriptor);
+}
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Royal Road card renderer.
+ *
+ * Cards show the three numbers readers pick Royal Road fictions by —
+ * followers, overall score and length in pages. The modal adds the remaining
+ * fiction-page stats, tags and content warnings.
+ */
+
+import { NovelCardRenderer } from "../novel-card-base.js";
+import { getBaseModalStyles } from "../modal-styles.js";
+
+const formatCount = (value) =>
+	Number.isFinite(value) && value > 0 ? value.toLocaleString() : "—";
+
+export class RoyalRoadNovelCard extends NovelCardRenderer {
+	static get shelfConfig() {
+		return {
+			id: "royalroad",
+			name: "Royal Road",
+			icon: "https://www.royalroad.com/favicon.ico",
+			emoji: "\u{1F451}",
+			color: "#f4a300",
+		};
+	}
+
+	static renderCardMeta(novel) {
+		const metadata = novel.metadata || {};
+		return `
+			<div class="novel-card-meta">
+				<span class="meta-item" title="Followers">
+					&#128101; ${formatCount(metadata.followers)}
+				</span>
+				<span class="meta-item" title="Overall score">
+					&#11088; ${metadata.rating ? Number(metadata.rating).toFixed(2) : "—"}
+				</span>
+				<span class="meta-item" title="Pages">
+					&#128196; ${formatCount(metadata.pages)}
+				</span>
+			</div>
+		`;
+	}
+
+	static renderModalMetadata(novel) {
+		const container = document.getElementById("modal-metadata-container");
+		if (!container) return;
+
+		const metadata = novel.metadata || {};
+		const status = metadata.status || novel.status || "";
+		const total = metadata.totalChapters || novel.totalChapters || 0;
+		const tags = Array.isArray(metadata.tags) ? metadata.tags : [];
+		const warnings = Array.isArray(metadata.warnings)
+			? metadata.warnings
+			: [];
+
+		const tagSection = (title, values, tagClass = "tag") =>
+			values.length
+				? `<div class="site-modal-section">
+						<h4 class="modal-section-title">${title}</h4>
+						<div class="tags-list">
+							${values.map((v) => `<span class="${tagClass}">${this.escapeHtml(v)}</span>`).join("")}
+						</div>
+					</div>`
+				: "";
+
+		const stat = (label, value) => `
+			<div class="meta-group">
+				<span class="meta-label">${label}</span>
+				<span class="modal-stat-value">${value}</span>
+			</div>`;
+
+		const statusChipClass =
+			status.toLowerCase() === "completed"
+				? "chip-success"
+				: "chip-ghost";
+
+		container.innerHTML = `
+			${getBaseModalStyles()}
+			<div class="site-modal-grid">
+				<div class="site-modal-row primary-meta">
+					${
+						status
+							? `<div class="meta-group">
+									<span class="meta-label">Status</span>
+									<span class="chip ${statusChipClass}">${this.escapeHtml(status)}</span>
+								</div>`
+							: ""
+					}
+					${
+						metadata.storyType
+							? `<div class="meta-group">
+									<span class="meta-label">Type</span>
+									<span class="chip chip-ghost">${this.escapeHtml(metadata.storyType)}</span>
+								</div>`
+							: ""
+					}
+					${stat("Chapters", formatCount(total))}
+					${stat("Pages", formatCount(metadata.pages))}
+				</div>
+				<div class="site-modal-row">
+					${stat("Score", metadata.rating ? `${Number(metadata.rating).toFixed(2)} / 5` : "—")}
+					${stat("Ratings", formatCount(metadata.ratingCount))}
+					${stat("Followers", formatCount(metadata.followers))}
+					${stat("Favorites", formatCount(metadata.favorites))}
+					${stat("Views", formatCount(metadata.views))}
+				</div>
+				${tagSection("Tags", tags)}
+				${tagSection("Content Warnings", warnings, "tag tag-warning")}
+			</div>
+		`;
+	}
+}
+
+export default RoyalRoadNovelCard;
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Royal Road shelf.
+ *
+ * Royal Road's fiction page carries an overall score, follower/favourite/view
+ * counts, a page count, tags and content warnings, so this shelf filters on
+ * tags, warnings and length in pages and sorts by popularity. Everything
+ * generic lives in `../shelf-core.js`.
+ */
+
+import RoyalRoadNovelCard from "./novel-card.js";
+import { RoyalRoadHandler } from "../../../utils/website-handlers/royalroad-handler.js";
+import { READING_STATUS } from "../../../utils/novel-library.js";
+import { initShelfPage } from "../shelf-core.js";
+import {
+	FILTER_KINDS,
+	formatNumber,
+	maxBy,
+	normalizeReadingStatus,
+	sumField,
+} from "../shelf-filter-engine.js";
+
+const chaptersOf = (novel) =>
+	novel.metadata?.totalChapters || novel.totalChapters || 0;
+
+const ratingOf = (novel) => {
+	const value = parseFloat(novel.metadata?.rating ?? novel.rating);
+	return Number.isNaN(value) ? 0 : value;
+};
+
+const numberOf = (novel, key) => novel.metadata?.[key] || novel[key] || 0;
+
+const workStatusOf = (novel) =>
+	(novel.metadata?.status || novel.status || "").toLowerCase();
+
+const listOf = (novel, key) =>
+	Array.isArray(novel.metadata?.[key]) ? novel.metadata[key] : [];
+
+export const descriptor = {
+	shelfId: "royalroad",
+	filterStorageKey: "rg_filters_royalroad",
+	cardRenderer: RoyalRoadNovelCard,
+	handler: RoyalRoadHandler,
+	randomPick: true,
+
+	filters: [
+		{ kind: FILTER_KINDS.SEARCH, key: "search", label: "Search" },
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "workStatus",
+			label: "Work Status",
+			allLabel: "All",
+			options: [
+				{ value: "Ongoing", label: "Ongoing" },
+				{ value: "Completed", label: "Completed" },
+				{ value: "Hiatus", label: "Hiatus" },
+				{ value: "Stub", label: "Stub" },
+				{ value: "Dropped", label: "Dropped" },
+				{ value: "Inactive", label: "Inactive" },
+			],
+			value: (novel) => novel.metadata?.status || novel.status || "",
+		},
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "readingStatus",
+			label: "Reading Status",
+			allLabel: "All",
+			options: [
+				{ value: READING_STATUS.PLAN_TO_READ, label: "Plan to Read" },
+				{ value: READING_STATUS.READING, label: "Currently Reading" },
+				{ value: READING_STATUS.COMPLETED, label: "Completed" },
+				{ value: READING_STATUS.ON_HOLD, label: "On Hold" },
+				{ value: READING_STATUS.DROPPED, label: "Dropped" },
+				{ value: READING_STATUS.RE_READING, label: "Re-reading" },
+			],
+			match: (novel, wanted) =>
+				normalizeReadingStatus(novel.readingStatus) === wanted,
+		},
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "storyType",
+			label: "Type",
+			allLabel: "All Types",
+			options: [
+				{ value: "Original", label: "Original" },
+				{ value: "Fan Fiction", label: "Fan Fiction" },
+			],
+			value: (novel) => novel.metadata?.storyType || "",
+		},
+		{
+			kind: FILTER_KINDS.MULTI,
+			key: "tags",
+			label: "Tags",
+			toggleLabel: "Choose Tags",
+			modeSelectable: true,
+			searchable: true,
+			values: (novel) => listOf(novel, "tags"),
+		},
+		{
+			kind: FILTER_KINDS.MULTI,
+			key: "warnings",
+			label: "Content Warnings",
+			toggleLabel: "Choose Warnings",
+			modeSelectable: true,
+			values: (novel) => listOf(novel, "warnings"),
+		},
+		{
+			kind: FILTER_KINDS.RANGE,
+			key: "pages",
+			label: "Page Count Range",
+			hint: "Leave blank for no limit",
+			value: (novel) => numberOf(novel, "pages"),
+		},
+	],
+
+	sorts: [
+		{
+			value: "recent",
+			label: "Recently Read",
+			compare: (a, b) =>
+				(b.lastAccessedAt || 0) - (a.lastAccessedAt || 0),
+		},
+		{
+			value: "added",
+			label: "Date Added",
+			compare: (a, b) => (b.addedAt || 0) - (a.addedAt || 0),
+		},
+		{
+			value: "title",
+			label: "Title",
+			compare: (a, b) => (a.title || "").localeCompare(b.title || ""),
+		},
+		{
+			value: "enhanced",
+			label: "Enhanced Chapters",
+			compare: (a, b) =>
+				(b.enhancedChaptersCount || 0) - (a.enhancedChaptersCount || 0),
+		},
+		{
+			value: "chapters",
+			label: "Total Chapters",
+			compare: (a, b) => chaptersOf(b) - chaptersOf(a),
+		},
+		{
+			value: "rating",
+			label: "Overall Score",
+			compare: (a, b) => ratingOf(b) - ratingOf(a),
+		},
+		{
+			value: "followers",
+			label: "Followers",
+			compare: (a, b) =>
+				numberOf(b, "followers") - numberOf(a, "followers"),
+		},
+		{
+			value: "favorites",
+			label: "Favorites",
+			compare: (a, b) =>
+				numberOf(b, "favorites") - numberOf(a, "favorites"),
+		},
+		{
+			value: "pages",
+			label: "Pages",
+			compare: (a, b) => numberOf(b, "pages") - numberOf(a, "pages"),
+		},
+	],
+
+	stats: [
+		{
+			id: "stats-novels",
+			label: "Novels",
+			compute: (novels) => novels.length.toLocaleString(),
+		},
+		{
+			id: "stats-enhanced",
+			label: "Enhanced Chapters",
+			compute: (novels) =>
+				sumField(novels, "enhancedChaptersCount").toLocaleString(),
+		},
+		{
+			id: "stats-pages",
+			label: "Total Pages",
+			compute: (novels) =>
+				formatNumber(
+					novels.reduce((sum, n) => sum + numberOf(n, "pages"), 0),
+				),
+		},
+		{
+			id: "stats-completed",
+			label: "Completed",
+			compute: (novels) =>
+				novels
+					.filter((n) => workStatusOf(n) === "completed")
+					.length.toLocaleString(),
+		},
+		{
+			id: "stats-avgrating",
+			label: "Avg Score",
+			compute: (novels) => {
+				const rated = novels.filter((n) => ratingOf(n) > 0);
+				if (!rated.length) return "-";
+				const total = rated.reduce((sum, n) => sum + ratingOf(n), 0);
+				return (total / rated.length).toFixed(2);
+			},
+		},
+	],
+
+	insights: [
+		{
+			id: "highest-rated",
+			label: "Highest Rated",
+			icon: "⭐",
+			pick: (novels) => {
+				const novel = maxBy(novels, ratingOf);
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "most-followed",
+			label: "Most Followed",
+			icon: "\u{1F465}",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => numberOf(n, "followers"));
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "longest-novel",
+			label: "Longest Novel",
+			icon: "\u{1F4CF}",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => numberOf(n, "pages"));
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "newest-addition",
+			label: "Newest Addition",
+			icon: "\u{1F195}",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => n.addedAt || 0);
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+	],
+};
+
+// Guarded so the descriptor above can be imported and tested outside a browser.
+if (typeof document !== "undefined") {
+	initShelfPage(descriptor);
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Wattpad card renderer.
+ *
+ * Cards show reads, votes and parts — the numbers Wattpad itself puts under
+ * every story — and flag mature and paid stories. The modal adds the status
+ * and the story's tags.
+ */
+
+import { NovelCardRenderer } from "../novel-card-base.js";
+import { getBaseModalStyles } from "../modal-styles.js";
+import {
+	MATURE_TAG,
+	PAID_TAG,
+} from "../../../utils/website-handlers/wattpad-handler.js";
+
+const formatCount = (value) =>
+	Number.isFinite(value) && value > 0 ? value.toLocaleString() : "—";
+
+export class WattpadNovelCard extends NovelCardRenderer {
+	static get shelfConfig() {
+		return {
+			id: "wattpad",
+			name: "Wattpad",
+			icon: "https://www.wattpad.com/favicon.ico",
+			emoji: "\u{1F9E1}",
+			color: "#ff500a",
+		};
+	}
+
+	static renderCardMeta(novel) {
+		const metadata = novel.metadata || {};
+		const parts = metadata.parts || metadata.totalChapters;
+		const markers = [
+			metadata.mature ? MATURE_TAG : null,
+			metadata.paid ? PAID_TAG : null,
+		].filter(Boolean);
+		return `
+			<div class="novel-card-meta">
+				<span class="meta-item" title="Reads">
+					&#128065; ${formatCount(metadata.reads)}
+				</span>
+				<span class="meta-item" title="Votes">
+					&#11088; ${formatCount(metadata.votes)}
+				</span>
+				<span class="meta-item" title="Parts">
+					&#128209; ${formatCount(parts)}
+				</span>
+				${markers
+					.map(
+						(marker) =>
+							`<span class="meta-item chip chip-ghost">${this.escapeHtml(marker)}</span>`,
+					)
+					.join("")}
+			</div>
+		`;
+	}
+
+	static renderModalMetadata(novel) {
+		const container = document.getElementById("modal-metadata-container");
+		if (!container) return;
+
+		const metadata = novel.metadata || {};
+		const status = metadata.status || novel.status || "";
+		const parts = metadata.parts || metadata.totalChapters || 0;
+		// The markers get their own chips; keep them out of the tag list.
+		const tags = (Array.isArray(metadata.tags) ? metadata.tags : []).filter(
+			(t) => t !== MATURE_TAG && t !== PAID_TAG,
+		);
+
+		const stat = (label, value) => `
+			<div class="meta-group">
+				<span class="meta-label">${label}</span>
+				<span class="modal-stat-value">${value}</span>
+			</div>`;
+
+		const chip = (label, value, chipClass) => `
+			<div class="meta-group">
+				<span class="meta-label">${label}</span>
+				<span class="chip ${chipClass}">${this.escapeHtml(value)}</span>
+			</div>`;
+
+		container.innerHTML = `
+			${getBaseModalStyles()}
+			<div class="site-modal-grid">
+				<div class="site-modal-row primary-meta">
+					${
+						status
+							? chip(
+									"Status",
+									status,
+									status.toLowerCase() === "completed"
+										? "chip-success"
+										: "chip-ghost",
+								)
+							: ""
+					}
+					${metadata.mature ? chip("Rating", MATURE_TAG, "chip-warning") : ""}
+					${metadata.paid ? chip("Access", PAID_TAG, "chip-ghost") : ""}
+				</div>
+				<div class="site-modal-row">
+					${stat("Reads", formatCount(metadata.reads))}
+					${stat("Votes", formatCount(metadata.votes))}
+					${stat("Parts", formatCount(parts))}
+					${stat("Enhanced", (novel.enhancedChaptersCount || 0).toLocaleString())}
+				</div>
+				${
+					tags.length
+						? `<div class="site-modal-section">
+								<h4 class="modal-section-title">Tags</h4>
+								<div class="tags-list">
+									${tags.map((t) => `<span class="tag">${this.escapeHtml(t)}</span>`).join("")}
+								</div>
+							</div>`
+						: ""
+				}
+			</div>
+		`;
+	}
+}
+
+export default WattpadNovelCard;
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Wattpad shelf.
+ *
+ * Wattpad ranks stories by reads and votes and sizes them in parts, so those
+ * are the sorts and the range filter here. Mature and paid stories carry a
+ * "Mature" / "Paid Story" tag, which makes them filterable through the tag
+ * filter and their own content selector. Everything generic lives in
+ * `../shelf-core.js`.
+ */
+
+import WattpadNovelCard from "./novel-card.js";
+import { WattpadHandler } from "../../../utils/website-handlers/wattpad-handler.js";
+import { READING_STATUS } from "../../../utils/novel-library.js";
+import { initShelfPage } from "../shelf-core.js";
+import {
+	FILTER_KINDS,
+	formatNumber,
+	maxBy,
+	normalizeReadingStatus,
+	sumField,
+} from "../shelf-filter-engine.js";
+
+const partsOf = (novel) =>
+	novel.metadata?.parts ||
+	novel.metadata?.totalChapters ||
+	novel.totalChapters ||
+	0;
+
+const numberOf = (novel, key) => novel.metadata?.[key] || novel[key] || 0;
+
+const workStatusOf = (novel) =>
+	(novel.metadata?.status || novel.status || "").toLowerCase();
+
+/** Whether a story falls under a "Content" selector value. */
+const matchesContent = (novel, wanted) => {
+	const mature = novel.metadata?.mature === true;
+	const paid = novel.metadata?.paid === true;
+	if (wanted === "Mature") return mature;
+	if (wanted === "Paid") return paid;
+	return !mature && !paid;
+};
+
+export const descriptor = {
+	shelfId: "wattpad",
+	filterStorageKey: "rg_filters_wattpad",
+	cardRenderer: WattpadNovelCard,
+	handler: WattpadHandler,
+	randomPick: true,
+
+	filters: [
+		{ kind: FILTER_KINDS.SEARCH, key: "search", label: "Search" },
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "workStatus",
+			label: "Work Status",
+			allLabel: "All",
+			options: [
+				{ value: "Ongoing", label: "Ongoing" },
+				{ value: "Completed", label: "Completed" },
+			],
+			value: (novel) => novel.metadata?.status || novel.status || "",
+		},
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "readingStatus",
+			label: "Reading Status",
+			allLabel: "All",
+			options: [
+				{ value: READING_STATUS.PLAN_TO_READ, label: "Plan to Read" },
+				{ value: READING_STATUS.READING, label: "Currently Reading" },
+				{ value: READING_STATUS.COMPLETED, label: "Completed" },
+				{ value: READING_STATUS.ON_HOLD, label: "On Hold" },
+				{ value: READING_STATUS.DROPPED, label: "Dropped" },
+				{ value: READING_STATUS.RE_READING, label: "Re-reading" },
+			],
+			match: (novel, wanted) =>
+				normalizeReadingStatus(novel.readingStatus) === wanted,
+		},
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "content",
+			label: "Content",
+			allLabel: "All Stories",
+			options: [
+				{ value: "General", label: "General" },
+				{ value: "Mature", label: "Mature" },
+				{ value: "Paid", label: "Paid Stories" },
+			],
+			match: matchesContent,
+		},
+		{
+			kind: FILTER_KINDS.MULTI,
+			key: "tags",
+			label: "Tags",
+			toggleLabel: "Choose Tags",
+			modeSelectable: true,
+			searchable: true,
+			values: (novel) =>
+				Array.isArray(novel.metadata?.tags) ? novel.metadata.tags : [],
+		},
+		{
+			kind: FILTER_KINDS.RANGE,
+			key: "parts",
+			label: "Part Count Range",
+			hint: "Leave blank for no limit",
+			value: partsOf,
+		},
+	],
+
+	sorts: [
+		{
+			value: "recent",
+			label: "Recently Read",
+			compare: (a, b) =>
+				(b.lastAccessedAt || 0) - (a.lastAccessedAt || 0),
+		},
+		{
+			value: "added",
+			label: "Date Added",
+			compare: (a, b) => (b.addedAt || 0) - (a.addedAt || 0),
+		},
+		{
+			value: "title",
+			label: "Title",
+			compare: (a, b) => (a.title || "").localeCompare(b.title || ""),
+		},
+		{
+			value: "enhanced",
+			label: "Enhanced Chapters",
+			compare: (a, b) =>
+				(b.enhancedChaptersCount || 0) - (a.enhancedChaptersCount || 0),
+		},
+		{
+			value: "parts",
+			label: "Parts",
+			compare: (a, b) => partsOf(b) - partsOf(a),
+		},
+		{
+			value: "reads",
+			label: "Reads",
+			compare: (a, b) => numberOf(b, "reads") - numberOf(a, "reads"),
+		},
+		{
+			value: "votes",
+			label: "Votes",
+			compare: (a, b) => numberOf(b, "votes") - numberOf(a, "votes"),
+		},
+	],
+
+	stats: [
+		{
+			id: "stats-novels",
+			label: "Stories",
+			compute: (novels) => novels.length.toLocaleString(),
+		},
+		{
+			id: "stats-enhanced",
+			label: "Enhanced Chapters",
+			compute: (novels) =>
+				sumField(novels, "enhancedChaptersCount").toLocaleString(),
+		},
+		{
+			id: "stats-parts",
+			label: "Total Parts",
+			compute: (novels) =>
+				formatNumber(novels.reduce((sum, n) => sum + partsOf(n), 0)),
+		},
+		{
+			id: "stats-completed",
+			label: "Completed",
+			compute: (novels) =>
+				novels
+					.filter((n) => workStatusOf(n) === "completed")
+					.length.toLocaleString(),
+		},
+		{
+			id: "stats-mature",
+			label: "Mature",
+			compute: (novels) =>
+				novels
+					.filter((n) => n.metadata?.mature === true)
+					.length.toLocaleString(),
+		},
+	],
+
+	insights: [
+		{
+			id: "most-read",
+			label: "Most Read",
+			icon: "\u{1F4D6}",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => numberOf(n, "reads"));
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "most-voted",
+			label: "Most Voted",
+			icon: "⭐",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => numberOf(n, "votes"));
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "most-chapters",
+			label: "Most Parts",
+			icon: "\u{1F4DA}",
+			pick: (novels) => {
+				const novel = maxBy(novels, partsOf);
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "newest-addition",
+			label: "Newest Addition",
+			icon: "\u{1F195}",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => n.addedAt || 0);
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+	],
+};
+
+// Guarded so the descriptor above can be imported and tested outside a browser.
+if (typeof document !== "undefined") {
+	initShelfPage(descriptor);
+}
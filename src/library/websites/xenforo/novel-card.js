@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Forum threadmarks card renderer.
+ *
+ * A forum thread has no cover, status or rating; what tells threads apart is
+ * which forum it is on and how long it has run. Cards show threadmarks, words
+ * and watchers; the modal adds the forum and the thread's tags.
+ */
+
+import { NovelCardRenderer } from "../novel-card-base.js";
+import { getBaseModalStyles } from "../modal-styles.js";
+
+const formatCount = (value) =>
+	Number.isFinite(value) && value > 0 ? value.toLocaleString() : "—";
+
+export class XenForoNovelCard extends NovelCardRenderer {
+	static get shelfConfig() {
+		return {
+			id: "xenforo",
+			name: "Forum Threadmarks",
+			icon: "https://forums.spacebattles.com/favicon.ico",
+			emoji: "\u{1F9F5}",
+			color: "#3f6ea8",
+		};
+	}
+
+	static renderCardMeta(novel) {
+		const metadata = novel.metadata || {};
+		const threadmarks = metadata.totalChapters || novel.totalChapters;
+		return `
+			<div class="novel-card-meta">
+				<span class="meta-item" title="Threadmarks">
+					&#128278; ${formatCount(threadmarks)}
+				</span>
+				<span class="meta-item" title="Words">
+					&#128221; ${formatCount(metadata.words)}
+				</span>
+				<span class="meta-item" title="Watchers">
+					&#128064; ${formatCount(metadata.watchers)}
+				</span>
+			</div>
+		`;
+	}
+
+	static renderModalMetadata(novel) {
+		const container = document.getElementById("modal-metadata-container");
+		if (!container) return;
+
+		const metadata = novel.metadata || {};
+		const threadmarks = metadata.totalChapters || novel.totalChapters || 0;
+		const tags = Array.isArray(metadata.tags) ? metadata.tags : [];
+
+		const stat = (label, value) => `
+			<div class="meta-group">
+				<span class="meta-label">${label}</span>
+				<span class="modal-stat-value">${value}</span>
+			</div>`;
+
+		container.innerHTML = `
+			${getBaseModalStyles()}
+			<div class="site-modal-grid">
+				<div class="site-modal-row primary-meta">
+					${
+						metadata.forum
+							? `<div class="meta-group">
+									<span class="meta-label">Forum</span>
+									<span class="chip chip-ghost">${this.escapeHtml(metadata.forum)}</span>
+								</div>`
+							: ""
+					}
+					${stat("Threadmarks", formatCount(threadmarks))}
+					${stat("Words", formatCount(metadata.words))}
+					${stat("Watchers", formatCount(metadata.watchers))}
+					${stat("Enhanced", (novel.enhancedChaptersCount || 0).toLocaleString())}
+				</div>
+				${
+					tags.length
+						? `<div class="site-modal-section">
+								<h4 class="modal-section-title">Tags</h4>
+								<div class="tags-list">
+									${tags.map((t) => `<span class="tag">${this.escapeHtml(t)}</span>`).join("")}
+								</div>
+							</div>`
+						: ""
+				}
+			</div>
+		`;
+	}
+}
+
+export default XenForoNovelCard;
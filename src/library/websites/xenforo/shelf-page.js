@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Forum threadmarks shelf (SpaceBattles, Sufficient Velocity,
+ * Questionable Questing).
+ *
+ * One shelf for all three XenForo forums: the threads look the same and
+ * readers follow stories across them, so the forum is a filter rather than a
+ * shelf of its own. Threads have no completion status; the popularity and
+ * length numbers are the threadmark's watchers, words and threadmark count.
+ * Everything generic lives in `../shelf-core.js`.
+ */
+
+import XenForoNovelCard from "./novel-card.js";
+import {
+	FORUMS,
+	XenForoHandler,
+} from "../../../utils/website-handlers/xenforo-handler.js";
+import { READING_STATUS } from "../../../utils/novel-library.js";
+import { initShelfPage } from "../shelf-core.js";
+import {
+	FILTER_KINDS,
+	formatNumber,
+	maxBy,
+	normalizeReadingStatus,
+	sumField,
+} from "../shelf-filter-engine.js";
+
+const threadmarksOf = (novel) =>
+	novel.metadata?.totalChapters || novel.totalChapters || 0;
+
+const numberOf = (novel, key) => novel.metadata?.[key] || novel[key] || 0;
+
+export const descriptor = {
+	shelfId: "xenforo",
+	filterStorageKey: "rg_filters_xenforo",
+	cardRenderer: XenForoNovelCard,
+	handler: XenForoHandler,
+	randomPick: true,
+
+	filters: [
+		{ kind: FILTER_KINDS.SEARCH, key: "search", label: "Search" },
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "forum",
+			label: "Forum",
+			allLabel: "All Forums",
+			options: Object.values(FORUMS).map((forum) => ({
+				value: forum.name,
+				label: forum.name,
+			})),
+			value: (novel) => novel.metadata?.forum || "",
+		},
+		{
+			kind: FILTER_KINDS.SELECT,
+			key: "readingStatus",
+			label: "Reading Status",
+			allLabel: "All",
+			options: [
+				{ value: READING_STATUS.PLAN_TO_READ, label: "Plan to Read" },
+				{ value: READING_STATUS.READING, label: "Currently Reading" },
+				{ value: READING_STATUS.COMPLETED, label: "Completed" },
+				{ value: READING_STATUS.ON_HOLD, label: "On Hold" },
+				{ value: READING_STATUS.DROPPED, label: "Dropped" },
+				{ value: READING_STATUS.RE_READING, label: "Re-reading" },
+			],
+			match: (novel, wanted) =>
+				normalizeReadingStatus(novel.readingStatus) === wanted,
+		},
+		{
+			kind: FILTER_KINDS.MULTI,
+			key: "tags",
+			label: "Tags",
+			toggleLabel: "Choose Tags",
+			modeSelectable: true,
+			searchable: true,
+			values: (novel) =>
+				Array.isArray(novel.metadata?.tags) ? novel.metadata.tags : [],
+		},
+		{
+			kind: FILTER_KINDS.RANGE,
+			key: "wordCount",
+			label: "Word Count Range",
+			hint: "Leave blank for no limit",
+			value: (novel) => numberOf(novel, "words"),
+		},
+	],
+
+	sorts: [
+		{
+			value: "recent",
+			label: "Recently Read",
+			compare: (a, b) =>
+				(b.lastAccessedAt || 0) - (a.lastAccessedAt || 0),
+		},
+		{
+			value: "added",
+			label: "Date Added",
+			compare: (a, b) => (b.addedAt || 0) - (a.addedAt || 0),
+		},
+		{
+			value: "title",
+			label: "Title",
+			compare: (a, b) => (a.title || "").localeCompare(b.title || ""),
+		},
+		{
+			value: "enhanced",
+			label: "Enhanced Chapters",
+			compare: (a, b) =>
+				(b.enhancedChaptersCount || 0) - (a.enhancedChaptersCount || 0),
+		},
+		{
+			value: "threadmarks",
+			label: "Threadmarks",
+			compare: (a, b) => threadmarksOf(b) - threadmarksOf(a),
+		},
+		{
+			value: "words",
+			label: "Word Count",
+			compare: (a, b) => numberOf(b, "words") - numberOf(a, "words"),
+		},
+		{
+			value: "watchers",
+			label: "Watchers",
+			compare: (a, b) =>
+				numberOf(b, "watchers") - numberOf(a, "watchers"),
+		},
+	],
+
+	stats: [
+		{
+			id: "stats-novels",
+			label: "Threads",
+			compute: (novels) => novels.length.toLocaleString(),
+		},
+		{
+			id: "stats-enhanced",
+			label: "Enhanced Chapters",
+			compute: (novels) =>
+				sumField(novels, "enhancedChaptersCount").toLocaleString(),
+		},
+		{
+			id: "stats-threadmarks",
+			label: "Threadmarks",
+			compute: (novels) =>
+				novels
+					.reduce((sum, n) => sum + threadmarksOf(n), 0)
+					.toLocaleString(),
+		},
+		{
+			id: "stats-words",
+			label: "Total Words",
+			compute: (novels) =>
+				formatNumber(
+					novels.reduce((sum, n) => sum + numberOf(n, "words"), 0),
+				),
+		},
+		{
+			id: "stats-forums",
+			label: "Forums",
+			compute: (novels) =>
+				String(
+					new Set(
+						novels.map((n) => n.metadata?.forum).filter(Boolean),
+					).size || "-",
+				),
+		},
+	],
+
+	insights: [
+		{
+			id: "most-watched",
+			label: "Most Watched",
+			icon: "\u{1F440}",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => numberOf(n, "watchers"));
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "longest-novel",
+			label: "Longest Thread",
+			icon: "\u{1F4CF}",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => numberOf(n, "words"));
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "most-chapters",
+			label: "Most Threadmarks",
+			icon: "\u{1F4DA}",
+			pick: (novels) => {
+				const novel = maxBy(novels, threadmarksOf);
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+		{
+			id: "newest-addition",
+			label: "Newest Addition",
+			icon: "\u{1F195}",
+			pick: (novels) => {
+				const novel = maxBy(novels, (n) => n.addedAt || 0);
+				return { novel, text: novel?.title || "-" };
+			},
+		},
+	],
+};
+
+// Guarded so the descriptor above can be imported and tested outside a browser.
+if (typeof document !== "undefined") {
+	initShelfPage(descriptor);
+}
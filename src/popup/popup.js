@@ -571,6 +571,7 @@ async function initializePopup() {
 	);
 	const notSupportedMessage = document.getElementById("notSupportedMessage");
 	const notSupportedText = document.getElementById("notSupportedText");
+	const readerModeBtn = document.getElementById("readerModeBtn");
 	const openFullLibraryBtn = document.getElementById("openFullLibrary");
 	const refreshLibraryBtn = document.getElementById("refreshLibrary");
 	const statNovels = document.getElementById("statNovels");
@@ -2656,7 +2657,9 @@ async function initializePopup() {
 				}
 				// Content script not available - page not supported
 				if (error.message?.includes("Receiving end does not exist")) {
-					showNotSupported("Not a supported novel site");
+					showNotSupported("Not a supported novel site", {
+						offerReaderMode: /^https?:/.test(currentTab.url),
+					});
 				} else {
 					showNotSupported("Error: " + error.message);
 				}
@@ -2904,8 +2907,15 @@ async function initializePopup() {
 
 	/**
 	 * Show "not supported" message
+	 * @param {string} message
+	 * @param {Object} [options]
+	 * @param {boolean} [options.offerReaderMode] - Offer to read the page with
+	 *   the reader-mode fallback (web pages without the content script only)
 	 */
-	function showNotSupported(message) {
+	function showNotSupported(message, { offerReaderMode = false } = {}) {
+		if (readerModeBtn) {
+			readerModeBtn.style.display = offerReaderMode ? "" : "none";
+		}
 		if (currentNovelCard) currentNovelCard.style.display = "none";
 		if (defaultNovelPlaceholder)
 			defaultNovelPlaceholder.style.display = "none";
@@ -2922,6 +2932,40 @@ async function initializePopup() {
 		}
 	}
 
+	/**
+	 * Hand the current page to the reader-mode handler. The background does the
+	 * injecting; opening this popup is the user gesture that allows it.
+	 */
+	async function activateReaderModeOnCurrentTab() {
+		const tab = await getCurrentTab();
+		if (!tab) return;
+		readerModeBtn.disabled = true;
+		try {
+			const response = await browser.runtime.sendMessage({
+				action: "activateReaderMode",
+				tabId: tab.id,
+			});
+			if (!response?.success) {
+				throw new Error(response?.error || "No response");
+			}
+			if (response.alreadyRunning) {
+				showNotSupported(
+					"Ranobe Gemini is already running on this page",
+				);
+				return;
+			}
+			// The page shows the controls once the content script starts.
+			window.close();
+		} catch (error) {
+			debugError("Reader mode activation failed:", error);
+			showNotSupported("This page cannot be read in reader mode");
+		} finally {
+			readerModeBtn.disabled = false;
+		}
+	}
+
+	readerModeBtn?.addEventListener("click", activateReaderModeOnCurrentTab);
+
 	/**
 	 * Add current novel to library
 	 */
@@ -0,0 +1,392 @@
+/**
+ * Delta backups: a base snapshot plus compact patches
+ *
+ * A backup is split into records — one per novel, one per novel's chapter
+ * data, one per setting — and a patch holds only the records that changed
+ * since the snapshot it builds on, keyed by that record. With a library of a
+ * few thousand novels, a reading-progress change then costs one novel record
+ * instead of the whole multi-megabyte file.
+ *
+ * Both backup shapes split the same way: library backups (`library.novels`,
+ * `chapters`, `settings`) and comprehensive backups (`data`,
+ * `data.rg_novel_library.novels`, `chapters`). Everything else in the file is
+ * one record per top-level key.
+ *
+ * Restore points are kept grandfather-father-son: the newest point of each of
+ * the last N hours, days, weeks and months, so recent history is fine-grained
+ * and old history thins out instead of being cut off.
+ *
+ * @typedef {Object} DeltaPatch
+ * @property {Object<string, *>} set    - Record key → new value
+ * @property {string[]}          remove - Record keys that no longer exist
+ *
+ * @typedef {Object} DeltaEnvelope
+ * @property {"rg-delta"} format
+ * @property {number}     formatVersion
+ * @property {string}     baseSnapshotId - snapshotId of the full backup it patches
+ * @property {string}     [baseFileId]   - Where that backup was uploaded
+ * @property {string}     [baseName]
+ * @property {number}     createdAt
+ * @property {DeltaPatch} patch
+ */
+
+import { hashValue } from "./library-merge.js";
+
+export const DELTA_FORMAT = "rg-delta";
+export const DELTA_FORMAT_VERSION = 1;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+// 1970-01-05 was a Monday; weeks are counted from there.
+const FIRST_MONDAY = 4 * DAY;
+
+export const DEFAULT_RETENTION_TIERS = {
+	hourly: 24,
+	daily: 7,
+	weekly: 4,
+	monthly: 12,
+};
+
+// storage.local key for optional per-tier counts overriding
+// DEFAULT_RETENTION_TIERS. Rolling backups and every destination that keeps
+// versioned files (Drive, WebDAV, OneDrive, Dropbox, S3, a local folder) read
+// it.
+export const RETENTION_TIERS_KEY = "rollingBackupRetention";
+
+export const DEFAULT_COMPACTION = {
+	// Patches since the base, before the next point is written in full.
+	maxChain: 30,
+	// Patches totalling more than this share of the base are no longer
+	// worth replaying.
+	maxRatio: 0.5,
+};
+
+// Maps split into one record per entry, deepest first so a nested map is
+// taken out of its parent before the parent is split.
+const RECORD_MAPS = [
+	["data", "rg_novel_library", "novels"],
+	["library", "novels"],
+	["chapters"],
+	["settings"],
+	["data"],
+].map((path) => ({ path, prefix: `${path.join(".")}/` }));
+
+const ROOT_PREFIX = "root/";
+
+const isPlainObject = (value) =>
+	value !== null && typeof value === "object" && !Array.isArray(value);
+
+function getPath(object, path) {
+	return path.reduce(
+		(node, key) => (isPlainObject(node) ? node[key] : undefined),
+		object,
+	);
+}
+
+// Copy each object along `path` so emptying the map leaves the input alone.
+function detachPath(object, path) {
+	let node = object;
+	for (const key of path.slice(0, -1)) {
+		if (!isPlainObject(node[key])) return null;
+		node[key] = { ...node[key] };
+		node = node[key];
+	}
+	return isPlainObject(node[path.at(-1)]) ? node : null;
+}
+
+/**
+ * Split a backup into records.
+ * @param {Object} snapshot
+ * @returns {Object<string, *>} Record key → value
+ */
+export function splitSnapshot(snapshot) {
+	const working = { ...snapshot };
+	const records = {};
+	for (const { path, prefix } of RECORD_MAPS) {
+		const parent = detachPath(working, path);
+		if (!parent) continue;
+		const last = path.at(-1);
+		for (const [key, value] of Object.entries(parent[last])) {
+			records[prefix + key] = value;
+		}
+		// An empty map stays behind as a marker, so joining knows the
+		// container existed.
+		parent[last] = {};
+	}
+	for (const [key, value] of Object.entries(working)) {
+		records[ROOT_PREFIX + key] = value;
+	}
+	return records;
+}
+
+/**
+ * Rebuild a backup from records; the inverse of splitSnapshot.
+ * @param {Object<string, *>} records
+ * @returns {Object}
+ */
+export function joinSnapshot(records) {
+	const snapshot = {};
+	const byMap = new Map(RECORD_MAPS.map((map) => [map.prefix, {}]));
+	for (const [recordKey, value] of Object.entries(records)) {
+		if (recordKey.startsWith(ROOT_PREFIX)) {
+			snapshot[recordKey.slice(ROOT_PREFIX.length)] =
+				structuredClone(value);
+			continue;
+		}
+		const map = RECORD_MAPS.find(({ prefix }) =>
+			recordKey.startsWith(prefix),
+		);
+		if (map) {
+			byMap.get(map.prefix)[recordKey.slice(map.prefix.length)] =
+				structuredClone(value);
+		}
+	}
+	for (const { path, prefix } of [...RECORD_MAPS].reverse()) {
+		const parent = getPath(snapshot, path.slice(0, -1));
+		const last = path.at(-1);
+		if (isPlainObject(parent) && isPlainObject(parent[last])) {
+			Object.assign(parent[last], byMap.get(prefix));
+		}
+	}
+	return snapshot;
+}
+
+/**
+ * Hash of every record. Enough to diff the next backup against, so the
+ * previous backup itself never has to be kept in memory or storage.
+ * @param {Object} snapshot
+ * @returns {Object<string, string>}
+ */
+export function digestSnapshot(snapshot) {
+	return Object.fromEntries(
+		Object.entries(splitSnapshot(snapshot)).map(([key, value]) => [
+			key,
+			hashValue(value),
+		]),
+	);
+}
+
+/**
+ * Identifier of a snapshot's content, derived from its digest. Timestamps
+ * are records like any other, so two backups made at different times differ.
+ * @param {Object<string, string>} digest
+ * @returns {string}
+ */
+export function snapshotIdFromDigest(digest) {
+	return hashValue(digest);
+}
+
+/**
+ * Patch from the snapshot `digest` describes to `snapshot`.
+ * @param {Object<string, string>} digest
+ * @param {Object} snapshot
+ * @returns {DeltaPatch}
+ */
+export function diffAgainstDigest(digest, snapshot) {
+	const records = splitSnapshot(snapshot);
+	const set = {};
+	for (const [key, value] of Object.entries(records)) {
+		if (digest[key] !== hashValue(value)) {
+			set[key] = value;
+		}
+	}
+	const remove = Object.keys(digest).filter((key) => !(key in records));
+	return { set, remove };
+}
+
+/**
+ * @param {Object} snapshot
+ * @param {DeltaPatch} patch
+ * @returns {Object} New snapshot; the input is not modified
+ */
+export function applyPatch(snapshot, patch) {
+	const records = splitSnapshot(snapshot);
+	for (const key of patch.remove || []) delete records[key];
+	Object.assign(records, patch.set || {});
+	return joinSnapshot(records);
+}
+
+/**
+ * One patch with the effect of `older` followed by `newer`.
+ * @param {DeltaPatch} older
+ * @param {DeltaPatch} newer
+ * @returns {DeltaPatch}
+ */
+export function composePatches(older, newer) {
+	const set = { ...(older.set || {}) };
+	for (const key of newer.remove || []) delete set[key];
+	Object.assign(set, newer.set || {});
+	const remove = [
+		...new Set([...(older.remove || []), ...(newer.remove || [])]),
+	].filter((key) => !(key in (newer.set || {})));
+	return { set, remove };
+}
+
+/** Serialised size of a patch or snapshot, in characters. */
+export function payloadSize(value) {
+	return JSON.stringify(value ?? null).length;
+}
+
+/**
+ * Whether the next restore point should be written in full.
+ * @param {{ chainLength: number, patchBytes: number, baseBytes: number }} chain
+ *   Patches (including the next one) since the base, and their total size
+ * @param {Partial<typeof DEFAULT_COMPACTION>} [limits]
+ * @returns {boolean}
+ */
+export function shouldCompact(
+	{ chainLength, patchBytes, baseBytes },
+	limits = {},
+) {
+	const { maxChain, maxRatio } = { ...DEFAULT_COMPACTION, ...limits };
+	if (!baseBytes) return true;
+	return chainLength > maxChain || patchBytes > baseBytes * maxRatio;
+}
+
+// ─── Delta envelopes (uploaded files) ─────────────────────────────────────────
+
+/**
+ * @param {Object} options
+ * @param {string} options.baseSnapshotId
+ * @param {DeltaPatch} options.patch
+ * @param {string} [options.baseFileId]
+ * @param {string} [options.baseName]
+ * @param {number} [options.createdAt]
+ * @returns {DeltaEnvelope}
+ */
+export function createDeltaEnvelope({
+	baseSnapshotId,
+	patch,
+	baseFileId,
+	baseName,
+	createdAt = Date.now(),
+}) {
+	return {
+		format: DELTA_FORMAT,
+		formatVersion: DELTA_FORMAT_VERSION,
+		baseSnapshotId,
+		baseFileId,
+		baseName,
+		createdAt,
+		patch,
+	};
+}
+
+export function isDeltaEnvelope(data) {
+	return isPlainObject(data) && data.format === DELTA_FORMAT;
+}
+
+/**
+ * Turn a downloaded file back into a full backup. Full backups pass through.
+ * The base is looked up by file id first; a destination that named its copy
+ * differently is searched for the matching snapshotId.
+ *
+ * @param {Object} data - Downloaded, already decrypted
+ * @param {Object} io
+ * @param {(fileId: string) => Promise<Object>} io.fetchBackup - Download and decrypt one file
+ * @param {() => Promise<Array<{id: string}>>} [io.listBackups] - Newest first
+ * @param {number} [io.searchLimit]
+ * @returns {Promise<Object>}
+ */
+export async function resolveDeltaBackup(
+	data,
+	{ fetchBackup, listBackups = async () => [], searchLimit = 10 },
+) {
+	if (!isDeltaEnvelope(data)) return data;
+	if (data.formatVersion > DELTA_FORMAT_VERSION) {
+		throw new Error(
+			"This backup was written by a newer version of the extension. Update the extension to restore it.",
+		);
+	}
+
+	const matches = (candidate) =>
+		candidate?.snapshotId === data.baseSnapshotId &&
+		!isDeltaEnvelope(candidate);
+
+	let base = null;
+	if (data.baseFileId) {
+		base = await fetchBackup(data.baseFileId).catch(() => null);
+	}
+	if (!matches(base)) {
+		base = null;
+		const files = (await listBackups()).slice(0, searchLimit);
+		for (const file of files) {
+			if (file.id === data.baseFileId) continue;
+			const candidate = await fetchBackup(file.id).catch(() => null);
+			if (matches(candidate)) {
+				base = candidate;
+				break;
+			}
+		}
+	}
+	if (!base) {
+		throw new Error(
+			"The full backup this incremental backup builds on is missing. Restore a full backup instead.",
+		);
+	}
+	return applyPatch(base, data.patch);
+}
+
+// ─── Grandfather-father-son retention ─────────────────────────────────────────
+
+const TIER_PERIODS = {
+	hourly: (time) => Math.floor(time / HOUR),
+	daily: (time) => Math.floor(time / DAY),
+	weekly: (time) => Math.floor((time - FIRST_MONDAY) / WEEK),
+	monthly: (time) => {
+		const date = new Date(time);
+		return date.getUTCFullYear() * 12 + date.getUTCMonth();
+	},
+};
+
+/**
+ * Which restore points to keep: the newest point overall, plus the newest
+ * point in each of the last `tiers[tier]` periods of every tier (UTC).
+ *
+ * @param {Array<{ id: string, createdAt: number }>} points
+ * @param {Object} [options]
+ * @param {Partial<typeof DEFAULT_RETENTION_TIERS>} [options.tiers]
+ * @param {number} [options.now]
+ * @returns {Map<string, string[]>} Kept id → tiers that keep it ("latest" for the newest)
+ */
+export function selectRetainedPoints(points, { tiers, now = Date.now() } = {}) {
+	const limits = { ...DEFAULT_RETENTION_TIERS, ...(tiers || {}) };
+	const newestFirst = [...points].sort((a, b) => b.createdAt - a.createdAt);
+	const kept = new Map();
+	if (newestFirst.length) kept.set(newestFirst[0].id, ["latest"]);
+
+	for (const [tier, count] of Object.entries(limits)) {
+		const period = TIER_PERIODS[tier];
+		if (!period || !(count > 0)) continue;
+		const current = period(now);
+		const seen = new Set();
+		for (const point of newestFirst) {
+			const bucket = period(point.createdAt);
+			if (current - bucket >= count || seen.has(bucket)) continue;
+			seen.add(bucket);
+			kept.set(point.id, [...(kept.get(point.id) || []), tier]);
+		}
+	}
+	return kept;
+}
+
+/**
+ * Backup files a destination no longer keeps: selectRetainedPoints over the
+ * files' modification times. For destinations that store one file per
+ * versioned backup and prune after each upload.
+ *
+ * @param {Array<{ id: string, modifiedTime: string }>} files
+ * @param {Object} [options] - As for selectRetainedPoints
+ * @returns {Array<{ id: string, modifiedTime: string }>} Files to delete
+ */
+export function selectExpiredBackupFiles(files, options) {
+	const kept = selectRetainedPoints(
+		files.map((file) => ({
+			id: file.id,
+			createdAt: Date.parse(file.modifiedTime) || 0,
+		})),
+		options,
+	);
+	return files.filter((file) => !kept.has(file.id));
+}
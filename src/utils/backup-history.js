@@ -0,0 +1,441 @@
+/**
+ * Backup history: what each novel and setting group looked like at every
+ * available restore point
+ *
+ * The settings page indexes the rolling backups in browser storage and the
+ * backups on the active sync destination, then shows per novel when its
+ * status, reading progress or metadata changed, and per setting group when
+ * any of its keys changed. Any one novel or setting group can be put back as
+ * it was at a point without touching the rest of the library.
+ *
+ * Library backups (`library.novels`, `settings`, chapters by novel id) and
+ * comprehensive backups (`data`, chapters by storage key) are both read.
+ *
+ * The index keeps, per novel and point, the canonical JSON of each field,
+ * interned so a value unchanged across twenty points is held once. Restoring
+ * loads the point again in full.
+ *
+ * @typedef {Object} HistoryPoint
+ * @property {string} id
+ * @property {"rolling"|"remote"} source
+ * @property {string} label
+ * @property {number} createdAt
+ *
+ * @typedef {Object} HistoryChange
+ * @property {"status"|"progress"|"metadata"} group
+ * @property {string} field
+ * @property {*}      from - undefined when the field was not set
+ * @property {*}      to
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {HistoryPoint}    point
+ * @property {"added"|"changed"|"removed"} kind
+ * @property {HistoryChange[]} changes
+ */
+
+import {
+	BACKUP_CREDENTIAL_KEYS,
+	NOVEL_CHAPTERS_KEY_PREFIX,
+} from "./constants.js";
+import { isDeviceSetting } from "./device-profiles.js";
+import { stableStringify } from "./library-merge.js";
+import { novelLibrary } from "./novel-library.js";
+
+// Every other novel field counts as metadata.
+export const NOVEL_FIELD_GROUPS = {
+	status: ["readingStatus", "readingLists", "lastPrimaryReadingStatus"],
+	progress: ["lastReadChapter", "lastReadUrl"],
+};
+
+// Changed on every visit or stamped by the library itself; a timeline of
+// these would bury the changes a reader is looking for.
+const UNTRACKED_NOVEL_FIELDS = new Set([
+	"fieldClock",
+	"lastAccessedAt",
+	"lastUpdated",
+	"lastMetadataUpdate",
+	"lastStatusChangedAt",
+	"editedFields",
+]);
+
+// Every setting in COMPREHENSIVE_BACKUP_KEYS belongs to exactly one group;
+// only the library, backup bookkeeping and device profiles are left out.
+export const SETTING_GROUPS = {
+	ai: {
+		label: "AI models & keys",
+		keys: [
+			"apiKey",
+			"backupApiKeys",
+			"selectedModelId",
+			"backupModelId",
+			"customEndpoint",
+			"customModelEndpoint",
+			"maxOutputTokens",
+			"temperature",
+			"customTemperature",
+			"topP",
+			"topK",
+			"primaryModelConfig",
+			"fallbackModelConfig",
+			"fallbackModelEnabled",
+			"fallbackChain",
+			"fallbackRules",
+		],
+	},
+	prompts: {
+		label: "Prompts",
+		keys: [
+			"promptTemplate",
+			"summaryPrompt",
+			"shortSummaryPrompt",
+			"permanentPrompt",
+			"siteSpecificPrompts",
+		],
+	},
+	enhancement: {
+		label: "Enhancement & content boxes",
+		keys: [
+			"chunkingEnabled",
+			"chunkSizeWords",
+			"chunkSummaryCount",
+			"enhancementGuardEnabled",
+			"useEmoji",
+			"autoEnhanceNovels",
+			"contentFilterSettings",
+			"rg_custom_box_types",
+		],
+	},
+	appearance: {
+		label: "Appearance & library",
+		keys: [
+			"themeSettings",
+			"fontSize",
+			"readingFont",
+			"rg_library_settings",
+		],
+	},
+	sites: {
+		label: "Site settings",
+		keys: ["siteSettingsApi", "rg_domain_settings", "rg_custom_sites"],
+	},
+	updates: {
+		label: "Auto-hold & update checks",
+		keys: [
+			"autoHoldEnabled",
+			"autoHoldDays",
+			"novelUpdateEnabled",
+			"novelUpdateIntervalDays",
+		],
+	},
+	backups: {
+		label: "Backup & sync",
+		keys: [
+			"driveClientId",
+			"driveClientSecret",
+			"driveFolderId",
+			"backupMode",
+			"driveAutoRestoreEnabled",
+			"driveAutoRestoreMergeMode",
+			"continuousBackupCheckIntervalMinutes",
+			"driveSyncIntervalMinutes",
+			"backupIncludeApiKeys",
+			"backupIncludeCredentials",
+			"rg_rolling_backup_enabled",
+			"rollingBackupIntervalMinutes",
+			"rollingBackupRetention",
+			"rg_backup_config",
+			"backupFolder",
+			"backupRetention",
+			"backupIntervalDays",
+			"s3Credentials",
+			"localFolderBackup",
+		],
+	},
+	loreweave: {
+		label: "LoreWeave",
+		keys: [
+			"loreWeaveUrl",
+			"loreWeaveDomainId",
+			"loreWeaveAutoGraphify",
+			"loreWeaveChronicleEnabled",
+			"loreWeaveUsePriorContext",
+			"loreWeaveWritingStyle",
+		],
+	},
+	other: {
+		label: "Other",
+		keys: ["debugMode"],
+	},
+};
+
+// Keys a backup leaves out when the user chose not to include them; their
+// absence says nothing about what was set at the time.
+const OPTIONAL_SETTING_KEYS = {
+	includesApiKeys: ["apiKey", "backupApiKeys"],
+	includesCredentials: BACKUP_CREDENTIAL_KEYS,
+};
+
+const isComprehensive = (backup) =>
+	!!backup?.data && typeof backup.data === "object";
+
+/** `{ [novelId]: novel }` from either backup shape. */
+export function backupNovels(backup) {
+	if (isComprehensive(backup)) {
+		return (
+			backup.data.rg_novel_library?.novels ||
+			backup.data.novelHistory ||
+			{}
+		);
+	}
+	return backup?.library?.novels || {};
+}
+
+/** A novel's stored chapter data, or undefined if the backup has none. */
+export function backupNovelChapters(backup, novelId) {
+	const chapters = backup?.chapters || {};
+	return isComprehensive(backup)
+		? chapters[`${NOVEL_CHAPTERS_KEY_PREFIX}${novelId}`]
+		: chapters[novelId];
+}
+
+/** Stored settings from either backup shape, keyed by storage key. */
+export function backupSettings(backup) {
+	return (isComprehensive(backup) ? backup.data : backup?.settings) || {};
+}
+
+function novelFieldGroup(field) {
+	for (const [group, fields] of Object.entries(NOVEL_FIELD_GROUPS)) {
+		if (fields.includes(field)) return group;
+	}
+	return "metadata";
+}
+
+function decode(json) {
+	return json === undefined ? undefined : JSON.parse(json);
+}
+
+/**
+ * Index of novel and setting versions across restore points. Add points in
+ * any order; timelines are always oldest to newest internally and returned
+ * newest first.
+ */
+export function createBackupHistoryIndex() {
+	const points = new Map();
+	const novels = new Map();
+	const settings = new Map();
+	const interned = new Map();
+
+	const intern = (value) => {
+		const json = stableStringify(value);
+		if (!interned.has(json)) interned.set(json, json);
+		return interned.get(json);
+	};
+
+	/**
+	 * @param {HistoryPoint} point
+	 * @param {Object} backup - Full (resolved, decrypted) backup
+	 */
+	function addPoint(point, backup) {
+		points.set(point.id, point);
+		for (const [novelId, novel] of Object.entries(backupNovels(backup))) {
+			if (!novel || typeof novel !== "object") continue;
+			const fields = {};
+			for (const [field, value] of Object.entries(novel)) {
+				if (UNTRACKED_NOVEL_FIELDS.has(field) || value === undefined) {
+					continue;
+				}
+				fields[field] = intern(value);
+			}
+			const entry = novels.get(novelId) || {
+				id: novelId,
+				title: novel.title || novelId,
+				titleAt: 0,
+				versions: new Map(),
+			};
+			if (point.createdAt >= entry.titleAt && novel.title) {
+				entry.title = novel.title;
+				entry.titleAt = point.createdAt;
+			}
+			entry.versions.set(point.id, fields);
+			novels.set(novelId, entry);
+		}
+
+		const stored = backupSettings(backup);
+		const groups = {};
+		for (const [group, { keys }] of Object.entries(SETTING_GROUPS)) {
+			const values = {};
+			for (const key of keys) {
+				if (stored[key] !== undefined) values[key] = stored[key];
+			}
+			groups[group] = intern(values);
+		}
+		settings.set(point.id, groups);
+	}
+
+	const chronological = () =>
+		[...points.values()].sort((a, b) => a.createdAt - b.createdAt);
+
+	/** Indexed points, newest first. */
+	function listPoints() {
+		return chronological().reverse();
+	}
+
+	/** Every novel seen in any point, by title. */
+	function listNovels() {
+		return [...novels.values()]
+			.map(({ id, title, versions }) => ({
+				id,
+				title,
+				pointCount: versions.size,
+			}))
+			.sort((a, b) => a.title.localeCompare(b.title));
+	}
+
+	/**
+	 * Points at which the novel was added, changed or removed.
+	 * @param {string} novelId
+	 * @returns {HistoryEntry[]} Newest first
+	 */
+	function novelTimeline(novelId) {
+		const versions = novels.get(novelId)?.versions;
+		if (!versions) return [];
+		const entries = [];
+		let previous;
+		for (const point of chronological()) {
+			const current = versions.get(point.id);
+			if (!current) {
+				if (previous) {
+					entries.push({ point, kind: "removed", changes: [] });
+				}
+				previous = undefined;
+				continue;
+			}
+			const changes = [];
+			const fields = new Set([
+				...Object.keys(previous || {}),
+				...Object.keys(current),
+			]);
+			for (const field of fields) {
+				if (previous?.[field] === current[field]) continue;
+				changes.push({
+					group: novelFieldGroup(field),
+					field,
+					from: decode(previous?.[field]),
+					to: decode(current[field]),
+				});
+			}
+			if (!previous) {
+				entries.push({ point, kind: "added", changes });
+			} else if (changes.length) {
+				entries.push({ point, kind: "changed", changes });
+			}
+			previous = current;
+		}
+		return entries.reverse();
+	}
+
+	/**
+	 * Points at which any key of a setting group changed.
+	 * @param {string} group - SETTING_GROUPS key
+	 * @returns {Array<{ point: HistoryPoint, keys: string[] }>} Newest first
+	 */
+	function settingsTimeline(group) {
+		const entries = [];
+		let previous;
+		for (const point of chronological()) {
+			const current = settings.get(point.id)?.[group];
+			if (current === undefined || current === previous) continue;
+			const before = decode(previous) || {};
+			const after = decode(current);
+			const keys = [
+				...new Set([...Object.keys(before), ...Object.keys(after)]),
+			].filter(
+				(key) =>
+					stableStringify(before[key]) !==
+					stableStringify(after[key]),
+			);
+			entries.push({ point, keys });
+			previous = current;
+		}
+		return entries.reverse();
+	}
+
+	return {
+		addPoint,
+		listPoints,
+		listNovels,
+		novelTimeline,
+		settingsTimeline,
+	};
+}
+
+/**
+ * Put one novel back as it was in `backup`, with its stored chapter data.
+ * Saving stamps the changed fields, so library sync carries the restore to
+ * other devices instead of undoing it.
+ *
+ * @param {Object} backup
+ * @param {string} novelId
+ * @param {Object} [deps]
+ * @param {Object} [deps.library] - NovelLibrary
+ * @returns {Promise<Object>} The restored novel
+ */
+export async function restoreNovelFromBackup(
+	backup,
+	novelId,
+	{ library = novelLibrary } = {},
+) {
+	const novel = backupNovels(backup)[novelId];
+	if (!novel) throw new Error("This backup does not contain that novel.");
+
+	const current = await library.getLibrary();
+	current.novels = {
+		...current.novels,
+		[novelId]: structuredClone(novel),
+	};
+	await library.saveLibrary(current);
+
+	const chapters = backupNovelChapters(backup, novelId);
+	if (chapters) {
+		await browser.storage.local.set({
+			[`${NOVEL_CHAPTERS_KEY_PREFIX}${novelId}`]: chapters,
+		});
+	}
+	return novel;
+}
+
+/**
+ * Put one setting group back as it was in `backup`. Keys the backup does not
+ * have were unset at the time and are removed, except in library backups,
+ * which never carried every setting, and keys the backup was made without.
+ * Device-local keys (font, theme, chunking) are left as they are, as on a
+ * full restore; they change only through device profiles.
+ *
+ * @param {Object} backup
+ * @param {string} group - SETTING_GROUPS key
+ * @returns {Promise<{ restored: string[], removed: string[], skipped: string[] }>}
+ */
+export async function restoreSettingGroupFromBackup(backup, group) {
+	const keys = SETTING_GROUPS[group]?.keys;
+	if (!keys) throw new Error(`Unknown setting group: ${group}`);
+
+	const stored = backupSettings(backup);
+	const skipped = new Set(
+		Object.entries(OPTIONAL_SETTING_KEYS)
+			.filter(([flag]) => backup?.metadata?.[flag] === false)
+			.flatMap(([, optional]) => optional),
+	);
+	const values = {};
+	const removed = [];
+	const deviceKeys = [];
+	for (const key of keys) {
+		if (skipped.has(key)) continue;
+		if (isDeviceSetting(key)) deviceKeys.push(key);
+		else if (stored[key] !== undefined) values[key] = stored[key];
+		else if (isComprehensive(backup)) removed.push(key);
+	}
+
+	if (Object.keys(values).length) await browser.storage.local.set(values);
+	if (removed.length) await browser.storage.local.remove(removed);
+	return { restored: Object.keys(values), removed, skipped: deviceKeys };
+}
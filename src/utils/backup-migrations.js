@@ -0,0 +1,308 @@
+/**
+ * Schema versions and migrations for backups and the stored library
+ *
+ * Every backup file and every library blob declares a `schemaVersion`. Older
+ * documents are brought forward by an ordered chain of pure migrations, one
+ * per version step (vN → vN+1), so a restore, a library import and the
+ * extension update all apply exactly the same changes. Documents from before
+ * `schemaVersion` existed count as version 1.
+ *
+ * A document newer than this build is refused rather than restored: fields
+ * this code does not know about would be dropped or misread silently.
+ *
+ * After migration, and before anything is written, the document is checked
+ * against docs/backup/ranobe-backup.schema.json, which the build copies to
+ * BACKUP_SCHEMA_PATH.
+ *
+ * The legacy `version` strings ("3.0" on backups, "2.0" on library exports,
+ * "1.0" on the library) are still written for older builds, which compare
+ * them, but nothing here reads them.
+ *
+ * @typedef {Object} MigrationNotes
+ * @property {Object<string, string>} renamedIds - Old novel id → new id, so
+ *   callers can move the chapter data stored under the old id
+ *
+ * @typedef {Object} Migration
+ * @property {number} from
+ * @property {number} to          - Always `from + 1`
+ * @property {string} description - Listed in the restore summary
+ * @property {(doc: Object, notes: MigrationNotes) => Object} migrate -
+ *   Returns a new document and never mutates its input
+ */
+
+import { NOVEL_CHAPTERS_KEY_PREFIX } from "./constants.js";
+import {
+	describeSchemaErrors,
+	validateJsonSchema,
+} from "./json-schema-lite.js";
+
+export const BACKUP_SCHEMA_VERSION = 2;
+export const LIBRARY_SCHEMA_VERSION = 2;
+
+/** Where the build puts the backup schema inside the extension. */
+export const BACKUP_SCHEMA_PATH = "schemas/ranobe-backup.schema.json";
+
+function isPlainObject(value) {
+	return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Before ids were built by generateNovelId they joined shelf and site id with
+// an underscore ("fanfiction_12345"); every id since has a hyphen.
+function isLegacyNovelId(id) {
+	return id.includes("_") && !id.includes("-");
+}
+
+/** @type {Migration[]} */
+export const LIBRARY_MIGRATIONS = [
+	{
+		from: 1,
+		to: 2,
+		description:
+			"novel ids use hyphens, every novel records its id, shelves always present",
+		migrate(library, notes) {
+			const source = isPlainObject(library.novels) ? library.novels : {};
+			const novels = {};
+			for (const [key, novel] of Object.entries(source)) {
+				const id = isLegacyNovelId(key) ? key.replace("_", "-") : key;
+				if (id !== key) {
+					// Already saved under the new id; the old copy is stale.
+					if (source[id]) continue;
+					notes.renamedIds[key] = id;
+				}
+				novels[id] =
+					isPlainObject(novel) && (id !== key || !novel.id)
+						? { ...novel, id }
+						: novel;
+			}
+			return {
+				...library,
+				novels,
+				shelves: isPlainObject(library.shelves) ? library.shelves : {},
+			};
+		},
+	},
+];
+
+/** @type {Migration[]} */
+export const BACKUP_MIGRATIONS = [
+	{
+		from: 1,
+		to: 2,
+		description: "envelope fields older backups could leave out",
+		migrate(backup) {
+			const createdAt = Number.isInteger(backup.createdAt)
+				? backup.createdAt
+				: Date.parse(backup.createdAtISO) || 0;
+			return {
+				...backup,
+				// Without a type nothing says which keys were chosen.
+				type: backup.type || "custom",
+				createdAt,
+				createdAtISO:
+					backup.createdAtISO || new Date(createdAt).toISOString(),
+				extensionVersion: backup.extensionVersion || "unknown",
+				browser: backup.browser || "unknown",
+				chapters: isPlainObject(backup.chapters) ? backup.chapters : {},
+			};
+		},
+	},
+];
+
+/**
+ * The schema version a document declares; 1 when it predates the field.
+ * @param {Object} doc - Backup or library
+ * @returns {number}
+ */
+export function readSchemaVersion(doc) {
+	const version = doc?.schemaVersion;
+	return Number.isInteger(version) && version >= 1 ? version : 1;
+}
+
+function runMigrations(doc, chain, current, refuse) {
+	const from = readSchemaVersion(doc);
+	if (from > current) throw new Error(refuse(from));
+
+	const notes = { renamedIds: {} };
+	const applied = [];
+	let result = doc;
+	for (let version = from; version < current; version++) {
+		const step = chain.find((migration) => migration.from === version);
+		if (!step) throw new Error(`No migration from schema v${version}`);
+		result = { ...step.migrate(result, notes), schemaVersion: step.to };
+		applied.push(step);
+	}
+	return { doc: result, from, to: current, applied, notes };
+}
+
+/**
+ * Bring a library blob up to LIBRARY_SCHEMA_VERSION.
+ * @param {Object} library
+ * @returns {{library: Object, from: number, to: number, applied: string[], renamedIds: Object<string, string>}}
+ * @throws {Error} When the library is from a newer version of the extension
+ */
+export function migrateLibrary(library) {
+	const { doc, from, to, applied, notes } = runMigrations(
+		library,
+		LIBRARY_MIGRATIONS,
+		LIBRARY_SCHEMA_VERSION,
+		(version) =>
+			`This library was saved by a newer version of Ranobe Gemini (library format v${version}; this version reads up to v${LIBRARY_SCHEMA_VERSION}). Update the extension and try again — nothing was changed.`,
+	);
+	return {
+		library: doc,
+		from,
+		to,
+		applied: applied.map(
+			(step) =>
+				`Library v${step.from} → v${step.to}: ${step.description}`,
+		),
+		renamedIds: notes.renamedIds,
+	};
+}
+
+/**
+ * Bring a comprehensive backup, and the library inside it, up to the current
+ * schema versions. Chapter data stored under a renamed novel id moves with it.
+ * @param {Object} backup
+ * @returns {{backup: Object, from: number, to: number, applied: string[]}}
+ * @throws {Error} When the backup or its library is from a newer version
+ */
+export function migrateBackup(backup) {
+	const { doc, from, to, applied } = runMigrations(
+		backup,
+		BACKUP_MIGRATIONS,
+		BACKUP_SCHEMA_VERSION,
+		(version) =>
+			`This backup was made by a newer version of Ranobe Gemini (${
+				backup.extensionVersion && backup.extensionVersion !== "unknown"
+					? `extension v${backup.extensionVersion}, `
+					: ""
+			}backup format v${version}; this version reads up to v${BACKUP_SCHEMA_VERSION}). Update the extension, then restore it again — nothing was changed.`,
+	);
+	const steps = applied.map(
+		(step) => `Backup v${step.from} → v${step.to}: ${step.description}`,
+	);
+
+	const library = doc.data?.rg_novel_library;
+	if (!isPlainObject(library)) {
+		return { backup: doc, from, to, applied: steps };
+	}
+	const migrated = migrateLibrary(library);
+	let chapters = doc.chapters;
+	for (const [oldId, newId] of Object.entries(migrated.renamedIds)) {
+		const oldKey = NOVEL_CHAPTERS_KEY_PREFIX + oldId;
+		const newKey = NOVEL_CHAPTERS_KEY_PREFIX + newId;
+		if (!chapters?.[oldKey] || chapters[newKey]) continue;
+		chapters = { ...chapters, [newKey]: chapters[oldKey] };
+		delete chapters[oldKey];
+	}
+	return {
+		backup: {
+			...doc,
+			data: { ...doc.data, rg_novel_library: migrated.library },
+			chapters,
+		},
+		from,
+		to,
+		applied: [...steps, ...migrated.applied],
+	};
+}
+
+/**
+ * Schema errors in a comprehensive backup.
+ * @param {Object} backup
+ * @param {Object} schema - The backup schema
+ * @param {Object} [options] - Passed on to validateJsonSchema
+ * @returns {import("./json-schema-lite.js").SchemaError[]}
+ */
+export function validateBackup(backup, schema, options = {}) {
+	return validateJsonSchema(backup, schema, options);
+}
+
+/**
+ * Schema errors in a library blob, checked against the schema's library
+ * definition.
+ * @param {Object} library
+ * @param {Object} schema - The backup schema
+ * @param {Object} [options] - Passed on to validateJsonSchema
+ * @returns {import("./json-schema-lite.js").SchemaError[]}
+ */
+export function validateLibrary(library, schema, options = {}) {
+	return validateJsonSchema(library, schema.$defs.library, {
+		...options,
+		root: schema,
+	});
+}
+
+let schemaPromise = null;
+
+/**
+ * The backup schema shipped with the extension, loaded once.
+ * @returns {Promise<Object>}
+ */
+export function loadBackupSchema() {
+	schemaPromise ??= fetch(browser.runtime.getURL(BACKUP_SCHEMA_PATH))
+		.then((response) => {
+			if (!response.ok) throw new Error(`HTTP ${response.status}`);
+			return response.json();
+		})
+		.catch((error) => {
+			schemaPromise = null;
+			throw new Error(
+				`The backup schema could not be loaded (${error.message}), so nothing was restored.`,
+			);
+		});
+	return schemaPromise;
+}
+
+/**
+ * Throw on schema errors; fields the schema does not know come back as
+ * warnings, since a newer build may add some and they are simply not restored.
+ * @param {(options: Object) => import("./json-schema-lite.js").SchemaError[]} validate
+ * @param {string} what
+ * @returns {string[]} Warnings for the restore summary
+ */
+function assertValid(validate, what) {
+	const warnings = [];
+	const errors = validate({ warnings });
+	if (errors.length > 0) {
+		throw new Error(
+			`${what} does not match the backup schema, so nothing was restored:\n${describeSchemaErrors(errors)}`,
+		);
+	}
+	return warnings.map(
+		(warning) => `Unknown field ${warning.path} was not restored`,
+	);
+}
+
+/**
+ * Migrate and validate a comprehensive backup before it is restored.
+ * @param {Object} backup
+ * @returns {Promise<{backup: Object, from: number, to: number, applied: string[], warnings: string[]}>}
+ * @throws {Error} Explaining why the backup cannot be restored
+ */
+export async function prepareBackupForRestore(backup) {
+	const result = migrateBackup(backup);
+	const schema = await loadBackupSchema();
+	const warnings = assertValid(
+		(options) => validateBackup(result.backup, schema, options),
+		"This backup",
+	);
+	return { ...result, warnings };
+}
+
+/**
+ * Migrate and validate the library of a library export before it is imported.
+ * @param {Object} library
+ * @returns {Promise<{library: Object, from: number, to: number, applied: string[], renamedIds: Object<string, string>, warnings: string[]}>}
+ * @throws {Error} Explaining why the library cannot be imported
+ */
+export async function prepareLibraryForImport(library) {
+	const result = migrateLibrary(library);
+	const schema = await loadBackupSchema();
+	const warnings = assertValid(
+		(options) => validateLibrary(result.library, schema, options),
+		"This library",
+	);
+	return { ...result, warnings };
+}
@@ -0,0 +1,301 @@
+/**
+ * Offline chapter archive
+ * Chapters downloaded by archive queue jobs, kept in IndexedDB so the library's
+ * archive page can open them with no network. One record per chapter, keyed by
+ * novel ID and chapter number; the enhanced version is stored next to the raw
+ * one when the job was asked to enhance.
+ *
+ * Markup is sanitised on the way in (same whitelist as EPUB export), so the
+ * reader can render records without re-checking them and ad/script leftovers
+ * from the source site never reach storage.
+ *
+ * @typedef {Object} ArchivedChapter
+ * @property {string}      id            - `${novelId}::${chapterNumber}`
+ * @property {string}      novelId
+ * @property {string}      novelTitle
+ * @property {number}      chapterNumber
+ * @property {string}      title
+ * @property {string}      url           - Page the chapter was fetched from
+ * @property {string}      rawHtml
+ * @property {string}      enhancedHtml  - Empty when not enhanced
+ * @property {number}      words
+ * @property {number}      savedAt
+ * @property {number|null} enhancedAt
+ */
+
+import { htmlToXhtml } from "./epub-builder.js";
+
+const DB_NAME = "RanobeGeminiChapterArchive";
+const DB_VERSION = 1;
+const STORE_NAME = "chapters";
+const NOVEL_INDEX = "novelId";
+
+let dbInstance = null;
+
+/**
+ * Record key for a chapter.
+ * @param {string} novelId
+ * @param {number} chapterNumber
+ * @returns {string}
+ */
+export function archiveRecordId(novelId, chapterNumber) {
+	return `${novelId}::${chapterNumber}`;
+}
+
+/**
+ * Make chapter markup safe to render with innerHTML: model code fences are
+ * dropped and only the EPUB export's tag whitelist survives.
+ * @param {string} html - Markup or plain text
+ * @returns {string}
+ */
+export function sanitizeChapterMarkup(html) {
+	// Model output sometimes arrives wrapped in ```html fences.
+	return htmlToXhtml(String(html || "").replace(/```[a-z]*\s*\n?/gi, ""));
+}
+
+/**
+ * Build a storable record from a fetched (and optionally enhanced) chapter.
+ * @param {Object} chapter
+ * @param {string} chapter.novelId
+ * @param {number} chapter.chapterNumber
+ * @param {string} [chapter.novelTitle]
+ * @param {string} [chapter.title]
+ * @param {string} [chapter.url]
+ * @param {string} [chapter.html]         - Raw chapter markup (or plain text)
+ * @param {string} [chapter.enhancedHtml]
+ * @param {number} [chapter.words]
+ * @param {number} [now]
+ * @returns {ArchivedChapter}
+ */
+export function buildArchiveRecord(chapter, now = Date.now()) {
+	if (!chapter?.novelId) throw new Error("Archived chapter needs a novelId");
+	const chapterNumber = Number(chapter.chapterNumber);
+	if (!Number.isFinite(chapterNumber)) {
+		throw new Error("Archived chapter needs a chapter number");
+	}
+	const enhancedHtml = sanitizeChapterMarkup(chapter.enhancedHtml);
+	return {
+		id: archiveRecordId(chapter.novelId, chapterNumber),
+		novelId: chapter.novelId,
+		novelTitle: chapter.novelTitle || "",
+		chapterNumber,
+		title: chapter.title || `Chapter ${chapterNumber}`,
+		url: chapter.url || "",
+		rawHtml: sanitizeChapterMarkup(chapter.html),
+		enhancedHtml,
+		words: chapter.words || 0,
+		savedAt: now,
+		enhancedAt: enhancedHtml ? now : null,
+	};
+}
+
+/**
+ * A record without its markup, for chapter lists.
+ * @param {ArchivedChapter} record
+ */
+export function toChapterSummary(record) {
+	return {
+		id: record.id,
+		novelId: record.novelId,
+		chapterNumber: record.chapterNumber,
+		title: record.title,
+		url: record.url,
+		words: record.words,
+		savedAt: record.savedAt,
+		enhanced: Boolean(record.enhancedHtml),
+	};
+}
+
+/**
+ * Group chapter records into one entry per novel, most recently saved first.
+ * @param {Iterable<ArchivedChapter>} records
+ * @returns {Array<{novelId: string, novelTitle: string, chapterCount: number, enhancedCount: number, firstChapter: number, lastChapter: number, lastSavedAt: number}>}
+ */
+export function summarizeArchivedNovels(records) {
+	const novels = new Map();
+	for (const record of records) {
+		let novel = novels.get(record.novelId);
+		if (!novel) {
+			novel = {
+				novelId: record.novelId,
+				novelTitle: record.novelTitle || record.novelId,
+				chapterCount: 0,
+				enhancedCount: 0,
+				firstChapter: record.chapterNumber,
+				lastChapter: record.chapterNumber,
+				lastSavedAt: 0,
+			};
+			novels.set(record.novelId, novel);
+		}
+		novel.chapterCount++;
+		if (record.enhancedHtml || record.enhanced) novel.enhancedCount++;
+		novel.firstChapter = Math.min(novel.firstChapter, record.chapterNumber);
+		novel.lastChapter = Math.max(novel.lastChapter, record.chapterNumber);
+		if (record.savedAt > novel.lastSavedAt) {
+			novel.lastSavedAt = record.savedAt;
+			if (record.novelTitle) novel.novelTitle = record.novelTitle;
+		}
+	}
+	return [...novels.values()].sort((a, b) => b.lastSavedAt - a.lastSavedAt);
+}
+
+/**
+ * Open or create the archive database
+ * @returns {Promise<IDBDatabase>}
+ */
+async function openDatabase() {
+	if (dbInstance) return dbInstance;
+
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+		request.onerror = () => {
+			console.warn(
+				"[ChapterArchive] Failed to open database:",
+				request.error,
+			);
+			reject(request.error);
+		};
+
+		request.onsuccess = () => {
+			dbInstance = request.result;
+			resolve(dbInstance);
+		};
+
+		request.onupgradeneeded = (event) => {
+			const db = event.target.result;
+			if (!db.objectStoreNames.contains(STORE_NAME)) {
+				const store = db.createObjectStore(STORE_NAME, {
+					keyPath: "id",
+				});
+				store.createIndex(NOVEL_INDEX, NOVEL_INDEX, { unique: false });
+			}
+		};
+	});
+}
+
+/**
+ * Run one request against the store and resolve with its result.
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+ */
+async function withStore(mode, makeRequest) {
+	const db = await openDatabase();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(STORE_NAME, mode);
+		const request = makeRequest(transaction.objectStore(STORE_NAME));
+		transaction.oncomplete = () => resolve(request.result);
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error);
+	});
+}
+
+/**
+ * Store a chapter, replacing any earlier copy. An existing enhanced version is
+ * kept when the new record has none, so re-downloading raw text does not throw
+ * away paid-for enhancement.
+ * @param {Object} chapter - Input for buildArchiveRecord
+ * @returns {Promise<ArchivedChapter>}
+ */
+export async function saveArchivedChapter(chapter) {
+	const record = buildArchiveRecord(chapter);
+	if (!record.enhancedHtml) {
+		const existing = await getArchivedChapter(
+			record.novelId,
+			record.chapterNumber,
+		);
+		if (existing?.enhancedHtml) {
+			record.enhancedHtml = existing.enhancedHtml;
+			record.enhancedAt = existing.enhancedAt;
+		}
+	}
+	await withStore("readwrite", (store) => store.put(record));
+	return record;
+}
+
+/**
+ * @param {string} novelId
+ * @param {number} chapterNumber
+ * @returns {Promise<ArchivedChapter|null>}
+ */
+export async function getArchivedChapter(novelId, chapterNumber) {
+	try {
+		const record = await withStore("readonly", (store) =>
+			store.get(archiveRecordId(novelId, chapterNumber)),
+		);
+		return record || null;
+	} catch (error) {
+		console.warn("[ChapterArchive] Error reading chapter:", error);
+		return null;
+	}
+}
+
+/**
+ * Chapters stored for a novel, in chapter order, without their markup.
+ * @param {string} novelId
+ */
+export async function listArchivedChapters(novelId) {
+	try {
+		const records = await withStore("readonly", (store) =>
+			store.index(NOVEL_INDEX).getAll(novelId),
+		);
+		return (records || [])
+			.map(toChapterSummary)
+			.sort((a, b) => a.chapterNumber - b.chapterNumber);
+	} catch (error) {
+		console.warn("[ChapterArchive] Error listing chapters:", error);
+		return [];
+	}
+}
+
+/**
+ * One entry per novel with stored chapters.
+ * Walks a cursor rather than getAll() so chapter markup is never held in
+ * memory all at once.
+ */
+export async function listArchivedNovels() {
+	try {
+		const db = await openDatabase();
+		const summaries = await new Promise((resolve, reject) => {
+			const rows = [];
+			const transaction = db.transaction(STORE_NAME, "readonly");
+			const request = transaction.objectStore(STORE_NAME).openCursor();
+			request.onsuccess = () => {
+				const cursor = request.result;
+				if (!cursor) return;
+				rows.push({
+					...toChapterSummary(cursor.value),
+					novelTitle: cursor.value.novelTitle,
+				});
+				cursor.continue();
+			};
+			transaction.oncomplete = () => resolve(rows);
+			transaction.onerror = () => reject(transaction.error);
+		});
+		return summarizeArchivedNovels(summaries);
+	} catch (error) {
+		console.warn("[ChapterArchive] Error listing novels:", error);
+		return [];
+	}
+}
+
+/**
+ * Remove every stored chapter of a novel.
+ * @param {string} novelId
+ * @returns {Promise<number>} Number of chapters removed
+ */
+export async function deleteArchivedNovel(novelId) {
+	const keys = await withStore("readonly", (store) =>
+		store.index(NOVEL_INDEX).getAllKeys(novelId),
+	);
+	if (!keys?.length) return 0;
+	const db = await openDatabase();
+	await new Promise((resolve, reject) => {
+		const transaction = db.transaction(STORE_NAME, "readwrite");
+		const store = transaction.objectStore(STORE_NAME);
+		for (const key of keys) store.delete(key);
+		transaction.oncomplete = () => resolve();
+		transaction.onerror = () => reject(transaction.error);
+	});
+	return keys.length;
+}
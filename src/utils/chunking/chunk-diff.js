@@ -0,0 +1,476 @@
+/**
+ * Chunk Diff - word-level comparison of an original chunk and its enhancement
+ *
+ * The toggle on a chunk banner shows one version or the other; this module
+ * shows what actually changed between them, and flags an enhancement whose
+ * length or cast of named characters strays from the original. DEFAULT_PROMPT
+ * forbids adding plot or characters, but a model that does so anyway produces
+ * fluent text that reads fine on its own — the deviation is only visible
+ * against the source.
+ *
+ * Pure string functions: no DOM, so the diff can be tested under Node and
+ * rendered by the content script with plain innerHTML.
+ */
+
+import { escapeHtml } from "../html-escape.js";
+
+/**
+ * When an enhancement counts as suspicious. Rewording a passage moves the word
+ * count a little and keeps every name; a hallucinated scene adds both words and
+ * names, a dropped one removes them.
+ */
+export const CHANGE_THRESHOLDS = {
+	// Percent change in word count, either direction
+	wordChangePercent: 40,
+	// Named entities in the enhancement that the original never mentions
+	addedEntities: 2,
+	// Named entities of the original the enhancement no longer mentions
+	droppedEntities: 3,
+	// Below this many words the ratio is noise (a one-line chunk, a heading)
+	minWordsForRatio: 30,
+};
+
+/**
+ * How far the diff searches, in edits from each end of a changed stretch,
+ * before reporting the rest of it as one rewrite. A default-size chunk
+ * rewritten end to end needs a few thousand; this guards a runaway response.
+ */
+export const MAX_DIFF_EDITS = 10_000;
+
+const PARAGRAPH = "\n";
+
+// Words that start many sentences or lines of dialogue; capitalised mid-sentence
+// they are still not names.
+const NOT_ENTITIES = new Set([
+	"i",
+	"i'm",
+	"i'll",
+	"i've",
+	"i'd",
+	"mr",
+	"mrs",
+	"ms",
+	"dr",
+	"sir",
+	"lady",
+	"lord",
+	"chapter",
+]);
+
+/**
+ * Plain text of a chunk with paragraph breaks kept as newlines. Chunks are
+ * stored as HTML (enhanced, and original on most sites) or as plain text.
+ * @param {string} content
+ * @returns {string}
+ */
+export function toDiffText(content) {
+	if (!content || typeof content !== "string") return "";
+	return content
+		.replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+		.replace(/<br\s*\/?>/gi, "\n")
+		.replace(/<\/(p|div|h[1-6]|li|blockquote|tr)>/gi, "\n")
+		.replace(/<[^>]*>/g, " ")
+		.replace(/&nbsp;/g, " ")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&#0?39;|&apos;/g, "'")
+		.replace(/&amp;/g, "&");
+}
+
+/**
+ * Words of a text, with a single PARAGRAPH token wherever a paragraph ends.
+ * @param {string} text - Plain text (see toDiffText)
+ * @returns {string[]}
+ */
+export function tokenizeWords(text) {
+	const tokens = [];
+	for (const line of String(text || "").split(/\n/)) {
+		const words = line.split(/\s+/).filter(Boolean);
+		if (!words.length) continue;
+		if (tokens.length) tokens.push(PARAGRAPH);
+		tokens.push(...words);
+	}
+	return tokens;
+}
+
+/**
+ * The point where a shortest edit path from (0, 0) to (a.length, b.length)
+ * crosses its middle: Myers' "middle snake", searched from both ends at once
+ * in linear space. Null when it lies further than MAX_DIFF_EDITS from both.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {[number, number]|null} Split indices into `a` and `b`
+ */
+function middleSnake(a, b) {
+	const n = a.length;
+	const m = b.length;
+	const maxD = Math.min(Math.ceil((n + m) / 2), MAX_DIFF_EDITS);
+	const offset = maxD;
+	const size = 2 * maxD + 2;
+	// forward[offset + k] / backward[offset + k]: furthest x reached on
+	// diagonal k (x - y); backward counts from the ends of both lists.
+	const forward = new Int32Array(size).fill(-1);
+	const backward = new Int32Array(size).fill(-1);
+	forward[offset + 1] = 0;
+	backward[offset + 1] = 0;
+	const delta = n - m;
+	// Which search can be the one to close the gap depends on its parity.
+	const forwardMeets = delta % 2 !== 0;
+	// Diagonals that ran off the grid are not searched again.
+	let forwardStart = 0;
+	let forwardEnd = 0;
+	let backwardStart = 0;
+	let backwardEnd = 0;
+
+	for (let d = 0; d < maxD; d++) {
+		for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+			const index = offset + k;
+			let x =
+				k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+					? forward[index + 1]
+					: forward[index - 1] + 1;
+			let y = x - k;
+			while (x < n && y < m && a[x] === b[y]) {
+				x++;
+				y++;
+			}
+			forward[index] = x;
+			if (x > n) {
+				forwardEnd += 2;
+			} else if (y > m) {
+				forwardStart += 2;
+			} else if (forwardMeets) {
+				const opposite = offset + delta - k;
+				if (
+					opposite >= 0 &&
+					opposite < size &&
+					backward[opposite] !== -1 &&
+					x >= n - backward[opposite]
+				) {
+					return [x, y];
+				}
+			}
+		}
+		for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+			const index = offset + k;
+			let x =
+				k === -d ||
+				(k !== d && backward[index - 1] < backward[index + 1])
+					? backward[index + 1]
+					: backward[index - 1] + 1;
+			let y = x - k;
+			while (x < n && y < m && a[n - x - 1] === b[m - y - 1]) {
+				x++;
+				y++;
+			}
+			backward[index] = x;
+			if (x > n) {
+				backwardEnd += 2;
+			} else if (y > m) {
+				backwardStart += 2;
+			} else if (!forwardMeets) {
+				const opposite = offset + delta - k;
+				if (
+					opposite >= 0 &&
+					opposite < size &&
+					forward[opposite] !== -1 &&
+					forward[opposite] >= n - x
+				) {
+					const splitX = forward[opposite];
+					return [splitX, splitX - (delta - k)];
+				}
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Append the edit script turning `a` into `b` to `ops`. Common ends are
+ * matched first; what differs is split at the middle snake and each half
+ * diffed the same way, so memory stays linear in the chunk and time grows
+ * with how much changed rather than with the chunk's size squared.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {Array<{type: "equal"|"insert"|"delete", token: string}>} ops
+ */
+function diffInto(a, b, ops) {
+	let start = 0;
+	while (start < a.length && start < b.length && a[start] === b[start]) {
+		start++;
+	}
+	let endA = a.length;
+	let endB = b.length;
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+	for (let i = 0; i < start; i++) ops.push({ type: "equal", token: a[i] });
+
+	const middleA = a.slice(start, endA);
+	const middleB = b.slice(start, endB);
+	const split =
+		middleA.length && middleB.length ? middleSnake(middleA, middleB) : null;
+	if (split) {
+		const [x, y] = split;
+		diffInto(middleA.slice(0, x), middleB.slice(0, y), ops);
+		diffInto(middleA.slice(x), middleB.slice(y), ops);
+	} else {
+		for (const token of middleA) ops.push({ type: "delete", token });
+		for (const token of middleB) ops.push({ type: "insert", token });
+	}
+
+	for (let i = endA; i < a.length; i++) {
+		ops.push({ type: "equal", token: a[i] });
+	}
+}
+
+/**
+ * Shortest edit script between two token lists (Myers' O(ND) diff).
+ * @returns {Array<{type: "equal"|"insert"|"delete", token: string}>}
+ */
+function diffTokens(before, after) {
+	const ops = [];
+	diffInto(before, after, ops);
+	return ops;
+}
+
+/**
+ * @typedef {Object} DiffSegment
+ * @property {"equal"|"insert"|"delete"|"replace"} type
+ * @property {string[]} [tokens]  - equal / insert / delete
+ * @property {string[]} [removed] - replace: the original words
+ * @property {string[]} [added]   - replace: the words that took their place
+ */
+
+/**
+ * Word-level diff of an original chunk and its enhancement. A deletion that
+ * sits directly against an insertion is one rewrite ("replace"), which is how
+ * most enhancement edits read.
+ * @param {string} original - Original chunk (HTML or text)
+ * @param {string} enhanced - Enhanced chunk (HTML or text)
+ * @returns {DiffSegment[]}
+ */
+export function diffWords(original, enhanced) {
+	const ops = diffTokens(
+		tokenizeWords(toDiffText(original)),
+		tokenizeWords(toDiffText(enhanced)),
+	);
+
+	const runs = [];
+	for (const op of ops) {
+		const last = runs[runs.length - 1];
+		if (last?.type === op.type) last.tokens.push(op.token);
+		else runs.push({ type: op.type, tokens: [op.token] });
+	}
+
+	const segments = [];
+	for (let k = 0; k < runs.length; k++) {
+		const run = runs[k];
+		const next = runs[k + 1];
+		if (
+			next &&
+			((run.type === "delete" && next.type === "insert") ||
+				(run.type === "insert" && next.type === "delete"))
+		) {
+			segments.push({
+				type: "replace",
+				removed: run.type === "delete" ? run.tokens : next.tokens,
+				added: run.type === "insert" ? run.tokens : next.tokens,
+			});
+			k++;
+		} else {
+			segments.push(run);
+		}
+	}
+	return segments;
+}
+
+/**
+ * Word counts per kind of change; paragraph breaks are not words.
+ * @param {DiffSegment[]} segments
+ * @returns {{unchanged: number, inserted: number, deleted: number, rewritten: number}}
+ */
+export function summarizeDiff(segments) {
+	const words = (tokens = []) =>
+		tokens.filter((token) => token !== PARAGRAPH).length;
+	const stats = { unchanged: 0, inserted: 0, deleted: 0, rewritten: 0 };
+	for (const segment of segments) {
+		if (segment.type === "equal") stats.unchanged += words(segment.tokens);
+		if (segment.type === "insert") stats.inserted += words(segment.tokens);
+		if (segment.type === "delete") stats.deleted += words(segment.tokens);
+		if (segment.type === "replace") {
+			stats.rewritten += Math.max(
+				words(segment.removed),
+				words(segment.added),
+			);
+		}
+	}
+	return stats;
+}
+
+const DIFF_STYLES = {
+	insert: "background: rgba(76, 175, 80, 0.25); text-decoration: none; border-radius: 2px;",
+	delete: "background: rgba(239, 68, 68, 0.2); text-decoration: line-through; opacity: 0.8; border-radius: 2px;",
+	replace: "border-bottom: 2px dotted #ff9800; border-radius: 2px;",
+};
+
+function renderTokens(tokens) {
+	let html = "";
+	for (const token of tokens) {
+		if (token === PARAGRAPH) html += "\n\n";
+		else
+			html += `${html && !html.endsWith("\n") ? " " : ""}${escapeHtml(token)}`;
+	}
+	return html;
+}
+
+/**
+ * HTML for a diff: insertions in green, deletions struck through in red,
+ * rewrites underlined with the old words before the new. Paragraph breaks are
+ * newlines, so the container needs `white-space: pre-wrap`.
+ * @param {DiffSegment[]} segments
+ * @returns {string}
+ */
+export function renderDiffHtml(segments) {
+	const parts = segments.map((segment) => {
+		switch (segment.type) {
+			case "insert":
+				return `<ins class="rg-diff-ins" style="${DIFF_STYLES.insert}">${renderTokens(segment.tokens)}</ins>`;
+			case "delete":
+				return `<del class="rg-diff-del" style="${DIFF_STYLES.delete}">${renderTokens(segment.tokens)}</del>`;
+			case "replace":
+				return `<span class="rg-diff-rewrite" style="${DIFF_STYLES.replace}" title="Rewritten"><del class="rg-diff-del" style="${DIFF_STYLES.delete}">${renderTokens(segment.removed)}</del> <ins class="rg-diff-ins" style="${DIFF_STYLES.insert}">${renderTokens(segment.added)}</ins></span>`;
+			default:
+				return renderTokens(segment.tokens);
+		}
+	});
+	// Segments meet mid-paragraph; rejoin with a space unless a break is there.
+	return parts.reduce(
+		(html, part) =>
+			!html || html.endsWith("\n") || part.startsWith("\n")
+				? html + part
+				: `${html} ${part}`,
+		"",
+	);
+}
+
+/**
+ * Capitalised words that are not the first word of a sentence: names of
+ * people, places, techniques. Crude, but a name the original never mentions
+ * is exactly what a hallucinated addition introduces.
+ * @param {string} text - Plain text (see toDiffText)
+ * @returns {Set<string>}
+ */
+export function extractNamedEntities(text) {
+	const entities = new Set();
+	// Each line starts a new sentence too (dialogue, headings).
+	for (const line of String(text || "").split(/\n/)) {
+		let sentenceStart = true;
+		for (const raw of line.split(/\s+/)) {
+			if (!raw) continue;
+			const word = raw.replace(/^[^\p{L}]+|[^\p{L}'’-]+$/gu, "");
+			const opensQuote = /^["“「]/.test(raw);
+			if (
+				!sentenceStart &&
+				!opensQuote &&
+				word.length > 1 &&
+				/^\p{Lu}/u.test(word) &&
+				!NOT_ENTITIES.has(word.toLowerCase().replace("’", "'"))
+			) {
+				entities.add(word.replace(/['’]s$/, ""));
+			}
+			sentenceStart = /[.!?…:]["”」]?$/.test(raw);
+		}
+	}
+	return entities;
+}
+
+/**
+ * @typedef {Object} ChangeAssessment
+ * @property {boolean}  suspicious
+ * @property {string[]} reasons         - One line per tripped threshold
+ * @property {number}   originalWords
+ * @property {number}   enhancedWords
+ * @property {number}   wordChangePercent
+ * @property {string[]} addedEntities   - Named in the enhancement only
+ * @property {string[]} droppedEntities - Named in the original only
+ */
+
+/**
+ * Whether an enhancement deviates from its original more than a rewrite
+ * should.
+ * @param {string} original - Original chunk (HTML or text)
+ * @param {string} enhanced - Enhanced chunk (HTML or text)
+ * @param {Partial<typeof CHANGE_THRESHOLDS>} [thresholds]
+ * @returns {ChangeAssessment}
+ */
+export function assessEnhancementChange(original, enhanced, thresholds = {}) {
+	const limits = { ...CHANGE_THRESHOLDS, ...thresholds };
+	const originalText = toDiffText(original);
+	const enhancedText = toDiffText(enhanced);
+	const originalWords = originalText.split(/\s+/).filter(Boolean).length;
+	const enhancedWords = enhancedText.split(/\s+/).filter(Boolean).length;
+	const wordChangePercent =
+		originalWords > 0
+			? Math.round(
+					((enhancedWords - originalWords) / originalWords) * 100,
+				)
+			: 0;
+
+	// A name counts as present if it appears anywhere, sentence start included.
+	const mentions = (text) => {
+		const lower = text.toLowerCase();
+		return (name) => lower.includes(name.toLowerCase());
+	};
+	const inOriginal = mentions(originalText);
+	const inEnhanced = mentions(enhancedText);
+	const addedEntities = [...extractNamedEntities(enhancedText)].filter(
+		(name) => !inOriginal(name),
+	);
+	const droppedEntities = [...extractNamedEntities(originalText)].filter(
+		(name) => !inEnhanced(name),
+	);
+
+	const reasons = [];
+	if (
+		originalWords >= limits.minWordsForRatio &&
+		Math.abs(wordChangePercent) > limits.wordChangePercent
+	) {
+		reasons.push(
+			`Word count changed ${wordChangePercent > 0 ? "+" : ""}${wordChangePercent}% (limit ±${limits.wordChangePercent}%)`,
+		);
+	}
+	if (addedEntities.length > limits.addedEntities) {
+		reasons.push(
+			`New names not in the original: ${addedEntities.join(", ")}`,
+		);
+	}
+	if (droppedEntities.length > limits.droppedEntities) {
+		reasons.push(
+			`Names missing from the enhancement: ${droppedEntities.join(", ")}`,
+		);
+	}
+
+	return {
+		suspicious: reasons.length > 0,
+		reasons,
+		originalWords,
+		enhancedWords,
+		wordChangePercent,
+		addedEntities,
+		droppedEntities,
+	};
+}
+
+export default {
+	CHANGE_THRESHOLDS,
+	toDiffText,
+	tokenizeWords,
+	diffWords,
+	summarizeDiff,
+	renderDiffHtml,
+	extractNamedEntities,
+	assessEnhancementChange,
+};
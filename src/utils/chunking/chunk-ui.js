@@ -87,10 +87,13 @@ export function getThemeColors() {
  * Create a chunk banner with controls (regenerate, toggle, delete)
  * @param {number} chunkIndex - Index of the chunk (0-based)
  * @param {number} totalChunks - Total number of chunks
- * @param {string} status - Status: 'pending', 'processing', 'completed', 'error', 'cached'
- * @param {string} errorMessage - Error message if status is 'error'
- * @param {Object} callbacks - Event handler callbacks { onRegenerate, onToggle, onDelete }
+ * @param {string} status - Status: 'pending', 'processing', 'completed', 'error', 'rejected', 'cached'
+ * @param {string} errorMessage - Error message if status is 'error', or why the enhancement guard
+ *   rejected the output if 'rejected' (the chunk keeps its original text)
+ * @param {Object} callbacks - Event handler callbacks { onRegenerate, onToggle, onDiff, onDelete }
  * @param {Object} cacheInfo - Cache metadata { fromCache: boolean, timestamp: number }
+ * @param {Object} wordCounts - { original, enhanced, change? } where `change` is an
+ *   assessEnhancementChange() result; a suspicious one is flagged on the banner
  * @returns {HTMLElement} The chunk banner element
  */
 export function createChunkBanner(
@@ -140,6 +143,10 @@ export function createChunkBanner(
 			statusIcon = "❌";
 			statusText = errorMessage || "Error";
 			break;
+		case "rejected":
+			statusIcon = "🛡️";
+			statusText = errorMessage || "Enhancement rejected, original kept";
+			break;
 		case "cached":
 			statusIcon = "✓";
 			statusText = `Cached${cacheTimeText}`;
@@ -177,7 +184,7 @@ export function createChunkBanner(
 		}
 	}
 
-	if (status === "paused") {
+	if (status === "paused" || status === "rejected") {
 		const dark = isDarkMode();
 		if (dark) {
 			bannerBg = "#3a2a1e"; // Dark amber tint
@@ -248,6 +255,26 @@ export function createChunkBanner(
 		`;
 	}
 
+	// Suspicious change: the enhancement strays from the original in length or
+	// names more than a rewrite should. Reasons go in the tooltip; the diff view
+	// shows where.
+	let suspiciousFlag = "";
+	if (wordCounts?.change?.suspicious) {
+		suspiciousFlag = `
+			<span class="rg-suspicious-change" title="${escapeHtml(wordCounts.change.reasons.join("\n"))}" style="
+				padding: 4px 10px;
+				background: rgba(255, 152, 0, 0.15);
+				border: 1px solid #ff9800;
+				border-radius: 12px;
+				font-size: 12px;
+				font-weight: 600;
+				color: #ff9800;
+				white-space: nowrap;
+				cursor: help;
+			">🚩 Suspicious change</span>
+		`;
+	}
+
 	banner.innerHTML = `
 		<div style="
 			display: flex;
@@ -281,6 +308,7 @@ export function createChunkBanner(
 						color: ${colors.onSurfaceVariant};
 						white-space: nowrap;
 					">Chunk ${chunkIndex + 1}/${totalChunks}</span>
+					${suspiciousFlag}
 				</div>
 				<div style="display: flex; gap: 8px; flex-wrap: nowrap;" class="chunk-controls">
 					<div class="chunk-navigation" style="display: flex; gap: 4px; margin-right: 8px; border-right: 1px solid ${colors.outline}; padding-right: 8px; flex-shrink: 0;">
@@ -478,7 +506,12 @@ export function createChunkBanner(
 	}
 
 	// Add regenerate button if completed or error
-	if (status === "completed" || status === "error" || status === "cached") {
+	if (
+		status === "completed" ||
+		status === "error" ||
+		status === "rejected" ||
+		status === "cached"
+	) {
 		const regenerateBtn = createMaterialButton(
 			"🔄 Regenerate",
 			"gemini-chunk-regenerate-btn",
@@ -512,6 +545,22 @@ export function createChunkBanner(
 			}
 		});
 		controlsContainer.appendChild(toggleBtn);
+
+		const diffBtn = createMaterialButton(
+			"± Diff",
+			"gemini-chunk-diff-btn",
+			"Show word-level changes from the original",
+			"neutral",
+		);
+		diffBtn.setAttribute("data-diff-active", "false");
+		diffBtn.addEventListener("click", (e) => {
+			e.preventDefault();
+			e.stopPropagation();
+			if (callbacks.onDiff) {
+				callbacks.onDiff(chunkIndex);
+			}
+		});
+		controlsContainer.appendChild(diffBtn);
 	}
 
 	// Add delete button if completed or cached
@@ -7,19 +7,25 @@ export * from "./chunk-config.js";
 export * from "./chunk-core.js";
 export * from "./chunk-cache.js";
 export * from "./chunk-ui.js";
+export * from "./chunk-diff.js";
 export * from "./chunk-summary-ui.js";
+export * from "./token-budget.js";
 
 // Re-export default objects for convenience
 import chunkConfig from "./chunk-config.js";
 import chunkCore from "./chunk-core.js";
 import chunkCache from "./chunk-cache.js";
 import chunkUI from "./chunk-ui.js";
+import chunkDiff from "./chunk-diff.js";
 import chunkSummaryUI from "./chunk-summary-ui.js";
+import tokenBudget from "./token-budget.js";
 
 export default {
 	config: chunkConfig,
 	core: chunkCore,
 	cache: chunkCache,
 	ui: chunkUI,
+	diff: chunkDiff,
 	summaryUI: chunkSummaryUI,
+	budget: tokenBudget,
 };
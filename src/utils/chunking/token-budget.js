@@ -0,0 +1,250 @@
+/**
+ * Token-budget chunk sizing.
+ *
+ * A fixed words-per-chunk number is wrong in both directions: a 8k-context
+ * Ollama model runs out of room and truncates its output, while a 1M-context
+ * Gemini model is sent a dozen small requests for one chapter. Here the chunk
+ * size is worked out from the model limits instead — those of the smallest
+ * model in the fallback chain, since a chunk the primary model fails on is
+ * sent on to the next one unchanged:
+ *
+ *   context window − prompt − history reserve  (shared by input and output)
+ *   max output tokens                           (caps the enhanced chunk)
+ *
+ * Enhanced text runs longer than its input, so both limits are divided by the
+ * expected growth before becoming an input budget. Tokens are estimated, not
+ * counted — no tokenizer ships with the extension — and converted to words
+ * with the chapter's own token density, so CJK text (about a token per
+ * character) and HTML-heavy markup get proportionally smaller chunks.
+ *
+ * Everything here reads only stored settings and the content being split.
+ * That matters: the content script builds the chunk placeholders and the
+ * background splits the text it is sent, and both must arrive at the same
+ * chunk count.
+ */
+
+import {
+	DEFAULT_CHUNK_SIZE_WORDS,
+	DEFAULT_MODEL_ID,
+	DEFAULT_OLLAMA_CONTEXT_TOKENS,
+	DEFAULT_PERMANENT_PROMPT,
+	DEFAULT_PROMPT,
+	MIN_CHUNK_WORDS,
+	PROVIDER_CONTEXT_TOKENS,
+	getModelContextTokens,
+} from "../constants.js";
+import {
+	buildCustomBoxPromptAppendix,
+	CUSTOM_BOX_TYPES_KEY,
+} from "../custom-box-types.js";
+import { countWords } from "./chunk-core.js";
+
+// English BPE tokenizers average about four characters per token.
+const CHARS_PER_TOKEN = 4;
+// Han, kana and Hangul: roughly one token per character.
+const WIDE_CHAR_PATTERN =
+	/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+// Enhanced output is allowed to run this much longer than its input.
+export const CHUNK_OUTPUT_GROWTH = 1.3;
+// Title, site/novel prompt and per-request instructions the background adds.
+export const CHUNK_PROMPT_RESERVE_TOKENS = 800;
+// Previous chunk's exchange, sent for continuity; capped for small contexts.
+export const CHUNK_HISTORY_RESERVE_TOKENS = 2000;
+const HISTORY_RESERVE_MAX_SHARE = 0.15;
+
+export const CHUNK_SIZING_MODES = Object.freeze({
+	AUTO: "auto",
+	FIXED: "fixed",
+});
+
+/**
+ * Storage keys the budget depends on. Callers that already read storage can
+ * fetch these alongside their own keys and pass the result in.
+ */
+export const CHUNK_BUDGET_SETTING_KEYS = [
+	"chunkSizingMode",
+	"chunkSizeWords",
+	"aiProvider",
+	"primaryModelConfig",
+	"selectedModelId",
+	"modelEndpoint",
+	"maxOutputTokens",
+	"ollamaContextTokens",
+	"fallbackModelEnabled",
+	"fallbackModelConfig",
+	"fallbackChain",
+	"defaultPrompt",
+	"permanentPrompt",
+	CUSTOM_BOX_TYPES_KEY,
+];
+
+/**
+ * Estimated token count for text as it will be sent (markup included).
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+	if (!text || typeof text !== "string") return 0;
+	const wide = text.match(WIDE_CHAR_PATTERN)?.length || 0;
+	const rest = text.length - wide;
+	return wide + Math.ceil(rest / CHARS_PER_TOKEN);
+}
+
+// Context window of one model slot (`{provider, modelId}`).
+function entryContextTokens({ provider, modelId }, settings) {
+	if (provider === "gemini") return getModelContextTokens(modelId);
+	if (provider === "ollama") {
+		return settings.ollamaContextTokens || DEFAULT_OLLAMA_CONTEXT_TOKENS;
+	}
+	return PROVIDER_CONTEXT_TOKENS[provider] || getModelContextTokens(modelId);
+}
+
+/**
+ * Context window and output cap of the primary model.
+ * @param {Object} settings - stored settings (see CHUNK_BUDGET_SETTING_KEYS)
+ * @returns {{provider: string, modelId: string, contextTokens: number, maxOutputTokens: number}}
+ */
+export function resolveModelLimits(settings = {}) {
+	const slot = settings.primaryModelConfig;
+	let provider = slot?.provider || settings.aiProvider || "gemini";
+	if (provider === "openai-compatible") provider = "openai";
+	const modelId =
+		provider === "gemini"
+			? slot?.modelId ||
+				settings.selectedModelId ||
+				settings.modelEndpoint?.split("/").pop().split(":")[0] ||
+				DEFAULT_MODEL_ID
+			: slot?.modelId || "";
+	return {
+		provider,
+		modelId,
+		contextTokens: entryContextTokens({ provider, modelId }, settings),
+		maxOutputTokens: settings.maxOutputTokens || 8192,
+	};
+}
+
+/**
+ * Limits of the smallest-context model a chunk may be sent to: the primary,
+ * or any fallback when fallbacks are enabled. The entries are the ones
+ * `buildFallbackChain` (background/ai/provider-registry.js) walks, read here
+ * from the same settings because the content script cannot load that module.
+ * @param {Object} settings - stored settings (see CHUNK_BUDGET_SETTING_KEYS)
+ * @returns {{provider: string, modelId: string, contextTokens: number, maxOutputTokens: number}}
+ */
+export function resolveChainLimits(settings = {}) {
+	let smallest = resolveModelLimits(settings);
+	if (!settings.fallbackModelEnabled) return smallest;
+
+	const fallbacks =
+		Array.isArray(settings.fallbackChain) && settings.fallbackChain.length
+			? settings.fallbackChain
+			: [settings.fallbackModelConfig];
+	for (const entry of fallbacks) {
+		if (!entry?.provider) continue;
+		const contextTokens = entryContextTokens(entry, settings);
+		if (contextTokens < smallest.contextTokens) {
+			smallest = {
+				...smallest,
+				provider: entry.provider,
+				modelId: entry.modelId || "",
+				contextTokens,
+			};
+		}
+	}
+	return smallest;
+}
+
+/**
+ * Input tokens one chunk may use.
+ * @param {{contextTokens: number, maxOutputTokens: number, promptTokens?: number}} limits
+ * @returns {number}
+ */
+export function computeChunkTokenBudget({
+	contextTokens,
+	maxOutputTokens,
+	promptTokens = 0,
+}) {
+	const historyTokens = Math.min(
+		CHUNK_HISTORY_RESERVE_TOKENS,
+		Math.floor(contextTokens * HISTORY_RESERVE_MAX_SHARE),
+	);
+	const shared = contextTokens - promptTokens - historyTokens;
+	// Input and its (longer) output both have to fit in what is left...
+	const byContext = shared / (1 + CHUNK_OUTPUT_GROWTH);
+	// ...and the output alone has to fit under the provider's cap.
+	const byOutput = maxOutputTokens / CHUNK_OUTPUT_GROWTH;
+	return Math.max(Math.floor(Math.min(byContext, byOutput)), 0);
+}
+
+/**
+ * Words per chunk for `content`, given the stored settings.
+ *
+ * `fixed` mode returns the configured word count untouched. `auto` turns the
+ * token budget into words using this content's own tokens-per-word.
+ *
+ * @param {string} content - the exact text that will be split
+ * @param {Object} settings - stored settings (see CHUNK_BUDGET_SETTING_KEYS)
+ * @returns {{chunkSizeWords: number, mode: string, budgetTokens?: number, limits?: Object}}
+ */
+export function resolveChunkSizeWords(content, settings = {}) {
+	const configured = settings.chunkSizeWords || DEFAULT_CHUNK_SIZE_WORDS;
+	if (settings.chunkSizingMode === CHUNK_SIZING_MODES.FIXED || !content) {
+		return { chunkSizeWords: configured, mode: CHUNK_SIZING_MODES.FIXED };
+	}
+
+	const limits = resolveChainLimits(settings);
+	const promptText = [
+		settings.defaultPrompt || DEFAULT_PROMPT,
+		settings.permanentPrompt || DEFAULT_PERMANENT_PROMPT,
+		buildCustomBoxPromptAppendix(settings[CUSTOM_BOX_TYPES_KEY]),
+	].join("\n\n");
+	const budgetTokens = computeChunkTokenBudget({
+		...limits,
+		promptTokens: estimateTokens(promptText) + CHUNK_PROMPT_RESERVE_TOKENS,
+	});
+
+	const words = countWords(content);
+	const tokensPerWord = words > 0 ? estimateTokens(content) / words : 1.3;
+	const chunkSizeWords = Math.max(
+		Math.floor(budgetTokens / tokensPerWord),
+		MIN_CHUNK_WORDS,
+	);
+	return {
+		chunkSizeWords,
+		mode: CHUNK_SIZING_MODES.AUTO,
+		budgetTokens,
+		limits,
+	};
+}
+
+/**
+ * `resolveChunkSizeWords` with settings read from storage. This is the one
+ * entry point both the content script and the background use.
+ * @param {string} content
+ * @param {{get: Function}} [storage]
+ */
+export async function getChunkSizeForContent(
+	content,
+	storage = browser.storage.local,
+) {
+	let settings = {};
+	try {
+		settings = await storage.get(CHUNK_BUDGET_SETTING_KEYS);
+	} catch (error) {
+		console.warn("Failed to load chunk budget settings:", error);
+	}
+	return resolveChunkSizeWords(content, settings);
+}
+
+export default {
+	CHUNK_BUDGET_SETTING_KEYS,
+	CHUNK_OUTPUT_GROWTH,
+	CHUNK_SIZING_MODES,
+	computeChunkTokenBudget,
+	estimateTokens,
+	getChunkSizeForContent,
+	resolveChainLimits,
+	resolveChunkSizeWords,
+	resolveModelLimits,
+};
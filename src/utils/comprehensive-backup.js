@@ -8,7 +8,12 @@
  */
 
 import { debugLog, debugError } from "./logger.js";
-import { COMPREHENSIVE_BACKUP_KEYS } from "./constants.js";
+import {
+	BACKUP_CREDENTIAL_KEYS,
+	COMPREHENSIVE_BACKUP_KEYS,
+	DEVICE_PROFILES_KEY,
+	NOVEL_CHAPTERS_KEY_PREFIX,
+} from "./constants.js";
 import {
 	decryptBackupEnvelope,
 	encryptBackupEnvelope,
@@ -17,10 +22,30 @@ import {
 	isBackupEncryptionEnabled,
 	isEncryptedEnvelope,
 } from "./backup-crypto.js";
+import { buildLibraryReview, resolveLibraryReview } from "./library-review.js";
+import {
+	applyPatch,
+	composePatches,
+	diffAgainstDigest,
+	digestSnapshot,
+	payloadSize,
+	RETENTION_TIERS_KEY,
+	selectRetainedPoints,
+	shouldCompact,
+} from "./backup-delta.js";
+import {
+	BACKUP_SCHEMA_VERSION,
+	migrateBackup,
+	prepareBackupForRestore,
+} from "./backup-migrations.js";
+import { isDeviceSetting, restoreDeviceProfiles } from "./device-profiles.js";
+import { mirrorRollingBackupToFolder } from "../background/storage/adapters/local-folder-storage.js";
 
 const ROLLING_BACKUP_KEY = "rg_rolling_backup";
 const ROLLING_BACKUP_METADATA_KEY = "rg_rolling_backup_meta";
-const MAX_ROLLING_BACKUPS = 5;
+const ROLLING_BACKUP_DIGEST_KEY = "rg_rolling_backup_digest";
+// Legacy format version, still compared by older builds; migrations follow
+// BACKUP_SCHEMA_VERSION (backup-migrations.js).
 const BACKUP_VERSION = "3.0";
 
 // Get extension version from manifest
@@ -84,7 +109,7 @@ export async function createComprehensiveBackup(options = {}) {
 		// Filter out credentials if not wanted
 		if (!includeCredentials) {
 			keysToBackup = keysToBackup.filter(
-				(k) => !["driveClientId", "driveClientSecret"].includes(k),
+				(k) => !BACKUP_CREDENTIAL_KEYS.includes(k),
 			);
 		}
 
@@ -105,7 +130,7 @@ export async function createComprehensiveBackup(options = {}) {
 		) {
 			const fullStorage = await browser.storage.local.get(null);
 			for (const key in fullStorage) {
-				if (key.startsWith("novel_chapters_")) {
+				if (key.startsWith(NOVEL_CHAPTERS_KEY_PREFIX)) {
 					chaptersData[key] = fullStorage[key];
 				}
 			}
@@ -117,6 +142,7 @@ export async function createComprehensiveBackup(options = {}) {
 			$schema:
 				"https://ranobe.vkrishna04.me/schemas/ranobe-backup.schema.json",
 			version: BACKUP_VERSION,
+			schemaVersion: BACKUP_SCHEMA_VERSION,
 			type,
 			createdAt: Date.now(),
 			createdAtISO: new Date().toISOString(),
@@ -150,6 +176,12 @@ export async function createComprehensiveBackup(options = {}) {
  * @param {string} options.mode - 'merge' or 'replace'
  * @param {boolean} options.restoreCredentials - Restore OAuth credentials
  * @param {boolean} options.restoreApiKeys - Restore API keys
+ * @param {boolean} [options.restoreDeviceSettings=false] - Also restore the
+ *   backup's theme, reading text and chunking settings instead of keeping
+ *   this browser's (see device-profiles.js)
+ * @param {Object} [options.reviewChoices] - Per-novel, per-field choices from
+ *   the conflict review (see previewLibraryRestore); fields without a choice
+ *   keep the newer value in merge mode and the backup's value in replace mode
  * @returns {Promise<Object>} Restore result
  */
 export async function restoreComprehensiveBackup(backup, options = {}) {
@@ -157,6 +189,8 @@ export async function restoreComprehensiveBackup(backup, options = {}) {
 		mode = "merge",
 		restoreCredentials = false,
 		restoreApiKeys = true,
+		restoreDeviceSettings = false,
+		reviewChoices = {},
 	} = options;
 
 	try {
@@ -164,29 +198,26 @@ export async function restoreComprehensiveBackup(backup, options = {}) {
 			throw new Error("Invalid backup format");
 		}
 
-		// Comprehensive version checking
+		// Refuses backups from newer versions and anything that still
+		// fails the schema after migration, before a single key is written.
+		const migration = await prepareBackupForRestore(backup);
+		backup = migration.backup;
+
 		const currentExtVersion = getExtensionVersion();
 		const backupExtVersion = backup.extensionVersion || "unknown";
-		const backupVersion = parseFloat(backup.version) || 1.0;
-		const currentVersion = parseFloat(BACKUP_VERSION) || 3.0;
 
-		// Version compatibility warnings
 		const versionInfo = {
 			backupFormatVersion: backup.version,
+			backupSchemaVersion: migration.from,
 			backupExtensionVersion: backupExtVersion,
 			currentFormatVersion: BACKUP_VERSION,
+			currentSchemaVersion: migration.to,
 			currentExtensionVersion: currentExtVersion,
+			migrations: migration.applied,
 			compatible: true,
-			warnings: [],
+			warnings: [...migration.warnings],
 		};
 
-		// Check format version compatibility
-		if (backupVersion > currentVersion) {
-			versionInfo.warnings.push(
-				`Backup format v${backup.version} is newer than current v${BACKUP_VERSION}. Some data may not restore correctly.`,
-			);
-		}
-
 		// Check extension version mismatch
 		if (backupExtVersion !== "unknown" && currentExtVersion !== "unknown") {
 			const backupMajor = parseInt(backupExtVersion.split(".")[0]);
@@ -196,20 +227,9 @@ export async function restoreComprehensiveBackup(backup, options = {}) {
 				versionInfo.warnings.push(
 					`Backup from extension v${backupExtVersion} is newer than current v${currentExtVersion}. Consider updating the extension.`,
 				);
-			} else if (backupMajor < currentMajor) {
-				versionInfo.warnings.push(
-					`Backup from extension v${backupExtVersion} is older than current v${currentExtVersion}. Data will be migrated.`,
-				);
 			}
 		}
 
-		// Legacy format detection (version < 2.0)
-		if (backupVersion < 2.0) {
-			versionInfo.warnings.push(
-				"Legacy backup format detected. Some settings may need reconfiguration.",
-			);
-		}
-
 		debugLog("Backup version check:", versionInfo);
 
 		const results = {
@@ -224,9 +244,8 @@ export async function restoreComprehensiveBackup(backup, options = {}) {
 
 		// Filter out credentials if not wanted
 		if (!restoreCredentials) {
-			delete dataToRestore.driveClientId;
-			delete dataToRestore.driveClientSecret;
-			results.skippedKeys.push("driveClientId", "driveClientSecret");
+			for (const key of BACKUP_CREDENTIAL_KEYS) delete dataToRestore[key];
+			results.skippedKeys.push(...BACKUP_CREDENTIAL_KEYS);
 		}
 
 		if (!restoreApiKeys) {
@@ -235,6 +254,40 @@ export async function restoreComprehensiveBackup(backup, options = {}) {
 			results.skippedKeys.push("apiKey", "backupApiKeys");
 		}
 
+		// Device settings come back through this browser's device profile,
+		// not from whichever device made the backup.
+		const incomingProfiles = dataToRestore[DEVICE_PROFILES_KEY];
+		delete dataToRestore[DEVICE_PROFILES_KEY];
+		if (!restoreDeviceSettings) {
+			const deviceKeys =
+				Object.keys(dataToRestore).filter(isDeviceSetting);
+			for (const key of deviceKeys) delete dataToRestore[key];
+			results.skippedKeys.push(...deviceKeys);
+		}
+
+		// The library is never written over wholesale: novels in both go
+		// through the review choices, and merge mode keeps novels only this
+		// browser has.
+		if (dataToRestore.rg_novel_library?.novels) {
+			const { rg_novel_library: existingLibrary } =
+				await browser.storage.local.get("rg_novel_library");
+			if (existingLibrary?.novels) {
+				const novels = resolveLibraryReview(
+					existingLibrary.novels,
+					dataToRestore.rg_novel_library.novels,
+					reviewChoices,
+					mode === "merge" ? "newest" : "remote",
+				);
+				dataToRestore.rg_novel_library = {
+					...dataToRestore.rg_novel_library,
+					novels:
+						mode === "merge"
+							? { ...existingLibrary.novels, ...novels }
+							: novels,
+				};
+			}
+		}
+
 		if (mode === "merge") {
 			// Merge with existing data
 			const existingData = await browser.storage.local.get(
@@ -258,6 +311,15 @@ export async function restoreComprehensiveBackup(backup, options = {}) {
 		// Restore main data
 		await browser.storage.local.set(dataToRestore);
 
+		if (incomingProfiles) {
+			const applied = await restoreDeviceProfiles(incomingProfiles, {
+				merge: mode === "merge",
+				apply: !restoreDeviceSettings,
+			});
+			results.restoredKeys.push(DEVICE_PROFILES_KEY);
+			results.deviceProfile = applied?.name || null;
+		}
+
 		// Restore chapters data if present
 		if (backup.chapters && Object.keys(backup.chapters).length > 0) {
 			await browser.storage.local.set(backup.chapters);
@@ -274,6 +336,22 @@ export async function restoreComprehensiveBackup(backup, options = {}) {
 	}
 }
 
+/**
+ * What restoring a backup would change in novels this browser already has,
+ * for the conflict review screen. Nothing is written.
+ * @param {Object} backup - Comprehensive backup object
+ * @returns {Promise<import("./library-review.js").ReviewItem[]>}
+ */
+export async function previewLibraryRestore(backup) {
+	if (!backup?.data?.rg_novel_library) return [];
+	// Same ids the restore will write, so choices line up with them.
+	const incoming = migrateBackup(backup).backup.data.rg_novel_library.novels;
+	if (!incoming) return [];
+	const { rg_novel_library: existingLibrary } =
+		await browser.storage.local.get("rg_novel_library");
+	return buildLibraryReview(existingLibrary?.novels || {}, incoming);
+}
+
 /**
  * Smart merge library data
  */
@@ -314,15 +392,109 @@ function smartMergeLibrary(existing, incoming) {
 	return merged;
 }
 
+// ─── Rolling backups ───────────────────────────────────────────────────────────
+//
+// Restore points are a chain in storage.local: a full backup ("base") and,
+// after it, patches holding only what changed since the point before
+// (utils/backup-delta.js). Metadata is newest first; a patch builds on the
+// entry after it. Points written before deltas existed are full backups and
+// count as bases.
+
+function isBasePoint(entry) {
+	return entry?.kind !== "delta";
+}
+
+async function readRollingMetadata() {
+	const result = await browser.storage.local.get(ROLLING_BACKUP_METADATA_KEY);
+	return result[ROLLING_BACKUP_METADATA_KEY] || [];
+}
+
+/**
+ * Full backup at `metadata[index]`: its base, with every patch from there up
+ * to the point applied.
+ */
+async function reconstructRollingPoint(metadata, index) {
+	let baseIndex = index;
+	while (baseIndex < metadata.length && !isBasePoint(metadata[baseIndex])) {
+		baseIndex++;
+	}
+	if (baseIndex >= metadata.length) {
+		throw new Error("Rolling backup chain is missing its full backup.");
+	}
+	const keys = metadata.slice(index, baseIndex + 1).map((m) => m.key);
+	const stored = await browser.storage.local.get(keys);
+	let backup = stored[metadata[baseIndex].key];
+	if (!backup) throw new Error("Rolling backup not found.");
+	for (let i = baseIndex - 1; i >= index; i--) {
+		const point = stored[metadata[i].key];
+		if (!point?.patch) throw new Error("Rolling backup patch not found.");
+		backup = applyPatch(backup, point.patch);
+	}
+	return backup;
+}
+
+/**
+ * Remove one point without breaking the chain: its patch is folded into the
+ * next newer point, and if it was a base the newer point is written in full.
+ * Returns the updated metadata.
+ */
+async function dropRollingPoint(metadata, index) {
+	const entry = metadata[index];
+	const newer = metadata[index - 1];
+	if (newer && !isBasePoint(newer)) {
+		if (isBasePoint(entry)) {
+			const full = await reconstructRollingPoint(metadata, index - 1);
+			await browser.storage.local.set({ [newer.key]: full });
+			metadata[index - 1] = {
+				...newer,
+				kind: "base",
+				bytes: payloadSize(full),
+			};
+		} else {
+			const stored = await browser.storage.local.get([
+				entry.key,
+				newer.key,
+			]);
+			const patch = composePatches(
+				stored[entry.key].patch,
+				stored[newer.key].patch,
+			);
+			await browser.storage.local.set({ [newer.key]: { patch } });
+			metadata[index - 1] = { ...newer, bytes: payloadSize(patch) };
+		}
+	}
+	await browser.storage.local.remove(entry.key);
+	return metadata.filter((_, i) => i !== index);
+}
+
+/** Drop every point the retention tiers no longer keep, oldest first. */
+async function pruneRollingBackups(metadata, tiers, now) {
+	const kept = selectRetainedPoints(
+		metadata.map((m) => ({ id: m.key, createdAt: m.timestamp })),
+		{ tiers, now },
+	);
+	let next = metadata.map((m) => ({ ...m, tiers: kept.get(m.key) || [] }));
+	for (let i = next.length - 1; i >= 0; i--) {
+		if (!kept.has(next[i].key)) {
+			next = await dropRollingPoint(next, i);
+		}
+	}
+	return next;
+}
+
 /**
  * Create a rolling backup (stored in browser storage)
- * Called automatically on significant changes
+ * Called automatically on significant changes. Written as a patch against
+ * the previous point unless the chain is due for compaction; old points are
+ * thinned out by the hourly/daily/weekly/monthly retention tiers.
  */
 export async function createRollingBackup(reason = "auto") {
 	try {
 		const prefs = await browser.storage.local.get([
 			"backupIncludeApiKeys",
 			"backupIncludeCredentials",
+			RETENTION_TIERS_KEY,
+			ROLLING_BACKUP_DIGEST_KEY,
 		]);
 		const includeApiKeys = prefs.backupIncludeApiKeys ?? true;
 		const includeCredentials = prefs.backupIncludeCredentials ?? true;
@@ -336,37 +508,60 @@ export async function createRollingBackup(reason = "auto") {
 		backup.reason = reason;
 		backup.isRolling = true;
 
-		// Get existing rolling backups
-		const result = await browser.storage.local.get(
-			ROLLING_BACKUP_METADATA_KEY,
-		);
-		const metadata = result[ROLLING_BACKUP_METADATA_KEY] || [];
+		const metadata = await readRollingMetadata();
+		const backupKey = `${ROLLING_BACKUP_KEY}_${backup.createdAt}`;
+
+		// A patch needs the digest of the point it builds on; without one
+		// (first point, or a point removed since) this one is a base.
+		let kind = "base";
+		let payload = backup;
+		const previous = prefs[ROLLING_BACKUP_DIGEST_KEY];
+		if (metadata[0] && previous?.key === metadata[0].key) {
+			const patch = diffAgainstDigest(previous.digest, backup);
+			const baseIndex = metadata.findIndex(isBasePoint);
+			const chain = metadata.slice(0, baseIndex);
+			if (
+				baseIndex !== -1 &&
+				!shouldCompact({
+					chainLength: chain.length + 1,
+					patchBytes:
+						payloadSize(patch) +
+						chain.reduce((sum, m) => sum + (m.bytes || 0), 0),
+					baseBytes: metadata[baseIndex].bytes,
+				})
+			) {
+				kind = "delta";
+				payload = { patch };
+			}
+		}
 
-		// Add new backup
-		const backupKey = `${ROLLING_BACKUP_KEY}_${Date.now()}`;
 		metadata.unshift({
 			key: backupKey,
 			timestamp: backup.createdAt,
 			reason,
 			novelCount: backup.metadata.novelCount,
+			kind,
+			bytes: payloadSize(payload),
+		});
+		await browser.storage.local.set({
+			[backupKey]: payload,
+			[ROLLING_BACKUP_DIGEST_KEY]: {
+				key: backupKey,
+				digest: digestSnapshot(backup),
+			},
 		});
 
-		// Keep only MAX_ROLLING_BACKUPS
-		const toDelete = metadata.slice(MAX_ROLLING_BACKUPS);
-		const toKeep = metadata.slice(0, MAX_ROLLING_BACKUPS);
-
-		// Delete old backups
-		for (const old of toDelete) {
-			await browser.storage.local.remove(old.key);
-		}
-
-		// Save new backup and updated metadata
+		const toKeep = await pruneRollingBackups(
+			metadata,
+			prefs[RETENTION_TIERS_KEY],
+			backup.createdAt,
+		);
 		await browser.storage.local.set({
-			[backupKey]: backup,
 			[ROLLING_BACKUP_METADATA_KEY]: toKeep,
 		});
 
-		debugLog(`✓ Rolling backup created (${reason}):`, backupKey);
+		debugLog(`✓ Rolling backup created (${reason}, ${kind}):`, backupKey);
+		await mirrorRollingBackupToFolder(backup);
 		return { key: backupKey, backup };
 	} catch (error) {
 		debugError("Failed to create rolling backup:", error);
@@ -379,10 +574,7 @@ export async function createRollingBackup(reason = "auto") {
  */
 export async function listRollingBackups() {
 	try {
-		const result = await browser.storage.local.get(
-			ROLLING_BACKUP_METADATA_KEY,
-		);
-		const metadata = result[ROLLING_BACKUP_METADATA_KEY] || [];
+		const metadata = await readRollingMetadata();
 
 		return metadata.map((m) => ({
 			...m,
@@ -395,12 +587,17 @@ export async function listRollingBackups() {
 }
 
 /**
- * Get a specific rolling backup
+ * Get a specific rolling backup, rebuilt in full from its chain
  */
 export async function getRollingBackup(key) {
 	try {
-		const result = await browser.storage.local.get(key);
-		return result[key] || null;
+		const metadata = await readRollingMetadata();
+		const index = metadata.findIndex((m) => m.key === key);
+		if (index === -1) {
+			const result = await browser.storage.local.get(key);
+			return result[key] || null;
+		}
+		return await reconstructRollingPoint(metadata, index);
 	} catch (error) {
 		debugError("Failed to get rolling backup:", error);
 		return null;
@@ -412,17 +609,15 @@ export async function getRollingBackup(key) {
  */
 export async function deleteRollingBackup(key) {
 	try {
-		await browser.storage.local.remove(key);
-
-		const result = await browser.storage.local.get(
-			ROLLING_BACKUP_METADATA_KEY,
-		);
-		const metadata = (result[ROLLING_BACKUP_METADATA_KEY] || []).filter(
-			(m) => m.key !== key,
-		);
-
+		const metadata = await readRollingMetadata();
+		const index = metadata.findIndex((m) => m.key === key);
+		// Deleting the newest point leaves the stored digest pointing at a
+		// key that is gone, so the next rolling backup is written in full.
+		const next =
+			index === -1 ? metadata : await dropRollingPoint(metadata, index);
+		if (index === -1) await browser.storage.local.remove(key);
 		await browser.storage.local.set({
-			[ROLLING_BACKUP_METADATA_KEY]: metadata,
+			[ROLLING_BACKUP_METADATA_KEY]: next,
 		});
 
 		debugLog("✓ Rolling backup deleted:", key);
@@ -276,11 +276,21 @@ export const GEMINI_MODELS = [
 	},
 ];
 
-// Budget used when a model id matches nothing in GEMINI_MODELS — an
-// OpenAI-compatible endpoint, an Ollama model, or a Gemini model newer than
-// this list. Same value the old fallthrough used.
+// Budget used when a model id matches nothing in GEMINI_MODELS — a Gemini
+// model newer than this list, or a provider missing below. Same value the old
+// fallthrough used.
 export const DEFAULT_MODEL_CONTEXT_TOKENS = 16000;
 
+// Context windows for the other providers, used to size chunks
+// (utils/chunking/token-budget.js). OpenAI-compatible endpoints vary; 128k is
+// the common floor for current hosted models. Ollama's window is whatever
+// `num_ctx` we request, so it is a setting rather than a constant.
+export const PROVIDER_CONTEXT_TOKENS = {
+	openai: 128000,
+	anthropic: 200000,
+};
+export const DEFAULT_OLLAMA_CONTEXT_TOKENS = 8192;
+
 /**
  * Working context budget for a model id.
  *
@@ -361,11 +371,18 @@ export function fillGeminiModelSelect(select, selectedId) {
 // Default model endpoint
 export const DEFAULT_MODEL_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${DEFAULT_MODEL_ID}:generateContent`;
 
+// Anthropic Messages API defaults, when no endpoint or model is configured
+export const DEFAULT_ANTHROPIC_ENDPOINT =
+	"https://api.anthropic.com/v1/messages";
+export const DEFAULT_ANTHROPIC_MODEL = "claude-sonnet-4-5";
+
 // AI Provider slot defaults
-// Each slot config: { provider: "gemini"|"openai"|"ollama", modelId?, baseUrl?, endpoint?, apiKey? }
+// Each slot config: { provider: "gemini"|"openai"|"ollama"|"anthropic", modelId?, baseUrl?, endpoint?, apiKey? }
 export const DEFAULT_PRIMARY_PROVIDER = "gemini";
-export const DEFAULT_FALLBACK_PROVIDER = "gemini";
-export const DEFAULT_FALLBACK_MODEL_ENABLED = false;
+
+// Fallback chain (see background/ai/provider-registry.js for the rules)
+export const FALLBACK_RETRY_DELAY_MS = 2000; // pause before a "retry" rule re-runs the same entry
+export const FALLBACK_RECHUNK_MAX_DEPTH = 2; // a piece is halved at most twice (quarters) before failing
 
 // New word-based chunking configuration
 // Default chunk size in words (3200 words ≈ 15-20k characters)
@@ -377,8 +394,9 @@ export const DEFAULT_CHUNK_SUMMARY_COUNT = 2;
 // Minimum chunk size in words (for validation)
 export const MIN_CHUNK_WORDS = 100;
 
-// Default rate limit wait time (in milliseconds)
-export const RATE_LIMIT_WAIT_TIME = 300000; // 5 minutes
+// Wait before retrying a chunk once every fallback chain entry is rate-limited
+// and the provider gave no retry time of its own (in milliseconds)
+export const RATE_LIMIT_WAIT_TIME = 60000; // 1 minute
 
 // Keep-alive tuning knobs
 export const KEEP_ALIVE_ALARM_INTERVAL_MINUTES = 0.5; // chrome floors to 1 minute
@@ -387,6 +405,10 @@ export const KEEP_ALIVE_HEARTBEAT_JITTER_MS = 3000; // spread heartbeats across
 export const KEEP_ALIVE_RECONNECT_DELAY_MS = 7000; // wait before re-opening port after drop
 export const KEEP_ALIVE_MAX_PORT_RETRIES = 4; // cap reconnect attempts before giving up until next user action
 
+// Streamed AI output (background -> content, long-lived port)
+export const AI_STREAM_PORT_NAME = "rg-ai-stream";
+export const AI_STREAM_DELTA_THROTTLE_MS = 150; // coalesce deltas so a fast model does not flood the page
+
 // Chunking + request throttling
 export const CHUNK_STAGGER_MS = 800; // delay between chunk sends to reduce burst
 export const CHUNK_RETRY_BACKOFF_MS = 5000; // wait before retrying failed chunk
@@ -420,7 +442,6 @@ export const ENHANCED_CACHE_EXPIRY_DAYS = 7;
 export const DEFAULT_BACKUP_RETENTION_DAYS = 7; // Keep backups for 7 days
 export const DEFAULT_BACKUP_SCHEDULE_HOUR = 2; // Default daily backup at 2 AM
 export const CONTINUOUS_BACKUP_DEBOUNCE_MS = 5 * 60 * 1000; // 5 minute debounce for continuous mode
-export const DRIVE_BACKUP_MAX_COUNT = 4; // Keep at most 4 manual backups per Google Account (daily auto + user-created)
 export const DRIVE_BACKUP_PREFIX = "ranobe-library-"; // Prefix for Drive backup files
 export const DRIVE_CONTINUOUS_BACKUP_BASENAME =
 	"ranobe-library-continuous.json"; // Single rolling file for continuous mode (separate from manual quota)
@@ -480,6 +501,9 @@ export const DEFAULT_CONTENT_FILTER_SETTINGS = {
 	custom: [],
 };
 
+// Each novel's chapter data is stored under this prefix plus the novel id.
+export const NOVEL_CHAPTERS_KEY_PREFIX = "rg_novel_chapters_";
+
 // Comprehensive backup includes these storage keys
 export const COMPREHENSIVE_BACKUP_KEYS = [
 	"rg_novel_library", // Library data (current)
@@ -497,6 +521,7 @@ export const COMPREHENSIVE_BACKUP_KEYS = [
 	"chunkingEnabled", // Chunking setting
 	"chunkSizeWords", // Chunk size (words)
 	"chunkSummaryCount", // Summary button frequency
+	"enhancementGuardEnabled", // Hallucination guard on enhanced chunks
 	"useEmoji", // Emoji setting
 	"maxOutputTokens", // Max tokens
 	"temperature", // Temperature (legacy)
@@ -524,6 +549,9 @@ export const COMPREHENSIVE_BACKUP_KEYS = [
 	"backupIncludeCredentials", // Backup include OAuth credentials
 	"rg_rolling_backup_enabled", // Rolling backup enabled
 	"rollingBackupIntervalMinutes", // Rolling backup interval
+	"rollingBackupRetention", // Per-tier retention counts (RETENTION_TIERS_KEY)
+	"s3Credentials", // S3-compatible bucket endpoint and access keys
+	"localFolderBackup", // Local folder backup settings (the folder handle stays in IndexedDB)
 	"rg_rolling_backup_meta", // Rolling backup metadata
 	"rg_backup_config", // Quick backup config
 	"backupHistory", // Backup history (Drive)
@@ -536,10 +564,14 @@ export const COMPREHENSIVE_BACKUP_KEYS = [
 	"novelUpdateIntervalDays", // Periodic novel update interval (days)
 	"contentFilterSettings", // Collapsible content sections settings
 	"rg_custom_box_types", // User-defined custom content box types
+	"rg_custom_sites", // User-defined site handlers (CUSTOM_SITES_KEY)
+	"rg_device_profiles", // Named device profiles (DEVICE_PROFILES_KEY)
 	// AI provider slot configs (v5.0.0+)
 	"primaryModelConfig", // Primary model slot { provider, modelId, baseUrl?, apiKey?, endpoint? }
 	"fallbackModelConfig", // Fallback model slot (null = disabled)
 	"fallbackModelEnabled", // Whether fallback slot is active
+	"fallbackChain", // Ordered fallback entries after the primary slot
+	"fallbackRules", // Per-failure-class routing overrides for the chain
 	// LoreWeave integration settings
 	"loreWeaveUrl",
 	"loreWeaveDomainId",
@@ -550,6 +582,14 @@ export const COMPREHENSIVE_BACKUP_KEYS = [
 	// Note: loreWeaveToken intentionally excluded from backup (treat like API key)
 ];
 
+// Left out of comprehensive backups unless credentials are included
+// (backupIncludeCredentials), and not restored unless asked for.
+export const BACKUP_CREDENTIAL_KEYS = [
+	"driveClientId",
+	"driveClientSecret",
+	"s3Credentials",
+];
+
 // Opt-in backup encryption (see src/utils/backup-crypto.js).
 //
 // Both keys are deliberately absent from COMPREHENSIVE_BACKUP_KEYS above.
@@ -560,6 +600,29 @@ export const COMPREHENSIVE_BACKUP_KEYS = [
 export const BACKUP_ENCRYPTION_ENABLED_KEY = "rg_backup_encrypt_enabled";
 export const BACKUP_ENCRYPTION_KEY_STORAGE = "rg_backup_encryption_key";
 
+// Device profiles (see src/utils/device-profiles.js).
+//
+// Settings in DEVICE_SETTING_KEYS describe a screen, not a reader: restores,
+// library imports and Drive sync leave them alone and they travel only
+// inside named profiles. The profiles are shared and backed up; which one
+// this browser uses is not, for the same reason as the encryption key above.
+export const DEVICE_PROFILES_KEY = "rg_device_profiles";
+export const ACTIVE_DEVICE_PROFILE_KEY = "rg_active_device_profile";
+export const DEVICE_SETTING_KEYS = [
+	"fontSize",
+	"readingFont",
+	"themeSettings",
+	"theme",
+	"themeMode",
+	"accentPrimary",
+	"accentSecondary",
+	"bgColor",
+	"textColor",
+	"chunkingEnabled",
+	"chunkSizeWords",
+	"chunkSummaryCount",
+];
+
 // ── Site and domain settings storage keys ─────────────────────────────────────
 // These live here, and not in `site-settings.js` next to the code that reads
 // them, to break an import cycle. `site-settings.js` builds its defaults from
@@ -0,0 +1,299 @@
+/**
+ * Custom Sites
+ * User-defined site handlers: a list of domain patterns plus the CSS selectors
+ * that locate the chapter title, the text, the navigation links and the novel
+ * page metadata. `website-handlers/custom-site.js` turns each definition into
+ * a handler at runtime, so a small translation blog can be read without a
+ * handler class, a rebuild or a regenerated `HANDLER_MODULES`.
+ *
+ * Storage key: rg_custom_sites
+ * Schema: Array of CustomSite objects (see typedef below)
+ *
+ * @typedef {Object} CustomSiteSelectors
+ * @property {string}   title       - Chapter title (falls back to document.title)
+ * @property {string}   content     - Chapter text container (required)
+ * @property {string}   next        - Link to the next chapter
+ * @property {string}   prev        - Link to the previous chapter
+ * @property {string[]} remove      - Noise inside the content to strip
+ * @property {string}   novelLink   - Link from a chapter to its novel / index page
+ * @property {string}   novelTitle  - Novel title (novel page or chapter page)
+ * @property {string}   author      - Author / translator name
+ * @property {string}   description - Novel synopsis
+ * @property {string}   cover       - Cover <img> (or an element containing one)
+ * @property {string}   tags        - Every element matched is one tag
+ * @property {string}   status      - Ongoing / completed text
+ *
+ * @typedef {Object} CustomSite
+ * @property {string}   id           - Unique identifier (timestamp-based)
+ * @property {string}   name         - Display name; also the library "Site" filter
+ * @property {boolean}  enabled      - Disabled sites keep their definition but get no handler
+ * @property {string[]} domains      - "example.com" or "*.example.com"
+ * @property {string}   chapterPath  - Optional regex; only matching paths are chapters
+ * @property {CustomSiteSelectors} selectors
+ */
+
+export const CUSTOM_SITES_KEY = "rg_custom_sites";
+
+/** Marks an export file so an import can tell it from a library backup. */
+export const CUSTOM_SITES_EXPORT_FORMAT = "ranobe-gemini-custom-sites";
+export const CUSTOM_SITES_EXPORT_VERSION = 1;
+
+/** Selector fields that hold a single selector string. */
+export const CUSTOM_SITE_SELECTOR_FIELDS = [
+	"title",
+	"content",
+	"next",
+	"prev",
+	"novelLink",
+	"novelTitle",
+	"author",
+	"description",
+	"cover",
+	"tags",
+	"status",
+];
+
+const DOMAIN_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+/**
+ * Reduce whatever the user pasted ("https://blog.example.com/novel/", "*.Example.com")
+ * to a bare host pattern.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeDomainPattern(value) {
+	return String(value ?? "")
+		.trim()
+		.toLowerCase()
+		.replace(/^[a-z]+:\/\//, "")
+		.replace(/[/?#].*$/, "")
+		.replace(/:\d+$/, "");
+}
+
+/**
+ * Accept either an array or a comma / newline separated string.
+ * @param {string[]|string} value
+ * @returns {string[]}
+ */
+function toList(value) {
+	const items = Array.isArray(value)
+		? value
+		: String(value ?? "").split(/[\n,]/);
+	return items.map((item) => String(item ?? "").trim()).filter(Boolean);
+}
+
+/**
+ * Fill in defaults and trim every field, without judging the result —
+ * `validateCustomSite()` does that.
+ * @param {Partial<CustomSite>} raw
+ * @returns {CustomSite}
+ */
+export function normalizeCustomSite(raw = {}) {
+	const rawSelectors = raw.selectors || {};
+	const selectors = { remove: toList(rawSelectors.remove) };
+	for (const field of CUSTOM_SITE_SELECTOR_FIELDS) {
+		selectors[field] = String(rawSelectors[field] ?? "").trim();
+	}
+	return {
+		id: String(raw.id || `rg-site-${Date.now()}`),
+		name: String(raw.name ?? "").trim(),
+		enabled: raw.enabled !== false,
+		domains: [
+			...new Set(toList(raw.domains).map(normalizeDomainPattern)),
+		].filter(Boolean),
+		chapterPath: String(raw.chapterPath ?? "").trim(),
+		selectors,
+	};
+}
+
+/**
+ * Create a new, empty site definition.
+ * @param {Partial<CustomSite>} [overrides]
+ * @returns {CustomSite}
+ */
+export function createCustomSite(overrides = {}) {
+	return normalizeCustomSite({ name: "New Site", ...overrides });
+}
+
+/**
+ * Whether `selector` parses. Without a document to parse against (unit tests
+ * that never mount a page) every selector is given the benefit of the doubt.
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+	if (typeof document === "undefined") return true;
+	try {
+		document.createDocumentFragment().querySelector(selector);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Check a definition before it is saved or imported.
+ *
+ * @param {CustomSite} site - A normalised definition
+ * @param {Object} [options]
+ * @param {string[]} [options.reservedDomains] - Domains a built-in handler
+ *   owns. A custom definition for one would race the real handler.
+ * @returns {{ isValid: boolean, errors: string[] }}
+ */
+export function validateCustomSite(site, { reservedDomains = [] } = {}) {
+	const errors = [];
+	if (!site?.name) errors.push("Name is required");
+
+	if (!site?.domains?.length) {
+		errors.push("At least one domain is required");
+	}
+	for (const domain of site?.domains || []) {
+		if (!DOMAIN_PATTERN.test(domain)) {
+			errors.push(`"${domain}" is not a domain or *.domain pattern`);
+			continue;
+		}
+		const host = domain.replace(/^\*\./, "");
+		const owner = reservedDomains.find((reserved) => {
+			const base = reserved.replace(/^\*\./, "").toLowerCase();
+			return host === base || host.endsWith(`.${base}`);
+		});
+		if (owner) {
+			errors.push(`${domain} already has a built-in handler`);
+		}
+	}
+
+	if (site?.chapterPath) {
+		try {
+			new RegExp(site.chapterPath);
+		} catch {
+			errors.push("Chapter path is not a valid regular expression");
+		}
+	}
+
+	const selectors = site?.selectors || {};
+	if (!selectors.content) errors.push("Content selector is required");
+	for (const field of CUSTOM_SITE_SELECTOR_FIELDS) {
+		if (selectors[field] && !isValidSelector(selectors[field])) {
+			errors.push(`${field} selector is not valid CSS`);
+		}
+	}
+	for (const selector of selectors.remove || []) {
+		if (!isValidSelector(selector)) {
+			errors.push(`Remove selector "${selector}" is not valid CSS`);
+		}
+	}
+
+	return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Host permission origins a definition needs before its pages can be read.
+ * @param {CustomSite} site
+ * @returns {string[]}
+ */
+export function customSiteOrigins(site) {
+	return (site?.domains || []).map((domain) => `*://${domain}/*`);
+}
+
+/**
+ * @returns {Promise<CustomSite[]>}
+ */
+export async function getCustomSites() {
+	try {
+		const result = await browser.storage.local.get(CUSTOM_SITES_KEY);
+		const stored = result[CUSTOM_SITES_KEY];
+		return Array.isArray(stored) ? stored.map(normalizeCustomSite) : [];
+	} catch {
+		return [];
+	}
+}
+
+/**
+ * @param {CustomSite[]} sites
+ */
+export async function saveCustomSites(sites) {
+	await browser.storage.local.set({
+		[CUSTOM_SITES_KEY]: (sites || []).map(normalizeCustomSite),
+	});
+}
+
+/**
+ * Wrap definitions for sharing. The envelope is what lets an import reject a
+ * random JSON file instead of saving garbage.
+ * @param {CustomSite[]} sites
+ * @returns {string}
+ */
+export function exportCustomSites(sites) {
+	return JSON.stringify(
+		{
+			format: CUSTOM_SITES_EXPORT_FORMAT,
+			version: CUSTOM_SITES_EXPORT_VERSION,
+			exportedAt: new Date().toISOString(),
+			sites: (sites || []).map(normalizeCustomSite),
+		},
+		null,
+		2,
+	);
+}
+
+/**
+ * Parse an export file. Also accepts a bare array or a single definition, which
+ * is what people paste to each other in chat. Invalid entries are reported and
+ * left out rather than failing the whole import.
+ *
+ * @param {string} text
+ * @param {Object} [options] - Passed through to `validateCustomSite()`
+ * @returns {{ sites: CustomSite[], errors: string[] }}
+ */
+export function parseCustomSitesImport(text, options = {}) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch {
+		throw new Error("File is not valid JSON");
+	}
+
+	let entries;
+	if (Array.isArray(data)) {
+		entries = data;
+	} else if (data?.format === CUSTOM_SITES_EXPORT_FORMAT) {
+		if (Number(data.version) > CUSTOM_SITES_EXPORT_VERSION) {
+			throw new Error(
+				`Export version ${data.version} is newer than this extension supports`,
+			);
+		}
+		entries = Array.isArray(data.sites) ? data.sites : [];
+	} else if (data?.selectors && data?.domains) {
+		entries = [data];
+	} else {
+		throw new Error("File does not contain custom site definitions");
+	}
+
+	const sites = [];
+	const errors = [];
+	entries.forEach((entry, index) => {
+		const site = normalizeCustomSite(entry);
+		const result = validateCustomSite(site, options);
+		if (result.isValid) {
+			sites.push(site);
+		} else {
+			errors.push(
+				`${site.name || `Entry ${index + 1}`}: ${result.errors.join("; ")}`,
+			);
+		}
+	});
+	return { sites, errors };
+}
+
+/**
+ * Merge imported definitions into the saved list: same id replaces, new id
+ * appends.
+ * @param {CustomSite[]} existing
+ * @param {CustomSite[]} incoming
+ * @returns {CustomSite[]}
+ */
+export function mergeCustomSites(existing, incoming) {
+	const byId = new Map((existing || []).map((site) => [site.id, site]));
+	for (const site of incoming || []) byId.set(site.id, site);
+	return [...byId.values()];
+}
@@ -0,0 +1,238 @@
+/**
+ * Device profiles for Ranobe Gemini
+ *
+ * Theme, reading text and chunking suit a screen rather than a reader: the
+ * size that reads well on a desktop monitor is wrong on a phone, and an
+ * e-ink tablet wants its own theme. Those keys (DEVICE_SETTING_KEYS) are
+ * device-local — restoring a backup, importing a library or pulling from
+ * Drive never writes them. Everything else is shared.
+ *
+ * Device-local values travel inside named profiles ("phone", "e-ink
+ * tablet", "desktop"). The profiles themselves are shared, so a profile
+ * saved on one browser can be picked on another. Each browser remembers
+ * which profile it uses; picking one writes its values here, and while a
+ * profile is active, changing a device setting updates that profile.
+ *
+ * @typedef {Object} DeviceProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {Object<string, *>} settings - Values of DEVICE_SETTING_KEYS
+ * @property {number} updatedAt
+ */
+
+import {
+	ACTIVE_DEVICE_PROFILE_KEY,
+	DEVICE_PROFILES_KEY,
+	DEVICE_SETTING_KEYS,
+} from "./constants.js";
+
+/** Offered when naming a new profile. */
+export const SUGGESTED_PROFILE_NAMES = ["phone", "e-ink tablet", "desktop"];
+
+const DEVICE_SETTINGS = new Set(DEVICE_SETTING_KEYS);
+
+/**
+ * @param {string} key - Storage key
+ * @returns {boolean} Whether the setting belongs to this device only
+ */
+export function isDeviceSetting(key) {
+	return DEVICE_SETTINGS.has(key);
+}
+
+/**
+ * The device-local values among `values`, without undefined ones.
+ * @param {Object<string, *>} values
+ * @returns {Object<string, *>}
+ */
+export function pickDeviceSettings(values) {
+	const picked = {};
+	for (const key of DEVICE_SETTING_KEYS) {
+		if (values?.[key] !== undefined) picked[key] = values[key];
+	}
+	return picked;
+}
+
+/**
+ * A copy of `values` with every device-local key removed.
+ * @param {Object<string, *>} values
+ * @returns {Object<string, *>}
+ */
+export function omitDeviceSettings(values) {
+	const shared = { ...values };
+	for (const key of DEVICE_SETTING_KEYS) delete shared[key];
+	return shared;
+}
+
+/**
+ * Id for a profile called `name`: the existing profile of that name, or a
+ * new slug not already taken.
+ * @param {string} name
+ * @param {Object<string, DeviceProfile>} profiles
+ * @returns {string}
+ */
+export function profileIdForName(name, profiles = {}) {
+	const wanted = name.trim().toLowerCase();
+	const existing = Object.values(profiles).find(
+		(profile) => profile.name.trim().toLowerCase() === wanted,
+	);
+	if (existing) return existing.id;
+
+	const base =
+		wanted.replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "profile";
+	let id = base;
+	for (let n = 2; profiles[id]; n++) id = `${base}-${n}`;
+	return id;
+}
+
+/**
+ * Union of two profile sets; a profile on both sides keeps the copy that
+ * was changed last.
+ * @param {Object<string, DeviceProfile>} local
+ * @param {Object<string, DeviceProfile>} incoming
+ * @returns {Object<string, DeviceProfile>}
+ */
+export function mergeDeviceProfiles(local = {}, incoming = {}) {
+	const merged = { ...local };
+	for (const [id, profile] of Object.entries(incoming || {})) {
+		if (
+			!merged[id] ||
+			(profile.updatedAt || 0) > (merged[id].updatedAt || 0)
+		) {
+			merged[id] = profile;
+		}
+	}
+	return merged;
+}
+
+/**
+ * @returns {Promise<Object<string, DeviceProfile>>}
+ */
+export async function getDeviceProfiles() {
+	const stored = await browser.storage.local.get(DEVICE_PROFILES_KEY);
+	return stored[DEVICE_PROFILES_KEY] || {};
+}
+
+/**
+ * Profile this browser uses, or null.
+ * @returns {Promise<string|null>}
+ */
+export async function getActiveDeviceProfileId() {
+	const stored = await browser.storage.local.get(ACTIVE_DEVICE_PROFILE_KEY);
+	return stored[ACTIVE_DEVICE_PROFILE_KEY] || null;
+}
+
+/**
+ * Save this browser's current device settings as the profile called `name`
+ * (replacing a profile of that name) and make it this browser's profile.
+ * @param {string} name
+ * @returns {Promise<DeviceProfile>}
+ */
+export async function saveDeviceProfile(name) {
+	if (!name?.trim()) throw new Error("A device profile needs a name");
+	const profiles = await getDeviceProfiles();
+	const current = await browser.storage.local.get(DEVICE_SETTING_KEYS);
+	const profile = {
+		id: profileIdForName(name, profiles),
+		name: name.trim(),
+		settings: pickDeviceSettings(current),
+		updatedAt: Date.now(),
+	};
+	await browser.storage.local.set({
+		[DEVICE_PROFILES_KEY]: { ...profiles, [profile.id]: profile },
+		[ACTIVE_DEVICE_PROFILE_KEY]: profile.id,
+	});
+	return profile;
+}
+
+/**
+ * Use a profile on this browser and apply its settings. `null` stops using
+ * profiles; the current settings stay as they are.
+ * @param {string|null} id
+ * @returns {Promise<DeviceProfile|null>}
+ */
+export async function activateDeviceProfile(id) {
+	if (!id) {
+		await browser.storage.local.remove(ACTIVE_DEVICE_PROFILE_KEY);
+		return null;
+	}
+	const profile = (await getDeviceProfiles())[id];
+	if (!profile) throw new Error(`Unknown device profile: ${id}`);
+	await browser.storage.local.set({
+		...pickDeviceSettings(profile.settings),
+		[ACTIVE_DEVICE_PROFILE_KEY]: id,
+	});
+	return profile;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteDeviceProfile(id) {
+	const profiles = { ...(await getDeviceProfiles()) };
+	delete profiles[id];
+	await browser.storage.local.set({ [DEVICE_PROFILES_KEY]: profiles });
+	if ((await getActiveDeviceProfileId()) === id) {
+		await browser.storage.local.remove(ACTIVE_DEVICE_PROFILE_KEY);
+	}
+}
+
+/**
+ * storage.onChanged hook: copy changed device settings into the active
+ * profile, so the profile follows what the reader last chose here.
+ * @param {Object<string, {newValue?: *}>} changes
+ * @returns {Promise<boolean>} Whether the profile was updated
+ */
+export async function recordDeviceSettingChanges(changes) {
+	const keys = Object.keys(changes).filter(isDeviceSetting);
+	if (keys.length === 0) return false;
+	const id = await getActiveDeviceProfileId();
+	if (!id) return false;
+	const profiles = await getDeviceProfiles();
+	const profile = profiles[id];
+	if (!profile) return false;
+
+	const settings = { ...profile.settings };
+	let changed = false;
+	for (const key of keys) {
+		const value = changes[key].newValue;
+		if (JSON.stringify(settings[key]) === JSON.stringify(value)) continue;
+		if (value === undefined) delete settings[key];
+		else settings[key] = value;
+		changed = true;
+	}
+	if (!changed) return false;
+	await browser.storage.local.set({
+		[DEVICE_PROFILES_KEY]: {
+			...profiles,
+			[id]: { ...profile, settings, updatedAt: Date.now() },
+		},
+	});
+	return true;
+}
+
+/**
+ * Store the profiles from a backup or library import and, when this browser
+ * uses one of them, apply it.
+ * @param {Object<string, DeviceProfile>|undefined} incoming
+ * @param {Object} [options]
+ * @param {boolean} [options.merge=true] - Keep profiles only this browser has
+ * @param {boolean} [options.apply=true] - Apply this browser's profile; off
+ *   when the device settings were restored from the backup on request
+ * @returns {Promise<DeviceProfile|null>} The profile applied here, if any
+ */
+export async function restoreDeviceProfiles(
+	incoming,
+	{ merge = true, apply = true } = {},
+) {
+	if (!incoming) return null;
+	const profiles = merge
+		? mergeDeviceProfiles(await getDeviceProfiles(), incoming)
+		: incoming;
+	await browser.storage.local.set({ [DEVICE_PROFILES_KEY]: profiles });
+
+	const id = await getActiveDeviceProfileId();
+	if (!apply || !id || !profiles[id]) return null;
+	await browser.storage.local.set(pickDeviceSettings(profiles[id].settings));
+	return profiles[id];
+}
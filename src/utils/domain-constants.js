@@ -12,6 +12,11 @@ import { AO3Handler } from "./website-handlers/ao3-handler.js";
 import { WebNovelHandler } from "./website-handlers/webnovel-handler.js";
 import { ScribbleHubHandler } from "./website-handlers/scribblehub-handler.js";
 import { NovelbinHandler } from "./website-handlers/novelbin-handler.js";
+import { RoyalRoadHandler } from "./website-handlers/royalroad-handler.js";
+import { XenForoHandler } from "./website-handlers/xenforo-handler.js";
+import { WattpadHandler } from "./website-handlers/wattpad-handler.js";
+import { CustomSiteHandler } from "./website-handlers/custom-site.js";
+import { ReaderModeHandler } from "./website-handlers/reader-mode.js";
 
 /**
  * Registry of all handler classes
@@ -25,6 +30,13 @@ const HANDLER_CLASSES = [
 	WebNovelHandler,
 	ScribbleHubHandler,
 	NovelbinHandler,
+	RoyalRoadHandler,
+	XenForoHandler,
+	WattpadHandler,
+	// No domains of its own; contributes the shelf user-defined sites share.
+	CustomSiteHandler,
+	// Likewise; the shelf for pages read through the reader-mode fallback.
+	ReaderModeHandler,
 ];
 
 /**
@@ -112,6 +124,10 @@ HANDLER_CLASSES.forEach((HandlerClass) => {
 				domains: expandedDomains,
 				permissionOrigins,
 				novelIdPattern: shelfMeta.novelIdPattern,
+				// Shelves spanning several sites whose ids can collide
+				// (XenForo forums) derive the id from the whole URL instead.
+				siteNovelIdFromUrl: shelfMeta.siteNovelIdFromUrl || null,
+				importUrlForId: shelfMeta.importUrlForId || null,
 				primaryDomain: shelfMeta.primaryDomain,
 				handlerType: HandlerClass.HANDLER_TYPE || "chapter_embedded",
 				enabledByDefault,
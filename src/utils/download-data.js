@@ -16,6 +16,8 @@ import { debugLog } from "./logger.js";
  * @param {string} options.filename - Path relative to the downloads folder.
  * @param {string} [options.type] - MIME type.
  * @param {boolean} [options.saveAs] - Show the "save as" dialog.
+ * @param {"uniquify"|"overwrite"} [options.conflictAction] - When the file
+ *   already exists; the browser default is to add a number to the name.
  * @returns {Promise<number>} The download id.
  */
 export async function downloadText({
@@ -23,6 +25,62 @@ export async function downloadText({
 	filename,
 	type = "application/json",
 	saveAs = false,
+	conflictAction,
+}) {
+	return startDownload({
+		blobPart: text,
+		dataUrl: () => `data:${type};charset=utf-8,${encodeURIComponent(text)}`,
+		filename,
+		type,
+		saveAs,
+		conflictAction,
+	});
+}
+
+/**
+ * Binary counterpart of {@link downloadText}, for generated files such as
+ * EPUBs. The `data:` fallback is base64 here, since the payload is not text.
+ *
+ * @param {object} options
+ * @param {Uint8Array} options.bytes - File contents.
+ * @param {string} options.filename - Path relative to the downloads folder.
+ * @param {string} [options.type] - MIME type.
+ * @param {boolean} [options.saveAs] - Show the "save as" dialog.
+ * @returns {Promise<number>} The download id.
+ */
+export async function downloadBytes({
+	bytes,
+	filename,
+	type = "application/octet-stream",
+	saveAs = false,
+}) {
+	return startDownload({
+		blobPart: bytes,
+		dataUrl: () => `data:${type};base64,${bytesToBase64(bytes)}`,
+		filename,
+		type,
+		saveAs,
+	});
+}
+
+function bytesToBase64(bytes) {
+	// Chunked so a multi-megabyte book does not overflow the argument limit
+	// of `String.fromCharCode.apply`.
+	let binary = "";
+	const step = 0x8000;
+	for (let i = 0; i < bytes.length; i += step) {
+		binary += String.fromCharCode.apply(null, bytes.subarray(i, i + step));
+	}
+	return btoa(binary);
+}
+
+async function startDownload({
+	blobPart,
+	dataUrl,
+	filename,
+	type,
+	saveAs,
+	conflictAction,
 }) {
 	const downloadsApi =
 		globalThis.browser?.downloads || globalThis.chrome?.downloads;
@@ -32,14 +90,15 @@ export async function downloadText({
 
 	const canRevoke = typeof URL.createObjectURL === "function";
 	const url = canRevoke
-		? URL.createObjectURL(new Blob([text], { type }))
-		: `data:${type};charset=utf-8,${encodeURIComponent(text)}`;
+		? URL.createObjectURL(new Blob([blobPart], { type }))
+		: dataUrl();
 
 	try {
 		const downloadId = await downloadsApi.download({
 			url,
 			filename,
 			saveAs,
+			...(conflictAction ? { conflictAction } : {}),
 		});
 		debugLog(`[Download] Started ${filename} (id ${downloadId})`);
 		return downloadId;
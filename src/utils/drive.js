@@ -10,6 +10,10 @@ import {
 	GOOGLE_OAUTH_SCOPES,
 } from "./constants.js";
 import { launchOAuthTabFlow } from "./oauth-pkce.js";
+import {
+	RETENTION_TIERS_KEY,
+	selectExpiredBackupFiles,
+} from "./backup-delta.js";
 
 const TOKEN_KEY = "driveAuthTokens";
 const AUTH_ERROR_KEY = "driveAuthError";
@@ -553,62 +557,54 @@ async function updateDriveFile(fileId, blob, { filename, mimeType }) {
 	return resp.json();
 }
 
-// Delete oldest backups to maintain a fixed count (excludes the continuous file)
-async function enforceBackupLimit(folderId) {
-	// Fixed quota per Google Account: 4 manual backups (daily auto + user-created)
-	// Continuous backup is handled separately and not counted here
-	const MAX_MANUAL_BACKUPS = 4;
-
-	const accessToken = await ensureDriveAccessToken({ interactive: false });
-	const query = encodeURIComponent(
-		`'${folderId}' in parents and name contains '${DRIVE_BACKUP_PREFIX}' and trashed=false`,
-	);
-
-	const resp = await fetch(
-		`https://www.googleapis.com/drive/v3/files?q=${query}&spaces=drive&fields=files(id,name,modifiedTime)&orderBy=modifiedTime%20desc&pageSize=50`,
-		{
-			headers: { Authorization: `Bearer ${accessToken}` },
-		},
-	);
-
-	if (!resp.ok) return;
-	const data = await resp.json();
-
-	// Filter out continuous backup file - it has separate lifecycle
-	const manualBackups = (data.files || []).filter(
-		(file) => file.name !== DRIVE_CONTINUOUS_BACKUP_BASENAME,
-	);
-
-	debugLog(
-		`📦 Google Drive backups: ${manualBackups.length} manual backups found (max: ${MAX_MANUAL_BACKUPS})`,
-	);
-
-	// If we're within the limit, no cleanup needed
-	if (manualBackups.length <= MAX_MANUAL_BACKUPS) return;
+// Delete the versioned backups the retention tiers no longer keep (the
+// continuous file has its own lifecycle and is not counted). A failure is
+// logged, not thrown: the new backup is already saved.
+async function enforceBackupRetention(folderId) {
+	try {
+		const accessToken = await ensureDriveAccessToken({
+			interactive: false,
+		});
+		const query = encodeURIComponent(
+			`'${folderId}' in parents and name contains '${DRIVE_BACKUP_PREFIX}' and trashed=false`,
+		);
+		const resp = await fetch(
+			`https://www.googleapis.com/drive/v3/files?q=${query}&spaces=drive&fields=files(id,name,modifiedTime)&orderBy=modifiedTime%20desc&pageSize=100`,
+			{
+				headers: { Authorization: `Bearer ${accessToken}` },
+			},
+		);
+		if (!resp.ok) return;
+		const data = await resp.json();
 
-	// Delete oldest manual backups exceeding the quota
-	const toDelete = manualBackups.slice(MAX_MANUAL_BACKUPS);
-	debugLog(
-		`🗑️ Deleting ${toDelete.length} old backup(s) to enforce quota (4 manual per account)`,
-	);
+		const versioned = (data.files || []).filter(
+			(file) => file.name !== DRIVE_CONTINUOUS_BACKUP_BASENAME,
+		);
+		const stored = await browser.storage.local.get(RETENTION_TIERS_KEY);
+		const expired = selectExpiredBackupFiles(versioned, {
+			tiers: stored?.[RETENTION_TIERS_KEY],
+		});
 
-	for (const file of toDelete) {
-		try {
-			await fetch(
-				`https://www.googleapis.com/drive/v3/files/${file.id}`,
-				{
-					method: "DELETE",
-					headers: { Authorization: `Bearer ${accessToken}` },
-				},
-			);
-			debugLog(`✅ Deleted old backup: ${file.name}`);
-		} catch (delErr) {
-			debugError(`Failed to delete old backup ${file.id}`, delErr);
+		for (const file of expired) {
+			try {
+				await fetch(
+					`https://www.googleapis.com/drive/v3/files/${file.id}`,
+					{
+						method: "DELETE",
+						headers: { Authorization: `Bearer ${accessToken}` },
+					},
+				);
+				debugLog(`🗑️ Removed old Drive backup: ${file.name}`);
+			} catch (delErr) {
+				debugError(`Failed to delete old backup ${file.id}`, delErr);
+			}
 		}
+	} catch (err) {
+		debugError("Failed to remove old Drive backups", err);
 	}
 }
 
-// Upload library backup with version naming and fixed-count retention
+// Upload library backup with version naming and tiered retention
 export async function uploadLibraryBackupToDrive(backupBlob, options = {}) {
 	const folderId = options.folderId || (await ensureBackupFolder());
 	const variant =
@@ -637,7 +633,7 @@ export async function uploadLibraryBackupToDrive(backupBlob, options = {}) {
 		});
 
 		if (variant !== "continuous") {
-			await enforceBackupLimit(folderId);
+			await enforceBackupRetention(folderId);
 		}
 
 		return result;
@@ -11,7 +11,12 @@ import {
 	exchangeCodeForTokens,
 	refreshAccessToken,
 } from "./oauth-pkce.js";
+import {
+	RETENTION_TIERS_KEY,
+	selectExpiredBackupFiles,
+} from "./backup-delta.js";
 import { OAUTH_REDIRECT_URIS } from "./constants.js";
+import { debugError, debugLog } from "./logger.js";
 
 const TOKEN_KEY = "dropboxAuthTokens";
 const AUTH_ERROR_KEY = "dropboxAuthError";
@@ -204,6 +209,25 @@ function folderPrefix(customPath) {
 	return folder.startsWith("/") ? folder : `/${folder}`;
 }
 
+// Versioned backups the retention tiers no longer keep; the continuous file
+// is not counted. A failure is logged, not thrown: the new backup is already
+// saved.
+async function pruneDropboxBackups(token, options) {
+	try {
+		const tiers = await getStored(RETENTION_TIERS_KEY);
+		const expired = selectExpiredBackupFiles(
+			await listDropboxBackups(options),
+			{ tiers },
+		);
+		for (const file of expired) {
+			await dbxRequest("/files/delete_v2", { path: file.path }, token);
+			debugLog(`🗑️ Removed old Dropbox backup: ${file.name}`);
+		}
+	} catch (err) {
+		debugError("Failed to remove old Dropbox backups", err);
+	}
+}
+
 // ─── Public API ────────────────────────────────────────────────────────────────
 
 export async function uploadDropboxBackup(backupData, options = {}) {
@@ -255,6 +279,7 @@ export async function uploadDropboxBackup(backupData, options = {}) {
 		},
 		body: content,
 	}).catch(() => {});
+	await pruneDropboxBackups(token, options);
 
 	return { fileId: item.id || path, fileName };
 }
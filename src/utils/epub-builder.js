@@ -0,0 +1,538 @@
+/**
+ * EPUB 3 builder — packages a novel into a file an e-reader can open.
+ *
+ * Everything here is pure: strings and byte arrays in, one `Uint8Array` out.
+ * No DOM, no `Blob`, no storage access, so the same code runs on the library
+ * page, in a Chromium MV3 service worker, and under `node --test`. Gathering
+ * the chapters and the cover is the caller's job (see `novel-epub-export.js`).
+ *
+ * Two format decisions worth knowing before changing anything:
+ *
+ *   The zip is written with the STORE method only. EPUB requires `mimetype` to
+ *   be the first entry and uncompressed; the rest *may* be deflated, but a
+ *   pure-JS deflate is more code than this whole file for a saving that does
+ *   not matter on a device with gigabytes of storage. Every reader accepts
+ *   stored entries.
+ *
+ *   Chapter HTML is re-serialised, not copied. Enhanced chunks are HTML5 from a
+ *   model and original chunks are whatever the site served — unclosed `<p>`,
+ *   bare `&`, `<br>` without a slash. An XHTML content document that is not
+ *   well-formed XML is rejected outright by most readers, so the markup is
+ *   parsed with `mini-dom` and written back out from an allow-list of tags.
+ *   Anything else (scripts, ads, buttons, images that would need fetching) is
+ *   dropped or unwrapped to its text.
+ */
+
+import { parseMarkup } from "./mini-dom.js";
+
+export const EPUB_MIME_TYPE = "application/epub+zip";
+
+/* -------------------------------------------------------------------------- */
+/* Zip (STORE only)                                                            */
+/* -------------------------------------------------------------------------- */
+
+const CRC_TABLE = (() => {
+	const table = new Uint32Array(256);
+	for (let n = 0; n < 256; n++) {
+		let c = n;
+		for (let k = 0; k < 8; k++) {
+			c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+		}
+		table[n] = c >>> 0;
+	}
+	return table;
+})();
+
+/**
+ * CRC-32 (IEEE 802.3), as the zip format requires.
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+export function crc32(bytes) {
+	let crc = 0xffffffff;
+	for (let i = 0; i < bytes.length; i++) {
+		crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS date/time pair used by zip headers. */
+function toDosDateTime(date) {
+	const year = Math.max(1980, date.getUTCFullYear());
+	return {
+		time:
+			(date.getUTCHours() << 11) |
+			(date.getUTCMinutes() << 5) |
+			Math.floor(date.getUTCSeconds() / 2),
+		date:
+			((year - 1980) << 9) |
+			((date.getUTCMonth() + 1) << 5) |
+			date.getUTCDate(),
+	};
+}
+
+/**
+ * Build an uncompressed zip archive. Entries are written in the order given,
+ * which is what lets EPUB put `mimetype` first.
+ *
+ * @param {Array<{name: string, data: string|Uint8Array}>} entries
+ * @param {Date} [modified] - Timestamp stamped on every entry.
+ * @returns {Uint8Array}
+ */
+export function createStoredZip(entries, modified = new Date()) {
+	const encoder = new TextEncoder();
+	const { time, date } = toDosDateTime(modified);
+	const files = entries.map((entry) => {
+		const name = encoder.encode(entry.name);
+		const data =
+			typeof entry.data === "string"
+				? encoder.encode(entry.data)
+				: entry.data;
+		return { name, data, crc: crc32(data) };
+	});
+
+	const localSize = files.reduce(
+		(sum, f) => sum + 30 + f.name.length + f.data.length,
+		0,
+	);
+	const centralSize = files.reduce((sum, f) => sum + 46 + f.name.length, 0);
+	const out = new Uint8Array(localSize + centralSize + 22);
+	const view = new DataView(out.buffer);
+
+	let offset = 0;
+	const offsets = [];
+	for (const file of files) {
+		offsets.push(offset);
+		view.setUint32(offset, 0x04034b50, true);
+		view.setUint16(offset + 4, 20, true); // version needed
+		view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+		view.setUint16(offset + 8, 0, true); // STORE
+		view.setUint16(offset + 10, time, true);
+		view.setUint16(offset + 12, date, true);
+		view.setUint32(offset + 14, file.crc, true);
+		view.setUint32(offset + 18, file.data.length, true);
+		view.setUint32(offset + 22, file.data.length, true);
+		view.setUint16(offset + 26, file.name.length, true);
+		view.setUint16(offset + 28, 0, true);
+		out.set(file.name, offset + 30);
+		out.set(file.data, offset + 30 + file.name.length);
+		offset += 30 + file.name.length + file.data.length;
+	}
+
+	const centralStart = offset;
+	files.forEach((file, index) => {
+		view.setUint32(offset, 0x02014b50, true);
+		view.setUint16(offset + 4, 20, true); // version made by
+		view.setUint16(offset + 6, 20, true); // version needed
+		view.setUint16(offset + 8, 0x0800, true);
+		view.setUint16(offset + 10, 0, true);
+		view.setUint16(offset + 12, time, true);
+		view.setUint16(offset + 14, date, true);
+		view.setUint32(offset + 16, file.crc, true);
+		view.setUint32(offset + 20, file.data.length, true);
+		view.setUint32(offset + 24, file.data.length, true);
+		view.setUint16(offset + 28, file.name.length, true);
+		// extra length, comment length, disk start, internal attrs: all zero
+		view.setUint32(offset + 38, 0, true); // external attrs
+		view.setUint32(offset + 42, offsets[index], true);
+		out.set(file.name, offset + 46);
+		offset += 46 + file.name.length;
+	});
+
+	view.setUint32(offset, 0x06054b50, true);
+	view.setUint16(offset + 8, files.length, true);
+	view.setUint16(offset + 10, files.length, true);
+	view.setUint32(offset + 12, offset - centralStart, true);
+	view.setUint32(offset + 16, centralStart, true);
+
+	return out;
+}
+
+/* -------------------------------------------------------------------------- */
+/* HTML -> XHTML                                                               */
+/* -------------------------------------------------------------------------- */
+
+/** Escape text for an XML text node or double-quoted attribute. */
+export function escapeXml(value) {
+	return (
+		String(value ?? "")
+			.replace(/&/g, "&amp;")
+			.replace(/</g, "&lt;")
+			.replace(/>/g, "&gt;")
+			.replace(/"/g, "&quot;")
+			// Control characters are not legal anywhere in an XML 1.0 document.
+			// eslint-disable-next-line no-control-regex
+			.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+	);
+}
+
+/** Tags kept as-is. Anything not listed is unwrapped to its children. */
+const XHTML_ALLOWED_TAGS = new Set([
+	"p",
+	"br",
+	"hr",
+	"em",
+	"i",
+	"strong",
+	"b",
+	"u",
+	"s",
+	"del",
+	"ins",
+	"sub",
+	"sup",
+	"small",
+	"blockquote",
+	"h1",
+	"h2",
+	"h3",
+	"h4",
+	"h5",
+	"h6",
+	"ul",
+	"ol",
+	"li",
+	"div",
+	"span",
+	"pre",
+	"code",
+	"table",
+	"thead",
+	"tbody",
+	"tr",
+	"th",
+	"td",
+]);
+
+const XHTML_VOID_TAGS = new Set(["br", "hr"]);
+
+/** Tags removed together with everything inside them. */
+const XHTML_DROPPED_TAGS = new Set([
+	"script",
+	"style",
+	"noscript",
+	"template",
+	"iframe",
+	"object",
+	"embed",
+	"svg",
+	"button",
+	"form",
+	"input",
+	"select",
+	"textarea",
+	"img",
+	"picture",
+	"video",
+	"audio",
+]);
+
+/** Attributes worth carrying over: collapsible sections key off these. */
+const XHTML_ALLOWED_ATTRS = ["class", "data-type", "title"];
+
+/**
+ * Convert a fragment of (possibly sloppy) HTML into well-formed XHTML body
+ * content. Plain text with no markup is split into paragraphs on newlines.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToXhtml(html) {
+	const source = String(html || "");
+	if (!source.trim()) return "";
+	if (!/<[a-z!/]/i.test(source)) {
+		return source
+			.split(/\n+/)
+			.map((line) => line.trim())
+			.filter(Boolean)
+			.map((line) => `<p>${escapeXml(line)}</p>`)
+			.join("\n");
+	}
+
+	const render = (node) => {
+		if (node.type === "text") return escapeXml(node.text);
+		if (node.type !== "element") return "";
+		const tag = node.local;
+		if (XHTML_DROPPED_TAGS.has(tag)) return "";
+		const inner = node.children.map(render).join("");
+		if (!XHTML_ALLOWED_TAGS.has(tag)) return inner;
+		const attrs = XHTML_ALLOWED_ATTRS.filter((name) => node.attrs[name])
+			.map((name) => ` ${name}="${escapeXml(node.attrs[name])}"`)
+			.join("");
+		if (XHTML_VOID_TAGS.has(tag)) return `<${tag}${attrs}/>`;
+		return `<${tag}${attrs}>${inner}</${tag}>`;
+	};
+
+	return parseMarkup(source).children.map(render).join("").trim();
+}
+
+/* -------------------------------------------------------------------------- */
+/* Package documents                                                           */
+/* -------------------------------------------------------------------------- */
+
+/** File extension for each cover media type a book may carry. */
+export const COVER_EXTENSIONS = {
+	"image/jpeg": "jpg",
+	"image/png": "png",
+	"image/gif": "gif",
+	"image/webp": "webp",
+	"image/svg+xml": "svg",
+};
+
+const EPUB_STYLESHEET = `body { margin: 0 5%; line-height: 1.5; }
+h1, h2 { text-align: center; line-height: 1.2; }
+p { margin: 0 0 0.8em; text-indent: 0; }
+.rg-title-page { text-align: center; margin-top: 20%; }
+.rg-title-page .rg-author { font-style: italic; }
+.rg-title-page .rg-description { text-align: left; margin-top: 2em; }
+.rg-title-page .rg-tags { font-size: 0.85em; margin-top: 1em; }
+.rg-collapsible-section { border-left: 3px solid #888; padding-left: 0.8em; margin: 1em 0; }
+.rg-collapsible-section button, .rg-collapsible-toggle { display: none; }
+`;
+
+/** `dcterms:modified` wants second precision and a literal `Z`. */
+function toEpubTimestamp(date) {
+	return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * BCP 47 tag for `dc:language`. Sites report languages as display names
+ * ("English"), which are not valid there, so only tag-shaped values pass.
+ */
+export function normalizeLanguage(language) {
+	const value = String(language || "").trim();
+	return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value) ? value : "en";
+}
+
+function xhtmlDocument(title, body, language) {
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build an EPUB 3 file.
+ *
+ * @param {Object} book
+ * @param {string} book.identifier - Stable ID; readers use it to replace an
+ *   earlier export of the same novel instead of adding a duplicate.
+ * @param {string} book.title
+ * @param {string} [book.author]
+ * @param {string} [book.language] - BCP 47 tag; defaults to "en".
+ * @param {string} [book.description] - Plain text.
+ * @param {Array<string>} [book.tags]
+ * @param {string} [book.sourceUrl]
+ * @param {{bytes: Uint8Array, mediaType: string}|null} [book.cover]
+ * @param {Array<{title: string, html: string}>} book.chapters
+ * @param {Date} [book.modified]
+ * @returns {Uint8Array} The `.epub` file contents.
+ */
+export function buildEpub({
+	identifier,
+	title,
+	author = "",
+	language,
+	description = "",
+	tags = [],
+	sourceUrl = "",
+	cover = null,
+	chapters = [],
+	modified = new Date(),
+}) {
+	const lang = normalizeLanguage(language);
+	const bookTitle = title || "Untitled";
+	const uniqueTags = [...new Set((tags || []).filter(Boolean).map(String))];
+	const coverExt = cover?.bytes?.length
+		? COVER_EXTENSIONS[cover.mediaType]
+		: null;
+
+	const chapterFiles = chapters.map((chapter, index) => ({
+		id: `chapter-${index + 1}`,
+		href: `chapter-${String(index + 1).padStart(4, "0")}.xhtml`,
+		title: chapter.title || `Chapter ${index + 1}`,
+		html: chapter.html,
+	}));
+
+	const titleBody = [
+		`<section class="rg-title-page" epub:type="titlepage">`,
+		coverExt
+			? `<p><img src="cover.${coverExt}" alt="${escapeXml(bookTitle)}" style="max-width: 100%; max-height: 60vh;"/></p>`
+			: "",
+		`<h1>${escapeXml(bookTitle)}</h1>`,
+		author ? `<p class="rg-author">${escapeXml(author)}</p>` : "",
+		uniqueTags.length
+			? `<p class="rg-tags">${escapeXml(uniqueTags.join(" · "))}</p>`
+			: "",
+		description
+			? `<div class="rg-description">${htmlToXhtml(description)}</div>`
+			: "",
+		`</section>`,
+	]
+		.filter(Boolean)
+		.join("\n");
+
+	const navItems = chapterFiles
+		.map((ch) => `<li><a href="${ch.href}">${escapeXml(ch.title)}</a></li>`)
+		.join("\n");
+	const nav = xhtmlDocument(
+		bookTitle,
+		`<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+<li><a href="title.xhtml">${escapeXml(bookTitle)}</a></li>
+${navItems}
+</ol>
+</nav>`,
+		lang,
+	);
+
+	// EPUB 2 NCX: ignored by EPUB 3 readers, required by the older firmware
+	// still common on e-ink devices for the table of contents to appear.
+	const navPoints = [
+		{ href: "title.xhtml", title: bookTitle },
+		...chapterFiles,
+	]
+		.map(
+			(
+				item,
+				index,
+			) => `<navPoint id="nav-${index + 1}" playOrder="${index + 1}">
+<navLabel><text>${escapeXml(item.title)}</text></navLabel>
+<content src="${item.href}"/>
+</navPoint>`,
+		)
+		.join("\n");
+	const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${escapeXml(identifier)}"/>
+<meta name="dtb:depth" content="1"/>
+</head>
+<docTitle><text>${escapeXml(bookTitle)}</text></docTitle>
+<navMap>
+${navPoints}
+</navMap>
+</ncx>
+`;
+
+	const metadata = [
+		`<dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>`,
+		`<dc:title>${escapeXml(bookTitle)}</dc:title>`,
+		author ? `<dc:creator>${escapeXml(author)}</dc:creator>` : "",
+		`<dc:language>${lang}</dc:language>`,
+		description
+			? `<dc:description>${escapeXml(description)}</dc:description>`
+			: "",
+		...uniqueTags.map(
+			(tag) => `<dc:subject>${escapeXml(tag)}</dc:subject>`,
+		),
+		sourceUrl ? `<dc:source>${escapeXml(sourceUrl)}</dc:source>` : "",
+		`<meta property="dcterms:modified">${toEpubTimestamp(modified)}</meta>`,
+		coverExt ? `<meta name="cover" content="cover-image"/>` : "",
+	]
+		.filter(Boolean)
+		.join("\n");
+
+	const manifest = [
+		`<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>`,
+		`<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>`,
+		`<item id="css" href="styles.css" media-type="text/css"/>`,
+		coverExt
+			? `<item id="cover-image" href="cover.${coverExt}" media-type="${cover.mediaType}" properties="cover-image"/>`
+			: "",
+		`<item id="title-page" href="title.xhtml" media-type="application/xhtml+xml"/>`,
+		...chapterFiles.map(
+			(ch) =>
+				`<item id="${ch.id}" href="${ch.href}" media-type="application/xhtml+xml"/>`,
+		),
+	]
+		.filter(Boolean)
+		.join("\n");
+
+	const spine = [
+		`<itemref idref="title-page"/>`,
+		...chapterFiles.map((ch) => `<itemref idref="${ch.id}"/>`),
+	].join("\n");
+
+	const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata}
+</metadata>
+<manifest>
+${manifest}
+</manifest>
+<spine toc="ncx">
+${spine}
+</spine>
+</package>
+`;
+
+	const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+	const entries = [
+		{ name: "mimetype", data: EPUB_MIME_TYPE },
+		{ name: "META-INF/container.xml", data: container },
+		{ name: "OEBPS/content.opf", data: opf },
+		{ name: "OEBPS/nav.xhtml", data: nav },
+		{ name: "OEBPS/toc.ncx", data: ncx },
+		{ name: "OEBPS/styles.css", data: EPUB_STYLESHEET },
+		{
+			name: "OEBPS/title.xhtml",
+			data: xhtmlDocument(bookTitle, titleBody, lang),
+		},
+	];
+	if (coverExt) {
+		entries.push({ name: `OEBPS/cover.${coverExt}`, data: cover.bytes });
+	}
+	for (const ch of chapterFiles) {
+		entries.push({
+			name: `OEBPS/${ch.href}`,
+			data: xhtmlDocument(
+				ch.title,
+				`<section epub:type="chapter">\n<h2>${escapeXml(ch.title)}</h2>\n${htmlToXhtml(ch.html)}\n</section>`,
+				lang,
+			),
+		});
+	}
+
+	return createStoredZip(entries, modified);
+}
+
+/**
+ * Split a `data:` URL (the form `image-cache.js` stores covers in) into bytes
+ * and a media type. Returns null for anything that is not a base64 image.
+ *
+ * @param {string} dataUrl
+ * @returns {{bytes: Uint8Array, mediaType: string}|null}
+ */
+export function dataUrlToCover(dataUrl) {
+	const match = /^data:([^;,]+);base64,(.*)$/s.exec(String(dataUrl || ""));
+	if (!match || !COVER_EXTENSIONS[match[1].toLowerCase()]) return null;
+	try {
+		const binary = atob(match[2]);
+		const bytes = new Uint8Array(binary.length);
+		for (let i = 0; i < binary.length; i++) {
+			bytes[i] = binary.charCodeAt(i);
+		}
+		return { bytes, mediaType: match[1].toLowerCase() };
+	} catch {
+		return null;
+	}
+}
@@ -0,0 +1,180 @@
+/**
+ * Just enough JSON Schema to check a backup before it is restored
+ *
+ * The backup schema (docs/backup/ranobe-backup.schema.json) is draft 2020-12
+ * but only uses a handful of keywords, and a full validator is far more code
+ * than the extension should ship for one file. Supported: type (including
+ * "integer" and type lists), enum, const, required, properties,
+ * additionalProperties (boolean or schema), items, minimum, maximum,
+ * minLength, maxLength, pattern, minItems, maxItems and local `$ref`s
+ * ("#/$defs/..."). `format`, `description` and anything else are
+ * annotations here, as the spec allows.
+ *
+ * Properties rejected by `additionalProperties: false` can be reported as
+ * warnings instead of errors (see `options.warnings`): a backup written by a
+ * newer build may carry fields this one does not know, and those are safe to
+ * ignore where a wrong type is not.
+ *
+ * @typedef {Object} SchemaError
+ * @property {string} path    - JSON pointer to the offending value ("" is the root)
+ * @property {string} message
+ */
+
+const DEFAULT_ERROR_LIMIT = 20;
+
+function typeOf(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	return typeof value;
+}
+
+function matchesType(value, type) {
+	if (type === "integer") return Number.isInteger(value);
+	if (type === "number") {
+		return typeof value === "number" && Number.isFinite(value);
+	}
+	return typeOf(value) === type;
+}
+
+function escapePointer(key) {
+	return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function resolveRef(ref, root) {
+	if (!ref.startsWith("#")) {
+		throw new Error(`Only local $refs are supported, got ${ref}`);
+	}
+	let target = root;
+	for (const part of ref.slice(1).split("/").filter(Boolean)) {
+		const key = decodeURIComponent(part)
+			.replace(/~1/g, "/")
+			.replace(/~0/g, "~");
+		target = target?.[key];
+	}
+	if (target === undefined) throw new Error(`Unresolvable $ref ${ref}`);
+	return target;
+}
+
+function check(value, schema, path, ctx) {
+	const { root, errors, limit } = ctx;
+	if (errors.length >= limit || schema === true || schema == null) return;
+	const fail = (message) => {
+		if (errors.length < limit) errors.push({ path, message });
+	};
+	if (schema === false) {
+		fail("is not allowed");
+		return;
+	}
+
+	if (schema.$ref) {
+		check(value, resolveRef(schema.$ref, root), path, ctx);
+	}
+
+	if (schema.type !== undefined) {
+		const types = [schema.type].flat();
+		if (!types.some((type) => matchesType(value, type))) {
+			fail(`should be ${types.join(" or ")}, got ${typeOf(value)}`);
+			return;
+		}
+	}
+	if (schema.const !== undefined && value !== schema.const) {
+		fail(`should be ${JSON.stringify(schema.const)}`);
+	}
+	if (schema.enum && !schema.enum.includes(value)) {
+		fail(`should be one of ${schema.enum.map(String).join(", ")}`);
+	}
+
+	if (typeof value === "number") {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			fail(`should be at least ${schema.minimum}`);
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			fail(`should be at most ${schema.maximum}`);
+		}
+	}
+
+	if (typeof value === "string") {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			fail(`should be at least ${schema.minLength} characters`);
+		}
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+			fail(`should be at most ${schema.maxLength} characters`);
+		}
+		if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+			fail(`should match ${schema.pattern}`);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			fail(`should have at least ${schema.minItems} items`);
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			fail(`should have at most ${schema.maxItems} items`);
+		}
+		if (schema.items !== undefined) {
+			value.forEach((item, index) =>
+				check(item, schema.items, `${path}/${index}`, ctx),
+			);
+		}
+	}
+
+	if (typeOf(value) === "object") {
+		for (const key of schema.required || []) {
+			if (!(key in value)) fail(`is missing required property ${key}`);
+		}
+		const properties = schema.properties || {};
+		for (const [key, child] of Object.entries(value)) {
+			const childPath = `${path}/${escapePointer(key)}`;
+			if (Object.hasOwn(properties, key)) {
+				check(child, properties[key], childPath, ctx);
+			} else if (schema.additionalProperties === false) {
+				const target = ctx.warnings || errors;
+				if (target.length < limit) {
+					target.push({
+						path: childPath,
+						message: "is not an allowed property",
+					});
+				}
+			} else if (schema.additionalProperties !== undefined) {
+				check(child, schema.additionalProperties, childPath, ctx);
+			}
+		}
+	}
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {*} value
+ * @param {Object|boolean} schema
+ * @param {Object} [options]
+ * @param {Object} [options.root=schema] - Document `$ref`s resolve against,
+ *   when `schema` is one of its definitions
+ * @param {number} [options.limit=20] - Stop after this many errors
+ * @param {SchemaError[]} [options.warnings] - When given, properties that
+ *   `additionalProperties: false` rejects are collected here (up to the same
+ *   limit) instead of failing validation
+ * @returns {SchemaError[]} Empty when the value is valid
+ */
+export function validateJsonSchema(value, schema, options = {}) {
+	const { root = schema, limit = DEFAULT_ERROR_LIMIT, warnings } = options;
+	const errors = [];
+	check(value, schema, "", { root, errors, limit, warnings });
+	return errors;
+}
+
+/**
+ * One line per error, for messages shown to the user.
+ * @param {SchemaError[]} errors
+ * @param {number} [max=5]
+ * @returns {string}
+ */
+export function describeSchemaErrors(errors, max = 5) {
+	const lines = errors
+		.slice(0, max)
+		.map((error) => `${error.path || "(root)"} ${error.message}`);
+	if (errors.length > max) {
+		lines.push(`…and ${errors.length - max} more`);
+	}
+	return lines.join("\n");
+}
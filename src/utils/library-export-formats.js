@@ -0,0 +1,495 @@
+/**
+ * Library exports for people who do not use the extension
+ *
+ *   CSV      One row per novel, columns defined as `Header = {template}`
+ *            lines, so any token from novel-copy-format.js can be a column.
+ *   OPDS     An OPDS 1.2 acquisition feed (Atom) of the library. Novels with
+ *            cached chapters can ship with an EPUB beside the catalog, which
+ *            the entry links to; the rest link to their source page.
+ *   Calibre  A Calibre library folder layout, `Author/Title (n)/metadata.opf`,
+ *            with the cover and EPUB where cached. Calibre's "Restore
+ *            database" rebuilds metadata.db from exactly these files.
+ *
+ * Field values come from getNovelTokenValues(), so an exported field always
+ * matches what the same token produces in a copy template. The builders are
+ * pure; the export* functions gather EPUBs and covers and download the files.
+ * OPDS and Calibre exports are many files, so they download as one zip of
+ * the folder rather than a download per file.
+ */
+
+import {
+	COVER_EXTENSIONS,
+	EPUB_MIME_TYPE,
+	buildEpub,
+	createStoredZip,
+	dataUrlToCover,
+	escapeXml,
+	normalizeLanguage,
+} from "./epub-builder.js";
+import { collectNovelEpubSource } from "./novel-epub-export.js";
+import {
+	collectNovelTags,
+	formatExportFilename,
+	formatNovelInfo,
+	getNovelTokenValues,
+	resolveExportTemplate,
+	toFilenameSafe,
+} from "./novel-copy-format.js";
+import { SHELF_REGISTRY } from "./domain-constants.js";
+import { getCachedImage } from "./image-cache.js";
+import { downloadBytes, downloadText } from "./download-data.js";
+import { novelLibrary } from "./novel-library.js";
+import { debugLog } from "./logger.js";
+
+export const OPDS_ACQUISITION_TYPE =
+	"application/atom+xml;profile=opds-catalog;kind=acquisition";
+
+/** Default CSV columns, in the same `Header = {template}` form users edit. */
+export const DEFAULT_CSV_COLUMNS_TEXT = [
+	"Title = {title}",
+	"Author = {author}",
+	"Status = {status}",
+	"Last Read = {lastRead}",
+	"Chapters = {chapters}",
+	"Words = {wordCount}",
+	"Site = {site}",
+	"Tags = {tags}",
+	"Added = {added}",
+	"URL = {url}",
+].join("\n");
+
+/**
+ * Columns from `Header = {template}` lines. A line without `=` is a bare
+ * template and is its own header.
+ * @param {string} text
+ * @returns {Array<{header: string, template: string}>}
+ */
+export function parseCsvColumns(text) {
+	return String(text || "")
+		.split(/\r?\n/)
+		.map((line) => line.trim())
+		.filter(Boolean)
+		.map((line) => {
+			const split = line.indexOf("=");
+			if (split === -1) return { header: line, template: line };
+			return {
+				header: line.slice(0, split).trim() || line,
+				template: line.slice(split + 1).trim(),
+			};
+		});
+}
+
+/**
+ * Quote a CSV field when needed. Text that a spreadsheet would run as a
+ * formula (`=`, `+`, `-`, `@`) gets a leading apostrophe; these files are
+ * opened by people who did not write the titles in them.
+ */
+function csvField(value) {
+	let text = String(value ?? "");
+	if (/^[=+\-@]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object[]} novels
+ * @param {Array<{header: string, template: string}>} [columns]
+ * @returns {string} RFC 4180 CSV with CRLF line endings
+ */
+export function buildLibraryCsv(
+	novels,
+	columns = parseCsvColumns(DEFAULT_CSV_COLUMNS_TEXT),
+) {
+	const rows = [columns.map((column) => csvField(column.header)).join(",")];
+	for (const novel of novels) {
+		rows.push(
+			columns
+				.map((column) =>
+					csvField(formatNovelInfo(novel, column.template)),
+				)
+				.join(","),
+		);
+	}
+	return `${rows.join("\r\n")}\r\n`;
+}
+
+function plainText(html) {
+	return String(html || "")
+		.replace(/<br\s*\/?>|<\/p>/gi, "\n")
+		.replace(/<[^>]*>/g, "")
+		.replace(/&nbsp;/g, " ")
+		.replace(/&amp;/g, "&")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/\n{3,}/g, "\n\n")
+		.trim();
+}
+
+function isoTimestamp(timestamp) {
+	return new Date(timestamp || 0).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function novelUpdatedAt(novel) {
+	return (
+		novel.lastUpdated ||
+		novel.lastMetadataUpdate ||
+		novel.lastAccessedAt ||
+		novel.addedAt ||
+		0
+	);
+}
+
+function siteName(shelfId) {
+	return SHELF_REGISTRY[shelfId]?.name || shelfId || "";
+}
+
+/**
+ * OPDS 1.2 acquisition feed for the library.
+ *
+ * @param {Object[]} novels
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @param {Date} [options.updated]
+ * @param {Record<string, string>} [options.epubHrefs] - Catalog-relative
+ *   EPUB path per novel id, for the novels exported with one
+ * @returns {string}
+ */
+export function buildOpdsCatalog(
+	novels,
+	{
+		title = "Ranobe Gemini Library",
+		updated = new Date(),
+		epubHrefs = {},
+	} = {},
+) {
+	const entries = novels.map((novel) => {
+		const values = getNovelTokenValues(novel);
+		const epub = epubHrefs[novel.id];
+		const summary = plainText(values.description);
+		const progress = [
+			values.status,
+			values.lastRead &&
+				`chapter ${values.lastRead}${values.chapters ? ` of ${values.chapters}` : ""}`,
+		]
+			.filter(Boolean)
+			.join(" · ");
+		const lines = [
+			"<entry>",
+			`<title>${escapeXml(values.title)}</title>`,
+			`<id>urn:ranobe-gemini:${escapeXml(values.id)}</id>`,
+			`<updated>${isoTimestamp(novelUpdatedAt(novel))}</updated>`,
+			`<author><name>${escapeXml(values.author)}</name></author>`,
+			`<dc:language>${normalizeLanguage(novel.metadata?.language)}</dc:language>`,
+			novel.shelfId
+				? `<dc:publisher>${escapeXml(siteName(novel.shelfId))}</dc:publisher>`
+				: "",
+			novel.addedAt
+				? `<published>${isoTimestamp(novel.addedAt)}</published>`
+				: "",
+			...collectNovelTags(novel).map(
+				(tag) =>
+					`<category term="${escapeXml(tag)}" label="${escapeXml(tag)}"/>`,
+			),
+			values.status
+				? `<category scheme="urn:ranobe-gemini:reading-status" term="${escapeXml(values.status)}"/>`
+				: "",
+			summary ? `<summary>${escapeXml(summary)}</summary>` : "",
+			progress
+				? `<content type="text">${escapeXml(progress)}</content>`
+				: "",
+			novel.coverUrl
+				? `<link rel="http://opds-spec.org/image" href="${escapeXml(novel.coverUrl)}"/>`
+				: "",
+			epub
+				? `<link rel="http://opds-spec.org/acquisition/open-access" href="${escapeXml(epub)}" type="${EPUB_MIME_TYPE}"/>`
+				: "",
+			values.url
+				? `<link rel="${epub ? "alternate" : "http://opds-spec.org/acquisition/open-access"}" href="${escapeXml(values.url)}" type="text/html"/>`
+				: "",
+			"</entry>",
+		];
+		return lines.filter(Boolean).join("\n");
+	});
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/terms/" xmlns:opds="http://opds-spec.org/2010/catalog">
+<id>urn:ranobe-gemini:library</id>
+<title>${escapeXml(title)}</title>
+<updated>${isoTimestamp(updated.getTime())}</updated>
+<author><name>Ranobe Gemini</name></author>
+<link rel="self" href="catalog.xml" type="${OPDS_ACQUISITION_TYPE}"/>
+<link rel="start" href="catalog.xml" type="${OPDS_ACQUISITION_TYPE}"/>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+// Calibre sorts "The Tower" under T as "Tower, The".
+function titleSort(title) {
+	const match = /^(the|a|an)\s+(.+)$/i.exec(title);
+	return match ? `${match[2]}, ${match[1]}` : title;
+}
+
+// Calibre's default author sort: "First Middle Last" becomes "Last, First
+// Middle". Single names and pen names like "pirateaba" stay as they are.
+function authorSort(author) {
+	const parts = author.trim().split(/\s+/);
+	if (parts.length < 2) return author.trim();
+	return `${parts.pop()}, ${parts.join(" ")}`;
+}
+
+/**
+ * A novel as a Calibre book record, named after metadata.db's columns.
+ * @param {Object} novel
+ * @returns {Object}
+ */
+export function toCalibreRecord(novel) {
+	const values = getNovelTokenValues(novel);
+	const authors = values.author
+		.split(/\s*(?:,|&|\band\b)\s*/)
+		.filter(Boolean);
+	return {
+		title: values.title,
+		title_sort: titleSort(values.title),
+		authors,
+		author_sort: authors.map(authorSort).join(" & "),
+		tags: collectNovelTags(novel),
+		comments: novel.description || "",
+		publisher: siteName(novel.shelfId),
+		languages: [normalizeLanguage(novel.metadata?.language)],
+		identifiers: {
+			ranobegemini: values.id,
+			...(values.url ? { url: values.url } : {}),
+		},
+		timestamp: isoTimestamp(novel.addedAt),
+		last_modified: isoTimestamp(novelUpdatedAt(novel)),
+		read_status: values.status,
+		last_read_chapter: values.lastRead,
+	};
+}
+
+/**
+ * `metadata.opf` as Calibre writes it into each book folder.
+ * @param {Object} record - toCalibreRecord() result
+ * @param {Object} [options]
+ * @param {string} [options.coverHref] - Cover file name in the book folder
+ * @returns {string}
+ */
+export function buildCalibreOpf(record, { coverHref } = {}) {
+	const metadata = [
+		`<dc:identifier opf:scheme="ranobegemini" id="ranobe_gemini_id">${escapeXml(record.identifiers.ranobegemini)}</dc:identifier>`,
+		record.identifiers.url
+			? `<dc:identifier opf:scheme="url">${escapeXml(record.identifiers.url)}</dc:identifier>`
+			: "",
+		`<dc:title>${escapeXml(record.title)}</dc:title>`,
+		...record.authors.map(
+			(author) =>
+				`<dc:creator opf:file-as="${escapeXml(authorSort(author))}" opf:role="aut">${escapeXml(author)}</dc:creator>`,
+		),
+		record.comments
+			? `<dc:description>${escapeXml(record.comments)}</dc:description>`
+			: "",
+		record.publisher
+			? `<dc:publisher>${escapeXml(record.publisher)}</dc:publisher>`
+			: "",
+		...record.languages.map(
+			(language) => `<dc:language>${escapeXml(language)}</dc:language>`,
+		),
+		...record.tags.map(
+			(tag) => `<dc:subject>${escapeXml(tag)}</dc:subject>`,
+		),
+		`<meta name="calibre:timestamp" content="${record.timestamp}"/>`,
+		`<meta name="calibre:title_sort" content="${escapeXml(record.title_sort)}"/>`,
+		record.read_status
+			? `<meta name="ranobe-gemini:read_status" content="${escapeXml(record.read_status)}"/>`
+			: "",
+		record.last_read_chapter
+			? `<meta name="ranobe-gemini:last_read_chapter" content="${escapeXml(record.last_read_chapter)}"/>`
+			: "",
+	]
+		.filter(Boolean)
+		.join("\n");
+
+	const guide = coverHref
+		? `\n<guide>\n<reference type="cover" title="Cover" href="${escapeXml(coverHref)}"/>\n</guide>`
+		: "";
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="ranobe_gemini_id" version="2.0">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+${metadata}
+</metadata>${guide}
+</package>
+`;
+}
+
+/**
+ * Book folder for the Calibre layout. Calibre reads the book id from the
+ * "(n)" suffix when it restores a library, so `index` must be unique.
+ */
+export function calibreBookPath(record, index) {
+	const author = toFilenameSafe(record.authors[0] || "Unknown").slice(0, 60);
+	const title = toFilenameSafe(record.title).slice(0, 80);
+	return `${author}/${title} (${index})`;
+}
+
+function exportFolder(kind) {
+	return `RanobeGemini-${kind}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Download `files` (paths inside `folder`) as `folder`.zip. EPUBs and JPEGs
+ * are compressed already, so the entries are stored as they are.
+ * @param {string} folder
+ * @param {Array<{name: string, data: string|Uint8Array}>} files
+ * @returns {Promise<string>} The zip's filename
+ */
+async function downloadFolderZip(folder, files) {
+	const filename = `${folder}.zip`;
+	await downloadBytes({
+		bytes: createStoredZip(
+			files.map(({ name, data }) => ({
+				name: `${folder}/${name}`,
+				data,
+			})),
+		),
+		filename,
+		type: "application/zip",
+	});
+	return filename;
+}
+
+/** EPUB bytes for a novel with cached chapters, or null. */
+async function buildCachedEpub(novel, library) {
+	const { book, chapterCount } = await collectNovelEpubSource(novel, {
+		library,
+	});
+	return chapterCount ? buildEpub(book) : null;
+}
+
+/**
+ * Download the library as CSV.
+ * @param {Object[]} novels
+ * @param {string} [columnsText] - `Header = {template}` lines
+ * @returns {Promise<{filename: string, rows: number}>}
+ */
+export async function exportLibraryAsCsv(novels, columnsText) {
+	const columns = parseCsvColumns(columnsText || DEFAULT_CSV_COLUMNS_TEXT);
+	const filename = `${exportFolder("Library")}.csv`;
+	// The BOM makes Excel read the file as UTF-8.
+	await downloadText({
+		text: `\uFEFF${buildLibraryCsv(novels, columns)}`,
+		filename,
+		type: "text/csv",
+	});
+	return { filename, rows: novels.length };
+}
+
+/**
+ * Download an OPDS catalog of the library as a zip, with an EPUB beside it
+ * for every novel that has cached chapters when `includeEpubs` is set.
+ *
+ * @param {Object[]} novels
+ * @param {Object} [options]
+ * @param {boolean} [options.includeEpubs]
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @param {Object} [options.library] - NovelLibrary
+ * @returns {Promise<{filename: string, folder: string, entries: number, epubs: number}>}
+ */
+export async function exportLibraryAsOpds(
+	novels,
+	{ includeEpubs = false, onProgress, library = novelLibrary } = {},
+) {
+	const folder = exportFolder("OPDS");
+	const files = [];
+	const epubHrefs = {};
+	// Lower-cased, since the zip is usually unpacked onto a case-insensitive
+	// filesystem.
+	const usedHrefs = new Set();
+	if (includeEpubs) {
+		const settings = await library.getSettings();
+		for (const [index, novel] of novels.entries()) {
+			onProgress?.(index, novels.length);
+			const bytes = await buildCachedEpub(novel, library);
+			if (!bytes) continue;
+			const template = resolveExportTemplate(
+				settings.novelCopyFormats,
+				novel.shelfId,
+			);
+			let href = `epub/${formatExportFilename(novel, template, "epub")}`;
+			// Two novels can share a title (or a template that names neither
+			// apart): the novel id tells the second file from the first.
+			if (usedHrefs.has(href.toLowerCase())) {
+				href = href.replace(
+					/\.epub$/,
+					` (${toFilenameSafe(String(novel.id))}).epub`,
+				);
+			}
+			usedHrefs.add(href.toLowerCase());
+			files.push({ name: href, data: bytes });
+			epubHrefs[novel.id] = href;
+		}
+	}
+	// The catalog first, so a reader of the zip listing sees it at the top.
+	files.unshift({
+		name: "catalog.xml",
+		data: buildOpdsCatalog(novels, { epubHrefs }),
+	});
+	const filename = await downloadFolderZip(folder, files);
+	const epubs = Object.keys(epubHrefs).length;
+	debugLog(`[Export] OPDS catalog: ${novels.length} entries, ${epubs} EPUBs`);
+	return { filename, folder, entries: novels.length, epubs };
+}
+
+/**
+ * Download the library in Calibre's folder layout, as a zip: one
+ * `metadata.opf` per book, with its cached cover and, when `includeEpubs` is
+ * set, an EPUB of its cached chapters.
+ *
+ * @param {Object[]} novels
+ * @param {Object} [options]
+ * @param {boolean} [options.includeEpubs]
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @param {Object} [options.library] - NovelLibrary
+ * @returns {Promise<{filename: string, folder: string, books: number, epubs: number}>}
+ */
+export async function exportLibraryForCalibre(
+	novels,
+	{ includeEpubs = false, onProgress, library = novelLibrary } = {},
+) {
+	const folder = exportFolder("Calibre");
+	const files = [];
+	let epubs = 0;
+	for (const [index, novel] of novels.entries()) {
+		onProgress?.(index, novels.length);
+		const record = toCalibreRecord(novel);
+		const bookPath = calibreBookPath(record, index + 1);
+
+		let coverHref;
+		const cover = novel.coverUrl
+			? dataUrlToCover(await getCachedImage(novel.coverUrl))
+			: null;
+		if (cover) {
+			coverHref = `cover.${COVER_EXTENSIONS[cover.mediaType]}`;
+			files.push({ name: `${bookPath}/${coverHref}`, data: cover.bytes });
+		}
+		if (includeEpubs) {
+			const bytes = await buildCachedEpub(novel, library);
+			if (bytes) {
+				files.push({
+					name: `${bookPath}/${toFilenameSafe(record.title)}.epub`,
+					data: bytes,
+				});
+				epubs++;
+			}
+		}
+		files.push({
+			name: `${bookPath}/metadata.opf`,
+			data: buildCalibreOpf(record, { coverHref }),
+		});
+	}
+	const filename = await downloadFolderZip(folder, files);
+	debugLog(`[Export] Calibre layout: ${novels.length} books, ${epubs} EPUBs`);
+	return { filename, folder, books: novels.length, epubs };
+}
@@ -0,0 +1,533 @@
+/**
+ * Field-level three-way merge for library sync
+ *
+ * importLibrary(data, true) merges whole novels: for most fields the incoming
+ * value simply wins, so a backup uploaded by a phone that moved the reading
+ * position also carries the phone's stale reading status, and the desktop's
+ * status edit is lost (or the other way round, depending on who synced last).
+ *
+ * Here every novel record carries `fieldClock`, the last local change time of
+ * each top-level field, stamped by NovelLibrary.saveLibrary. A sync compares
+ * three snapshots: this device, the remote backup, and the base — what both
+ * agreed on after the previous sync. A field only one side changed since the
+ * base takes that side's value; a field both changed is a conflict, resolved
+ * by the newer clock (or mechanically for timestamps, counters, lists and
+ * nested objects) and reported so it can be reviewed. Removed novels leave a
+ * tombstone in `library.deletedNovels` so a removal syncs instead of the
+ * novel coming back from the other device.
+ *
+ * The base is kept as a digest (digestLibrarySnapshot): hashes of every field,
+ * of each key of an object field and each item of a list, and of each chapter
+ * entry. That is all the merge compares against, so the library never has to
+ * be stored a second time.
+ *
+ * @typedef {Object} LibrarySnapshot
+ * @property {Object} library  - `{ novels, deletedNovels, shelves, ... }`
+ * @property {Object} chapters - `{ [novelId]: { chapters: { [chapterId]: {...} } } }`
+ *
+ * @typedef {Object} LibraryDigest
+ * @property {Object} novels   - `{ [novelId]: digest of the record without fieldClock }`
+ * @property {Object} chapters - `{ [novelId]: { [chapterId]: hash } }`
+ *
+ * @typedef {Object} MergeConflict
+ * @property {string} novelId
+ * @property {string} title
+ * @property {string} field           - Top-level field, or `metadata.author` style path
+ * @property {*}      local
+ * @property {*}      remote
+ * @property {number} localChangedAt  - 0 when unknown
+ * @property {number} remoteChangedAt
+ * @property {"local"|"remote"} resolution - Side whose value was kept
+ */
+
+export const FIELD_CLOCK_KEY = "fieldClock";
+export const DELETED_NOVELS_KEY = "deletedNovels";
+
+// Long enough for a device that has been offline for a while to learn about a
+// removal; a device offline for longer may bring the novel back.
+export const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Both sides changing these is not a real disagreement.
+const LATEST_WINS_FIELDS = new Set([
+	"lastAccessedAt",
+	"lastUpdated",
+	"lastMetadataUpdate",
+	"enhancedChaptersCount",
+]);
+const EARLIEST_WINS_FIELDS = new Set(["addedAt"]);
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * JSON with sorted keys, so two devices that built the same object in a
+ * different key order compare equal.
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+	if (value === undefined) return "undefined";
+	if (Array.isArray(value)) {
+		return `[${value.map(stableStringify).join(",")}]`;
+	}
+	if (isPlainObject(value)) {
+		return `{${Object.keys(value)
+			.filter((key) => value[key] !== undefined)
+			.sort()
+			.map(
+				(key) =>
+					`${JSON.stringify(key)}:${stableStringify(value[key])}`,
+			)
+			.join(",")}}`;
+	}
+	return JSON.stringify(value);
+}
+
+function same(a, b) {
+	return stableStringify(a) === stableStringify(b);
+}
+
+// cyrb53: a fast 53-bit string hash, ample for telling records apart.
+function hashString(text) {
+	let h1 = 0xdeadbeef;
+	let h2 = 0x41c6ce57;
+	for (let i = 0; i < text.length; i++) {
+		const ch = text.charCodeAt(i);
+		h1 = Math.imul(h1 ^ ch, 2654435761);
+		h2 = Math.imul(h2 ^ ch, 1597334677);
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+	h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+	h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+	return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Hash of a value's stable JSON: equal for equal values, whatever their key
+ * order.
+ * @param {*} value
+ * @returns {string}
+ */
+export function hashValue(value) {
+	return hashString(stableStringify(value));
+}
+
+// A base value as the merge remembers it: its hash, plus the digest of each
+// key of an object and the hash of each item of a list, so a later merge can
+// still go key by key and item by item.
+function digestValue(value) {
+	if (value === undefined) return undefined;
+	if (Array.isArray(value)) {
+		return { h: hashValue(value), items: value.map(hashValue) };
+	}
+	if (isPlainObject(value)) {
+		const keys = {};
+		for (const [key, item] of Object.entries(value)) {
+			if (item !== undefined) keys[key] = digestValue(item);
+		}
+		return { h: hashValue(value), keys };
+	}
+	return hashValue(value);
+}
+
+function matchesBase(value, digest) {
+	if (digest === undefined) return value === undefined;
+	return (
+		hashValue(value) === (typeof digest === "string" ? digest : digest.h)
+	);
+}
+
+function unionKeys(...objects) {
+	const keys = new Set();
+	for (const object of objects) {
+		for (const key of Object.keys(object || {})) keys.add(key);
+	}
+	keys.delete(FIELD_CLOCK_KEY);
+	return [...keys];
+}
+
+function withoutClock(novel) {
+	if (!novel) return novel;
+	const rest = { ...novel };
+	delete rest[FIELD_CLOCK_KEY];
+	return rest;
+}
+
+/**
+ * Most recent change recorded on a novel, 0 for records from before field
+ * clocks existed.
+ * @param {Object} novel
+ * @returns {number}
+ */
+export function latestChange(novel) {
+	return Math.max(0, ...Object.values(novel?.[FIELD_CLOCK_KEY] || {}));
+}
+
+function pruneTombstones(tombstones, now) {
+	const kept = {};
+	for (const [novelId, deletedAt] of Object.entries(tombstones || {})) {
+		if (now - deletedAt < TOMBSTONE_TTL_MS) kept[novelId] = deletedAt;
+	}
+	return kept;
+}
+
+// Clock every field of `novel` that differs from `old` (all of them when
+// `old` is missing).
+function stampNovel(old, novel, now) {
+	if (!novel || typeof novel !== "object" || old === novel) return;
+	const clock = { ...(novel[FIELD_CLOCK_KEY] || {}) };
+	let changed = false;
+	for (const field of unionKeys(novel, old)) {
+		if (!old || !same(old[field], novel[field])) {
+			clock[field] = now;
+			changed = true;
+		}
+	}
+	if (changed) novel[FIELD_CLOCK_KEY] = clock;
+}
+
+/**
+ * Record what changed between the stored library and the one about to be
+ * saved: a clock entry for every added, changed or removed novel field, and a
+ * tombstone for every removed novel. Mutates and returns `next`.
+ *
+ * @param {Object|null} previous - Library currently in storage
+ * @param {Object} next - Library about to be saved
+ * @param {number} [now]
+ * @returns {Object} `next`
+ */
+export function stampLibraryChanges(previous, next, now = Date.now()) {
+	const before = previous?.novels || {};
+	const after = next.novels || {};
+
+	for (const [novelId, novel] of Object.entries(after)) {
+		stampNovel(before[novelId], novel, now);
+	}
+
+	const tombstones = {
+		...(previous?.[DELETED_NOVELS_KEY] || {}),
+		...(next[DELETED_NOVELS_KEY] || {}),
+	};
+	for (const novelId of Object.keys(before)) {
+		if (!after[novelId]) tombstones[novelId] = now;
+	}
+	for (const novelId of Object.keys(after)) delete tombstones[novelId];
+	next[DELETED_NOVELS_KEY] = pruneTombstones(tombstones, now);
+	return next;
+}
+
+/**
+ * stampLibraryChanges for a save that knows which novels it touched: only
+ * those are compared, so the rest of the library is neither read back from
+ * storage nor serialised. Mutates and returns `next`.
+ *
+ * @param {Object<string, Object|null>} touched - Novel id → the novel as it
+ *   was before the change (null for one just added); a touched novel missing
+ *   from `next` was removed
+ * @param {Object} next - Library about to be saved
+ * @param {number} [now]
+ * @returns {Object} `next`
+ */
+export function stampNovelChanges(touched, next, now = Date.now()) {
+	const after = next.novels || {};
+	const tombstones = { ...(next[DELETED_NOVELS_KEY] || {}) };
+	for (const [novelId, old] of Object.entries(touched)) {
+		if (after[novelId]) {
+			stampNovel(old, after[novelId], now);
+			delete tombstones[novelId];
+		} else if (old) {
+			tombstones[novelId] = now;
+		}
+	}
+	next[DELETED_NOVELS_KEY] = pruneTombstones(tombstones, now);
+	return next;
+}
+
+/**
+ * Three-way merge of two lists as sets: an item either side added is kept, an
+ * item either side removed since the base is dropped. Local order first.
+ */
+function mergeLists(baseItems, local, remote) {
+	const baseKeys = new Set(baseItems);
+	const localKeys = new Set(local.map(hashValue));
+	const remoteKeys = new Set(remote.map(hashValue));
+	const removed = new Set(
+		[...baseKeys].filter(
+			(key) => !localKeys.has(key) || !remoteKeys.has(key),
+		),
+	);
+	const seen = new Set();
+	const merged = [];
+	for (const item of [...local, ...remote]) {
+		const key = hashValue(item);
+		if (seen.has(key) || removed.has(key)) continue;
+		seen.add(key);
+		merged.push(item);
+	}
+	return merged;
+}
+
+function mergeValue(path, base, local, remote, clocks, conflicts) {
+	if (same(local, remote)) return local;
+	if (matchesBase(local, base)) return remote;
+	if (matchesBase(remote, base)) return local;
+
+	// Both sides changed it, to different values.
+	const field = path.split(".")[0];
+	if (LATEST_WINS_FIELDS.has(field) && path === field) {
+		return Math.max(Number(local) || 0, Number(remote) || 0);
+	}
+	if (EARLIEST_WINS_FIELDS.has(field) && path === field) {
+		const times = [local, remote].filter((time) => Number(time) > 0);
+		return times.length ? Math.min(...times) : local;
+	}
+	if (Array.isArray(local) && Array.isArray(remote)) {
+		return mergeLists(base?.items || [], local, remote);
+	}
+	if (isPlainObject(local) && isPlainObject(remote)) {
+		const baseObject = base?.keys || {};
+		const merged = {};
+		for (const key of unionKeys(local, remote, baseObject)) {
+			const value = mergeValue(
+				`${path}.${key}`,
+				baseObject[key],
+				local[key],
+				remote[key],
+				clocks,
+				conflicts,
+			);
+			if (value !== undefined) merged[key] = value;
+		}
+		return merged;
+	}
+
+	const resolution = clocks.remote > clocks.local ? "remote" : "local";
+	conflicts.push({
+		field: path,
+		local,
+		remote,
+		localChangedAt: clocks.local,
+		remoteChangedAt: clocks.remote,
+		resolution,
+	});
+	return resolution === "remote" ? remote : local;
+}
+
+/**
+ * Merge one novel record that exists on both sides.
+ *
+ * @param {Object|undefined} base - The base record's digest (LibraryDigest.novels)
+ * @param {Object} local
+ * @param {Object} remote
+ * @returns {{ novel: Object, conflicts: MergeConflict[] }}
+ */
+export function mergeNovelRecords(base, local, remote) {
+	const localClock = local[FIELD_CLOCK_KEY] || {};
+	const remoteClock = remote[FIELD_CLOCK_KEY] || {};
+	const novel = {};
+	const fieldClock = {};
+	const conflicts = [];
+
+	for (const field of unionKeys(local, remote)) {
+		const clocks = {
+			local: localClock[field] || 0,
+			remote: remoteClock[field] || 0,
+		};
+		const value = mergeValue(
+			field,
+			base?.keys?.[field],
+			local[field],
+			remote[field],
+			clocks,
+			conflicts,
+		);
+		if (value !== undefined) novel[field] = value;
+		const stamp = Math.max(clocks.local, clocks.remote);
+		if (stamp) fieldClock[field] = stamp;
+	}
+	novel[FIELD_CLOCK_KEY] = fieldClock;
+
+	const title = novel.title || local.title || remote.title || "";
+	return {
+		novel,
+		conflicts: conflicts.map((conflict) => ({
+			novelId: novel.id || local.id || remote.id || "",
+			title,
+			...conflict,
+		})),
+	};
+}
+
+/**
+ * Chapter progress only ever grows (updateChapter adds or updates entries), so
+ * chapters are unioned; an entry both sides changed keeps the one updated
+ * last.
+ */
+function mergeChapterRecords(baseChapters = {}, local, remote) {
+	if (!local) return remote;
+	if (!remote) return local;
+	const localChapters = local.chapters || {};
+	const remoteChapters = remote.chapters || {};
+	const chapters = {};
+	for (const chapterId of unionKeys(localChapters, remoteChapters)) {
+		const mine = localChapters[chapterId];
+		const theirs = remoteChapters[chapterId];
+		if (!mine || !theirs || same(mine, theirs)) {
+			chapters[chapterId] = mine || theirs;
+		} else if (matchesBase(mine, baseChapters[chapterId])) {
+			chapters[chapterId] = theirs;
+		} else if (matchesBase(theirs, baseChapters[chapterId])) {
+			chapters[chapterId] = mine;
+		} else {
+			chapters[chapterId] =
+				(theirs.lastUpdated || 0) > (mine.lastUpdated || 0)
+					? theirs
+					: mine;
+		}
+	}
+	return { ...remote, ...local, chapters };
+}
+
+/**
+ * What the merge needs to remember of a synced snapshot, in place of the
+ * snapshot itself.
+ * @param {LibrarySnapshot} snapshot
+ * @returns {LibraryDigest}
+ */
+export function digestLibrarySnapshot(snapshot) {
+	const novels = {};
+	for (const [novelId, novel] of Object.entries(
+		snapshot?.library?.novels || {},
+	)) {
+		novels[novelId] = digestValue(withoutClock(novel));
+	}
+	const chapters = {};
+	for (const [novelId, record] of Object.entries(snapshot?.chapters || {})) {
+		chapters[novelId] = Object.fromEntries(
+			Object.entries(record?.chapters || {}).map(([chapterId, entry]) => [
+				chapterId,
+				hashValue(entry),
+			]),
+		);
+	}
+	return { novels, chapters };
+}
+
+/**
+ * Merge this device's library with a remote backup against the last synced
+ * base.
+ *
+ * @param {Object} snapshots
+ * @param {LibraryDigest|LibrarySnapshot|null} snapshots.base - null on the
+ *   first sync; a full snapshot is digested first
+ * @param {LibrarySnapshot} snapshots.local
+ * @param {LibrarySnapshot} snapshots.remote
+ * @param {number} [snapshots.now]
+ * @param {(localNovels: Object, mergedNovels: Object) => Object} [snapshots.resolve]
+ *   Last say over the merged novels (the conflict review's choices)
+ * @returns {{
+ *   library: Object,
+ *   chapters: Object,
+ *   conflicts: MergeConflict[],
+ *   changedLocally: boolean,
+ *   changedRemotely: boolean,
+ *   stats: { added: number, updated: number, removed: number, conflicts: number },
+ * }}
+ */
+export function mergeLibrarySnapshots({
+	base,
+	local,
+	remote,
+	now = Date.now(),
+	resolve = null,
+}) {
+	const baseDigest = base?.library ? digestLibrarySnapshot(base) : base;
+	const baseNovels = baseDigest?.novels || {};
+	const localNovels = local.library?.novels || {};
+	const remoteNovels = remote.library?.novels || {};
+	const tombstones = { ...(local.library?.[DELETED_NOVELS_KEY] || {}) };
+	for (const [novelId, deletedAt] of Object.entries(
+		remote.library?.[DELETED_NOVELS_KEY] || {},
+	)) {
+		tombstones[novelId] = Math.max(tombstones[novelId] || 0, deletedAt);
+	}
+
+	const novels = {};
+	const conflicts = [];
+	const stats = { added: 0, updated: 0, removed: 0, conflicts: 0 };
+
+	for (const novelId of unionKeys(localNovels, remoteNovels)) {
+		const mine = localNovels[novelId];
+		const theirs = remoteNovels[novelId];
+		const original = baseNovels[novelId];
+
+		if (mine && theirs) {
+			const result = mergeNovelRecords(original, mine, theirs);
+			novels[novelId] = result.novel;
+			conflicts.push(...result.conflicts);
+			if (!same(withoutClock(result.novel), withoutClock(mine))) {
+				stats.updated++;
+			}
+			delete tombstones[novelId];
+			continue;
+		}
+
+		// Only one side has it: added there, or removed on the other side.
+		const present = mine || theirs;
+		const deletedAt = tombstones[novelId];
+		const removedElsewhere = deletedAt
+			? latestChange(present) <= deletedAt
+			: // A backup from before tombstones: gone from a side that had it
+				// at the last sync, and untouched here since.
+				!!original && matchesBase(withoutClock(present), original);
+
+		if (removedElsewhere) {
+			if (mine) stats.removed++;
+			continue;
+		}
+		novels[novelId] = present;
+		delete tombstones[novelId];
+		if (!mine) stats.added++;
+	}
+
+	const chapters = {};
+	for (const novelId of Object.keys(novels)) {
+		const merged = mergeChapterRecords(
+			baseDigest?.chapters?.[novelId],
+			local.chapters?.[novelId],
+			remote.chapters?.[novelId],
+		);
+		if (merged) chapters[novelId] = merged;
+	}
+
+	const library = {
+		...remote.library,
+		...local.library,
+		novels: resolve ? resolve(localNovels, novels) : novels,
+		[DELETED_NOVELS_KEY]: pruneTombstones(tombstones, now),
+	};
+	stats.conflicts = conflicts.length;
+
+	// Chapter entries of novels a side does not have are leftovers, not data.
+	const snapshotOf = (side) => {
+		const sideNovels = side.library?.novels || {};
+		return {
+			novels: sideNovels,
+			deleted: Object.keys(side.library?.[DELETED_NOVELS_KEY] || {}),
+			chapters: Object.fromEntries(
+				Object.keys(sideNovels).map((id) => [id, side.chapters?.[id]]),
+			),
+		};
+	};
+	const merged = snapshotOf({ library, chapters });
+	return {
+		library,
+		chapters,
+		conflicts,
+		changedLocally: !same(merged, snapshotOf(local)),
+		changedRemotely: !same(merged, snapshotOf(remote)),
+		stats,
+	};
+}
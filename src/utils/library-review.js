@@ -0,0 +1,167 @@
+/**
+ * Per-field review of what a restore or sync pull would change
+ *
+ * Before a backup restore or a library sync writes anything, the settings
+ * page lists the novels whose fields would change, and the user picks, per
+ * field or in bulk, which value to keep. Only the fields a reader actually
+ * owns are reviewed: reading status, reading position, reading lists, and
+ * whatever they edited by hand (`editedFields`). Everything else — metadata
+ * refreshed from the site, counters, timestamps — follows the restore or
+ * merge as before.
+ *
+ * "Local" is this browser's library, "remote" is what would be written: the
+ * backup's novel for a restore, the merged novel for a sync.
+ *
+ * @typedef {"local"|"remote"|"newest"} ReviewChoice
+ *
+ * @typedef {Object} ReviewField
+ * @property {string} field
+ * @property {*}      local
+ * @property {*}      remote
+ * @property {number} localChangedAt  - 0 when unknown
+ * @property {number} remoteChangedAt
+ * @property {"local"|"remote"} newer - Side "newest" resolves to
+ *
+ * @typedef {Object} ReviewItem
+ * @property {string}        novelId
+ * @property {string}        title
+ * @property {ReviewField[]} fields
+ */
+
+import { FIELD_CLOCK_KEY, stableStringify } from "./library-merge.js";
+
+export const REVIEW_CHOICES = ["local", "remote", "newest"];
+
+export const REVIEWED_FIELDS = [
+	"readingStatus",
+	"lastReadChapter",
+	"readingLists",
+];
+
+export const REVIEW_FIELD_LABELS = {
+	readingStatus: "Status",
+	lastReadChapter: "Last read chapter",
+	readingLists: "Reading lists",
+};
+
+function editedFieldNames(novel) {
+	return Object.entries(novel?.editedFields || {})
+		.filter(([, edited]) => edited)
+		.map(([field]) => field);
+}
+
+// A field's own clock when it has one (library-merge.js); otherwise the last
+// time the novel was touched at all, which is what older records carry.
+function changedAt(novel, field) {
+	return (
+		novel?.[FIELD_CLOCK_KEY]?.[field] ||
+		novel?.lastUpdated ||
+		novel?.lastAccessedAt ||
+		0
+	);
+}
+
+/**
+ * List the reviewed fields that differ between two versions of each novel.
+ * Novels on only one side are not listed: nothing of the user's is lost when
+ * one is added, and removals are the restore mode's decision.
+ *
+ * @param {Object} localNovels - `{ [novelId]: novel }`
+ * @param {Object} remoteNovels
+ * @returns {ReviewItem[]}
+ */
+export function buildLibraryReview(localNovels = {}, remoteNovels = {}) {
+	const items = [];
+	for (const [novelId, remote] of Object.entries(remoteNovels)) {
+		const local = localNovels[novelId];
+		if (!local || !remote) continue;
+		const names = new Set([
+			...REVIEWED_FIELDS,
+			...editedFieldNames(local),
+			...editedFieldNames(remote),
+		]);
+		const fields = [];
+		for (const field of names) {
+			if (
+				stableStringify(local[field]) === stableStringify(remote[field])
+			)
+				continue;
+			const localChangedAt = changedAt(local, field);
+			const remoteChangedAt = changedAt(remote, field);
+			fields.push({
+				field,
+				local: local[field],
+				remote: remote[field],
+				localChangedAt,
+				remoteChangedAt,
+				newer: remoteChangedAt > localChangedAt ? "remote" : "local",
+			});
+		}
+		if (fields.length) {
+			items.push({
+				novelId,
+				title: local.title || remote.title || novelId,
+				fields,
+			});
+		}
+	}
+	return items.sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Apply review choices to the novels about to be written.
+ *
+ * @param {Object} localNovels
+ * @param {Object} remoteNovels - Not modified
+ * @param {Object<string, Object<string, ReviewChoice>>} [choices]
+ *   `choices[novelId][field]`; missing entries use `fallback`
+ * @param {ReviewChoice} [fallback]
+ * @returns {Object} Copy of `remoteNovels` with the chosen values
+ */
+export function resolveLibraryReview(
+	localNovels = {},
+	remoteNovels = {},
+	choices = {},
+	fallback = "remote",
+) {
+	const resolved = { ...remoteNovels };
+	for (const item of buildLibraryReview(localNovels, remoteNovels)) {
+		const local = localNovels[item.novelId];
+		const novel = { ...remoteNovels[item.novelId] };
+		const clock = { ...(novel[FIELD_CLOCK_KEY] || {}) };
+		for (const entry of item.fields) {
+			let choice = choices[item.novelId]?.[entry.field] || fallback;
+			if (choice === "newest") choice = entry.newer;
+			if (choice !== "local") continue;
+			if (entry.local === undefined) delete novel[entry.field];
+			else novel[entry.field] = entry.local;
+			// Keep the hand edit protected from the next metadata refresh.
+			if (local.editedFields?.[entry.field]) {
+				novel.editedFields = {
+					...(novel.editedFields || {}),
+					[entry.field]: local.editedFields[entry.field],
+				};
+			}
+			if (local[FIELD_CLOCK_KEY]?.[entry.field]) {
+				clock[entry.field] = local[FIELD_CLOCK_KEY][entry.field];
+			}
+		}
+		if (novel[FIELD_CLOCK_KEY] || local[FIELD_CLOCK_KEY]) {
+			novel[FIELD_CLOCK_KEY] = clock;
+		}
+		resolved[item.novelId] = novel;
+	}
+	return resolved;
+}
+
+/**
+ * Short readable form of a field value for the review screen.
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatReviewValue(value) {
+	if (value === undefined || value === null || value === "") return "—";
+	if (Array.isArray(value)) return value.length ? value.join(", ") : "—";
+	if (typeof value === "object") return JSON.stringify(value);
+	return String(value);
+}
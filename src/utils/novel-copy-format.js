@@ -18,6 +18,9 @@
  *   {id}          - Library novel ID
  *   {url}         - Source URL
  *   {description} - Novel description (full text unless :N limit added)
+ *   {tags}        - Genres and tags, comma-separated
+ *   {added}       - Date added to the library (YYYY-MM-DD)
+ *   {lastAccessed} - Date last opened (YYYY-MM-DD)
  *
  * Limit syntax: {description:100} trims the value to the first 100 characters.
  *
@@ -107,6 +110,13 @@ export const COPY_FORMAT_TOKENS = [
 		desc: "Description (full text; use {description:N} for custom limit)",
 		example: "A story about...",
 	},
+	{ token: "{tags}", desc: "Genres and tags", example: "Fantasy, LitRPG" },
+	{ token: "{added}", desc: "Date added to library", example: "2026-03-14" },
+	{
+		token: "{lastAccessed}",
+		desc: "Date last opened",
+		example: "2026-10-02",
+	},
 ];
 
 /**
@@ -165,16 +175,44 @@ export const PREVIEW_NOVEL = {
 };
 
 /**
- * Format a novel object using a template string.
+ * Tag-like lists a shelf may store (genres, tags, AO3 fandoms and additional
+ * tags), flattened and de-duplicated.
  *
- * @param {Object} novel     - Novel data from the library.
- * @param {string} template  - Template string with {token} placeholders.
- * @returns {string} Formatted result.
+ * @param {Object} novel
+ * @returns {string[]}
  */
-export function formatNovelInfo(novel, template) {
-	if (!template || typeof template !== "string") return "";
-	if (!novel) return template;
+export function collectNovelTags(novel) {
+	const lists = [
+		novel?.genres,
+		novel?.tags,
+		novel?.metadata?.fandoms,
+		novel?.metadata?.genres,
+		novel?.metadata?.tags,
+		novel?.metadata?.additionalTags,
+	];
+	const tags = [];
+	for (const list of lists) {
+		if (!Array.isArray(list)) continue;
+		for (const tag of list) {
+			if (typeof tag === "string" && tag.trim()) tags.push(tag.trim());
+		}
+	}
+	return [...new Set(tags)];
+}
 
+function isoDate(timestamp) {
+	return timestamp ? new Date(timestamp).toISOString().slice(0, 10) : "";
+}
+
+/**
+ * Every token's value for a novel, as strings. Exporters (CSV, OPDS,
+ * Calibre) read fields through this too, so a token and an exported field
+ * never disagree.
+ *
+ * @param {Object} novel - Novel data from the library.
+ * @returns {Record<string, string>}
+ */
+export function getNovelTokenValues(novel) {
 	// Resolve word count from several possible locations
 	const rawWordCount =
 		novel.stats?.wordCount ??
@@ -186,8 +224,7 @@ export function formatNovelInfo(novel, template) {
 	const rawTitle = novel.title || "Unknown";
 	const rawAuthor = novel.author || "Unknown";
 
-	/** @type {Record<string, string>} */
-	const replacements = {
+	return {
 		title: rawTitle,
 		author: rawAuthor,
 		titleSafe: toFilenameSafe(rawTitle),
@@ -203,7 +240,24 @@ export function formatNovelInfo(novel, template) {
 		id: novel.id || "",
 		url: novel.sourceUrl || novel.lastReadUrl || "",
 		description: novel.description || "",
+		tags: collectNovelTags(novel).join(", "),
+		added: isoDate(novel.addedAt),
+		lastAccessed: isoDate(novel.lastAccessedAt),
 	};
+}
+
+/**
+ * Format a novel object using a template string.
+ *
+ * @param {Object} novel     - Novel data from the library.
+ * @param {string} template  - Template string with {token} placeholders.
+ * @returns {string} Formatted result.
+ */
+export function formatNovelInfo(novel, template) {
+	if (!template || typeof template !== "string") return "";
+	if (!novel) return template;
+
+	const replacements = getNovelTokenValues(novel);
 
 	// Replace {token} and {token:N} (N = character limit)
 	return template.replace(
@@ -0,0 +1,145 @@
+/**
+ * Novel -> EPUB export.
+ *
+ * Gathers what the extension already has on disk for one library novel — its
+ * metadata, the cover `image-cache.js` fetched for the card, and every chapter
+ * whose chunks are in `chunk-cache.js` — and hands it to `epub-builder.js`.
+ * Nothing is fetched from the source site: a chapter the reader never opened
+ * (or opened with chunking off, so nothing was cached) is not in the book.
+ *
+ * A chapter's enhanced text is used where it exists; a chunk that was cached
+ * without an enhancement falls back to its original text so the chapter is
+ * never missing a middle section.
+ */
+
+import { buildEpub, dataUrlToCover, EPUB_MIME_TYPE } from "./epub-builder.js";
+import { getAllChunksFromCache } from "./chunking/chunk-cache.js";
+import { getCachedImage } from "./image-cache.js";
+import { downloadBytes } from "./download-data.js";
+import {
+	collectNovelTags,
+	formatExportFilename,
+	resolveExportTemplate,
+} from "./novel-copy-format.js";
+import { novelLibrary } from "./novel-library.js";
+import { debugLog } from "./logger.js";
+
+/**
+ * Chapter records ordered by chapter number. Records keyed by URL only (no
+ * number was detected) sort after the numbered ones, in insertion order.
+ */
+function orderedChapters(chaptersData) {
+	return Object.values(chaptersData?.chapters || {})
+		.filter((ch) => ch && (ch.cacheUrl || ch.url))
+		.sort((a, b) => {
+			const an = Number(a.chapterNumber);
+			const bn = Number(b.chapterNumber);
+			const aOk = Number.isFinite(an);
+			const bOk = Number.isFinite(bn);
+			if (aOk && bOk) return an - bn;
+			return aOk ? -1 : bOk ? 1 : 0;
+		});
+}
+
+/**
+ * Collect everything needed to build an EPUB for one novel.
+ *
+ * @param {Object} novel - Library novel record.
+ * @param {Object} [options]
+ * @param {Object} [options.library] - NovelLibrary instance.
+ * @returns {Promise<{book: Object, chapterCount: number, enhancedCount: number}>}
+ */
+export async function collectNovelEpubSource(
+	novel,
+	{ library = novelLibrary } = {},
+) {
+	const chaptersData = await library.getChapters(novel.id);
+	const chapters = [];
+	let enhancedCount = 0;
+
+	for (const record of orderedChapters(chaptersData)) {
+		const chunks = await getAllChunksFromCache(
+			record.cacheUrl || record.url,
+		);
+		if (!chunks.length) continue;
+
+		const html = chunks
+			.map((chunk) => chunk.enhancedContent || chunk.originalContent)
+			.filter(Boolean)
+			.join("\n");
+		if (!html.trim()) continue;
+
+		if (chunks.some((chunk) => chunk.enhancedContent)) enhancedCount++;
+		chapters.push({
+			title:
+				record.title ||
+				(record.chapterNumber != null
+					? `Chapter ${record.chapterNumber}`
+					: ""),
+			html,
+		});
+	}
+
+	let cover = null;
+	if (novel.coverUrl) {
+		cover = dataUrlToCover(await getCachedImage(novel.coverUrl));
+	}
+
+	return {
+		book: {
+			identifier: `urn:ranobe-gemini:${novel.id}`,
+			title: novel.title,
+			author: novel.author,
+			language: novel.metadata?.language,
+			description: novel.description,
+			tags: collectNovelTags(novel),
+			sourceUrl: novel.sourceUrl,
+			cover,
+			chapters,
+		},
+		chapterCount: chapters.length,
+		enhancedCount,
+	};
+}
+
+/**
+ * Build and download an EPUB for a library novel. The filename follows the
+ * user's export template, including per-site overrides.
+ *
+ * @param {Object} novel - Library novel record.
+ * @param {Object} [options]
+ * @param {Object} [options.library] - NovelLibrary instance.
+ * @returns {Promise<{filename: string, chapterCount: number, enhancedCount: number}>}
+ * @throws {Error} When no chapter of the novel is cached.
+ */
+export async function exportNovelAsEpub(
+	novel,
+	{ library = novelLibrary } = {},
+) {
+	const { book, chapterCount, enhancedCount } = await collectNovelEpubSource(
+		novel,
+		{ library },
+	);
+	if (chapterCount === 0) {
+		throw new Error(
+			"No cached chapters for this novel yet — open or enhance a chapter first.",
+		);
+	}
+
+	const settings = await library.getSettings();
+	const template = resolveExportTemplate(
+		settings.novelCopyFormats,
+		novel.shelfId,
+	);
+	const filename = formatExportFilename(novel, template, "epub");
+
+	await downloadBytes({
+		bytes: buildEpub(book),
+		filename,
+		type: EPUB_MIME_TYPE,
+	});
+	debugLog(
+		`[EPUB] Exported ${chapterCount} chapter(s) (${enhancedCount} enhanced) to ${filename}`,
+	);
+	return { filename, chapterCount, enhancedCount };
+}
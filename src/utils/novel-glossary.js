@@ -0,0 +1,179 @@
+/**
+ * Per-novel glossary
+ * Pins how names and terms are rendered so the same character does not come
+ * out three different ways across machine-translated chapters. Entries live on
+ * the library entry (`novel.glossary`) and are appended to every enhancement
+ * prompt for that novel. LoreWeave extraction proposes entries into
+ * `novel.glossarySuggestions`; nothing is applied until the user accepts it.
+ *
+ * @typedef {Object} GlossaryEntry
+ * @property {string}   source    - Term as it appears in the raw text
+ * @property {string}   preferred - Rendering the enhanced text must use
+ * @property {string}   category  - One of GLOSSARY_CATEGORIES
+ * @property {string}   notes     - Free-text hint for the model (gender, title...)
+ * @property {string[]} variants  - Other renderings seen for the same term
+ */
+
+// Same vocabulary as LoreWeave entity types, so suggestions map across 1:1.
+export const GLOSSARY_CATEGORIES = Object.freeze([
+	"character",
+	"place",
+	"group",
+	"item",
+	"concept",
+	"other",
+]);
+
+// Keeps a large glossary from crowding the chapter out of the context window.
+export const MAX_GLOSSARY_PROMPT_ENTRIES = 150;
+
+function cleanText(value) {
+	return typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "";
+}
+
+function termKey(value) {
+	return cleanText(value).toLowerCase();
+}
+
+/**
+ * Normalise one entry; returns null when there is no source term.
+ * @param {Partial<GlossaryEntry>} entry
+ * @returns {GlossaryEntry|null}
+ */
+export function normalizeGlossaryEntry(entry) {
+	const source = cleanText(entry?.source);
+	if (!source) return null;
+	const preferred = cleanText(entry.preferred) || source;
+	const seen = new Set([termKey(source), termKey(preferred)]);
+	const variants = [];
+	for (const variant of Array.isArray(entry.variants) ? entry.variants : []) {
+		const key = termKey(variant);
+		if (!key || seen.has(key)) continue;
+		seen.add(key);
+		variants.push(cleanText(variant));
+	}
+	return {
+		source,
+		preferred,
+		category: GLOSSARY_CATEGORIES.includes(entry.category)
+			? entry.category
+			: "other",
+		notes: cleanText(entry.notes),
+		variants,
+	};
+}
+
+/**
+ * Normalise a stored glossary: drops blank rows and keeps the first entry for
+ * each source term (case-insensitive).
+ * @param {Array} glossary
+ * @returns {GlossaryEntry[]}
+ */
+export function normalizeGlossary(glossary) {
+	if (!Array.isArray(glossary)) return [];
+	const seen = new Set();
+	const result = [];
+	for (const raw of glossary) {
+		const entry = normalizeGlossaryEntry(raw);
+		if (!entry || seen.has(termKey(entry.source))) continue;
+		seen.add(termKey(entry.source));
+		result.push(entry);
+	}
+	return result;
+}
+
+function entryTerms(entry) {
+	return [entry.source, entry.preferred, ...(entry.variants || [])];
+}
+
+/**
+ * Build the prompt block that tells the model which renderings to use.
+ *
+ * When `content` is given, only entries with a term that occurs in it are
+ * included — a 400-entry glossary should not ride along on a chapter that
+ * mentions six of them.
+ *
+ * @param {GlossaryEntry[]} glossary
+ * @param {{content?: string, maxEntries?: number}} [options]
+ * @returns {string}  Empty string if nothing applies.
+ */
+export function buildGlossaryPromptBlock(glossary, options = {}) {
+	const { content = "", maxEntries = MAX_GLOSSARY_PROMPT_ENTRIES } = options;
+	let entries = normalizeGlossary(glossary);
+	if (content) {
+		const haystack = content.toLowerCase();
+		entries = entries.filter((entry) =>
+			entryTerms(entry).some((term) =>
+				haystack.includes(term.toLowerCase()),
+			),
+		);
+	}
+	entries = entries.slice(0, maxEntries);
+	if (entries.length === 0) return "";
+
+	const lines = [
+		"**Glossary (novel-specific, mandatory):**",
+		"Always render these terms exactly as given on the right, including when the source text uses one of the listed variants. Do not translate, re-romanise or respell them.",
+	];
+	for (const entry of entries) {
+		const from = [entry.source, ...entry.variants].join(" / ");
+		const notes = entry.notes ? ` — ${entry.notes}` : "";
+		lines.push(
+			`- ${from} → ${entry.preferred} (${entry.category})${notes}`,
+		);
+	}
+	return lines.join("\n");
+}
+
+/**
+ * Turn LoreWeave extracted entities into glossary suggestions. Entities whose
+ * name or aliases are already covered by the glossary, already suggested or
+ * previously dismissed are skipped.
+ *
+ * @param {Array<{name: string, type: string, aliases?: string[]}>} entities
+ * @param {{glossary?: Array, suggestions?: Array, dismissed?: string[]}} [existing]
+ * @returns {GlossaryEntry[]}  New suggestions only.
+ */
+export function suggestGlossaryEntries(entities, existing = {}) {
+	const known = new Set(
+		(existing.dismissed || []).map(termKey).filter(Boolean),
+	);
+	for (const entry of [
+		...normalizeGlossary(existing.glossary),
+		...normalizeGlossary(existing.suggestions),
+	]) {
+		for (const term of entryTerms(entry)) known.add(termKey(term));
+	}
+
+	const suggestions = [];
+	for (const entity of Array.isArray(entities) ? entities : []) {
+		const entry = normalizeGlossaryEntry({
+			source: entity?.name,
+			preferred: entity?.name,
+			category: entity?.type,
+			variants: entity?.aliases,
+		});
+		if (!entry || entryTerms(entry).some((t) => known.has(termKey(t)))) {
+			continue;
+		}
+		for (const term of entryTerms(entry)) known.add(termKey(term));
+		suggestions.push(entry);
+	}
+	return suggestions;
+}
+
+/**
+ * Create a blank glossary entry.
+ * @param {Partial<GlossaryEntry>} [overrides]
+ * @returns {GlossaryEntry}
+ */
+export function createGlossaryEntry(overrides = {}) {
+	return {
+		source: "",
+		preferred: "",
+		category: "character",
+		notes: "",
+		variants: [],
+		...overrides,
+	};
+}
@@ -8,9 +8,19 @@ import { debugLog, debugError } from "./logger.js";
 import {
 	DEFAULT_AUTO_HOLD_ENABLED,
 	DEFAULT_AUTO_HOLD_DAYS,
+	DEVICE_PROFILES_KEY,
+	NOVEL_CHAPTERS_KEY_PREFIX,
 } from "./constants.js";
 import { SHELF_REGISTRY } from "./domain-constants.js";
 import { SITE_SETTINGS_KEY } from "./site-settings.js";
+import { normalizeGlossary, suggestGlossaryEntries } from "./novel-glossary.js";
+import { stampLibraryChanges, stampNovelChanges } from "./library-merge.js";
+import { isDeviceSetting, restoreDeviceProfiles } from "./device-profiles.js";
+import {
+	LIBRARY_SCHEMA_VERSION,
+	migrateLibrary,
+	prepareLibraryForImport,
+} from "./backup-migrations.js";
 import {
 	mergeRules,
 	evaluateChapterReadTransitions,
@@ -20,6 +30,13 @@ import {
 	getDefaultRereadingOverlay,
 } from "../library/status-machine.js";
 
+// Novel fields owned by updateNovelGlossary / addGlossarySuggestions.
+const GLOSSARY_FIELDS = [
+	"glossary",
+	"glossarySuggestions",
+	"glossaryDismissed",
+];
+
 /**
  * Reading status constants
  * Used to categorize novels by reading progress
@@ -99,6 +116,21 @@ function normalizeReadingListsArray(readingLists) {
 	return out;
 }
 
+/**
+ * Title reduced for duplicate comparison: lower case, no punctuation, single
+ * spaces.
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeNovelTitle(title) {
+	if (!title) return "";
+	return title
+		.toLowerCase()
+		.replace(/[^\w\s]/g, "") // Remove punctuation
+		.replace(/\s+/g, " ") // Normalize whitespace
+		.trim();
+}
+
 function ensurePrimaryReadingStatus(status) {
 	if (PRIMARY_READING_STATUSES.includes(status)) {
 		return status;
@@ -172,7 +204,7 @@ export const SHELVES = SHELF_REGISTRY;
 export class NovelLibrary {
 	constructor() {
 		this.LIBRARY_KEY = "rg_novel_library";
-		this.CHAPTERS_KEY_PREFIX = "rg_novel_chapters_";
+		this.CHAPTERS_KEY_PREFIX = NOVEL_CHAPTERS_KEY_PREFIX;
 		this.SETTINGS_KEY = "rg_library_settings";
 	}
 
@@ -280,8 +312,7 @@ export class NovelLibrary {
 	 * @returns {Promise<Object>} Library data
 	 */
 	async init() {
-		// Run migration for old ID format (underscore to hyphen)
-		await this.migrateOldIdFormat();
+		await this.migrateStoredLibrary();
 
 		const library = await this.getLibrary();
 		debugLog(
@@ -293,58 +324,39 @@ export class NovelLibrary {
 	}
 
 	/**
-	 * Migrate novels with old underscore ID format to new hyphen format
-	 * e.g., "fanfiction_12345" -> "fanfiction-12345"
-	 * @returns {Promise<void>}
+	 * Bring the stored library up to LIBRARY_SCHEMA_VERSION. Runs on
+	 * extension update; chapter data moves with any renamed novel. A library
+	 * saved by a newer version is left untouched.
+	 * @returns {Promise<string[]>} Migrations applied
 	 */
-	async migrateOldIdFormat() {
+	async migrateStoredLibrary() {
 		try {
-			const library = await this.getLibrary();
-			const novels = library.novels;
-			let migrated = 0;
-
-			const novelEntries = Object.entries(novels);
-			for (const [oldId, novel] of novelEntries) {
-				// Check if ID uses old underscore format
-				if (oldId.includes("_") && !oldId.includes("-")) {
-					const newId = oldId.replace("_", "-");
-
-					// Skip if new ID already exists
-					if (novels[newId]) {
-						// Delete the old one if duplicate
-						delete novels[oldId];
-						migrated++;
-						continue;
-					}
-
-					// Update the ID in the novel object
-					novel.id = newId;
-					novels[newId] = novel;
-					delete novels[oldId];
-
-					// Also migrate chapters key
-					const oldChaptersKey = this.CHAPTERS_KEY_PREFIX + oldId;
-					const newChaptersKey = this.CHAPTERS_KEY_PREFIX + newId;
-
-					const chaptersResult =
-						await browser.storage.local.get(oldChaptersKey);
-					if (chaptersResult[oldChaptersKey]) {
-						await browser.storage.local.set({
-							[newChaptersKey]: chaptersResult[oldChaptersKey],
-						});
-						await browser.storage.local.remove(oldChaptersKey);
-					}
-
-					migrated++;
+			const result = await browser.storage.local.get(this.LIBRARY_KEY);
+			if (!result[this.LIBRARY_KEY]) return [];
+			const { library, applied, renamedIds } = migrateLibrary(
+				result[this.LIBRARY_KEY],
+			);
+			if (applied.length === 0) return [];
+
+			for (const [oldId, newId] of Object.entries(renamedIds)) {
+				const oldChaptersKey = this.CHAPTERS_KEY_PREFIX + oldId;
+				const newChaptersKey = this.CHAPTERS_KEY_PREFIX + newId;
+				const chaptersResult =
+					await browser.storage.local.get(oldChaptersKey);
+				if (chaptersResult[oldChaptersKey]) {
+					await browser.storage.local.set({
+						[newChaptersKey]: chaptersResult[oldChaptersKey],
+					});
+					await browser.storage.local.remove(oldChaptersKey);
 				}
 			}
 
-			if (migrated > 0) {
-				await this.saveLibrary(library);
-				debugLog(`📚 Migrated ${migrated} novels from old ID format`);
-			}
+			await this.saveLibrary(library);
+			debugLog("📚 Library migrated:", applied);
+			return applied;
 		} catch (error) {
-			debugError("Error migrating old ID format:", error);
+			debugError("Error migrating library:", error);
+			return [];
 		}
 	}
 
@@ -360,6 +372,7 @@ export class NovelLibrary {
 				shelves: {},
 				lastUpdated: null,
 				version: "1.0",
+				schemaVersion: LIBRARY_SCHEMA_VERSION,
 			};
 
 			await this.applyStaleStatusRules(library);
@@ -382,6 +395,7 @@ export class NovelLibrary {
 				shelves: {},
 				lastUpdated: null,
 				version: "1.0",
+				schemaVersion: LIBRARY_SCHEMA_VERSION,
 			};
 		}
 	}
@@ -638,14 +652,44 @@ export class NovelLibrary {
 		}
 	}
 
+	/**
+	 * A copy of one novel as it is now, to pass to saveLibrary as `changed`
+	 * once it has been edited.
+	 * @param {Object} library
+	 * @param {string} novelId
+	 * @returns {Object<string, Object|null>}
+	 */
+	snapshotNovel(library, novelId) {
+		return { [novelId]: structuredClone(library.novels[novelId] ?? null) };
+	}
+
 	/**
 	 * Save the library data
 	 * @param {Object} library - Library data to save
+	 * @param {Object} [options]
+	 * @param {Object<string, Object|null>} [options.changed] - The novels
+	 *   this save edits, as they were before (see snapshotNovel). Without it
+	 *   the stored library is read back and every novel compared.
 	 * @returns {Promise<boolean>} Success status
 	 */
-	async saveLibrary(library) {
+	async saveLibrary(library, { changed = null } = {}) {
 		try {
-			library.lastUpdated = Date.now();
+			// Per-field change times and removal tombstones, for the
+			// three-way merge in library sync (library-merge.js).
+			if (changed) {
+				stampNovelChanges(changed, library);
+			} else {
+				const stored = await browser.storage.local.get(
+					this.LIBRARY_KEY,
+				);
+				stampLibraryChanges(stored[this.LIBRARY_KEY] || null, library);
+			}
+			// Strictly increasing, so library sync can tell that a save
+			// happened between reading the library and writing a merge.
+			library.lastUpdated = Math.max(
+				Date.now(),
+				(library.lastUpdated || 0) + 1,
+			);
 			await browser.storage.local.set({
 				[this.LIBRARY_KEY]: library,
 			});
@@ -728,6 +772,9 @@ export class NovelLibrary {
 	 */
 	buildCanonicalImportUrl(shelf, siteNovelId, originalUrl) {
 		try {
+			if (shelf?.importUrlForId && siteNovelId) {
+				return shelf.importUrlForId(siteNovelId) || originalUrl;
+			}
 			const template = shelf?.importUrlTemplate;
 			if (template && siteNovelId) {
 				return template.replace(
@@ -825,13 +872,94 @@ export class NovelLibrary {
 		return result;
 	}
 
+	/**
+	 * Write a reading-tracker import in one save: new novels from the entries
+	 * that resolved to a supported site, and status/progress/list changes on
+	 * novels already in the library. Plans come from planTrackerImport()
+	 * (tracker-import.js); new novels get their metadata on the next update
+	 * check rather than from a tab per novel.
+	 * @param {Object} plan
+	 * @param {Array<{entry: Object, identity: {shelf: Object, siteNovelId: string, novelId: string}}>} plan.add
+	 * @param {Array<{novelId: string, changes: Object}>} plan.update
+	 * @returns {Promise<{added: number, updated: number}>}
+	 */
+	async applyTrackerImport({ add = [], update = [] }) {
+		const library = await this.getLibrary();
+		const now = Date.now();
+		const touchedShelves = new Set();
+
+		let added = 0;
+		for (const { entry, identity } of add) {
+			if (library.novels[identity.novelId]) continue;
+			const readingLists = normalizeReadingListsArray(entry.readingLists);
+			library.novels[identity.novelId] = {
+				id: identity.novelId,
+				shelfId: identity.shelf.id,
+				siteNovelId: identity.siteNovelId,
+				title: entry.title || "Unknown Novel",
+				author: entry.author || "Unknown",
+				coverUrl: "",
+				description: "",
+				sourceUrl: this.buildCanonicalImportUrl(
+					identity.shelf,
+					identity.siteNovelId,
+					entry.url,
+				),
+				totalChapters: entry.totalChapters || 0,
+				lastReadChapter: entry.lastReadChapter || 0,
+				readingStatus: ensurePrimaryReadingStatus(
+					entry.readingStatus || READING_STATUS.PLAN_TO_READ,
+				),
+				readingLists,
+				rereadingStatus: readingLists.includes("rereading"),
+				status: "unknown",
+				genres: [],
+				tags: [],
+				metadata: { importedFrom: entry.source },
+				customPrompt: "",
+				glossary: [],
+				addedAt: now,
+				lastAccessedAt: now,
+				enhancedChaptersCount: 0,
+				editedFields: {},
+			};
+			touchedShelves.add(identity.shelf.id);
+			added += 1;
+		}
+
+		let updated = 0;
+		for (const { novelId, changes } of update) {
+			const novel = library.novels[novelId];
+			if (!novel) continue;
+			Object.assign(novel, changes);
+			novel.readingLists = normalizeReadingListsArray(novel.readingLists);
+			novel.rereadingStatus = novel.readingLists.includes("rereading");
+			updated += 1;
+		}
+
+		for (const shelfId of touchedShelves) {
+			library.shelves[shelfId] = {
+				...(library.shelves[shelfId] || {}),
+				novelCount: Object.values(library.novels).filter(
+					(n) => n.shelfId === shelfId,
+				).length,
+				lastUpdated: now,
+			};
+		}
+
+		await this.saveLibrary(library);
+		return { added, updated };
+	}
+
 	/**
 	 * Extract novel ID from URL based on shelf pattern
 	 * @param {string} url - The URL to extract from
-	 * @param {Object} shelf - Shelf definition with novelIdPattern
+	 * @param {Object} shelf - Shelf definition with novelIdPattern (or
+	 *   siteNovelIdFromUrl, when the id depends on the host too)
 	 * @returns {string|null} Novel ID or null if not found
 	 */
 	extractNovelId(url, shelf) {
+		if (shelf?.siteNovelIdFromUrl) return shelf.siteNovelIdFromUrl(url);
 		if (!shelf || !shelf.novelIdPattern) return null;
 
 		try {
@@ -873,6 +1001,7 @@ export class NovelLibrary {
 		);
 
 		const existingNovel = library.novels[novelData.id];
+		const changed = this.snapshotNovel(library, novelData.id);
 		const now = Date.now();
 
 		if (existingNovel) {
@@ -925,6 +1054,9 @@ export class NovelLibrary {
 
 			for (const [key, value] of Object.entries(novelData)) {
 				if (key === "addedAt" || key === "editedFields") continue;
+				// Glossary arrays hold objects the array merge below cannot
+				// dedupe; they only change through updateNovelGlossary.
+				if (GLOSSARY_FIELDS.includes(key)) continue;
 
 				// For auto-updates, skip fields that have been manually edited
 				if (
@@ -1027,7 +1159,7 @@ export class NovelLibrary {
 		).filter((n) => n.shelfId === novelData.shelfId).length;
 		library.shelves[novelData.shelfId].lastUpdated = now;
 
-		await this.saveLibrary(library);
+		await this.saveLibrary(library, { changed });
 
 		debugLog(`📚 Novel saved to library: ${novelData.title}`);
 		return library.novels[novelData.id];
@@ -1056,6 +1188,7 @@ export class NovelLibrary {
 				debugError(`Novel not found: ${novelId}`);
 				return null;
 			}
+			const changed = this.snapshotNovel(library, novelId);
 
 			// Update specified fields
 			for (const [key, value] of Object.entries(updates)) {
@@ -1072,7 +1205,7 @@ export class NovelLibrary {
 			}
 			library.novels[novelId].lastAccessedAt = Date.now();
 
-			await this.saveLibrary(library);
+			await this.saveLibrary(library, { changed });
 			debugLog(`📚 Updated novel: ${library.novels[novelId].title}`);
 			return library.novels[novelId];
 		} catch (error) {
@@ -1102,6 +1235,7 @@ export class NovelLibrary {
 				debugError(`Novel not found: ${novelId}`);
 				return null;
 			}
+			const changed = this.snapshotNovel(library, novelId);
 
 			const updates = {
 				lastReadChapter: chapterNumber,
@@ -1158,7 +1292,7 @@ export class NovelLibrary {
 
 			// Apply updates
 			Object.assign(novel, updates);
-			await this.saveLibrary(library);
+			await this.saveLibrary(library, { changed });
 
 			debugLog(
 				`📚 Progress updated: Ch.${chapterNumber}/${totalChapters} - ${novel.title}`,
@@ -1186,6 +1320,7 @@ export class NovelLibrary {
 				debugError(`Novel not found: ${novelId}`);
 				return false;
 			}
+			const changed = this.snapshotNovel(library, novelId);
 
 			if (isRereadingOverlay) {
 				// Toggle the re-reading list/state without changing primary status
@@ -1224,7 +1359,7 @@ export class NovelLibrary {
 			}
 
 			novel.lastAccessedAt = Date.now();
-			await this.saveLibrary(library);
+			await this.saveLibrary(library, { changed });
 
 			debugLog(
 				`📊 Status updated: ${novel.title} → ${novel.readingStatus}${isRereadingOverlay ? " (rereading list)" : ""}`,
@@ -1283,13 +1418,14 @@ export class NovelLibrary {
 				debugError(`Novel not found: ${novelId}`);
 				return false;
 			}
+			const changed = this.snapshotNovel(library, novelId);
 
 			novel.isStoryComplete = true;
 			novel.readingStatus = READING_STATUS.COMPLETED;
 			novel.completedAt = Date.now();
 			novel.lastAccessedAt = Date.now();
 
-			await this.saveLibrary(library);
+			await this.saveLibrary(library, { changed });
 
 			debugLog(`✅ Novel marked complete: ${novel.title}`);
 			return true;
@@ -1312,11 +1448,12 @@ export class NovelLibrary {
 				debugError(`Novel not found: ${novelId}`);
 				return false;
 			}
+			const changed = this.snapshotNovel(library, novelId);
 
 			library.novels[novelId].customPrompt = customPrompt;
 			library.novels[novelId].lastAccessedAt = Date.now();
 
-			await this.saveLibrary(library);
+			await this.saveLibrary(library, { changed });
 			debugLog(
 				`📝 Updated custom prompt for: ${library.novels[novelId].title}`,
 			);
@@ -1327,6 +1464,83 @@ export class NovelLibrary {
 		}
 	}
 
+	/**
+	 * Replace a novel's glossary and/or its pending suggestions.
+	 * @param {string} novelId - Library novel ID
+	 * @param {Object} changes
+	 * @param {Array} [changes.glossary] - Accepted entries
+	 * @param {Array} [changes.glossarySuggestions] - Entries awaiting review
+	 * @param {string[]} [changes.glossaryDismissed] - Source terms not to suggest again
+	 * @returns {Promise<boolean>} Success status
+	 */
+	async updateNovelGlossary(novelId, changes = {}) {
+		try {
+			const library = await this.getLibrary();
+			const novel = library.novels[novelId];
+			if (!novel) {
+				debugError(`Novel not found: ${novelId}`);
+				return false;
+			}
+			const changed = this.snapshotNovel(library, novelId);
+
+			if (changes.glossary !== undefined) {
+				novel.glossary = normalizeGlossary(changes.glossary);
+			}
+			if (changes.glossarySuggestions !== undefined) {
+				novel.glossarySuggestions = normalizeGlossary(
+					changes.glossarySuggestions,
+				);
+			}
+			if (Array.isArray(changes.glossaryDismissed)) {
+				novel.glossaryDismissed = [
+					...new Set(changes.glossaryDismissed.filter(Boolean)),
+				];
+			}
+
+			await this.saveLibrary(library, { changed });
+			debugLog(`📖 Updated glossary for: ${novel.title}`);
+			return true;
+		} catch (error) {
+			debugError("Error updating novel glossary:", error);
+			return false;
+		}
+	}
+
+	/**
+	 * Queue extracted entities as glossary suggestions for review.
+	 * @param {string} novelId - Library novel ID
+	 * @param {Array<{name: string, type: string, aliases?: string[]}>} entities
+	 * @returns {Promise<number>} Number of new suggestions
+	 */
+	async addGlossarySuggestions(novelId, entities) {
+		try {
+			const library = await this.getLibrary();
+			const novel = library.novels[novelId];
+			if (!novel) return 0;
+
+			const suggestions = suggestGlossaryEntries(entities, {
+				glossary: novel.glossary,
+				suggestions: novel.glossarySuggestions,
+				dismissed: novel.glossaryDismissed,
+			});
+			if (suggestions.length === 0) return 0;
+
+			const changed = this.snapshotNovel(library, novelId);
+			novel.glossarySuggestions = [
+				...normalizeGlossary(novel.glossarySuggestions),
+				...suggestions,
+			];
+			await this.saveLibrary(library, { changed });
+			debugLog(
+				`📖 ${suggestions.length} glossary suggestion(s) for: ${novel.title}`,
+			);
+			return suggestions.length;
+		} catch (error) {
+			debugError("Error adding glossary suggestions:", error);
+			return 0;
+		}
+	}
+
 	/**
 	 * Reset manually edited fields to allow auto-updates again
 	 * @param {string} novelId - Library novel ID
@@ -1347,6 +1561,7 @@ export class NovelLibrary {
 				debugLog(`📚 No edited fields to reset for: ${novel.title}`);
 				return true;
 			}
+			const changed = this.snapshotNovel(library, novelId);
 
 			if (fields === "all") {
 				novel.editedFields = {};
@@ -1363,7 +1578,7 @@ export class NovelLibrary {
 				);
 			}
 
-			await this.saveLibrary(library);
+			await this.saveLibrary(library, { changed });
 			return true;
 		} catch (error) {
 			debugError("Error resetting edited fields:", error);
@@ -1463,6 +1678,7 @@ export class NovelLibrary {
 			return false;
 		}
 
+		const changed = this.snapshotNovel(library, novelId);
 		const shelfId = library.novels[novelId].shelfId;
 		delete library.novels[novelId];
 
@@ -1482,7 +1698,7 @@ export class NovelLibrary {
 			debugError("Failed to remove chapters data:", error);
 		}
 
-		await this.saveLibrary(library);
+		await this.saveLibrary(library, { changed });
 		debugLog(`📚 Novel removed from library: ${novelId}`);
 		return true;
 	}
@@ -1572,6 +1788,7 @@ export class NovelLibrary {
 				debugLog("Novel Library: Novel not found for metadata update");
 				return false;
 			}
+			const changed = this.snapshotNovel(library, novelId);
 
 			// Get existing edited fields or initialize empty
 			const editedFields = novel.editedFields || {};
@@ -1727,7 +1944,7 @@ export class NovelLibrary {
 			if (updated) {
 				novel.lastAccessedAt = Date.now();
 				library.novels[novelId] = novel;
-				await this.saveLibrary(library);
+				await this.saveLibrary(library, { changed });
 				debugLog("Novel Library: Updated metadata for", novel.title);
 			}
 
@@ -1800,12 +2017,13 @@ export class NovelLibrary {
 
 			const library = await this.getLibrary();
 			if (library.novels[novelId]) {
+				const changed = this.snapshotNovel(library, novelId);
 				library.novels[novelId].enhancedChaptersCount = enhancedCount;
 				library.novels[novelId].lastReadChapter =
 					chapterData.chapterNumber;
 				library.novels[novelId].lastReadUrl = chapterData.url;
 				library.novels[novelId].lastAccessedAt = Date.now();
-				await this.saveLibrary(library);
+				await this.saveLibrary(library, { changed });
 			}
 
 			return true;
@@ -1841,7 +2059,12 @@ export class NovelLibrary {
 	createNovelFromContext(context, handler) {
 		const { url, title, chapterNumber } = context;
 
-		const shelf = this.getShelfForUrl(url);
+		// User-defined sites have no domains in the shelf registry; their
+		// handler names the shelf instead.
+		const handlerShelfId = handler?.constructor?.SHELF_METADATA?.id;
+		const shelf =
+			this.getShelfForUrl(url) ||
+			(handlerShelfId ? SHELVES[handlerShelfId.toUpperCase()] : null);
 		if (!shelf) {
 			debugLog("Novel Library: URL not from a supported site");
 			return null;
@@ -1916,6 +2139,7 @@ export class NovelLibrary {
 			tags: context.tags || [],
 			metadata: context.metadata || {},
 			customPrompt: "", // Novel-specific custom prompt for enhancement
+			glossary: [], // Preferred renderings injected into enhancement prompts
 		};
 	}
 	/**
@@ -1951,6 +2175,8 @@ export class NovelLibrary {
 			temperature: allData.temperature,
 			topP: allData.topP,
 			topK: allData.topK,
+			fallbackChain: allData.fallbackChain,
+			fallbackRules: allData.fallbackRules,
 
 			// Processing options
 			chunkingEnabled: allData.chunkingEnabled,
@@ -1968,6 +2194,7 @@ export class NovelLibrary {
 
 			// Site toggles
 			siteSettings: allData[SITE_SETTINGS_KEY] || allData.siteSettings,
+			rg_custom_sites: allData.rg_custom_sites,
 
 			// Backup settings
 			autoBackupEnabled: allData.autoBackupEnabled,
@@ -1982,6 +2209,10 @@ export class NovelLibrary {
 
 			// Model merge mode
 			modelMergeMode: allData.modelMergeMode,
+
+			// Device profiles; the device settings above are restored
+			// through them (device-profiles.js)
+			[DEVICE_PROFILES_KEY]: allData[DEVICE_PROFILES_KEY],
 		};
 
 		return {
@@ -1999,14 +2230,33 @@ export class NovelLibrary {
 	 * Import library data from backup
 	 * @param {Object} data - Exported library data
 	 * @param {boolean} merge - If true, merges with existing data; if false, replaces
+	 * @param {Object} [options]
+	 * @param {boolean} [options.restoreDeviceSettings=false] - Also restore the
+	 *   export's theme, reading text and chunking settings instead of keeping
+	 *   this browser's
 	 * @returns {Promise<{success: boolean, imported: number, updated: number, errors: number}>}
 	 */
-	async importLibrary(data, merge = true) {
+	async importLibrary(data, merge = true, options = {}) {
+		const { restoreDeviceSettings = false } = options;
 		try {
 			if (!data.library || !data.version) {
 				throw new Error("Invalid import data format");
 			}
 
+			// Nothing, settings included, is written until the library has
+			// been migrated and passes the schema.
+			const { library: incomingLibrary, renamedIds } =
+				await prepareLibraryForImport(data.library);
+			const incomingChapters = data.chapters
+				? { ...data.chapters }
+				: null;
+			for (const [oldId, newId] of Object.entries(renamedIds)) {
+				if (incomingChapters?.[oldId] && !incomingChapters[newId]) {
+					incomingChapters[newId] = incomingChapters[oldId];
+					delete incomingChapters[oldId];
+				}
+			}
+
 			// Restore settings if available (version 2.0+)
 			if (data.settings) {
 				const settingsToRestore = {};
@@ -2026,6 +2276,8 @@ export class NovelLibrary {
 					"temperature",
 					"topP",
 					"topK",
+					"fallbackChain",
+					"fallbackRules",
 					"chunkingEnabled",
 					"contentFilterSettings",
 					"rg_custom_box_types",
@@ -2037,6 +2289,7 @@ export class NovelLibrary {
 					"bgColor",
 					"textColor",
 					"siteSettings",
+					"rg_custom_sites",
 					"autoBackupEnabled",
 					"backupMode",
 					"backupRetention",
@@ -2049,6 +2302,8 @@ export class NovelLibrary {
 				];
 
 				for (const key of settingKeys) {
+					if (!restoreDeviceSettings && isDeviceSetting(key))
+						continue;
 					if (
 						data.settings[key] !== undefined &&
 						data.settings[key] !== null
@@ -2068,6 +2323,14 @@ export class NovelLibrary {
 						`[Import] Restored ${Object.keys(settingsToRestore).length} settings`,
 					);
 				}
+
+				await restoreDeviceProfiles(
+					data.settings[DEVICE_PROFILES_KEY],
+					{
+						merge,
+						apply: !restoreDeviceSettings,
+					},
+				);
 			}
 
 			let imported = 0;
@@ -2178,7 +2441,7 @@ export class NovelLibrary {
 				const existingLibrary = await this.getLibrary();
 
 				for (const [novelId, novel] of Object.entries(
-					data.library.novels || {},
+					incomingLibrary.novels || {},
 				)) {
 					try {
 						if (existingLibrary.novels[novelId]) {
@@ -2213,9 +2476,9 @@ export class NovelLibrary {
 				await this.saveLibrary(existingLibrary);
 
 				// Merge chapters data
-				if (data.chapters) {
+				if (incomingChapters) {
 					for (const [novelId, chapters] of Object.entries(
-						data.chapters,
+						incomingChapters,
 					)) {
 						try {
 							const chaptersKey =
@@ -2246,15 +2509,15 @@ export class NovelLibrary {
 			} else {
 				// Replace mode - clear and set
 				await browser.storage.local.set({
-					[this.LIBRARY_KEY]: data.library,
+					[this.LIBRARY_KEY]: incomingLibrary,
 				});
-				imported = Object.keys(data.library.novels || {}).length;
+				imported = Object.keys(incomingLibrary.novels || {}).length;
 
 				// Import chapters data
-				if (data.chapters) {
+				if (incomingChapters) {
 					const chaptersToSave = {};
 					for (const [novelId, chapters] of Object.entries(
-						data.chapters,
+						incomingChapters,
 					)) {
 						chaptersToSave[this.CHAPTERS_KEY_PREFIX + novelId] =
 							chapters;
@@ -2279,6 +2542,63 @@ export class NovelLibrary {
 		}
 	}
 
+	/**
+	 * Store the result of a library sync merge. Bypasses saveLibrary on
+	 * purpose: the merged records already carry the field clocks both devices
+	 * agreed on, and re-stamping them would turn every pulled change into a
+	 * fresh local edit. Chapter data of novels the merge removed is deleted.
+	 * @param {Object} merged
+	 * @param {Object} merged.library - Library with merged novels and tombstones
+	 * @param {Object} [merged.chapters] - Chapters data keyed by novel ID
+	 * @param {number|null} [merged.mergedFrom] - `lastUpdated` of the local
+	 *   library the merge was made from. If the stored library has been saved
+	 *   since, nothing is written: the merge would overwrite that save.
+	 * @returns {Promise<boolean>} False when the library changed under the merge
+	 */
+	async applySyncedLibrary({ library, chapters = {}, mergedFrom }) {
+		const stored = await browser.storage.local.get(this.LIBRARY_KEY);
+		const current = stored[this.LIBRARY_KEY];
+		if (
+			mergedFrom !== undefined &&
+			(current?.lastUpdated ?? null) !== mergedFrom
+		) {
+			debugLog("📚 Library changed during sync; merge not applied");
+			return false;
+		}
+		const previousIds = Object.keys(current?.novels || {});
+
+		library.shelves = library.shelves || {};
+		for (const shelf of Object.values(SHELVES)) {
+			library.shelves[shelf.id] = {
+				novelCount: Object.values(library.novels).filter(
+					(n) => n.shelfId === shelf.id,
+				).length,
+				lastUpdated: Date.now(),
+			};
+		}
+		library.lastUpdated = Math.max(
+			Date.now(),
+			(current?.lastUpdated || 0) + 1,
+		);
+
+		const updates = { [this.LIBRARY_KEY]: library };
+		for (const [novelId, chapterData] of Object.entries(chapters)) {
+			updates[this.CHAPTERS_KEY_PREFIX + novelId] = chapterData;
+		}
+		await browser.storage.local.set(updates);
+
+		const removed = previousIds
+			.filter((novelId) => !library.novels[novelId])
+			.map((novelId) => this.CHAPTERS_KEY_PREFIX + novelId);
+		if (removed.length) {
+			await browser.storage.local.remove(removed);
+		}
+		debugLog(
+			`📚 Library sync applied: ${Object.keys(library.novels).length} novels, ${removed.length} removed`,
+		);
+		return true;
+	}
+
 	/**
 	 * Clear the entire library
 	 * @returns {Promise<boolean>} Success status
@@ -2324,16 +2644,6 @@ export class NovelLibrary {
 		const duplicateGroups = [];
 		const processedIds = new Set();
 
-		// Helper to normalize title for comparison
-		const normalizeTitle = (title) => {
-			if (!title) return "";
-			return title
-				.toLowerCase()
-				.replace(/[^\w\s]/g, "") // Remove punctuation
-				.replace(/\s+/g, " ") // Normalize whitespace
-				.trim();
-		};
-
 		// Group by siteNovelId first (most reliable)
 		const bySiteNovelId = {};
 		for (const novel of filteredNovels) {
@@ -2370,7 +2680,7 @@ export class NovelLibrary {
 		for (const novel of filteredNovels) {
 			if (processedIds.has(novel.id)) continue;
 
-			const normalizedTitle = normalizeTitle(novel.title);
+			const normalizedTitle = normalizeNovelTitle(novel.title);
 			if (!normalizedTitle) continue;
 
 			const key = `${novel.shelfId}_${normalizedTitle}`;
@@ -11,7 +11,12 @@ import {
 	exchangeCodeForTokens,
 	refreshAccessToken,
 } from "./oauth-pkce.js";
+import {
+	RETENTION_TIERS_KEY,
+	selectExpiredBackupFiles,
+} from "./backup-delta.js";
 import { OAUTH_REDIRECT_URIS } from "./constants.js";
+import { debugError, debugLog } from "./logger.js";
 
 const TOKEN_KEY = "onedriveAuthTokens";
 const AUTH_ERROR_KEY = "onedriveAuthError";
@@ -245,6 +250,27 @@ function isBackupFile(name) {
 	return name.startsWith(BACKUP_PREFIX) && name.endsWith(".json");
 }
 
+// Versioned backups the retention tiers no longer keep; the continuous file
+// is not counted. A failure is logged, not thrown: the new backup is already
+// saved.
+async function pruneOnedriveBackups(token, options) {
+	try {
+		const tiers = await getStored(RETENTION_TIERS_KEY);
+		const expired = selectExpiredBackupFiles(
+			await listOnedriveBackups(options),
+			{ tiers },
+		);
+		for (const file of expired) {
+			await graphRequest("DELETE", `/me/drive/items/${file.id}`, {
+				token,
+			});
+			debugLog(`🗑️ Removed old OneDrive backup: ${file.name}`);
+		}
+	} catch (err) {
+		debugError("Failed to remove old OneDrive backups", err);
+	}
+}
+
 // ─── Public API ────────────────────────────────────────────────────────────────
 
 export async function uploadOnedriveBackup(backupData, options = {}) {
@@ -291,6 +317,7 @@ export async function uploadOnedriveBackup(backupData, options = {}) {
 		},
 		body: content,
 	}).catch(() => {});
+	await pruneOnedriveBackups(token, options);
 
 	return { fileId: item.id, fileName };
 }
@@ -0,0 +1,123 @@
+/**
+ * Library reader — which copy of a chapter to show.
+ *
+ * A chapter can come from three places: the live site (extracted by the site
+ * handler through the `fetchChapterPage` DOM job), the chunk cache the content
+ * script fills when a chapter is enhanced on the site, and the offline archive.
+ * The live page is the freshest original and the only one with prev/next
+ * links; the caches are what still works with no network, and they are where
+ * an enhanced version lives. This module merges whatever was found into the
+ * one shape the reader renders.
+ */
+
+import { sanitizeChapterMarkup } from "./chapter-archive.js";
+
+/**
+ * @typedef {Object} ReaderChapter
+ * @property {string}      url
+ * @property {string}      title
+ * @property {number|null} chapterNumber
+ * @property {string}      originalHtml  - Sanitised
+ * @property {string}      enhancedHtml  - Sanitised; empty when not enhanced
+ * @property {string|null} previousUrl
+ * @property {string|null} nextUrl
+ * @property {"site"|"cache"|"archive"} source - Where the original came from
+ * @property {string}      text          - Plain text of the original
+ * @property {number}      words
+ */
+
+/**
+ * @param {Object} sources
+ * @param {string} sources.url                  - URL the reader was asked for
+ * @param {Object|null} [sources.page]          - fetchChapterPage result
+ * @param {Array|null} [sources.cachedChunks]   - chunk-cache entries, in order
+ * @param {Object|null} [sources.archived]      - ArchivedChapter record
+ * @param {number|null} [sources.chapterNumber] - Fallback chapter number
+ * @returns {ReaderChapter|null} null when no source had the chapter
+ */
+export function composeReaderChapter({
+	url,
+	page = null,
+	cachedChunks = null,
+	archived = null,
+	chapterNumber = null,
+}) {
+	const chunks = Array.isArray(cachedChunks) ? cachedChunks : [];
+	const cachedOriginal = chunks
+		.map((chunk) => chunk.originalContent)
+		.filter(Boolean)
+		.join("\n");
+	// A chunk cached without an enhancement keeps its original text, so the
+	// enhanced chapter is never missing a middle section (as in EPUB export).
+	const cachedEnhanced = chunks.some((chunk) => chunk.enhancedContent)
+		? chunks
+				.map((chunk) => chunk.enhancedContent || chunk.originalContent)
+				.filter(Boolean)
+				.join("\n")
+		: "";
+
+	let source = null;
+	let originalHtml = "";
+	if (page?.html || page?.content) {
+		source = "site";
+		originalHtml = sanitizeChapterMarkup(page.html || page.content);
+	} else if (cachedOriginal) {
+		source = "cache";
+		originalHtml = sanitizeChapterMarkup(cachedOriginal);
+	} else if (archived?.rawHtml) {
+		source = "archive";
+		originalHtml = archived.rawHtml;
+	}
+	if (!source) return null;
+
+	const text = page?.content || htmlToText(originalHtml);
+	return {
+		url: page?.url || archived?.url || url,
+		title: page?.title || archived?.title || "",
+		chapterNumber:
+			page?.chapterNumber ||
+			archived?.chapterNumber ||
+			Number(chapterNumber) ||
+			null,
+		originalHtml,
+		enhancedHtml: cachedEnhanced
+			? sanitizeChapterMarkup(cachedEnhanced)
+			: archived?.enhancedHtml || "",
+		previousUrl: page?.previousUrl || null,
+		nextUrl: page?.nextUrl || null,
+		source,
+		text,
+		words: page?.words || text.split(/\s+/).filter(Boolean).length,
+	};
+}
+
+function htmlToText(html) {
+	return String(html || "")
+		.replace(/<\/(p|div|h[1-6]|li|blockquote)>/gi, "\n")
+		.replace(/<br\s*\/?>/gi, "\n")
+		.replace(/<[^>]+>/g, "")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;|&apos;/g, "'")
+		.replace(/&amp;/g, "&")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim();
+}
+
+/**
+ * Prev/next for a chapter read from the archive without the site page: the
+ * neighbouring stored chapters.
+ * @param {Array<{chapterNumber: number, url: string}>} archivedChapters - In order
+ * @param {number} chapterNumber
+ * @returns {{previous: Object|null, next: Object|null}}
+ */
+export function archiveNeighbours(archivedChapters, chapterNumber) {
+	const list = Array.isArray(archivedChapters) ? archivedChapters : [];
+	const index = list.findIndex((c) => c.chapterNumber === chapterNumber);
+	if (index < 0) return { previous: null, next: null };
+	return {
+		previous: list[index - 1] || null,
+		next: list[index + 1] || null,
+	};
+}
@@ -27,6 +27,7 @@
  *     debugLog,
  *     debugError,
  *     getCurrentFontSize,
+ *     requestStreamingSummary, // optional: (message, onText) => response|null
  *   });
  *
  *   // Then wire buttons:
@@ -579,11 +580,31 @@ async function summarize(chunkIndices, isShort) {
 				const action = isShort
 					? "shortSummarizeWithGemini"
 					: "summarizeWithGemini";
-				const response = await sendMessageWithRetry({
+				const request = {
 					action,
 					title: document.title,
 					content: collected.text,
-				});
+				};
+				// Stream when the port is up, painting partial text as it
+				// arrives; null means no port, so ask the plain way.
+				const streamed = deps.requestStreamingSummary
+					? await deps.requestStreamingSummary(request, (partial) => {
+							if (
+								summaryTextContainer &&
+								latestRequestByContainer.get(
+									summaryTextContainer,
+								) === requestToken
+							) {
+								renderSummaryInContainer(
+									summaryTextContainer,
+									partial,
+									summaryType,
+								);
+							}
+						})
+					: null;
+				const response =
+					streamed || (await sendMessageWithRetry(request));
 
 				if (response?.success && response.summary) {
 					summary = response.summary;
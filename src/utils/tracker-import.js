@@ -0,0 +1,626 @@
+/**
+ * Importers for reading lists kept elsewhere
+ *
+ * Each source is parsed into the same plain entries, which are then planned
+ * against the library (planTrackerImport) for a dry-run preview before
+ * NovelLibrary.applyTrackerImport() writes anything:
+ *
+ *   NovelUpdates   reading-list export (CSV or JSON) or a saved reading-list
+ *                  page. NovelUpdates links to its own series pages, not to a
+ *                  site we read on, so entries can only update novels
+ *                  already in the library, matched by title.
+ *   Goodreads      "Export Library" CSV. No site URLs either; title matches
+ *                  only.
+ *   AO3            History and Marked for Later pages (fetched, or saved).
+ *   FanFiction.net Profile favourites and the story follows page.
+ *
+ * Page parsers take a Document, so the same code runs in the settings page on
+ * an uploaded file and in background/dom-jobs.js on a fetched page.
+ *
+ * @typedef {Object} TrackerEntry
+ * @property {string}   source
+ * @property {string}   title
+ * @property {string}   [author]
+ * @property {string}   [url]             - Site URL, when the source has one
+ * @property {string}   [readingStatus]   - READING_STATUS value
+ * @property {number}   [lastReadChapter]
+ * @property {number}   [totalChapters]
+ * @property {string[]} [readingLists]
+ */
+
+import { READING_STATUS, normalizeNovelTitle } from "./novel-library.js";
+
+export const TRACKER_SOURCES = {
+	novelupdates: {
+		label: "NovelUpdates reading list",
+		fileTypes: ".csv,.json,.html,.htm",
+	},
+	goodreads: { label: "Goodreads library export", fileTypes: ".csv" },
+	ao3: {
+		label: "AO3 History / Marked for Later",
+		fileTypes: ".html,.htm",
+		pageUrl: "https://archiveofourown.org/users/{user}/readings",
+		host: "archiveofourown.org",
+	},
+	fanfiction: {
+		label: "FanFiction.net favorites / follows",
+		fileTypes: ".html,.htm",
+		pageUrl: "https://www.fanfiction.net/alert/story.php",
+		host: "fanfiction.net",
+	},
+};
+
+// Pages followed per fetch, so a history of thousands of works cannot run
+// away with the background.
+export const MAX_TRACKER_PAGES = 50;
+
+/**
+ * Whether a list page is on the source's own site (the host or a subdomain,
+ * over https). List pages are fetched with the reader's cookies, so no other
+ * address may be requested, whether typed in or linked as the next page.
+ * @param {string} source - TRACKER_SOURCES key
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isTrackerPageUrl(source, url) {
+	const host = TRACKER_SOURCES[source]?.host;
+	if (!host || !url) return false;
+	try {
+		const { protocol, hostname } = new URL(url);
+		return (
+			protocol === "https:" &&
+			(hostname === host || hostname.endsWith(`.${host}`))
+		);
+	} catch {
+		return false;
+	}
+}
+
+// Checked in order: "plan to read" and "want to read" both contain "read".
+const STATUS_PATTERNS = [
+	[/\b(drop|dropped|dnf|did not finish|abandon)/, READING_STATUS.DROPPED],
+	[/\b(on hold|hold|paused)\b/, READING_STATUS.ON_HOLD],
+	[
+		/\b(plan|to read|want to read|later|wish ?list|backlog)/,
+		READING_STATUS.PLAN_TO_READ,
+	],
+	[/\b(up to date|caught up)\b/, READING_STATUS.UP_TO_DATE],
+	[/\b(complet|finished|^read$)/, READING_STATUS.COMPLETED],
+	[/\b(reading|following|follows)\b/, READING_STATUS.READING],
+];
+
+/**
+ * Reading status for a tracker's list or shelf name.
+ * @param {string} label
+ * @returns {string|null}
+ */
+export function mapTrackerStatus(label) {
+	const text = String(label || "")
+		.toLowerCase()
+		.replace(/[^a-z]+/g, " ")
+		.trim();
+	if (!text) return null;
+	for (const [pattern, status] of STATUS_PATTERNS) {
+		if (pattern.test(text)) return status;
+	}
+	return null;
+}
+
+/**
+ * Chapter progress from text such as "c45", "v2c15", "Chapter 12" or "5/10".
+ * @param {string} text
+ * @returns {{ lastReadChapter?: number, totalChapters?: number }}
+ */
+export function parseChapterProgress(text) {
+	const value = String(text ?? "").trim();
+	const fraction = value.match(/(\d+)\s*\/\s*(\d+|\?)/);
+	if (fraction) {
+		const total = Number(fraction[2]);
+		return {
+			lastReadChapter: Number(fraction[1]),
+			...(total ? { totalChapters: total } : {}),
+		};
+	}
+	const chapter =
+		value.match(/(?:^|[^a-z])c(?:h(?:apter)?)?\.?\s*(\d+)/i) ||
+		value.match(/^(\d+)$/);
+	return chapter ? { lastReadChapter: Number(chapter[1]) } : {};
+}
+
+/**
+ * Rows of a CSV file (RFC 4180: quoted fields, doubled quotes, CRLF).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+	const source = String(text || "").replace(/^\uFEFF/, "");
+	for (let i = 0; i < source.length; i++) {
+		const char = source[i];
+		if (quoted) {
+			if (char === '"' && source[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ",") {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && source[i + 1] === "\n") i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	if (field || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+	return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function csvRecords(text) {
+	const [header = [], ...rows] = parseCsv(text);
+	const keys = header.map((name) => name.trim().toLowerCase());
+	return rows.map((cells) =>
+		Object.fromEntries(
+			keys.map((key, i) => [key, (cells[i] || "").trim()]),
+		),
+	);
+}
+
+// First non-empty value among a record's candidate column names.
+function pick(record, names) {
+	for (const name of names) {
+		const value = record[name];
+		if (value !== undefined && value !== null && String(value).trim()) {
+			return String(value).trim();
+		}
+	}
+	return "";
+}
+
+function lowerKeys(object) {
+	return Object.fromEntries(
+		Object.entries(object || {}).map(([key, value]) => [
+			key.toLowerCase(),
+			value,
+		]),
+	);
+}
+
+function absoluteUrl(href, base) {
+	try {
+		return new URL(href, base).href;
+	} catch {
+		return "";
+	}
+}
+
+const compact = (entry) =>
+	Object.fromEntries(
+		Object.entries(entry).filter(
+			([, value]) =>
+				value !== undefined &&
+				value !== "" &&
+				!(Array.isArray(value) && !value.length),
+		),
+	);
+
+/**
+ * Goodreads "Export Library" CSV.
+ * @param {string} text
+ * @returns {TrackerEntry[]}
+ */
+export function parseGoodreadsCsv(text) {
+	return csvRecords(text)
+		.filter((record) => record.title)
+		.map((record) => {
+			const shelves = (record.bookshelves || "")
+				.split(",")
+				.map((shelf) => shelf.trim())
+				.filter(Boolean);
+			const status =
+				mapTrackerStatus(record["exclusive shelf"]) ||
+				shelves.map(mapTrackerStatus).find(Boolean) ||
+				READING_STATUS.PLAN_TO_READ;
+			return compact({
+				source: "goodreads",
+				title: record.title,
+				author: record.author,
+				readingStatus: status,
+				readingLists: shelves.some((shelf) =>
+					/^favou?rites?$/i.test(shelf),
+				)
+					? ["favourites"]
+					: [],
+			});
+		});
+}
+
+const NU_TITLE = ["title", "name", "series", "novel", "series name"];
+const NU_URL = ["url", "link", "series url", "href"];
+const NU_STATUS = ["status", "list", "reading list", "list name", "shelf"];
+const NU_PROGRESS = ["progress", "chapter", "last read", "current", "read"];
+
+function novelUpdatesEntry(record, defaultStatus) {
+	const title = pick(record, NU_TITLE);
+	if (!title) return null;
+	return compact({
+		source: "novelupdates",
+		title,
+		url: pick(record, NU_URL),
+		readingStatus:
+			mapTrackerStatus(pick(record, NU_STATUS)) || defaultStatus,
+		...parseChapterProgress(pick(record, NU_PROGRESS)),
+	});
+}
+
+/**
+ * A NovelUpdates reading list as exported (CSV or JSON) or saved as a page.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.defaultStatus] - For entries without a list name
+ * @param {typeof DOMParser} [options.DOMParserImpl]
+ * @returns {TrackerEntry[]}
+ */
+export function parseNovelUpdatesExport(
+	text,
+	{
+		defaultStatus = READING_STATUS.READING,
+		DOMParserImpl = globalThis.DOMParser,
+	} = {},
+) {
+	const trimmed = String(text || "").trim();
+	let records;
+	if (/^[[{]/.test(trimmed)) {
+		const parsed = JSON.parse(trimmed);
+		const list = Array.isArray(parsed)
+			? parsed
+			: parsed.novels || parsed.series || parsed.items || [];
+		records = list.map(lowerKeys);
+	} else if (/^</.test(trimmed)) {
+		const doc = new DOMParserImpl().parseFromString(trimmed, "text/html");
+		return parseNovelUpdatesPage(doc, "https://www.novelupdates.com/", {
+			defaultStatus,
+		}).entries;
+	} else {
+		records = csvRecords(trimmed);
+	}
+	return records
+		.map((record) => novelUpdatesEntry(record, defaultStatus))
+		.filter(Boolean);
+}
+
+/**
+ * A saved NovelUpdates reading-list page: one row per series link, with the
+ * progress ("c45", "v2c15") read from the row.
+ * @param {Document} doc
+ * @param {string} pageUrl
+ * @param {Object} [options]
+ * @param {string} [options.defaultStatus]
+ * @returns {{ entries: TrackerEntry[], nextUrl: string|null }}
+ */
+export function parseNovelUpdatesPage(
+	doc,
+	pageUrl,
+	{ defaultStatus = READING_STATUS.READING } = {},
+) {
+	const listName =
+		doc.querySelector(".rl_title, .sttitle, h1")?.textContent || "";
+	const status = mapTrackerStatus(listName) || defaultStatus;
+	const entries = [];
+	for (const row of doc.querySelectorAll("tr")) {
+		const link = row.querySelector('a[href*="/series/"]');
+		if (!link) continue;
+		const progress = [...row.querySelectorAll("a, span, td")]
+			.map((el) => el.textContent.trim())
+			.find((text) => /^(?:v\d+\s*)?c\d+/i.test(text));
+		entries.push(
+			compact({
+				source: "novelupdates",
+				title: link.textContent.trim(),
+				url: absoluteUrl(link.getAttribute("href"), pageUrl),
+				readingStatus: status,
+				...parseChapterProgress(progress),
+			}),
+		);
+	}
+	return { entries, nextUrl: null };
+}
+
+function nextPageUrl(doc, pageUrl) {
+	const link =
+		doc.querySelector('.pagination a[rel="next"], a[rel="next"]') ||
+		[...doc.querySelectorAll("a")].find((a) =>
+			/^next\b/i.test(a.textContent.trim()),
+		);
+	const href = link?.getAttribute("href");
+	const next = href ? absoluteUrl(href, pageUrl) : "";
+	// Only pages on the same host; a link elsewhere ends the list.
+	try {
+		return next && new URL(next).host === new URL(pageUrl).host
+			? next
+			: null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * An AO3 History or Marked for Later page. Works marked for later are
+ * plan-to-read; AO3 does not record how far into a work you read.
+ * @param {Document} doc
+ * @param {string} pageUrl
+ * @param {Object} [options]
+ * @param {string} [options.defaultStatus] - For works in History
+ * @returns {{ entries: TrackerEntry[], nextUrl: string|null }}
+ */
+export function parseAo3ReadingsPage(
+	doc,
+	pageUrl,
+	{ defaultStatus = READING_STATUS.READING } = {},
+) {
+	const markedPage = /show=to-read/.test(pageUrl);
+	const entries = [];
+	for (const item of doc.querySelectorAll("li.reading.work.blurb")) {
+		// Deleted works stay in History without a link.
+		const link = item.querySelector('.heading a[href^="/works/"]');
+		if (!link) continue;
+		const viewed = item.querySelector(".viewed")?.textContent || "";
+		const marked = markedPage || /marked for later/i.test(viewed);
+		const chapters = item.querySelector("dd.chapters")?.textContent || "";
+		const published = Number(chapters.split("/")[0]) || undefined;
+		entries.push(
+			compact({
+				source: "ao3",
+				title: link.textContent.trim(),
+				author: [...item.querySelectorAll('a[rel="author"]')]
+					.map((a) => a.textContent.trim())
+					.join(", "),
+				url: absoluteUrl(link.getAttribute("href"), pageUrl),
+				readingStatus: marked
+					? READING_STATUS.PLAN_TO_READ
+					: defaultStatus,
+				totalChapters: published,
+			}),
+		);
+	}
+	return { entries, nextUrl: nextPageUrl(doc, pageUrl) };
+}
+
+const FFN_STORY_PATH = /^\/s\/(\d+)/;
+
+/**
+ * FanFiction.net profile favourites (added to the Favourites list) or the
+ * story follows page (reading).
+ * @param {Document} doc
+ * @param {string} pageUrl
+ * @param {Object} [options]
+ * @param {string} [options.defaultStatus] - For favourites
+ * @returns {{ entries: TrackerEntry[], nextUrl: string|null }}
+ */
+export function parseFanfictionListPage(
+	doc,
+	pageUrl,
+	{ defaultStatus = READING_STATUS.PLAN_TO_READ } = {},
+) {
+	const entries = [];
+	const favourites = doc.querySelectorAll(".z-list.favstories");
+	if (favourites.length) {
+		for (const item of favourites) {
+			const link = item.querySelector("a.stitle");
+			if (!link) continue;
+			const meta = item.querySelector(".z-padtop2")?.textContent || "";
+			const chapters = meta.match(/Chapters:\s*(\d+)/i);
+			entries.push(
+				compact({
+					source: "fanfiction",
+					title: link.textContent.trim(),
+					author: item
+						.querySelector('a[href^="/u/"]')
+						?.textContent.trim(),
+					url: absoluteUrl(link.getAttribute("href"), pageUrl),
+					readingStatus: defaultStatus,
+					totalChapters: chapters ? Number(chapters[1]) : undefined,
+					readingLists: ["favourites"],
+				}),
+			);
+		}
+		return { entries, nextUrl: null };
+	}
+
+	// Follows: a table of story links, each row with its author.
+	const seen = new Set();
+	for (const link of doc.querySelectorAll('a[href^="/s/"]')) {
+		const href = link.getAttribute("href");
+		const id = href.match(FFN_STORY_PATH)?.[1];
+		const title = link.textContent.trim();
+		if (!id || !title || seen.has(id)) continue;
+		seen.add(id);
+		const row = link.closest("tr");
+		entries.push(
+			compact({
+				source: "fanfiction",
+				title,
+				author: row
+					?.querySelector('a[href^="/u/"]')
+					?.textContent.trim(),
+				url: absoluteUrl(href, pageUrl),
+				readingStatus: READING_STATUS.READING,
+			}),
+		);
+	}
+	return { entries, nextUrl: nextPageUrl(doc, pageUrl) };
+}
+
+export const TRACKER_PAGE_PARSERS = {
+	novelupdates: parseNovelUpdatesPage,
+	ao3: parseAo3ReadingsPage,
+	fanfiction: parseFanfictionListPage,
+};
+
+/**
+ * Parse an uploaded file for a source.
+ * @param {string} source - TRACKER_SOURCES key
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.defaultStatus]
+ * @param {string} [options.pageUrl] - Where a saved page came from
+ * @param {typeof DOMParser} [options.DOMParserImpl]
+ * @returns {TrackerEntry[]}
+ */
+export function parseTrackerFile(
+	source,
+	text,
+	{ defaultStatus, pageUrl, DOMParserImpl = globalThis.DOMParser } = {},
+) {
+	if (source === "goodreads") return parseGoodreadsCsv(text);
+	if (source === "novelupdates") {
+		return parseNovelUpdatesExport(text, { defaultStatus, DOMParserImpl });
+	}
+	const parse = TRACKER_PAGE_PARSERS[source];
+	if (!parse) throw new Error(`Unknown import source: ${source}`);
+	const doc = new DOMParserImpl().parseFromString(text, "text/html");
+	const base =
+		pageUrl ||
+		(source === "ao3"
+			? "https://archiveofourown.org/"
+			: "https://www.fanfiction.net/");
+	return parse(doc, base, defaultStatus ? { defaultStatus } : {}).entries;
+}
+
+// Goodreads appends the series: "Mother of Learning (Mother of Learning, #1)".
+function titleKey(title) {
+	return normalizeNovelTitle(
+		String(title || "").replace(/\s*\([^()]*#\d+(?:\.\d+)?\)\s*$/, ""),
+	);
+}
+
+function authorKey(author) {
+	return normalizeNovelTitle(author);
+}
+
+function entryChanges(novel, entry) {
+	const changes = {};
+	if (entry.readingStatus && entry.readingStatus !== novel.readingStatus) {
+		changes.readingStatus = entry.readingStatus;
+	}
+	if (entry.lastReadChapter > (novel.lastReadChapter || 0)) {
+		changes.lastReadChapter = entry.lastReadChapter;
+	}
+	if (entry.totalChapters > (novel.totalChapters || 0)) {
+		changes.totalChapters = entry.totalChapters;
+	}
+	const lists = novel.readingLists || [];
+	const missing = (entry.readingLists || []).filter(
+		(list) => !lists.includes(list),
+	);
+	if (missing.length) changes.readingLists = [...lists, ...missing];
+	return changes;
+}
+
+/**
+ * Dry run: what importing `entries` would do to the library.
+ *
+ * An entry whose URL identifies a novel already in the library, or whose
+ * title (and author, when both have one) matches exactly one novel, updates
+ * it. An entry with a supported URL and no match is added. The rest are
+ * unmatched, and two entries for the same novel, or a title matching
+ * several novels, are reported as duplicates instead of guessed at.
+ *
+ * @param {TrackerEntry[]} entries
+ * @param {Object} novels - `{ [novelId]: novel }`
+ * @param {Object} deps
+ * @param {(url: string) => ({ novelId: string }|null)} deps.identify -
+ *   NovelLibrary.getNovelIdentityFromUrl
+ * @returns {{
+ *   add: Array<{ entry: TrackerEntry, identity: Object }>,
+ *   update: Array<{ entry: TrackerEntry, novelId: string, title: string, changes: Object }>,
+ *   unchanged: Array<{ entry: TrackerEntry, novelId: string }>,
+ *   unmatched: TrackerEntry[],
+ *   duplicates: Array<{ entry: TrackerEntry, reason: "repeated"|"ambiguous", novelIds: string[] }>,
+ * }}
+ */
+export function planTrackerImport(entries, novels = {}, { identify }) {
+	const byTitle = new Map();
+	for (const novel of Object.values(novels)) {
+		const key = titleKey(novel?.title);
+		if (!key) continue;
+		byTitle.set(key, [...(byTitle.get(key) || []), novel]);
+	}
+
+	const plan = {
+		add: [],
+		update: [],
+		unchanged: [],
+		unmatched: [],
+		duplicates: [],
+	};
+	const claimed = new Set();
+
+	for (const entry of entries) {
+		const identity = entry.url ? identify(entry.url) : null;
+		let target = identity ? novels[identity.novelId] : null;
+		if (!target) {
+			let candidates = byTitle.get(titleKey(entry.title)) || [];
+			if (candidates.length > 1 && entry.author) {
+				candidates = candidates.filter(
+					(novel) =>
+						authorKey(novel.author) === authorKey(entry.author),
+				);
+			}
+			if (candidates.length > 1) {
+				plan.duplicates.push({
+					entry,
+					reason: "ambiguous",
+					novelIds: candidates.map((novel) => novel.id),
+				});
+				continue;
+			}
+			target = candidates[0] || null;
+		}
+
+		const novelId = target?.id || identity?.novelId;
+		if (novelId && claimed.has(novelId)) {
+			plan.duplicates.push({
+				entry,
+				reason: "repeated",
+				novelIds: [novelId],
+			});
+			continue;
+		}
+		if (novelId) claimed.add(novelId);
+
+		if (target) {
+			const changes = entryChanges(target, entry);
+			if (Object.keys(changes).length) {
+				plan.update.push({
+					entry,
+					novelId: target.id,
+					title: target.title,
+					changes,
+				});
+			} else {
+				plan.unchanged.push({ entry, novelId: target.id });
+			}
+		} else if (identity) {
+			plan.add.push({ entry, identity });
+		} else {
+			plan.unmatched.push(entry);
+		}
+	}
+	return plan;
+}
@@ -728,6 +728,21 @@ export class BaseWebsiteHandler {
 		return window.innerWidth <= breakpointPx;
 	}
 
+	/**
+	 * Short stable hash (32-bit FNV-1a, base 36) for handlers whose sites have
+	 * no story ids to borrow and key novels by URL instead.
+	 * @param {string} text
+	 * @returns {string}
+	 */
+	hashKey(text) {
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < text.length; i++) {
+			hash ^= text.charCodeAt(i);
+			hash = Math.imul(hash, 0x01000193);
+		}
+		return (hash >>> 0).toString(36);
+	}
+
 	/**
 	 * Get a fallback novel ID by base-64-hashing the URL path.
 	 * Handlers should prefer their own ID schemes; use this only as a last resort.
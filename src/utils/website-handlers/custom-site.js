@@ -0,0 +1,337 @@
+/**
+ * Custom Site Handler
+ * Interprets a user-written site definition (see `../custom-sites.js`) as a
+ * website handler: the definition's selectors stand in for the code a
+ * dedicated handler would have.
+ *
+ * This file is deliberately not named `*-handler.js`. It is not part of the
+ * generated `HANDLER_MODULES` list or the manifest's site matches — the
+ * handlers it produces are built per definition at runtime by
+ * `createCustomSiteHandler()` and appended by the HandlerManager. The class
+ * itself is registered in `domain-constants.js` only for its shelf: every
+ * custom site shares the "Custom Sites" shelf and is told apart there by name.
+ */
+
+import { BaseWebsiteHandler } from "./base-handler.js";
+import { validateHandlerContractRuntime } from "./handler-contract.js";
+import { getCustomSites, normalizeCustomSite } from "../custom-sites.js";
+import { debugError } from "../logger.js";
+import { pageLocation } from "../dom-env.js";
+
+export const CUSTOM_SHELF_ID = "custom";
+
+function matchesDomain(hostname, pattern) {
+	if (!hostname || !pattern) return false;
+	const base = pattern.replace(/^\*\./, "");
+	return hostname === base || hostname.endsWith(`.${base}`);
+}
+
+export class CustomSiteHandler extends BaseWebsiteHandler {
+	// Per-definition subclasses fill these in; the base class matches nothing.
+	static SUPPORTED_DOMAINS = [];
+
+	static SHELF_METADATA = {
+		id: CUSTOM_SHELF_ID,
+		isPrimary: true,
+		name: "Custom Sites",
+		icon: "\u{1F9E9}",
+		emoji: "\u{1F9E9}",
+		color: "#7c8a9e",
+	};
+
+	static HANDLER_TYPE = "chapter_embedded";
+
+	// After every built-in handler, so a definition never shadows one.
+	static PRIORITY = 1000;
+
+	/**
+	 * @param {import("../custom-sites.js").CustomSite} [definition]
+	 */
+	constructor(definition = {}) {
+		super();
+		this.definition = normalizeCustomSite(definition);
+		this.selectors = this.definition.selectors;
+	}
+
+	canHandle() {
+		const hostname = pageLocation().hostname;
+		return this.definition.domains.some((domain) =>
+			matchesDomain(hostname, domain),
+		);
+	}
+
+	/**
+	 * The first element a configured selector finds, or null for an empty or
+	 * broken selector — a typo in a user's definition must not take the page
+	 * down with it.
+	 * @param {string} selector
+	 * @param {ParentNode} [root=document]
+	 * @returns {Element|null}
+	 */
+	query(selector, root = document) {
+		if (!selector) return null;
+		try {
+			return root.querySelector(selector);
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * @param {string} selector
+	 * @returns {string|null} Trimmed text of the first match
+	 */
+	queryText(selector) {
+		const text = this.query(selector)?.textContent?.trim();
+		return text || null;
+	}
+
+	/**
+	 * The URL a configured link selector points at. The selector may name the
+	 * <a> itself, something inside it, or a wrapper around it.
+	 * @param {string} selector
+	 * @returns {string|null}
+	 */
+	queryLink(selector) {
+		const el = this.query(selector);
+		const href =
+			el?.closest("a[href]")?.getAttribute("href") ||
+			el?.querySelector("a[href]")?.getAttribute("href");
+		return href ? this.normalizeUrl(href) : null;
+	}
+
+	isChapterPage() {
+		const { chapterPath } = this.definition;
+		if (chapterPath) {
+			try {
+				if (!new RegExp(chapterPath).test(pageLocation().pathname)) {
+					return false;
+				}
+			} catch {
+				return false;
+			}
+		}
+		return !!this.findContentArea();
+	}
+
+	isNovelPage() {
+		return !this.isChapterPage() && !!this.query(this.selectors.novelTitle);
+	}
+
+	findContentArea() {
+		return this.query(this.selectors.content);
+	}
+
+	extractTitle() {
+		return this.queryText(this.selectors.title) || document.title;
+	}
+
+	extractContent() {
+		const title = this.extractTitle();
+		const contentArea = this.findContentArea();
+		if (!contentArea) {
+			return {
+				found: false,
+				title,
+				text: "",
+				selector: "custom-site-no-content",
+			};
+		}
+
+		const clone = this.cloneAndCleanContent(contentArea);
+		for (const selector of this.selectors.remove) {
+			try {
+				clone.querySelectorAll(selector).forEach((el) => el.remove());
+			} catch {
+				// Validated on save; an imported definition may still carry one.
+			}
+		}
+		const text = this.cleanExtractedText(
+			clone.innerText || clone.textContent || "",
+		);
+		return {
+			found: text.length > 0,
+			title,
+			text,
+			selector: this.selectors.content,
+		};
+	}
+
+	getChapterNavigation() {
+		const previousUrl = this.queryLink(this.selectors.prev);
+		const nextUrl = this.queryLink(this.selectors.next);
+		const number = this.extractTitle().match(/chapter\s*(\d+)/i);
+		return {
+			hasPrevious: !!previousUrl,
+			hasNext: !!nextUrl,
+			previousUrl,
+			nextUrl,
+			currentChapter: number ? parseInt(number[1], 10) : 1,
+			totalChapters: 0,
+		};
+	}
+
+	/**
+	 * The novel's index page: the configured novel link when there is one, the
+	 * page itself on a novel page, otherwise the chapter's parent path.
+	 * @returns {string}
+	 */
+	getNovelPageUrl() {
+		const linked = this.queryLink(this.selectors.novelLink);
+		if (linked) return linked;
+
+		const url = new URL(pageLocation().href);
+		url.search = "";
+		url.hash = "";
+		if (!this.isNovelPage()) {
+			url.pathname =
+				url.pathname.replace(/\/+$/, "").replace(/\/[^/]*$/, "") || "/";
+		}
+		return url.href;
+	}
+
+	getMetadataSourceUrl() {
+		return this.selectors.novelLink ? this.getNovelPageUrl() : null;
+	}
+
+	// A hash of the novel page's host and path: custom sites have no story ids.
+	generateNovelId() {
+		const url = new URL(this.getNovelPageUrl());
+		const path = url.pathname.replace(/\/+$/, "") || "/";
+		return `${CUSTOM_SHELF_ID}-${this.hashKey(`${url.hostname}${path}`)}`;
+	}
+
+	getSiteIdentifier() {
+		return this.definition.name || pageLocation().hostname;
+	}
+
+	extractNovelMetadata() {
+		const metadata = {
+			title: this.queryText(this.selectors.novelTitle),
+			author: this.queryText(this.selectors.author),
+			description: null,
+			coverUrl: null,
+			mainNovelUrl: this.getNovelPageUrl(),
+			status: this.queryText(this.selectors.status),
+			tags: [],
+			site: this.definition.name,
+			needsDetailPage: false,
+		};
+
+		try {
+			const descEl = this.query(this.selectors.description);
+			if (descEl) {
+				metadata.description = this.cleanExtractedText(
+					descEl.innerText || descEl.textContent || "",
+				);
+			}
+
+			const coverEl = this.query(this.selectors.cover);
+			const coverImg =
+				coverEl?.tagName === "IMG"
+					? coverEl
+					: coverEl?.querySelector("img");
+			const src =
+				coverImg?.getAttribute("data-src") ||
+				coverImg?.getAttribute("src");
+			if (src) metadata.coverUrl = this.normalizeUrl(src);
+
+			if (this.selectors.tags) {
+				document.querySelectorAll(this.selectors.tags).forEach((el) => {
+					const tag = el.textContent.trim();
+					if (tag && !metadata.tags.includes(tag)) {
+						metadata.tags.push(tag);
+					}
+				});
+			}
+
+			// Novel-page fields read from a chapter page are usually absent;
+			// the background fills them in from the novel link.
+			metadata.needsDetailPage =
+				this.isChapterPage() && !!this.selectors.novelLink;
+		} catch (error) {
+			debugError("Custom site: Error extracting metadata:", error);
+		}
+
+		return metadata;
+	}
+}
+
+/**
+ * Build a handler for one definition. Each gets its own subclass so the
+ * HandlerManager, which reads SUPPORTED_DOMAINS and HANDLER_TYPE off the
+ * constructor, sees a handler like any other.
+ *
+ * @param {import("../custom-sites.js").CustomSite} site
+ * @returns {CustomSiteHandler}
+ */
+export function createCustomSiteHandler(site) {
+	const definition = normalizeCustomSite(site);
+
+	class DefinedSiteHandler extends CustomSiteHandler {
+		static SUPPORTED_DOMAINS = [...definition.domains];
+
+		// With a novel link the metadata lives on a page of its own.
+		static HANDLER_TYPE = definition.selectors.novelLink
+			? "dedicated_page"
+			: "chapter_embedded";
+	}
+
+	return new DefinedSiteHandler(definition);
+}
+
+/**
+ * Handlers for every enabled definition that passes the handler contract.
+ * @returns {Promise<CustomSiteHandler[]>}
+ */
+export async function loadCustomSiteHandlers() {
+	const sites = await getCustomSites();
+	const handlers = [];
+	for (const site of sites) {
+		if (!site.enabled) continue;
+		const handler = createCustomSiteHandler(site);
+		const contract = validateHandlerContractRuntime(handler);
+		if (!contract.isValid) {
+			console.warn(
+				`HandlerManager: skipping custom site "${site.name}". Missing required contract fields: ${contract.missingRequired.join(", ")}`,
+			);
+			continue;
+		}
+		handlers.push(handler);
+	}
+	return handlers;
+}
+
+/**
+ * Run a definition against the current document — what the settings page
+ * shows as the live preview. Everything returned is plain data.
+ *
+ * @param {import("../custom-sites.js").CustomSite} site
+ * @returns {{contract: Object, matchesPage: boolean, isChapterPage: boolean, isNovelPage: boolean, title: string, text: string, words: number, navigation: Object, novelId: string|null, metadata: Object}}
+ */
+export function previewCustomSite(site) {
+	const handler = createCustomSiteHandler(site);
+	const contract = validateHandlerContractRuntime(handler);
+	const content = handler.extractContent();
+	let novelId = null;
+	try {
+		novelId = handler.generateNovelId();
+	} catch {
+		// An unparsable novel link; the preview says so by leaving it out.
+	}
+	return {
+		contract: {
+			isValid: contract.isValid,
+			missingRequired: contract.missingRequired,
+		},
+		matchesPage: handler.canHandle(),
+		isChapterPage: handler.isChapterPage(),
+		isNovelPage: handler.isNovelPage(),
+		title: content.title,
+		text: content.text,
+		words: handler.countWords(content.text),
+		navigation: handler.getChapterNavigation(),
+		novelId,
+		metadata: handler.extractNovelMetadata(),
+	};
+}
@@ -23,6 +23,7 @@ export const OPTIONAL_CAPABILITY_HOOKS = [
 	"getChapterUIConfig",
 	"getCustomButtons",
 	"injectCustomUI",
+	"loadRemainingContent",
 ];
 
 function isFunction(value) {
@@ -5,6 +5,8 @@
 
 import { BaseWebsiteHandler } from "./base-handler.js";
 import { validateHandlerContractRuntime } from "./handler-contract.js";
+import { loadCustomSiteHandlers } from "./custom-site.js";
+import { ReaderModeHandler, isReaderModeActive } from "./reader-mode.js";
 import { HANDLER_MODULES } from "./handler-registry.js";
 import { debugLog } from "../logger.js";
 import { pageLocation } from "../dom-env.js";
@@ -144,13 +146,30 @@ export class HandlerManager {
 		return this.handlersPromise;
 	}
 
+	/**
+	 * Built-in handlers followed by one handler per enabled user-defined site.
+	 * Custom sites are read from storage on every call instead of being cached
+	 * with the built-ins: the background outlives edits made in the settings
+	 * page, and a stale definition there would scrape with old selectors.
+	 * @returns {Promise<Object[]>}
+	 */
+	async loadHandlersWithCustomSites() {
+		const handlers = await this.loadHandlers();
+		try {
+			return [...handlers, ...(await loadCustomSiteHandlers())];
+		} catch (error) {
+			console.warn("HandlerManager: failed to load custom sites:", error);
+			return handlers;
+		}
+	}
+
 	/**
 	 * Determines which handler to use for the current website
 	 * @returns {Object|null} The appropriate handler for the current site or null if none matches
 	 */
 	async getHandlerForCurrentSite() {
 		const hostname = pageLocation().hostname;
-		const handlers = await this.loadHandlers();
+		const handlers = await this.loadHandlersWithCustomSites();
 		const siteSettings = await getSiteSettings();
 		const domainSettings = await getDomainSettings();
 		let disabledMatchForHost = false;
@@ -204,6 +223,10 @@ export class HandlerManager {
 			debugLog("Site disabled via settings; skipping generic handler");
 			return null;
 		}
+		if (isReaderModeActive()) {
+			debugLog("Reader mode activated for this page");
+			return new ReaderModeHandler();
+		}
 		return new BaseWebsiteHandler();
 	}
 
@@ -214,7 +237,7 @@ export class HandlerManager {
 	 */
 	async getHandlerByDomain(domain) {
 		if (!domain) return null;
-		const handlers = await this.loadHandlers();
+		const handlers = await this.loadHandlersWithCustomSites();
 
 		for (const handler of handlers) {
 			try {
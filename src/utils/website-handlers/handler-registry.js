@@ -7,6 +7,9 @@ export const HANDLER_MODULES = [
 	"novelarrow-handler.js",
 	"novelbin-handler.js",
 	"ranobes-handler.js",
+	"royalroad-handler.js",
 	"scribblehub-handler.js",
+	"wattpad-handler.js",
 	"webnovel-handler.js",
+	"xenforo-handler.js",
 ];
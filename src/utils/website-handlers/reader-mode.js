@@ -0,0 +1,422 @@
+/**
+ * Reader Mode Handler
+ * Fallback for long-form pages on domains no handler (built-in or custom)
+ * covers — personal translation blogs, Substack-style serials, articles. There
+ * are no selectors to go on, so the content area is found by scoring the page
+ * the way readability tools do: blocks that hold many substantial paragraphs,
+ * little link text and few tags per character of text win.
+ *
+ * Like `custom-site.js` this file is deliberately not named `*-handler.js`: it
+ * declares no domains and is never matched by hostname. It only takes a page
+ * the user activated explicitly (popup or context menu), which the background
+ * marks by setting READER_MODE_FLAG before injecting the content script — see
+ * `background/reader-mode.js`. The class is registered in `domain-constants.js`
+ * for its shelf.
+ */
+
+import { BaseWebsiteHandler } from "./base-handler.js";
+import { pageLocation } from "../dom-env.js";
+
+export const READER_MODE_SHELF_ID = "reader";
+
+/** Set on the content script's global by the background on activation. */
+export const READER_MODE_FLAG = "__RGReaderMode";
+
+/**
+ * @returns {boolean} Whether the user activated reader mode on this page
+ */
+export function isReaderModeActive() {
+	return globalThis[READER_MODE_FLAG] === true;
+}
+
+// Class / id hints, after Arc90 Readability. A block whose class or id says
+// "sidebar" or "comments" is skipped outright unless it also says "content".
+const UNLIKELY_CANDIDATE =
+	/banner|breadcrumb|comment|community|cookie|disqus|footer|header|menu|nav|popup|related|replies|share|sidebar|social|sponsor|subscri|widget/i;
+const MAYBE_CANDIDATE = /article|body|chapter|content|entry|main|post|story/i;
+const POSITIVE_HINT =
+	/article|blog|body|chapter|content|entry|main|page|post|story|text/i;
+const NEGATIVE_HINT =
+	/comment|footer|footnote|masthead|meta|nav|promo|related|share|sidebar|social|sponsor|subscri|tags|widget/i;
+
+/** Shorter blocks are captions, bylines or buttons, not prose. */
+const MIN_PARAGRAPH_CHARS = 25;
+/** Below this many characters per element the block is a menu or card grid. */
+const MIN_TEXT_DENSITY = 25;
+/** The winning block must look like an article, not a teaser. */
+const MIN_PARAGRAPHS = 3;
+const MIN_TEXT_CHARS = 500;
+
+const PARAGRAPH_SELECTOR = "p, pre, blockquote";
+
+const TAG_WEIGHTS = {
+	ARTICLE: 10,
+	MAIN: 10,
+	SECTION: 5,
+	DIV: 5,
+	PRE: 3,
+	TD: 3,
+	BLOCKQUOTE: 3,
+	ADDRESS: -3,
+	OL: -3,
+	UL: -3,
+	DL: -3,
+	LI: -3,
+	FORM: -3,
+	H1: -5,
+	H2: -5,
+	H3: -5,
+	H4: -5,
+	H5: -5,
+	H6: -5,
+	TH: -5,
+};
+
+// Noise that sits inside article bodies on blogs: share rows, "related
+// posts", subscribe boxes and comment forms.
+const READER_NOISE_SELECTORS = [
+	"nav",
+	"aside",
+	"form",
+	"button",
+	"footer",
+	".sharedaddy",
+	"[class*='share']",
+	"[class*='related']",
+	"[class*='subscri']",
+	"[class*='comment']",
+];
+
+// Path segments that group posts rather than name a series: /p/, /posts/,
+// /2024/05/.
+const CONTAINER_SEGMENT =
+	/^(p|post|posts|blog|article|articles|story|stories|chapter|chapters|\d{1,4})$/i;
+
+const textOf = (el) => (el?.textContent || "").replace(/\s+/g, " ").trim();
+
+function classAndId(el) {
+	return `${el.className || ""} ${el.id || ""}`;
+}
+
+function hintWeight(el) {
+	let weight = 0;
+	for (const value of [el.className, el.id]) {
+		if (!value || typeof value !== "string") continue;
+		if (POSITIVE_HINT.test(value)) weight += 25;
+		if (NEGATIVE_HINT.test(value)) weight -= 25;
+	}
+	return weight;
+}
+
+/**
+ * Whether `el` or an ancestor below `body` looks like page furniture.
+ * @param {Element} el
+ * @param {Element} body
+ * @param {Map<Element, boolean>} memo
+ * @returns {boolean}
+ */
+function isUnlikely(el, body, memo) {
+	if (!el || el === body) return false;
+	if (memo.has(el)) return memo.get(el);
+	const hints = classAndId(el);
+	const unlikely =
+		["NAV", "ASIDE", "FOOTER", "HEADER"].includes(el.tagName) ||
+		(UNLIKELY_CANDIDATE.test(hints) && !MAYBE_CANDIDATE.test(hints)) ||
+		isUnlikely(el.parentElement, body, memo);
+	memo.set(el, unlikely);
+	return unlikely;
+}
+
+/**
+ * Score every block that contains prose.
+ *
+ * Each paragraph of at least MIN_PARAGRAPH_CHARS scores one point, one more
+ * per comma and up to three more for length. The score goes to its parent in
+ * full and to its grandparent in half, so a container of many paragraphs
+ * outscores any one of them. Editors that wrap every paragraph in its own
+ * <div> would defeat that, so single-child wrappers are skipped when finding
+ * the parent.
+ * A candidate's final score is that sum, plus tag and class hints, scaled by:
+ *
+ * - link density — the share of its text inside links. Navigation and
+ *   "related posts" blocks are mostly links; prose is not.
+ * - text density — characters per element. Menus and card grids have many
+ *   tags and little text; below MIN_TEXT_DENSITY the score falls off.
+ *
+ * @param {Document|Element} [root=document]
+ * @returns {Array<{element: Element, score: number, paragraphs: number, textLength: number, linkDensity: number, textDensity: number}>}
+ *   Best first
+ */
+export function scoreReadableCandidates(root = document) {
+	const body = root.body || root;
+	const scores = new Map();
+	const unlikelyMemo = new Map();
+
+	const addScore = (el, points) => {
+		// Never the whole page: the content area is what gets replaced.
+		if (!el || el === body || el === root.documentElement) return;
+		if (!scores.has(el)) {
+			scores.set(el, (TAG_WEIGHTS[el.tagName] || 0) + hintWeight(el));
+		}
+		scores.set(el, scores.get(el) + points);
+	};
+
+	for (const paragraph of body.querySelectorAll(PARAGRAPH_SELECTOR)) {
+		if (isUnlikely(paragraph.parentElement, body, unlikelyMemo)) continue;
+		const text = textOf(paragraph);
+		if (text.length < MIN_PARAGRAPH_CHARS) continue;
+
+		const points =
+			1 +
+			(text.match(/[,，、]/g) || []).length +
+			Math.min(Math.floor(text.length / 100), 3);
+		let parent = paragraph.parentElement;
+		while (parent && parent !== body && parent.children.length === 1) {
+			parent = parent.parentElement;
+		}
+		addScore(parent, points);
+		addScore(parent?.parentElement, points / 2);
+	}
+
+	const candidates = [];
+	for (const [element, rawScore] of scores) {
+		const textLength = textOf(element).length;
+		if (!textLength) continue;
+		let linkLength = 0;
+		element.querySelectorAll("a").forEach((a) => {
+			linkLength += textOf(a).length;
+		});
+		const linkDensity = Math.min(linkLength / textLength, 1);
+		const textDensity =
+			textLength / (element.querySelectorAll("*").length + 1);
+		const paragraphs = [
+			...element.querySelectorAll(PARAGRAPH_SELECTOR),
+		].filter((p) => textOf(p).length >= MIN_PARAGRAPH_CHARS).length;
+
+		candidates.push({
+			element,
+			score:
+				rawScore *
+				(1 - linkDensity) *
+				Math.min(textDensity / MIN_TEXT_DENSITY, 1),
+			paragraphs,
+			textLength,
+			linkDensity,
+			textDensity,
+		});
+	}
+
+	return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The page's main article, or null when nothing on it reads like one.
+ * @param {Document|Element} [root=document]
+ * @returns {Element|null}
+ */
+export function findReadableContent(root = document) {
+	const [best] = scoreReadableCandidates(root);
+	if (
+		!best ||
+		best.score <= 0 ||
+		best.paragraphs < MIN_PARAGRAPHS ||
+		best.textLength < MIN_TEXT_CHARS
+	) {
+		return null;
+	}
+	return best.element;
+}
+
+function metaContent(selector) {
+	return document.querySelector(selector)?.getAttribute("content")?.trim();
+}
+
+function titleCase(slug) {
+	return decodeURIComponent(slug)
+		.replace(/[-_]+/g, " ")
+		.replace(/\b\w/g, (c) => c.toUpperCase())
+		.trim();
+}
+
+export class ReaderModeHandler extends BaseWebsiteHandler {
+	// Never matched by hostname; see isReaderModeActive().
+	static SUPPORTED_DOMAINS = [];
+
+	static SHELF_METADATA = {
+		id: READER_MODE_SHELF_ID,
+		isPrimary: true,
+		name: "Reader Mode",
+		icon: "\u{1F4D6}",
+		emoji: "\u{1F4D6}",
+		color: "#5b8a72",
+	};
+
+	static HANDLER_TYPE = "chapter_embedded";
+
+	// After custom sites, which are after every built-in handler.
+	static PRIORITY = 1100;
+
+	canHandle() {
+		return isReaderModeActive();
+	}
+
+	findContentArea() {
+		return findReadableContent(document);
+	}
+
+	isChapterPage() {
+		return !!this.findContentArea();
+	}
+
+	isNovelPage() {
+		return false;
+	}
+
+	extractTitle() {
+		return (
+			metaContent('meta[property="og:title"]') ||
+			textOf(document.querySelector("h1")) ||
+			document.title
+		);
+	}
+
+	extractContent() {
+		const title = this.extractTitle();
+		const contentArea = this.findContentArea();
+		if (!contentArea) {
+			return {
+				found: false,
+				title,
+				text: "",
+				selector: "reader-mode-no-content",
+			};
+		}
+
+		const clone = this.cloneAndCleanContent(
+			contentArea,
+			READER_NOISE_SELECTORS,
+		);
+		const text = this.cleanExtractedText(
+			clone.innerText || clone.textContent || "",
+		);
+		return {
+			found: text.length > 100,
+			title,
+			text,
+			selector: "reader-mode",
+		};
+	}
+
+	/**
+	 * A link to the next / previous post: `rel` when the page declares one,
+	 * otherwise an anchor whose whole text says so ("Next Chapter »").
+	 * @param {"next"|"prev"} direction
+	 * @returns {string|null}
+	 */
+	findSequenceLink(direction) {
+		const rel = document.querySelector(
+			`link[rel~="${direction}"][href], a[rel~="${direction}"][href]`,
+		);
+		if (rel) return this.normalizeUrl(rel.getAttribute("href"));
+
+		const label =
+			direction === "next"
+				? /^(next( chapter| part| post)?\s*[»›→>]*|[»›→]+)$/i
+				: /^([«‹←<]*\s*prev(ious)?( chapter| part| post)?|[«‹←]+)$/i;
+		const anchor = [...document.querySelectorAll("a[href]")].find((a) =>
+			label.test(textOf(a)),
+		);
+		return anchor ? this.normalizeUrl(anchor.getAttribute("href")) : null;
+	}
+
+	getChapterNavigation() {
+		const previousUrl = this.findSequenceLink("prev");
+		const nextUrl = this.findSequenceLink("next");
+		const number = this.extractTitle().match(
+			/(?:chapter|part|episode)\s*(\d+)/i,
+		);
+		return {
+			hasPrevious: !!previousUrl,
+			hasNext: !!nextUrl,
+			previousUrl,
+			nextUrl,
+			currentChapter: number ? parseInt(number[1], 10) : 1,
+			totalChapters: 0,
+		};
+	}
+
+	/**
+	 * Path segments of the series a post belongs to: the post's path without
+	 * its last segment and any grouping segments (/p/, /2024/05/) above it.
+	 * `/lantern-keeper/chapter-7/` → ["lantern-keeper"]; a Substack post
+	 * (`/p/slug`) or a dated blog post → [] — the publication is the series.
+	 * @returns {string[]}
+	 */
+	getSeriesSegments() {
+		const segments = pageLocation().pathname.split("/").filter(Boolean);
+		segments.pop();
+		while (
+			segments.length &&
+			CONTAINER_SEGMENT.test(segments[segments.length - 1])
+		) {
+			segments.pop();
+		}
+		return segments;
+	}
+
+	getNovelPageUrl() {
+		const segments = this.getSeriesSegments();
+		const url = new URL(pageLocation().href);
+		url.pathname = segments.length ? `/${segments.join("/")}/` : "/";
+		url.search = "";
+		url.hash = "";
+		return url.href;
+	}
+
+	// Keyed by the series URL so every post of a serial is one library entry.
+	generateNovelId() {
+		const url = new URL(this.getNovelPageUrl());
+		const path = url.pathname.replace(/\/+$/, "") || "/";
+		return `${READER_MODE_SHELF_ID}-${this.hashKey(`${url.hostname}${path}`)}`;
+	}
+
+	getSiteIdentifier() {
+		return (
+			metaContent('meta[property="og:site_name"]') ||
+			pageLocation().hostname.replace(/^www\./, "")
+		);
+	}
+
+	extractNovelMetadata() {
+		const segments = this.getSeriesSegments();
+		const author =
+			metaContent('meta[name="author"]') ||
+			metaContent('meta[property="article:author"]') ||
+			textOf(document.querySelector('[rel="author"]'));
+
+		return {
+			title: segments.length
+				? titleCase(segments[segments.length - 1])
+				: this.getSiteIdentifier(),
+			// article:author is often a profile URL rather than a name.
+			author: author && !/^https?:/i.test(author) ? author : null,
+			description: null,
+			coverUrl: metaContent('meta[property="og:image"]') || null,
+			mainNovelUrl: this.getNovelPageUrl(),
+			status: null,
+			tags: [
+				...new Set(
+					[
+						...document.querySelectorAll(
+							'meta[property="article:tag"]',
+						),
+					]
+						.map((meta) => meta.getAttribute("content")?.trim())
+						.filter(Boolean),
+				),
+			],
+			site: this.getSiteIdentifier(),
+			needsDetailPage: false,
+		};
+	}
+}
@@ -0,0 +1,770 @@
+/**
+ * Royal Road Website Content Handler
+ * Specialized handler for extracting content from royalroad.com
+ *
+ * Supported URLs:
+ * - Fiction page: https://www.royalroad.com/fiction/{id}/{slug}
+ * - Chapter page: https://www.royalroad.com/fiction/{id}/{slug}/chapter/{chapterId}/{chapter-slug}
+ *
+ * Royal Road hides an anti-piracy paragraph ("this story has been stolen from
+ * Royal Road...") somewhere in every chapter. Its class name is random per
+ * request and only an inline <style> block in the page hides it, so the reader
+ * never sees it — but textContent does, and it would go to the model as story
+ * text. See findHiddenClasses().
+ *
+ * Handler Type: "dedicated_page" - followers, ratings, pages, tags, status and
+ * warnings only appear on /fiction/ pages
+ */
+import { BaseWebsiteHandler } from "./base-handler.js";
+import { debugLog, debugError } from "../logger.js";
+import { pageLocation } from "../dom-env.js";
+import { READING_FONTS, READING_FONT_DEFAULT } from "../constants.js";
+
+/** Labels Royal Road uses for a fiction's publication status. */
+const WORK_STATUSES = [
+	"Ongoing",
+	"Completed",
+	"Hiatus",
+	"Stub",
+	"Dropped",
+	"Inactive",
+];
+
+/** `.fiction-stats` label (lowercased, colon dropped) → metadata key. */
+const STAT_KEYS = {
+	"overall score": "rating",
+	"style score": "styleScore",
+	"story score": "storyScore",
+	"grammar score": "grammarScore",
+	"character score": "characterScore",
+	"total views": "views",
+	"average views": "averageViews",
+	followers: "followers",
+	favorites: "favorites",
+	ratings: "ratingCount",
+	pages: "pages",
+};
+
+const FICTION_PATH = /^\/fiction\/(\d+)(?:\/([^/]+))?/;
+const CHAPTER_PATH = /^\/fiction\/\d+\/[^/]+\/chapter\/(\d+)/;
+
+/**
+ * Canonical capitalisation of a status label ("ONGOING" → "Ongoing"), or null
+ * when the label is not a status (e.g. "Original", "Fan Fiction").
+ * @param {string} label
+ * @returns {string|null}
+ */
+function canonicalStatus(label) {
+	const wanted = String(label || "")
+		.trim()
+		.toLowerCase();
+	return (
+		WORK_STATUSES.find((status) => status.toLowerCase() === wanted) || null
+	);
+}
+
+export class RoyalRoadHandler extends BaseWebsiteHandler {
+	// Static properties for domain management
+	static SUPPORTED_DOMAINS = [
+		"www.royalroad.com",
+		"royalroad.com",
+		"*.royalroad.com",
+	];
+
+	static DEFAULT_ENABLED = true;
+
+	static PRIORITY = 40;
+
+	// Shelf metadata for Novel Library - PRIMARY handler
+	static SHELF_METADATA = {
+		id: "royalroad",
+		isPrimary: true,
+		name: "Royal Road",
+		icon: "https://www.royalroad.com/favicon.ico",
+		emoji: "👑",
+		color: "#f4a300",
+		novelIdPattern: /\/fiction\/(\d+)/,
+		primaryDomain: "www.royalroad.com",
+		importUrlTemplate: "https://www.royalroad.com/fiction/{id}",
+	};
+
+	// Handler type: Metadata requires visiting dedicated fiction page
+	static HANDLER_TYPE = "dedicated_page";
+
+	/** Configurable settings exposed in the Library Settings page. */
+	static SETTINGS_DEFINITION = {
+		fields: [
+			{ key: "_enhance", type: "section", label: "✨ Enhancement" },
+			{
+				key: "autoEnhanceEnabled",
+				label: "Auto-enhance chapters",
+				type: "toggle",
+				defaultValue: false,
+				description:
+					"Automatically run Enhance when a Royal Road chapter loads.",
+			},
+			{ key: "_display", type: "section", label: "🎨 Display" },
+			{
+				key: "fontSize",
+				label: "Font size (%)",
+				type: "number",
+				defaultValue: 100,
+				min: 50,
+				max: 200,
+				step: 10,
+				description:
+					"Font size percentage for enhanced/summary content (50–200%).",
+			},
+			{
+				key: "readingFont",
+				label: "Reading typeface",
+				type: "select",
+				defaultValue: READING_FONT_DEFAULT,
+				options: READING_FONTS.map((f) => ({
+					value: f.id,
+					label: f.label,
+				})),
+				description:
+					"Overrides the global reading typeface on Royal Road only.",
+			},
+			{ key: "_css", type: "section", label: "💻 Custom CSS" },
+			{
+				key: "globalCSS",
+				label: "Global CSS override",
+				type: "textarea",
+				defaultValue: "",
+				description:
+					"CSS applied globally to all Royal Road pages while the extension is active.",
+				placeholder: ".chapter-content { line-height: 1.8; }",
+			},
+		],
+	};
+
+	static DEFAULT_SITE_PROMPT =
+		"This is a web serial from Royal Road. Please maintain the author's style, any LitRPG status screens, system messages and tables, and the formatting of dialogue, thoughts and scene breaks. Improve grammar and readability while keeping the original meaning and flow.";
+
+	constructor() {
+		super();
+		this.selectors = {
+			// Chapter page selectors
+			chapterContent: [
+				".chapter-inner.chapter-content",
+				".chapter-content",
+			],
+			chapterTitle: [".fic-header h1"],
+			chapterNav: [".nav-buttons"],
+			// Fiction page selectors
+			novelTitle: [".fic-title h1"],
+			novelCover: [
+				".cover-art-container img",
+				".fic-header img.thumbnail",
+			],
+			novelDescription: [".description .hidden-content", ".description"],
+			novelTags: [".tags a.fiction-tag"],
+			novelStats: [".fiction-stats li"],
+			novelAuthor: [".fic-title a[href*='/profile/']"],
+		};
+	}
+
+	// Return true if this handler can handle the current website
+	canHandle() {
+		const hostname = pageLocation().hostname;
+		return (
+			hostname === "royalroad.com" || hostname.endsWith(".royalroad.com")
+		);
+	}
+
+	/**
+	 * Chapter pages: /fiction/{id}/{slug}/chapter/{chapterId}/{chapter-slug}
+	 * @returns {boolean}
+	 */
+	isChapterPage() {
+		return CHAPTER_PATH.test(pageLocation().pathname);
+	}
+
+	/**
+	 * Fiction pages: /fiction/{id}/{slug} — not its chapter, review or
+	 * statistics sub-pages.
+	 * @returns {boolean}
+	 */
+	isNovelPage() {
+		return /^\/fiction\/\d+(?:\/[^/]+)?\/?$/.test(pageLocation().pathname);
+	}
+
+	/**
+	 * Find the chapter text container
+	 * @returns {Element|null}
+	 */
+	findContentArea() {
+		for (const selector of this.selectors.chapterContent) {
+			const element = document.querySelector(selector);
+			if (element && (element.textContent || "").trim().length > 100) {
+				debugLog(`Royal Road: Found content area with ${selector}`);
+				return element;
+			}
+		}
+
+		debugLog("Royal Road: Falling back to base handler for content area");
+		return super.findContentArea();
+	}
+
+	/**
+	 * Class names the page's own <style> blocks hide with `display: none`.
+	 *
+	 * This is how Royal Road hides its anti-piracy paragraph: a random class,
+	 * declared only in an inline stylesheet, so it cannot be listed as a
+	 * selector ahead of time. Only inline blocks are read. The site stylesheet
+	 * also hides things — collapsed spoilers among them — and those are story
+	 * text the reader opens, not text to throw away.
+	 *
+	 * @param {Document} [root=document]
+	 * @returns {Set<string>}
+	 */
+	findHiddenClasses(root = document) {
+		const hidden = new Set();
+		const rule = /\.([\w-]+)\s*\{([^}]*)\}/g;
+		for (const style of root.querySelectorAll("style")) {
+			for (const [, className, body] of (
+				style.textContent || ""
+			).matchAll(rule)) {
+				if (/display\s*:\s*none/i.test(body)) hidden.add(className);
+			}
+		}
+		return hidden;
+	}
+
+	/**
+	 * Extract the chapter title
+	 * @returns {string}
+	 */
+	extractTitle() {
+		const heading = document.querySelector(".fic-header h1, .fic-title h1");
+		if (heading?.textContent.trim()) {
+			return heading.textContent.trim();
+		}
+
+		// "Chapter 3 - Fiction Title | Royal Road"
+		return document.title.replace(/\s*\|\s*Royal Road\s*$/i, "").trim();
+	}
+
+	/**
+	 * Extract chapter content without the hidden anti-piracy paragraphs
+	 * @returns {Object} { found, title, text, selector, removedHidden }
+	 */
+	extractContent() {
+		const contentArea = this.isChapterPage()
+			? this.findContentArea()
+			: null;
+		if (!contentArea) {
+			return {
+				found: false,
+				title: document.title,
+				text: "",
+				selector: "royalroad-no-content",
+				reason: "Could not locate chapter content on this Royal Road page.",
+			};
+		}
+
+		const hiddenClasses = this.findHiddenClasses();
+		const withoutHidden = contentArea.cloneNode(true);
+		let removedHidden = 0;
+		for (const className of hiddenClasses) {
+			withoutHidden
+				.querySelectorAll(`[class~="${className}"]`)
+				.forEach((el) => {
+					el.remove();
+					removedHidden++;
+				});
+		}
+		if (removedHidden) {
+			debugLog(
+				`Royal Road: Removed ${removedHidden} hidden anti-piracy element(s)`,
+			);
+		}
+
+		const clone = this.cloneAndCleanContent(withoutHidden, [
+			"[id^='div-gpt']",
+			".nav-buttons",
+			".author-note-portlet",
+		]);
+		const text = this.cleanExtractedText(
+			clone.innerText || clone.textContent || "",
+		);
+
+		return {
+			found: text.length > 100,
+			title: this.extractTitle(),
+			text,
+			selector: "royalroad-chapter-content",
+			removedHidden,
+		};
+	}
+
+	/**
+	 * The chapter list Royal Road embeds in every chapter and fiction page as
+	 * `window.chapters = [...]`, or null when the script is missing.
+	 * @returns {Array<{id: number, title: string, url: string}>|null}
+	 */
+	readEmbeddedChapterList() {
+		for (const script of document.querySelectorAll("script")) {
+			const match = (script.textContent || "").match(
+				/window\.chapters\s*=\s*(\[[\s\S]*?\]);/,
+			);
+			if (!match) continue;
+			try {
+				const chapters = JSON.parse(match[1]);
+				return Array.isArray(chapters) ? chapters : null;
+			} catch (error) {
+				debugError("Royal Road: Unreadable chapter list:", error);
+				return null;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Get chapter navigation info
+	 * @returns {Object}
+	 */
+	getChapterNavigation() {
+		try {
+			// A missing neighbour is a disabled <button>, not an <a>.
+			const links = Array.from(
+				document.querySelectorAll(".nav-buttons a[href*='/chapter/']"),
+			);
+			const prevLink = links.find((a) => /previous/i.test(a.textContent));
+			const nextLink = links.find((a) => /next/i.test(a.textContent));
+
+			const chapters = this.readEmbeddedChapterList() || [];
+			const chapterId = Number(
+				pageLocation().pathname.match(CHAPTER_PATH)?.[1],
+			);
+			const index = chapters.findIndex((c) => c.id === chapterId);
+
+			let currentChapter = index >= 0 ? index + 1 : 1;
+			if (index < 0) {
+				const titleMatch =
+					this.extractTitle().match(/Chapter\s*(\d+)/i);
+				if (titleMatch) currentChapter = parseInt(titleMatch[1], 10);
+			}
+
+			return {
+				hasPrevious: !!prevLink,
+				hasNext: !!nextLink,
+				previousUrl: prevLink ? this.normalizeUrl(prevLink.href) : null,
+				nextUrl: nextLink ? this.normalizeUrl(nextLink.href) : null,
+				currentChapter,
+				totalChapters: chapters.length,
+			};
+		} catch (error) {
+			debugError("Royal Road: Error getting chapter navigation:", error);
+		}
+
+		return super.getChapterNavigation();
+	}
+
+	/**
+	 * Get ideal insertion point for UI controls (enhance/summarize buttons)
+	 * @param {Element} contentArea
+	 * @returns {Object} { element, position }
+	 */
+	getUIInsertionPoint(contentArea) {
+		const chapterContent = document.querySelector(".chapter-content");
+		if (chapterContent) {
+			return { element: chapterContent, position: "before" };
+		}
+		return super.getUIInsertionPoint(contentArea);
+	}
+
+	/**
+	 * Get novel controls configuration for Royal Road
+	 * @returns {Object}
+	 */
+	getNovelControlsConfig() {
+		const isChapter = this.isChapterPage();
+		const isNovel = this.isNovelPage();
+
+		return {
+			showControls: isChapter || isNovel,
+			insertionPoint: this.getNovelPageUIInsertionPoint(),
+			position: "after",
+			isChapterPage: isChapter,
+			isNovelPage: isNovel,
+			customStyles: {
+				background: "linear-gradient(135deg, #1b2431 0%, #131a24 100%)",
+				borderColor: "#f4a300",
+				accentColor: "#ffc04d",
+			},
+		};
+	}
+
+	/**
+	 * Get insertion point for novel controls — under the fiction or chapter
+	 * header on both page types
+	 * @returns {Object|null}
+	 */
+	getNovelPageUIInsertionPoint() {
+		const header = document.querySelector(".fic-header");
+		if (header) {
+			return { element: header, position: "after" };
+		}
+		return super.getNovelPageUIInsertionPoint();
+	}
+
+	/** Royal Road renders HTML chapter content — HTML enhancement is preferred. */
+	supportsTextOnlyEnhancement() {
+		return false;
+	}
+
+	getDefaultPrompt() {
+		return RoyalRoadHandler.DEFAULT_SITE_PROMPT;
+	}
+
+	getSiteIdentifier() {
+		return "Royal Road";
+	}
+
+	getSiteSpecificPrompt() {
+		return RoyalRoadHandler.DEFAULT_SITE_PROMPT;
+	}
+
+	/**
+	 * Read the `.fiction-stats` label/value list into `metadata`.
+	 * Scores are star widgets whose value sits in `data-content` ("4.52 / 5")
+	 * or `aria-label`; everything else is a plain, possibly comma-grouped number.
+	 * @param {Object} metadata
+	 */
+	readFictionStats(metadata) {
+		for (const list of document.querySelectorAll(".fiction-stats ul")) {
+			const items = Array.from(list.querySelectorAll("li"));
+			for (let i = 0; i + 1 < items.length; i += 2) {
+				const label = items[i].textContent
+					.replace(/:/g, "")
+					.trim()
+					.toLowerCase();
+				const key = STAT_KEYS[label];
+				if (!key) continue;
+
+				const star = items[i + 1].querySelector(
+					"[data-content], [aria-label]",
+				);
+				const raw = star
+					? star.getAttribute("data-content") ||
+						star.getAttribute("aria-label")
+					: items[i + 1].textContent;
+				const value = label.endsWith("score")
+					? parseFloat(String(raw).match(/[\d.]+/)?.[0])
+					: this.parseCompactNumber(raw);
+				if (Number.isFinite(value)) metadata[key] = value;
+			}
+		}
+	}
+
+	/**
+	 * Extract novel metadata for library storage
+	 * @returns {Object|null}
+	 */
+	extractNovelMetadata() {
+		const metadata = {
+			title: null,
+			author: null,
+			description: null,
+			coverUrl: null,
+			mainNovelUrl: this.getNovelPageUrl(),
+			genres: [],
+			tags: [],
+			warnings: [],
+			status: null,
+			storyType: null,
+			totalChapters: null,
+			views: null,
+			averageViews: null,
+			followers: null,
+			favorites: null,
+			rating: null,
+			ratingCount: null,
+			pages: null,
+			needsDetailPage: false,
+			metadataIncomplete: false,
+		};
+
+		try {
+			const isOnChapterPage = this.isChapterPage();
+			const isOnNovelPage = this.isNovelPage();
+
+			if (isOnChapterPage) {
+				// ===== CHAPTER PAGE EXTRACTION =====
+				metadata.needsDetailPage = true;
+				metadata.title =
+					document
+						.querySelector(".fic-header h2")
+						?.textContent.trim() || null;
+				metadata.author =
+					document
+						.querySelector(".fic-header a[href*='/profile/']")
+						?.textContent.trim() || null;
+				metadata.coverUrl = this.extractCoverUrl([
+					".fic-header img.thumbnail",
+					".fic-header img",
+				]);
+				metadata.totalChapters =
+					this.readEmbeddedChapterList()?.length || null;
+				// Stats, tags and status live on the fiction page only.
+				metadata.metadataIncomplete = true;
+			} else if (isOnNovelPage) {
+				// ===== FICTION PAGE EXTRACTION =====
+				metadata.title =
+					document
+						.querySelector(".fic-title h1")
+						?.textContent.trim() || null;
+				metadata.author =
+					document
+						.querySelector(".fic-title a[href*='/profile/']")
+						?.textContent.trim() || null;
+				metadata.coverUrl = this.extractCoverUrl(
+					this.selectors.novelCover,
+				);
+
+				const descEl = document.querySelector(
+					this.selectors.novelDescription.join(", "),
+				);
+				if (descEl) {
+					metadata.description = this.cleanExtractedText(
+						descEl.innerText || descEl.textContent || "",
+					);
+				}
+
+				document
+					.querySelectorAll(".tags a.fiction-tag")
+					.forEach((tag) => {
+						const text = tag.textContent.trim();
+						if (text && !metadata.tags.includes(text)) {
+							metadata.tags.push(text);
+						}
+					});
+
+				document
+					.querySelectorAll(".font-red-sunglo ul.list-inline li")
+					.forEach((warning) => {
+						const text = warning.textContent.trim();
+						if (text && !metadata.warnings.includes(text)) {
+							metadata.warnings.push(text);
+						}
+					});
+
+				// Status and story type share the same label pills.
+				document
+					.querySelectorAll(".fiction-info .label, .fic-title .label")
+					.forEach((label) => {
+						const text = label.textContent.trim();
+						const status = canonicalStatus(text);
+						if (status) {
+							metadata.status ??= status;
+						} else if (/^(original|fan ?fiction)$/i.test(text)) {
+							metadata.storyType ??= text;
+						}
+					});
+
+				this.readFictionStats(metadata);
+
+				const rows = document.querySelectorAll(
+					"#chapters tbody tr.chapter-row",
+				).length;
+				metadata.totalChapters =
+					rows || this.readEmbeddedChapterList()?.length || null;
+			}
+
+			if (!metadata.title) {
+				const match = document.title.match(/^(.+?)\s*\|\s*Royal Road/i);
+				if (match) metadata.title = match[1].trim();
+			}
+		} catch (error) {
+			debugError("Royal Road: Error extracting metadata:", error);
+		}
+
+		if (!this.isChapterPage() && !this.isNovelPage()) {
+			debugLog("Royal Road: Not on a fiction or chapter page");
+			return null;
+		}
+		if (!metadata.title) {
+			debugLog("Royal Road: No fiction title found");
+			return null;
+		}
+
+		debugLog("Royal Road: Extracted metadata:", metadata);
+		return metadata;
+	}
+
+	/**
+	 * Normalise metadata scraped from the fiction page by the background. It is
+	 * complete by definition — it came from the page that has everything.
+	 * @param {Object} metadata
+	 * @returns {Object}
+	 */
+	processRemoteMetadata(metadata) {
+		if (!metadata) return metadata;
+
+		const unique = (values) => [
+			...new Set(
+				(Array.isArray(values) ? values : [])
+					.map((v) => String(v).trim())
+					.filter(Boolean),
+			),
+		];
+
+		return {
+			...metadata,
+			status: canonicalStatus(metadata.status) || metadata.status || null,
+			tags: unique(metadata.tags),
+			warnings: unique(metadata.warnings),
+			needsDetailPage: false,
+			metadataIncomplete: false,
+		};
+	}
+
+	/**
+	 * Extract page metadata for content enhancement context
+	 * @returns {Object} Context with author, title, genres, tags, status, description
+	 */
+	extractPageMetadata() {
+		const context = {
+			author: null,
+			title: null,
+			genres: [],
+			tags: [],
+			status: null,
+			description: null,
+			originalUrl: pageLocation().href,
+		};
+
+		try {
+			context.title =
+				document
+					.querySelector(".fic-header h2, .fic-title h1")
+					?.textContent.trim() || null;
+			context.author =
+				document
+					.querySelector(".fic-header a[href*='/profile/']")
+					?.textContent.trim() || null;
+			context.tags = Array.from(
+				document.querySelectorAll(".tags a.fiction-tag"),
+			).map((el) => el.textContent.trim());
+			context.description =
+				document
+					.querySelector(".description .hidden-content")
+					?.textContent.trim() || null;
+		} catch (error) {
+			debugError("Royal Road: Error extracting page metadata:", error);
+		}
+
+		return context;
+	}
+
+	/**
+	 * Generate a unique novel ID from URL
+	 * @param {string} url
+	 * @returns {string}
+	 */
+	generateNovelId(url = pageLocation().href) {
+		const match = url.match(/\/fiction\/(\d+)/);
+		if (match) {
+			return `royalroad-${match[1]}`;
+		}
+		return this.generateFallbackNovelId(url, "royalroad");
+	}
+
+	/**
+	 * Fiction page URL for the current fiction or chapter page
+	 * @returns {string|null}
+	 */
+	getNovelPageUrl() {
+		const match = pageLocation().pathname.match(FICTION_PATH);
+		if (match) {
+			const [, id, slug] = match;
+			return `https://www.royalroad.com/fiction/${id}${slug ? `/${slug}` : ""}`;
+		}
+
+		const link = document.querySelector(".fic-header a[href*='/fiction/']");
+		return link ? this.normalizeUrl(link.getAttribute("href")) : null;
+	}
+
+	/**
+	 * Royal Road is a "dedicated_page" site: stats, tags and status are only on
+	 * the fiction page.
+	 * @returns {string|null}
+	 */
+	getMetadataSourceUrl() {
+		return this.getNovelPageUrl();
+	}
+
+	/**
+	 * Royal Road-specific metadata fields for the library edit modal.
+	 * @returns {Array<Object>}
+	 */
+	static getEditableFields() {
+		return [
+			{
+				key: "status",
+				label: "Work Status",
+				type: "select",
+				source: "metadata",
+				options: [
+					{ value: "", label: "Unknown" },
+					...WORK_STATUSES.map((status) => ({
+						value: status,
+						label: status,
+					})),
+				],
+			},
+			{
+				key: "storyType",
+				label: "Type",
+				type: "select",
+				source: "metadata",
+				options: [
+					{ value: "", label: "Unknown" },
+					{ value: "Original", label: "Original" },
+					{ value: "Fan Fiction", label: "Fan Fiction" },
+				],
+			},
+			{
+				key: "warnings",
+				label: "Content Warnings",
+				type: "tags",
+				source: "metadata",
+			},
+			{
+				key: "followers",
+				label: "Followers",
+				type: "number",
+				source: "metadata",
+				min: 0,
+			},
+			{
+				key: "favorites",
+				label: "Favorites",
+				type: "number",
+				source: "metadata",
+				min: 0,
+			},
+			{
+				key: "rating",
+				label: "Overall Score",
+				type: "number",
+				source: "metadata",
+				min: 0,
+				max: 5,
+			},
+			{
+				key: "pages",
+				label: "Pages",
+				type: "number",
+				source: "metadata",
+				min: 0,
+			},
+		];
+	}
+}
+
+// Default export - singleton instance
+export default new RoyalRoadHandler();
@@ -0,0 +1,857 @@
+/**
+ * Wattpad Website Content Handler
+ * Specialized handler for extracting content from wattpad.com
+ *
+ * Supported URLs:
+ * - Story page: https://www.wattpad.com/story/{storyId}-{slug}
+ * - Part page:  https://www.wattpad.com/{partId}-{slug}
+ * - Part page N: https://www.wattpad.com/{partId}-{slug}/page/{n}
+ *
+ * Wattpad splits one part (chapter) over several pages and only renders the
+ * next one when the reader scrolls near the end of the last, so the document
+ * usually holds page 1 and nothing else. extractContent() stitches every page
+ * it has: the `.page[data-page-number]` blocks already in the DOM plus any
+ * fetched by loadRemainingContent(), which asks the background to load the
+ * missing `/page/{n}` URLs (DOM job "fetchPartPages"). Content scripts await
+ * that hook before extracting, so enhancement sees the whole part.
+ *
+ * Story and part details come from the `window.prefetched = {...}` JSON the
+ * page embeds. It is read from the script text, not from `window`, because
+ * neither the content script's isolated world nor a background-mounted page
+ * can see the page's own globals.
+ *
+ * Handler Type: "dedicated_page" - the story page carries the description,
+ * tags and full part list; a part page only knows its own story's summary
+ */
+import { BaseWebsiteHandler } from "./base-handler.js";
+import { debugLog, debugError } from "../logger.js";
+import { pageLocation } from "../dom-env.js";
+import { READING_FONTS, READING_FONT_DEFAULT } from "../constants.js";
+
+/** Tag recorded for stories Wattpad rates mature. */
+export const MATURE_TAG = "Mature";
+
+/** Tag recorded for Wattpad Originals and other paywalled stories. */
+export const PAID_TAG = "Paid Story";
+
+/** Content rating Wattpad gives mature parts in the part metadata. */
+const MATURE_RATING = 4;
+
+const STORY_PATH = /^\/story\/(\d+)(?:-[^/]*)?/;
+const PART_PATH = /^\/(\d+)(?:-[^/]*)?(?:\/page\/(\d+))?\/?$/;
+
+/** Furniture inside the part text: inline comment counters and buttons. */
+const PART_NOISE = [
+	".comment-marker",
+	".num-comment",
+	".component-wrapper",
+	"button",
+];
+
+export class WattpadHandler extends BaseWebsiteHandler {
+	// Static properties for domain management
+	static SUPPORTED_DOMAINS = [
+		"www.wattpad.com",
+		"wattpad.com",
+		"*.wattpad.com",
+	];
+
+	static DEFAULT_ENABLED = true;
+
+	static PRIORITY = 40;
+
+	// Shelf metadata for Novel Library - PRIMARY handler
+	static SHELF_METADATA = {
+		id: "wattpad",
+		isPrimary: true,
+		name: "Wattpad",
+		icon: "https://www.wattpad.com/favicon.ico",
+		emoji: "🧡",
+		color: "#ff500a",
+		novelIdPattern: /\/story\/(\d+)/,
+		primaryDomain: "www.wattpad.com",
+		importUrlTemplate: "https://www.wattpad.com/story/{id}",
+	};
+
+	// Handler type: Metadata requires visiting the story page
+	static HANDLER_TYPE = "dedicated_page";
+
+	/** Configurable settings exposed in the Library Settings page. */
+	static SETTINGS_DEFINITION = {
+		fields: [
+			{ key: "_enhance", type: "section", label: "✨ Enhancement" },
+			{
+				key: "autoEnhanceEnabled",
+				label: "Auto-enhance parts",
+				type: "toggle",
+				defaultValue: false,
+				description:
+					"Automatically run Enhance when a Wattpad part loads.",
+			},
+			{ key: "_display", type: "section", label: "🎨 Display" },
+			{
+				key: "fontSize",
+				label: "Font size (%)",
+				type: "number",
+				defaultValue: 100,
+				min: 50,
+				max: 200,
+				step: 10,
+				description:
+					"Font size percentage for enhanced/summary content (50–200%).",
+			},
+			{
+				key: "readingFont",
+				label: "Reading typeface",
+				type: "select",
+				defaultValue: READING_FONT_DEFAULT,
+				options: READING_FONTS.map((f) => ({
+					value: f.id,
+					label: f.label,
+				})),
+				description:
+					"Overrides the global reading typeface on Wattpad only.",
+			},
+			{ key: "_css", type: "section", label: "💻 Custom CSS" },
+			{
+				key: "globalCSS",
+				label: "Global CSS override",
+				type: "textarea",
+				defaultValue: "",
+				description:
+					"CSS applied globally to all Wattpad pages while the extension is active.",
+				placeholder: ".part-content pre { line-height: 1.8; }",
+			},
+		],
+	};
+
+	static DEFAULT_SITE_PROMPT =
+		"This is a story from Wattpad, often written by young or first-time authors. Please keep the author's voice, text-message and social-media exchanges, author's notes set apart from the story, and the formatting of dialogue, thoughts and scene breaks. Improve grammar and readability while keeping the original meaning and flow.";
+
+	constructor() {
+		super();
+		this.selectors = {
+			// Part page selectors
+			partContent: [".part-content", "article .panel-reading pre"],
+			partPage: ".page[data-page-number]",
+			partTitle: ["header h1.h2", ".part-header h1", "header h1"],
+			// Story page selectors
+			storyTitle: [".story-info__title", ".story-info h1"],
+			storyAuthor: [
+				".author-info__username a",
+				".story-info a[href^='/user/']",
+			],
+			storyCover: [".story-cover img", ".cover img"],
+			storyDescription: [".description-text", ".story-description"],
+			storyTags: [".tag-items a", ".tags a[href*='/stories/']"],
+		};
+
+		/**
+		 * Pages fetched by loadRemainingContent(), as "{partId}:{page}" →
+		 * page markup. Keyed by part so a stale entry from the previous part
+		 * can never be stitched into the next one.
+		 * @type {Map<string, string>}
+		 */
+		this.fetchedPages = new Map();
+		/** In-flight loadRemainingContent() per part id. */
+		this.pendingLoads = new Map();
+	}
+
+	// Return true if this handler can handle the current website
+	canHandle() {
+		const hostname = pageLocation().hostname;
+		return hostname === "wattpad.com" || hostname.endsWith(".wattpad.com");
+	}
+
+	/**
+	 * Part pages: /{partId}-{slug}, optionally /page/{n}
+	 * @returns {boolean}
+	 */
+	isChapterPage() {
+		return PART_PATH.test(pageLocation().pathname);
+	}
+
+	/**
+	 * Story pages: /story/{storyId}-{slug}
+	 * @returns {boolean}
+	 */
+	isNovelPage() {
+		return STORY_PATH.test(pageLocation().pathname);
+	}
+
+	/**
+	 * Numeric id of the part being read, or null off a part page.
+	 * @returns {string|null}
+	 */
+	getPartId() {
+		return pageLocation().pathname.match(PART_PATH)?.[1] || null;
+	}
+
+	/**
+	 * The part URL without its `/page/{n}` suffix.
+	 * @returns {string|null}
+	 */
+	getPartUrl() {
+		if (!this.isChapterPage()) return null;
+		const { origin, pathname } = pageLocation();
+		return `${origin}${pathname.replace(/\/page\/\d+\/?$/, "").replace(/\/$/, "")}`;
+	}
+
+	/**
+	 * The `window.prefetched` object embedded in the page, or {} when the
+	 * script is missing or unreadable.
+	 * @param {Document} [root=document]
+	 * @returns {Object}
+	 */
+	readPrefetched(root = document) {
+		for (const script of root.querySelectorAll("script")) {
+			const match = (script.textContent || "").match(
+				/window\.prefetched\s*=\s*(\{[\s\S]*\})\s*;?\s*$/,
+			);
+			if (!match) continue;
+			try {
+				return JSON.parse(match[1]) || {};
+			} catch (error) {
+				debugError("Wattpad: Unreadable prefetched data:", error);
+				return {};
+			}
+		}
+		return {};
+	}
+
+	/**
+	 * Prefetched record whose key starts with `prefix`, e.g. "part.123".
+	 * @param {string} prefix
+	 * @returns {Object|null}
+	 */
+	findPrefetched(prefix) {
+		const prefetched = this.readPrefetched();
+		const key = Object.keys(prefetched).find((k) => k.startsWith(prefix));
+		return key ? prefetched[key]?.data || null : null;
+	}
+
+	/**
+	 * Metadata of the part being read: pages, counts and its story (`group`).
+	 * @returns {Object|null}
+	 */
+	readPartData() {
+		const partId = this.getPartId();
+		return partId ? this.findPrefetched(`part.${partId}.`) : null;
+	}
+
+	/**
+	 * Story record — from the story page's own entry, or the `group` of the
+	 * part being read.
+	 * @returns {Object|null}
+	 */
+	readStoryData() {
+		const storyId = pageLocation().pathname.match(STORY_PATH)?.[1];
+		if (storyId) return this.findPrefetched(`story.${storyId}.`);
+		return this.readPartData()?.group || null;
+	}
+
+	/**
+	 * How many pages the current part has. Falls back to the highest page
+	 * number present, which is right for a part that is fully loaded.
+	 * @returns {number}
+	 */
+	getTotalPages() {
+		const declared = Number(this.readPartData()?.pages);
+		if (Number.isInteger(declared) && declared > 0) return declared;
+		const loaded = this.collectPartPages().map((p) => p.page);
+		return loaded.length ? Math.max(...loaded) : 0;
+	}
+
+	/**
+	 * Every page block of the current part present in the document, as
+	 * `{ page, html }`. A block without `data-page-number` (a page fetched on
+	 * its own) takes its number from the URL. The background's
+	 * "fetchPartPages" job calls this on each fetched page.
+	 * @param {Document} [root=document]
+	 * @returns {Array<{page: number, html: string}>}
+	 */
+	collectPartPages(root = document) {
+		const blocks = Array.from(
+			root.querySelectorAll(this.selectors.partPage),
+		);
+		if (!blocks.length) {
+			const fallback = root.querySelector(
+				this.selectors.partContent.join(", "),
+			);
+			if (!fallback) return [];
+			const page = Number(
+				pageLocation().pathname.match(PART_PATH)?.[2] || 1,
+			);
+			return [{ page, html: fallback.innerHTML }];
+		}
+		return blocks
+			.map((block) => ({
+				page: Number(block.getAttribute("data-page-number")) || 1,
+				html: (block.querySelector("pre") || block).innerHTML,
+			}))
+			.filter((p) => p.html.trim());
+	}
+
+	/**
+	 * Page numbers of the current part neither rendered nor fetched yet.
+	 * @returns {number[]}
+	 */
+	findMissingPages() {
+		const partId = this.getPartId();
+		if (!partId) return [];
+		const have = new Set(this.collectPartPages().map((p) => p.page));
+		const missing = [];
+		for (let page = 1; page <= this.getTotalPages(); page++) {
+			if (!have.has(page) && !this.fetchedPages.has(`${partId}:${page}`))
+				missing.push(page);
+		}
+		return missing;
+	}
+
+	/**
+	 * Fetch the pages of the current part Wattpad has not rendered yet, so the
+	 * next extractContent() returns the whole part. Safe to call repeatedly:
+	 * concurrent calls share one request and fetched pages are kept.
+	 * @returns {Promise<number>} How many pages were added.
+	 */
+	async loadRemainingContent() {
+		const partId = this.getPartId();
+		if (!partId) return 0;
+		if (this.pendingLoads.has(partId)) return this.pendingLoads.get(partId);
+
+		const missing = this.findMissingPages();
+		if (!missing.length) return 0;
+
+		const partUrl = this.getPartUrl();
+		const load = (async () => {
+			try {
+				const response = await browser.runtime.sendMessage({
+					action: "fetchPartPages",
+					urls: missing.map((page) => `${partUrl}/page/${page}`),
+				});
+				if (!response?.success) {
+					throw new Error(response?.error || "No response");
+				}
+				let added = 0;
+				for (const { page, html } of response.pages || []) {
+					if (!missing.includes(page) || !html) continue;
+					this.fetchedPages.set(`${partId}:${page}`, html);
+					added++;
+				}
+				debugLog(
+					`Wattpad: Loaded ${added} of ${missing.length} missing page(s) of part ${partId}`,
+				);
+				return added;
+			} catch (error) {
+				debugError("Wattpad: Could not load remaining pages:", error);
+				return 0;
+			} finally {
+				this.pendingLoads.delete(partId);
+			}
+		})();
+		this.pendingLoads.set(partId, load);
+		return load;
+	}
+
+	/**
+	 * Find the part text container
+	 * @returns {Element|null}
+	 */
+	findContentArea() {
+		for (const selector of this.selectors.partContent) {
+			const element = document.querySelector(selector);
+			if (element && (element.textContent || "").trim().length > 100) {
+				debugLog(`Wattpad: Found content area with ${selector}`);
+				return element;
+			}
+		}
+
+		debugLog("Wattpad: Falling back to base handler for content area");
+		return super.findContentArea();
+	}
+
+	/**
+	 * Extract the part title
+	 * @returns {string}
+	 */
+	extractTitle() {
+		for (const selector of this.selectors.partTitle) {
+			const text = document.querySelector(selector)?.textContent.trim();
+			if (text) return text;
+		}
+		const title = this.readPartData()?.title;
+		if (title) return title;
+
+		// "Part Title - Story Title - Wattpad"
+		return document.title
+			.replace(/\s*-\s*Wattpad\s*$/i, "")
+			.split(/\s+-\s+/)[0]
+			.trim();
+	}
+
+	/**
+	 * Extract the whole part: every page in the document and every page
+	 * loadRemainingContent() fetched, in page order.
+	 * @returns {Object} { found, title, text, selector, pages, totalPages, missingPages }
+	 */
+	extractContent() {
+		const partId = this.getPartId();
+		const byPage = new Map();
+		if (partId) {
+			for (const [key, html] of this.fetchedPages) {
+				const [id, page] = key.split(":");
+				if (id === partId) byPage.set(Number(page), html);
+			}
+		}
+		// Rendered pages win over fetched copies of the same page.
+		for (const { page, html } of this.collectPartPages()) {
+			byPage.set(page, html);
+		}
+
+		if (!partId || !byPage.size) {
+			return {
+				found: false,
+				title: document.title,
+				text: "",
+				selector: "wattpad-no-content",
+				reason: "Could not locate part content on this Wattpad page.",
+			};
+		}
+
+		const pages = [...byPage.keys()].sort((a, b) => a - b);
+		const container = document.createElement("div");
+		container.innerHTML = pages
+			.map((page) => `<div data-page="${page}">${byPage.get(page)}</div>`)
+			.join("\n");
+		const clone = this.cloneAndCleanContent(container, PART_NOISE);
+		const text = this.cleanExtractedText(
+			Array.from(clone.querySelectorAll("p"))
+				.map((p) => (p.innerText || p.textContent || "").trim())
+				.filter(Boolean)
+				.join("\n\n") ||
+				clone.innerText ||
+				clone.textContent ||
+				"",
+		);
+
+		const totalPages = Math.max(this.getTotalPages(), ...pages);
+		const missingPages = [];
+		for (let page = 1; page <= totalPages; page++) {
+			if (!byPage.has(page)) missingPages.push(page);
+		}
+		if (missingPages.length) {
+			debugLog(
+				`Wattpad: Part ${partId} is missing page(s) ${missingPages.join(", ")}`,
+			);
+		}
+
+		return {
+			found: text.length > 100,
+			title: this.extractTitle(),
+			text,
+			selector: "wattpad-part-pages",
+			pages: pages.length,
+			totalPages,
+			missingPages,
+		};
+	}
+
+	/**
+	 * Get chapter navigation info from the story's part list
+	 * @returns {Object}
+	 */
+	getChapterNavigation() {
+		try {
+			const parts = this.readStoryData()?.parts || [];
+			const partId = Number(this.getPartId());
+			const index = parts.findIndex((p) => Number(p.id) === partId);
+			const nextLink = document.querySelector("a.next-part-link");
+
+			const previous = index > 0 ? parts[index - 1] : null;
+			const next = index >= 0 ? parts[index + 1] || null : null;
+			const nextUrl = next?.url || nextLink?.getAttribute("href");
+
+			return {
+				hasPrevious: !!previous,
+				hasNext: !!nextUrl,
+				previousUrl: previous ? this.normalizeUrl(previous.url) : null,
+				nextUrl: nextUrl ? this.normalizeUrl(nextUrl) : null,
+				currentChapter: index >= 0 ? index + 1 : 1,
+				totalChapters: parts.length,
+			};
+		} catch (error) {
+			debugError("Wattpad: Error getting chapter navigation:", error);
+		}
+
+		return super.getChapterNavigation();
+	}
+
+	/**
+	 * Get ideal insertion point for UI controls (enhance/summarize buttons)
+	 * @param {Element} contentArea
+	 * @returns {Object} { element, position }
+	 */
+	getUIInsertionPoint(contentArea) {
+		const partContent = document.querySelector(".part-content");
+		if (partContent) {
+			return { element: partContent, position: "before" };
+		}
+		return super.getUIInsertionPoint(contentArea);
+	}
+
+	/**
+	 * Get novel controls configuration for Wattpad
+	 * @returns {Object}
+	 */
+	getNovelControlsConfig() {
+		const isChapter = this.isChapterPage();
+		const isNovel = this.isNovelPage();
+
+		return {
+			showControls: isChapter || isNovel,
+			insertionPoint: this.getNovelPageUIInsertionPoint(),
+			position: "after",
+			isChapterPage: isChapter,
+			isNovelPage: isNovel,
+			customStyles: {
+				background: "linear-gradient(135deg, #2b1a12 0%, #1e130d 100%)",
+				borderColor: "#ff500a",
+				accentColor: "#ff7a3d",
+			},
+		};
+	}
+
+	/**
+	 * Get insertion point for novel controls — under the part header or the
+	 * story info block
+	 * @returns {Object|null}
+	 */
+	getNovelPageUIInsertionPoint() {
+		const header = document.querySelector(
+			".part-header, article header, .story-info",
+		);
+		if (header) {
+			return { element: header, position: "after" };
+		}
+		return super.getNovelPageUIInsertionPoint();
+	}
+
+	/** Wattpad renders HTML part content — HTML enhancement is preferred. */
+	supportsTextOnlyEnhancement() {
+		return false;
+	}
+
+	getDefaultPrompt() {
+		return WattpadHandler.DEFAULT_SITE_PROMPT;
+	}
+
+	getSiteIdentifier() {
+		return "Wattpad";
+	}
+
+	getSiteSpecificPrompt() {
+		return WattpadHandler.DEFAULT_SITE_PROMPT;
+	}
+
+	/**
+	 * Tags for a story record, with the mature and paid markers first so they
+	 * can be filtered on like any other tag.
+	 * @param {Object} story
+	 * @param {Object|null} [part]
+	 * @returns {{tags: string[], mature: boolean, paid: boolean}}
+	 */
+	readStoryTags(story, part = null) {
+		const mature =
+			story?.mature === true || Number(part?.rating) === MATURE_RATING;
+		const paid = !!(story?.isPaywalled || story?.paidModel);
+		const tags = [];
+		if (mature) tags.push(MATURE_TAG);
+		if (paid) tags.push(PAID_TAG);
+		for (const tag of Array.isArray(story?.tags) ? story.tags : []) {
+			const text = String(tag).trim();
+			if (text && !tags.includes(text)) tags.push(text);
+		}
+		return { tags, mature, paid };
+	}
+
+	/**
+	 * Extract novel metadata for library storage
+	 * @returns {Object|null}
+	 */
+	extractNovelMetadata() {
+		const metadata = {
+			title: null,
+			author: null,
+			description: null,
+			coverUrl: null,
+			mainNovelUrl: this.getNovelPageUrl(),
+			genres: [],
+			tags: [],
+			status: null,
+			totalChapters: null,
+			reads: null,
+			votes: null,
+			parts: null,
+			mature: false,
+			paid: false,
+			needsDetailPage: false,
+			metadataIncomplete: false,
+		};
+
+		if (!this.isChapterPage() && !this.isNovelPage()) {
+			debugLog("Wattpad: Not on a story or part page");
+			return null;
+		}
+
+		try {
+			const part = this.isChapterPage() ? this.readPartData() : null;
+			const story = this.readStoryData() || {};
+
+			metadata.title = story.title || null;
+			metadata.author = story.user?.name || story.user?.username || null;
+			metadata.description = story.description
+				? this.cleanExtractedText(story.description)
+				: null;
+			metadata.coverUrl = story.cover || null;
+			if (typeof story.completed === "boolean") {
+				metadata.status = story.completed ? "Completed" : "Ongoing";
+			}
+
+			const count = (value) =>
+				Number.isFinite(Number(value)) && value !== null && value !== ""
+					? Number(value)
+					: null;
+			metadata.reads = count(story.readCount);
+			metadata.votes = count(story.voteCount);
+			metadata.parts =
+				count(story.numParts) ||
+				(Array.isArray(story.parts) ? story.parts.length : null);
+			metadata.totalChapters = metadata.parts;
+
+			Object.assign(metadata, this.readStoryTags(story, part));
+
+			if (this.isNovelPage()) {
+				// The DOM is the fallback for anything the JSON left out.
+				metadata.title ??=
+					this.firstText(this.selectors.storyTitle) || null;
+				metadata.author ??=
+					this.firstText(this.selectors.storyAuthor) || null;
+				metadata.coverUrl ??= this.extractCoverUrl(
+					this.selectors.storyCover,
+				);
+				if (!metadata.description) {
+					const descEl = document.querySelector(
+						this.selectors.storyDescription.join(", "),
+					);
+					if (descEl) {
+						metadata.description = this.cleanExtractedText(
+							descEl.innerText || descEl.textContent || "",
+						);
+					}
+				}
+				document
+					.querySelectorAll(this.selectors.storyTags.join(", "))
+					.forEach((tag) => {
+						const text = tag.textContent.trim();
+						if (text && !metadata.tags.includes(text)) {
+							metadata.tags.push(text);
+						}
+					});
+			} else {
+				// A part page's story summary has no description or tags.
+				metadata.needsDetailPage = true;
+				metadata.metadataIncomplete = true;
+			}
+
+			if (!metadata.title) {
+				const match = document.title.match(/-\s*(.+?)\s*-\s*Wattpad/i);
+				if (match) metadata.title = match[1].trim();
+			}
+		} catch (error) {
+			debugError("Wattpad: Error extracting metadata:", error);
+		}
+
+		if (!metadata.title) {
+			debugLog("Wattpad: No story title found");
+			return null;
+		}
+
+		debugLog("Wattpad: Extracted metadata:", metadata);
+		return metadata;
+	}
+
+	/**
+	 * Trimmed text of the first selector that matches, or "".
+	 * @param {string[]} selectors
+	 * @returns {string}
+	 */
+	firstText(selectors) {
+		for (const selector of selectors) {
+			const text = document.querySelector(selector)?.textContent.trim();
+			if (text) return text;
+		}
+		return "";
+	}
+
+	/**
+	 * Normalise metadata scraped from the story page by the background. It is
+	 * complete by definition — it came from the page that has everything.
+	 * @param {Object} metadata
+	 * @returns {Object}
+	 */
+	processRemoteMetadata(metadata) {
+		if (!metadata) return metadata;
+
+		const tags = [
+			...new Set(
+				(Array.isArray(metadata.tags) ? metadata.tags : [])
+					.map((v) => String(v).trim())
+					.filter(Boolean),
+			),
+		];
+
+		return {
+			...metadata,
+			tags,
+			mature: metadata.mature === true || tags.includes(MATURE_TAG),
+			paid: metadata.paid === true || tags.includes(PAID_TAG),
+			needsDetailPage: false,
+			metadataIncomplete: false,
+		};
+	}
+
+	/**
+	 * Extract page metadata for content enhancement context
+	 * @returns {Object} Context with author, title, genres, tags, status, description
+	 */
+	extractPageMetadata() {
+		const context = {
+			author: null,
+			title: null,
+			genres: [],
+			tags: [],
+			status: null,
+			description: null,
+			originalUrl: pageLocation().href,
+		};
+
+		try {
+			const story = this.readStoryData() || {};
+			context.title = story.title || null;
+			context.author = story.user?.name || null;
+			context.tags = Array.isArray(story.tags) ? story.tags : [];
+			context.description = story.description || null;
+		} catch (error) {
+			debugError("Wattpad: Error extracting page metadata:", error);
+		}
+
+		return context;
+	}
+
+	/**
+	 * Id of the story the current page belongs to, or null.
+	 * @returns {string|null}
+	 */
+	getStoryId() {
+		const fromPath = pageLocation().pathname.match(STORY_PATH)?.[1];
+		if (fromPath) return fromPath;
+
+		const group = this.readPartData()?.group;
+		if (group?.id) return String(group.id);
+
+		const link = document.querySelector("a[href*='/story/']");
+		return link?.getAttribute("href").match(/\/story\/(\d+)/)?.[1] || null;
+	}
+
+	/**
+	 * Generate a unique novel ID. Part URLs do not contain the story id, so
+	 * on a part page it comes from the page's story data.
+	 * @param {string} url
+	 * @returns {string}
+	 */
+	generateNovelId(url = pageLocation().href) {
+		const match = url.match(/\/story\/(\d+)/);
+		if (match) {
+			return `wattpad-${match[1]}`;
+		}
+		if (url === pageLocation().href) {
+			const storyId = this.getStoryId();
+			if (storyId) return `wattpad-${storyId}`;
+		}
+		return this.generateFallbackNovelId(url, "wattpad");
+	}
+
+	/**
+	 * Story page URL for the current story or part page
+	 * @returns {string|null}
+	 */
+	getNovelPageUrl() {
+		const story = this.readStoryData();
+		if (story?.url) return this.normalizeUrl(story.url);
+
+		const storyId = this.getStoryId();
+		return storyId ? `https://www.wattpad.com/story/${storyId}` : null;
+	}
+
+	/**
+	 * Wattpad is a "dedicated_page" site: description, tags and the full
+	 * part list are only on the story page.
+	 * @returns {string|null}
+	 */
+	getMetadataSourceUrl() {
+		return this.getNovelPageUrl();
+	}
+
+	/**
+	 * Key chapter caches by the part URL, so each lazily loaded page of a
+	 * part shares the one cache entry.
+	 * @returns {string|null}
+	 */
+	getCanonicalCacheUrl() {
+		return this.getPartUrl();
+	}
+
+	/**
+	 * Wattpad-specific metadata fields for the library edit modal.
+	 * @returns {Array<Object>}
+	 */
+	static getEditableFields() {
+		return [
+			{
+				key: "status",
+				label: "Work Status",
+				type: "select",
+				source: "metadata",
+				options: [
+					{ value: "", label: "Unknown" },
+					{ value: "Ongoing", label: "Ongoing" },
+					{ value: "Completed", label: "Completed" },
+				],
+			},
+			{
+				key: "reads",
+				label: "Reads",
+				type: "number",
+				source: "metadata",
+				min: 0,
+			},
+			{
+				key: "votes",
+				label: "Votes",
+				type: "number",
+				source: "metadata",
+				min: 0,
+			},
+			{
+				key: "parts",
+				label: "Parts",
+				type: "number",
+				source: "metadata",
+				min: 0,
+			},
+		];
+	}
+}
+
+// Default export - singleton instance
+export default new WattpadHandler();
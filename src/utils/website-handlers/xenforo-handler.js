@@ -0,0 +1,703 @@
+/**
+ * XenForo Threadmark Handler
+ * One handler for the XenForo forums where fiction is posted as threads and
+ * each chapter is a "threadmarked" post: SpaceBattles, Sufficient Velocity and
+ * Questionable Questing. The forums run the same threadmarks add-on, so one
+ * set of selectors covers all three; FORUMS only records what differs (name,
+ * host, novel id key).
+ *
+ * Supported URLs (any of the three hosts):
+ * - Reader page     : /threads/{slug}.{threadId}/reader/[page-N]
+ *                     (the threadmarked posts only, ten to a page)
+ * - Threadmark post : /threads/{slug}.{threadId}/page-N#post-{postId}
+ *                     /posts/{postId}/ once it redirects to the thread
+ * - Threadmark list : /threads/{slug}.{threadId}/threadmarks
+ *
+ * Every threadmarked post on a page is a chapter (extractThreadmarks); the one
+ * enhanced is the post the URL points at, or the first on the page.
+ *
+ * Thread ids are only unique within one forum, so novel ids carry the forum:
+ * "xenforo-spacebattles-12345".
+ *
+ * Handler Type: "dedicated_page" - the threadmark count, word count and
+ * watcher count are read from the thread's threadmarks page
+ */
+import { BaseWebsiteHandler } from "./base-handler.js";
+import { debugLog, debugError } from "../logger.js";
+import { pageLocation } from "../dom-env.js";
+import { READING_FONTS, READING_FONT_DEFAULT } from "../constants.js";
+
+/** The forums this handler covers, keyed by the id used in novel ids. */
+export const FORUMS = {
+	spacebattles: {
+		name: "SpaceBattles",
+		host: "forums.spacebattles.com",
+	},
+	sufficientvelocity: {
+		name: "Sufficient Velocity",
+		host: "forums.sufficientvelocity.com",
+	},
+	questionablequesting: {
+		name: "Questionable Questing",
+		host: "forum.questionablequesting.com",
+	},
+};
+
+/** Threadmarks per reader page on all three forums. */
+const READER_PAGE_SIZE = 10;
+
+const THREAD_PATH = /^\/threads\/(?:[^/]*\.)?(\d+)/;
+const READER_PATH = /^\/threads\/[^/]+\/reader\/?(?:page-(\d+))?/;
+
+const POST_SELECTOR = "article.message--post";
+const THREADMARK_SELECTOR = `${POST_SELECTOR}.hasThreadmark`;
+
+/** Post furniture that is never part of the chapter. */
+const POST_NOISE_SELECTORS = [
+	".message-signature",
+	"blockquote.bbCodeBlock--quote",
+	".bbCodeBlock--quote",
+	".reactionsBar",
+	".message-footer",
+	".message-actionBar",
+	".message-lastEdit",
+	".js-selectToQuoteEnd",
+];
+
+/**
+ * Forum key for a hostname, or null when it is not one of FORUMS.
+ * @param {string} hostname
+ * @returns {string|null}
+ */
+export function forumForHost(hostname) {
+	const host = String(hostname || "").toLowerCase();
+	for (const [key, forum] of Object.entries(FORUMS)) {
+		if (host === forum.host || host.endsWith(`.${forum.host}`)) return key;
+	}
+	return null;
+}
+
+/**
+ * "spacebattles-12345" for a thread URL on one of FORUMS, else null.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function threadKeyFromUrl(url) {
+	try {
+		const parsed = new URL(url);
+		const forum = forumForHost(parsed.hostname);
+		const threadId = parsed.pathname.match(THREAD_PATH)?.[1];
+		return forum && threadId ? `${forum}-${threadId}` : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Thread URL for a "spacebattles-12345" key; XenForo redirects a bare id to
+ * the slugged thread URL.
+ * @param {string} threadKey
+ * @returns {string|null}
+ */
+export function threadUrlFromKey(threadKey) {
+	const match = String(threadKey || "").match(/^([a-z]+)-(\d+)$/);
+	const forum = match && FORUMS[match[1]];
+	return forum ? `https://${forum.host}/threads/${match[2]}/` : null;
+}
+
+export class XenForoHandler extends BaseWebsiteHandler {
+	// Static properties for domain management
+	// Literal so dev/generate-manifest-domains.js can read it; keep in step
+	// with FORUMS.
+	static SUPPORTED_DOMAINS = [
+		"forums.spacebattles.com",
+		"forums.sufficientvelocity.com",
+		"forum.questionablequesting.com",
+	];
+
+	static DEFAULT_ENABLED = true;
+
+	static PRIORITY = 40;
+
+	// Shelf metadata for Novel Library - one shelf for every forum
+	static SHELF_METADATA = {
+		id: "xenforo",
+		isPrimary: true,
+		name: "Forum Threadmarks",
+		icon: "https://forums.spacebattles.com/favicon.ico",
+		emoji: "🧵",
+		color: "#3f6ea8",
+		novelIdPattern: /\/threads\/(?:[^/]*\.)?(\d+)/,
+		siteNovelIdFromUrl: threadKeyFromUrl,
+		importUrlForId: threadUrlFromKey,
+		primaryDomain: "forums.spacebattles.com",
+	};
+
+	// Handler type: Metadata requires visiting the threadmarks page
+	static HANDLER_TYPE = "dedicated_page";
+
+	/** Configurable settings exposed in the Library Settings page. */
+	static SETTINGS_DEFINITION = {
+		fields: [
+			{ key: "_enhance", type: "section", label: "✨ Enhancement" },
+			{
+				key: "autoEnhanceEnabled",
+				label: "Auto-enhance chapters",
+				type: "toggle",
+				defaultValue: false,
+				description:
+					"Automatically run Enhance when a threadmark reader page loads.",
+			},
+			{ key: "_display", type: "section", label: "🎨 Display" },
+			{
+				key: "fontSize",
+				label: "Font size (%)",
+				type: "number",
+				defaultValue: 100,
+				min: 50,
+				max: 200,
+				step: 10,
+				description:
+					"Font size percentage for enhanced/summary content (50–200%).",
+			},
+			{
+				key: "readingFont",
+				label: "Reading typeface",
+				type: "select",
+				defaultValue: READING_FONT_DEFAULT,
+				options: READING_FONTS.map((f) => ({
+					value: f.id,
+					label: f.label,
+				})),
+				description:
+					"Overrides the global reading typeface on the forums only.",
+			},
+			{ key: "_css", type: "section", label: "💻 Custom CSS" },
+			{
+				key: "globalCSS",
+				label: "Global CSS override",
+				type: "textarea",
+				defaultValue: "",
+				description:
+					"CSS applied globally to SpaceBattles, Sufficient Velocity and Questionable Questing pages while the extension is active.",
+				placeholder: ".bbWrapper { line-height: 1.8; }",
+			},
+		],
+	};
+
+	static DEFAULT_SITE_PROMPT =
+		"This is fan fiction posted chapter by chapter on a discussion forum (SpaceBattles, Sufficient Velocity or Questionable Questing). Keep the author's voice, quest vote options, spoiler blocks, status sheets and scene breaks exactly as written, including any forum formatting such as bold, italics and horizontal rules. Improve grammar and readability while keeping the original meaning and flow.";
+
+	/**
+	 * Forum key for the current page ("spacebattles", …).
+	 * @returns {string|null}
+	 */
+	getForum() {
+		return forumForHost(pageLocation().hostname);
+	}
+
+	// Return true if this handler can handle the current website
+	canHandle() {
+		return this.getForum() !== null;
+	}
+
+	/**
+	 * Threadmark reader pages, or a thread page with a threadmarked post on it.
+	 * Ordinary discussion pages are not chapters.
+	 * @returns {boolean}
+	 */
+	isChapterPage() {
+		const { pathname } = pageLocation();
+		if (READER_PATH.test(pathname)) return true;
+		return (
+			THREAD_PATH.test(pathname) &&
+			!/\/threadmarks\/?$/.test(pathname) &&
+			!!document.querySelector(THREADMARK_SELECTOR)
+		);
+	}
+
+	/**
+	 * The thread's threadmark listing.
+	 * @returns {boolean}
+	 */
+	isNovelPage() {
+		return /^\/threads\/[^/]+\/threadmarks\/?$/.test(
+			pageLocation().pathname,
+		);
+	}
+
+	/**
+	 * Every threadmarked post on the page, in page order.
+	 * @returns {Element[]}
+	 */
+	getThreadmarkPosts() {
+		return Array.from(document.querySelectorAll(THREADMARK_SELECTOR));
+	}
+
+	/**
+	 * XenForo post id of a post element ("js-post-123" / data-content="post-123").
+	 * @param {Element} post
+	 * @returns {string|null}
+	 */
+	getPostId(post) {
+		const raw = post.getAttribute("data-content") || post.id || "";
+		return raw.match(/post-(\d+)/)?.[1] || null;
+	}
+
+	/**
+	 * The threadmarked post this page is about: the one the URL names
+	 * (#post-N or /posts/N), else the first on the page.
+	 * @returns {Element|null}
+	 */
+	getTargetPost() {
+		const posts = this.getThreadmarkPosts();
+		const { hash, pathname } = pageLocation();
+		const wanted =
+			hash.match(/^#post-(\d+)/)?.[1] ||
+			pathname.match(/^\/posts\/(\d+)/)?.[1];
+		return (
+			(wanted && posts.find((post) => this.getPostId(post) === wanted)) ||
+			posts[0] ||
+			null
+		);
+	}
+
+	/**
+	 * Threadmark title shown above a post.
+	 * @param {Element} post
+	 * @returns {string}
+	 */
+	getThreadmarkTitle(post) {
+		return (
+			post
+				.querySelector(
+					".message-cell--threadmark-header .threadmarkLabel, .threadmarkLabel",
+				)
+				?.textContent.trim() || ""
+		);
+	}
+
+	/**
+	 * Thread title without its prefix labels ("[Complete]", "Worm").
+	 * @returns {string}
+	 */
+	getThreadTitle() {
+		const heading = document.querySelector(".p-title-value");
+		if (!heading) return "";
+		const clone = heading.cloneNode(true);
+		clone
+			.querySelectorAll(".label, .labelLink")
+			.forEach((el) => el.remove());
+		return clone.textContent.replace(/\s+/g, " ").trim();
+	}
+
+	/**
+	 * Chapter text of one post, without signature, quotes, reactions or ads.
+	 * @param {Element} post
+	 * @returns {string}
+	 */
+	extractPostText(post) {
+		const body = post.querySelector(".message-body .bbWrapper");
+		if (!body) return "";
+		const clone = this.cloneAndCleanContent(body, POST_NOISE_SELECTORS);
+		return this.cleanExtractedText(
+			clone.innerText || clone.textContent || "",
+		);
+	}
+
+	/**
+	 * Every threadmarked post on the page as a chapter.
+	 * @returns {Array<{postId: string, title: string, author: string, text: string, url: string}>}
+	 */
+	extractThreadmarks() {
+		const { origin, pathname } = pageLocation();
+		return this.getThreadmarkPosts().map((post) => {
+			const postId = this.getPostId(post);
+			return {
+				postId,
+				title: this.getThreadmarkTitle(post),
+				author: post.getAttribute("data-author") || "",
+				text: this.extractPostText(post),
+				url: postId ? `${origin}${pathname}#post-${postId}` : "",
+			};
+		});
+	}
+
+	/**
+	 * Body of the target threadmarked post
+	 * @returns {Element|null}
+	 */
+	findContentArea() {
+		const body = this.getTargetPost()?.querySelector(
+			".message-body .bbWrapper",
+		);
+		if (body) {
+			debugLog("XenForo: Found threadmarked post body");
+			return body;
+		}
+		return null;
+	}
+
+	/**
+	 * Threadmark title, or the thread title when the post has none
+	 * @returns {string}
+	 */
+	extractTitle() {
+		const post = this.getTargetPost();
+		return (
+			(post && this.getThreadmarkTitle(post)) ||
+			this.getThreadTitle() ||
+			document.title
+		);
+	}
+
+	/**
+	 * Extract the target threadmarked post
+	 * @returns {Object} { found, title, text, selector, threadmarks }
+	 */
+	extractContent() {
+		const post = this.isChapterPage() ? this.getTargetPost() : null;
+		const text = post ? this.extractPostText(post) : "";
+		if (!text) {
+			return {
+				found: false,
+				title: document.title,
+				text: "",
+				selector: "xenforo-no-threadmark",
+				reason: "No threadmarked post on this page.",
+			};
+		}
+
+		return {
+			found: text.length > 100,
+			title: this.extractTitle(),
+			text,
+			selector: "xenforo-threadmark",
+			threadmarks: this.getThreadmarkPosts().length,
+		};
+	}
+
+	/**
+	 * Previous/next threadmark. On a reader page the neighbours are usually
+	 * the adjacent posts; past either end of the page they are the page links.
+	 * The threadmark header's own prev/next links win when the forum has them.
+	 * @returns {Object}
+	 */
+	getChapterNavigation() {
+		try {
+			const posts = this.getThreadmarkPosts();
+			const target = this.getTargetPost();
+			const index = posts.indexOf(target);
+			const { origin, pathname } = pageLocation();
+			const postUrl = (post) =>
+				`${origin}${pathname}#post-${this.getPostId(post)}`;
+			const linkIn = (root, selector) => {
+				const href = root
+					?.querySelector(selector)
+					?.getAttribute("href");
+				return href ? this.normalizeUrl(href) : null;
+			};
+
+			const previousUrl =
+				linkIn(target, ".threadmark-control--previous a") ||
+				(index > 0 ? postUrl(posts[index - 1]) : null) ||
+				linkIn(document, "a.pageNav-jump--prev");
+			const nextUrl =
+				linkIn(target, ".threadmark-control--next a") ||
+				(index >= 0 && index < posts.length - 1
+					? postUrl(posts[index + 1])
+					: null) ||
+				linkIn(document, "a.pageNav-jump--next");
+
+			const readerPage = Number(pathname.match(READER_PATH)?.[1] || 1);
+			return {
+				hasPrevious: !!previousUrl,
+				hasNext: !!nextUrl,
+				previousUrl,
+				nextUrl,
+				currentChapter: READER_PATH.test(pathname)
+					? (readerPage - 1) * READER_PAGE_SIZE +
+						Math.max(index, 0) +
+						1
+					: 0,
+				totalChapters: this.readThreadStats().threadmarks || 0,
+			};
+		} catch (error) {
+			debugError("XenForo: Error getting chapter navigation:", error);
+		}
+
+		return super.getChapterNavigation();
+	}
+
+	/**
+	 * Threadmark statistics from the listing header: threadmarks, words and
+	 * watchers. The header is a list of `<dl class="pairs">` (label/value).
+	 * @returns {{threadmarks?: number, words?: number, watchers?: number}}
+	 */
+	readThreadStats() {
+		const stats = {};
+		const keys = {
+			threadmarks: "threadmarks",
+			words: "words",
+			watchers: "watchers",
+		};
+		document
+			.querySelectorAll(
+				".threadmarkListingHeader-stats dl.pairs, .threadmarkListingHeader dl.pairs",
+			)
+			.forEach((pair) => {
+				const label = pair
+					.querySelector("dt")
+					?.textContent.replace(/:/g, "")
+					.trim()
+					.toLowerCase();
+				const key = keys[label];
+				const value = this.parseCompactNumber(
+					pair.querySelector("dd")?.textContent,
+				);
+				if (key && value !== null) stats[key] = value;
+			});
+		return stats;
+	}
+
+	/**
+	 * Get ideal insertion point for UI controls (enhance/summarize buttons)
+	 * @param {Element} contentArea
+	 * @returns {Object} { element, position }
+	 */
+	getUIInsertionPoint(contentArea) {
+		if (contentArea) {
+			return { element: contentArea, position: "before" };
+		}
+		return super.getUIInsertionPoint(contentArea);
+	}
+
+	/**
+	 * Get novel controls configuration for forum threads
+	 * @returns {Object}
+	 */
+	getNovelControlsConfig() {
+		const isChapter = this.isChapterPage();
+		const isNovel = this.isNovelPage();
+
+		return {
+			showControls: isChapter || isNovel,
+			insertionPoint: this.getNovelPageUIInsertionPoint(),
+			position: "after",
+			isChapterPage: isChapter,
+			isNovelPage: isNovel,
+			customStyles: {
+				background: "linear-gradient(135deg, #1d2736 0%, #141b26 100%)",
+				borderColor: "#3f6ea8",
+				accentColor: "#7aa7e0",
+			},
+		};
+	}
+
+	/**
+	 * Novel controls go under the thread title on every page type
+	 * @returns {Object|null}
+	 */
+	getNovelPageUIInsertionPoint() {
+		const header = document.querySelector(".p-title");
+		if (header) {
+			return { element: header, position: "after" };
+		}
+		return super.getNovelPageUIInsertionPoint();
+	}
+
+	/** Forum posts are BBCode-rendered HTML — HTML enhancement is preferred. */
+	supportsTextOnlyEnhancement() {
+		return false;
+	}
+
+	getDefaultPrompt() {
+		return XenForoHandler.DEFAULT_SITE_PROMPT;
+	}
+
+	getSiteIdentifier() {
+		return FORUMS[this.getForum()]?.name || "XenForo forum";
+	}
+
+	getSiteSpecificPrompt() {
+		return XenForoHandler.DEFAULT_SITE_PROMPT;
+	}
+
+	/**
+	 * Extract thread metadata for library storage
+	 * @returns {Object|null}
+	 */
+	extractNovelMetadata() {
+		const isOnChapterPage = this.isChapterPage();
+		const isOnNovelPage = this.isNovelPage();
+		if (!isOnChapterPage && !isOnNovelPage) {
+			debugLog("XenForo: Not on a threadmark page");
+			return null;
+		}
+
+		const forum = this.getForum();
+		const metadata = {
+			title: this.getThreadTitle() || null,
+			author: null,
+			description: null,
+			coverUrl: null,
+			mainNovelUrl: this.getNovelPageUrl(),
+			forum: FORUMS[forum]?.name || null,
+			tags: [],
+			totalChapters: null,
+			words: null,
+			watchers: null,
+			needsDetailPage: false,
+			metadataIncomplete: false,
+		};
+
+		try {
+			metadata.author =
+				document
+					.querySelector(".p-description a.username")
+					?.textContent.trim() ||
+				this.getThreadmarkPosts()[0]?.getAttribute("data-author") ||
+				null;
+
+			document.querySelectorAll(".tagList a.tagItem").forEach((tag) => {
+				const text = tag.textContent.trim();
+				if (text && !metadata.tags.includes(text)) {
+					metadata.tags.push(text);
+				}
+			});
+
+			const stats = this.readThreadStats();
+			metadata.totalChapters = stats.threadmarks ?? null;
+			metadata.words = stats.words ?? null;
+			metadata.watchers = stats.watchers ?? null;
+
+			if (isOnNovelPage) {
+				// The listing itself is the count when the header lacks one.
+				metadata.totalChapters ??=
+					document.querySelectorAll(
+						".structItem--threadmark, .threadmarkListingItem",
+					).length || null;
+			} else if (metadata.totalChapters === null) {
+				metadata.needsDetailPage = true;
+				metadata.metadataIncomplete = true;
+			}
+		} catch (error) {
+			debugError("XenForo: Error extracting metadata:", error);
+		}
+
+		if (!metadata.title) {
+			debugLog("XenForo: No thread title found");
+			return null;
+		}
+
+		debugLog("XenForo: Extracted metadata:", metadata);
+		return metadata;
+	}
+
+	/**
+	 * Metadata scraped from the threadmarks page by the background is complete.
+	 * @param {Object} metadata
+	 * @returns {Object}
+	 */
+	processRemoteMetadata(metadata) {
+		if (!metadata) return metadata;
+		return {
+			...metadata,
+			tags: [
+				...new Set(
+					(Array.isArray(metadata.tags) ? metadata.tags : [])
+						.map((t) => String(t).trim())
+						.filter(Boolean),
+				),
+			],
+			needsDetailPage: false,
+			metadataIncomplete: false,
+		};
+	}
+
+	/**
+	 * Extract page metadata for content enhancement context
+	 * @returns {Object} Context with author, title, genres, tags, status, description
+	 */
+	extractPageMetadata() {
+		const post = this.getTargetPost();
+		return {
+			author: post?.getAttribute("data-author") || null,
+			title: this.getThreadTitle() || null,
+			genres: [],
+			tags: Array.from(
+				document.querySelectorAll(".tagList a.tagItem"),
+			).map((el) => el.textContent.trim()),
+			status: null,
+			description: null,
+			originalUrl: pageLocation().href,
+		};
+	}
+
+	/**
+	 * Generate a unique novel ID from URL: "xenforo-{forum}-{threadId}"
+	 * @param {string} url
+	 * @returns {string}
+	 */
+	generateNovelId(url = pageLocation().href) {
+		const key = threadKeyFromUrl(url);
+		if (key) {
+			return `xenforo-${key}`;
+		}
+		return this.generateFallbackNovelId(url, "xenforo");
+	}
+
+	/**
+	 * The thread's threadmark listing, which is the "novel page" here.
+	 * @returns {string|null}
+	 */
+	getNovelPageUrl() {
+		const { origin, pathname } = pageLocation();
+		const match = pathname.match(/^\/threads\/[^/]+/);
+		return match ? `${origin}${match[0]}/threadmarks` : null;
+	}
+
+	/**
+	 * The threadmarks page carries the threadmark, word and watcher counts.
+	 * @returns {string|null}
+	 */
+	getMetadataSourceUrl() {
+		return this.getNovelPageUrl();
+	}
+
+	/**
+	 * Forum thread fields for the library edit modal.
+	 * @returns {Array<Object>}
+	 */
+	static getEditableFields() {
+		return [
+			{
+				key: "forum",
+				label: "Forum",
+				type: "select",
+				source: "metadata",
+				options: Object.values(FORUMS).map((forum) => ({
+					value: forum.name,
+					label: forum.name,
+				})),
+			},
+			{
+				key: "words",
+				label: "Words",
+				type: "number",
+				source: "metadata",
+				min: 0,
+			},
+			{
+				key: "watchers",
+				label: "Watchers",
+				type: "number",
+				source: "metadata",
+				min: 0,
+			},
+		];
+	}
+}
+
+// Default export - singleton instance
+export default new XenForoHandler();
@@ -0,0 +1,320 @@
+/**
+ * Streaming only pays off if the final result is identical to the buffered
+ * path: the enhancement checks (finish reasons, safety blocks, shortening
+ * guard) run on what the streaming readers assemble. These tests pin that
+ * assembly for each provider wire format, plus the fallback to plain calls.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	collectGeminiSse,
+	readNdjson,
+	readSseEvents,
+} from "../src/background/ai/stream-readers.js";
+import {
+	callProviderMethod,
+	supportsStreaming,
+} from "../src/background/ai/provider-interface.js";
+import { createOpenAICompatibleProviderAdapter } from "../src/background/ai/providers/openai-compatible-provider.js";
+import { createOllamaProviderAdapter } from "../src/background/ai/providers/ollama-provider.js";
+import { createAiStreamHub } from "../src/background/ai/stream-port.js";
+import { AI_STREAM_PORT_NAME } from "../src/utils/constants.js";
+
+/** A streamed Response whose body arrives in the given (arbitrary) pieces. */
+function streamedResponse(pieces, init = {}) {
+	const encoder = new TextEncoder();
+	const body = new ReadableStream({
+		start(controller) {
+			for (const piece of pieces)
+				controller.enqueue(encoder.encode(piece));
+			controller.close();
+		},
+	});
+	return new Response(body, { status: 200, ...init });
+}
+
+const sse = (...events) => events.map((e) => `data: ${JSON.stringify(e)}\n\n`);
+
+function mockFetch(t, handler) {
+	const original = globalThis.fetch;
+	const calls = [];
+	globalThis.fetch = async (url, options) => {
+		calls.push({ url, body: JSON.parse(options.body), options });
+		return handler(url, options);
+	};
+	t.after(() => {
+		globalThis.fetch = original;
+	});
+	return calls;
+}
+
+const baseConfig = {
+	defaultPrompt: "Enhance.",
+	summaryPrompt: "Summarize.",
+	shortSummaryPrompt: "Briefly.",
+	permanentPrompt: "",
+	openAiApiKey: "sk-test",
+};
+const adapterDeps = {
+	initConfig: async () => baseConfig,
+	combinePrompts: (main) => main,
+};
+
+test("SSE events survive being split mid-line and across CRLF", async () => {
+	const events = [];
+	await readSseEvents(
+		streamedResponse([
+			': keep-alive\r\n\r\ndata: {"a"',
+			":1}\r\n\r\ndata: line one\r\ndata: line two\r\n",
+			"\r\ndata: tail",
+		]),
+		(data) => events.push(data),
+	);
+	assert.deepEqual(events, ['{"a":1}', "line one\nline two", "tail"]);
+});
+
+test("NDJSON skips blank and malformed lines", async () => {
+	const objects = [];
+	await readNdjson(
+		streamedResponse(['{"n":1}\n\nnot json\n{"n"', ":2}"]),
+		(obj) => objects.push(obj),
+	);
+	assert.deepEqual(objects, [{ n: 1 }, { n: 2 }]);
+});
+
+test("Gemini SSE folds into the non-streamed response shape", async () => {
+	const seen = [];
+	const data = await collectGeminiSse(
+		streamedResponse(
+			sse(
+				{ candidates: [{ content: { parts: [{ text: "<p>Once" }] } }] },
+				{
+					candidates: [
+						{
+							content: { parts: [{ text: " upon</p>" }] },
+							finishReason: "STOP",
+							safetyRatings: [{ category: "X" }],
+						},
+					],
+					usageMetadata: { totalTokenCount: 9 },
+				},
+			),
+		),
+		(text) => seen.push(text),
+	);
+
+	assert.deepEqual(seen, ["<p>Once", "<p>Once upon</p>"]);
+	assert.equal(data.candidates[0].content.parts[0].text, "<p>Once upon</p>");
+	assert.equal(data.candidates[0].finishReason, "STOP");
+	assert.deepEqual(data.candidates[0].safetyRatings, [{ category: "X" }]);
+	assert.equal(data.usageMetadata.totalTokenCount, 9);
+});
+
+test("Gemini prompt block keeps candidates absent", async () => {
+	const data = await collectGeminiSse(
+		streamedResponse(sse({ promptFeedback: { blockReason: "OTHER" } })),
+	);
+	assert.equal(data.candidates, undefined);
+	assert.equal(data.promptFeedback.blockReason, "OTHER");
+});
+
+test("OpenAI-compatible streamEnhancement sends stream:true and reports cumulative text", async (t) => {
+	const calls = mockFetch(t, () =>
+		streamedResponse([
+			...sse(
+				{ choices: [{ delta: { role: "assistant" } }] },
+				{ choices: [{ delta: { content: "Hello" } }] },
+				{ choices: [{ delta: { content: " world" } }] },
+			),
+			"data: [DONE]\n\n",
+		]),
+	);
+	const adapter = createOpenAICompatibleProviderAdapter(adapterDeps);
+	const deltas = [];
+	const result = await adapter.streamEnhancement(
+		{ title: "T", content: "Original" },
+		{ onDelta: (text) => deltas.push(text) },
+	);
+
+	assert.equal(calls[0].body.stream, true);
+	assert.deepEqual(deltas, ["Hello", "Hello world"]);
+	assert.equal(result.enhancedContent, "Hello world");
+	assert.equal(result.conversationHistory.at(-1).content, "Hello world");
+});
+
+test("OpenAI-compatible non-streamed call is unchanged", async (t) => {
+	const calls = mockFetch(
+		t,
+		() =>
+			new Response(
+				JSON.stringify({
+					choices: [{ message: { content: " Done " } }],
+				}),
+			),
+	);
+	const adapter = createOpenAICompatibleProviderAdapter(adapterDeps);
+	assert.equal(
+		await adapter.generateSummary({ title: "T", content: "C" }),
+		"Done",
+	);
+	assert.equal(calls[0].body.stream, false);
+});
+
+test("OpenAI-compatible error body surfaces before any streaming", async (t) => {
+	mockFetch(
+		t,
+		() =>
+			new Response(JSON.stringify({ error: { message: "bad key" } }), {
+				status: 401,
+			}),
+	);
+	const adapter = createOpenAICompatibleProviderAdapter(adapterDeps);
+	await assert.rejects(
+		adapter.streamSummary({ title: "T", content: "C" }, { onDelta() {} }),
+		/bad key/,
+	);
+});
+
+test("Ollama streamSummary reads NDJSON", async (t) => {
+	const calls = mockFetch(t, () =>
+		streamedResponse([
+			'{"response":"A short","done":false}\n',
+			'{"response":" summary.","done":false}\n{"response":"","done":true}\n',
+		]),
+	);
+	const adapter = createOllamaProviderAdapter(adapterDeps);
+	const deltas = [];
+	const summary = await adapter.streamSummary(
+		{ title: "T", content: "C", isShort: true },
+		{ onDelta: (text) => deltas.push(text) },
+	);
+	assert.equal(calls[0].body.stream, true);
+	assert.deepEqual(deltas, ["A short", "A short summary."]);
+	assert.equal(summary, "A short summary.");
+});
+
+test("callProviderMethod falls back to the buffered method", async () => {
+	const plain = { generateSummary: async () => "plain" };
+	assert.equal(supportsStreaming(plain, "generateSummary"), false);
+	assert.equal(
+		await callProviderMethod(
+			plain,
+			"generateSummary",
+			{},
+			{ onDelta() {} },
+		),
+		"plain",
+	);
+
+	const streaming = {
+		generateSummary: async () => "plain",
+		streamSummary: async (_payload, stream) => {
+			stream.onDelta("partial");
+			return "streamed";
+		},
+	};
+	assert.equal(
+		await callProviderMethod(streaming, "generateSummary", {}, null),
+		"plain",
+	);
+	let partial = "";
+	assert.equal(
+		await callProviderMethod(
+			streaming,
+			"generateSummary",
+			{},
+			{ onDelta: (text) => (partial = text) },
+		),
+		"streamed",
+	);
+	assert.equal(partial, "partial");
+});
+
+/** Minimal runtime.onConnect + port pair for the hub. */
+function fakeRuntime() {
+	let connectListener = null;
+	return {
+		runtime: {
+			onConnect: { addListener: (fn) => (connectListener = fn) },
+		},
+		connect(tabId) {
+			const posted = [];
+			const listeners = { message: [], disconnect: [] };
+			const port = {
+				name: AI_STREAM_PORT_NAME,
+				sender: { tab: { id: tabId } },
+				postMessage: (msg) => posted.push(msg),
+				disconnect() {},
+				onMessage: { addListener: (fn) => listeners.message.push(fn) },
+				onDisconnect: {
+					addListener: (fn) => listeners.disconnect.push(fn),
+				},
+			};
+			connectListener(port);
+			return {
+				posted,
+				send: (msg) => listeners.message.forEach((fn) => fn(msg)),
+				close: () => listeners.disconnect.forEach((fn) => fn()),
+			};
+		},
+	};
+}
+
+test("stream hub relays summary deltas and a single done message", async () => {
+	const fake = fakeRuntime();
+	const hub = createAiStreamHub({
+		runtime: fake.runtime,
+		throttleMs: 0,
+		summarize: async (payload, stream) => {
+			stream.onDelta("Part");
+			stream.onDelta("Partial text");
+			return `${payload.title}: done`;
+		},
+	});
+	const page = fake.connect(7);
+	assert.equal(hub.createStream(8), null, "other tabs get no stream");
+
+	page.send({
+		type: "start",
+		requestId: 1,
+		kind: "summary",
+		payload: { title: "Ch 1", content: "x" },
+	});
+	await new Promise((resolve) => setTimeout(resolve, 10));
+
+	const last = page.posted.at(-1);
+	assert.deepEqual(last, {
+		type: "done",
+		requestId: 1,
+		summary: "Ch 1: done",
+	});
+	const deltas = page.posted.filter((m) => m.type === "delta");
+	assert.ok(deltas.length >= 1);
+	assert.equal(deltas.at(-1).text, "Partial text");
+});
+
+test("stream hub aborts summaries when the page goes away", async () => {
+	const fake = fakeRuntime();
+	let signal = null;
+	createAiStreamHub({
+		runtime: fake.runtime,
+		summarize: (_payload, stream) =>
+			new Promise((_resolve, reject) => {
+				signal = stream.signal;
+				signal.addEventListener("abort", () =>
+					reject(new DOMException("aborted", "AbortError")),
+				);
+			}),
+	});
+	const page = fake.connect(3);
+	page.send({ type: "start", requestId: 2, kind: "summary", payload: {} });
+	page.close();
+	await new Promise((resolve) => setTimeout(resolve, 0));
+	assert.equal(signal.aborted, true);
+	assert.equal(
+		page.posted.some((m) => m.type === "error"),
+		false,
+	);
+});
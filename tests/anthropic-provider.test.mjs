@@ -0,0 +1,252 @@
+/**
+ * The point of a native Anthropic adapter over an OpenAI-compatible shim is
+ * the request shape: our prompts must land in the top-level `system` field,
+ * not as a chat turn. These tests pin that shape and the content-block parsing
+ * that replaces `choices[0].message.content`.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { createAnthropicProviderAdapter } from "../src/background/ai/providers/anthropic-provider.js";
+import { validateProviderAdapterRuntime } from "../src/background/ai/provider-interface.js";
+import { resolveProviderSettings } from "../src/background/ai/provider-registry.js";
+import {
+	DEFAULT_ANTHROPIC_ENDPOINT,
+	DEFAULT_ANTHROPIC_MODEL,
+} from "../src/utils/constants.js";
+
+const config = {
+	defaultPrompt: "Enhance the chapter.",
+	summaryPrompt: "Summarize.",
+	shortSummaryPrompt: "Briefly.",
+	permanentPrompt: "Keep names.",
+	anthropicApiKey: "sk-ant-test",
+	anthropicModel: "claude-test",
+	maxOutputTokens: 4096,
+	temperature: 1.4,
+};
+
+function createAdapter(overrides = {}) {
+	return createAnthropicProviderAdapter({
+		initConfig: async () => ({ ...config, ...overrides }),
+		combinePrompts: (main, permanent) => `${main}\n${permanent}`,
+	});
+}
+
+function mockFetch(t, handler) {
+	const original = globalThis.fetch;
+	const calls = [];
+	globalThis.fetch = async (url, options = {}) => {
+		calls.push({
+			url,
+			headers: options.headers,
+			body: options.body ? JSON.parse(options.body) : null,
+		});
+		return handler(url, options);
+	};
+	t.after(() => {
+		globalThis.fetch = original;
+	});
+	return calls;
+}
+
+const json = (body, init) => new Response(JSON.stringify(body), init);
+
+test("implements the full provider contract, streaming included", () => {
+	const contract = validateProviderAdapterRuntime(
+		createAdapter(),
+		"anthropic",
+	);
+	assert.equal(contract.isValid, true);
+	assert.deepEqual(contract.warnings, []);
+});
+
+test("enhancement keeps the prompt in system and the chapter in the user turn", async (t) => {
+	const calls = mockFetch(t, () =>
+		json({
+			content: [
+				{ type: "text", text: "<p>Better" },
+				{ type: "tool_use", id: "x" },
+				{ type: "text", text: " prose.</p>" },
+			],
+			stop_reason: "end_turn",
+		}),
+	);
+
+	const result = await createAdapter().generateEnhancement({
+		title: "Chapter 3",
+		content: "Raw text",
+		isPart: true,
+		partInfo: { current: 2, total: 4 },
+	});
+
+	const [call] = calls;
+	assert.equal(call.url, "https://api.anthropic.com/v1/messages");
+	assert.equal(call.headers["x-api-key"], "sk-ant-test");
+	assert.equal(call.headers["anthropic-version"], "2023-06-01");
+	assert.equal(call.body.model, "claude-test");
+	assert.equal(call.body.max_tokens, 4096);
+	assert.equal(call.body.temperature, 1, "clamped to the API's 0-1 range");
+	assert.match(call.body.system, /^Enhance the chapter\./);
+	assert.match(call.body.system, /part 2 of 4/);
+	assert.match(call.body.system, /### Title:\nChapter 3$/);
+	assert.deepEqual(call.body.messages, [
+		{ role: "user", content: "### Content to Enhance:\nRaw text" },
+	]);
+
+	assert.equal(result.enhancedContent, "<p>Better prose.</p>");
+	assert.equal(result.modelInfo.provider, "Anthropic");
+	assert.equal(result.conversationHistory.at(-1).role, "assistant");
+});
+
+test("Gemini-shaped history becomes alternating user/assistant turns", async (t) => {
+	const calls = mockFetch(t, () =>
+		json({ content: [{ type: "text", text: "Next part." }] }),
+	);
+
+	await createAdapter().generateEnhancement({
+		title: "T",
+		content: "Part two",
+		conversationHistory: [
+			{ role: "model", parts: [{ text: "orphan reply" }] },
+			{ role: "user", parts: [{ text: "part one" }] },
+			{ role: "model", parts: [{ text: "enhanced one" }] },
+			{ role: "user", parts: [{ text: "dangling" }] },
+		],
+	});
+
+	assert.deepEqual(
+		calls[0].body.messages.map((m) => [m.role, m.content]),
+		[
+			["user", "part one"],
+			["assistant", "enhanced one"],
+			["user", "### Content to Enhance:\nPart two"],
+		],
+	);
+});
+
+test("streamSummary accumulates text_delta events", async (t) => {
+	const events = [
+		{ type: "message_start", message: { id: "m" } },
+		{ type: "content_block_start", index: 0 },
+		{
+			type: "content_block_delta",
+			delta: { type: "text_delta", text: "A tense " },
+		},
+		{ type: "ping" },
+		{
+			type: "content_block_delta",
+			delta: { type: "text_delta", text: "chapter." },
+		},
+		{ type: "message_stop" },
+	];
+	const calls = mockFetch(
+		t,
+		() =>
+			new Response(
+				events
+					.map(
+						(e) =>
+							`event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`,
+					)
+					.join(""),
+			),
+	);
+
+	const deltas = [];
+	const summary = await createAdapter().streamSummary(
+		{ title: "T", content: "C", isShort: true },
+		{ onDelta: (text) => deltas.push(text) },
+	);
+
+	assert.equal(calls[0].body.stream, true);
+	assert.match(calls[0].body.system, /^Briefly\./);
+	assert.deepEqual(deltas, ["A tense ", "A tense chapter."]);
+	assert.equal(summary, "A tense chapter.");
+});
+
+test("API errors and a missing key surface as readable messages", async (t) => {
+	mockFetch(t, () =>
+		json(
+			{
+				type: "error",
+				error: {
+					type: "authentication_error",
+					message: "invalid x-api-key",
+				},
+			},
+			{ status: 401 },
+		),
+	);
+	await assert.rejects(
+		createAdapter().generateSummary({ title: "T", content: "C" }),
+		/invalid x-api-key/,
+	);
+	await assert.rejects(
+		createAdapter({ anthropicApiKey: "" }).generateSummary({
+			title: "T",
+			content: "C",
+		}),
+		/Anthropic API key is missing/,
+	);
+	assert.equal(
+		(await createAdapter({ anthropicApiKey: "" }).getHealthStatus()).ok,
+		false,
+	);
+});
+
+test("listModels reads the models endpoint and falls back to the configured model", async (t) => {
+	const calls = mockFetch(t, () =>
+		json({
+			data: [
+				{ id: "claude-test", display_name: "Claude Test" },
+				{ id: "claude-other", display_name: "Claude Other" },
+			],
+		}),
+	);
+	const models = await createAdapter().listModels();
+	assert.equal(calls[0].url, "https://api.anthropic.com/v1/models?limit=100");
+	assert.deepEqual(
+		models.map((m) => [m.id, m.name, m.isSelected]),
+		[
+			["claude-test", "Claude Test", true],
+			["claude-other", "Claude Other", false],
+		],
+	);
+
+	const offline = await createAdapter({ anthropicApiKey: "" }).listModels();
+	assert.deepEqual(
+		offline.map((m) => m.id),
+		["claude-test"],
+	);
+});
+
+test("an Anthropic primary slot wins over the legacy provider keys", () => {
+	const stored = {
+		aiProvider: "gemini",
+		anthropicApiKey: "sk-ant-legacy",
+		primaryModelConfig: {
+			provider: "anthropic",
+			baseUrl: "https://api.anthropic.com",
+			modelId: "claude-test",
+			apiKey: "sk-ant-slot",
+		},
+	};
+	const resolved = resolveProviderSettings(stored);
+	assert.equal(resolved.aiProvider, "anthropic");
+	assert.equal(
+		resolved.anthropicEndpoint,
+		"https://api.anthropic.com/v1/messages",
+	);
+	assert.equal(resolved.anthropicModel, "claude-test");
+	assert.equal(resolved.anthropicApiKey, "sk-ant-slot");
+
+	const override = resolveProviderSettings(stored, {
+		applyPrimarySlot: false,
+	});
+	assert.equal(override.aiProvider, "gemini");
+	assert.equal(override.anthropicApiKey, "sk-ant-legacy");
+	assert.equal(override.anthropicEndpoint, DEFAULT_ANTHROPIC_ENDPOINT);
+	assert.equal(override.anthropicModel, DEFAULT_ANTHROPIC_MODEL);
+});
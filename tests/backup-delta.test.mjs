@@ -0,0 +1,280 @@
+/**
+ * Delta backups trade one big file for a base plus patches, so every point
+ * must still restore to exactly what was backed up: patches replayed in
+ * order, pruned points folded into their neighbours rather than leaving a
+ * gap, and a remote patch able to find its base even where the destination
+ * renamed it. Retention keeps the newest point of each recent hour, day,
+ * week and month.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	applyPatch,
+	composePatches,
+	diffAgainstDigest,
+	digestSnapshot,
+	isDeltaEnvelope,
+	joinSnapshot,
+	payloadSize,
+	selectRetainedPoints,
+	splitSnapshot,
+} from "../src/utils/backup-delta.js";
+import { createRemoteDeltaBackups } from "../src/background/storage/delta-backups.js";
+
+const T0 = Date.UTC(2026, 0, 1);
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function libraryOf(count) {
+	const novels = {};
+	for (let n = 0; n < count; n++) {
+		novels[`rr-${n}`] = {
+			id: `rr-${n}`,
+			title: `Novel ${n}`,
+			lastReadChapter: 1,
+		};
+	}
+	return novels;
+}
+
+function withChapter(novels, id, chapter) {
+	return { ...novels, [id]: { ...novels[id], lastReadChapter: chapter } };
+}
+
+function fakeStorage(initial = {}) {
+	const store = { ...initial };
+	return {
+		store,
+		local: {
+			get: async (keys) => {
+				if (keys === null) return structuredClone(store);
+				return Object.fromEntries(
+					[keys]
+						.flat()
+						.filter((key) => key in store)
+						.map((key) => [key, structuredClone(store[key])]),
+				);
+			},
+			set: async (items) => Object.assign(store, structuredClone(items)),
+			remove: async (keys) => {
+				for (const key of [keys].flat()) delete store[key];
+			},
+		},
+	};
+}
+
+test("a patch carries only the changed records and restores both backup shapes", () => {
+	const library = {
+		version: "2.0",
+		library: { novels: libraryOf(50), shelves: { rr: {} } },
+		chapters: { "rr-1": { 1: "a" } },
+		settings: { theme: "dark" },
+	};
+	const comprehensive = {
+		version: "3.0",
+		createdAt: T0,
+		data: {
+			apiKey: "k",
+			rg_novel_library: { novels: libraryOf(50), shelves: {} },
+		},
+		chapters: {},
+	};
+
+	for (const snapshot of [library, comprehensive]) {
+		assert.deepEqual(joinSnapshot(splitSnapshot(snapshot)), snapshot);
+	}
+
+	const next = structuredClone(library);
+	next.library.novels = withChapter(next.library.novels, "rr-7", 12);
+	delete next.chapters["rr-1"];
+	next.settings.font = "serif";
+	const patch = diffAgainstDigest(digestSnapshot(library), next);
+	assert.deepEqual(Object.keys(patch.set).sort(), [
+		"library.novels/rr-7",
+		"settings/font",
+	]);
+	assert.ok(payloadSize(patch) < payloadSize(library) / 10);
+	assert.deepEqual(applyPatch(library, patch), next);
+	// The input snapshot is left alone.
+	assert.equal(library.library.novels["rr-7"].lastReadChapter, 1);
+
+	const third = structuredClone(next);
+	third.library.novels = withChapter(third.library.novels, "rr-7", 13);
+	third.chapters["rr-1"] = { 1: "b" };
+	const combined = composePatches(
+		patch,
+		diffAgainstDigest(digestSnapshot(next), third),
+	);
+	assert.deepEqual(applyPatch(library, combined), third);
+});
+
+test("retention keeps the newest point of each recent hour, day, week and month", () => {
+	const now = T0 + 90 * DAY;
+	const points = [];
+	// Every 20 minutes for the last two days, then daily back 80 days.
+	for (let t = now; t > now - 2 * DAY; t -= 20 * 60 * 1000) {
+		points.push({ id: `m${t}`, createdAt: t });
+	}
+	for (let d = 3; d < 80; d++) {
+		points.push({ id: `d${d}`, createdAt: now - d * DAY });
+	}
+
+	const kept = selectRetainedPoints(points, { now });
+	assert.deepEqual(kept.get(`m${now}`), [
+		"latest",
+		"hourly",
+		"daily",
+		"weekly",
+		"monthly",
+	]);
+	const hourly = [...kept.values()].filter((tiers) =>
+		tiers.includes("hourly"),
+	);
+	assert.equal(hourly.length, 24);
+	assert.ok(!kept.has("d79"));
+	assert.ok(kept.size < points.length / 5);
+
+	const narrow = selectRetainedPoints(points, {
+		now,
+		tiers: { hourly: 2, daily: 0, weekly: 0, monthly: 0 },
+	});
+	assert.equal(narrow.size, 2);
+});
+
+test("rolling backups are written as patches and every point restores in full", async (t) => {
+	const storage = fakeStorage({
+		rg_novel_library: { novels: libraryOf(200), shelves: {} },
+		rollingBackupRetention: { hourly: 3, daily: 0, weekly: 0, monthly: 0 },
+	});
+	const previous = globalThis.browser;
+	globalThis.browser = {
+		runtime: { getManifest: () => ({ version: "4.0.0" }) },
+		storage,
+	};
+	t.after(() => {
+		globalThis.browser = previous;
+	});
+	t.mock.timers.enable({ apis: ["Date"], now: T0 });
+	const {
+		createRollingBackup,
+		deleteRollingBackup,
+		getRollingBackup,
+		listRollingBackups,
+	} = await import("../src/utils/comprehensive-backup.js");
+
+	const expected = [];
+	for (let chapter = 2; chapter <= 5; chapter++) {
+		t.mock.timers.tick(HOUR);
+		storage.store.rg_novel_library.novels = withChapter(
+			storage.store.rg_novel_library.novels,
+			"rr-3",
+			chapter,
+		);
+		const { key, backup } = await createRollingBackup("test");
+		expected.push({ key, novels: structuredClone(backup.data) });
+	}
+
+	// Three hourly tiers: the oldest point is folded away.
+	const points = await listRollingBackups();
+	assert.deepEqual(
+		points.map((point) => point.key),
+		expected
+			.slice(1)
+			.map((point) => point.key)
+			.reverse(),
+	);
+	assert.deepEqual(
+		points.map((point) => point.kind),
+		["delta", "delta", "base"],
+	);
+	assert.ok(points[0].bytes < points[2].bytes / 10);
+	for (const point of expected.slice(1)) {
+		assert.deepEqual(
+			(await getRollingBackup(point.key)).data,
+			point.novels,
+		);
+	}
+
+	// Deleting the base rewrites the next point in full.
+	await deleteRollingBackup(expected[1].key);
+	const remaining = await listRollingBackups();
+	assert.deepEqual(
+		remaining.map((point) => point.kind),
+		["delta", "base"],
+	);
+	assert.deepEqual(
+		(await getRollingBackup(expected[3].key)).data,
+		expected[3].novels,
+	);
+});
+
+test("continuous uploads patch the last versioned upload and resolve back", async () => {
+	const files = new Map();
+	let clock = T0;
+	const storageSync = {
+		supportsDeltaBackups: async () => true,
+		getActiveSyncProviderId: async () => "webdav",
+		async uploadBackup(payload, name) {
+			files.set(name, JSON.stringify(payload));
+			return { providerId: "webdav", id: name, name };
+		},
+		async downloadBackup(fileId) {
+			return { providerId: "webdav", data: files.get(fileId) };
+		},
+		async listBackups() {
+			return {
+				providerId: "webdav",
+				backups: [...files.keys()].reverse().map((id) => ({ id })),
+			};
+		},
+	};
+	const deltas = createRemoteDeltaBackups({
+		browserRef: { storage: fakeStorage() },
+		storageSync,
+		now: () => clock,
+	});
+
+	const first = { version: "2.0", library: { novels: libraryOf(300) } };
+	assert.deepEqual(await deltas.prepare(first, "continuous"), {
+		payload: first,
+		needsBase: true,
+	});
+	const versioned = await deltas.prepare(first, "versioned");
+	const file = await storageSync.uploadBackup(versioned.payload, "base.json");
+	await deltas.recordBase({
+		providerId: "webdav",
+		file,
+		base: versioned.base,
+	});
+
+	clock += HOUR;
+	const second = structuredClone(first);
+	second.library.novels = withChapter(second.library.novels, "rr-9", 40);
+	const continuous = await deltas.prepare(second, "continuous");
+	assert.ok(isDeltaEnvelope(continuous.payload));
+	assert.ok(payloadSize(continuous.payload) < payloadSize(first) / 50);
+	await storageSync.uploadBackup(continuous.payload, "continuous.json");
+	assert.deepEqual(
+		await deltas.resolve(files.get("continuous.json")),
+		second,
+	);
+
+	// A destination that stored the base under another name is searched.
+	files.set("renamed.json", files.get("base.json"));
+	files.delete("base.json");
+	assert.deepEqual(await deltas.resolve(continuous.payload), second);
+	files.delete("renamed.json");
+	await assert.rejects(deltas.resolve(continuous.payload), /is missing/);
+
+	// A patch too large to be worth replaying asks for a new base.
+	const rewritten = structuredClone(first);
+	for (const novel of Object.values(rewritten.library.novels)) {
+		novel.lastReadChapter = 99;
+	}
+	assert.equal(
+		(await deltas.prepare(rewritten, "continuous")).needsBase,
+		true,
+	);
+});
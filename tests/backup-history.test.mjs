@@ -0,0 +1,285 @@
+/**
+ * The history explorer answers "when did this novel's status change?" from
+ * backups of both shapes, and puts back one novel or one setting group from
+ * a point without touching anything else. Visit timestamps change on every
+ * backup and must not show up as history.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	SETTING_GROUPS,
+	createBackupHistoryIndex,
+	restoreNovelFromBackup,
+	restoreSettingGroupFromBackup,
+} from "../src/utils/backup-history.js";
+import { COMPREHENSIVE_BACKUP_KEYS } from "../src/utils/constants.js";
+import { novelLibrary } from "../src/utils/novel-library.js";
+
+const T0 = Date.UTC(2026, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+const novel = (fields) => ({
+	id: "rr-1",
+	title: "The Tower",
+	readingStatus: "reading",
+	lastReadChapter: 10,
+	lastAccessedAt: T0,
+	...fields,
+});
+
+function comprehensive(createdAt, novels, data = {}) {
+	return {
+		version: "3.0",
+		createdAt,
+		data: { rg_novel_library: { novels }, ...data },
+		chapters: {},
+	};
+}
+
+function library(exportedAt, novels, settings = {}) {
+	return {
+		version: "2.0",
+		exportedAt,
+		library: { novels },
+		chapters: {},
+		settings,
+	};
+}
+
+function fakeBrowser(store) {
+	return {
+		storage: {
+			local: {
+				set: async (items) => Object.assign(store, items),
+				remove: async (keys) => {
+					for (const key of keys) delete store[key];
+				},
+			},
+		},
+	};
+}
+
+test("a novel's timeline lists status, progress and detail changes, newest first", () => {
+	const index = createBackupHistoryIndex();
+	const point = (n, source = "rolling") => ({
+		id: `p${n}`,
+		source,
+		label: `Point ${n}`,
+		createdAt: T0 + n * DAY,
+	});
+	// Added out of order: remote library backups and rolling backups mix.
+	index.addPoint(
+		point(3, "remote"),
+		library(T0 + 3 * DAY, {
+			"rr-1": novel({
+				readingStatus: "completed",
+				lastReadChapter: 40,
+				lastAccessedAt: T0 + 3 * DAY,
+			}),
+		}),
+	);
+	index.addPoint(point(1), comprehensive(T0 + DAY, { "rr-1": novel() }));
+	index.addPoint(
+		point(2),
+		comprehensive(T0 + 2 * DAY, {
+			"rr-1": novel({ lastAccessedAt: T0 + 2 * DAY }),
+			"rr-2": { id: "rr-2", title: "Another" },
+		}),
+	);
+	index.addPoint(
+		point(4),
+		comprehensive(T0 + 4 * DAY, {
+			"rr-1": novel({
+				title: "The Tower (Remastered)",
+				readingStatus: "completed",
+				lastReadChapter: 40,
+			}),
+		}),
+	);
+
+	assert.deepEqual(
+		index.listPoints().map((p) => p.id),
+		["p4", "p3", "p2", "p1"],
+	);
+	assert.deepEqual(
+		index.listNovels().map((n) => [n.title, n.pointCount]),
+		[
+			["Another", 1],
+			["The Tower (Remastered)", 4],
+		],
+	);
+
+	const timeline = index.novelTimeline("rr-1");
+	assert.deepEqual(
+		timeline.map((entry) => [entry.point.id, entry.kind]),
+		[
+			["p4", "changed"],
+			["p3", "changed"],
+			["p1", "added"],
+		],
+	);
+	assert.deepEqual(
+		timeline[1].changes.map(({ group, field, from, to }) => [
+			group,
+			field,
+			from,
+			to,
+		]),
+		[
+			["status", "readingStatus", "reading", "completed"],
+			["progress", "lastReadChapter", 10, 40],
+		],
+	);
+	assert.deepEqual(timeline[0].changes, [
+		{
+			group: "metadata",
+			field: "title",
+			from: "The Tower",
+			to: "The Tower (Remastered)",
+		},
+	]);
+	assert.deepEqual(
+		index.novelTimeline("rr-2").map((entry) => entry.kind),
+		["removed", "added"],
+	);
+});
+
+test("setting history follows one group across both backup shapes", () => {
+	const index = createBackupHistoryIndex();
+	index.addPoint(
+		{ id: "a", createdAt: T0 },
+		comprehensive(T0, {}, { promptTemplate: "v1", fontSize: 16 }),
+	);
+	index.addPoint(
+		{ id: "b", createdAt: T0 + DAY },
+		comprehensive(T0 + DAY, {}, { promptTemplate: "v1", fontSize: 18 }),
+	);
+	index.addPoint(
+		{ id: "c", createdAt: T0 + 2 * DAY },
+		library(T0 + 2 * DAY, {}, { promptTemplate: "v2", fontSize: 18 }),
+	);
+
+	assert.deepEqual(
+		index
+			.settingsTimeline("prompts")
+			.map((entry) => [entry.point.id, entry.keys]),
+		[
+			["c", ["promptTemplate"]],
+			["a", ["promptTemplate"]],
+		],
+	);
+	assert.deepEqual(
+		index.settingsTimeline("appearance").map((entry) => entry.point.id),
+		["b", "a"],
+	);
+});
+
+test("restoring one novel or one setting group leaves the rest alone", async (t) => {
+	const store = {};
+	const previous = globalThis.browser;
+	globalThis.browser = fakeBrowser(store);
+	t.after(() => {
+		globalThis.browser = previous;
+	});
+
+	let saved;
+	const libraryStub = {
+		getLibrary: async () => ({
+			novels: {
+				"rr-1": novel({ readingStatus: "dropped" }),
+				"rr-2": { id: "rr-2", title: "Untouched" },
+			},
+		}),
+		saveLibrary: async (lib) => {
+			saved = lib;
+		},
+	};
+	const backup = comprehensive(
+		T0,
+		{ "rr-1": novel(), "rr-3": { id: "rr-3" } },
+		{
+			promptTemplate: "old prompt",
+			summaryPrompt: undefined,
+			fontSize: 20,
+		},
+	);
+	backup.chapters["rg_novel_chapters_rr-1"] = { chapters: { 1: {} } };
+
+	await restoreNovelFromBackup(backup, "rr-1", { library: libraryStub });
+	assert.equal(saved.novels["rr-1"].readingStatus, "reading");
+	assert.deepEqual(saved.novels["rr-2"], { id: "rr-2", title: "Untouched" });
+	assert.ok(!("rr-3" in saved.novels));
+	// Under the key the library reads chapters from.
+	assert.deepEqual(store[`${novelLibrary.CHAPTERS_KEY_PREFIX}rr-1`], {
+		chapters: { 1: {} },
+	});
+	await assert.rejects(
+		restoreNovelFromBackup(backup, "missing", { library: libraryStub }),
+		/does not contain/,
+	);
+
+	store.summaryPrompt = "current summary";
+	store.fontSize = 14;
+	const result = await restoreSettingGroupFromBackup(backup, "prompts");
+	assert.deepEqual(result.restored, ["promptTemplate"]);
+	assert.deepEqual(
+		result.removed,
+		SETTING_GROUPS.prompts.keys.filter((key) => key !== "promptTemplate"),
+	);
+	assert.equal(store.promptTemplate, "old prompt");
+	assert.ok(!("summaryPrompt" in store));
+	assert.equal(store.fontSize, 14);
+
+	// Device-local settings stay with this browser even when their own group
+	// is restored: neither the backup's fontSize nor its missing theme apply.
+	store.themeSettings = { mode: "dark" };
+	const appearance = await restoreSettingGroupFromBackup(
+		backup,
+		"appearance",
+	);
+	assert.deepEqual(appearance.skipped, [
+		"themeSettings",
+		"fontSize",
+		"readingFont",
+	]);
+	assert.deepEqual(appearance.restored, []);
+	assert.deepEqual(appearance.removed, ["rg_library_settings"]);
+	assert.equal(store.fontSize, 14);
+	assert.deepEqual(store.themeSettings, { mode: "dark" });
+
+	// A library backup never carried every setting: nothing is removed.
+	store.summaryPrompt = "current summary";
+	await restoreSettingGroupFromBackup(
+		library(T0, {}, { promptTemplate: "from library backup" }),
+		"prompts",
+	);
+	assert.equal(store.promptTemplate, "from library backup");
+	assert.equal(store.summaryPrompt, "current summary");
+});
+
+test("every backed-up setting belongs to exactly one group", () => {
+	// The library and the backup bookkeeping have their own history; device
+	// profiles are restored with the device settings, not as a group.
+	const ungrouped = new Set([
+		"rg_novel_library",
+		"rg_rolling_backup_meta",
+		"backupHistory",
+		"lastBackupAt",
+		"rg_device_profiles",
+	]);
+	const grouped = Object.values(SETTING_GROUPS).flatMap(({ keys }) => keys);
+	assert.equal(new Set(grouped).size, grouped.length, "no key in two groups");
+	assert.deepEqual(
+		COMPREHENSIVE_BACKUP_KEYS.filter(
+			(key) => !ungrouped.has(key) && !grouped.includes(key),
+		),
+		[],
+	);
+	assert.deepEqual(
+		grouped.filter((key) => !COMPREHENSIVE_BACKUP_KEYS.includes(key)),
+		[],
+		"every grouped key is backed up",
+	);
+});
@@ -0,0 +1,429 @@
+/**
+ * A backup has to restore on every later version of the extension, and a
+ * newer backup must never be half-restored by an older one. Each schema
+ * version step has exactly one pure migration, the result has to satisfy
+ * the published schema, and anything newer than this build is refused
+ * before a single key is written.
+ */
+
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import test from "node:test";
+
+import {
+	BACKUP_MIGRATIONS,
+	BACKUP_SCHEMA_VERSION,
+	LIBRARY_MIGRATIONS,
+	LIBRARY_SCHEMA_VERSION,
+	migrateBackup,
+	migrateLibrary,
+	readSchemaVersion,
+	validateBackup,
+	validateLibrary,
+} from "../src/utils/backup-migrations.js";
+import {
+	describeSchemaErrors,
+	validateJsonSchema,
+} from "../src/utils/json-schema-lite.js";
+import { setPersistentLoggingEnabled } from "../src/utils/logger.js";
+
+// Refusals are logged as errors, and there is no IndexedDB to keep them in.
+setPersistentLoggingEnabled(false);
+
+const schema = JSON.parse(
+	await readFile(
+		new URL("../docs/backup/ranobe-backup.schema.json", import.meta.url),
+		"utf8",
+	),
+);
+
+const T0 = Date.UTC(2026, 0, 1);
+
+function deepFreeze(value) {
+	if (value && typeof value === "object") {
+		Object.values(value).forEach(deepFreeze);
+		Object.freeze(value);
+	}
+	return value;
+}
+
+const legacyBackup = () =>
+	deepFreeze({
+		version: "2.0",
+		createdAt: T0,
+		data: {
+			rg_novel_library: {
+				novels: {
+					fanfiction_12345: {
+						id: "fanfiction_12345",
+						shelfId: "fanfiction",
+						title: "Old Id",
+					},
+					"ao3-9": { shelfId: "ao3", title: "No Id Field" },
+				},
+				lastUpdated: T0,
+				version: "1.0",
+			},
+			apiKey: "key",
+		},
+		chapters: {
+			rg_novel_chapters_fanfiction_12345: { chapters: { 1: {} } },
+		},
+	});
+
+function setupBrowser(t, store) {
+	const previous = globalThis.browser;
+	const previousFetch = globalThis.fetch;
+	globalThis.fetch = async () => ({ ok: true, json: async () => schema });
+	globalThis.browser = {
+		runtime: {
+			getManifest: () => ({ version: "5.1.0" }),
+			getURL: (path) => path,
+		},
+		storage: {
+			local: {
+				get: async (keys) =>
+					Object.fromEntries(
+						(keys === null ? Object.keys(store) : [keys].flat())
+							.filter((key) => key in store)
+							.map((key) => [key, structuredClone(store[key])]),
+					),
+				set: async (items) => Object.assign(store, items),
+				remove: async (keys) => {
+					for (const key of [keys].flat()) delete store[key];
+				},
+			},
+		},
+	};
+	t.after(() => {
+		globalThis.browser = previous;
+		globalThis.fetch = previousFetch;
+	});
+}
+
+test("every version step has exactly one migration, ending at the current version", () => {
+	for (const [chain, current] of [
+		[BACKUP_MIGRATIONS, BACKUP_SCHEMA_VERSION],
+		[LIBRARY_MIGRATIONS, LIBRARY_SCHEMA_VERSION],
+	]) {
+		assert.deepEqual(
+			chain.map((step) => [step.from, step.to]),
+			Array.from({ length: current - 1 }, (_, i) => [i + 1, i + 2]),
+		);
+	}
+	assert.equal(readSchemaVersion({ version: "3.0" }), 1);
+	assert.equal(readSchemaVersion({ schemaVersion: 2 }), 2);
+	assert.equal(
+		schema.properties.schemaVersion.maximum,
+		BACKUP_SCHEMA_VERSION,
+	);
+	assert.equal(
+		schema.$defs.library.properties.schemaVersion.maximum,
+		LIBRARY_SCHEMA_VERSION,
+	);
+});
+
+test("a pre-versioning backup is migrated, ids and chapter data move together, and it validates", () => {
+	const original = legacyBackup();
+	assert.ok(validateBackup(original, schema).length > 0);
+
+	const { backup, from, to, applied } = migrateBackup(original);
+	assert.equal(from, 1);
+	assert.equal(to, BACKUP_SCHEMA_VERSION);
+	assert.equal(applied.length, 2);
+	assert.match(applied[0], /^Backup v1 → v2/);
+	assert.match(applied[1], /^Library v1 → v2/);
+
+	assert.equal(backup.schemaVersion, BACKUP_SCHEMA_VERSION);
+	assert.equal(backup.type, "custom");
+	assert.equal(backup.createdAtISO, "2026-01-01T00:00:00.000Z");
+	assert.equal(backup.browser, "unknown");
+	const library = backup.data.rg_novel_library;
+	assert.equal(library.schemaVersion, LIBRARY_SCHEMA_VERSION);
+	assert.deepEqual(Object.keys(library.novels).sort(), [
+		"ao3-9",
+		"fanfiction-12345",
+	]);
+	assert.equal(library.novels["fanfiction-12345"].id, "fanfiction-12345");
+	assert.equal(library.novels["ao3-9"].id, "ao3-9");
+	assert.deepEqual(library.shelves, {});
+	assert.deepEqual(Object.keys(backup.chapters), [
+		"rg_novel_chapters_fanfiction-12345",
+	]);
+	assert.deepEqual(validateBackup(backup, schema), []);
+
+	// Already current: nothing to do, and running again changes nothing.
+	const again = migrateBackup(backup);
+	assert.deepEqual(again.applied, []);
+	assert.deepEqual(again.backup, backup);
+});
+
+test("a stale underscore copy of a novel is dropped rather than overwriting the hyphenated one", () => {
+	const { library, renamedIds } = migrateLibrary(
+		deepFreeze({
+			novels: {
+				fanfiction_1: {
+					id: "fanfiction_1",
+					shelfId: "f",
+					title: "Old",
+				},
+				"fanfiction-1": {
+					id: "fanfiction-1",
+					shelfId: "f",
+					title: "New",
+				},
+			},
+		}),
+	);
+	assert.deepEqual(Object.keys(library.novels), ["fanfiction-1"]);
+	assert.equal(library.novels["fanfiction-1"].title, "New");
+	assert.deepEqual(renamedIds, {});
+	assert.deepEqual(validateLibrary(library, schema), []);
+});
+
+test("backups and libraries from a newer version are refused with an explanation", () => {
+	assert.throws(
+		() =>
+			migrateBackup({
+				...legacyBackup(),
+				schemaVersion: BACKUP_SCHEMA_VERSION + 1,
+				extensionVersion: "9.0.0",
+			}),
+		new RegExp(
+			`newer version of Ranobe Gemini \\(extension v9\\.0\\.0, backup format v${BACKUP_SCHEMA_VERSION + 1}; this version reads up to v${BACKUP_SCHEMA_VERSION}\\)`,
+		),
+	);
+	assert.throws(
+		() =>
+			migrateBackup({
+				...legacyBackup(),
+				data: {
+					rg_novel_library: {
+						novels: {},
+						schemaVersion: LIBRARY_SCHEMA_VERSION + 1,
+					},
+				},
+			}),
+		/library format v3; this version reads up to v2/,
+	);
+});
+
+test("the schema checker reports every supported keyword with a JSON pointer", () => {
+	const errors = validateJsonSchema(
+		{
+			count: 1.5,
+			name: "",
+			tags: ["[x]"],
+			kind: "other",
+			extra: true,
+			nested: { list: [] },
+		},
+		{
+			type: "object",
+			required: ["id"],
+			additionalProperties: false,
+			properties: {
+				count: { type: ["integer", "null"] },
+				name: { type: "string", minLength: 1 },
+				tags: { type: "array", items: { $ref: "#/$defs/tag" } },
+				kind: { enum: ["a", "b"] },
+				nested: {
+					type: "object",
+					properties: { list: { type: "array", minItems: 1 } },
+				},
+			},
+			$defs: { tag: { type: "string", pattern: "^[^\\[\\]]+$" } },
+		},
+	);
+	assert.deepEqual(
+		errors.map((error) => error.path),
+		["", "/count", "/name", "/tags/0", "/kind", "/extra", "/nested/list"],
+	);
+	assert.equal(
+		describeSchemaErrors(errors, 2),
+		"(root) is missing required property id\n/count should be integer or null, got number\n…and 5 more",
+	);
+});
+
+test("restore and import write nothing when a backup is refused, and migrate what they accept", async (t) => {
+	const store = {
+		rg_novel_library: {
+			novels: {},
+			shelves: {},
+			schemaVersion: LIBRARY_SCHEMA_VERSION,
+		},
+	};
+	setupBrowser(t, store);
+	const { restoreComprehensiveBackup } =
+		await import("../src/utils/comprehensive-backup.js");
+	const { novelLibrary } = await import("../src/utils/novel-library.js");
+	const before = structuredClone(store);
+
+	await assert.rejects(
+		restoreComprehensiveBackup({
+			...legacyBackup(),
+			schemaVersion: BACKUP_SCHEMA_VERSION + 1,
+		}),
+		/newer version of Ranobe Gemini/,
+	);
+	const broken = structuredClone(legacyBackup());
+	delete broken.data.rg_novel_library.novels["ao3-9"].title;
+	await assert.rejects(
+		restoreComprehensiveBackup(broken),
+		/does not match the backup schema[\s\S]*\/data\/rg_novel_library\/novels\/ao3-9 is missing required property title/,
+	);
+	assert.deepEqual(store, before);
+
+	const refused = await novelLibrary.importLibrary(
+		{
+			version: "2.0",
+			library: { novels: {}, schemaVersion: LIBRARY_SCHEMA_VERSION + 1 },
+			settings: { apiKey: "from-the-future" },
+		},
+		false,
+	);
+	assert.equal(refused.success, false);
+	assert.match(refused.error, /newer version of Ranobe Gemini/);
+	assert.deepEqual(store, before);
+
+	const result = await restoreComprehensiveBackup(legacyBackup(), {
+		mode: "replace",
+	});
+	assert.equal(result.versionInfo.backupSchemaVersion, 1);
+	assert.equal(result.versionInfo.migrations.length, 2);
+	assert.deepEqual(Object.keys(store.rg_novel_library.novels).sort(), [
+		"ao3-9",
+		"fanfiction-12345",
+	]);
+	assert.ok(store["rg_novel_chapters_fanfiction-12345"].chapters[1]);
+	assert.equal(store.rg_novel_chapters_fanfiction_12345, undefined);
+
+	const imported = await novelLibrary.importLibrary(
+		{
+			version: "2.0",
+			library: legacyBackup().data.rg_novel_library,
+			chapters: { fanfiction_12345: { chapters: { 2: {} } } },
+		},
+		false,
+	);
+	assert.equal(imported.success, true);
+	assert.equal(store.rg_novel_library.schemaVersion, LIBRARY_SCHEMA_VERSION);
+	assert.deepEqual(store["rg_novel_chapters_fanfiction-12345"].chapters, {
+		2: {},
+	});
+});
+
+test("a backup of a library the extension itself saved validates", async (t) => {
+	const store = {};
+	setupBrowser(t, store);
+	const { createComprehensiveBackup } =
+		await import("../src/utils/comprehensive-backup.js");
+	const { novelLibrary } = await import("../src/utils/novel-library.js");
+
+	// The shapes the content script saves: a handler that found no status,
+	// author or cover leaves them null.
+	await novelLibrary.addOrUpdateNovel({
+		id: "ao3-1",
+		title: "Saved From A Page",
+		author: "Unknown",
+		description: "",
+		coverUrl: "",
+		sourceUrl: "https://archiveofourown.org/works/1",
+		sourceSite: "archiveofourown.org",
+		shelfId: "ao3",
+		genres: [],
+		tags: [],
+		status: null,
+		totalChapters: null,
+		lastUpdated: T0,
+	});
+	await novelLibrary.addOrUpdateNovel(
+		novelLibrary.createNovelFromContext(
+			{
+				url: "https://www.fanfiction.net/s/42/3/Title",
+				title: "Chapter 3 - From Context",
+				chapterNumber: 3,
+			},
+			null,
+		),
+	);
+	await novelLibrary.updateNovelMetadata("ao3-1", {
+		author: null,
+		description: null,
+		coverUrl: null,
+		status: null,
+		metadata: { rating: null, language: "English" },
+	});
+	store["rg_novel_chapters_ao3-1"] = {
+		chapters: { 1: { isEnhanced: true } },
+	};
+
+	const backup = await createComprehensiveBackup({ type: "full" });
+	assert.deepEqual(Object.keys(backup.data.rg_novel_library.novels).sort(), [
+		"ao3-1",
+		"fanfiction-42",
+	]);
+	assert.equal(backup.data.rg_novel_library.novels["ao3-1"].status, null);
+	assert.deepEqual(Object.keys(backup.chapters), ["rg_novel_chapters_ao3-1"]);
+	assert.deepEqual(validateBackup(backup, schema), []);
+});
+
+test("fields the schema does not know are restored around, not refused", async (t) => {
+	const store = {};
+	setupBrowser(t, store);
+	const { restoreComprehensiveBackup } =
+		await import("../src/utils/comprehensive-backup.js");
+
+	const { backup } = migrateBackup(legacyBackup());
+	const result = await restoreComprehensiveBackup(
+		{
+			...backup,
+			addedByANewerBuild: true,
+			metadata: { novelCount: 2, chapterCount: 1 },
+		},
+		{ mode: "replace" },
+	);
+	assert.equal(result.success, true);
+	assert.deepEqual(
+		result.versionInfo.warnings.filter((w) => w.startsWith("Unknown")),
+		[
+			"Unknown field /addedByANewerBuild was not restored",
+			"Unknown field /metadata/chapterCount was not restored",
+		],
+	);
+	assert.deepEqual(Object.keys(store.rg_novel_library.novels).sort(), [
+		"ao3-9",
+		"fanfiction-12345",
+	]);
+});
+
+test("the stored library is migrated in place on extension update", async (t) => {
+	const store = {
+		rg_novel_library: {
+			novels: {
+				fanfiction_7: { id: "fanfiction_7", shelfId: "f", title: "T" },
+			},
+			shelves: {},
+		},
+		rg_novel_chapters_fanfiction_7: { chapters: { 1: {} } },
+	};
+	setupBrowser(t, store);
+	const { novelLibrary } = await import("../src/utils/novel-library.js");
+
+	const applied = await novelLibrary.migrateStoredLibrary();
+	assert.equal(applied.length, 1);
+	assert.deepEqual(Object.keys(store.rg_novel_library.novels), [
+		"fanfiction-7",
+	]);
+	assert.equal(store.rg_novel_library.schemaVersion, LIBRARY_SCHEMA_VERSION);
+	assert.deepEqual(store["rg_novel_chapters_fanfiction-7"], {
+		chapters: { 1: {} },
+	});
+	assert.equal(store.rg_novel_chapters_fanfiction_7, undefined);
+	assert.deepEqual(await novelLibrary.migrateStoredLibrary(), []);
+
+	store.rg_novel_library.schemaVersion = LIBRARY_SCHEMA_VERSION + 1;
+	const newer = structuredClone(store);
+	assert.deepEqual(await novelLibrary.migrateStoredLibrary(), []);
+	assert.deepEqual(store, newer);
+});
@@ -0,0 +1,102 @@
+/**
+ * The archive page renders stored markup as-is, so what goes in has to be
+ * clean already: site scripts and model code fences must not survive, and a
+ * chapter without an enhanced version must say so rather than store junk.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	archiveRecordId,
+	buildArchiveRecord,
+	summarizeArchivedNovels,
+	toChapterSummary,
+} from "../src/utils/chapter-archive.js";
+
+test("records are keyed by novel and chapter and sanitised on the way in", () => {
+	const record = buildArchiveRecord(
+		{
+			novelId: "novelbin-martial-peak",
+			novelTitle: "Martial Peak",
+			chapterNumber: "12",
+			url: "https://novelbin.com/b/martial-peak/chapter-12",
+			html: '<p onclick="x()">Yang Kai bowed.</p><script>ads()</script><iframe src="ad"></iframe>',
+			enhancedHtml:
+				"```html\n<p>Yang Kai bowed <em>deeply</em>.</p>\n```",
+			words: 3,
+		},
+		1000,
+	);
+
+	assert.equal(record.id, archiveRecordId("novelbin-martial-peak", 12));
+	assert.equal(record.chapterNumber, 12);
+	assert.equal(record.title, "Chapter 12");
+	assert.match(record.rawHtml, /<p>Yang Kai bowed\.<\/p>/);
+	assert.doesNotMatch(record.rawHtml, /script|iframe|onclick/);
+	assert.doesNotMatch(record.enhancedHtml, /```/);
+	assert.match(record.enhancedHtml, /<em>deeply<\/em>/);
+	assert.equal(record.enhancedAt, 1000);
+});
+
+test("plain text becomes paragraphs and a missing enhancement stays empty", () => {
+	const record = buildArchiveRecord({
+		novelId: "n",
+		chapterNumber: 1,
+		html: "First line.\n\nSecond line.",
+	});
+	assert.equal(record.rawHtml, "<p>First line.</p>\n<p>Second line.</p>");
+	assert.equal(record.enhancedHtml, "");
+	assert.equal(record.enhancedAt, null);
+	assert.equal(toChapterSummary(record).enhanced, false);
+	assert.equal("rawHtml" in toChapterSummary(record), false);
+
+	assert.throws(() => buildArchiveRecord({ chapterNumber: 1 }), /novelId/);
+	assert.throws(
+		() => buildArchiveRecord({ novelId: "n", chapterNumber: "x" }),
+		/chapter number/,
+	);
+});
+
+test("novel summaries count chapters and sort by most recent save", () => {
+	const records = [
+		buildArchiveRecord({ novelId: "a", chapterNumber: 3 }, 10),
+		buildArchiveRecord(
+			{
+				novelId: "a",
+				novelTitle: "Novel A",
+				chapterNumber: 1,
+				enhancedHtml: "<p>x</p>",
+			},
+			30,
+		),
+		buildArchiveRecord(
+			{ novelId: "b", novelTitle: "Novel B", chapterNumber: 7 },
+			20,
+		),
+	];
+	assert.deepEqual(summarizeArchivedNovels(records), [
+		{
+			novelId: "a",
+			novelTitle: "Novel A",
+			chapterCount: 2,
+			enhancedCount: 1,
+			firstChapter: 1,
+			lastChapter: 3,
+			lastSavedAt: 30,
+		},
+		{
+			novelId: "b",
+			novelTitle: "Novel B",
+			chapterCount: 1,
+			enhancedCount: 0,
+			firstChapter: 7,
+			lastChapter: 7,
+			lastSavedAt: 20,
+		},
+	]);
+	assert.equal(
+		summarizeArchivedNovels(records.map(toChapterSummary))[0].enhancedCount,
+		1,
+	);
+});
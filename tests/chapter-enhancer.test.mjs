@@ -0,0 +1,154 @@
+/**
+ * A chapter enhanced from the library reader or an archive job has no tab and
+ * so no content script to build its prompt. It must still get what a page
+ * request gets — the site's prompt, the novel's own prompt, its glossary and
+ * the custom box classes — or names come out differently depending on where
+ * the reader pressed Enhance.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { mountPage } from "./helpers/dom-harness.mjs";
+import {
+	buildChapterPromptContext,
+	createChapterEnhancer,
+} from "../src/background/ai/chapter-enhancer.js";
+import { DOM_JOBS } from "../src/background/dom-jobs.js";
+import { AO3Handler } from "../src/utils/website-handlers/ao3-handler.js";
+import { setPersistentLoggingEnabled } from "../src/utils/logger.js";
+
+setPersistentLoggingEnabled(false);
+
+const CHAPTER_URL = "https://archiveofourown.org/works/4242/chapters/7";
+
+const chapter = [
+	"<p>Lin Dong bowed to the elder of the Dao Sect.</p>",
+	"<p>The elder did not look up from the scroll.</p>",
+].join("");
+
+const novel = {
+	id: "ao3-4242",
+	customPrompt: "Keep every honorific.",
+	glossary: [
+		{ source: "Lin Dong", preferred: "Lin Tung", category: "character" },
+		{ source: "Dao Sect", preferred: "Daoist Sect", category: "group" },
+		// Not in this chapter, so left out as on the page.
+		{ source: "Yan City", preferred: "Flame City", category: "place" },
+	],
+};
+
+const boxTypes = [
+	{ className: "game-status-box", name: "Status window", emoji: "📊" },
+];
+
+/** Run `fn` in a document, as the offscreen page or event page would. */
+async function inHostDocument(fn) {
+	const page = mountPage(
+		"<html><body></body></html>",
+		"chrome-extension://rg/background/offscreen.html",
+	);
+	try {
+		return await fn();
+	} finally {
+		page.unmount();
+	}
+}
+
+test("the site prompt comes from the chapter URL's handler", async () => {
+	await inHostDocument(async () => {
+		assert.equal(
+			await DOM_JOBS.siteSpecificPrompt({ url: CHAPTER_URL }),
+			AO3Handler.DEFAULT_SITE_PROMPT,
+		);
+		assert.equal(await DOM_JOBS.siteSpecificPrompt({ url: "" }), "");
+	});
+});
+
+test("every piece carries the prompt a page request would", async () => {
+	const payloads = [];
+	const lookups = [];
+	const enhancer = createChapterEnhancer({
+		enhance: async (payload) => {
+			payloads.push(payload);
+			return {
+				enhancedContent: `<p>enhanced ${payloads.length}</p>`,
+				conversationHistory: [`turn ${payloads.length}`],
+			};
+		},
+		split: async (content) => [
+			{ content: content.slice(0, 50) },
+			{ content: content.slice(50) },
+		],
+		getSitePrompt: (url) =>
+			inHostDocument(() => DOM_JOBS.siteSpecificPrompt({ url })),
+		findNovel: async (ref) => {
+			lookups.push(ref);
+			return novel;
+		},
+		getCustomBoxTypes: async () => boxTypes,
+	});
+
+	const enhanced = await enhancer.enhanceChapter({
+		title: "Chapter 7",
+		content: chapter,
+		url: CHAPTER_URL,
+		novelId: novel.id,
+	});
+	assert.equal(enhanced, "<p>enhanced 1</p>\n\n<p>enhanced 2</p>");
+	assert.deepEqual(lookups, [{ novelId: novel.id, url: CHAPTER_URL }]);
+
+	assert.equal(payloads.length, 2);
+	const prompt = payloads[0].siteSpecificPrompt;
+	assert.equal(payloads[1].siteSpecificPrompt, prompt);
+	assert.deepEqual(payloads[1].conversationHistory, ["turn 1"]);
+	assert.deepEqual(payloads[1].partInfo, { current: 2, total: 2 });
+
+	// Site prompt, novel prompt, glossary, box classes: the page's order.
+	assert.ok(prompt.startsWith(`${AO3Handler.DEFAULT_SITE_PROMPT}\n\n`));
+	const order = [
+		"Keep every honorific.",
+		"**Glossary",
+		"- Lin Dong → Lin Tung (character)",
+		"- Dao Sect → Daoist Sect (group)",
+		"**Custom Content Box Classes",
+		"game-status-box",
+	].map((part) => prompt.indexOf(part));
+	assert.ok(
+		order.every((at, i) => at > (order[i - 1] ?? 0)),
+		`${order}`,
+	);
+	assert.ok(!prompt.includes("Flame City"));
+});
+
+test("a prompt source that fails is left out, not fatal", async () => {
+	const prompts = [];
+	const enhancer = createChapterEnhancer({
+		enhance: async (payload) => {
+			prompts.push(payload.siteSpecificPrompt);
+			return { enhancedContent: "<p>ok</p>" };
+		},
+		split: async (content) => [{ content }],
+		getSitePrompt: async () => {
+			throw new Error("offscreen document closed");
+		},
+		findNovel: async () => novel,
+	});
+	await enhancer.enhanceChapter({
+		title: "Chapter 7",
+		content: chapter,
+		url: CHAPTER_URL,
+	});
+	assert.equal(
+		prompts[0],
+		buildChapterPromptContext({ novel, content: chapter }),
+	);
+	assert.match(prompts[0], /^Keep every honorific\.\n\n\*\*Glossary/);
+
+	// No URL and no novel: nothing to look up, so an empty prompt.
+	assert.equal(
+		await enhancer.resolvePrompt({ content: chapter }),
+		buildChapterPromptContext({}),
+	);
+	assert.equal(buildChapterPromptContext({}), "");
+});
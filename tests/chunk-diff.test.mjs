@@ -0,0 +1,164 @@
+/**
+ * The chunk diff is how a reader checks an enhancement against its source, so
+ * it must not lose words in either direction, must keep rewrites readable as
+ * old-then-new, and must never pass chapter text into the page unescaped. The
+ * suspicious-change flag should stay quiet for an ordinary rewrite and trip on
+ * the two things DEFAULT_PROMPT forbids: invented scenes and invented names.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	assessEnhancementChange,
+	diffWords,
+	extractNamedEntities,
+	renderDiffHtml,
+	summarizeDiff,
+	toDiffText,
+} from "../src/utils/chunking/chunk-diff.js";
+import { DEFAULT_CHUNK_SIZE_WORDS } from "../src/utils/constants.js";
+
+const words = (segments, key) =>
+	segments.flatMap((segment) => segment[key] || []).join(" ");
+
+test("insertions, deletions and rewrites are told apart", () => {
+	const segments = diffWords(
+		"<p>Lin walked quietly to the old gate.</p>",
+		"<p>Lin walked to the ancient gate.</p><p>It was shut.</p>",
+	);
+	assert.deepEqual(
+		segments.map((segment) => segment.type),
+		["equal", "delete", "equal", "replace", "equal", "insert"],
+	);
+	assert.deepEqual(segments[1].tokens, ["quietly"]);
+	assert.deepEqual(segments[3], {
+		type: "replace",
+		removed: ["old"],
+		added: ["ancient"],
+	});
+	assert.deepEqual(segments[5].tokens, ["\n", "It", "was", "shut."]);
+	assert.deepEqual(summarizeDiff(segments), {
+		unchanged: 5,
+		inserted: 3,
+		deleted: 1,
+		rewritten: 1,
+	});
+});
+
+test("every word of both versions survives the diff", () => {
+	const original = "One two three four five six seven.\nEight nine ten.";
+	const enhanced = "Zero one three four six seven!\nEight nine, ten. Eleven.";
+	const segments = diffWords(original, enhanced);
+	const side = (skip, replaced) =>
+		segments
+			.flatMap((s) =>
+				s.type === skip
+					? []
+					: s.type === "replace"
+						? s[replaced]
+						: s.tokens,
+			)
+			.filter((token) => token !== "\n")
+			.join(" ");
+	assert.equal(
+		side("insert", "removed"),
+		toDiffText(original).split(/\s+/).join(" "),
+	);
+	assert.equal(side("delete", "added"), enhanced.split(/\s+/).join(" "));
+	assert.equal(words(diffWords("Same text.", "Same text."), "removed"), "");
+});
+
+test("a default-size chunk reworded throughout is diffed word by word", () => {
+	const vocabulary =
+		"the wind carried ash across the valley while Lin counted each step toward a gate that never seemed nearer".split(
+			" ",
+		);
+	const paragraphs = [];
+	const reworded = [];
+	for (let p = 0; p * 80 < DEFAULT_CHUNK_SIZE_WORDS; p++) {
+		const sentence = Array.from(
+			{ length: 80 },
+			(_, i) => vocabulary[(p * 7 + i * 3) % vocabulary.length],
+		);
+		paragraphs.push(sentence.join(" "));
+		// Every paragraph touched, the way an enhancement rewrites them all.
+		reworded.push(
+			sentence
+				.map((word, i) => (i % 9 === 4 ? `${word}ly` : word))
+				.join(" "),
+		);
+	}
+	reworded.splice(20, 0, "A paragraph the original never had.");
+	const html = (list) => list.map((text) => `<p>${text}</p>`).join("");
+
+	const stats = summarizeDiff(diffWords(html(paragraphs), html(reworded)));
+	const total = paragraphs.length * 80;
+	assert.ok(total >= DEFAULT_CHUNK_SIZE_WORDS);
+	assert.equal(stats.deleted, 0);
+	assert.equal(stats.inserted, 6);
+	// Words 4, 13, … 76: nine in every paragraph.
+	assert.equal(stats.rewritten, 9 * paragraphs.length);
+	assert.equal(stats.unchanged, total - stats.rewritten);
+});
+
+test("the rendered diff escapes chapter text and keeps paragraphs", () => {
+	const html = renderDiffHtml(
+		diffWords(
+			"<p>He said &lt;hi&gt;.</p>",
+			"<p>He said &lt;script&gt;.</p><p>Then left.</p>",
+		),
+	);
+	assert.doesNotMatch(html, /<script>/);
+	assert.match(html, /&lt;script&gt;\./);
+	assert.match(html, /<del class="rg-diff-del"[^>]*>&lt;hi&gt;\.<\/del>/);
+	assert.match(
+		html,
+		/<ins class="rg-diff-ins"[^>]*>&lt;script&gt;\.\n\nThen left\.<\/ins>/,
+	);
+	assert.match(html, /^He said /);
+});
+
+test("named entities skip sentence starts and common capitals", () => {
+	const names = extractNamedEntities(
+		'The sect elder bowed to Lin Feng. Lin Feng\'s sword hummed.\n"Mr Zhao," I said to Zhao.',
+	);
+	assert.deepEqual([...names].sort(), ["Feng", "Lin", "Zhao"]);
+});
+
+test("an ordinary rewrite is not flagged", () => {
+	const original =
+		"Lin Feng stood at the gate of the Azure Cloud Sect, waiting. The guard looked at him with suspicion and asked for his token. He handed it over without a word and the guard let him in after a long moment of silence.";
+	const enhanced =
+		"Lin Feng waited at the gate of the Azure Cloud Sect. The guard eyed him suspiciously and demanded his token. Wordlessly, he handed it over, and after a long, silent moment the guard let him through.";
+	const report = assessEnhancementChange(original, enhanced);
+	assert.equal(report.suspicious, false, report.reasons.join("; "));
+	assert.deepEqual(report.addedEntities, []);
+});
+
+test("invented names and padded length are flagged", () => {
+	const original =
+		"Lin Feng stood at the gate of the Azure Cloud Sect, waiting. The guard looked at him with suspicion and asked for his token. He handed it over without a word and the guard let him in after a long moment.";
+	const enhanced = `${original} Inside, Elder Mo Chen and his disciple Xue Ying were already waiting with Princess Yue, who had travelled from the Northern Court to see him. They talked late into the night about the coming tournament, the rival sects, and the secret manual hidden beneath the library that nobody had ever managed to find.`;
+	const report = assessEnhancementChange(original, enhanced);
+	assert.equal(report.suspicious, true);
+	assert.equal(report.reasons.length, 2);
+	assert.ok(report.addedEntities.includes("Xue"));
+	assert.ok(report.wordChangePercent > 40);
+
+	assert.equal(
+		assessEnhancementChange(original, enhanced, {
+			wordChangePercent: 500,
+			addedEntities: 50,
+		}).suspicious,
+		false,
+	);
+	// Too short for the ratio to mean anything.
+	assert.equal(
+		assessEnhancementChange(
+			"He left.",
+			"He left the room quietly, closing the door behind him.",
+		).suspicious,
+		false,
+	);
+});
@@ -0,0 +1,397 @@
+/**
+ * A custom site is a handler written as data: domains plus selectors, typed
+ * into the settings page or imported from a file someone shared. Nothing
+ * reviews that data before it runs on every page of the site, so these tests
+ * pin the two things that stand in for review — validation on the way in, and
+ * a handler that degrades instead of throwing when a selector finds nothing —
+ * and check the handler it produces behaves like a built-in one to the rest of
+ * the extension (handler contract, HandlerManager lookup, library shelf).
+ */
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import test from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { mountPage, withPage } from "./helpers/dom-harness.mjs";
+import { previewCustomSiteInTab } from "../src/background/custom-site-scripts.js";
+import {
+	CUSTOM_SITES_EXPORT_FORMAT,
+	CUSTOM_SITES_KEY,
+	customSiteOrigins,
+	exportCustomSites,
+	mergeCustomSites,
+	normalizeCustomSite,
+	parseCustomSitesImport,
+	validateCustomSite,
+} from "../src/utils/custom-sites.js";
+import {
+	CustomSiteHandler,
+	createCustomSiteHandler,
+	previewCustomSite,
+} from "../src/utils/website-handlers/custom-site.js";
+import { validateHandlerContractRuntime } from "../src/utils/website-handlers/handler-contract.js";
+import { HandlerManager } from "../src/utils/website-handlers/handler-manager.js";
+import { setPersistentLoggingEnabled } from "../src/utils/logger.js";
+
+setPersistentLoggingEnabled(false);
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures");
+const fixture = (name) =>
+	readFileSync(join(FIXTURE_DIR, `${name}.html`), "utf8");
+
+const CHAPTER_URL = "https://moonlit.example.org/lantern-keeper/chapter-7/";
+const NOVEL_URL = "https://moonlit.example.org/lantern-keeper/";
+
+const MOONLIT = {
+	id: "rg-site-1",
+	name: "Moonlit Translations",
+	domains: ["https://Moonlit.example.org/lantern-keeper/"],
+	selectors: {
+		title: "h1.entry-title",
+		content: ".entry-content",
+		next: "a.next",
+		prev: "a.prev",
+		remove: ".tl-note, .sharedaddy",
+		novelLink: "a.toc",
+		novelTitle: "h1.novel-title",
+		author: ".novel-author",
+		description: ".novel-synopsis",
+		cover: ".novel-cover",
+		tags: ".novel-tags li",
+		status: ".novel-status",
+	},
+};
+
+// ── Definitions ───────────────────────────────────────────────────────────────
+
+test("normalising reduces pasted URLs to host patterns and splits lists", () => {
+	const site = normalizeCustomSite({
+		...MOONLIT,
+		domains:
+			"https://Moonlit.example.org/x, *.Moonlit.example.org\nmoonlit.example.org",
+	});
+	assert.deepEqual(site.domains, [
+		"moonlit.example.org",
+		"*.moonlit.example.org",
+	]);
+	assert.deepEqual(site.selectors.remove, [".tl-note", ".sharedaddy"]);
+	assert.equal(site.enabled, true);
+	assert.deepEqual(customSiteOrigins(site), [
+		"*://moonlit.example.org/*",
+		"*://*.moonlit.example.org/*",
+	]);
+});
+
+test("validation names every problem with a definition", () => {
+	withPage("<html><body></body></html>", NOVEL_URL, () => {
+		const site = normalizeCustomSite({
+			name: "",
+			domains: ["not a domain", "www.royalroad.com"],
+			chapterPath: "chapter-(",
+			selectors: { content: "", title: "h1[" },
+		});
+		const { isValid, errors } = validateCustomSite(site, {
+			reservedDomains: ["*.royalroad.com", "royalroad.com"],
+		});
+		assert.equal(isValid, false);
+		assert.deepEqual(errors, [
+			"Name is required",
+			'"not a domain" is not a domain or *.domain pattern',
+			"www.royalroad.com already has a built-in handler",
+			"Chapter path is not a valid regular expression",
+			"Content selector is required",
+			"title selector is not valid CSS",
+		]);
+	});
+
+	assert.deepEqual(validateCustomSite(normalizeCustomSite(MOONLIT)), {
+		isValid: true,
+		errors: [],
+	});
+});
+
+test("exports round-trip, and imports accept what people paste to each other", () => {
+	const site = normalizeCustomSite(MOONLIT);
+	const exported = exportCustomSites([site]);
+	assert.equal(JSON.parse(exported).format, CUSTOM_SITES_EXPORT_FORMAT);
+	assert.deepEqual(parseCustomSitesImport(exported).sites, [site]);
+
+	// A bare array and a single definition both import.
+	assert.equal(
+		parseCustomSitesImport(JSON.stringify([MOONLIT])).sites.length,
+		1,
+	);
+	assert.equal(
+		parseCustomSitesImport(JSON.stringify(MOONLIT)).sites.length,
+		1,
+	);
+
+	// Invalid entries are reported and left out, not fatal.
+	const mixed = parseCustomSitesImport(
+		JSON.stringify([
+			MOONLIT,
+			{ name: "Broken", domains: [], selectors: {} },
+		]),
+	);
+	assert.equal(mixed.sites.length, 1);
+	assert.match(mixed.errors[0], /^Broken: At least one domain is required/);
+
+	assert.throws(() => parseCustomSitesImport("{"), /not valid JSON/);
+	assert.throws(
+		() => parseCustomSitesImport(JSON.stringify({ novels: [] })),
+		/does not contain custom site definitions/,
+	);
+	assert.throws(
+		() =>
+			parseCustomSitesImport(
+				JSON.stringify({
+					format: CUSTOM_SITES_EXPORT_FORMAT,
+					version: 99,
+				}),
+			),
+		/newer than this extension supports/,
+	);
+});
+
+test("an import replaces definitions with the same id and appends the rest", () => {
+	const original = normalizeCustomSite(MOONLIT);
+	const renamed = { ...original, name: "Moonlit TL" };
+	const other = normalizeCustomSite({ ...MOONLIT, id: "rg-site-2" });
+	const merged = mergeCustomSites([original], [renamed, other]);
+	assert.deepEqual(
+		merged.map((s) => [s.id, s.name]),
+		[
+			["rg-site-1", "Moonlit TL"],
+			["rg-site-2", "Moonlit Translations"],
+		],
+	);
+});
+
+// ── The handler a definition produces ─────────────────────────────────────────
+
+test("a definition meets the handler contract only once it has domains", () => {
+	const handler = createCustomSiteHandler(MOONLIT);
+	assert.ok(handler instanceof CustomSiteHandler);
+	assert.equal(validateHandlerContractRuntime(handler).isValid, true);
+	assert.equal(handler.constructor.HANDLER_TYPE, "dedicated_page");
+
+	const empty = createCustomSiteHandler({ ...MOONLIT, domains: [] });
+	assert.deepEqual(validateHandlerContractRuntime(empty).missingRequired, [
+		"static SUPPORTED_DOMAINS[]",
+	]);
+	// Without a novel link, metadata comes from the chapter page itself.
+	const noLink = createCustomSiteHandler({
+		...MOONLIT,
+		selectors: { ...MOONLIT.selectors, novelLink: "" },
+	});
+	assert.equal(noLink.constructor.HANDLER_TYPE, "chapter_embedded");
+});
+
+test("chapter extraction follows the selectors and strips the noise", () => {
+	withPage(fixture("custom-site-chapter"), CHAPTER_URL, () => {
+		const handler = createCustomSiteHandler(MOONLIT);
+		assert.equal(handler.canHandle(), true);
+		assert.equal(handler.isChapterPage(), true);
+		assert.equal(handler.isNovelPage(), false);
+
+		const content = handler.extractContent();
+		assert.equal(content.found, true);
+		assert.equal(
+			content.title,
+			"Lantern Keeper – Chapter 7: Ash on the Water",
+		);
+		assert.match(
+			content.text,
+			/walked the road ahead, shadowed and afraid/,
+		);
+		assert.match(content.text, /all the way to the sea/);
+		for (const noise of ["TL note", "Share on X", "window.tracker"]) {
+			assert.ok(!content.text.includes(noise), noise);
+		}
+
+		const nav = handler.getChapterNavigation();
+		assert.equal(
+			nav.previousUrl,
+			"https://moonlit.example.org/lantern-keeper/chapter-6/",
+		);
+		assert.equal(
+			nav.nextUrl,
+			"https://moonlit.example.org/lantern-keeper/chapter-8/",
+		);
+		assert.equal(nav.currentChapter, 7);
+		assert.equal(handler.getMetadataSourceUrl(), NOVEL_URL);
+	});
+});
+
+test("a chapter and its novel page get the same novel id", () => {
+	const chapterId = withPage(
+		fixture("custom-site-chapter"),
+		CHAPTER_URL,
+		() => createCustomSiteHandler(MOONLIT).generateNovelId(),
+	);
+	const novelId = withPage(fixture("custom-site-novel"), NOVEL_URL, () =>
+		createCustomSiteHandler(MOONLIT).generateNovelId(),
+	);
+	assert.match(chapterId, /^custom-[0-9a-z]+$/);
+	assert.equal(chapterId, novelId);
+
+	// Without a novel link the chapter's parent path stands in for it.
+	const fallbackId = withPage(
+		fixture("custom-site-chapter"),
+		CHAPTER_URL,
+		() =>
+			createCustomSiteHandler({
+				...MOONLIT,
+				selectors: { ...MOONLIT.selectors, novelLink: "" },
+			}).generateNovelId(),
+	);
+	assert.equal(fallbackId, novelId);
+});
+
+test("novel page metadata comes from the novel selectors", () => {
+	withPage(fixture("custom-site-novel"), NOVEL_URL, () => {
+		const handler = createCustomSiteHandler(MOONLIT);
+		assert.equal(handler.isChapterPage(), false);
+		assert.equal(handler.isNovelPage(), true);
+
+		const metadata = handler.extractNovelMetadata();
+		assert.equal(metadata.title, "Lantern Keeper");
+		assert.equal(metadata.author, "Author: Qing Yuan");
+		assert.equal(
+			metadata.description,
+			"A river town keeps its lanterns lit for the dead.",
+		);
+		// The lazy-loaded image, not the placeholder.
+		assert.equal(
+			metadata.coverUrl,
+			"https://moonlit.example.org/wp-content/uploads/lantern-keeper.jpg",
+		);
+		assert.deepEqual(metadata.tags, ["Fantasy", "Slice of Life"]);
+		assert.equal(metadata.status, "Ongoing");
+		assert.equal(metadata.site, "Moonlit Translations");
+		assert.equal(metadata.needsDetailPage, false);
+	});
+});
+
+test("a selector that finds nothing, or does not parse, degrades instead of throwing", () => {
+	withPage(fixture("custom-site-chapter"), CHAPTER_URL, () => {
+		const handler = createCustomSiteHandler({
+			...MOONLIT,
+			selectors: { content: "#missing", title: "h1[", remove: ["p["] },
+		});
+		assert.equal(handler.isChapterPage(), false);
+		assert.equal(handler.extractContent().found, false);
+		assert.equal(
+			handler.extractTitle(),
+			"Lantern Keeper – Chapter 7 – Moonlit Translations",
+		);
+		assert.equal(handler.getChapterNavigation().nextUrl, null);
+	});
+});
+
+test("the live preview reports what a draft definition finds", () => {
+	withPage(fixture("custom-site-chapter"), CHAPTER_URL, () => {
+		const preview = previewCustomSite(MOONLIT);
+		assert.equal(preview.contract.isValid, true);
+		assert.equal(preview.matchesPage, true);
+		assert.equal(preview.isChapterPage, true);
+		assert.equal(preview.words > 20, true);
+		assert.equal(preview.navigation.nextUrl.endsWith("/chapter-8/"), true);
+		// It crosses a message boundary, so it must survive JSON.
+		assert.deepEqual(JSON.parse(JSON.stringify(preview)), preview);
+
+		const elsewhere = previewCustomSite({
+			...MOONLIT,
+			domains: ["other.example"],
+		});
+		assert.equal(elsewhere.matchesPage, false);
+	});
+});
+
+test("the preview runs in the open tab that shows the page", async () => {
+	const page = mountPage(fixture("custom-site-chapter"), CHAPTER_URL);
+	try {
+		const injected = [];
+		Object.assign(browser, {
+			runtime: {
+				// In the tab this is the module's dynamic URL.
+				getURL: (path) =>
+					new URL(`../src/${path}`, import.meta.url).href,
+				getManifest: () => ({
+					content_scripts: [
+						{
+							js: [
+								"lib/browser-polyfill.min.js",
+								"content/content.js",
+							],
+						},
+					],
+				}),
+			},
+			tabs: {
+				query: async () => [{ id: 7, url: `${CHAPTER_URL}#comments` }],
+			},
+			scripting: {
+				async executeScript({ target, files, func, args }) {
+					injected.push([target.tabId, files || "func"]);
+					return [{ result: func ? await func(...args) : undefined }];
+				},
+			},
+		});
+
+		const preview = await previewCustomSiteInTab(MOONLIT, CHAPTER_URL);
+		assert.equal(preview.isChapterPage, true);
+		assert.equal(preview.navigation.nextUrl.endsWith("/chapter-8/"), true);
+		assert.deepEqual(injected, [
+			[7, ["lib/browser-polyfill.min.js"]],
+			[7, "func"],
+		]);
+
+		// No tab shows the novel page: the caller falls back to fetching it.
+		assert.equal(await previewCustomSiteInTab(MOONLIT, NOVEL_URL), null);
+	} finally {
+		page.unmount();
+	}
+});
+
+// ── Wiring ────────────────────────────────────────────────────────────────────
+
+test("the HandlerManager picks a saved, enabled definition for its domain", async () => {
+	const page = mountPage(fixture("custom-site-chapter"), CHAPTER_URL);
+	try {
+		const manager = new HandlerManager();
+		await browser.storage.local.set({ [CUSTOM_SITES_KEY]: [MOONLIT] });
+		const handler = await manager.getHandlerForCurrentSite();
+		assert.ok(handler instanceof CustomSiteHandler);
+		assert.equal(handler.getSiteIdentifier(), "Moonlit Translations");
+		assert.equal(
+			(await manager.getHandlerByDomain("moonlit.example.org"))
+				?.definition.id,
+			"rg-site-1",
+		);
+
+		// Edits apply without reloading the manager: disabled means generic.
+		await browser.storage.local.set({
+			[CUSTOM_SITES_KEY]: [{ ...MOONLIT, enabled: false }],
+		});
+		const generic = await manager.getHandlerForCurrentSite();
+		assert.equal(generic instanceof CustomSiteHandler, false);
+	} finally {
+		page.unmount();
+	}
+});
+
+test("novels from a custom site land on the Custom Sites shelf", async () => {
+	const { novelLibrary } = await import("../src/utils/novel-library.js");
+	withPage(fixture("custom-site-chapter"), CHAPTER_URL, () => {
+		const handler = createCustomSiteHandler(MOONLIT);
+		const novel = novelLibrary.createNovelFromContext(
+			{ url: CHAPTER_URL, title: "Lantern Keeper", chapterNumber: 7 },
+			handler,
+		);
+		assert.equal(novel.shelfId, "custom");
+		assert.equal(novel.id, handler.generateNovelId());
+	});
+});
@@ -0,0 +1,234 @@
+/**
+ * Restoring a desktop backup on a phone must not bring the desktop's font
+ * size and theme with it. Device settings stay put on every restore and
+ * import unless asked for; they move between browsers only through named
+ * profiles, which are shared, and each browser applies the one it uses.
+ */
+
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import test from "node:test";
+
+import {
+	isDeviceSetting,
+	mergeDeviceProfiles,
+	omitDeviceSettings,
+	pickDeviceSettings,
+	profileIdForName,
+} from "../src/utils/device-profiles.js";
+import { setPersistentLoggingEnabled } from "../src/utils/logger.js";
+
+setPersistentLoggingEnabled(false);
+
+const schema = JSON.parse(
+	await readFile(
+		new URL("../docs/backup/ranobe-backup.schema.json", import.meta.url),
+		"utf8",
+	),
+);
+
+function setupBrowser(t, store) {
+	const previous = globalThis.browser;
+	const previousFetch = globalThis.fetch;
+	globalThis.fetch = async () => ({ ok: true, json: async () => schema });
+	globalThis.browser = {
+		runtime: {
+			getManifest: () => ({ version: "5.1.0" }),
+			getURL: (path) => path,
+		},
+		storage: {
+			local: {
+				get: async (keys) =>
+					Object.fromEntries(
+						(keys === null ? Object.keys(store) : [keys].flat())
+							.filter((key) => key in store)
+							.map((key) => [key, structuredClone(store[key])]),
+					),
+				set: async (items) =>
+					Object.assign(store, structuredClone(items)),
+				remove: async (keys) => {
+					for (const key of [keys].flat()) delete store[key];
+				},
+			},
+		},
+	};
+	t.after(() => {
+		globalThis.browser = previous;
+		globalThis.fetch = previousFetch;
+	});
+}
+
+const desktop = {
+	id: "desktop",
+	name: "desktop",
+	settings: { fontSize: 100, readingFont: "serif" },
+	updatedAt: 100,
+};
+const phone = {
+	id: "phone",
+	name: "phone",
+	settings: { fontSize: 130, chunkingEnabled: false },
+	updatedAt: 200,
+};
+
+test("settings split into device-local and shared", () => {
+	assert.ok(isDeviceSetting("fontSize"));
+	assert.ok(isDeviceSetting("themeSettings"));
+	assert.ok(isDeviceSetting("chunkSizeWords"));
+	assert.ok(!isDeviceSetting("apiKey"));
+	assert.ok(!isDeviceSetting("rg_novel_library"));
+
+	const values = { fontSize: 120, apiKey: "k", bgColor: undefined };
+	assert.deepEqual(pickDeviceSettings(values), { fontSize: 120 });
+	assert.deepEqual(omitDeviceSettings(values), { apiKey: "k" });
+});
+
+test("profile ids come from names and merges keep the newest copy", () => {
+	assert.equal(profileIdForName("E-Ink Tablet"), "e-ink-tablet");
+	assert.equal(profileIdForName("  Desktop ", { desktop }), "desktop");
+	assert.equal(
+		profileIdForName("Desktop!", {
+			desktop: { ...desktop, name: "work desktop" },
+		}),
+		"desktop-2",
+	);
+	assert.equal(profileIdForName("📱"), "profile");
+
+	const older = { ...phone, updatedAt: 50, settings: { fontSize: 90 } };
+	assert.deepEqual(
+		mergeDeviceProfiles({ desktop, phone: older }, { phone }),
+		{
+			desktop,
+			phone,
+		},
+	);
+	assert.deepEqual(mergeDeviceProfiles({ phone }, { phone: older }), {
+		phone,
+	});
+});
+
+test("a profile follows the browser that uses it", async (t) => {
+	const store = { fontSize: 110, readingFont: "sans", apiKey: "k" };
+	setupBrowser(t, store);
+	const {
+		activateDeviceProfile,
+		deleteDeviceProfile,
+		recordDeviceSettingChanges,
+		saveDeviceProfile,
+	} = await import("../src/utils/device-profiles.js");
+
+	const saved = await saveDeviceProfile(" Desktop ");
+	assert.equal(saved.id, "desktop");
+	assert.deepEqual(saved.settings, { fontSize: 110, readingFont: "sans" });
+	assert.equal(store.rg_active_device_profile, "desktop");
+
+	store.rg_device_profiles.phone = phone;
+	await activateDeviceProfile("phone");
+	assert.equal(store.fontSize, 130);
+	assert.equal(store.chunkingEnabled, false);
+	assert.equal(store.readingFont, "sans", "keys the profile lacks stay");
+
+	assert.equal(
+		await recordDeviceSettingChanges({ fontSize: { newValue: 130 } }),
+		false,
+		"applying a profile does not echo back into it",
+	);
+	assert.equal(
+		await recordDeviceSettingChanges({ apiKey: { newValue: "x" } }),
+		false,
+	);
+	store.fontSize = 140;
+	assert.equal(
+		await recordDeviceSettingChanges({ fontSize: { newValue: 140 } }),
+		true,
+	);
+	assert.equal(store.rg_device_profiles.phone.settings.fontSize, 140);
+	assert.ok(store.rg_device_profiles.phone.updatedAt > phone.updatedAt);
+	assert.equal(store.rg_device_profiles.desktop.settings.fontSize, 110);
+
+	await deleteDeviceProfile("phone");
+	assert.equal(store.rg_device_profiles.phone, undefined);
+	assert.equal(store.rg_active_device_profile, undefined);
+	assert.equal(store.fontSize, 140, "deleting keeps the current settings");
+});
+
+test("restores and imports keep device settings and apply this browser's profile", async (t) => {
+	const store = {
+		rg_novel_library: { novels: {}, shelves: {}, schemaVersion: 2 },
+		fontSize: 130,
+		readingFont: "sans",
+		rg_device_profiles: { phone },
+		rg_active_device_profile: "phone",
+	};
+	setupBrowser(t, store);
+	const { restoreComprehensiveBackup } =
+		await import("../src/utils/comprehensive-backup.js");
+	const { novelLibrary } = await import("../src/utils/novel-library.js");
+
+	const newerPhone = {
+		...phone,
+		settings: { fontSize: 125 },
+		updatedAt: 300,
+	};
+	const backup = {
+		version: "3.0",
+		schemaVersion: 2,
+		type: "full",
+		createdAt: 1,
+		createdAtISO: "1970-01-01T00:00:00.001Z",
+		extensionVersion: "5.1.0",
+		browser: "firefox",
+		data: {
+			fontSize: 100,
+			readingFont: "serif",
+			promptTemplate: "shared prompt",
+			rg_device_profiles: { desktop, phone: newerPhone },
+		},
+		chapters: {},
+	};
+
+	const result = await restoreComprehensiveBackup(backup, { mode: "merge" });
+	assert.equal(store.promptTemplate, "shared prompt");
+	assert.equal(store.fontSize, 125, "the phone profile, not the desktop");
+	assert.equal(store.readingFont, "sans");
+	assert.deepEqual(Object.keys(store.rg_device_profiles).sort(), [
+		"desktop",
+		"phone",
+	]);
+	assert.equal(store.rg_active_device_profile, "phone");
+	assert.equal(result.deviceProfile, "phone");
+	assert.ok(result.skippedKeys.includes("fontSize"));
+	assert.ok(result.skippedKeys.includes("readingFont"));
+
+	await restoreComprehensiveBackup(backup, {
+		mode: "merge",
+		restoreDeviceSettings: true,
+	});
+	assert.equal(store.fontSize, 100, "on request the backup's own values");
+	assert.equal(store.readingFont, "serif");
+
+	store.fontSize = 130;
+	store.readingFont = "sans";
+	store.rg_device_profiles = { phone };
+	const imported = await novelLibrary.importLibrary(
+		{
+			version: "2.0",
+			library: { novels: {}, shelves: {} },
+			settings: {
+				fontSize: 100,
+				themeMode: "light",
+				temperature: 0.4,
+				rg_device_profiles: { desktop, phone: newerPhone },
+			},
+		},
+		true,
+	);
+	assert.equal(imported.success, true);
+	assert.equal(store.temperature, 0.4);
+	assert.equal(store.themeMode, undefined);
+	assert.equal(store.fontSize, 125);
+	assert.deepEqual(Object.keys(store.rg_device_profiles).sort(), [
+		"desktop",
+		"phone",
+	]);
+});
@@ -0,0 +1,215 @@
+/**
+ * The enhancement guard is the only thing between a model that ignored
+ * "NEVER generate new content" and the reader's page. It has to let ordinary
+ * edits through untouched (a false alarm costs a second request and can throw
+ * away good text), catch a continued story, a summary and the empty-input
+ * sentinel, and give a bad answer exactly one stricter second chance.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	createEnhancementGuard,
+	validateEnhancement,
+} from "../src/background/ai/enhancement-guard.js";
+import { buildGlossaryPromptBlock } from "../src/utils/novel-glossary.js";
+
+const ORIGINAL = [
+	"Lin Feng stood at the gate of the Azure Cloud Sect and waited for the guard to notice him.",
+	'"State your business," the guard said, without looking up from his ledger.',
+	'"I am here for the entrance trial," Lin Feng replied, and held out the jade token.',
+	"The guard turned the token over twice, frowned, and finally waved him through the gate.",
+].join("\n\n");
+
+const EDITED = [
+	"Lin Feng stood before the gate of the Azure Cloud Sect, waiting for the guard to notice him.",
+	'"State your business," said the guard, not looking up from his ledger.',
+	'"I have come for the entrance trial," Lin Feng answered, holding out the jade token.',
+	"The guard turned the token over twice and frowned before finally waving him through.",
+]
+	.map((p) => `<p>${p}</p>`)
+	.join("");
+
+const CONTINUED = `${EDITED}${[
+	"Inside, Elder Mo Chen was already waiting beside Princess Yue and her guard captain Xue Ying.",
+	'"You are late," Elder Mo said. "The trial began an hour ago."',
+	'"Then I will finish it in half the time," Lin Feng said.',
+	'Princess Yue laughed. "I like him already."',
+	"They walked together toward the Hall of Trials, where a hundred disciples had gathered to watch.",
+]
+	.map((p) => `<p>${p}</p>`)
+	.join("")}`;
+
+test("an ordinary edit passes every check", () => {
+	const verdict = validateEnhancement(ORIGINAL, EDITED);
+	assert.equal(verdict.ok, true, verdict.reasons.join("; "));
+	assert.equal(verdict.metrics.paragraphs.enhanced, 4);
+	assert.equal(verdict.metrics.dialogue.original, 2);
+});
+
+test("a continued story fails on length, names and dialogue", () => {
+	const verdict = validateEnhancement(ORIGINAL, CONTINUED);
+	assert.equal(verdict.ok, false);
+	const text = verdict.reasons.join("\n");
+	assert.match(text, /new content added/);
+	assert.match(text, /Names not in the original: .*Xue/);
+	assert.equal(verdict.metrics.dialogue.enhanced, 6);
+	assert.deepEqual(
+		validateEnhancement(ORIGINAL, CONTINUED, {
+			maxWordRatio: 10,
+			maxNewProperNouns: 10,
+			dialogueSlack: 3,
+		}).reasons,
+		["Dialogue lines went from 2 to 6"],
+	);
+});
+
+test("names the glossary asked for are not new names", async () => {
+	const glossary = buildGlossaryPromptBlock(
+		[
+			{
+				source: "Lin Feng",
+				preferred: "Lyn Fenn",
+				category: "character",
+			},
+			{
+				source: "Azure Cloud Sect",
+				preferred: "Qingyun Sect",
+				category: "group",
+			},
+			{
+				source: "entrance trial",
+				preferred: "Ascension Rite",
+				category: "concept",
+			},
+		],
+		{ content: ORIGINAL },
+	);
+	const renamed = EDITED.replaceAll("Lin Feng", "Lyn Fenn")
+		.replace("Azure Cloud Sect", "Qingyun Sect")
+		.replace("entrance trial", "Ascension Rite");
+
+	// Five names the chunk never mentions, all of them the glossary's.
+	assert.deepEqual(
+		validateEnhancement(ORIGINAL, renamed).metrics.newProperNouns.sort(),
+		["Ascension", "Fenn", "Lyn", "Qingyun", "Rite"],
+	);
+	const prompted = validateEnhancement(
+		ORIGINAL,
+		renamed,
+		{},
+		{ prompt: glossary },
+	);
+	assert.equal(prompted.ok, true, prompted.reasons.join("; "));
+
+	let calls = 0;
+	const guard = createEnhancementGuard({
+		enhance: async () => {
+			calls++;
+			return { enhancedContent: renamed };
+		},
+	});
+	await guard.enhance({ content: ORIGINAL, siteSpecificPrompt: glossary });
+	assert.equal(calls, 1);
+
+	// The glossary does not cover names it never mentions.
+	const continued = validateEnhancement(
+		ORIGINAL,
+		CONTINUED.replaceAll("Lin Feng", "Lyn Fenn"),
+		{ maxWordRatio: 10 },
+		{ prompt: glossary },
+	);
+	assert.match(continued.reasons.join(), /Names not in the original: .*Xue/);
+	assert.ok(!continued.metrics.newProperNouns.includes("Lyn"));
+});
+
+test("merging the paragraphs fails even when every word is kept", () => {
+	const merged = `<p>${ORIGINAL.replace(/\n\n/g, " ")}</p>`;
+	assert.deepEqual(validateEnhancement(ORIGINAL, merged).reasons, [
+		"Paragraph count changed from 4 to 1",
+	]);
+});
+
+test("a summary and the empty-input sentinel fail", () => {
+	const summary = validateEnhancement(
+		ORIGINAL,
+		"<p>Lin Feng enters the Azure Cloud Sect for the trial.</p>",
+	);
+	assert.equal(summary.ok, false);
+	assert.match(summary.reasons.join(), /summarised or cut off/);
+
+	const sentinel = validateEnhancement(
+		ORIGINAL,
+		"ERROR: No content provided for enhancement.",
+	);
+	assert.match(sentinel.reasons[0], /No content provided/);
+});
+
+test("a rejected answer is retried once with a stricter prompt", async () => {
+	const calls = [];
+	const answers = [CONTINUED, EDITED];
+	const guard = createEnhancementGuard({
+		enhance: async (payload) => {
+			calls.push(payload);
+			return {
+				enhancedContent: answers[calls.length - 1],
+				modelInfo: { provider: "gemini" },
+			};
+		},
+	});
+
+	const result = await guard.enhance({
+		content: ORIGINAL,
+		siteSpecificPrompt: "Keep honorifics.",
+	});
+	assert.equal(calls.length, 2);
+	assert.equal(calls[0].siteSpecificPrompt, "Keep honorifics.");
+	assert.match(calls[1].siteSpecificPrompt, /^Keep honorifics\.\n\n/);
+	assert.match(calls[1].siteSpecificPrompt, /STRICT MODE/);
+	assert.match(calls[1].siteSpecificPrompt, /new content added/);
+	assert.equal(result.enhancedContent, EDITED);
+	assert.equal(result.modelInfo.guardRetried, true);
+	assert.equal(result.modelInfo.provider, "gemini");
+});
+
+test("two bad answers reject the chunk; a good one costs one call", async () => {
+	let calls = 0;
+	const badGuard = createEnhancementGuard({
+		enhance: async () => {
+			calls++;
+			return { enhancedContent: CONTINUED };
+		},
+	});
+	await assert.rejects(badGuard.enhance({ content: ORIGINAL }), (error) => {
+		assert.equal(error.guardRejected, true);
+		assert.equal(error._nonRetryable, true);
+		assert.match(error.message, /^Enhancement rejected, original kept: /);
+		return true;
+	});
+	assert.equal(calls, 2);
+
+	calls = 0;
+	const goodGuard = createEnhancementGuard({
+		enhance: async () => {
+			calls++;
+			return { enhancedContent: EDITED };
+		},
+	});
+	await goodGuard.enhance({ content: ORIGINAL });
+	assert.equal(calls, 1);
+
+	calls = 0;
+	const offGuard = createEnhancementGuard({
+		enhance: async () => {
+			calls++;
+			return { enhancedContent: CONTINUED };
+		},
+		isEnabled: async () => false,
+	});
+	assert.equal(
+		(await offGuard.enhance({ content: ORIGINAL })).enhancedContent,
+		CONTINUED,
+	);
+	assert.equal(calls, 1);
+});
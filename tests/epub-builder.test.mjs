@@ -0,0 +1,141 @@
+/**
+ * An EPUB that an e-reader rejects fails silently from the user's side: the
+ * download succeeds, the file just never opens. The reader-side rules that
+ * cause that — `mimetype` first and stored, correct zip checksums, well-formed
+ * XHTML — are invisible in the library UI, so they are pinned here.
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+
+import {
+	buildEpub,
+	createStoredZip,
+	crc32,
+	dataUrlToCover,
+	htmlToXhtml,
+} from "../src/utils/epub-builder.js";
+import { readZip } from "./helpers/read-zip.mjs";
+
+const decoder = new TextDecoder();
+
+const text = (entry) => decoder.decode(entry.data);
+
+const SAMPLE_BOOK = {
+	identifier: "urn:ranobe-gemini:ao3-123",
+	title: "Partners? & Rivals",
+	author: "ReluctantSidekick",
+	description: "Line one\nLine <two>",
+	tags: ["Action", "Action", "Slow Burn"],
+	sourceUrl: "https://archiveofourown.org/works/123",
+	chapters: [
+		{ title: "Chapter 1", html: "<p>First<p>Second &amp; third<br>" },
+		{ title: "Chapter 2", html: "<p>Plain</p><script>alert(1)</script>" },
+	],
+	modified: new Date("2026-10-19T08:00:00.123Z"),
+};
+
+test("crc32 matches zlib", () => {
+	const data = new TextEncoder().encode("The quick brown fox");
+	assert.equal(crc32(data), zlib.crc32(data));
+	assert.equal(crc32(new Uint8Array()), 0);
+});
+
+test("stored zip round-trips names, bytes and checksums", () => {
+	const zip = createStoredZip([
+		{ name: "a.txt", data: "hello" },
+		{ name: "dir/b.bin", data: new Uint8Array([0, 1, 2, 255]) },
+	]);
+	const entries = readZip(zip);
+	assert.deepEqual(
+		entries.map((e) => e.name),
+		["a.txt", "dir/b.bin"],
+	);
+	for (const entry of entries) {
+		assert.equal(entry.method, 0);
+		assert.equal(entry.crc, zlib.crc32(entry.data));
+	}
+	assert.equal(text(entries[0]), "hello");
+	assert.deepEqual([...entries[1].data], [0, 1, 2, 255]);
+});
+
+test("mimetype is the first entry, stored, at the fixed offset readers sniff", () => {
+	const epub = buildEpub(SAMPLE_BOOK);
+	const [first] = readZip(epub);
+	assert.equal(first.name, "mimetype");
+	assert.equal(first.local, 0);
+	assert.equal(first.method, 0);
+	// Readers detect EPUB by the literal bytes at offset 38.
+	assert.equal(
+		decoder.decode(epub.subarray(38, 38 + 20)),
+		"application/epub+zip",
+	);
+});
+
+test("package document carries metadata, nav and every chapter in order", () => {
+	const entries = readZip(buildEpub(SAMPLE_BOOK));
+	const byName = Object.fromEntries(entries.map((e) => [e.name, e]));
+	assert.ok(byName["META-INF/container.xml"]);
+	const opf = text(byName["OEBPS/content.opf"]);
+
+	assert.match(opf, /<dc:title>Partners\? &amp; Rivals<\/dc:title>/);
+	assert.match(opf, /<dc:creator>ReluctantSidekick<\/dc:creator>/);
+	assert.match(opf, /dcterms:modified">2026-10-19T08:00:00Z</);
+	assert.equal(opf.match(/<dc:subject>/g).length, 2, "tags are deduped");
+	assert.match(opf, /properties="nav"/);
+
+	const spine = [...opf.matchAll(/<itemref idref="([^"]+)"/g)].map(
+		(m) => m[1],
+	);
+	assert.deepEqual(spine, ["title-page", "chapter-1", "chapter-2"]);
+
+	const nav = text(byName["OEBPS/nav.xhtml"]);
+	assert.match(nav, /href="chapter-0001.xhtml">Chapter 1</);
+	assert.match(nav, /href="chapter-0002.xhtml">Chapter 2</);
+	assert.ok(byName["OEBPS/toc.ncx"], "EPUB 2 readers need the NCX");
+});
+
+test("chapter bodies are well-formed and stripped of scripts", () => {
+	const entries = readZip(buildEpub(SAMPLE_BOOK));
+	const ch1 = text(entries.find((e) => e.name === "OEBPS/chapter-0001.xhtml"));
+	const ch2 = text(entries.find((e) => e.name === "OEBPS/chapter-0002.xhtml"));
+	assert.match(ch1, /<p>First<\/p><p>Second &amp; third<br\/><\/p>/);
+	assert.doesNotMatch(ch2, /script|alert/);
+});
+
+test("htmlToXhtml keeps collapsible sections and unwraps unknown tags", () => {
+	assert.equal(
+		htmlToXhtml(
+			'<div class="rg-collapsible-section" data-type="fight" onclick="x()"><font>Hit</font></div>',
+		),
+		'<div class="rg-collapsible-section" data-type="fight">Hit</div>',
+	);
+	assert.equal(htmlToXhtml("<a href='x'>link</a> & more"), "link &amp; more");
+	assert.equal(htmlToXhtml("one\n\ntwo"), "<p>one</p>\n<p>two</p>");
+	assert.equal(htmlToXhtml(""), "");
+});
+
+test("cover data URLs are decoded and packaged with cover-image", () => {
+	const cover = dataUrlToCover("data:image/png;base64,iVBORw0KGgo=");
+	assert.equal(cover.mediaType, "image/png");
+	assert.deepEqual([...cover.bytes], [137, 80, 78, 71, 13, 10, 26, 10]);
+	assert.equal(dataUrlToCover("https://example.com/cover.jpg"), null);
+	assert.equal(dataUrlToCover("data:text/plain;base64,aGk="), null);
+
+	const entries = readZip(buildEpub({ ...SAMPLE_BOOK, cover }));
+	const opf = text(entries.find((e) => e.name === "OEBPS/content.opf"));
+	assert.match(opf, /href="cover.png" media-type="image\/png" properties="cover-image"/);
+	assert.ok(entries.some((e) => e.name === "OEBPS/cover.png"));
+});
+
+test("language falls back to en for display names", () => {
+	const opf = (language) =>
+		text(
+			readZip(buildEpub({ ...SAMPLE_BOOK, language })).find(
+				(e) => e.name === "OEBPS/content.opf",
+			),
+		);
+	assert.match(opf("English"), /<dc:language>en</);
+	assert.match(opf("pt-BR"), /<dc:language>pt-BR</);
+});
@@ -0,0 +1,311 @@
+/**
+ * The fallback chain replaces "wait five minutes on a 429" with routing, so
+ * what matters is which failure goes where: quota errors must move on at once,
+ * a chapter that is too long must come back as a re-chunk request rather than
+ * burn through every provider, and the route must say what happened.
+ */
+
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import test from "node:test";
+
+import {
+	DEFAULT_FALLBACK_RULES,
+	buildFallbackChain,
+	classifyProviderError,
+	resolveFallbackRules,
+	runFallbackChain,
+} from "../src/background/ai/provider-registry.js";
+import { formatEnhancementRoute } from "../src/content/modules/enhancement-attribution.js";
+import { COMPREHENSIVE_BACKUP_KEYS } from "../src/utils/constants.js";
+import { setPersistentLoggingEnabled } from "../src/utils/logger.js";
+
+setPersistentLoggingEnabled(false);
+
+const gemini = { provider: "gemini", modelId: "gemini-2.5-flash" };
+const flashLite = { provider: "gemini", modelId: "gemini-2.0-flash-lite" };
+const ollama = { provider: "ollama", modelId: "llama3.1:8b" };
+
+const noSleep = async () => {};
+
+test("errors from every provider land in the right failure class", () => {
+	const cases = [
+		[
+			"Rate limit reached on all 3 API keys. Please try again in 40 seconds.",
+			"rateLimit",
+		],
+		["RESOURCE_EXHAUSTED: quota exceeded", "rateLimit"],
+		["Overloaded", "rateLimit"],
+		[
+			"Content exceeds model's context limit. The chapter may be too long.",
+			"contextLength",
+		],
+		["prompt is too long: 210000 tokens > 200000 maximum", "contextLength"],
+		[
+			"The enhanced response was cut off because it exceeded the max output token limit.",
+			"contextLength",
+		],
+		["Content was blocked by Gemini's safety filters.", "safety"],
+		["Gemini detected this content as potentially copyrighted", "safety"],
+		["Invalid API key. Please check your API key.", "auth"],
+		["Anthropic API key is missing.", "auth"],
+		["Request timed out", "timeout"],
+		["Something odd", "other"],
+	];
+	for (const [message, expected] of cases) {
+		assert.equal(
+			classifyProviderError(new Error(message)),
+			expected,
+			message,
+		);
+	}
+
+	assert.equal(
+		classifyProviderError(new TypeError("Failed to fetch")),
+		"timeout",
+	);
+	assert.equal(
+		classifyProviderError(
+			Object.assign(new Error("nope"), { status: 401 }),
+		),
+		"auth",
+	);
+});
+
+test("stored rules override defaults and junk is ignored", () => {
+	assert.deepEqual(resolveFallbackRules(null), DEFAULT_FALLBACK_RULES);
+	const rules = resolveFallbackRules({
+		safety: "fail",
+		timeout: "explode",
+		bogus: "next",
+	});
+	assert.equal(rules.safety, "fail");
+	assert.equal(rules.timeout, DEFAULT_FALLBACK_RULES.timeout);
+	assert.equal("bogus" in rules, false);
+});
+
+test("chain is primary plus saved entries, or the legacy single fallback", () => {
+	assert.deepEqual(
+		buildFallbackChain({
+			primaryModelConfig: gemini,
+			fallbackModelEnabled: true,
+			fallbackChain: [flashLite, ollama],
+			fallbackModelConfig: { provider: "openai", modelId: "ignored" },
+		}).map((e) => [e.modelId, e.isPrimary]),
+		[
+			["gemini-2.5-flash", true],
+			["gemini-2.0-flash-lite", false],
+			["llama3.1:8b", false],
+		],
+	);
+	assert.deepEqual(
+		buildFallbackChain({
+			aiProvider: "openai-compatible",
+			fallbackModelEnabled: true,
+			fallbackModelConfig: ollama,
+		}).map((e) => e.provider),
+		["openai", "ollama"],
+	);
+	assert.equal(
+		buildFallbackChain({
+			primaryModelConfig: gemini,
+			fallbackModelEnabled: false,
+			fallbackChain: [ollama],
+		}).length,
+		1,
+	);
+});
+
+test("a 429 on free-tier Gemini overflows to Ollama without waiting", async () => {
+	const slept = [];
+	const { result, route } = await runFallbackChain({
+		entries: [gemini, ollama],
+		sleep: async (ms) => slept.push(ms),
+		invoke: async (entry) => {
+			if (entry.provider === "gemini") throw new Error("API Error: 429");
+			return "local result";
+		},
+	});
+	assert.equal(result, "local result");
+	assert.deepEqual(slept, []);
+	assert.deepEqual(route, [
+		{
+			provider: "Gemini",
+			model: "gemini-2.5-flash",
+			outcome: "next",
+			failureClass: "rateLimit",
+		},
+		{ provider: "Ollama", model: "llama3.1:8b", outcome: "ok" },
+	]);
+});
+
+test("timeouts retry the same entry before moving on", async () => {
+	const calls = [];
+	const { result } = await runFallbackChain({
+		entries: [gemini, ollama],
+		sleep: noSleep,
+		maxRetries: 1,
+		invoke: async (entry) => {
+			calls.push(entry.provider);
+			if (entry.provider === "gemini")
+				throw new Error("Request timed out");
+			return "ok";
+		},
+	});
+	assert.equal(result, "ok");
+	assert.deepEqual(calls, ["gemini", "gemini", "ollama"]);
+});
+
+test("context-length errors stop the walk and ask for a re-chunk", async () => {
+	const calls = [];
+	const error = await runFallbackChain({
+		entries: [gemini, ollama],
+		sleep: noSleep,
+		invoke: async (entry) => {
+			calls.push(entry.provider);
+			throw new Error("context length exceeded");
+		},
+	}).catch((err) => err);
+	assert.deepEqual(calls, ["gemini"]);
+	assert.equal(error.fallbackAction, "rechunk");
+	assert.equal(error.failureClass, "contextLength");
+	assert.equal(error.route.length, 1);
+});
+
+test("summaries cannot be re-chunked, so they move on instead", async () => {
+	const { result } = await runFallbackChain({
+		entries: [gemini, ollama],
+		allowRechunk: false,
+		sleep: noSleep,
+		invoke: async (entry) => {
+			if (entry.provider === "gemini") throw new Error("too long");
+			return "summary";
+		},
+	});
+	assert.equal(result, "summary");
+});
+
+test("a 'fail' rule and an abort both end the chain immediately", async () => {
+	const calls = [];
+	const failed = await runFallbackChain({
+		entries: [gemini, ollama],
+		rules: resolveFallbackRules({ safety: "fail" }),
+		invoke: async (entry) => {
+			calls.push(entry.provider);
+			throw new Error("blocked by safety filters");
+		},
+	}).catch((err) => err);
+	assert.deepEqual(calls, ["gemini"]);
+	assert.equal(failed.fallbackAction, "fail");
+
+	const aborted = await runFallbackChain({
+		entries: [gemini, ollama],
+		invoke: async () => {
+			throw new DOMException("aborted", "AbortError");
+		},
+	}).catch((err) => err);
+	assert.equal(aborted.name, "AbortError");
+	assert.equal(aborted.route, undefined);
+});
+
+test("exhausting the chain rethrows the last error with its route", async () => {
+	const error = await runFallbackChain({
+		entries: [gemini, ollama],
+		invoke: async (entry) => {
+			throw new Error(`${entry.provider}: quota exceeded`);
+		},
+	}).catch((err) => err);
+	assert.equal(error.message, "ollama: quota exceeded");
+	assert.equal(error.failureClass, "rateLimit");
+	assert.deepEqual(
+		error.route.map((hop) => hop.outcome),
+		["next", "next"],
+	);
+});
+
+test("attribution spells out the route only when the chain was used", () => {
+	assert.equal(
+		formatEnhancementRoute({
+			route: [{ provider: "Gemini", model: "x", outcome: "ok" }],
+		}),
+		"",
+	);
+	assert.equal(formatEnhancementRoute(null), "");
+	assert.equal(
+		formatEnhancementRoute({
+			rechunkedInto: 2,
+			route: [
+				{
+					provider: "Gemini",
+					model: "gemini-2.5-flash",
+					outcome: "rechunk",
+					failureClass: "contextLength",
+				},
+				{
+					provider: "Gemini",
+					model: "gemini-2.5-flash",
+					outcome: "next",
+					failureClass: "rateLimit",
+				},
+				{ provider: "Ollama", model: "llama3.1:8b", outcome: "ok" },
+			],
+		}),
+		"Gemini (gemini-2.5-flash) too long, split into 2 → Gemini (gemini-2.5-flash) rate-limited → Ollama (llama3.1:8b)",
+	);
+});
+
+test("the chain and its rules travel with both backup formats", async (t) => {
+	const schema = JSON.parse(
+		await readFile(
+			new URL(
+				"../docs/backup/ranobe-backup.schema.json",
+				import.meta.url,
+			),
+			"utf8",
+		),
+	);
+	const store = {
+		fallbackChain: [flashLite, ollama],
+		fallbackRules: { rateLimit: "next" },
+	};
+	const previous = globalThis.browser;
+	const previousFetch = globalThis.fetch;
+	globalThis.fetch = async () => ({ ok: true, json: async () => schema });
+	globalThis.browser = {
+		runtime: { getURL: (path) => path },
+		storage: {
+			local: {
+				get: async (keys) =>
+					Object.fromEntries(
+						(keys === null ? Object.keys(store) : [keys].flat())
+							.filter((key) => key in store)
+							.map((key) => [key, structuredClone(store[key])]),
+					),
+				set: async (items) =>
+					Object.assign(store, structuredClone(items)),
+				remove: async (keys) => {
+					for (const key of [keys].flat()) delete store[key];
+				},
+			},
+		},
+	};
+	t.after(() => {
+		globalThis.browser = previous;
+		globalThis.fetch = previousFetch;
+	});
+
+	assert.ok(COMPREHENSIVE_BACKUP_KEYS.includes("fallbackChain"));
+	assert.ok(COMPREHENSIVE_BACKUP_KEYS.includes("fallbackRules"));
+
+	const { novelLibrary } = await import("../src/utils/novel-library.js");
+	const exported = await novelLibrary.exportLibrary();
+	assert.deepEqual(exported.settings.fallbackChain, [flashLite, ollama]);
+	assert.deepEqual(exported.settings.fallbackRules, { rateLimit: "next" });
+
+	delete store.fallbackChain;
+	delete store.fallbackRules;
+	const imported = await novelLibrary.importLibrary(exported, true);
+	assert.equal(imported.success, true);
+	assert.deepEqual(store.fallbackChain, [flashLite, ollama]);
+	assert.deepEqual(store.fallbackRules, { rateLimit: "next" });
+});
@@ -0,0 +1,47 @@
+/**
+ * Read back the STORE-only zips epub-builder.js writes, through their central
+ * directory, checking the record signatures on the way.
+ */
+
+import assert from "node:assert/strict";
+
+const decoder = new TextDecoder();
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Array<{name: string, method: number, crc: number, local: number, data: Uint8Array}>}
+ */
+export function readZip(bytes) {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+	const eocd = bytes.length - 22;
+	assert.equal(view.getUint32(eocd, true), 0x06054b50, "end record");
+	const count = view.getUint16(eocd + 10, true);
+	let offset = view.getUint32(eocd + 16, true);
+	const entries = [];
+	for (let i = 0; i < count; i++) {
+		assert.equal(
+			view.getUint32(offset, true),
+			0x02014b50,
+			"central header",
+		);
+		const method = view.getUint16(offset + 10, true);
+		const crc = view.getUint32(offset + 16, true);
+		const size = view.getUint32(offset + 20, true);
+		const nameLength = view.getUint16(offset + 28, true);
+		const local = view.getUint32(offset + 42, true);
+		const name = decoder.decode(
+			bytes.subarray(offset + 46, offset + 46 + nameLength),
+		);
+		const localNameLength = view.getUint16(local + 26, true);
+		const dataStart = local + 30 + localNameLength;
+		entries.push({
+			name,
+			method,
+			crc,
+			local,
+			data: bytes.subarray(dataStart, dataStart + size),
+		});
+		offset += 46 + nameLength;
+	}
+	return entries;
+}
@@ -0,0 +1,282 @@
+/**
+ * Shared exports are opened by people and apps that never see the extension:
+ * a spreadsheet must not run a title as a formula, an OPDS reader must find
+ * each book's acquisition link, and Calibre must be able to rebuild its
+ * database from the OPF files alone. Every field comes from the same tokens
+ * as the copy templates.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+import { DOMParser } from "linkedom";
+
+import {
+	buildCalibreOpf,
+	buildLibraryCsv,
+	buildOpdsCatalog,
+	calibreBookPath,
+	exportLibraryAsOpds,
+	exportLibraryForCalibre,
+	parseCsvColumns,
+	toCalibreRecord,
+} from "../src/utils/library-export-formats.js";
+import { formatNovelInfo } from "../src/utils/novel-copy-format.js";
+import { saveChunkToCache } from "../src/utils/chunking/chunk-cache.js";
+import { setPersistentLoggingEnabled } from "../src/utils/logger.js";
+import { readZip } from "./helpers/read-zip.mjs";
+
+setPersistentLoggingEnabled(false);
+
+const ADDED = Date.UTC(2026, 2, 14);
+
+const novels = [
+	{
+		id: "rr-1",
+		shelfId: "royalroad",
+		title: "The Tower, Again",
+		author: "Jane Q Writer",
+		readingStatus: "reading",
+		lastReadChapter: 45,
+		totalChapters: 102,
+		sourceUrl: "https://example.com/fiction/1",
+		coverUrl: "https://example.com/cover.jpg",
+		description: "<p>A &quot;tower&quot; story.</p>",
+		genres: ["Fantasy"],
+		tags: ["LitRPG", "Fantasy"],
+		addedAt: ADDED,
+		stats: { wordCount: 288578 },
+	},
+	{
+		id: "ao3-2",
+		shelfId: "ao3",
+		title: "=HYPERLINK(1)",
+		author: "a & b",
+		readingStatus: "plan-to-read",
+		addedAt: ADDED,
+	},
+];
+
+test("CSV columns are token templates and fields are quoted and defused", () => {
+	const columns = parseCsvColumns(
+		'Name = {title}\nProgress = {lastRead}/{chapters}\n{tags}\n\nBlurb = {description:12}\nQuoted = "{id}"',
+	);
+	assert.deepEqual(
+		columns.map((column) => column.header),
+		["Name", "Progress", "{tags}", "Blurb", "Quoted"],
+	);
+
+	const csv = buildLibraryCsv(novels, columns);
+	const lines = csv.split("\r\n");
+	assert.equal(lines[0], "Name,Progress,{tags},Blurb,Quoted");
+	assert.equal(
+		lines[1],
+		'"The Tower, Again",45/102,"Fantasy, LitRPG",<p>A &quot;t,"""rr-1"""',
+	);
+	assert.equal(lines[2], `'=HYPERLINK(1),/,,,"""ao3-2"""`);
+	assert.equal(lines[3], "");
+
+	assert.match(
+		buildLibraryCsv([novels[0]]),
+		/^Title,Author,Status,Last Read,Chapters,Words,Site,Tags,Added,URL\r\n/,
+	);
+	assert.equal(
+		formatNovelInfo(novels[0], "{added} {tags}"),
+		"2026-03-14 Fantasy, LitRPG",
+	);
+});
+
+test("the OPDS catalog links cached EPUBs and falls back to the source page", () => {
+	const xml = buildOpdsCatalog(novels, {
+		updated: new Date(ADDED),
+		epubHrefs: { "rr-1": "epub/The Tower, Again.epub" },
+	});
+	const doc = new DOMParser().parseFromString(xml, "text/xml");
+	const entries = [...doc.querySelectorAll("entry")];
+	assert.equal(entries.length, 2);
+	assert.equal(
+		doc.querySelector("feed > updated").textContent,
+		"2026-03-14T00:00:00Z",
+	);
+
+	const links = (entry) =>
+		[...entry.querySelectorAll("link")].map((link) => [
+			link.getAttribute("rel"),
+			link.getAttribute("type"),
+			link.getAttribute("href"),
+		]);
+	assert.deepEqual(links(entries[0]), [
+		["http://opds-spec.org/image", null, "https://example.com/cover.jpg"],
+		[
+			"http://opds-spec.org/acquisition/open-access",
+			"application/epub+zip",
+			"epub/The Tower, Again.epub",
+		],
+		["alternate", "text/html", "https://example.com/fiction/1"],
+	]);
+	assert.equal(
+		entries[0].querySelector("summary").textContent,
+		'A "tower" story.',
+	);
+	assert.equal(
+		entries[0].querySelector("content").textContent,
+		"reading · chapter 45 of 102",
+	);
+	assert.deepEqual(
+		[...entries[0].querySelectorAll("category")].map((c) =>
+			c.getAttribute("term"),
+		),
+		["Fantasy", "LitRPG", "reading"],
+	);
+	assert.equal(
+		entries[1].querySelector("title").textContent,
+		"=HYPERLINK(1)",
+	);
+	assert.equal(links(entries[1]).length, 0);
+});
+
+test("Calibre records use metadata.db's columns and restore from metadata.opf", () => {
+	const record = toCalibreRecord(novels[0]);
+	assert.equal(record.title_sort, "Tower, Again, The");
+	assert.deepEqual(record.authors, ["Jane Q Writer"]);
+	assert.equal(record.author_sort, "Writer, Jane Q");
+	assert.deepEqual(record.identifiers, {
+		ranobegemini: "rr-1",
+		url: "https://example.com/fiction/1",
+	});
+	assert.equal(record.timestamp, "2026-03-14T00:00:00Z");
+	assert.deepEqual(toCalibreRecord(novels[1]).authors, ["a", "b"]);
+	assert.equal(
+		calibreBookPath(record, 7),
+		"Jane Q Writer/The Tower, Again (7)",
+	);
+
+	const opf = buildCalibreOpf(record, { coverHref: "cover.jpg" });
+	const doc = new DOMParser().parseFromString(opf, "text/xml");
+	assert.equal(
+		doc.querySelector("package").getAttribute("unique-identifier"),
+		"ranobe_gemini_id",
+	);
+	assert.equal(
+		doc.querySelector("[id=ranobe_gemini_id]").textContent,
+		"rr-1",
+	);
+	const creator = doc.querySelector("creator, dc\\:creator");
+	assert.equal(creator.textContent, "Jane Q Writer");
+	assert.equal(creator.getAttribute("opf:file-as"), "Writer, Jane Q");
+	assert.match(
+		opf,
+		/<meta name="calibre:title_sort" content="Tower, Again, The"\/>/,
+	);
+	assert.match(
+		opf,
+		/<reference type="cover" title="Cover" href="cover.jpg"\/>/,
+	);
+});
+
+/**
+ * Run `fn` with a downloads API that records each download, decoding the
+ * data: URL the background would use (no URL.createObjectURL there), and an
+ * in-memory storage.local for the chapter cache.
+ */
+async function captureDownloads(fn) {
+	const downloads = [];
+	const stored = {};
+	const previous = {
+		browser: globalThis.browser,
+		objectUrl: URL.createObjectURL,
+	};
+	globalThis.browser = {
+		storage: {
+			local: {
+				async get(key) {
+					return key in stored ? { [key]: stored[key] } : {};
+				},
+				async set(items) {
+					Object.assign(stored, items);
+				},
+			},
+		},
+		downloads: {
+			download: async ({ url, filename }) => {
+				const [, type, base64] = url.match(
+					/^data:([^;]+);base64,(.*)$/,
+				);
+				downloads.push({
+					filename,
+					type,
+					bytes: new Uint8Array(Buffer.from(base64, "base64")),
+				});
+				return downloads.length;
+			},
+		},
+	};
+	URL.createObjectURL = undefined;
+	try {
+		return { result: await fn(), downloads };
+	} finally {
+		globalThis.browser = previous.browser;
+		URL.createObjectURL = previous.objectUrl;
+	}
+}
+
+test("OPDS and Calibre exports download once, as a zip of the folder", async () => {
+	const opds = await captureDownloads(() => exportLibraryAsOpds(novels));
+	assert.equal(opds.downloads.length, 1);
+	const [catalogZip] = opds.downloads;
+	assert.equal(catalogZip.filename, opds.result.filename);
+	assert.equal(catalogZip.filename, `${opds.result.folder}.zip`);
+	assert.equal(catalogZip.type, "application/zip");
+	const catalog = readZip(catalogZip.bytes);
+	assert.deepEqual(
+		catalog.map((entry) => entry.name),
+		[`${opds.result.folder}/catalog.xml`],
+	);
+	assert.match(new TextDecoder().decode(catalog[0].data), /<feed /);
+
+	const calibre = await captureDownloads(() =>
+		exportLibraryForCalibre(novels),
+	);
+	assert.equal(calibre.downloads.length, 1);
+	assert.equal(calibre.result.books, 2);
+	assert.deepEqual(
+		readZip(calibre.downloads[0].bytes).map((entry) => entry.name),
+		novels.map(
+			(novel, index) =>
+				`${calibre.result.folder}/${calibreBookPath(toCalibreRecord(novel), index + 1)}/metadata.opf`,
+		),
+	);
+});
+
+test("novels with the same title get EPUBs of their own in the OPDS zip", async () => {
+	const twins = ["rr-7", "rr-8"].map((id) => ({
+		id,
+		shelfId: "royalroad",
+		title: "Same Name",
+		author: "Someone",
+		sourceUrl: `https://example.com/fiction/${id}`,
+	}));
+	const library = {
+		getSettings: async () => ({}),
+		getChapters: async (id) => ({
+			chapters: {
+				1: { url: `https://example.com/${id}/1`, chapterNumber: 1 },
+			},
+		}),
+	};
+
+	const { result, downloads } = await captureDownloads(async () => {
+		for (const novel of twins) {
+			await saveChunkToCache(`https://example.com/${novel.id}/1`, 0, {
+				originalContent: `<p>${novel.id}</p>`,
+			});
+		}
+		return exportLibraryAsOpds(twins, { includeEpubs: true, library });
+	});
+	assert.equal(result.epubs, 2);
+	const epubNames = readZip(downloads[0].bytes)
+		.map((entry) => entry.name)
+		.filter((name) => name.endsWith(".epub"));
+	assert.equal(epubNames.length, 2);
+	assert.equal(new Set(epubNames).size, 2);
+	assert.ok(epubNames[1].endsWith("(rr-8).epub"));
+});
@@ -0,0 +1,187 @@
+/**
+ * The conflict review is the last chance to see what a restore or sync pull
+ * would overwrite. It must list every reader-owned field that differs —
+ * status, position, lists, and anything edited by hand — and nothing else;
+ * each choice must land exactly as picked; and a merge restore must never
+ * again write the backup's library over novels only this browser has.
+ */
+
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import test from "node:test";
+
+import {
+	buildLibraryReview,
+	formatReviewValue,
+	resolveLibraryReview,
+} from "../src/utils/library-review.js";
+
+const T0 = Date.UTC(2026, 0, 1);
+
+const local = {
+	"rr-1": {
+		id: "rr-1",
+		title: "The Tower",
+		readingStatus: "on-hold",
+		lastReadChapter: 40,
+		readingLists: ["favourites"],
+		description: "My own summary.",
+		editedFields: { description: true },
+		lastAccessedAt: T0 + 5000,
+		fieldClock: { readingStatus: T0 + 3000, lastReadChapter: T0 + 1000 },
+	},
+	"rr-2": { id: "rr-2", title: "Only Here", readingStatus: "reading" },
+	"rr-3": { id: "rr-3", title: "Same", readingStatus: "reading" },
+};
+
+const backup = {
+	"rr-1": {
+		id: "rr-1",
+		title: "The Tower",
+		readingStatus: "reading",
+		lastReadChapter: 52,
+		readingLists: ["favourites"],
+		description: "Site blurb.",
+		editedFields: {},
+		lastAccessedAt: T0 + 9000,
+		fieldClock: { readingStatus: T0 + 2000, lastReadChapter: T0 + 8000 },
+	},
+	"rr-3": {
+		id: "rr-3",
+		title: "Same",
+		readingStatus: "reading",
+		totalChapters: 300,
+	},
+	"rr-4": { id: "rr-4", title: "Only In Backup", readingStatus: "reading" },
+};
+
+test("the review lists reader-owned fields that differ, with the newer side", () => {
+	const review = buildLibraryReview(local, backup);
+	assert.equal(review.length, 1);
+	assert.equal(review[0].novelId, "rr-1");
+	const byField = Object.fromEntries(
+		review[0].fields.map((entry) => [entry.field, entry]),
+	);
+	assert.deepEqual(Object.keys(byField).sort(), [
+		"description",
+		"lastReadChapter",
+		"readingStatus",
+	]);
+	assert.equal(byField.readingStatus.newer, "local");
+	assert.equal(byField.lastReadChapter.newer, "remote");
+	// No field clock for a hand edit: the novel's last access decides.
+	assert.equal(byField.description.newer, "remote");
+	assert.equal(byField.description.local, "My own summary.");
+});
+
+test("choices apply per field, with a fallback for the rest", () => {
+	const resolved = resolveLibraryReview(local, backup, {
+		"rr-1": { description: "local", lastReadChapter: "newest" },
+	});
+	const tower = resolved["rr-1"];
+	assert.equal(tower.description, "My own summary.");
+	assert.deepEqual(tower.editedFields, { description: true });
+	assert.equal(tower.lastReadChapter, 52);
+	assert.equal(tower.readingStatus, "reading", "fallback keeps the backup");
+	assert.equal(resolved["rr-4"], backup["rr-4"]);
+	assert.equal(backup["rr-1"].description, "Site blurb.", "input untouched");
+
+	const newest = resolveLibraryReview(local, backup, {}, "newest")["rr-1"];
+	assert.equal(newest.readingStatus, "on-hold");
+	assert.equal(newest.fieldClock.readingStatus, T0 + 3000);
+	assert.equal(newest.lastReadChapter, 52);
+
+	const keepMine = resolveLibraryReview(local, backup, {}, "local")["rr-1"];
+	assert.equal(keepMine.readingStatus, "on-hold");
+	assert.equal(keepMine.lastReadChapter, 40);
+	assert.equal(keepMine.totalChapters, undefined);
+});
+
+test("values read cleanly on the review screen", () => {
+	assert.equal(formatReviewValue(["a", "b"]), "a, b");
+	assert.equal(formatReviewValue([]), "—");
+	assert.equal(formatReviewValue(undefined), "—");
+	assert.equal(formatReviewValue(12), "12");
+});
+
+test("a merge restore keeps local-only novels and honours the choices", async (t) => {
+	const store = {
+		rg_novel_library: { novels: structuredClone(local), shelves: {} },
+	};
+	const previous = globalThis.browser;
+	const previousFetch = globalThis.fetch;
+	const schema = JSON.parse(
+		await readFile(
+			new URL(
+				"../docs/backup/ranobe-backup.schema.json",
+				import.meta.url,
+			),
+			"utf8",
+		),
+	);
+	globalThis.fetch = async () => ({ ok: true, json: async () => schema });
+	globalThis.browser = {
+		runtime: {
+			getManifest: () => ({ version: "4.0.0" }),
+			getURL: (path) => path,
+		},
+		storage: {
+			local: {
+				get: async (keys) =>
+					Object.fromEntries(
+						[keys]
+							.flat()
+							.filter((key) => key in store)
+							.map((key) => [key, structuredClone(store[key])]),
+					),
+				set: async (items) => Object.assign(store, items),
+			},
+		},
+	};
+	t.after(() => {
+		globalThis.browser = previous;
+		globalThis.fetch = previousFetch;
+	});
+	const { previewLibraryRestore, restoreComprehensiveBackup } =
+		await import("../src/utils/comprehensive-backup.js");
+
+	const shelved = Object.fromEntries(
+		Object.entries(backup).map(([id, novel]) => [
+			id,
+			{ ...novel, shelfId: "royalroad" },
+		]),
+	);
+	const file = {
+		version: "3.0",
+		data: { rg_novel_library: { novels: shelved, shelves: {} } },
+	};
+	assert.equal((await previewLibraryRestore(file)).length, 1);
+
+	await restoreComprehensiveBackup(file, {
+		mode: "merge",
+		reviewChoices: { "rr-1": { readingStatus: "local" } },
+	});
+	const novels = store.rg_novel_library.novels;
+	assert.deepEqual(Object.keys(novels).sort(), [
+		"rr-1",
+		"rr-2",
+		"rr-3",
+		"rr-4",
+	]);
+	assert.equal(novels["rr-1"].readingStatus, "on-hold");
+	assert.equal(novels["rr-1"].lastReadChapter, 52);
+
+	await restoreComprehensiveBackup(file, {
+		mode: "replace",
+		reviewChoices: { "rr-1": { readingStatus: "local" } },
+	});
+	assert.deepEqual(Object.keys(store.rg_novel_library.novels).sort(), [
+		"rr-1",
+		"rr-3",
+		"rr-4",
+	]);
+	assert.equal(
+		store.rg_novel_library.novels["rr-1"].readingStatus,
+		"on-hold",
+	);
+});
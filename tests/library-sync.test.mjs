@@ -0,0 +1,413 @@
+/**
+ * Library sync has to stop two devices from undoing each other. The case it
+ * exists for: the phone moves the reading position, the desktop changes the
+ * reading status, and after syncing both devices have both. It must also
+ * carry a removal across instead of resurrecting the novel, keep list
+ * additions from both sides, and report (not hide) a field both sides
+ * changed.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	digestLibrarySnapshot,
+	mergeLibrarySnapshots,
+	stampLibraryChanges,
+	stableStringify,
+} from "../src/utils/library-merge.js";
+import {
+	LIBRARY_SYNC_BASE_KEY,
+	createLibrarySyncEngine,
+} from "../src/background/storage/library-sync.js";
+
+const T0 = Date.UTC(2026, 0, 1);
+const HOUR = 60 * 60 * 1000;
+const clone = (value) => structuredClone(value);
+
+const novel = (overrides = {}) => ({
+	id: "rr-1",
+	title: "The Tower",
+	shelfId: "royalroad",
+	readingStatus: "reading",
+	lastReadChapter: 10,
+	lastAccessedAt: T0,
+	readingLists: ["favourites"],
+	metadata: { author: "A. Writer", tags: ["fantasy"] },
+	...overrides,
+});
+
+/** A saved library, stamped the way saveLibrary stamps it. */
+function library(novels, previous = null, now = T0) {
+	return stampLibraryChanges(previous, { novels, shelves: {} }, now);
+}
+
+/** Edit a saved library the way a device would, stamping at `now`. */
+function edit(saved, now, change) {
+	const next = clone(saved);
+	change(next.novels);
+	return stampLibraryChanges(saved, next, now);
+}
+
+const snapshot = (lib, chapters = {}) => ({ library: lib, chapters });
+
+test("progress on one device and a status edit on another are both kept", () => {
+	const base = library({ "rr-1": novel() });
+	const phone = edit(base, T0 + HOUR, (n) => {
+		n["rr-1"].lastReadChapter = 14;
+		n["rr-1"].lastAccessedAt = T0 + HOUR;
+	});
+	const desktop = edit(base, T0 + 2 * HOUR, (n) => {
+		n["rr-1"].readingStatus = "on-hold";
+		n["rr-1"].lastAccessedAt = T0 + 2 * HOUR;
+	});
+
+	const result = mergeLibrarySnapshots({
+		base: snapshot(base),
+		local: snapshot(desktop),
+		remote: snapshot(phone),
+	});
+	const merged = result.library.novels["rr-1"];
+	assert.equal(merged.lastReadChapter, 14);
+	assert.equal(merged.readingStatus, "on-hold");
+	assert.equal(merged.lastAccessedAt, T0 + 2 * HOUR);
+	assert.deepEqual(result.conflicts, []);
+	assert.equal(result.changedLocally, true);
+	assert.equal(result.changedRemotely, true);
+	assert.equal(merged.fieldClock.lastReadChapter, T0 + HOUR);
+	assert.equal(merged.fieldClock.readingStatus, T0 + 2 * HOUR);
+});
+
+test("a field both sides changed keeps the newer value and is reported", () => {
+	const base = library({ "rr-1": novel() });
+	const phone = edit(base, T0 + 3 * HOUR, (n) => {
+		n["rr-1"].readingStatus = "completed";
+	});
+	const desktop = edit(base, T0 + HOUR, (n) => {
+		n["rr-1"].readingStatus = "dropped";
+	});
+
+	const result = mergeLibrarySnapshots({
+		base: snapshot(base),
+		local: snapshot(desktop),
+		remote: snapshot(phone),
+	});
+	assert.equal(result.library.novels["rr-1"].readingStatus, "completed");
+	assert.equal(result.conflicts.length, 1);
+	assert.deepEqual(
+		{ ...result.conflicts[0] },
+		{
+			novelId: "rr-1",
+			title: "The Tower",
+			field: "readingStatus",
+			local: "dropped",
+			remote: "completed",
+			localChangedAt: T0 + HOUR,
+			remoteChangedAt: T0 + 3 * HOUR,
+			resolution: "remote",
+		},
+	);
+});
+
+test("lists and nested metadata merge item by item", () => {
+	const base = library({ "rr-1": novel() });
+	const phone = edit(base, T0 + HOUR, (n) => {
+		n["rr-1"].readingLists = ["favourites", "commute"];
+		n["rr-1"].metadata.tags = ["fantasy", "litrpg"];
+	});
+	const desktop = edit(base, T0 + 2 * HOUR, (n) => {
+		n["rr-1"].readingLists = ["to-reread"];
+		n["rr-1"].metadata.author = "A. Writer (pen name)";
+	});
+
+	const result = mergeLibrarySnapshots({
+		base: snapshot(base),
+		local: snapshot(desktop),
+		remote: snapshot(phone),
+	});
+	const merged = result.library.novels["rr-1"];
+	assert.deepEqual(merged.readingLists, ["to-reread", "commute"]);
+	assert.deepEqual(merged.metadata, {
+		author: "A. Writer (pen name)",
+		tags: ["fantasy", "litrpg"],
+	});
+	assert.deepEqual(result.conflicts, []);
+});
+
+test("a removal syncs; an edit made after it brings the novel back", () => {
+	const base = library({ "rr-1": novel(), "rr-2": novel({ id: "rr-2" }) });
+	const desktop = edit(base, T0 + 2 * HOUR, (n) => {
+		delete n["rr-1"];
+		delete n["rr-2"];
+	});
+	assert.deepEqual(Object.keys(desktop.deletedNovels).sort(), [
+		"rr-1",
+		"rr-2",
+	]);
+	const phone = edit(base, T0 + 3 * HOUR, (n) => {
+		n["rr-2"].lastReadChapter = 11;
+	});
+
+	const result = mergeLibrarySnapshots({
+		base: snapshot(base),
+		local: snapshot(phone),
+		remote: snapshot(desktop),
+		now: T0 + 3 * HOUR,
+	});
+	assert.deepEqual(Object.keys(result.library.novels), ["rr-2"]);
+	assert.deepEqual(Object.keys(result.library.deletedNovels), ["rr-1"]);
+	assert.equal(result.stats.removed, 1);
+
+	// A backup from before tombstones existed: missing on the remote while
+	// untouched here since the last sync means it was removed there.
+	const legacyRemote = clone(base);
+	delete legacyRemote.novels["rr-1"];
+	delete legacyRemote.deletedNovels;
+	const legacy = mergeLibrarySnapshots({
+		base: snapshot(base),
+		local: snapshot(base),
+		remote: snapshot(legacyRemote),
+	});
+	assert.deepEqual(Object.keys(legacy.library.novels), ["rr-2"]);
+});
+
+test("chapters are unioned and the later update wins", () => {
+	const lib = library({ "rr-1": novel() });
+	const chapters = (entries) => ({ "rr-1": { chapters: entries } });
+	const result = mergeLibrarySnapshots({
+		base: snapshot(lib, chapters({ ch_1: { lastUpdated: T0 } })),
+		local: snapshot(
+			lib,
+			chapters({
+				ch_1: { lastUpdated: T0 + HOUR, isEnhanced: true },
+				ch_2: { lastUpdated: T0 },
+			}),
+		),
+		remote: snapshot(
+			lib,
+			chapters({
+				ch_1: { lastUpdated: T0 + 2 * HOUR, isSummarized: true },
+				ch_3: { lastUpdated: T0 },
+			}),
+		),
+	});
+	const merged = result.chapters["rr-1"].chapters;
+	assert.deepEqual(Object.keys(merged).sort(), ["ch_1", "ch_2", "ch_3"]);
+	assert.equal(merged.ch_1.isSummarized, true);
+});
+
+test("stamping ignores key order and clocks only changed fields", () => {
+	assert.equal(
+		stableStringify({ b: 1, a: [{ d: 2, c: 3 }] }),
+		stableStringify({ a: [{ c: 3, d: 2 }], b: 1 }),
+	);
+	const saved = library({ "rr-1": novel() });
+	const reordered = clone(saved);
+	reordered.novels["rr-1"].metadata = {
+		tags: ["fantasy"],
+		author: "A. Writer",
+	};
+	reordered.novels["rr-1"].lastReadChapter = 12;
+	stampLibraryChanges(saved, reordered, T0 + HOUR);
+	assert.equal(reordered.novels["rr-1"].fieldClock.metadata, T0);
+	assert.equal(
+		reordered.novels["rr-1"].fieldClock.lastReadChapter,
+		T0 + HOUR,
+	);
+});
+
+/** In-memory `browser.storage.local`. */
+function fakeBrowser() {
+	const store = {};
+	return {
+		store,
+		storage: {
+			local: {
+				get: async (key) => (key in store ? { [key]: store[key] } : {}),
+				set: async (items) => Object.assign(store, clone(items)),
+			},
+		},
+	};
+}
+
+test("the engine merges, applies, pushes and records the base per provider", async () => {
+	const base = library({ "rr-1": novel() });
+	let remoteLib = edit(base, T0 + HOUR, (n) => {
+		n["rr-1"].lastReadChapter = 20;
+	});
+	let localLib = edit(base, T0 + 2 * HOUR, (n) => {
+		n["rr-1"].readingStatus = "completed";
+	});
+
+	const browserRef = fakeBrowser();
+	browserRef.store[LIBRARY_SYNC_BASE_KEY] = {
+		providerId: "webdav",
+		library: base,
+		chapters: {},
+	};
+	const uploads = [];
+	const engine = createLibrarySyncEngine({
+		browserRef,
+		storageSync: {
+			getActiveSyncProviderId: async () => "webdav",
+			getContinuousBackup: async () => ({ file: null }),
+			getLatestBackup: async () => ({ file: { id: "remote-1" } }),
+			downloadBackup: async () => ({
+				data: JSON.stringify({ version: "2.0", library: remoteLib }),
+			}),
+		},
+		novelLibrary: {
+			exportLibrary: async () => ({
+				library: clone(localLib),
+				chapters: {},
+			}),
+			applySyncedLibrary: async ({ library: merged }) => {
+				localLib = merged;
+			},
+		},
+		upload: async (options) => {
+			uploads.push(options);
+			remoteLib = clone(localLib);
+		},
+		now: () => T0 + 3 * HOUR,
+	});
+
+	// A call made mid-sync runs after it, with its own options.
+	const [first, second] = await Promise.all([
+		engine.sync(),
+		engine.sync({ reason: "review", choices: {} }),
+	]);
+	assert.equal(first.success, true);
+	assert.equal(first.pulled, true);
+	assert.equal(first.pushed, true);
+	assert.equal(second.reason, "review");
+	assert.equal(second.pulled, false, "the second merged after the first");
+	assert.equal(second.pushed, false);
+	assert.equal(uploads.length, 1);
+	assert.equal(localLib.novels["rr-1"].lastReadChapter, 20);
+	assert.equal(localLib.novels["rr-1"].readingStatus, "completed");
+	// The base is a digest of what was merged, not a copy of the library.
+	const recorded = browserRef.store[LIBRARY_SYNC_BASE_KEY];
+	assert.equal(recorded.library, undefined);
+	assert.deepEqual(
+		recorded.digest,
+		digestLibrarySnapshot({ library: localLib, chapters: {} }),
+	);
+	assert.ok(
+		!JSON.stringify(recorded).includes("A. Writer"),
+		"no field value is stored in the base",
+	);
+	assert.equal((await engine.getState()).fileId, "remote-1");
+});
+
+test("saves made while a sync runs are merged rather than overwritten", async () => {
+	const base = library({
+		"rr-1": novel(),
+		"rr-2": novel({ id: "rr-2", title: "The Well" }),
+	});
+	const remoteLib = edit(base, T0 + HOUR, (n) => {
+		n["rr-1"].lastReadChapter = 20;
+	});
+	let localLib = { ...clone(base), lastUpdated: 1 };
+	const save = (now, change) => {
+		localLib = {
+			...edit(localLib, now, change),
+			lastUpdated: localLib.lastUpdated + 1,
+		};
+	};
+
+	const browserRef = fakeBrowser();
+	browserRef.store[LIBRARY_SYNC_BASE_KEY] = {
+		providerId: "webdav",
+		library: base,
+		chapters: {},
+	};
+	let exports = 0;
+	const engine = createLibrarySyncEngine({
+		browserRef,
+		storageSync: {
+			getActiveSyncProviderId: async () => "webdav",
+			getContinuousBackup: async () => ({ file: { id: "rolling" } }),
+			getLatestBackup: async () => ({ file: null }),
+			downloadBackup: async () => {
+				save(T0 + 2 * HOUR, (n) => {
+					n["rr-1"].readingStatus = "on-hold";
+				});
+				return { data: { version: "2.0", library: remoteLib } };
+			},
+		},
+		novelLibrary: {
+			exportLibrary: async () => {
+				const snapshot = clone(localLib);
+				// Saved again after the first merge read the library.
+				if (++exports === 1) {
+					save(T0 + 3 * HOUR, (n) => {
+						n["rr-2"].lastReadChapter = 3;
+					});
+				}
+				return { library: snapshot, chapters: {} };
+			},
+			applySyncedLibrary: async ({ library: merged, mergedFrom }) => {
+				if (mergedFrom !== localLib.lastUpdated) return false;
+				localLib = { ...merged, lastUpdated: localLib.lastUpdated + 1 };
+				return true;
+			},
+		},
+		upload: async () => {},
+		now: () => T0 + 4 * HOUR,
+	});
+
+	const result = await engine.sync();
+	assert.equal(result.pulled, true);
+	assert.equal(exports, 2, "the first merge was redone");
+	assert.equal(localLib.novels["rr-1"].lastReadChapter, 20);
+	assert.equal(localLib.novels["rr-1"].readingStatus, "on-hold");
+	assert.equal(localLib.novels["rr-2"].lastReadChapter, 3);
+});
+
+test("a save that names its novel stamps it without reading the library back", async (t) => {
+	const { novelLibrary } = await import("../src/utils/novel-library.js");
+	const store = {
+		rg_novel_library: library({
+			"rr-1": novel(),
+			"rr-2": novel({ id: "rr-2", title: "The Well" }),
+		}),
+	};
+	const reads = [];
+	const libraryReads = () =>
+		reads.filter((key) => key === "rg_novel_library");
+	const previous = globalThis.browser;
+	globalThis.browser = {
+		storage: {
+			local: {
+				get: async (key) => {
+					reads.push(key);
+					return key in store ? { [key]: clone(store[key]) } : {};
+				},
+				set: async (items) => Object.assign(store, clone(items)),
+				remove: async () => {},
+			},
+		},
+	};
+	t.after(() => {
+		globalThis.browser = previous;
+	});
+
+	// Let the first read's own housekeeping save land before counting.
+	await novelLibrary.getLibrary();
+	await new Promise((resolve) => setTimeout(resolve, 0));
+	reads.length = 0;
+	const untouchedClock = clone(
+		store.rg_novel_library.novels["rr-2"].fieldClock,
+	);
+
+	await novelLibrary.updateNovelCustomPrompt("rr-1", "Keep the honorifics.");
+	assert.equal(libraryReads().length, 1);
+	const saved = store.rg_novel_library;
+	assert.ok(saved.novels["rr-1"].fieldClock.customPrompt > T0);
+	assert.deepEqual(saved.novels["rr-2"].fieldClock, untouchedClock);
+
+	await novelLibrary.removeNovel("rr-2");
+	assert.equal(libraryReads().length, 2);
+	assert.ok(store.rg_novel_library.deletedNovels["rr-2"] > T0);
+});
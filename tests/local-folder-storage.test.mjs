@@ -0,0 +1,243 @@
+/**
+ * The local folder target writes into a directory other tools sync, so it
+ * must leave that directory tidy: versioned backups thinned out by the
+ * retention tiers, one continuous file, nothing else touched. When Chromium drops folder access
+ * after a restart the backup has to fail loudly, not silently write nowhere.
+ * On Firefox the same backups go through downloads, which can be written and
+ * pruned but never read back.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	LOCAL_FOLDER_MODES,
+	LOCAL_FOLDER_SETTINGS_KEY,
+	createLocalFolderStorageAdapter,
+} from "../src/background/storage/adapters/local-folder-storage.js";
+
+const T0 = Date.UTC(2026, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+/** In-memory FileSystemDirectoryHandle; `time` stamps what is written. */
+function fakeDirectory(name = "Backups", time = null) {
+	const files = new Map();
+	let permission = "granted";
+	let clock = T0;
+	return {
+		name,
+		files,
+		setPermission(state) {
+			permission = state;
+		},
+		async queryPermission() {
+			return permission;
+		},
+		async getFileHandle(fileName, { create = false } = {}) {
+			if (!files.has(fileName) && !create) {
+				throw new DOMException("missing", "NotFoundError");
+			}
+			return {
+				kind: "file",
+				async createWritable() {
+					let text = "";
+					return {
+						async write(chunk) {
+							text += chunk;
+						},
+						async close() {
+							clock += 1000;
+							files.set(fileName, {
+								text,
+								lastModified: time ? time() : clock,
+							});
+						},
+					};
+				},
+				async getFile() {
+					const file = files.get(fileName);
+					return {
+						size: file.text.length,
+						lastModified: file.lastModified,
+						text: async () => file.text,
+					};
+				},
+			};
+		},
+		async *entries() {
+			for (const fileName of [...files.keys()]) {
+				yield [fileName, await this.getFileHandle(fileName)];
+			}
+			yield ["notes", { kind: "directory" }];
+		},
+		async removeEntry(fileName) {
+			files.delete(fileName);
+		},
+	};
+}
+
+function fakeBrowser(settings, downloads = null, extra = {}) {
+	const store = { [LOCAL_FOLDER_SETTINGS_KEY]: settings, ...extra };
+	return {
+		store,
+		downloads,
+		storage: {
+			local: {
+				get: async (key) => (key in store ? { [key]: store[key] } : {}),
+				set: async (items) => Object.assign(store, items),
+				remove: async (key) => delete store[key],
+			},
+		},
+	};
+}
+
+/** Step the clock one second per upload so names differ. */
+function ticking() {
+	let second = 0;
+	return () => new Date(T0 + 1000 * second++);
+}
+
+test("versioned backups are thinned out by the retention tiers; the continuous file is separate", async () => {
+	let time = T0;
+	const dir = fakeDirectory("Backups", () => time);
+	const adapter = createLocalFolderStorageAdapter({
+		browserRef: fakeBrowser({ mode: LOCAL_FOLDER_MODES.DIRECTORY }, null, {
+			rollingBackupRetention: {
+				hourly: 2,
+				daily: 2,
+				weekly: 0,
+				monthly: 0,
+			},
+		}),
+		getHandle: async () => dir,
+		now: () => new Date(time),
+	});
+
+	// Every six hours for two days.
+	for (let n = 0; n <= 8; n++) {
+		time = T0 + n * 6 * HOUR;
+		await adapter.uploadBackup(JSON.stringify({ version: "2.0", n }));
+	}
+	await adapter.uploadBackup('{"version":"2.0","n":"c1"}', {
+		variant: "continuous",
+	});
+	const result = await adapter.uploadBackup('{"version":"2.0","n":"c2"}', {
+		variant: "continuous",
+	});
+	assert.deepEqual(result, {
+		id: "ranobegemini_continuous.json",
+		name: "ranobegemini_continuous.json",
+	});
+	// A rolling (full) backup has its own name and its own retention.
+	await adapter.uploadBackup({ version: "3.0" }, { kind: "full" });
+
+	// The newest point, and the newest of the day before.
+	const backups = await adapter.listBackups();
+	assert.deepEqual(
+		backups.map((file) => file.name),
+		[
+			"ranobegemini_backup_2026-01-03_00-00-00.json",
+			"ranobegemini_backup_2026-01-02_18-00-00.json",
+		],
+	);
+	assert.equal(dir.files.size, 4);
+	assert.ok(
+		[...dir.files.keys()].some((name) =>
+			name.startsWith("ranobegemini_full_"),
+		),
+	);
+
+	const latest = await adapter.getLatestBackup();
+	assert.deepEqual(await adapter.downloadBackup(latest.id), {
+		version: "2.0",
+		n: 8,
+	});
+	const continuous = await adapter.getContinuousBackup();
+	assert.deepEqual(await adapter.downloadBackup(continuous.id), {
+		version: "2.0",
+		n: "c2",
+	});
+});
+
+test("lapsed folder access fails the backup instead of skipping it", async () => {
+	const dir = fakeDirectory("Syncthing");
+	dir.setPermission("prompt");
+	const adapter = createLocalFolderStorageAdapter({
+		browserRef: fakeBrowser({ mode: LOCAL_FOLDER_MODES.DIRECTORY }),
+		getHandle: async () => dir,
+	});
+	await assert.rejects(adapter.uploadBackup("{}"), /"Syncthing" has lapsed/);
+	await assert.rejects(adapter.ensureAuth(), /lapsed/);
+	assert.equal(await adapter.getContinuousBackup(), null);
+
+	const unset = createLocalFolderStorageAdapter({
+		browserRef: fakeBrowser({}),
+		getHandle: async () => null,
+	});
+	await assert.rejects(unset.listBackups(), /No backup folder chosen/);
+});
+
+test("without a folder picker backups go through downloads", async () => {
+	const history = [];
+	const downloads = {
+		async search({ filenameRegex }) {
+			const pattern = new RegExp(filenameRegex);
+			return history.filter((item) => pattern.test(item.filename));
+		},
+		async removeFile(id) {
+			history.find((item) => item.id === id).removed = true;
+		},
+		async erase({ id }) {
+			history.splice(
+				history.findIndex((item) => item.id === id),
+				1,
+			);
+		},
+	};
+	const saved = [];
+	let clock = T0;
+	const adapter = createLocalFolderStorageAdapter({
+		browserRef: fakeBrowser(
+			{ mode: LOCAL_FOLDER_MODES.DOWNLOADS, subfolder: "Sync/Ranobe" },
+			downloads,
+		),
+		saveDownload: async (options) => {
+			saved.push(options);
+			clock += 1000;
+			history.push({
+				id: history.length + 100,
+				filename: `C:\\Users\\me\\Downloads\\${options.filename.replace(/\//g, "\\")}`,
+				startTime: new Date(clock).toISOString(),
+				fileSize: options.text.length,
+			});
+			return history.length + 99;
+		},
+		now: ticking(),
+	});
+
+	for (let n = 0; n < 5; n++) {
+		await adapter.uploadBackup(`{"n":${n}}`);
+	}
+	await adapter.uploadBackup("{}", { variant: "continuous" });
+
+	assert.equal(
+		saved[0].filename,
+		"Sync/Ranobe/ranobegemini_backup_2026-01-01_00-00-00.json",
+	);
+	assert.equal(saved[0].conflictAction, "uniquify");
+	assert.equal(saved.at(-1).conflictAction, "overwrite");
+	// All five within the hour: only the newest is kept.
+	const backups = await adapter.listBackups();
+	assert.deepEqual(
+		backups.map((file) => file.name),
+		["ranobegemini_backup_2026-01-01_00-00-04.json"],
+	);
+	assert.equal(
+		(await adapter.getContinuousBackup()).name,
+		"ranobegemini_continuous.json",
+	);
+	await assert.rejects(
+		adapter.downloadBackup(backups[0].id),
+		/Restore from File/,
+	);
+});
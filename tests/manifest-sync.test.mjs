@@ -23,6 +23,42 @@ const firefox = readJSON("src/manifest-firefox.json");
 
 const HANDLERS_DIR = root("src/utils/website-handlers");
 
+/**
+ * The optional pattern user-defined sites are requested against — see
+ * USER_SITE_ORIGINS in dev/generate-manifest-domains.js. It is the only
+ * pattern allowed beyond the handler-derived matches.
+ */
+const USER_SITE_ORIGINS = ["*://*/*"];
+
+/** A `web_accessible_resources` pattern as a RegExp over extension paths. */
+const warGlob = (pattern) =>
+	new RegExp(
+		`^${pattern
+			.split("*")
+			.map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+			.join("[^/]*")}$`,
+	);
+
+/** Every module the content script loads by `runtime.getURL()`. */
+const CONTENT_SCRIPT_MODULES = (() => {
+	const modules = new Set();
+	const scan = (dir) => {
+		for (const entry of readdirSync(root(dir), { withFileTypes: true })) {
+			const path = `${dir}/${entry.name}`;
+			if (entry.isDirectory()) scan(path);
+			else if (entry.name.endsWith(".js")) {
+				for (const [, url] of readText(path).matchAll(
+					/getURL\(\s*"([^"]+\.js)"\s*\)/g,
+				)) {
+					modules.add(url);
+				}
+			}
+		}
+	};
+	scan("src/content");
+	return [...modules];
+})();
+
 /** The content-script entry whose matches are handler-derived. */
 const siteEntry = (manifest) =>
 	(manifest.content_scripts || []).find((cs) =>
@@ -132,7 +168,7 @@ for (const [name, manifest] of [
 		// makes the permission request fail with nothing to grant.
 		assert.deepEqual(
 			[...(manifest.optional_host_permissions || [])].sort(),
-			[...(siteEntry(manifest)?.matches || [])].sort(),
+			[...(siteEntry(manifest)?.matches || []), ...USER_SITE_ORIGINS].sort(),
 		);
 	});
 
@@ -142,6 +178,48 @@ for (const [name, manifest] of [
 			[...(siteEntry(manifest)?.matches || [])].sort(),
 		);
 	});
+
+	test(`${name}: user-defined sites reach the resources by dynamic URL only`, () => {
+		// Custom sites and reader mode import the same modules, but any page can
+		// be one, so they are exposed there only through the per-session URL.
+		const entries = manifest.web_accessible_resources || [];
+		for (const entry of entries) {
+			if (USER_SITE_ORIGINS.some((p) => entry.matches.includes(p))) {
+				assert.equal(
+					entry.use_dynamic_url,
+					true,
+					entry.matches.join(", "),
+				);
+			}
+		}
+		const dynamic = entries.find((entry) => entry.use_dynamic_url);
+		assert.deepEqual(dynamic?.matches, USER_SITE_ORIGINS);
+
+		// Only what the content script loads — no extension page may be
+		// loadable or frameable from an arbitrary site.
+		for (const pattern of dynamic.resources) {
+			assert.ok(
+				!/^(popup|library|background)\//.test(pattern),
+				`${pattern} is exposed to every website`,
+			);
+		}
+		for (const module of CONTENT_SCRIPT_MODULES) {
+			assert.ok(
+				dynamic.resources.some((pattern) =>
+					warGlob(pattern).test(module),
+				),
+				`${module} is imported by the content script but not exposed to custom sites`,
+			);
+		}
+	});
+
+	test(`${name}: user-defined sites are never matched by the static content script`, () => {
+		// The broad pattern is only ever optional. In `content_scripts` it would
+		// run the extension on every page the user visits.
+		for (const pattern of USER_SITE_ORIGINS) {
+			assert.ok(!siteEntry(manifest)?.matches.includes(pattern), pattern);
+		}
+	});
 }
 
 // ── Cross-platform agreement ──────────────────────────────────────────────────
@@ -193,12 +271,14 @@ test("no permission is declared without a caller", () => {
 	// `activeTab` sat in both manifests for months with no `scripting.*` call
 	// anywhere in the codebase to make it mean anything.
 	const justified = new Set([
+		"activeTab", // reader mode injection after a popup / menu click (background/reader-mode.js)
 		"alarms", // scheduled backups, incognito expiry
 		"contextMenus", // right-click actions on supported pages
 		"downloads", // background rolling backup (utils/download-data.js)
 		"identity", // launchWebAuthFlow for cloud sync
 		"notifications", // long background job completion
 		"offscreen", // chromium DOM/XML parsing
+		"scripting", // content script for user-defined sites (background/custom-site-scripts.js)
 		"sidePanel", // chromium side_panel manifest key
 		"storage", // settings, library, cache
 		"tabs", // locating the reading tab, opening library pages
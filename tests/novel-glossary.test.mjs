@@ -0,0 +1,163 @@
+/**
+ * The glossary only helps if the prompt block is small and unambiguous and the
+ * stored list never grows duplicates: suggestions must not re-propose terms
+ * already accepted or dismissed, and ordinary novel saves must not touch it.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	buildGlossaryPromptBlock,
+	normalizeGlossary,
+	suggestGlossaryEntries,
+} from "../src/utils/novel-glossary.js";
+
+const glossary = [
+	{
+		source: "林动",
+		preferred: "Lin Dong",
+		category: "character",
+		variants: ["Lin Tung", "lin dong"],
+		notes: "male protagonist",
+	},
+	{ source: "Dao Sect", preferred: "Daoist Sect", category: "group" },
+	{ source: "  ", preferred: "blank" },
+	{ source: "dao sect", preferred: "duplicate" },
+];
+
+test("normalising drops blanks, duplicate sources and redundant variants", () => {
+	const entries = normalizeGlossary(glossary);
+	assert.deepEqual(
+		entries.map((e) => e.source),
+		["林动", "Dao Sect"],
+	);
+	assert.deepEqual(entries[0].variants, ["Lin Tung"]);
+	assert.equal(entries[1].notes, "");
+	assert.equal(
+		normalizeGlossary([{ source: "X", category: "bogus" }])[0].category,
+		"other",
+	);
+	assert.equal(normalizeGlossary([{ source: "X" }])[0].preferred, "X");
+});
+
+test("the prompt block lists variants and keeps only terms in the chapter", () => {
+	const block = buildGlossaryPromptBlock(glossary, {
+		content: "<p>Lin Tung bowed.</p>",
+	});
+	assert.match(block, /^\*\*Glossary/);
+	assert.match(
+		block,
+		/- 林动 \/ Lin Tung → Lin Dong \(character\) — male protagonist/,
+	);
+	assert.doesNotMatch(block, /Daoist Sect/);
+
+	assert.match(buildGlossaryPromptBlock(glossary), /Daoist Sect/);
+	assert.equal(
+		buildGlossaryPromptBlock(glossary, { content: "nothing" }),
+		"",
+	);
+	assert.equal(buildGlossaryPromptBlock([]), "");
+	assert.equal(
+		buildGlossaryPromptBlock(glossary, { maxEntries: 1 }).split("\n- ")
+			.length,
+		2,
+	);
+});
+
+test("LoreWeave entities become suggestions only when new", () => {
+	const suggestions = suggestGlossaryEntries(
+		[
+			{ name: "Lin Dong", type: "character", aliases: [] },
+			{
+				name: "Qingyang Town",
+				type: "place",
+				aliases: ["Green Sun Town"],
+			},
+			{ name: "Blood Cloak Sect", type: "group" },
+			{ name: "Green Sun Town", type: "place" },
+			{ name: "", type: "item" },
+		],
+		{
+			glossary,
+			dismissed: ["blood cloak sect"],
+		},
+	);
+	assert.deepEqual(suggestions, [
+		{
+			source: "Qingyang Town",
+			preferred: "Qingyang Town",
+			category: "place",
+			notes: "",
+			variants: ["Green Sun Town"],
+		},
+	]);
+	assert.deepEqual(
+		suggestGlossaryEntries([{ name: "Qingyang Town", type: "place" }], {
+			suggestions,
+		}),
+		[],
+	);
+});
+
+test("novel saves leave the glossary to updateNovelGlossary", async (t) => {
+	const store = new Map();
+	const previous = globalThis.browser;
+	globalThis.browser = {
+		storage: {
+			local: {
+				async get(keys) {
+					const list = Array.isArray(keys) ? keys : [keys];
+					return Object.fromEntries(
+						list
+							.filter((k) => store.has(k))
+							.map((k) => [k, store.get(k)]),
+					);
+				},
+				async set(items) {
+					for (const [k, v] of Object.entries(items)) store.set(k, v);
+				},
+			},
+		},
+	};
+	t.after(() => {
+		globalThis.browser = previous;
+	});
+
+	const { NovelLibrary } = await import("../src/utils/novel-library.js");
+	const library = new NovelLibrary();
+	const novel = await library.addOrUpdateNovel({
+		id: "novelbin-test",
+		title: "Test",
+		glossary: normalizeGlossary(glossary),
+	});
+	assert.equal(novel.glossary.length, 2);
+
+	await library.addOrUpdateNovel({ ...novel, title: "Test 2" }, true);
+	assert.equal((await library.getNovel("novelbin-test")).glossary.length, 2);
+
+	assert.equal(
+		await library.addGlossarySuggestions("novelbin-test", [
+			{ name: "Lin Dong", type: "character" },
+			{ name: "Mo Fan", type: "character" },
+		]),
+		1,
+	);
+	assert.equal(
+		await library.updateNovelGlossary("novelbin-test", {
+			glossary: [glossary[1]],
+			glossaryDismissed: ["Mo Fan"],
+		}),
+		true,
+	);
+	const saved = await library.getNovel("novelbin-test");
+	assert.deepEqual(
+		saved.glossary.map((e) => e.source),
+		["Dao Sect"],
+	);
+	assert.deepEqual(
+		saved.glossarySuggestions.map((e) => e.source),
+		["Mo Fan"],
+	);
+	assert.deepEqual(saved.glossaryDismissed, ["Mo Fan"]);
+});
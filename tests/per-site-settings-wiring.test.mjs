@@ -24,6 +24,9 @@ const readText = (p) => readFileSync(root(p), "utf8");
 const HANDLERS_WITH_READING_FONT = [
 	"src/utils/website-handlers/scribblehub-handler.js",
 	"src/utils/website-handlers/ranobes-handler.js",
+	"src/utils/website-handlers/royalroad-handler.js",
+	"src/utils/website-handlers/xenforo-handler.js",
+	"src/utils/website-handlers/wattpad-handler.js",
 ];
 
 test("content.js reads per-site fields from the store the Library writes to", () => {
@@ -0,0 +1,106 @@
+/**
+ * The reader shows the live site when it can and falls back to what is stored
+ * when it cannot. What has to hold: the site's copy wins for the original text
+ * and links, an enhancement is picked up from either cache, and a chapter
+ * nobody has is reported as missing rather than rendered blank.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	archiveNeighbours,
+	composeReaderChapter,
+} from "../src/utils/reader-chapter.js";
+
+const page = {
+	url: "https://www.royalroad.com/fiction/1/chapter/2",
+	title: "Chapter 2 - The Tower",
+	html: '<p>He climbed.</p><script>track()</script><div class="ad">Buy</div>',
+	content: "He climbed.",
+	words: 2,
+	nextUrl: "https://www.royalroad.com/fiction/1/chapter/3",
+	previousUrl: "https://www.royalroad.com/fiction/1/chapter/1",
+	chapterNumber: 2,
+};
+
+const archived = {
+	url: page.url,
+	title: "Chapter 2",
+	chapterNumber: 2,
+	rawHtml: "<p>Stored original.</p>",
+	enhancedHtml: "<p>Stored enhanced.</p>",
+};
+
+test("the live page supplies the original, title and links", () => {
+	const chapter = composeReaderChapter({ url: page.url, page, archived });
+	assert.equal(chapter.source, "site");
+	assert.match(chapter.originalHtml, /<p>He climbed\.<\/p>/);
+	assert.doesNotMatch(chapter.originalHtml, /script/);
+	assert.equal(chapter.title, "Chapter 2 - The Tower");
+	assert.equal(chapter.nextUrl, page.nextUrl);
+	assert.equal(chapter.enhancedHtml, "<p>Stored enhanced.</p>");
+	assert.equal(chapter.text, "He climbed.");
+});
+
+test("cached chunks fill in the enhanced text, originals where a chunk was not enhanced", () => {
+	const chapter = composeReaderChapter({
+		url: page.url,
+		page,
+		cachedChunks: [
+			{ originalContent: "<p>One.</p>", enhancedContent: "<p>Uno.</p>" },
+			{ originalContent: "<p>Two.</p>" },
+		],
+	});
+	assert.equal(chapter.enhancedHtml, "<p>Uno.</p>\n<p>Two.</p>");
+	assert.equal(
+		composeReaderChapter({
+			url: page.url,
+			page,
+			cachedChunks: [{ originalContent: "<p>One.</p>" }],
+		}).enhancedHtml,
+		"",
+	);
+});
+
+test("offline, the cache and then the archive stand in for the site", () => {
+	const fromCache = composeReaderChapter({
+		url: page.url,
+		cachedChunks: [{ originalContent: "<p>Cached.</p>" }],
+		archived,
+	});
+	assert.equal(fromCache.source, "cache");
+	assert.equal(fromCache.originalHtml, "<p>Cached.</p>");
+	assert.equal(fromCache.nextUrl, null);
+
+	const fromArchive = composeReaderChapter({ url: page.url, archived });
+	assert.equal(fromArchive.source, "archive");
+	assert.equal(fromArchive.text, "Stored original.");
+	assert.equal(fromArchive.chapterNumber, 2);
+
+	assert.equal(composeReaderChapter({ url: page.url }), null);
+	assert.equal(
+		composeReaderChapter({
+			url: page.url,
+			page: { html: "", content: "" },
+		}),
+		null,
+	);
+});
+
+test("archive neighbours give offline prev/next", () => {
+	const stored = [
+		{ chapterNumber: 1, url: "a" },
+		{ chapterNumber: 2, url: "b" },
+		{ chapterNumber: 5, url: "e" },
+	];
+	assert.deepEqual(archiveNeighbours(stored, 2), {
+		previous: stored[0],
+		next: stored[2],
+	});
+	assert.deepEqual(archiveNeighbours(stored, 1).previous, null);
+	assert.deepEqual(archiveNeighbours(stored, 9), {
+		previous: null,
+		next: null,
+	});
+});
@@ -0,0 +1,318 @@
+/**
+ * Reader mode takes pages no handler was written for, so nothing about their
+ * markup can be assumed. These tests pin the content scoring against the
+ * things that sit next to an article on a real blog — comment threads longer
+ * than the post, sidebars of links, share and subscribe boxes — and against a
+ * listing page that must not be mistaken for one. They also check that the
+ * handler only ever takes a page the user activated, and that activation
+ * injects the same content script the manifest declares.
+ */
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import test from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { mountPage, withPage } from "./helpers/dom-harness.mjs";
+import {
+	READER_MODE_FLAG,
+	ReaderModeHandler,
+	findReadableContent,
+	scoreReadableCandidates,
+} from "../src/utils/website-handlers/reader-mode.js";
+import { HandlerManager } from "../src/utils/website-handlers/handler-manager.js";
+import { BaseWebsiteHandler } from "../src/utils/website-handlers/base-handler.js";
+import { setPersistentLoggingEnabled } from "../src/utils/logger.js";
+
+setPersistentLoggingEnabled(false);
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const fixture = (name) =>
+	readFileSync(join(ROOT, "tests", "fixtures", `${name}.html`), "utf8");
+
+const BLOG_URL = "https://quietpages.example.net/lantern-keeper/chapter-7/";
+const NEWSLETTER_URL = "https://longserial.example.com/p/part-3-the-salt-road";
+
+/** Run `fn` on a page the user has activated reader mode on. */
+function withActivatedPage(html, url, fn) {
+	return withPage(html, url, (page) => {
+		globalThis[READER_MODE_FLAG] = true;
+		try {
+			return fn(page);
+		} finally {
+			delete globalThis[READER_MODE_FLAG];
+		}
+	});
+}
+
+// ── Content scoring ───────────────────────────────────────────────────────────
+
+test("the article outscores the comments, the sidebar and its own wrappers", () => {
+	withPage(fixture("reader-mode-blog"), BLOG_URL, ({ document }) => {
+		const [best, ...rest] = scoreReadableCandidates(document);
+		assert.equal(best.element.id, "primary");
+		assert.ok(best.paragraphs >= 5);
+		assert.ok(best.linkDensity < 0.25);
+
+		// Skipped outright by its class, despite holding the most prose.
+		const ids = rest.map((c) => c.element.id);
+		assert.ok(!ids.includes("comments"));
+		// Every paragraph there is a link: scored, but to next to nothing.
+		const sidebar = rest.find((c) => c.element.id === "secondary");
+		assert.ok(sidebar.linkDensity > 0.95);
+		assert.ok(sidebar.score < 1, `sidebar scored ${sidebar.score}`);
+	});
+});
+
+test("a page of teasers has no readable content", () => {
+	withPage(
+		fixture("reader-mode-listing"),
+		"https://quietpages.example.net/",
+		({ document }) => {
+			assert.equal(findReadableContent(document), null);
+		},
+	);
+});
+
+test("newsletter markup: the post body, without the subscribe box", () => {
+	withActivatedPage(fixture("reader-mode-newsletter"), NEWSLETTER_URL, () => {
+		const content = new ReaderModeHandler().extractContent();
+		assert.equal(content.found, true);
+		assert.equal(content.selector, "reader-mode");
+		assert.match(content.text, /^The salt road ran three days east/);
+		assert.match(content.text, /kept warm for hours, against all reason/);
+		assert.ok(!content.text.includes("Subscribe for free"));
+	});
+});
+
+// ── The handler ───────────────────────────────────────────────────────────────
+
+test("the handler only takes a page the user activated", () => {
+	withPage(fixture("reader-mode-blog"), BLOG_URL, () => {
+		const handler = new ReaderModeHandler();
+		assert.equal(handler.canHandle(), false);
+		globalThis[READER_MODE_FLAG] = true;
+		try {
+			assert.equal(handler.canHandle(), true);
+		} finally {
+			delete globalThis[READER_MODE_FLAG];
+		}
+	});
+});
+
+test("blog chapter: title, text without the noise, and navigation", () => {
+	withActivatedPage(fixture("reader-mode-blog"), BLOG_URL, () => {
+		const handler = new ReaderModeHandler();
+		assert.equal(handler.isChapterPage(), true);
+
+		const content = handler.extractContent();
+		assert.equal(
+			content.title,
+			"Lantern Keeper – Chapter 7: Ash on the Water",
+		);
+		assert.match(
+			content.text,
+			/walked the road ahead, shadowed and afraid/,
+		);
+		assert.match(content.text, /neither of them reached out to catch it/);
+		for (const noise of [
+			"Share this chapter",
+			"Subscribe to get",
+			"Thank you for the chapter",
+			"The Tide Comes Twice",
+		]) {
+			assert.ok(!content.text.includes(noise), noise);
+		}
+
+		const nav = handler.getChapterNavigation();
+		// <link rel="next"> first, then an anchor that says "Previous".
+		assert.equal(
+			nav.nextUrl,
+			"https://quietpages.example.net/lantern-keeper/chapter-8/",
+		);
+		assert.equal(
+			nav.previousUrl,
+			"https://quietpages.example.net/lantern-keeper/chapter-6/",
+		);
+		assert.equal(nav.currentChapter, 7);
+	});
+});
+
+test("posts of one series share a novel id and metadata", () => {
+	const chapter7 = withActivatedPage(
+		fixture("reader-mode-blog"),
+		BLOG_URL,
+		() => {
+			const handler = new ReaderModeHandler();
+			return {
+				id: handler.generateNovelId(),
+				metadata: handler.extractNovelMetadata(),
+			};
+		},
+	);
+	const chapter8 = withActivatedPage(
+		fixture("reader-mode-blog"),
+		"https://quietpages.example.net/lantern-keeper/chapter-8/?ref=rss",
+		() => new ReaderModeHandler().generateNovelId(),
+	);
+	const otherSeries = withActivatedPage(
+		fixture("reader-mode-blog"),
+		"https://quietpages.example.net/river-of-salt/chapter-12/",
+		() => new ReaderModeHandler().generateNovelId(),
+	);
+
+	assert.match(chapter7.id, /^reader-[0-9a-z]+$/);
+	assert.equal(chapter8, chapter7.id);
+	assert.notEqual(otherSeries, chapter7.id);
+
+	assert.deepEqual(chapter7.metadata, {
+		title: "Lantern Keeper",
+		author: "Wen Ji",
+		description: null,
+		coverUrl: "https://quietpages.example.net/media/lantern.jpg",
+		mainNovelUrl: "https://quietpages.example.net/lantern-keeper/",
+		status: null,
+		tags: ["Fantasy", "Translation"],
+		site: "Quiet Pages",
+		needsDetailPage: false,
+	});
+});
+
+test("a newsletter post belongs to the publication", () => {
+	const ids = ["part-3-the-salt-road", "part-4-the-caravan"].map((slug) =>
+		withActivatedPage(
+			fixture("reader-mode-newsletter"),
+			`https://longserial.example.com/p/${slug}`,
+			() => {
+				const handler = new ReaderModeHandler();
+				const metadata = handler.extractNovelMetadata();
+				assert.equal(metadata.title, "The Long Serial");
+				assert.equal(
+					metadata.mainNovelUrl,
+					"https://longserial.example.com/",
+				);
+				// article:author is a profile URL here, not a name.
+				assert.equal(metadata.author, null);
+				assert.equal(
+					handler.getChapterNavigation().nextUrl,
+					"https://longserial.example.com/p/part-4-the-caravan",
+				);
+				return handler.generateNovelId();
+			},
+		),
+	);
+	assert.equal(ids[0], ids[1]);
+});
+
+// ── Wiring ────────────────────────────────────────────────────────────────────
+
+test("the HandlerManager falls back to reader mode only when activated", async () => {
+	const page = mountPage(fixture("reader-mode-blog"), BLOG_URL);
+	try {
+		const manager = new HandlerManager();
+		const plain = await manager.getHandlerForCurrentSite();
+		assert.equal(plain.constructor, BaseWebsiteHandler);
+
+		globalThis[READER_MODE_FLAG] = true;
+		assert.ok(
+			(await manager.getHandlerForCurrentSite()) instanceof
+				ReaderModeHandler,
+		);
+	} finally {
+		delete globalThis[READER_MODE_FLAG];
+		page.unmount();
+	}
+});
+
+test("a built-in site keeps its own handler even when activated", async () => {
+	const page = mountPage(
+		"<html><body></body></html>",
+		"https://www.royalroad.com/fiction/1/x/chapter/2/y",
+	);
+	globalThis[READER_MODE_FLAG] = true;
+	try {
+		const handler = await new HandlerManager().getHandlerForCurrentSite();
+		assert.equal(handler.constructor.SHELF_METADATA.id, "royalroad");
+	} finally {
+		delete globalThis[READER_MODE_FLAG];
+		page.unmount();
+	}
+});
+
+test("reader-mode novels land on the Reader Mode shelf", async () => {
+	const { novelLibrary } = await import("../src/utils/novel-library.js");
+	withActivatedPage(fixture("reader-mode-blog"), BLOG_URL, () => {
+		const handler = new ReaderModeHandler();
+		const novel = novelLibrary.createNovelFromContext(
+			{ url: BLOG_URL, title: "Lantern Keeper", chapterNumber: 7 },
+			handler,
+		);
+		assert.equal(novel.shelfId, "reader");
+		assert.equal(novel.id, handler.generateNovelId());
+	});
+});
+
+test("activation flags the tab, then injects the manifest's content script", async () => {
+	const manifest = JSON.parse(
+		readFileSync(join(ROOT, "src", "manifest-chromium.json"), "utf8"),
+	);
+	const siteEntry = manifest.content_scripts.find((cs) =>
+		cs.js.some((file) => file.endsWith("content/content.js")),
+	);
+	const { activateReaderMode } =
+		await import("../src/background/reader-mode.js");
+
+	const previous = globalThis.browser;
+	const calls = [];
+	let alreadyRunning = false;
+	globalThis.browser = {
+		runtime: { getManifest: () => manifest },
+		storage: { local: { get: async () => ({}) } },
+		scripting: {
+			executeScript: async (details) => {
+				calls.push(["executeScript", details]);
+				if (!details.func) return [];
+				// Run the injected function as the tab's content-script world would.
+				globalThis.window = { __RGInitDone: alreadyRunning };
+				try {
+					return [{ result: details.func(...details.args) }];
+				} finally {
+					delete globalThis.window;
+				}
+			},
+			insertCSS: async (details) => calls.push(["insertCSS", details]),
+		},
+	};
+	try {
+		assert.deepEqual(await activateReaderMode(7), {
+			alreadyRunning: false,
+		});
+		assert.equal(globalThis[READER_MODE_FLAG], true);
+		assert.deepEqual(
+			calls.map(([name, details]) => [
+				name,
+				details.files || details.args,
+			]),
+			[
+				["executeScript", [READER_MODE_FLAG]],
+				["insertCSS", siteEntry.css],
+				["executeScript", siteEntry.js],
+			],
+		);
+		assert.ok(calls.every(([, details]) => details.target.tabId === 7));
+
+		// A page that already has the content script is left alone.
+		calls.length = 0;
+		delete globalThis[READER_MODE_FLAG];
+		alreadyRunning = true;
+		assert.deepEqual(await activateReaderMode(7), { alreadyRunning: true });
+		assert.equal(calls.length, 1);
+		assert.equal(globalThis[READER_MODE_FLAG], undefined);
+
+		await assert.rejects(activateReaderMode(undefined), /No tab/);
+	} finally {
+		globalThis.browser = previous;
+		delete globalThis[READER_MODE_FLAG];
+	}
+});
@@ -35,6 +35,11 @@ const SHELVES = [
 	"scribblehub",
 	"fanfiction",
 	"ao3",
+	"royalroad",
+	"xenforo",
+	"wattpad",
+	"custom",
+	"reader",
 ];
 
 /**
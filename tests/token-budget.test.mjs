@@ -0,0 +1,193 @@
+/**
+ * Chunk size now follows the model instead of a fixed 3200 words. What has to
+ * hold: small local models get chunks that fit with room for the output,
+ * large-context models are limited by their output cap rather than the window,
+ * and the content script and background agree on the same split.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+	computeChunkTokenBudget,
+	estimateTokens,
+	getChunkSizeForContent,
+	resolveChainLimits,
+	resolveChunkSizeWords,
+	resolveModelLimits,
+} from "../src/utils/chunking/token-budget.js";
+import { splitContentByWords } from "../src/utils/chunking/chunk-core.js";
+import {
+	DEFAULT_CHUNK_SIZE_WORDS,
+	MIN_CHUNK_WORDS,
+} from "../src/utils/constants.js";
+
+const chapter = Array.from(
+	{ length: 400 },
+	(_, i) =>
+		`<p>Paragraph ${i}: the sect elder frowned at the young disciple and said nothing at all.</p>`,
+).join("");
+
+test("CJK text costs about a token per character, English about a quarter", () => {
+	assert.equal(estimateTokens(""), 0);
+	assert.equal(estimateTokens("abcdefgh"), 2);
+	assert.equal(estimateTokens("你好世界"), 4);
+	assert.ok(
+		estimateTokens("你".repeat(100)) > estimateTokens("a".repeat(100)) * 3,
+	);
+});
+
+test("limits come from the primary slot, the Gemini table or the Ollama setting", () => {
+	assert.deepEqual(
+		resolveModelLimits({
+			primaryModelConfig: { provider: "ollama", modelId: "llama3.1:8b" },
+			ollamaContextTokens: 16384,
+		}),
+		{
+			provider: "ollama",
+			modelId: "llama3.1:8b",
+			contextTokens: 16384,
+			maxOutputTokens: 8192,
+		},
+	);
+	assert.equal(
+		resolveModelLimits({ aiProvider: "ollama" }).contextTokens,
+		8192,
+	);
+	assert.equal(
+		resolveModelLimits({ aiProvider: "openai-compatible" }).provider,
+		"openai",
+	);
+	assert.equal(
+		resolveModelLimits({ selectedModelId: "gemini-2.5-pro" }).contextTokens,
+		1000000,
+	);
+});
+
+test("budget is context-bound on small windows and output-bound on large ones", () => {
+	const small = computeChunkTokenBudget({
+		contextTokens: 8192,
+		maxOutputTokens: 8192,
+		promptTokens: 1500,
+	});
+	assert.ok(small > 0);
+	assert.ok(small * 2.3 <= 8192 - 1500, "input + grown output must fit");
+
+	const large = computeChunkTokenBudget({
+		contextTokens: 1000000,
+		maxOutputTokens: 65536,
+		promptTokens: 1500,
+	});
+	assert.equal(large, Math.floor(65536 / 1.3));
+});
+
+test("an 8k Ollama model gets smaller chunks than Gemini", () => {
+	const ollama = resolveChunkSizeWords(chapter, { aiProvider: "ollama" });
+	const gemini = resolveChunkSizeWords(chapter, {
+		selectedModelId: "gemini-2.5-flash",
+		maxOutputTokens: 65536,
+	});
+	assert.equal(ollama.mode, "auto");
+	assert.ok(ollama.chunkSizeWords < gemini.chunkSizeWords);
+	assert.ok(ollama.chunkSizeWords >= MIN_CHUNK_WORDS);
+	assert.ok(
+		ollama.chunkSizeWords < DEFAULT_CHUNK_SIZE_WORDS,
+		"8k context cannot hold a 3200-word chunk plus its output",
+	);
+});
+
+test("chunks fit the smallest model in the fallback chain", () => {
+	const gemini = {
+		primaryModelConfig: { provider: "gemini", modelId: "gemini-2.5-flash" },
+		maxOutputTokens: 65536,
+	};
+	const withOllama = {
+		...gemini,
+		fallbackModelEnabled: true,
+		fallbackChain: [
+			{ provider: "gemini", modelId: "gemini-2.5-pro" },
+			{ provider: "ollama", modelId: "llama3.1:8b" },
+		],
+	};
+	assert.deepEqual(resolveChainLimits(withOllama), {
+		provider: "ollama",
+		modelId: "llama3.1:8b",
+		contextTokens: 8192,
+		maxOutputTokens: 65536,
+	});
+	assert.equal(
+		resolveChunkSizeWords(chapter, withOllama).chunkSizeWords,
+		resolveChunkSizeWords(chapter, {
+			aiProvider: "ollama",
+			maxOutputTokens: 65536,
+		}).chunkSizeWords,
+	);
+
+	// A disabled chain, or a single legacy fallback that is larger, changes
+	// nothing.
+	const primaryOnly = resolveChunkSizeWords(chapter, gemini).chunkSizeWords;
+	assert.equal(
+		resolveChunkSizeWords(chapter, {
+			...withOllama,
+			fallbackModelEnabled: false,
+		}).chunkSizeWords,
+		primaryOnly,
+	);
+	assert.equal(
+		resolveChunkSizeWords(chapter, {
+			...gemini,
+			fallbackModelEnabled: true,
+			fallbackModelConfig: {
+				provider: "gemini",
+				modelId: "gemini-2.5-pro",
+			},
+		}).chunkSizeWords,
+		primaryOnly,
+	);
+});
+
+test("longer prompts leave less room for the chapter", () => {
+	const base = resolveChunkSizeWords(chapter, { aiProvider: "ollama" });
+	const verbose = resolveChunkSizeWords(chapter, {
+		aiProvider: "ollama",
+		permanentPrompt: "Keep every honorific. ".repeat(300),
+	});
+	assert.ok(verbose.chunkSizeWords < base.chunkSizeWords);
+});
+
+test("fixed mode keeps the configured word count", () => {
+	assert.deepEqual(
+		resolveChunkSizeWords(chapter, {
+			chunkSizingMode: "fixed",
+			chunkSizeWords: 1500,
+			aiProvider: "ollama",
+		}),
+		{ chunkSizeWords: 1500, mode: "fixed" },
+	);
+});
+
+test("both sides read the same settings and split to the same count", async () => {
+	const stored = { aiProvider: "ollama", ollamaContextTokens: 4096 };
+	const storage = {
+		get: async (keys) =>
+			Object.fromEntries(
+				keys.filter((k) => k in stored).map((k) => [k, stored[k]]),
+			),
+	};
+	const first = await getChunkSizeForContent(chapter, storage);
+	const second = await getChunkSizeForContent(chapter, storage);
+	assert.equal(first.chunkSizeWords, second.chunkSizeWords);
+	assert.ok(splitContentByWords(chapter, first.chunkSizeWords).length > 1);
+
+	const broken = { get: async () => Promise.reject(new Error("gone")) };
+	const originalWarn = console.warn;
+	console.warn = () => {};
+	try {
+		assert.equal(
+			(await getChunkSizeForContent(chapter, broken)).mode,
+			"auto",
+		);
+	} finally {
+		console.warn = originalWarn;
+	}
+});
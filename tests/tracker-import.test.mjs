@@ -0,0 +1,438 @@
+/**
+ * Tracker imports turn another site's list into reading statuses and
+ * progress. Each source names its lists differently ("Want to Read",
+ * "Marked for Later", a list called "On Hold"), and most have no link to a
+ * site we read on, so entries are matched to the library by title. The plan
+ * is a dry run: it must never move progress backwards, and must refuse to
+ * guess when a title fits more than one novel.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+import { DOMParser } from "linkedom";
+
+import {
+	isTrackerPageUrl,
+	mapTrackerStatus,
+	parseAo3ReadingsPage,
+	parseChapterProgress,
+	parseCsv,
+	parseFanfictionListPage,
+	parseGoodreadsCsv,
+	parseNovelUpdatesExport,
+	planTrackerImport,
+} from "../src/utils/tracker-import.js";
+
+const parse = (html) => new DOMParser().parseFromString(html, "text/html");
+
+test("tracker list names map to reading statuses and progress", () => {
+	assert.equal(mapTrackerStatus("Want to Read"), "plan-to-read");
+	assert.equal(mapTrackerStatus("to-read"), "plan-to-read");
+	assert.equal(mapTrackerStatus("currently-reading"), "reading");
+	assert.equal(mapTrackerStatus("read"), "completed");
+	assert.equal(mapTrackerStatus("Completed"), "completed");
+	assert.equal(mapTrackerStatus("On Hold"), "on-hold");
+	assert.equal(mapTrackerStatus("DNF"), "dropped");
+	assert.equal(mapTrackerStatus("Caught Up"), "up-to-date");
+	assert.equal(mapTrackerStatus("My favourite isekai"), null);
+
+	assert.deepEqual(parseChapterProgress("c45"), { lastReadChapter: 45 });
+	assert.deepEqual(parseChapterProgress("v2c15"), { lastReadChapter: 15 });
+	assert.deepEqual(parseChapterProgress("Chapter 12"), {
+		lastReadChapter: 12,
+	});
+	assert.deepEqual(parseChapterProgress("5/10"), {
+		lastReadChapter: 5,
+		totalChapters: 10,
+	});
+	assert.deepEqual(parseChapterProgress("7/?"), { lastReadChapter: 7 });
+	assert.deepEqual(parseChapterProgress(""), {});
+});
+
+test("CSV exports from Goodreads and NovelUpdates become entries", () => {
+	assert.deepEqual(parseCsv('\uFEFFa,"b, ""c"""\r\n1,"two\nlines"\r\n\r\n'), [
+		["a", 'b, "c"'],
+		["1", "two\nlines"],
+	]);
+
+	const goodreads = [
+		"Book Id,Title,Author,My Rating,Bookshelves,Exclusive Shelf",
+		'1,"Mother of Learning (Mother of Learning, #1)",Domagoj Kurmaić,5,favorites,read',
+		"2,The Wandering Inn,pirateaba,0,,currently-reading",
+		"3,Worm,Wildbow,0,,to-read",
+	].join("\n");
+	assert.deepEqual(parseGoodreadsCsv(goodreads), [
+		{
+			source: "goodreads",
+			title: "Mother of Learning (Mother of Learning, #1)",
+			author: "Domagoj Kurmaić",
+			readingStatus: "completed",
+			readingLists: ["favourites"],
+		},
+		{
+			source: "goodreads",
+			title: "The Wandering Inn",
+			author: "pirateaba",
+			readingStatus: "reading",
+		},
+		{
+			source: "goodreads",
+			title: "Worm",
+			author: "Wildbow",
+			readingStatus: "plan-to-read",
+		},
+	]);
+
+	const csv =
+		"Title,Progress,List\nShadow Slave,c1200,Reading List\nLord of Mysteries,v8c40,Completed\n";
+	assert.deepEqual(
+		parseNovelUpdatesExport(csv).map((e) => [
+			e.title,
+			e.readingStatus,
+			e.lastReadChapter,
+		]),
+		[
+			["Shadow Slave", "reading", 1200],
+			["Lord of Mysteries", "completed", 40],
+		],
+	);
+	const json = JSON.stringify({
+		novels: [
+			{ Name: "Omniscient Reader", Status: "On Hold", Chapter: "c200" },
+		],
+	});
+	assert.deepEqual(parseNovelUpdatesExport(json), [
+		{
+			source: "novelupdates",
+			title: "Omniscient Reader",
+			readingStatus: "on-hold",
+			lastReadChapter: 200,
+		},
+	]);
+	const page = `<div class="rl_title">Plan to Read</div><table>
+		<tr><td><a href="/series/super-gene/">Super Gene</a></td><td><a href="#">c12</a></td></tr>
+	</table>`;
+	assert.deepEqual(
+		parseNovelUpdatesExport(page, { DOMParserImpl: DOMParser }),
+		[
+			{
+				source: "novelupdates",
+				title: "Super Gene",
+				url: "https://www.novelupdates.com/series/super-gene/",
+				readingStatus: "plan-to-read",
+				lastReadChapter: 12,
+			},
+		],
+	);
+});
+
+test("AO3 history pages and FanFiction.net lists are parsed and paged", () => {
+	const history = parse(`<ol class="reading work index group">
+		<li class="reading work blurb group" id="work_111">
+			<h4 class="heading"><a href="/works/111">Ashes of the Ninth Gate</a> by <a rel="author" href="/users/kalenvex">kalenvex</a></h4>
+			<dl class="stats"><dt>Chapters:</dt><dd class="chapters">12/40</dd></dl>
+			<h4 class="viewed heading"><span>Last visited:</span> 01 Oct 2026 (Update available.) Visited 3 times</h4>
+		</li>
+		<li class="reading work blurb group" id="work_222">
+			<h4 class="heading"><a href="/works/222">The Quiet Orchard</a> by <a rel="author" href="/users/a">a</a>, <a rel="author" href="/users/b">b</a></h4>
+			<dd class="chapters">3/?</dd>
+			<h4 class="viewed heading">Last visited: 02 Oct 2026 (Marked for Later.)</h4>
+		</li>
+		<li class="reading work blurb group"><h4 class="heading">This work has been deleted!</h4></li>
+	</ol>
+	<ol class="pagination actions"><li class="next"><a rel="next" href="/users/me/readings?page=2">Next →</a></li></ol>`);
+	const ao3 = parseAo3ReadingsPage(
+		history,
+		"https://archiveofourown.org/users/me/readings",
+	);
+	assert.deepEqual(ao3.entries, [
+		{
+			source: "ao3",
+			title: "Ashes of the Ninth Gate",
+			author: "kalenvex",
+			url: "https://archiveofourown.org/works/111",
+			readingStatus: "reading",
+			totalChapters: 12,
+		},
+		{
+			source: "ao3",
+			title: "The Quiet Orchard",
+			author: "a, b",
+			url: "https://archiveofourown.org/works/222",
+			readingStatus: "plan-to-read",
+			totalChapters: 3,
+		},
+	]);
+	assert.equal(
+		ao3.nextUrl,
+		"https://archiveofourown.org/users/me/readings?page=2",
+	);
+
+	const favourites = parse(`<div id="fs_inside">
+		<div class="z-list favstories" data-title="Lantern Road">
+			<a class="stitle" href="/s/9001/1/Lantern-Road">Lantern Road</a>
+			by <a href="/u/42/Wren">Wren</a>
+			<div class="z-indent z-padtop">Summary<div class="z-padtop2 xgray">Rated: T - English - Chapters: 27 - Words: 90,000</div></div>
+		</div>
+	</div>`);
+	assert.deepEqual(
+		parseFanfictionListPage(favourites, "https://www.fanfiction.net/u/1/me")
+			.entries,
+		[
+			{
+				source: "fanfiction",
+				title: "Lantern Road",
+				author: "Wren",
+				url: "https://www.fanfiction.net/s/9001/1/Lantern-Road",
+				readingStatus: "plan-to-read",
+				totalChapters: 27,
+				readingLists: ["favourites"],
+			},
+		],
+	);
+
+	const follows = parse(`<table>
+		<tr><td><a href="/s/555/1/Bright-Tide">Bright Tide</a></td><td><a href="/u/7/Kai">Kai</a></td></tr>
+		<tr><td><a href="/s/555/3/Bright-Tide">Bright Tide</a></td></tr>
+	</table><center><a href="/alert/story.php?p=2">Next &#187;</a></center>`);
+	const page = parseFanfictionListPage(
+		follows,
+		"https://www.fanfiction.net/alert/story.php",
+	);
+	assert.deepEqual(
+		page.entries.map((e) => [e.title, e.author, e.readingStatus]),
+		[["Bright Tide", "Kai", "reading"]],
+	);
+	assert.equal(
+		page.nextUrl,
+		"https://www.fanfiction.net/alert/story.php?p=2",
+	);
+});
+
+test("list pages are only fetched from the source's own site", () => {
+	assert.ok(
+		isTrackerPageUrl(
+			"ao3",
+			"https://archiveofourown.org/users/me/readings",
+		),
+	);
+	assert.ok(
+		isTrackerPageUrl(
+			"fanfiction",
+			"https://m.fanfiction.net/alert/story.php",
+		),
+	);
+	for (const [source, url] of [
+		["ao3", "https://archiveofourown.org.evil.example/users/me/readings"],
+		["ao3", "http://archiveofourown.org/users/me/readings"],
+		["ao3", "https://www.fanfiction.net/alert/story.php"],
+		["fanfiction", "https://notfanfiction.net/alert/story.php"],
+		["novelupdates", "https://www.novelupdates.com/reading-list/"],
+		["ao3", "not a url"],
+	]) {
+		assert.equal(isTrackerPageUrl(source, url), false, url);
+	}
+
+	// A "next" link to another host ends the list instead of being followed.
+	const offsite = parse(
+		`<ol class="pagination actions"><li class="next"><a rel="next" href="https://tracker.example/collect?page=2">Next →</a></li></ol>`,
+	);
+	assert.equal(
+		parseAo3ReadingsPage(
+			offsite,
+			"https://archiveofourown.org/users/me/readings",
+		).nextUrl,
+		null,
+	);
+});
+
+test("the dry run adds, updates, skips duplicates and never moves progress back", () => {
+	const novels = {
+		"ao3-111": {
+			id: "ao3-111",
+			title: "Ashes of the Ninth Gate",
+			readingStatus: "reading",
+			lastReadChapter: 20,
+			totalChapters: 12,
+			readingLists: [],
+		},
+		"rr-1": {
+			id: "rr-1",
+			title: "Mother of Learning",
+			author: "nobody103",
+			readingStatus: "reading",
+			lastReadChapter: 50,
+		},
+		"nb-1": { id: "nb-1", title: "Worm", author: "Wildbow" },
+		"sh-1": { id: "sh-1", title: "Worm", author: "Someone Else" },
+		"nb-2": { id: "nb-2", title: "Super Gene" },
+		"sh-2": { id: "sh-2", title: "Super Gene" },
+	};
+	const identify = (url) => {
+		const id = url.match(/archiveofourown\.org\/works\/(\d+)/)?.[1];
+		return id ? { novelId: `ao3-${id}`, siteNovelId: id } : null;
+	};
+	const entries = [
+		{
+			source: "ao3",
+			title: "Ashes of the Ninth Gate",
+			url: "https://archiveofourown.org/works/111",
+			readingStatus: "reading",
+			lastReadChapter: 5,
+			totalChapters: 14,
+		},
+		{
+			source: "ao3",
+			title: "The Quiet Orchard",
+			url: "https://archiveofourown.org/works/222",
+			readingStatus: "plan-to-read",
+		},
+		{
+			source: "goodreads",
+			title: "Mother of Learning (Mother of Learning, #1)",
+			readingStatus: "completed",
+			readingLists: ["favourites"],
+		},
+		{
+			source: "goodreads",
+			title: "Worm",
+			author: "Wildbow",
+			readingStatus: "plan-to-read",
+		},
+		{
+			source: "novelupdates",
+			title: "Super Gene",
+			readingStatus: "reading",
+		},
+		{ source: "goodreads", title: "Mother of Learning" },
+		{
+			source: "goodreads",
+			title: "Not In Library",
+			readingStatus: "reading",
+		},
+	];
+
+	const plan = planTrackerImport(entries, novels, { identify });
+
+	assert.deepEqual(
+		plan.update.map(({ novelId, changes }) => [novelId, changes]),
+		[
+			["ao3-111", { totalChapters: 14 }],
+			[
+				"rr-1",
+				{ readingStatus: "completed", readingLists: ["favourites"] },
+			],
+			["nb-1", { readingStatus: "plan-to-read" }],
+		],
+	);
+	assert.deepEqual(
+		plan.add.map(({ entry, identity }) => [entry.title, identity.novelId]),
+		[["The Quiet Orchard", "ao3-222"]],
+	);
+	assert.deepEqual(
+		plan.duplicates.map(({ entry, reason, novelIds }) => [
+			entry.title,
+			reason,
+			novelIds,
+		]),
+		[
+			["Super Gene", "ambiguous", ["nb-2", "sh-2"]],
+			["Mother of Learning", "repeated", ["rr-1"]],
+		],
+	);
+	assert.deepEqual(
+		plan.unmatched.map((e) => e.title),
+		["Not In Library"],
+	);
+	assert.deepEqual(plan.unchanged, []);
+});
+
+test("applying a plan adds and updates novels in one save", async (t) => {
+	const store = new Map([
+		[
+			"rg_novel_library",
+			{
+				novels: {
+					"rr-1": {
+						id: "rr-1",
+						shelfId: "royalroad",
+						title: "Mother of Learning",
+						readingStatus: "reading",
+						readingLists: [],
+					},
+				},
+				shelves: {},
+			},
+		],
+	]);
+	let writes = 0;
+	const previous = globalThis.browser;
+	globalThis.browser = {
+		storage: {
+			local: {
+				async get(keys) {
+					const list = Array.isArray(keys) ? keys : [keys];
+					return Object.fromEntries(
+						list
+							.filter((k) => store.has(k))
+							.map((k) => [k, structuredClone(store.get(k))]),
+					);
+				},
+				async set(items) {
+					if ("rg_novel_library" in items) writes += 1;
+					for (const [k, v] of Object.entries(items)) store.set(k, v);
+				},
+			},
+		},
+	};
+	t.after(() => {
+		globalThis.browser = previous;
+	});
+
+	const { NovelLibrary } = await import("../src/utils/novel-library.js");
+	const library = new NovelLibrary();
+	const identity = library.getNovelIdentityFromUrl(
+		"https://archiveofourown.org/works/222",
+	);
+	assert.ok(identity, "AO3 work URLs identify a novel");
+	// The first read may save a normalised copy of the library.
+	await library.getLibrary();
+	writes = 0;
+
+	const result = await library.applyTrackerImport({
+		add: [
+			{
+				entry: {
+					source: "ao3",
+					title: "The Quiet Orchard",
+					author: "a, b",
+					url: "https://archiveofourown.org/works/222",
+					readingStatus: "plan-to-read",
+					totalChapters: 3,
+				},
+				identity,
+			},
+		],
+		update: [
+			{
+				novelId: "rr-1",
+				changes: {
+					readingStatus: "completed",
+					readingLists: ["favorites"],
+				},
+			},
+		],
+	});
+	assert.deepEqual(result, { added: 1, updated: 1 });
+	assert.equal(writes, 1);
+
+	const saved = await library.getLibrary();
+	const added = saved.novels[identity.novelId];
+	assert.equal(added.title, "The Quiet Orchard");
+	assert.equal(added.readingStatus, "plan-to-read");
+	assert.equal(added.totalChapters, 3);
+	assert.equal(added.metadata.importedFrom, "ao3");
+	assert.equal(saved.shelves[identity.shelf.id].novelCount, 1);
+	assert.equal(saved.novels["rr-1"].readingStatus, "completed");
+	assert.deepEqual(saved.novels["rr-1"].readingLists, ["favourites"]);
+});
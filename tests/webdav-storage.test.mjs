@@ -0,0 +1,145 @@
+/**
+ * WebDAV servers are often a small NAS with little room, so versioned backups
+ * must be thinned out by the retention tiers after each upload, like every
+ * other destination, while the continuous file is left alone. The adapter
+ * runs against an in-memory stand-in for a WebDAV share.
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { createWebdavStorageAdapter } from "../src/background/storage/adapters/webdav-storage.js";
+import { setPersistentLoggingEnabled } from "../src/utils/logger.js";
+
+setPersistentLoggingEnabled(false);
+
+const HOUR = 60 * 60 * 1000;
+const CREDS = {
+	serverUrl: "https://dav.example.com",
+	username: "reader",
+	password: "secret",
+	path: "/backups",
+};
+const DIR = `${CREDS.serverUrl}${CREDS.path}/`;
+
+/** In-memory WebDAV share: file URL → { text, modified } */
+function fakeShare(files = new Map()) {
+	const requests = [];
+	async function fetchImpl(url, { method = "GET", body } = {}) {
+		requests.push({ method, url });
+		if (method === "MKCOL") return new Response(null, { status: 405 });
+		if (method === "PUT") {
+			files.set(url, { text: body, modified: new Date() });
+			return new Response(null, { status: 201 });
+		}
+		if (method === "DELETE") {
+			files.delete(url);
+			return new Response(null, { status: 204 });
+		}
+		if (method === "PROPFIND") {
+			const entries = [...files.entries()]
+				.filter(([fileUrl]) => fileUrl.startsWith(DIR))
+				.map(
+					([fileUrl, file]) => `<d:response>
+<d:href>${new URL(fileUrl).pathname}</d:href>
+<d:propstat><d:prop>
+<d:displayname>${fileUrl.slice(DIR.length)}</d:displayname>
+<d:getlastmodified>${file.modified.toUTCString()}</d:getlastmodified>
+<d:getcontentlength>${file.text.length}</d:getcontentlength>
+<d:resourcetype/>
+</d:prop></d:propstat>
+</d:response>`,
+				);
+			return new Response(
+				`<?xml version="1.0"?><d:multistatus xmlns:d="DAV:"><d:response><d:href>${CREDS.path}/</d:href><d:propstat><d:prop><d:resourcetype><d:collection/></d:resourcetype></d:prop></d:propstat></d:response>${entries.join("")}</d:multistatus>`,
+				{ status: 207 },
+			);
+		}
+		const file = files.get(url);
+		return file
+			? new Response(file.text, { status: 200 })
+			: new Response(null, { status: 404 });
+	}
+	return { files, requests, fetchImpl };
+}
+
+function withGlobals(share, stored, run) {
+	const saved = { fetch: globalThis.fetch, browser: globalThis.browser };
+	globalThis.fetch = share.fetchImpl;
+	globalThis.browser = {
+		storage: {
+			local: {
+				async get(key) {
+					return key in stored ? { [key]: stored[key] } : {};
+				},
+			},
+		},
+	};
+	return run().finally(() => {
+		globalThis.fetch = saved.fetch;
+		globalThis.browser = saved.browser;
+	});
+}
+
+test("versioned backups are thinned out by the retention tiers", async () => {
+	const now = Date.now();
+	const files = new Map();
+	for (let hoursAgo = 1; hoursAgo <= 5; hoursAgo++) {
+		files.set(`${DIR}ranobegemini_backup_old-${hoursAgo}.json`, {
+			text: "{}",
+			modified: new Date(now - hoursAgo * HOUR),
+		});
+	}
+	files.set(`${DIR}ranobegemini_continuous.json`, {
+		text: "{}",
+		modified: new Date(now - 10 * HOUR),
+	});
+	const share = fakeShare(files);
+
+	await withGlobals(
+		share,
+		{
+			rollingBackupRetention: {
+				hourly: 3,
+				daily: 0,
+				weekly: 0,
+				monthly: 0,
+			},
+		},
+		async () => {
+			const adapter = createWebdavStorageAdapter();
+			await adapter.uploadBackup({ library: {} }, { credentials: CREDS });
+		},
+	);
+
+	const names = [...share.files.keys()]
+		.map((url) => url.slice(DIR.length))
+		.sort();
+	assert.equal(names.length, 4);
+	assert.ok(names.includes("ranobegemini_continuous.json"));
+	assert.ok(names.includes("ranobegemini_backup_old-1.json"));
+	assert.ok(names.includes("ranobegemini_backup_old-2.json"));
+	assert.equal(share.requests.filter((r) => r.method === "DELETE").length, 3);
+});
+
+test("a failed prune does not fail the upload", async () => {
+	const share = fakeShare();
+	const failingShare = {
+		...share,
+		async fetchImpl(url, init = {}) {
+			if (init.method === "PROPFIND" && init.headers?.Depth === "1") {
+				return new Response(null, { status: 500 });
+			}
+			return share.fetchImpl(url, init);
+		},
+	};
+
+	const result = await withGlobals(failingShare, {}, () =>
+		createWebdavStorageAdapter().uploadBackup("{}", {
+			credentials: CREDS,
+		}),
+	);
+
+	assert.match(result.fileName, /^ranobegemini_backup_.+\.json$/);
+	assert.equal(share.files.size, 2);
+});
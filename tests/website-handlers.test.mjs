@@ -24,7 +24,7 @@ import { dirname, join } from "node:path";
 import test from "node:test";
 import { fileURLToPath } from "node:url";
 
-import { withPage } from "./helpers/dom-harness.mjs";
+import { mountPage, withPage } from "./helpers/dom-harness.mjs";
 
 const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures");
 
@@ -45,6 +45,15 @@ const { NovelarrowHandler } = await import(
 const { ScribbleHubHandler } = await import(
 	"../src/utils/website-handlers/scribblehub-handler.js"
 );
+const { RoyalRoadHandler } = await import(
+	"../src/utils/website-handlers/royalroad-handler.js"
+);
+const { XenForoHandler, threadKeyFromUrl, threadUrlFromKey } = await import(
+	"../src/utils/website-handlers/xenforo-handler.js"
+);
+const { WattpadHandler, MATURE_TAG, PAID_TAG } = await import(
+	"../src/utils/website-handlers/wattpad-handler.js"
+);
 const { AO3Handler } = await import(
 	"../src/utils/website-handlers/ao3-handler.js"
 );
@@ -314,6 +323,450 @@ test("ScribbleHub: extraction strips stats, ad slots and the prev/next row", ()
 	});
 });
 
+// ─── Royal Road ─────────────────────────────────────────────────────────────
+
+const ROYALROAD_FICTION_URL =
+	"https://www.royalroad.com/fiction/123456/ashes-of-the-ninth-gate";
+const ROYALROAD_CHAPTER_URL = `${ROYALROAD_FICTION_URL}/chapter/987654/chapter-42`;
+
+test("Royal Road: chapter and fiction pages are told apart", () => {
+	withPage(fixture("royalroad-chapter"), ROYALROAD_CHAPTER_URL, () => {
+		const handler = new RoyalRoadHandler();
+		assert.equal(handler.canHandle(), true);
+		assert.equal(handler.isChapterPage(), true);
+		assert.equal(handler.isNovelPage(), false);
+		assert.equal(handler.generateNovelId(), "royalroad-123456");
+		assert.equal(handler.getMetadataSourceUrl(), ROYALROAD_FICTION_URL);
+	});
+	withPage(fixture("royalroad-fiction"), ROYALROAD_FICTION_URL, () => {
+		const handler = new RoyalRoadHandler();
+		assert.equal(handler.isChapterPage(), false);
+		assert.equal(handler.isNovelPage(), true);
+	});
+	withPage(
+		fixture("royalroad-fiction"),
+		`${ROYALROAD_FICTION_URL}/reviews`,
+		() => assert.equal(new RoyalRoadHandler().isNovelPage(), false),
+	);
+	withPage(fixture("royalroad-chapter"), "https://notroyalroad.com/", () => {
+		assert.equal(new RoyalRoadHandler().canHandle(), false);
+	});
+});
+
+test("Royal Road: the paragraph hidden by an inline style is not story text", () => {
+	withPage(fixture("royalroad-chapter"), ROYALROAD_CHAPTER_URL, () => {
+		const result = new RoyalRoadHandler().extractContent();
+		assertCleanExtraction(result, { title: "Chapter 42: The Long Road" });
+		assert.equal(result.removedHidden, 1);
+		assert.ok(
+			!result.text.includes("Unauthorized duplication"),
+			`hidden anti-piracy text leaked.\nGot: ${JSON.stringify(result.text)}`,
+		);
+		assert.ok(result.text.includes("the ninth bell rang twice"));
+	});
+});
+
+test("Royal Road: navigation and position come from the nav buttons and window.chapters", () => {
+	withPage(fixture("royalroad-chapter"), ROYALROAD_CHAPTER_URL, () => {
+		const nav = new RoyalRoadHandler().getChapterNavigation();
+		assert.equal(nav.hasPrevious, true);
+		assert.equal(nav.hasNext, true);
+		assert.match(nav.previousUrl, /\/chapter\/987653\//);
+		assert.match(nav.nextUrl, /\/chapter\/987655\//);
+		assert.equal(nav.currentChapter, 2);
+		assert.equal(nav.totalChapters, 3);
+	});
+});
+
+test("Royal Road: fiction page metadata is complete, chapter page metadata asks for it", () => {
+	withPage(fixture("royalroad-fiction"), ROYALROAD_FICTION_URL, () => {
+		const handler = new RoyalRoadHandler();
+		const metadata = handler.extractNovelMetadata();
+		assert.equal(metadata.title, "Ashes of the Ninth Gate");
+		assert.equal(metadata.author, "Wren Aldous");
+		assert.equal(
+			metadata.description,
+			"A gatekeeper walks the road below the ninth bell.",
+		);
+		assert.match(metadata.coverUrl, /123456-ashes\.jpg$/);
+		assert.deepEqual(metadata.tags, ["Fantasy", "LitRPG"]);
+		assert.deepEqual(metadata.warnings, ["Graphic Violence", "Profanity"]);
+		assert.equal(metadata.status, "Ongoing");
+		assert.equal(metadata.storyType, "Original");
+		assert.equal(metadata.rating, 4.53);
+		assert.equal(metadata.styleScore, 4.4);
+		assert.equal(metadata.views, 1234567);
+		assert.equal(metadata.averageViews, 20575);
+		assert.equal(metadata.followers, 8910);
+		assert.equal(metadata.favorites, 2345);
+		assert.equal(metadata.ratingCount, 1402);
+		assert.equal(metadata.pages, 1876);
+		assert.equal(metadata.totalChapters, 2);
+		assert.equal(metadata.needsDetailPage, false);
+
+		const processed = handler.processRemoteMetadata({
+			...metadata,
+			status: "COMPLETED",
+			tags: ["Fantasy", " Fantasy ", "LitRPG"],
+			metadataIncomplete: true,
+		});
+		assert.equal(processed.status, "Completed");
+		assert.deepEqual(processed.tags, ["Fantasy", "LitRPG"]);
+		assert.equal(processed.metadataIncomplete, false);
+	});
+	withPage(fixture("royalroad-chapter"), ROYALROAD_CHAPTER_URL, () => {
+		const metadata = new RoyalRoadHandler().extractNovelMetadata();
+		assert.equal(metadata.title, "Ashes of the Ninth Gate");
+		assert.equal(metadata.author, "Wren Aldous");
+		assert.equal(metadata.totalChapters, 3);
+		assert.equal(metadata.needsDetailPage, true);
+		assert.equal(metadata.metadataIncomplete, true);
+	});
+});
+
+// ─── XenForo threadmarks (SpaceBattles / SV / QQ) ───────────────────────────
+
+const XENFORO_THREAD =
+	"https://forums.spacebattles.com/threads/ashes-of-the-ninth-gate.123456";
+const XENFORO_READER_URL = `${XENFORO_THREAD}/reader/`;
+
+test("XenForo: the three forums are handled, and thread ids are scoped to their forum", () => {
+	for (const host of [
+		"forums.spacebattles.com",
+		"forums.sufficientvelocity.com",
+		"forum.questionablequesting.com",
+	]) {
+		withPage("<html><body></body></html>", `https://${host}/`, () => {
+			assert.equal(new XenForoHandler().canHandle(), true, host);
+		});
+	}
+	withPage(
+		"<html><body></body></html>",
+		"https://xenforo.com/community/",
+		() => {
+			assert.equal(new XenForoHandler().canHandle(), false);
+		},
+	);
+
+	assert.equal(threadKeyFromUrl(XENFORO_READER_URL), "spacebattles-123456");
+	assert.equal(
+		threadKeyFromUrl(
+			"https://forums.sufficientvelocity.com/threads/ashes.123456/page-3#post-1",
+		),
+		"sufficientvelocity-123456",
+	);
+	assert.equal(
+		threadKeyFromUrl(
+			"https://forums.spacebattles.com/forums/creative-writing.18/",
+		),
+		null,
+	);
+	assert.equal(
+		threadUrlFromKey("questionablequesting-99"),
+		"https://forum.questionablequesting.com/threads/99/",
+	);
+	withPage(fixture("xenforo-reader"), XENFORO_READER_URL, () => {
+		assert.equal(
+			new XenForoHandler().generateNovelId(),
+			"xenforo-spacebattles-123456",
+		);
+	});
+});
+
+test("XenForo: reader pages and threadmarked posts are chapters, discussion pages are not", () => {
+	withPage(fixture("xenforo-reader"), XENFORO_READER_URL, () => {
+		const handler = new XenForoHandler();
+		assert.equal(handler.isChapterPage(), true);
+		assert.equal(handler.isNovelPage(), false);
+	});
+	withPage(
+		fixture("xenforo-threadmarks"),
+		`${XENFORO_THREAD}/threadmarks`,
+		() => {
+			const handler = new XenForoHandler();
+			assert.equal(handler.isChapterPage(), false);
+			assert.equal(handler.isNovelPage(), true);
+		},
+	);
+	withPage(
+		"<html><body><article class='message message--post'>Discussion</article></body></html>",
+		`${XENFORO_THREAD}/page-7`,
+		() => assert.equal(new XenForoHandler().isChapterPage(), false),
+	);
+});
+
+test("XenForo: a threadmarked post is extracted without its quote, signature or reactions", () => {
+	withPage(fixture("xenforo-reader"), XENFORO_READER_URL, () => {
+		const result = new XenForoHandler().extractContent();
+		assertCleanExtraction(result, { title: "Chapter 1: The Gate" });
+		assert.equal(result.threadmarks, 2);
+		for (const furniture of [
+			"Quoted reader comment",
+			"other fics on AO3",
+			"Reactions:",
+			"Reply Report",
+		]) {
+			assert.ok(!result.text.includes(furniture), `${furniture} leaked`);
+		}
+		assert.ok(
+			result.text.includes("Strength 4, Will 7"),
+			"spoilers are story text",
+		);
+	});
+});
+
+test("XenForo: every threadmark on the page is a chapter, and the URL picks which one", () => {
+	withPage(
+		fixture("xenforo-reader"),
+		`${XENFORO_READER_URL}#post-5042`,
+		() => {
+			const handler = new XenForoHandler();
+			const threadmarks = handler.extractThreadmarks();
+			assert.deepEqual(
+				threadmarks.map((t) => [t.postId, t.title, t.author]),
+				[
+					["5001", "Chapter 1: The Gate", "Wren Aldous"],
+					["5042", "Chapter 2: The Bell", "Wren Aldous"],
+				],
+			);
+			assert.ok(threadmarks[0].text.includes(PROSE));
+			assert.ok(!threadmarks[0].text.includes(NOISE));
+
+			assert.equal(handler.extractTitle(), "Chapter 2: The Bell");
+			const nav = handler.getChapterNavigation();
+			assert.equal(nav.previousUrl, `${XENFORO_READER_URL}#post-5001`);
+			assert.equal(nav.nextUrl, `${XENFORO_THREAD}/reader/page-2`);
+			assert.equal(nav.currentChapter, 2);
+		},
+	);
+});
+
+test("XenForo: thread metadata comes from the threadmark listing", () => {
+	withPage(
+		fixture("xenforo-threadmarks"),
+		`${XENFORO_THREAD.replace("spacebattles", "sufficientvelocity")}/threadmarks`,
+		() => {
+			const handler = new XenForoHandler();
+			const metadata = handler.extractNovelMetadata();
+			assert.equal(metadata.title, "Ashes of the Ninth Gate (Worm AU)");
+			assert.equal(metadata.author, "Wren Aldous");
+			assert.equal(metadata.forum, "Sufficient Velocity");
+			assert.equal(metadata.totalChapters, 42);
+			assert.equal(metadata.words, 312000);
+			assert.equal(metadata.watchers, 1204);
+			assert.deepEqual(metadata.tags, ["au"]);
+			assert.equal(metadata.needsDetailPage, false);
+		},
+	);
+	withPage(fixture("xenforo-reader"), XENFORO_READER_URL, () => {
+		const handler = new XenForoHandler();
+		const metadata = handler.extractNovelMetadata();
+		assert.equal(
+			metadata.title,
+			"Ashes of the Ninth Gate (Worm AU)",
+			"prefix label dropped",
+		);
+		assert.equal(metadata.needsDetailPage, true);
+		assert.equal(
+			handler.getMetadataSourceUrl(),
+			`${XENFORO_THREAD}/threadmarks`,
+		);
+		assert.equal(
+			handler.processRemoteMetadata({ ...metadata, tags: ["au", "au "] })
+				.metadataIncomplete,
+			false,
+		);
+	});
+});
+
+test("XenForo: library URL import keeps the forum in the novel id and the URL", async () => {
+	const { NovelLibrary } = await import("../src/utils/novel-library.js");
+	const library = new NovelLibrary();
+	const url =
+		"https://forums.sufficientvelocity.com/threads/ashes.123456/reader/page-2";
+	const identity = library.getNovelIdentityFromUrl(url);
+	assert.equal(identity.shelf.id, "xenforo");
+	assert.equal(identity.novelId, "xenforo-sufficientvelocity-123456");
+	assert.equal(
+		library.buildCanonicalImportUrl(
+			identity.shelf,
+			identity.siteNovelId,
+			url,
+		),
+		"https://forums.sufficientvelocity.com/threads/123456/",
+	);
+});
+
+// ─── Wattpad ────────────────────────────────────────────────────────────────
+
+const WATTPAD_PART_URL =
+	"https://www.wattpad.com/1234567-ashes-of-the-ninth-gate-chapter-one";
+const WATTPAD_STORY_URL =
+	"https://www.wattpad.com/story/98765432-ashes-of-the-ninth-gate";
+
+test("Wattpad: part pages (and their /page/N) are chapters, story pages are novels", () => {
+	withPage(fixture("wattpad-part"), WATTPAD_PART_URL, () => {
+		const handler = new WattpadHandler();
+		assert.equal(handler.canHandle(), true);
+		assert.equal(handler.isChapterPage(), true);
+		assert.equal(handler.isNovelPage(), false);
+	});
+	withPage(fixture("wattpad-part-page"), `${WATTPAD_PART_URL}/page/3`, () => {
+		const handler = new WattpadHandler();
+		assert.equal(handler.isChapterPage(), true);
+		assert.equal(handler.getPartUrl(), WATTPAD_PART_URL);
+	});
+	withPage(fixture("wattpad-story"), WATTPAD_STORY_URL, () => {
+		const handler = new WattpadHandler();
+		assert.equal(handler.isChapterPage(), false);
+		assert.equal(handler.isNovelPage(), true);
+	});
+	for (const path of ["/home", "/user/wrenaldous", "/stories/fantasy"]) {
+		withPage(
+			"<html><body></body></html>",
+			`https://www.wattpad.com${path}`,
+			() => {
+				assert.equal(new WattpadHandler().isChapterPage(), false, path);
+			},
+		);
+	}
+});
+
+test("Wattpad: a part page's novel id is its story's, not the part's", () => {
+	withPage(fixture("wattpad-part"), WATTPAD_PART_URL, () => {
+		const handler = new WattpadHandler();
+		assert.equal(handler.generateNovelId(), "wattpad-98765432");
+		assert.equal(handler.getNovelPageUrl(), WATTPAD_STORY_URL);
+		assert.equal(handler.getCanonicalCacheUrl(), WATTPAD_PART_URL);
+	});
+	withPage(fixture("wattpad-story"), WATTPAD_STORY_URL, () => {
+		assert.equal(
+			new WattpadHandler().generateNovelId(),
+			"wattpad-98765432",
+		);
+	});
+});
+
+test("Wattpad: every rendered page of a part is stitched, and unrendered pages are reported", () => {
+	withPage(fixture("wattpad-part"), WATTPAD_PART_URL, () => {
+		const handler = new WattpadHandler();
+		const result = handler.extractContent();
+		assertCleanExtraction(result, { title: "Chapter One: The Long Road" });
+		assert.ok(
+			result.text.indexOf(PROSE) <
+				result.text.indexOf("the ninth bell rang twice"),
+			"pages are stitched in order",
+		);
+		assert.ok(
+			!/Comment|\b12\b/.test(result.text),
+			"comment counters leaked",
+		);
+		assert.equal(result.pages, 2);
+		assert.equal(result.totalPages, 3);
+		assert.deepEqual(result.missingPages, [3]);
+		assert.deepEqual(handler.findMissingPages(), [3]);
+	});
+});
+
+test("Wattpad: unrendered pages are fetched through the background and stitched in", async () => {
+	// What the background's fetchPartPages job returns for page 3.
+	const fetchedPages = withPage(
+		fixture("wattpad-part-page"),
+		`${WATTPAD_PART_URL}/page/3`,
+		() => new WattpadHandler().collectPartPages(),
+	);
+	assert.equal(fetchedPages.length, 1);
+	assert.equal(fetchedPages[0].page, 3);
+
+	const page = mountPage(fixture("wattpad-part"), WATTPAD_PART_URL);
+	try {
+		const requests = [];
+		globalThis.browser.runtime.sendMessage = async (message) => {
+			requests.push(message);
+			return { success: true, pages: fetchedPages };
+		};
+
+		const handler = new WattpadHandler();
+		const [added] = await Promise.all([
+			handler.loadRemainingContent(),
+			handler.loadRemainingContent(),
+		]);
+		assert.equal(added, 1);
+		assert.equal(requests.length, 1, "concurrent loads share one request");
+		assert.deepEqual(requests[0], {
+			action: "fetchPartPages",
+			urls: [`${WATTPAD_PART_URL}/page/3`],
+		});
+
+		const result = handler.extractContent();
+		assert.deepEqual(result.missingPages, []);
+		assert.equal(result.pages, 3);
+		assert.ok(
+			result.text.trim().endsWith("anyone had come this way at all."),
+			"the fetched page is the last page",
+		);
+		assert.equal(await handler.loadRemainingContent(), 0);
+		assert.equal(
+			requests.length,
+			1,
+			"a complete part is not fetched again",
+		);
+	} finally {
+		page.unmount();
+	}
+});
+
+test("Wattpad: navigation follows the story's part list", () => {
+	withPage(fixture("wattpad-part"), WATTPAD_PART_URL, () => {
+		const nav = new WattpadHandler().getChapterNavigation();
+		assert.equal(nav.currentChapter, 2);
+		assert.equal(nav.totalChapters, 3);
+		assert.equal(
+			nav.previousUrl,
+			"https://www.wattpad.com/1234500-ashes-of-the-ninth-gate-prologue",
+		);
+		assert.equal(
+			nav.nextUrl,
+			"https://www.wattpad.com/1234600-ashes-of-the-ninth-gate-chapter-two",
+		);
+	});
+});
+
+test("Wattpad: reads, votes and parts are recorded, with mature and paid stories tagged", () => {
+	withPage(fixture("wattpad-part"), WATTPAD_PART_URL, () => {
+		const metadata = new WattpadHandler().extractNovelMetadata();
+		assert.equal(metadata.title, "Ashes of the Ninth Gate");
+		assert.equal(metadata.author, "wrenaldous");
+		assert.equal(metadata.reads, 2400000);
+		assert.equal(metadata.votes, 81000);
+		assert.equal(metadata.parts, 3);
+		assert.equal(metadata.status, "Ongoing");
+		assert.equal(metadata.mature, true, "a part rated 4 is mature");
+		assert.equal(metadata.paid, true);
+		assert.deepEqual(metadata.tags, [MATURE_TAG, PAID_TAG]);
+		assert.equal(metadata.needsDetailPage, true);
+		assert.equal(metadata.mainNovelUrl, WATTPAD_STORY_URL);
+	});
+	withPage(fixture("wattpad-story"), WATTPAD_STORY_URL, () => {
+		const metadata = new WattpadHandler().extractNovelMetadata();
+		assert.equal(metadata.title, "Ashes of the Ninth Gate");
+		assert.equal(metadata.status, "Completed");
+		assert.equal(metadata.paid, false);
+		assert.deepEqual(metadata.tags, [
+			MATURE_TAG,
+			"fantasy",
+			"darkfantasy",
+			"slowburn",
+			"ninthgate",
+		]);
+		assert.equal(
+			metadata.description,
+			"A bell rings nine times.\nNobody below remembers why.",
+		);
+		assert.equal(metadata.needsDetailPage, false);
+	});
+});
+
 // ─── AO3 ────────────────────────────────────────────────────────────────────
 
 const AO3_CHAPTER_URL = "https://archiveofourown.org/works/12345678/chapters/98765432";